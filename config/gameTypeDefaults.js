@@ -18,6 +18,26 @@ export const gameTypeDefaults = {
       players_per_session_default: 2,
       players_per_session_max: 2,
       session_name_hebrew: 'חדר משחק זיכרון'
+    },
+    engine: {
+      pairs_default: 8, // Pairs dealt when the lobby settings don't set pair_count
+      pairs_max: 20
+    }
+  },
+
+  // Quiz Game Configuration
+  // Question count, choices, timer and difficulty are game_settings (validationRules in config/gameTypes.js)
+  quiz_game: {
+    lobby: {
+      max_players_default: 40,
+      max_players_max: 40,
+      session_duration_default: 40,
+      auto_sessions: true
+    },
+    session: {
+      players_per_session_default: 6,
+      players_per_session_max: 40,
+      session_name_hebrew: 'חדר חידון'
     }
   },
 
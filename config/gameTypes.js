@@ -69,6 +69,32 @@ export const GAME_TYPES = {
 		allowedContentTypes: ['Word', 'WordEN', 'Image', 'ContentList'],
 		validationRules: {},
 	},
+	quiz_game: {
+		key: 'quiz_game',
+		singular: 'חידון',
+		plural: 'חידונים',
+		navText: 'חידון',
+		description: 'שאלות אמריקאיות עם טיימר לכל שאלה',
+		emoji: '❓',
+		color: 'from-purple-500 to-purple-600',
+		bgColor: 'bg-purple-50',
+		borderColor: 'border-purple-200',
+		gradient: 'from-purple-400 via-violet-500 to-indigo-600',
+		defaultPrice: 0,
+		digital: true,
+		offline: false,
+		isPublished: false,
+		allowContentCreator: false,
+		showInCatalog: false,
+		allowedContentTypes: ['Word', 'WordEN', 'QA', 'Image', 'ContentList'],
+		// game_settings of quiz games - lobby settings with the same keys override them per lobby
+		validationRules: {
+			question_count: { type: 'integer', min: 3, max: 50, default: 10 },
+			choices_per_question: { type: 'integer', min: 2, max: 6, default: 4 },
+			seconds_per_question: { type: 'integer', min: 5, max: 300, default: 30 },
+			difficulty_level: { type: 'string', values: ['mixed', 'easy', 'medium', 'hard'], default: 'mixed' },
+		},
+	},
 	ar_up_there: {
 		key: 'ar_up_there',
 		disabled: true,
@@ -132,21 +158,70 @@ export const getCatalogVisibleGameTypes = () => {
 };
 
 // Validation functions
-export const validateGameTypeData = (gameTypeKey, _gameData) => {
+
+// Whether a value satisfies a typed validation rule ({ type, min, max, values })
+const matchesRule = (rule, value) => {
+	switch (rule.type) {
+		case 'integer':
+			return Number.isInteger(value) && value >= rule.min && value <= rule.max;
+		case 'number':
+			return typeof value === 'number' && Number.isFinite(value) && value >= rule.min && value <= rule.max;
+		case 'boolean':
+			return typeof value === 'boolean';
+		case 'string':
+			return typeof value === 'string' && (!rule.values || rule.values.includes(value));
+		default:
+			return false;
+	}
+};
+
+const describeRule = (rule) => {
+	if (rule.values) {
+		return `one of: ${rule.values.join(', ')}`;
+	}
+	if (rule.type === 'integer' || rule.type === 'number') {
+		return `${rule.type === 'integer' ? 'an integer' : 'a number'} between ${rule.min} and ${rule.max}`;
+	}
+	return `a ${rule.type}`;
+};
+
+export const validateGameTypeData = (gameTypeKey, gameData) => {
 	const gameType = GAME_TYPES[gameTypeKey];
 	if (!gameType) {
 		return { isValid: false, errors: [`Invalid game type: ${gameTypeKey}`] };
 	}
 
-	// No required fields validation - game_settings is now optional
-	// All validation is handled at Product level
+	// game_settings is optional - settings that are present must match the game type's validation rules
+	const settings = gameData?.game_settings || {};
+	const errors = Object.entries(gameType.validationRules)
+		.filter(([key, rule]) => settings[key] !== undefined && !matchesRule(rule, settings[key]))
+		.map(([key, rule]) => `game_settings.${key} must be ${describeRule(rule)}`);
 
 	return {
-		isValid: true,
-		errors: [],
+		isValid: errors.length === 0,
+		errors,
 	};
 };
 
+/**
+ * Resolve the settings of a game type from its validation rules
+ * Later sources win (e.g. game_settings, then lobby settings); invalid values fall back to the default
+ * @param {string} gameTypeKey - Game type
+ * @param {...Object} sources - Settings objects, lowest precedence first
+ * @returns {Object} A value for every validation rule
+ */
+export const resolveGameSettings = (gameTypeKey, ...sources) => {
+	const rules = GAME_TYPES[gameTypeKey]?.validationRules || {};
+
+	return Object.fromEntries(Object.entries(rules).map(([key, rule]) => {
+		const value = sources
+			.map((source) => source?.[key])
+			.filter((candidate) => candidate !== undefined && matchesRule(rule, candidate))
+			.pop();
+		return [key, value === undefined ? rule.default : value];
+	}));
+};
+
 // Export arrays for iteration
 export const GAME_TYPE_KEYS = Object.keys(GAME_TYPES);
 export const ALL_GAME_TYPES = Object.values(GAME_TYPES);
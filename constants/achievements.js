@@ -0,0 +1,37 @@
+// Achievement constants
+// Admins define badges as rules over game results; AchievementService awards them to players
+
+/**
+ * RULE TYPES
+ * rule: { type, threshold?, game_type? } - game_type limits the rule to one game type
+ */
+export const ACHIEVEMENT_RULE_TYPES = {
+  SESSIONS_PLAYED: 'sessions_played', // threshold completed sessions
+  SESSIONS_WON: 'sessions_won',       // threshold completed sessions finished at rank 1 (ties included)
+  PERFECT_ROUND: 'perfect_round',     // a completed session with 100% accuracy
+  DAILY_STREAK: 'daily_streak',       // threshold consecutive days (Israel time) with a finished session
+  SCORE_REACHED: 'score_reached'      // score of at least threshold in a single session
+};
+
+// Rule types that need a threshold
+export const THRESHOLD_RULE_TYPES = [
+  ACHIEVEMENT_RULE_TYPES.SESSIONS_PLAYED,
+  ACHIEVEMENT_RULE_TYPES.SESSIONS_WON,
+  ACHIEVEMENT_RULE_TYPES.DAILY_STREAK,
+  ACHIEVEMENT_RULE_TYPES.SCORE_REACHED
+];
+
+/**
+ * EVENTS
+ * Achievements are evaluated when a session finishes (all rule types) and when its game state
+ * is updated (score_reached only, from the state's scores by participant id)
+ */
+export const ACHIEVEMENT_EVENTS = {
+  SESSION_FINISHED: 'session_finished',
+  STATE_UPDATED: 'state_updated'
+};
+
+export const STATE_UPDATE_RULE_TYPES = [ACHIEVEMENT_RULE_TYPES.SCORE_REACHED];
+
+// Longest streak a rule may ask for
+export const MAX_STREAK_DAYS = 365;
\ No newline at end of file
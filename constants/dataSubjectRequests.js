@@ -0,0 +1,73 @@
+// Data subject request (DSR) constants
+// Privacy-law export and erasure of a user's or player's personal data (DataSubjectRequestService)
+
+/**
+ * REQUEST TYPES
+ */
+export const DSR_REQUEST_TYPE = {
+  EXPORT: 'export',   // ZIP of JSON + files, downloadable for DSR_EXPORT_RETENTION_DAYS
+  ERASURE: 'erasure'  // anonymize or delete across models and storage
+};
+
+/**
+ * SUBJECT TYPES
+ * Whose data the request is about
+ */
+export const DSR_SUBJECT_TYPE = {
+  USER: 'user',
+  PLAYER: 'player'
+};
+
+/**
+ * REQUEST STATUS
+ * Lifecycle of a DataSubjectRequest
+ */
+export const DSR_STATUS = {
+  PENDING: 'pending',       // waiting for its DATA_SUBJECT_REQUEST job
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',         // can be retried by an admin
+  ON_HOLD: 'on_hold',       // erasure blocked by a legal hold on the subject
+  CANCELLED: 'cancelled'
+};
+
+// Statuses a request can still be processed from
+export const OPEN_DSR_STATUSES = [DSR_STATUS.PENDING, DSR_STATUS.FAILED, DSR_STATUS.ON_HOLD];
+
+/**
+ * REQUESTER ROLES
+ */
+export const DSR_REQUESTER_ROLE = {
+  ADMIN: 'admin',
+  PARENT: 'parent'   // parent portal, for a child with an active consent
+};
+
+/**
+ * AUDIT ACTIONS
+ * Entries of a request's audit_trail
+ */
+export const DSR_AUDIT_ACTION = {
+  REQUESTED: 'requested',
+  QUEUED: 'queued',
+  STARTED: 'started',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  BLOCKED_BY_LEGAL_HOLD: 'blocked_by_legal_hold',
+  LEGAL_HOLD_SET: 'legal_hold_set',
+  LEGAL_HOLD_RELEASED: 'legal_hold_released',
+  RETRIED: 'retried',
+  CANCELLED: 'cancelled',
+  DOWNLOADED: 'downloaded',
+  EXPORT_DELETED: 'export_deleted'
+};
+
+// Export archives are kept this long after completion, then deleted by DSR_EXPORT_CLEANUP
+export const DSR_EXPORT_RETENTION_DAYS = 7;
+
+// Stored files (invoices, uploaded content) included in one export archive - larger files are listed only
+export const DSR_EXPORT_MAX_FILE_BYTES = 200 * 1024 * 1024;
+
+// Replacement values for anonymized personal data
+export const ERASED_USER_NAME = 'משתמש שנמחק';
+export const ERASED_PLAYER_NAME = 'שחקן שנמחק';
+export const ERASED_EMAIL_DOMAIN = 'erased.ludora.app';
\ No newline at end of file
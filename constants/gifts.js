@@ -0,0 +1,45 @@
+// Gift purchase constants
+// A gift is bought like any other cart item and delivered as a redeemable gift code
+
+/**
+ * PURCHASE TYPE
+ * Gift purchases use their own purchasable_type so they never grant the buyer access.
+ * purchasable_id is the gifted Product ID, or the SubscriptionPlan ID for subscription gifts.
+ */
+export const GIFT_PURCHASABLE_TYPE = 'gift_code';
+
+export const GIFT_TYPES = {
+  PRODUCT: 'product',
+  SUBSCRIPTION: 'subscription'
+};
+
+export const GIFT_CODE_STATUSES = {
+  ACTIVE: 'active',     // Paid and waiting to be redeemed
+  REDEEMED: 'redeemed',
+  REVOKED: 'revoked',   // Gift purchase was refunded before redemption
+  EXPIRED: 'expired'
+};
+
+/**
+ * VALIDITY
+ * Israeli consumer protection rules require gift vouchers to be valid for at least 5 years
+ */
+export const DEFAULT_GIFT_CODE_VALIDITY_YEARS = 5;
+
+/**
+ * Gift code validity in years (GIFT_CODE_VALIDITY_YEARS env override, never below the legal minimum)
+ * @returns {number} Validity in years
+ */
+export const getGiftCodeValidityYears = () => {
+  const envYears = parseInt(process.env.GIFT_CODE_VALIDITY_YEARS, 10);
+  return Number.isFinite(envYears) && envYears > DEFAULT_GIFT_CODE_VALIDITY_YEARS
+    ? envYears
+    : DEFAULT_GIFT_CODE_VALIDITY_YEARS;
+};
+
+/**
+ * Normalize a gift code as typed by the recipient (case, spaces)
+ * @param {string} code - Gift code
+ * @returns {string} Normalized code
+ */
+export const normalizeGiftCode = (code) => String(code || '').replace(/\s+/g, '').toUpperCase();
\ No newline at end of file
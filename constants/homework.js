@@ -0,0 +1,35 @@
+// Homework constants
+// Teachers assign a game to a classroom; every student plays solo attempts on their own time (HomeworkService)
+
+/**
+ * SCORE POLICY
+ * Which finished attempts make up a student's homework score
+ */
+export const HOMEWORK_SCORE_POLICY = {
+  BEST: 'best',       // highest attempt score
+  LAST: 'last',       // most recently finished attempt
+  AVERAGE: 'average'  // mean of all finished attempts
+};
+
+export const HOMEWORK_STATUS = {
+  ACTIVE: 'active',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * STUDENT STATUS
+ * Per-student completion shown to teachers and students
+ */
+export const HOMEWORK_STUDENT_STATUS = {
+  NOT_STARTED: 'not_started', // no attempt yet, before the due date
+  IN_PROGRESS: 'in_progress', // an attempt is started but not finished
+  COMPLETED: 'completed',     // an attempt finished by the due date
+  LATE: 'late',               // attempts finished only after the due date
+  MISSING: 'missing'          // past the due date without a finished attempt
+};
+
+// Attempts per student: unlimited when max_attempts is null, otherwise 1 to 20
+export const MAX_HOMEWORK_ATTEMPTS = 20;
+
+// Active assignments per classroom
+export const MAX_ACTIVE_HOMEWORK_PER_CLASSROOM = 50;
\ No newline at end of file
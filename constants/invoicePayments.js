@@ -0,0 +1,34 @@
+// Pay-by-invoice constants
+// Schools and municipalities pay against a proforma (purchase order + bank transfer) instead of by card
+
+/**
+ * PAYMENT METHOD
+ * Stored on Transaction.payment_method, Purchase.payment_method and as the subscription's
+ * metadata.payment_provider. Invoice payments have no payment page - they are never polled
+ * and only an admin marks them paid (with the bank transfer reference).
+ */
+export const INVOICE_PAYMENT_METHOD = 'invoice';
+
+// Reported by the payment polling and page status checks when they skip an invoice payment
+export const INVOICE_PAYMENT_SKIP_MESSAGE = 'Invoice payment - settled by an admin when the bank transfer arrives';
+
+export const INVOICE_PAYMENT_STATUSES = {
+  AWAITING_PAYMENT: 'awaiting_payment', // Proforma sent, provisional access during the grace period
+  PAID: 'paid'                          // Bank transfer confirmed by an admin
+};
+
+/**
+ * GRACE PERIOD
+ * Days of provisional access while the bank transfer is on its way (net-30 is the norm for
+ * Israeli schools and municipalities). Also the payment due date printed on the proforma.
+ */
+export const DEFAULT_INVOICE_PAYMENT_GRACE_DAYS = 30;
+
+/**
+ * Provisional access period in days (INVOICE_PAYMENT_GRACE_DAYS env override)
+ * @returns {number} Grace period in days
+ */
+export const getInvoicePaymentGraceDays = () => {
+  const envDays = parseInt(process.env.INVOICE_PAYMENT_GRACE_DAYS, 10);
+  return Number.isFinite(envDays) && envDays > 0 ? envDays : DEFAULT_INVOICE_PAYMENT_GRACE_DAYS;
+};
\ No newline at end of file
@@ -0,0 +1,69 @@
+// Israeli tax document constants (חשבונית מס/קבלה, credit notes and proformas)
+// Document type codes follow the Israel Tax Authority open-format (מבנה אחיד) codes
+
+/**
+ * DOCUMENT TYPES
+ * Each type has its own sequential, gap-free numbering
+ */
+export const INVOICE_DOCUMENT_TYPES = {
+  TAX_INVOICE_RECEIPT: 'tax_invoice_receipt', // חשבונית מס/קבלה
+  CREDIT_NOTE: 'credit_note',                 // חשבונית מס זיכוי
+  PROFORMA: 'proforma'                        // חשבון עסקה - payment request for pay-by-invoice, not a tax document
+};
+
+export const INVOICE_DOCUMENT_TYPE_CODES = {
+  [INVOICE_DOCUMENT_TYPES.TAX_INVOICE_RECEIPT]: 320,
+  [INVOICE_DOCUMENT_TYPES.CREDIT_NOTE]: 330,
+  [INVOICE_DOCUMENT_TYPES.PROFORMA]: 300
+};
+
+export const INVOICE_DOCUMENT_TITLES = {
+  [INVOICE_DOCUMENT_TYPES.TAX_INVOICE_RECEIPT]: 'חשבונית מס/קבלה',
+  [INVOICE_DOCUMENT_TYPES.CREDIT_NOTE]: 'חשבונית מס זיכוי',
+  [INVOICE_DOCUMENT_TYPES.PROFORMA]: 'חשבון עסקה'
+};
+
+/**
+ * VAT
+ * Israeli VAT rate since 2025-01-01. Prices in Ludora are VAT-inclusive.
+ */
+export const DEFAULT_VAT_RATE = 0.18;
+
+/**
+ * Current VAT rate (VAT_RATE env override, e.g. 0.18)
+ * @returns {number} VAT rate as a fraction
+ */
+export const getVatRate = () => {
+  const envRate = parseFloat(process.env.VAT_RATE);
+  return Number.isFinite(envRate) && envRate >= 0 && envRate < 1 ? envRate : DEFAULT_VAT_RATE;
+};
+
+/**
+ * Split a VAT-inclusive total into net amount and VAT
+ * VAT is rounded to the agora and the net amount absorbs the remainder,
+ * so net + VAT always equals the charged total.
+ * @param {number} total - VAT-inclusive total (negative for credit notes)
+ * @param {number} vatRate - VAT rate as a fraction
+ * @returns {Object} { total, netAmount, vatAmount, vatRate }
+ */
+export const calculateVatBreakdown = (total, vatRate = getVatRate()) => {
+  const totalAgorot = Math.round(parseFloat(total || 0) * 100);
+  const vatAgorot = Math.round(totalAgorot * vatRate / (1 + vatRate));
+
+  return {
+    total: totalAgorot / 100,
+    netAmount: (totalAgorot - vatAgorot) / 100,
+    vatAmount: vatAgorot / 100,
+    vatRate
+  };
+};
+
+/**
+ * Display number of a document, e.g. 320-000123
+ * @param {string} documentType - INVOICE_DOCUMENT_TYPES value
+ * @param {number} invoiceNumber - Sequential number within the document type
+ * @returns {string} Formatted document number
+ */
+export const formatInvoiceNumber = (documentType, invoiceNumber) => {
+  return `${INVOICE_DOCUMENT_TYPE_CODES[documentType]}-${String(invoiceNumber).padStart(6, '0')}`;
+};
\ No newline at end of file
@@ -0,0 +1,12 @@
+// Lobby display (spectator / projector mode) constants
+// A classroom board follows one lobby read-only with a display token (LobbyDisplayService)
+
+// JWT `type` of display tokens - never accepted as user or player credentials
+export const DISPLAY_TOKEN_TYPE = 'lobby_display';
+
+// Display tokens cover a lesson: 3 hours by default, at most 12
+export const DEFAULT_DISPLAY_TOKEN_MINUTES = 180;
+export const MAX_DISPLAY_TOKEN_MINUTES = 720;
+
+// Leaderboard entries per session sent to displays
+export const DISPLAY_LEADERBOARD_SIZE = 10;
\ No newline at end of file
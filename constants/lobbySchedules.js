@@ -0,0 +1,39 @@
+// Lobby schedule constants
+// Teachers schedule lobbies to open and close automatically (LobbyScheduleService, JobScheduler)
+
+/**
+ * RECURRENCE
+ * once: a single opens_at / closes_at window
+ * weekly: weekday + start_time (Israel time) + duration_minutes, e.g. a class timetable slot
+ */
+export const LOBBY_SCHEDULE_RECURRENCE = {
+  ONCE: 'once',
+  WEEKLY: 'weekly'
+};
+
+/**
+ * STATUS
+ * next_open_at / next_close_at hold the occurrence a scheduled or open schedule is waiting for
+ */
+export const LOBBY_SCHEDULE_STATUS = {
+  SCHEDULED: 'scheduled', // waiting to open at next_open_at
+  OPEN: 'open',           // opened, closes at next_close_at
+  COMPLETED: 'completed', // one-off schedule done
+  CANCELLED: 'cancelled'
+};
+
+// JobScheduler job types
+export const LOBBY_SCHEDULE_JOBS = {
+  OPEN: 'LOBBY_SCHEDULED_OPEN',
+  CLOSE: 'LOBBY_SCHEDULED_CLOSE'
+};
+
+// Weekly slots are in Israel time
+export const LOBBY_SCHEDULE_TIMEZONE = 'Asia/Jerusalem';
+
+// Scheduled lobbies stay open 5 minutes to 12 hours - never long enough to span a whole Shabbat
+export const MIN_SCHEDULED_LOBBY_MINUTES = 5;
+export const MAX_SCHEDULED_LOBBY_MINUTES = 720;
+
+// Active (scheduled or open) schedules per lobby
+export const MAX_ACTIVE_SCHEDULES_PER_LOBBY = 20;
\ No newline at end of file
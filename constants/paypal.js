@@ -0,0 +1,69 @@
+/**
+ * PayPal Payment Gateway Constants
+ * Centralized constants for PayPal Orders / Subscriptions integration
+ */
+
+// PayPal REST API base URLs
+export const PAYPAL_API_URLS = {
+  LIVE: 'https://api-m.paypal.com',
+  SANDBOX: 'https://api-m.sandbox.paypal.com'
+};
+
+// PayPal webhook event types we process
+export const PAYPAL_EVENT_TYPES = {
+  CHECKOUT_ORDER_APPROVED: 'CHECKOUT.ORDER.APPROVED',
+  PAYMENT_CAPTURE_COMPLETED: 'PAYMENT.CAPTURE.COMPLETED',
+  PAYMENT_CAPTURE_DENIED: 'PAYMENT.CAPTURE.DENIED',
+  PAYMENT_CAPTURE_REFUNDED: 'PAYMENT.CAPTURE.REFUNDED',
+  PAYMENT_SALE_COMPLETED: 'PAYMENT.SALE.COMPLETED',
+  BILLING_SUBSCRIPTION_ACTIVATED: 'BILLING.SUBSCRIPTION.ACTIVATED',
+  BILLING_SUBSCRIPTION_CANCELLED: 'BILLING.SUBSCRIPTION.CANCELLED',
+  BILLING_SUBSCRIPTION_SUSPENDED: 'BILLING.SUBSCRIPTION.SUSPENDED',
+  BILLING_SUBSCRIPTION_EXPIRED: 'BILLING.SUBSCRIPTION.EXPIRED',
+  BILLING_SUBSCRIPTION_PAYMENT_FAILED: 'BILLING.SUBSCRIPTION.PAYMENT.FAILED'
+};
+
+// PayPal order / capture statuses
+export const PAYPAL_ORDER_STATUSES = {
+  CREATED: 'CREATED',
+  APPROVED: 'APPROVED',
+  COMPLETED: 'COMPLETED'
+};
+
+export const PAYPAL_CAPTURE_STATUSES = {
+  COMPLETED: 'COMPLETED',
+  PENDING: 'PENDING',
+  DECLINED: 'DECLINED'
+};
+
+// Headers PayPal signs every webhook delivery with
+export const PAYPAL_WEBHOOK_HEADERS = {
+  AUTH_ALGO: 'paypal-auth-algo',
+  CERT_URL: 'paypal-cert-url',
+  TRANSMISSION_ID: 'paypal-transmission-id',
+  TRANSMISSION_SIG: 'paypal-transmission-sig',
+  TRANSMISSION_TIME: 'paypal-transmission-time'
+};
+
+/**
+ * Format a decimal amount the way PayPal expects it (string with two decimals)
+ * @param {number|string} amount - Decimal amount
+ * @returns {string} - Amount value for PayPal requests (e.g. "49.90")
+ */
+export function toPayPalAmount(amount) {
+  return (Math.round(parseFloat(amount || 0) * 100) / 100).toFixed(2);
+}
+
+/**
+ * Parse a PayPal money object into a decimal amount
+ * @param {Object} money - PayPal money object ({ value, currency_code } or { total, currency })
+ * @returns {number|null} - Decimal amount or null when missing
+ */
+export function fromPayPalAmount(money) {
+  const value = money?.value ?? money?.total;
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  return parseFloat(value);
+}
\ No newline at end of file
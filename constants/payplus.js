@@ -30,7 +30,8 @@ export const TRANSACTION_TYPES = {
   ONE_TIME: 'one-time',
   RECURRING: 'recurring',
   SUBSCRIPTION_PAYMENT: 'subscription_payment',
-  SUBSCRIPTION_RETRY: 'subscription_retry_payment'
+  SUBSCRIPTION_RETRY: 'subscription_retry_payment',
+  REFUND: 'refund'
 };
 
 // PayPlus Charge Methods
@@ -0,0 +1,20 @@
+// School (institutional) licensing constants
+// A school buys a seat-based subscription and its headmaster assigns teachers to the seats
+
+/**
+ * PLAN TYPE
+ * Institution plans are sold per school (never through personal checkout).
+ * SubscriptionPlan.price is the price of one seat for one billing period.
+ */
+export const INSTITUTION_PLAN_TYPE = 'institution';
+
+export const SCHOOL_SEAT_STATUSES = {
+  ACTIVE: 'active',
+  RELEASED: 'released'  // Unassigned or reassigned - kept for the usage history
+};
+
+// Only staff can hold a seat
+export const SEAT_HOLDER_USER_TYPES = ['teacher', 'headmaster'];
+
+// School subscriptions are recorded by an admin after an offline sale
+export const SCHOOL_LICENSE_PAYMENT_PROVIDER = 'institution';
\ No newline at end of file
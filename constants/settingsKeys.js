@@ -116,7 +116,7 @@ export const NAVIGATION_KEYS = {
 
 /**
  * CONTENT CREATOR PERMISSIONS SETTINGS
- * Control what content types creators can create
+ * Control what content types creators can create and their revenue share
  */
 export const CONTENT_CREATOR_KEYS = {
   ALLOW_CONTENT_CREATOR_WORKSHOPS: 'allow_content_creator_workshops',
@@ -125,7 +125,8 @@ export const CONTENT_CREATOR_KEYS = {
   ALLOW_CONTENT_CREATOR_TOOLS: 'allow_content_creator_tools',
   ALLOW_CONTENT_CREATOR_GAMES: 'allow_content_creator_games',
   ALLOW_CONTENT_CREATOR_LESSON_PLANS: 'allow_content_creator_lesson_plans',
-  ALLOW_CONTENT_CREATOR_BUNDLES: 'allow_content_creator_bundles'
+  ALLOW_CONTENT_CREATOR_BUNDLES: 'allow_content_creator_bundles',
+  CREATOR_REVENUE_SHARE_PERCENT: 'creator_revenue_share_percent'
 };
 
 /**
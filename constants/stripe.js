@@ -0,0 +1,48 @@
+/**
+ * Stripe Payment Gateway Constants
+ * Centralized constants for Stripe webhook integration (international sales)
+ */
+
+// Stripe webhook event types we process
+export const STRIPE_EVENT_TYPES = {
+  CHECKOUT_SESSION_COMPLETED: 'checkout.session.completed',
+  PAYMENT_INTENT_SUCCEEDED: 'payment_intent.succeeded',
+  PAYMENT_INTENT_FAILED: 'payment_intent.payment_failed',
+  CHARGE_REFUNDED: 'charge.refunded',
+  INVOICE_PAID: 'invoice.paid',
+  CUSTOMER_SUBSCRIPTION_DELETED: 'customer.subscription.deleted'
+};
+
+// Stripe invoice billing reasons
+export const STRIPE_BILLING_REASONS = {
+  SUBSCRIPTION_CREATE: 'subscription_create',
+  SUBSCRIPTION_CYCLE: 'subscription_cycle'
+};
+
+// Maximum age (seconds) of a signed webhook before it is rejected as a replay
+export const STRIPE_SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Currencies Stripe expresses without minor units
+// See: https://stripe.com/docs/currencies#zero-decimal
+const ZERO_DECIMAL_CURRENCIES = [
+  'bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga',
+  'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'
+];
+
+/**
+ * Convert a Stripe amount (minor units) to a decimal amount
+ * @param {number} amount - Amount in Stripe minor units (e.g. cents)
+ * @param {string} currency - ISO currency code
+ * @returns {number} - Decimal amount as stored on our records
+ */
+export function fromStripeAmount(amount, currency = 'usd') {
+  if (amount === null || amount === undefined) {
+    return null;
+  }
+
+  if (ZERO_DECIMAL_CURRENCIES.includes(String(currency).toLowerCase())) {
+    return Number(amount);
+  }
+
+  return Number(amount) / 100;
+}
\ No newline at end of file
@@ -0,0 +1,29 @@
+// Student invitation constants
+// Teachers invite students to a classroom by email; parents approve by a consent link (StudentInvitationService)
+
+/**
+ * INVITATION STATUS
+ * Lifecycle of a StudentInvitation
+ */
+export const STUDENT_INVITATION_STATUS = {
+  PENDING: 'pending',                                 // sent, waiting for the student
+  AWAITING_PARENT_CONSENT: 'awaiting_parent_consent', // accepted by the student, waiting for the parent
+  ACCEPTED: 'accepted',                               // converted to an active classroom membership
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled'
+};
+
+// Statuses that can still be accepted or consented to (until expires_at)
+export const OPEN_STUDENT_INVITATION_STATUSES = [
+  STUDENT_INVITATION_STATUS.PENDING,
+  STUDENT_INVITATION_STATUS.AWAITING_PARENT_CONSENT
+];
+
+// Fallback when the student_invitation_expiry_days setting is missing or invalid
+export const DEFAULT_STUDENT_INVITATION_EXPIRY_DAYS = 7;
+
+// Invitations per bulk invite request
+export const MAX_STUDENT_INVITATIONS_PER_REQUEST = 50;
+
+// Open invitations are reminded once, this long before they expire
+export const STUDENT_INVITATION_REMINDER_HOURS = 48;
\ No newline at end of file
@@ -0,0 +1,29 @@
+// Team mode constants
+// Lobbies with settings.team_mode split every session's participants into teams (TeamService)
+
+/**
+ * TEAMS
+ * Team ids are stored in GameSession.participants[].team_assignment
+ */
+export const TEAM_ID_PREFIX = 'team_';
+export const MIN_TEAM_COUNT = 2;
+export const MAX_TEAM_COUNT = 8;
+export const DEFAULT_TEAM_COUNT = 2;
+
+// Name of teams without a name in settings.team_names (followed by the team number)
+export const DEFAULT_TEAM_NAME = 'קבוצה';
+
+/**
+ * BALANCING
+ * settings.team_balance - how participants are spread over the teams
+ */
+export const TEAM_BALANCE_MODES = {
+  COUNT: 'count',             // fewest members first
+  PERFORMANCE: 'performance'  // fewest members first, then the weakest team by past accuracy
+};
+
+// Recent results averaged into a participant's performance rating
+export const PERFORMANCE_HISTORY_LIMIT = 10;
+
+// Rating (accuracy %) of guests and participants without results
+export const DEFAULT_PERFORMANCE_RATING = 50;
\ No newline at end of file
@@ -0,0 +1,33 @@
+// Two-factor authentication (TOTP) constants
+// Authenticator-app codes for admins and content creators (TwoFactorService)
+
+// Shown as the account issuer in authenticator apps
+export const TWO_FACTOR_ISSUER = 'Ludora';
+
+// RFC 6238 parameters every authenticator app supports
+export const TOTP_PERIOD_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+export const TOTP_SECRET_BYTES = 20;
+
+// Accepted clock drift, in periods before and after now
+export const TOTP_WINDOW = 1;
+
+/**
+ * ENROLMENT STATUS
+ */
+export const TWO_FACTOR_STATUS = {
+  PENDING: 'pending',   // secret issued, waiting for the first code
+  ENABLED: 'enabled'
+};
+
+// Single-use backup codes issued on enrolment (format xxxxx-xxxxx)
+export const BACKUP_CODE_COUNT = 10;
+
+// A verified second factor covers sensitive actions on the same session for this long
+export const STEP_UP_VALIDITY_MINUTES = 15;
+
+// Roles that must enrol before sensitive admin actions - content creators may opt in
+export const TWO_FACTOR_REQUIRED_ROLES = ['admin', 'sysadmin'];
+
+// JWT `type` of the maintenance-mode admin access token
+export const ADMIN_ACCESS_TOKEN_TYPE = 'admin_access';
\ No newline at end of file
@@ -124,6 +124,11 @@ import curriculumLinkingRoutes from './routes/curriculum-linking.js';
 import seoRoutes from './routes/seo.js';
 import classroomsRoutes from './routes/classrooms.js';
 import studentPortalSettingsRoutes from './routes/studentPortalSettings.js';
+import creatorEarningsRoutes from './routes/creatorEarnings.js';
+import schoolLicensesRoutes from './routes/schoolLicenses.js';
+import homeworkRoutes from './routes/homework.js';
+import parentsRoutes from './routes/parents.js';
+import dataSubjectRequestsRoutes from './routes/dataSubjectRequests.js';
 
 // Import OpenAPI documentation (development only)
 let swaggerUi, openApiSpecs;
@@ -137,11 +142,16 @@ if (process.env.NODE_ENV !== 'production' && process.env.ENVIRONMENT !== 'produc
 import AuthService from './services/AuthService.js';
 import PlayerService from './services/PlayerService.js';
 import SettingsService from './services/SettingsService.js';
+import LobbySocketService from './services/LobbySocketService.js';
+import LobbyDisplayService from './services/LobbyDisplayService.js';
+import GameSessionService from './services/GameSessionService.js';
+import ParticipantPresenceService from './services/ParticipantPresenceService.js';
 import { getPortalCookieNames } from './utils/cookieConfig.js';
 
 // Initialize services for Socket.IO authentication
 const socketAuthService = AuthService; // Use singleton instance
 const socketPlayerService = new PlayerService();
+const participantPresence = new ParticipantPresenceService(socketPlayerService);
 
 // Socket.IO Portal Authentication Constants
 const SOCKET_PORTAL_TYPES = {
@@ -284,6 +294,11 @@ app.use('/api/curriculum-linking', curriculumLinkingRoutes);
 app.use('/api/seo', seoRoutes);
 app.use('/api/classrooms', classroomsRoutes);
 app.use('/api/student-portal/settings', studentPortalSettingsRoutes);
+app.use('/api/creator-earnings', creatorEarningsRoutes);
+app.use('/api/school-licenses', schoolLicensesRoutes);
+app.use('/api/homework', homeworkRoutes);
+app.use('/api/parents', parentsRoutes);
+app.use('/api/data-subject-requests', dataSubjectRequestsRoutes);
 
 // Webhook Routes (separate CORS policy for external providers)
 app.use('/api/webhooks', webhookRoutes);
@@ -371,6 +386,9 @@ app.get('/api', (req, res) => {
       'curriculum-linking': '/api/curriculum-linking',
       seo: '/api/seo',
       classrooms: '/api/classrooms',
+      homework: '/api/homework',
+      parents: '/api/parents',
+      'data-subject-requests': '/api/data-subject-requests',
       'student-portal-settings': '/api/student-portal/settings'
     },
     documentation: process.env.API_DOCS_URL || 'No documentation URL configured'
@@ -463,7 +481,9 @@ function parseSocketPortalContext(socket) {
     portalType: combined.portalType || SOCKET_PORTAL_TYPES.TEACHER,
     credentialPolicy: combined.credentialPolicy || SOCKET_CREDENTIAL_POLICIES.WITH_CREDENTIALS,
     studentsAccessMode: combined.studentsAccessMode || null,
-    authMethod: combined.authMethod || 'firebase'
+    authMethod: combined.authMethod || 'firebase',
+    // Classroom display token - handshake auth only, never the query string
+    displayToken: auth.displayToken || null
   };
 }
 
@@ -629,6 +649,21 @@ io.use(async (socket, next) => {
     socket.user = null;
     socket.player = null;
 
+    // Classroom displays connect read-only to one lobby with a display token instead of credentials
+    if (portalContext.displayToken) {
+      const display = await LobbyDisplayService.verifyDisplayToken(portalContext.displayToken);
+      if (!display) {
+        return next(new Error('Invalid or expired display token'));
+      }
+
+      Object.assign(socket, {
+        display,
+        authMethod: 'display_token',
+        isAuthenticated: false
+      });
+      return next();
+    }
+
     // Validate based on credential policy
     const { credentialPolicy, portalType, studentsAccessMode: _studentsAccessMode } = portalContext;
 
@@ -755,27 +790,101 @@ io.use(async (socket, next) => {
 
 // Socket.IO connection handling with portal-aware context
 io.on('connection', (socket) => {
-  // Join lobby updates channel
-  socket.on('join-lobby-updates', () => {
-    socket.join('lobby-updates');
+  // Classroom displays only follow their lobby's display room - no other handlers
+  if (socket.display) {
+    LobbyDisplayService.connectDisplay(socket).catch(error => {
+      luderror.system('🔌 Failed to connect lobby display:', error, { socketId: socket.id });
+    });
+    return;
+  }
+
+  // Teachers follow every lobby they own or host on their dashboard room
+  if (socket.user) {
+    LobbySocketService.joinTeacherRoom(socket);
+  }
+
+  // Players get notifications (e.g. scheduled lobby openings) in their own room
+  LobbySocketService.joinPlayerRoom(socket);
+
+  // Players' online status follows their sockets (with a reconnect grace window)
+  participantPresence.handleConnection(socket).catch(error => {
+    luderror.system('🔌 Failed to track socket presence:', error, { socketId: socket.id });
+  });
+
+  // Reply through the client's acknowledgement callback when one was given
+  const acknowledge = (ack, result) => {
+    if (typeof ack === 'function') {
+      ack(result);
+    }
+  };
+
+  // Join a lobby room (owner, host or session participant)
+  socket.on('join-lobby', async (lobbyId, ack) => {
+    acknowledge(ack, await LobbySocketService.joinLobbyRoom(socket, lobbyId));
+  });
+
+  // Join a session room (owner, host or participant)
+  // Participants take (or retake, after a reconnect) their seat; every join gets a 'session:snapshot'
+  socket.on('join-session', async (sessionId, ack) => {
+    const result = await LobbySocketService.joinSessionRoom(socket, sessionId);
+    if (!result.success) {
+      return acknowledge(ack, result);
+    }
+
+    try {
+      const snapshot = await participantPresence.joinSession(socket, sessionId);
+      acknowledge(ack, { ...result, participant_id: snapshot.participant_id || null });
+    } catch (error) {
+      luderror.system('🔌 Failed to resume session:', error, { socketId: socket.id, sessionId });
+      acknowledge(ack, result);
+    }
+  });
+
+  // Move in a server-authoritative game (e.g. { sessionId, move: { type: 'flip', card_id } } or { type: 'answer', choice_id })
+  socket.on('game:move', async ({ sessionId, move } = {}, ack) => {
+    try {
+      const { result, session } = await GameSessionService.applyMove(
+        sessionId,
+        move,
+        LobbySocketService.getSocketIdentity(socket)
+      );
+      acknowledge(ack, { success: true, result, current_state: session.current_state, status: session.status });
+    } catch (error) {
+      acknowledge(ack, { success: false, error: error.message });
+    }
+  });
+
+  socket.on('leave-lobby', (lobbyId) => {
+    socket.leave(LobbySocketService.getLobbyRoom(lobbyId));
+  });
+
+  socket.on('leave-session', (sessionId) => {
+    socket.leave(LobbySocketService.getSessionRoom(sessionId));
+    participantPresence.leaveSession(socket, sessionId);
+  });
+
+  // Legacy global channel - now the teacher dashboard room of the socket's own user
+  socket.on('join-lobby-updates', (ack) => {
+    acknowledge(ack, LobbySocketService.joinTeacherRoom(socket));
   });
 
   // Legacy event handler for backward compatibility
-  socket.on('join', (channel) => {
+  socket.on('join', (channel, ack) => {
     if (channel === 'lobby-updates') {
-      socket.join('lobby-updates');
+      acknowledge(ack, LobbySocketService.joinTeacherRoom(socket));
     }
   });
 
-  // Leave lobby updates channel
   socket.on('leave-lobby-updates', () => {
-    socket.leave('lobby-updates');
+    if (socket.user?.id) {
+      socket.leave(LobbySocketService.getTeacherRoom(socket.user.id));
+    }
   });
 
   // Legacy event handler for backward compatibility
   socket.on('leave', (channel) => {
-    if (channel === 'lobby-updates') {
-      socket.leave('lobby-updates');
+    if (channel === 'lobby-updates' && socket.user?.id) {
+      socket.leave(LobbySocketService.getTeacherRoom(socket.user.id));
     }
   });
 
@@ -785,7 +894,8 @@ io.on('connection', (socket) => {
   });
 
   socket.on('disconnect', (_reason) => {
-    // Client disconnected - cleanup is handled automatically by Socket.IO
+    // Rooms are left automatically by Socket.IO; seats are kept for the reconnect grace window
+    participantPresence.handleDisconnect(socket);
   });
 
   // Handle connection errors
@@ -920,6 +1030,48 @@ async function startServer() {
 
           ludlog.api('Automated logs cleanup scheduled successfully');
 
+          // Schedule creator revenue share accrual (daily at 1 AM)
+          await jobScheduler.scheduleRecurringJob('CREATOR_EARNINGS_ACCRUAL',
+            {
+              daysBack: 7, // Overlaps previous runs - accrual is idempotent
+              batchSize: 500,
+              includeSubscriptions: true
+            },
+            '0 1 * * *', // Every day at 1 AM
+            { priority: 15 }
+          );
+
+          ludlog.api('Automated creator earnings accrual scheduled successfully');
+
+          // Schedule student invitation reminders (daily at 4 PM) and expiry (every hour)
+          await jobScheduler.scheduleRecurringJob('STUDENT_INVITATION_REMINDERS',
+            {
+              hoursBeforeExpiry: 48,
+              batchSize: 200
+            },
+            '0 16 * * *', // Every day at 4 PM
+            { priority: 25 }
+          );
+
+          await jobScheduler.scheduleRecurringJob('STUDENT_INVITATION_EXPIRY',
+            {},
+            '15 * * * *', // Every hour at :15
+            { priority: 25 }
+          );
+
+          ludlog.api('Student invitation reminder and expiry jobs scheduled successfully');
+
+          // Schedule data subject export archive cleanup (daily at 3:30 AM)
+          await jobScheduler.scheduleRecurringJob('DSR_EXPORT_CLEANUP',
+            {
+              batchSize: 100
+            },
+            '30 3 * * *', // Every day at 3:30 AM
+            { priority: 20 }
+          );
+
+          ludlog.api('Data subject export cleanup scheduled successfully');
+
           // Initialize AuthService session cleanup jobs
           try {
             const authService = (await import('./services/AuthService.js')).default;
@@ -1,7 +1,9 @@
 import AuthService from '../services/AuthService.js';
 import PlayerService from '../services/PlayerService.js';
 import SettingsService from '../services/SettingsService.js';
+import TwoFactorService from '../services/TwoFactorService.js';
 import models from '../models/index.js';
+import { luderror } from '../lib/ludlog.js';
 import {
   logCookieConfig,
   detectPortal,
@@ -129,6 +131,15 @@ export async function optionalAuth(req, res, next) {
   }
 }
 
+// Pin the portal for routes that serve a single portal (e.g. /api/parents)
+// so auth cookies and sessions don't depend on the request host
+export function usePortal(portal) {
+  return (req, res, next) => {
+    req.portal = portal;
+    next();
+  };
+}
+
 // Role-based access control
 export function requireRole(requiredRole = 'user') {
   return async (req, res, next) => {
@@ -158,6 +169,47 @@ export const requireAdmin = requireRole('admin');
 // Sysadmin role check middleware
 export const requireSysadmin = requireRole('sysadmin');
 
+// tokenId of the portal's refresh token cookie - identifies the UserSession of the request
+export function getRequestRefreshTokenId(req) {
+  const refreshToken = req.cookies?.[getPortalCookieNames(detectPortal(req)).refreshToken];
+  return refreshToken ? authService.getRefreshTokenId(refreshToken) : null;
+}
+
+// Step-up check for sensitive actions - use after authenticateToken
+// Requires a second factor verified on the current session within STEP_UP_VALIDITY_MINUTES.
+// Admins without a second factor are told to enrol; other users pass until they opt in.
+export async function requireTwoFactor(req, res, next) {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const stepUp = await TwoFactorService.getStepUp(req.user.id, getRequestRefreshTokenId(req));
+
+    if (!stepUp.enrolled) {
+      if (TwoFactorService.isRequired(req.user)) {
+        return res.status(403).json({
+          error: 'Two-factor authentication must be enabled for this action',
+          code: 'TWO_FACTOR_ENROLMENT_REQUIRED'
+        });
+      }
+      return next();
+    }
+
+    if (!stepUp.verified) {
+      return res.status(403).json({
+        error: 'Two-factor verification required',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    next();
+  } catch (error) {
+    luderror.auth('Two-factor verification check failed:', { userId: req.user?.id, error: error.message });
+    res.status(500).json({ error: 'Failed to check two-factor verification' });
+  }
+}
+
 // User type check middleware (for teacher, student, parent, headmaster)
 export function requireUserType(requiredUserType) {
   return async (req, res, next) => {
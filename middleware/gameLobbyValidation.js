@@ -2,6 +2,13 @@
 // Joi validation schemas for GameLobby-related requests
 
 import Joi from 'joi';
+import { MIN_TEAM_COUNT, MAX_TEAM_COUNT, TEAM_BALANCE_MODES } from '../constants/teams.js';
+import {
+  LOBBY_SCHEDULE_RECURRENCE,
+  MIN_SCHEDULED_LOBBY_MINUTES,
+  MAX_SCHEDULED_LOBBY_MINUTES
+} from '../constants/lobbySchedules.js';
+import { DEFAULT_DISPLAY_TOKEN_MINUTES, MAX_DISPLAY_TOKEN_MINUTES } from '../constants/lobbyDisplay.js';
 
 /**
  * Validation schemas for GameLobby operations
@@ -39,9 +46,35 @@ const lobbySettingsSchema = Joi.object({
 
   // Allow additional custom settings
   team_mode: Joi.boolean().optional(),
+
+  // Team mode settings (TeamService)
+  team_count: Joi.number().integer().min(MIN_TEAM_COUNT).max(MAX_TEAM_COUNT).optional()
+    .messages({
+      'number.min': `Team count must be at least ${MIN_TEAM_COUNT}`,
+      'number.max': `Team count cannot exceed ${MAX_TEAM_COUNT}`
+    }),
+
+  team_balance: Joi.string()
+    .valid(...Object.values(TEAM_BALANCE_MODES))
+    .optional()
+    .messages({
+      'any.only': `Team balance must be one of: ${Object.values(TEAM_BALANCE_MODES).join(', ')}`
+    }),
+
+  team_names: Joi.array().items(Joi.string().trim().min(1).max(30)).max(MAX_TEAM_COUNT).optional()
+    .messages({
+      'string.max': 'Team name cannot exceed 30 characters',
+      'array.max': `Cannot name more than ${MAX_TEAM_COUNT} teams`
+    }),
+
   scoring_mode: Joi.string().valid('individual', 'team', 'collaborative').optional(),
   difficulty_level: Joi.string().valid('easy', 'medium', 'hard').optional(),
-  time_pressure: Joi.boolean().optional()
+  time_pressure: Joi.boolean().optional(),
+
+  // Quiz game settings (override the game's game_settings, limits in config/gameTypes.js)
+  question_count: Joi.number().integer().min(3).max(50).optional(),
+  choices_per_question: Joi.number().integer().min(2).max(6).optional(),
+  seconds_per_question: Joi.number().integer().min(5).max(300).optional()
 }).options({ stripUnknown: false }); // Allow additional properties
 
 // Create Lobby Schema
@@ -148,6 +181,72 @@ const setLobbyExpirationSchema = Joi.object({
     })
 });
 
+// Create Lobby Schedule Schema
+// once: opens_at / closes_at; weekly: weekday (0 = Sunday) + start_time (HH:mm, Israel time) + duration_minutes
+const createLobbyScheduleSchema = Joi.object({
+  recurrence: Joi.string()
+    .valid(...Object.values(LOBBY_SCHEDULE_RECURRENCE))
+    .default(LOBBY_SCHEDULE_RECURRENCE.ONCE),
+
+  opens_at: Joi.when('recurrence', {
+    is: LOBBY_SCHEDULE_RECURRENCE.ONCE,
+    then: Joi.date().greater('now').required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'date.greater': 'Opening time must be in the future',
+    'any.required': 'opens_at is required for a one-time schedule'
+  }),
+
+  closes_at: Joi.when('recurrence', {
+    is: LOBBY_SCHEDULE_RECURRENCE.ONCE,
+    then: Joi.date().greater(Joi.ref('opens_at')).required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'date.greater': 'Closing time must be after the opening time',
+    'any.required': 'closes_at is required for a one-time schedule'
+  }),
+
+  weekday: Joi.when('recurrence', {
+    is: LOBBY_SCHEDULE_RECURRENCE.WEEKLY,
+    then: Joi.number().integer().min(0).max(6).required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'any.required': 'weekday is required for a weekly schedule (0 = Sunday ... 6 = Saturday)'
+  }),
+
+  start_time: Joi.when('recurrence', {
+    is: LOBBY_SCHEDULE_RECURRENCE.WEEKLY,
+    then: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'string.pattern.base': 'start_time must be in HH:mm format',
+    'any.required': 'start_time is required for a weekly schedule'
+  }),
+
+  duration_minutes: Joi.when('recurrence', {
+    is: LOBBY_SCHEDULE_RECURRENCE.WEEKLY,
+    then: Joi.number().integer().min(MIN_SCHEDULED_LOBBY_MINUTES).max(MAX_SCHEDULED_LOBBY_MINUTES).required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'number.min': `A scheduled lobby must stay open at least ${MIN_SCHEDULED_LOBBY_MINUTES} minutes`,
+    'number.max': `A scheduled lobby can stay open at most ${MAX_SCHEDULED_LOBBY_MINUTES} minutes`,
+    'any.required': 'duration_minutes is required for a weekly schedule'
+  })
+});
+
+// Issue Display Token Schema (classroom display / projector mode)
+const issueDisplayTokenSchema = Joi.object({
+  ttl_minutes: Joi.number()
+    .integer()
+    .min(5)
+    .max(MAX_DISPLAY_TOKEN_MINUTES)
+    .default(DEFAULT_DISPLAY_TOKEN_MINUTES)
+    .messages({
+      'number.min': 'Display token must be valid for at least 5 minutes',
+      'number.max': `Display token can be valid for at most ${MAX_DISPLAY_TOKEN_MINUTES} minutes`
+    })
+});
+
 // Join by Code Schema
 const joinByCodeSchema = Joi.object({
   lobby_code: Joi.string()
@@ -215,6 +314,15 @@ const lobbyIdParamSchema = Joi.object({
     })
 });
 
+const scheduleParamsSchema = lobbyIdParamSchema.keys({
+  scheduleId: Joi.string()
+    .max(50)
+    .required()
+    .messages({
+      'any.required': 'Schedule ID is required'
+    })
+});
+
 const gameIdParamSchema = Joi.object({
   gameId: Joi.string()
     .pattern(/^[A-Za-z0-9]{6}$/)
@@ -344,6 +452,70 @@ export const validateSetLobbyExpiration = (req, res, next) => {
   next();
 };
 
+// Validate create lobby schedule request
+export const validateCreateLobbySchedule = (req, res, next) => {
+  // Validate path parameters
+  const { error: paramError, value: paramValue } = lobbyIdParamSchema.validate(req.params);
+  if (paramError) {
+    return res.status(400).json({
+      error: 'Validation error',
+      details: paramError.details[0].message
+    });
+  }
+
+  // Validate request body
+  const { error: bodyError, value: bodyValue } = createLobbyScheduleSchema.validate(req.body);
+  if (bodyError) {
+    return res.status(400).json({
+      error: 'Validation error',
+      details: bodyError.details[0].message
+    });
+  }
+
+  req.validatedParams = paramValue;
+  req.validatedData = bodyValue;
+  next();
+};
+
+// Validate issue display token request
+export const validateIssueDisplayToken = (req, res, next) => {
+  // Validate path parameters
+  const { error: paramError, value: paramValue } = lobbyIdParamSchema.validate(req.params);
+  if (paramError) {
+    return res.status(400).json({
+      error: 'Validation error',
+      details: paramError.details[0].message
+    });
+  }
+
+  // Validate request body
+  const { error: bodyError, value: bodyValue } = issueDisplayTokenSchema.validate(req.body || {});
+  if (bodyError) {
+    return res.status(400).json({
+      error: 'Validation error',
+      details: bodyError.details[0].message
+    });
+  }
+
+  req.validatedParams = paramValue;
+  req.validatedData = bodyValue;
+  next();
+};
+
+// Validate lobby schedule path parameters
+export const validateLobbyScheduleParams = (req, res, next) => {
+  const { error, value } = scheduleParamsSchema.validate(req.params);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation error',
+      details: error.details[0].message
+    });
+  }
+
+  req.validatedParams = value;
+  next();
+};
+
 // Validate join by code request
 export const validateJoinByCode = (req, res, next) => {
   const { error, value } = joinByCodeSchema.validate(req.body);
@@ -427,6 +599,8 @@ export {
   updateLobbySchema,
   activateLobbySchema,
   setLobbyExpirationSchema,
+  createLobbyScheduleSchema,
+  issueDisplayTokenSchema,
   joinByCodeSchema,
   lobbySettingsSchema
 };
\ No newline at end of file
@@ -165,6 +165,22 @@ const participantIdParamSchema = Joi.object({
     })
 });
 
+// Set Participant Team Schema (teacher override)
+const setParticipantTeamSchema = Joi.object({
+  team_assignment: Joi.string()
+    .max(10)
+    .required()
+    .messages({
+      'string.max': 'Team assignment cannot exceed 10 characters',
+      'any.required': 'Team assignment is required'
+    })
+});
+
+// Rebalance Teams Schema
+const rebalanceTeamsSchema = Joi.object({
+  keep_overrides: Joi.boolean().default(true)
+});
+
 /**
  * Validation middleware functions
  */
@@ -322,6 +338,58 @@ export const validateUpdateSession = (req, res, next) => {
   next();
 };
 
+// Validate set participant team request
+export const validateSetParticipantTeam = (req, res, next) => {
+  // Validate path parameters
+  const { error: paramError, value: paramValue } = sessionIdParamSchema
+    .concat(participantIdParamSchema)
+    .validate(req.params);
+  if (paramError) {
+    return res.status(400).json({
+      error: 'Validation error',
+      details: paramError.details[0].message
+    });
+  }
+
+  // Validate request body
+  const { error: bodyError, value: bodyValue } = setParticipantTeamSchema.validate(req.body);
+  if (bodyError) {
+    return res.status(400).json({
+      error: 'Validation error',
+      details: bodyError.details[0].message
+    });
+  }
+
+  req.validatedParams = paramValue;
+  req.validatedData = bodyValue;
+  next();
+};
+
+// Validate rebalance teams request
+export const validateRebalanceTeams = (req, res, next) => {
+  // Validate path parameters
+  const { error: paramError, value: paramValue } = sessionIdParamSchema.validate(req.params);
+  if (paramError) {
+    return res.status(400).json({
+      error: 'Validation error',
+      details: paramError.details[0].message
+    });
+  }
+
+  // Validate request body
+  const { error: bodyError, value: bodyValue } = rebalanceTeamsSchema.validate(req.body || {});
+  if (bodyError) {
+    return res.status(400).json({
+      error: 'Validation error',
+      details: bodyError.details[0].message
+    });
+  }
+
+  req.validatedParams = paramValue;
+  req.validatedData = bodyValue;
+  next();
+};
+
 // Validate session ID parameter only
 export const validateSessionId = (req, res, next) => {
   const { error, value } = sessionIdParamSchema.validate(req.params);
@@ -386,5 +454,7 @@ export {
   updateGameStateSchema,
   finishSessionSchema,
   updateSessionSchema,
+  setParticipantTeamSchema,
+  rebalanceTeamsSchema,
   participantSchema
 };
\ No newline at end of file
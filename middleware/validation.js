@@ -1,6 +1,7 @@
 import Joi from 'joi';
 import rateLimit from 'express-rate-limit';
-import { GAME_TYPE_KEYS } from '../config/gameTypes.js';
+import { GAME_TYPE_KEYS, validateGameTypeData } from '../config/gameTypes.js';
+import { MAX_STUDENT_INVITATIONS_PER_REQUEST } from '../constants/studentInvitations.js';
 
 // Generic validation middleware
 export function validateBody(schema) {
@@ -39,6 +40,17 @@ export function validateQuery(schema) {
   };
 }
 
+// game_settings must match the typed validation rules of the game type (config/gameTypes.js)
+// Only checked when the request names the game type
+function validateGameSettings(value, helpers) {
+  if (!value.game_type || !value.game_settings) {
+    return value;
+  }
+
+  const { isValid, errors } = validateGameTypeData(value.game_type, value);
+  return isValid ? value : helpers.message(errors.join('; '));
+}
+
 // Common validation schemas
 export const schemas = {
   // Authentication
@@ -83,6 +95,13 @@ export const schemas = {
     })
   }),
 
+  // 6-digit authenticator code or a backup code (xxxxx-xxxxx)
+  twoFactorCode: Joi.object({
+    code: Joi.string().trim().pattern(/^(\d{6}|[A-Za-z0-9]{5}-?[A-Za-z0-9]{5})$/).required().messages({
+      'string.pattern.base': 'Code must be a 6-digit authenticator code or a backup code'
+    })
+  }),
+
   // Entity operations
   entityCreate: Joi.object().pattern(
     Joi.string(),
@@ -426,7 +445,7 @@ export const schemas = {
     game_settings: Joi.object().required().messages({
       'any.required': 'Game settings are required'
     })
-  }),
+  }).custom(validateGameSettings),
 
   // Game update (same as create but without required fields)
   gameUpdate: Joi.object({
@@ -451,7 +470,36 @@ export const schemas = {
     tags: Joi.array().items(Joi.string()),
     image_url: Joi.string().uri().allow(null, ''),
     game_settings: Joi.object()
-  }).min(1)
+  }).min(1).custom(validateGameSettings),
+
+  // Classroom invitation schemas
+  studentInvitations: Joi.object({
+    invitations: Joi.array().items(Joi.object({
+      student_email: Joi.string().email().required().messages({
+        'string.email': 'Please provide a valid student email address',
+        'any.required': 'Student email is required'
+      }),
+      student_name: Joi.string().max(100).allow(null, ''),
+      parent_email: Joi.string().email().allow(null, '').messages({
+        'string.email': 'Please provide a valid parent email address'
+      }),
+      parent_name: Joi.string().max(100).allow(null, '')
+    })).min(1).max(MAX_STUDENT_INVITATIONS_PER_REQUEST).required().messages({
+      'array.max': `Cannot send more than ${MAX_STUDENT_INVITATIONS_PER_REQUEST} invitations at once`,
+      'any.required': 'Invitations are required'
+    })
+  }),
+
+  parentConsent: Joi.object({
+    parent_name: Joi.string().min(2).max(100).required().messages({
+      'any.required': 'Parent name is required'
+    }),
+    parent_phone: Joi.string().max(30).allow(null, ''),
+    consent: Joi.boolean().valid(true).required().messages({
+      'any.only': 'Consent must be given explicitly',
+      'any.required': 'Consent must be given explicitly'
+    })
+  })
 };
 
 // Rate limiting middleware
@@ -502,6 +550,17 @@ export const rateLimiters = {
     legacyHeaders: false
   }),
 
+  // Gift code lookup and redemption (prevents guessing codes)
+  giftCode: rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20, // 20 attempts per 15 minutes
+    message: {
+      error: 'Too many gift code attempts, please try again later'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+  }),
+
   // Payment status checking endpoints (CRITICAL: Prevent API overload)
   paymentStatusCheck: rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
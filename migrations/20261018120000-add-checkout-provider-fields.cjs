@@ -0,0 +1,62 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Transaction: record how the settling provider's result was applied (provider itself is payment_method)
+    const transactionTable = await queryInterface.describeTable('transaction');
+
+    if (!transactionTable.resolution_method) {
+      await queryInterface.addColumn('transaction', 'resolution_method', {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: 'How the payment provider result was applied (webhook, polling, manual)'
+      });
+      console.log('✅ Added resolution_method column to transaction table');
+    } else {
+      console.log('⚠️ resolution_method column already exists on transaction, skipping');
+    }
+
+    try {
+      await queryInterface.addIndex('transaction', ['payment_method', 'resolution_method'], {
+        name: 'idx_transaction_settlement'
+      });
+      console.log('✅ Created index idx_transaction_settlement for provider reporting');
+    } catch (error) {
+      if (error.message.includes('already exists')) {
+        console.log('⚠️ Index idx_transaction_settlement already exists, skipping');
+      } else {
+        throw error;
+      }
+    }
+
+    // SubscriptionPlan: PayPal billing plan used for PayPal subscriptions
+    const subscriptionPlanTable = await queryInterface.describeTable('subscriptionplan');
+
+    if (!subscriptionPlanTable.paypal_plan_id) {
+      await queryInterface.addColumn('subscriptionplan', 'paypal_plan_id', {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'PayPal billing plan id (P-...) for PayPal subscriptions'
+      });
+      console.log('✅ Added paypal_plan_id column to subscriptionplan table');
+    } else {
+      console.log('⚠️ paypal_plan_id column already exists, skipping');
+    }
+
+    console.log('🎯 Migration completed: Checkout provider fields added');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('transaction', 'idx_transaction_settlement');
+    console.log('❌ Removed index idx_transaction_settlement');
+
+    await queryInterface.removeColumn('transaction', 'resolution_method');
+    console.log('❌ Removed resolution_method column from transaction table');
+
+    await queryInterface.removeColumn('subscriptionplan', 'paypal_plan_id');
+    console.log('❌ Removed paypal_plan_id column from subscriptionplan table');
+
+    console.log('🔄 Migration rollback completed: Checkout provider fields removed');
+  }
+};
\ No newline at end of file
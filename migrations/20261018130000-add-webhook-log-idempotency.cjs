@@ -0,0 +1,69 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // WebhookLog: generic webhook provider name, delivery dedupe key and retry bookkeeping
+    const webhookLogTable = await queryInterface.describeTable('webhook_log');
+
+    if (!webhookLogTable.integration) {
+      await queryInterface.addColumn('webhook_log', 'integration', {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: 'Generic webhook provider name (provider = generic)'
+      });
+      console.log('✅ Added integration column to webhook_log table');
+    } else {
+      console.log('⚠️ integration column already exists on webhook_log, skipping');
+    }
+
+    if (!webhookLogTable.idempotency_key) {
+      await queryInterface.addColumn('webhook_log', 'idempotency_key', {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        comment: 'Provider delivery key used to deduplicate generic webhooks'
+      });
+      console.log('✅ Added idempotency_key column to webhook_log table');
+    } else {
+      console.log('⚠️ idempotency_key column already exists on webhook_log, skipping');
+    }
+
+    if (!webhookLogTable.retry_count) {
+      await queryInterface.addColumn('webhook_log', 'retry_count', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      });
+      console.log('✅ Added retry_count column to webhook_log table');
+    } else {
+      console.log('⚠️ retry_count column already exists on webhook_log, skipping');
+    }
+
+    try {
+      await queryInterface.addIndex('webhook_log', ['integration', 'idempotency_key'], {
+        name: 'idx_webhook_log_idempotency'
+      });
+      console.log('✅ Created index idx_webhook_log_idempotency for webhook dedupe');
+    } catch (error) {
+      if (error.message.includes('already exists')) {
+        console.log('⚠️ Index idx_webhook_log_idempotency already exists, skipping');
+      } else {
+        throw error;
+      }
+    }
+
+    console.log('🎯 Migration completed: Generic webhook fields added');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('webhook_log', 'idx_webhook_log_idempotency');
+    console.log('❌ Removed index idx_webhook_log_idempotency');
+
+    await queryInterface.removeColumn('webhook_log', 'retry_count');
+    await queryInterface.removeColumn('webhook_log', 'idempotency_key');
+    await queryInterface.removeColumn('webhook_log', 'integration');
+    console.log('❌ Removed generic webhook columns from webhook_log table');
+
+    console.log('🔄 Migration rollback completed: Generic webhook fields removed');
+  }
+};
\ No newline at end of file
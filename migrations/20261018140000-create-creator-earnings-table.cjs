@@ -0,0 +1,179 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('creator_earnings')) {
+      console.log('⚠️ creator_earnings table already exists, skipping table creation');
+    } else {
+      await queryInterface.createTable('creator_earnings', {
+        id: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+          allowNull: false
+        },
+        creator_user_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          references: {
+            model: 'user',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'RESTRICT',
+          comment: 'Content creator the entry is owed to (product.creator_user_id)'
+        },
+        entry_type: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          comment: 'earning: share of revenue, clawback: negative entry reversing a refunded earning'
+        },
+        source_type: {
+          type: Sequelize.STRING(30),
+          allowNull: false,
+          comment: 'What generated the revenue: purchase, subscription_claim'
+        },
+        source_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          comment: 'Dedupe key - purchase id, claim id + month, or refund transaction id'
+        },
+        purchase_id: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        subscription_purchase_id: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        product_id: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        product_type: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        period: {
+          type: Sequelize.STRING(7),
+          allowNull: false,
+          comment: 'Statement month in YYYY-MM format'
+        },
+        gross_amount: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false
+        },
+        share_percent: {
+          type: Sequelize.DECIMAL(5, 2),
+          allowNull: false
+        },
+        creator_amount: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false
+        },
+        platform_amount: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false
+        },
+        currency: {
+          type: Sequelize.STRING(3),
+          allowNull: false,
+          defaultValue: 'ILS'
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'pending',
+          comment: 'pending, paid'
+        },
+        payout_batch_id: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        paid_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        metadata: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: {}
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      });
+      console.log('✅ Created creator_earnings table');
+    }
+
+    const indexes = [
+      { name: 'idx_creator_earnings_creator_period', fields: ['creator_user_id', 'period'] },
+      { name: 'idx_creator_earnings_status', fields: ['status'] },
+      { name: 'idx_creator_earnings_purchase', fields: ['purchase_id'] },
+      { name: 'idx_creator_earnings_payout_batch', fields: ['payout_batch_id'] },
+      // One earning and one clawback per source - makes accrual safe to re-run
+      { name: 'unique_creator_earnings_source', fields: ['entry_type', 'source_type', 'source_id'], unique: true }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex('creator_earnings', index.fields, {
+          name: index.name,
+          unique: !!index.unique
+        });
+        console.log(`✅ Created index ${index.name}`);
+      } catch (error) {
+        if (error.message.includes('already exists')) {
+          console.log(`⚠️ Index ${index.name} already exists, skipping`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    // Default creator revenue share
+    const existingSetting = await queryInterface.rawSelect('settings', {
+      where: { key: 'creator_revenue_share_percent' }
+    }, ['id']);
+
+    if (!existingSetting) {
+      const settingId = 'settings_' + Math.random().toString(36).substring(2, 10);
+
+      await queryInterface.bulkInsert('settings', [{
+        id: settingId,
+        key: 'creator_revenue_share_percent',
+        value: JSON.stringify(70), // JSONB field requires JSON string
+        value_type: 'number',
+        description: 'Percentage of product revenue owed to the content creator (the platform keeps the rest)',
+        created_at: new Date(),
+        updated_at: new Date()
+      }]);
+
+      console.log('✅ Added creator_revenue_share_percent setting with value: 70');
+    } else {
+      console.log('⚠️ creator_revenue_share_percent setting already exists, keeping current value');
+    }
+
+    console.log('🎯 Migration completed: Creator earnings ledger created');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('settings', {
+      key: 'creator_revenue_share_percent'
+    });
+    console.log('❌ Removed creator_revenue_share_percent setting');
+
+    await queryInterface.dropTable('creator_earnings');
+    console.log('❌ Dropped creator_earnings table');
+
+    console.log('🔄 Migration rollback completed: Creator earnings ledger removed');
+  }
+};
\ No newline at end of file
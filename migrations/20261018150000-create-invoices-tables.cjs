@@ -0,0 +1,194 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+
+    // Invoice number counters - one row per document type
+    if (tables.includes('invoice_sequences')) {
+      console.log('⚠️ invoice_sequences table already exists, skipping table creation');
+    } else {
+      await queryInterface.createTable('invoice_sequences', {
+        document_type: {
+          type: Sequelize.STRING(30),
+          primaryKey: true,
+          allowNull: false
+        },
+        last_number: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      });
+      console.log('✅ Created invoice_sequences table');
+    }
+
+    for (const documentType of ['tax_invoice_receipt', 'credit_note']) {
+      const existingSequence = await queryInterface.rawSelect('invoice_sequences', {
+        where: { document_type: documentType }
+      }, ['document_type']);
+
+      if (!existingSequence) {
+        await queryInterface.bulkInsert('invoice_sequences', [{
+          document_type: documentType,
+          last_number: 0,
+          updated_at: new Date()
+        }]);
+        console.log(`✅ Seeded invoice sequence for ${documentType}`);
+      }
+    }
+
+    if (tables.includes('invoices')) {
+      console.log('⚠️ invoices table already exists, skipping table creation');
+    } else {
+      await queryInterface.createTable('invoices', {
+        id: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+          allowNull: false
+        },
+        document_type: {
+          type: Sequelize.STRING(30),
+          allowNull: false,
+          comment: 'tax_invoice_receipt (חשבונית מס/קבלה) or credit_note (חשבונית מס זיכוי)'
+        },
+        invoice_number: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        transaction_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          references: {
+            model: 'transaction',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'RESTRICT'
+        },
+        original_invoice_id: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        user_id: {
+          type: Sequelize.STRING,
+          allowNull: true,
+          references: {
+            model: 'user',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        customer_name: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        customer_email: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        items: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        net_amount: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false
+        },
+        vat_rate: {
+          type: Sequelize.DECIMAL(5, 4),
+          allowNull: false
+        },
+        vat_amount: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false
+        },
+        total_amount: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false
+        },
+        currency: {
+          type: Sequelize.STRING(3),
+          allowNull: false,
+          defaultValue: 'ILS'
+        },
+        payment_method: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        issued_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        file_s3_key: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        emailed_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        metadata: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: {}
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      });
+      console.log('✅ Created invoices table');
+    }
+
+    const indexes = [
+      // Numbers are unique per document type - a second safety net behind the sequence lock
+      { name: 'unique_invoices_document_number', fields: ['document_type', 'invoice_number'], unique: true },
+      // One document of each type per transaction - makes issuing idempotent
+      { name: 'unique_invoices_document_transaction', fields: ['document_type', 'transaction_id'], unique: true },
+      { name: 'idx_invoices_user', fields: ['user_id'] }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex('invoices', index.fields, {
+          name: index.name,
+          unique: !!index.unique
+        });
+        console.log(`✅ Created index ${index.name}`);
+      } catch (error) {
+        if (error.message.includes('already exists')) {
+          console.log(`⚠️ Index ${index.name} already exists, skipping`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    console.log('🎯 Migration completed: Invoice tables created');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('invoices');
+    console.log('❌ Dropped invoices table');
+
+    await queryInterface.dropTable('invoice_sequences');
+    console.log('❌ Dropped invoice_sequences table');
+
+    console.log('🔄 Migration rollback completed: Invoice tables removed');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,168 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+
+    if (tables.includes('gift_codes')) {
+      console.log('⚠️ gift_codes table already exists, skipping table creation');
+    } else {
+      await queryInterface.createTable('gift_codes', {
+        id: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+          allowNull: false
+        },
+        code: {
+          type: Sequelize.STRING(50),
+          allowNull: false
+        },
+        purchase_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          references: {
+            model: 'purchase',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'RESTRICT',
+          comment: 'Buyer purchase (purchasable_type gift_code) that paid for the gift'
+        },
+        buyer_user_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          references: {
+            model: 'user',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'RESTRICT'
+        },
+        gift_type: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          comment: 'product or subscription'
+        },
+        product_type: {
+          type: Sequelize.STRING(50),
+          allowNull: true
+        },
+        product_id: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        subscription_plan_id: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        amount: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false
+        },
+        recipient_email: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        recipient_name: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        sender_name: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        message: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'active',
+          comment: 'active, redeemed, revoked (refunded) or expired'
+        },
+        expires_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        emailed_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        redeemed_by_user_id: {
+          type: Sequelize.STRING,
+          allowNull: true,
+          references: {
+            model: 'user',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        redeemed_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        redeemed_purchase_id: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        redeemed_subscription_id: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        metadata: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: {}
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      });
+      console.log('✅ Created gift_codes table');
+    }
+
+    const indexes = [
+      { name: 'unique_gift_codes_code', fields: ['code'], unique: true },
+      // One gift code per paid gift purchase - makes issuing idempotent
+      { name: 'unique_gift_codes_purchase', fields: ['purchase_id'], unique: true },
+      { name: 'idx_gift_codes_buyer', fields: ['buyer_user_id'] },
+      // Admin lookup by recipient
+      { name: 'idx_gift_codes_recipient_email', fields: ['recipient_email'] }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex('gift_codes', index.fields, {
+          name: index.name,
+          unique: !!index.unique
+        });
+        console.log(`✅ Created index ${index.name}`);
+      } catch (error) {
+        if (error.message.includes('already exists')) {
+          console.log(`⚠️ Index ${index.name} already exists, skipping`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    console.log('🎯 Migration completed: Gift codes table created');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('gift_codes');
+    console.log('❌ Dropped gift_codes table');
+
+    console.log('🔄 Migration rollback completed: Gift codes table removed');
+  }
+};
\ No newline at end of file
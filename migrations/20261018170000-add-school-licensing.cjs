@@ -0,0 +1,176 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Subscription: school subscriptions with a number of teacher seats
+    const subscriptionTable = await queryInterface.describeTable('subscription');
+
+    if (!subscriptionTable.school_id) {
+      await queryInterface.addColumn('subscription', 'school_id', {
+        type: Sequelize.STRING,
+        allowNull: true,
+        references: {
+          model: 'school',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+        comment: 'Set for school (institution plan) subscriptions - user_id is then the billing contact'
+      });
+      console.log('✅ Added school_id column to subscription table');
+    } else {
+      console.log('⚠️ school_id column already exists on subscription, skipping');
+    }
+
+    if (!subscriptionTable.seats) {
+      await queryInterface.addColumn('subscription', 'seats', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Number of teacher seats of a school subscription'
+      });
+      console.log('✅ Added seats column to subscription table');
+    } else {
+      console.log('⚠️ seats column already exists on subscription, skipping');
+    }
+
+    try {
+      await queryInterface.addIndex('subscription', ['school_id'], {
+        name: 'idx_subscription_school_id'
+      });
+      console.log('✅ Created index idx_subscription_school_id');
+    } catch (error) {
+      if (error.message.includes('already exists')) {
+        console.log('⚠️ Index idx_subscription_school_id already exists, skipping');
+      } else {
+        throw error;
+      }
+    }
+
+    // School seats: teachers assigned to a school subscription
+    const tables = await queryInterface.showAllTables();
+
+    if (tables.includes('school_seats')) {
+      console.log('⚠️ school_seats table already exists, skipping table creation');
+    } else {
+      await queryInterface.createTable('school_seats', {
+        id: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+          allowNull: false
+        },
+        school_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          references: {
+            model: 'school',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        subscription_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          references: {
+            model: 'subscription',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+          comment: 'School subscription (subscription.school_id) the seat belongs to'
+        },
+        user_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          references: {
+            model: 'user',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+          comment: 'Teacher holding the seat'
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'active',
+          comment: 'active or released'
+        },
+        assigned_by: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        assigned_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        released_by: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        released_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        metadata: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: {}
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      });
+      console.log('✅ Created school_seats table');
+    }
+
+    const indexes = [
+      { name: 'idx_school_seats_subscription_status', fields: ['subscription_id', 'status'] },
+      { name: 'idx_school_seats_school', fields: ['school_id'] },
+      // A teacher holds at most one seat at a time
+      { name: 'unique_school_seats_active_user', fields: ['user_id'], unique: true, where: { status: 'active' } }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex('school_seats', index.fields, {
+          name: index.name,
+          unique: !!index.unique,
+          ...(index.where && { where: index.where })
+        });
+        console.log(`✅ Created index ${index.name}`);
+      } catch (error) {
+        if (error.message.includes('already exists')) {
+          console.log(`⚠️ Index ${index.name} already exists, skipping`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    console.log('🎯 Migration completed: School licensing added');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('school_seats');
+    console.log('❌ Dropped school_seats table');
+
+    await queryInterface.removeIndex('subscription', 'idx_subscription_school_id');
+    console.log('❌ Removed index idx_subscription_school_id');
+
+    await queryInterface.removeColumn('subscription', 'seats');
+    await queryInterface.removeColumn('subscription', 'school_id');
+    console.log('❌ Removed school_id and seats columns from subscription table');
+
+    console.log('🔄 Migration rollback completed: School licensing removed');
+  }
+};
\ No newline at end of file
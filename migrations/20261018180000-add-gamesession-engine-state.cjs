@@ -0,0 +1,30 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // GameSession: hidden server-side state of server-authoritative game engines (e.g. the dealt memory deck)
+    const gameSessionTable = await queryInterface.describeTable('gamesession');
+
+    if (!gameSessionTable.engine_state) {
+      await queryInterface.addColumn('gamesession', 'engine_state', {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        defaultValue: null,
+        comment: 'Server-only game engine state (never sent to clients)'
+      });
+      console.log('✅ Added engine_state column to gamesession table');
+    } else {
+      console.log('⚠️ engine_state column already exists on gamesession, skipping');
+    }
+
+    console.log('🎉 Migration completed: Game engine state added');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('gamesession', 'engine_state');
+    console.log('❌ Removed engine_state column from gamesession table');
+
+    console.log('🔄 Migration rollback completed: Game engine state removed');
+  }
+};
\ No newline at end of file
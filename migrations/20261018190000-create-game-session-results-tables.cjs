@@ -0,0 +1,220 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+
+    // Game session results: one row per participant of a finished session
+    if (tables.includes('game_session_results')) {
+      console.log('⚠️ game_session_results table already exists, skipping table creation');
+    } else {
+      await queryInterface.createTable('game_session_results', {
+        id: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+          allowNull: false
+        },
+        session_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'gamesession',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        lobby_id: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        game_id: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        teacher_id: {
+          type: Sequelize.STRING,
+          allowNull: true,
+          comment: 'Owner of the lobby the session ran in'
+        },
+        participant_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          comment: 'Participant id within gamesession.participants'
+        },
+        player_id: {
+          type: Sequelize.STRING,
+          allowNull: true,
+          references: {
+            model: 'player',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        user_id: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        classroom_membership_id: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        classroom_id: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        display_name: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        score: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: true
+        },
+        max_score: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: true
+        },
+        accuracy: {
+          type: Sequelize.DECIMAL(5, 2),
+          allowNull: true,
+          comment: 'Percentage of correct attempts (0-100)'
+        },
+        correct_count: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        attempt_count: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        time_spent_seconds: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        rank: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        completed: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        source: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'engine',
+          comment: 'engine, client or none'
+        },
+        finished_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        metadata: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: {}
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      });
+      console.log('✅ Created game_session_results table');
+    }
+
+    // Per-content-item correctness of each result
+    if (tables.includes('game_session_result_items')) {
+      console.log('⚠️ game_session_result_items table already exists, skipping table creation');
+    } else {
+      await queryInterface.createTable('game_session_result_items', {
+        id: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+          allowNull: false
+        },
+        result_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          references: {
+            model: 'game_session_results',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        content_id: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        is_correct: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false
+        },
+        attempts: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 1
+        },
+        metadata: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: {}
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      });
+      console.log('✅ Created game_session_result_items table');
+    }
+
+    const indexes = [
+      { table: 'game_session_results', name: 'unique_game_session_results_participant', fields: ['session_id', 'participant_id'], unique: true },
+      { table: 'game_session_results', name: 'idx_game_session_results_player', fields: ['player_id', 'finished_at'] },
+      { table: 'game_session_results', name: 'idx_game_session_results_user', fields: ['user_id', 'finished_at'] },
+      { table: 'game_session_results', name: 'idx_game_session_results_teacher', fields: ['teacher_id', 'finished_at'] },
+      { table: 'game_session_results', name: 'idx_game_session_results_classroom', fields: ['classroom_id'] },
+      { table: 'game_session_result_items', name: 'idx_game_session_result_items_result', fields: ['result_id'] },
+      { table: 'game_session_result_items', name: 'idx_game_session_result_items_content', fields: ['content_id'] }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex(index.table, index.fields, {
+          name: index.name,
+          unique: !!index.unique
+        });
+        console.log(`✅ Created index ${index.name}`);
+      } catch (error) {
+        if (error.message.includes('already exists')) {
+          console.log(`⚠️ Index ${index.name} already exists, skipping`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    console.log('🎯 Migration completed: Game session results added');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('game_session_result_items');
+    console.log('❌ Dropped game_session_result_items table');
+
+    await queryInterface.dropTable('game_session_results');
+    console.log('❌ Dropped game_session_results table');
+
+    console.log('🔄 Migration rollback completed: Game session results removed');
+  }
+};
\ No newline at end of file
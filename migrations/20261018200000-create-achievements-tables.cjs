@@ -0,0 +1,154 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+
+    // Badge definitions managed by admins
+    if (tables.includes('achievements')) {
+      console.log('⚠️ achievements table already exists, skipping table creation');
+    } else {
+      await queryInterface.createTable('achievements', {
+        id: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+          allowNull: false
+        },
+        key: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        name: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        description: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        icon_url: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        rule: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          comment: 'Award rule: { type, threshold?, game_type? }'
+        },
+        is_active: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true
+        },
+        created_by: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      });
+      console.log('✅ Created achievements table');
+    }
+
+    // Achievements awarded to players (one row per player and badge)
+    if (tables.includes('player_achievements')) {
+      console.log('⚠️ player_achievements table already exists, skipping table creation');
+    } else {
+      await queryInterface.createTable('player_achievements', {
+        id: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+          allowNull: false
+        },
+        achievement_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          references: {
+            model: 'achievements',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        player_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          references: {
+            model: 'player',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        session_id: {
+          type: Sequelize.UUID,
+          allowNull: true
+        },
+        teacher_id: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        awarded_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        metadata: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: {}
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      });
+      console.log('✅ Created player_achievements table');
+    }
+
+    const indexes = [
+      { table: 'achievements', name: 'unique_achievements_key', fields: ['key'], unique: true },
+      { table: 'achievements', name: 'idx_achievements_active', fields: ['is_active'] },
+      { table: 'player_achievements', name: 'unique_player_achievements_player', fields: ['achievement_id', 'player_id'], unique: true },
+      { table: 'player_achievements', name: 'idx_player_achievements_player', fields: ['player_id', 'awarded_at'] }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex(index.table, index.fields, {
+          name: index.name,
+          unique: !!index.unique
+        });
+        console.log(`✅ Created index ${index.name}`);
+      } catch (error) {
+        if (error.message.includes('already exists')) {
+          console.log(`⚠️ Index ${index.name} already exists, skipping`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    console.log('🎯 Migration completed: Achievements added');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('player_achievements');
+    console.log('❌ Dropped player_achievements table');
+
+    await queryInterface.dropTable('achievements');
+    console.log('❌ Dropped achievements table');
+
+    console.log('🔄 Migration rollback completed: Achievements removed');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,116 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+
+    // Lobbies scheduled to open and close automatically (one-off or weekly slots)
+    if (tables.includes('lobby_schedules')) {
+      console.log('⚠️ lobby_schedules table already exists, skipping table creation');
+    } else {
+      await queryInterface.createTable('lobby_schedules', {
+        id: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+          allowNull: false
+        },
+        lobby_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          references: {
+            model: 'gamelobby',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        teacher_id: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        recurrence: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'once'
+        },
+        weekday: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        start_time: {
+          type: Sequelize.STRING(5),
+          allowNull: true
+        },
+        duration_minutes: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'scheduled'
+        },
+        next_open_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        next_close_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        last_opened_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        last_closed_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        metadata: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: {}
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      });
+      console.log('✅ Created lobby_schedules table');
+    }
+
+    const indexes = [
+      { name: 'idx_lobby_schedules_lobby_status', fields: ['lobby_id', 'status'] },
+      { name: 'idx_lobby_schedules_teacher', fields: ['teacher_id'] }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex('lobby_schedules', index.fields, { name: index.name });
+        console.log(`✅ Created index ${index.name}`);
+      } catch (error) {
+        if (error.message.includes('already exists')) {
+          console.log(`⚠️ Index ${index.name} already exists, skipping`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    console.log('🎯 Migration completed: Lobby schedules added');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('lobby_schedules');
+    console.log('❌ Dropped lobby_schedules table');
+
+    console.log('🔄 Migration rollback completed: Lobby schedules removed');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,133 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+
+    // Games assigned to a classroom as homework (solo attempts within an open window)
+    if (tables.includes('homework_assignments')) {
+      console.log('⚠️ homework_assignments table already exists, skipping table creation');
+    } else {
+      await queryInterface.createTable('homework_assignments', {
+        id: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+          allowNull: false
+        },
+        classroom_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          references: {
+            model: 'classroom',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        teacher_id: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        game_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          references: {
+            model: 'game',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        lobby_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          references: {
+            model: 'gamelobby',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        title: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        instructions: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        opens_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        due_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        late_until: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        max_attempts: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        score_policy: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'best'
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'active'
+        },
+        metadata: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: {}
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      });
+      console.log('✅ Created homework_assignments table');
+    }
+
+    const indexes = [
+      { name: 'idx_homework_assignments_classroom_status', fields: ['classroom_id', 'status'] },
+      { name: 'idx_homework_assignments_teacher', fields: ['teacher_id'] },
+      { name: 'idx_homework_assignments_lobby', fields: ['lobby_id'], unique: true }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex('homework_assignments', index.fields, { name: index.name, unique: !!index.unique });
+        console.log(`✅ Created index ${index.name}`);
+      } catch (error) {
+        if (error.message.includes('already exists')) {
+          console.log(`⚠️ Index ${index.name} already exists, skipping`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    console.log('🎯 Migration completed: Homework assignments added');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('homework_assignments');
+    console.log('❌ Dropped homework_assignments table');
+
+    console.log('🔄 Migration rollback completed: Homework assignments removed');
+  }
+};
\ No newline at end of file
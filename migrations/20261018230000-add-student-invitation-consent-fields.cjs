@@ -0,0 +1,77 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // StudentInvitation: parent consent given before the student accepts is kept with its audit trail
+    // until it can be recorded as a ParentConsent, and open invitations are reminded once
+    const invitationTable = await queryInterface.describeTable('studentinvitation');
+
+    const columns = {
+      parent_phone: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'Optional phone number given with parent consent'
+      },
+      parent_consent_ip: {
+        type: Sequelize.STRING(45),
+        allowNull: true,
+        comment: 'IP address when parent consent was given (for audit trail)'
+      },
+      parent_consent_user_agent: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Browser user agent when parent consent was given (for audit trail)'
+      },
+      reminder_sent_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'When the expiry reminder was sent'
+      }
+    };
+
+    for (const [name, definition] of Object.entries(columns)) {
+      if (invitationTable[name]) {
+        console.log(`⚠️ ${name} column already exists on studentinvitation, skipping`);
+        continue;
+      }
+
+      await queryInterface.addColumn('studentinvitation', name, definition);
+      console.log(`✅ Added ${name} column to studentinvitation table`);
+    }
+
+    const indexes = [
+      { fields: ['invitation_token'], name: 'idx_studentinvitation_invitation_token' },
+      { fields: ['parent_consent_token'], name: 'idx_studentinvitation_parent_consent_token' },
+      { fields: ['status', 'expires_at'], name: 'idx_studentinvitation_status_expires' }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex('studentinvitation', index.fields, { name: index.name });
+        console.log(`✅ Created index ${index.name}`);
+      } catch (error) {
+        if (error.message.includes('already exists')) {
+          console.log(`⚠️ Index ${index.name} already exists, skipping`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    console.log('🎉 Migration completed: Student invitation consent fields added');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('studentinvitation', 'idx_studentinvitation_status_expires');
+    await queryInterface.removeIndex('studentinvitation', 'idx_studentinvitation_parent_consent_token');
+    await queryInterface.removeIndex('studentinvitation', 'idx_studentinvitation_invitation_token');
+
+    for (const name of ['reminder_sent_at', 'parent_consent_user_agent', 'parent_consent_ip', 'parent_phone']) {
+      await queryInterface.removeColumn('studentinvitation', name);
+    }
+    console.log('❌ Removed student invitation consent fields');
+
+    console.log('🔄 Migration rollback completed: Student invitation consent fields removed');
+  }
+};
\ No newline at end of file
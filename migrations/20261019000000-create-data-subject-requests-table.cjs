@@ -0,0 +1,141 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+
+    // Privacy-law data subject requests (export / erasure) with their audit trail and legal hold
+    if (tables.includes('data_subject_requests')) {
+      console.log('⚠️ data_subject_requests table already exists, skipping table creation');
+    } else {
+      await queryInterface.createTable('data_subject_requests', {
+        id: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+          allowNull: false
+        },
+        request_type: {
+          type: Sequelize.STRING(20),
+          allowNull: false
+        },
+        subject_type: {
+          type: Sequelize.STRING(20),
+          allowNull: false
+        },
+        // No foreign key - the request outlives the erased subject
+        subject_id: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        requested_by: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        requester_role: {
+          type: Sequelize.STRING(20),
+          allowNull: false
+        },
+        reason: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'pending'
+        },
+        job_id: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        legal_hold: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        legal_hold_reason: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        legal_hold_set_by: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        legal_hold_set_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        export_s3_key: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        export_expires_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        result: {
+          type: Sequelize.JSONB,
+          allowNull: true
+        },
+        error_message: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        audit_trail: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        started_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        completed_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      });
+      console.log('✅ Created data_subject_requests table');
+    }
+
+    const indexes = [
+      { name: 'idx_data_subject_requests_subject', fields: ['subject_type', 'subject_id'] },
+      { name: 'idx_data_subject_requests_status', fields: ['status'] },
+      { name: 'idx_data_subject_requests_requested_by', fields: ['requested_by'] },
+      { name: 'idx_data_subject_requests_export_expires', fields: ['export_expires_at'] }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex('data_subject_requests', index.fields, { name: index.name });
+        console.log(`✅ Created index ${index.name}`);
+      } catch (error) {
+        if (error.message.includes('already exists')) {
+          console.log(`⚠️ Index ${index.name} already exists, skipping`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    console.log('🎯 Migration completed: Data subject requests added');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('data_subject_requests');
+    console.log('❌ Dropped data_subject_requests table');
+
+    console.log('🔄 Migration rollback completed: Data subject requests removed');
+  }
+};
\ No newline at end of file
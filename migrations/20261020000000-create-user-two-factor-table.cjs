@@ -0,0 +1,94 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+
+    // TOTP second factor per user - kept out of the user table so secrets never serialize with it
+    if (tables.includes('user_two_factor')) {
+      console.log('⚠️ user_two_factor table already exists, skipping table creation');
+    } else {
+      await queryInterface.createTable('user_two_factor', {
+        id: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+          allowNull: false
+        },
+        user_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          references: {
+            model: 'user',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        secret_encrypted: {
+          type: Sequelize.TEXT,
+          allowNull: false
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'pending'
+        },
+        backup_code_hashes: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        last_used_step: {
+          type: Sequelize.BIGINT,
+          allowNull: true
+        },
+        enabled_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        last_verified_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('NOW()')
+        }
+      });
+      console.log('✅ Created user_two_factor table');
+    }
+
+    const indexes = [
+      { name: 'idx_user_two_factor_user', fields: ['user_id'], unique: true }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex('user_two_factor', index.fields, { name: index.name, unique: index.unique });
+        console.log(`✅ Created index ${index.name}`);
+      } catch (error) {
+        if (error.message.includes('already exists')) {
+          console.log(`⚠️ Index ${index.name} already exists, skipping`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    console.log('🎯 Migration completed: User two-factor authentication added');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('user_two_factor');
+    console.log('❌ Dropped user_two_factor table');
+
+    console.log('🔄 Migration rollback completed: User two-factor authentication removed');
+  }
+};
\ No newline at end of file
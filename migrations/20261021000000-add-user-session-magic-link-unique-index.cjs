@@ -0,0 +1,33 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // A parent magic link opens one session - two concurrent sign-ins with the same link
+    // cannot both create a session
+    console.log('🔧 Adding unique magic link constraint to user_session...');
+    try {
+      await queryInterface.sequelize.query(`
+        CREATE UNIQUE INDEX idx_user_session_magic_link_id
+        ON user_session ((metadata->>'magicLinkId'))
+        WHERE metadata->>'magicLinkId' IS NOT NULL
+      `);
+      console.log('✅ Created index idx_user_session_magic_link_id');
+    } catch (error) {
+      if (error.message.includes('already exists')) {
+        console.log('⚠️ Index idx_user_session_magic_link_id already exists, skipping');
+      } else {
+        throw error;
+      }
+    }
+
+    console.log('🎉 Migration completed: Magic link single use enforced');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query('DROP INDEX IF EXISTS idx_user_session_magic_link_id');
+    console.log('❌ Removed idx_user_session_magic_link_id');
+
+    console.log('🔄 Migration rollback completed: Magic link unique index removed');
+  }
+};
\ No newline at end of file
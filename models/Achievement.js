@@ -0,0 +1,77 @@
+import { DataTypes } from 'sequelize';
+
+export default function(sequelize) {
+  const Achievement = sequelize.define('Achievement', {
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      allowNull: false,
+    },
+    key: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+      comment: 'Stable identifier of the badge (e.g. memory_wins_10)'
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    icon_url: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    rule: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      comment: 'Award rule: { type, threshold?, game_type? } (see constants/achievements.js)'
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: 'Inactive badges are no longer awarded; earned ones are kept'
+    },
+    created_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  }, {
+    tableName: 'achievements',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['key'],
+        unique: true,
+        name: 'unique_achievements_key'
+      },
+      {
+        fields: ['is_active'],
+        name: 'idx_achievements_active'
+      }
+    ]
+  });
+
+  Achievement.associate = function(models) {
+    Achievement.hasMany(models.PlayerAchievement, {
+      foreignKey: 'achievement_id',
+      as: 'awards'
+    });
+  };
+
+  return Achievement;
+}
\ No newline at end of file
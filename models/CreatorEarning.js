@@ -0,0 +1,167 @@
+import { DataTypes } from 'sequelize';
+
+export default function(sequelize) {
+  const CreatorEarning = sequelize.define('CreatorEarning', {
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      allowNull: false,
+    },
+    creator_user_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      references: {
+        model: 'user',
+        key: 'id'
+      },
+      comment: 'Content creator the entry is owed to (product.creator_user_id)'
+    },
+    entry_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['earning', 'clawback']]
+      },
+      comment: 'earning: share of revenue, clawback: negative entry reversing a refunded earning'
+    },
+    source_type: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      validate: {
+        isIn: [['purchase', 'subscription_claim']]
+      },
+      comment: 'What generated the revenue'
+    },
+    source_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Dedupe key - purchase id, claim id + month, or refund transaction id'
+    },
+    purchase_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Purchase for purchase earnings and clawbacks'
+    },
+    subscription_purchase_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'SubscriptionPurchase claim for subscription earnings'
+    },
+    product_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Product the revenue belongs to'
+    },
+    product_type: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    period: {
+      type: DataTypes.STRING(7),
+      allowNull: false,
+      comment: 'Statement month in YYYY-MM format'
+    },
+    gross_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: 'Revenue the split was applied to (negative for clawbacks)'
+    },
+    share_percent: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      comment: 'Creator share percentage at the time of the entry'
+    },
+    creator_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+    platform_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'ILS',
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending',
+      validate: {
+        isIn: [['pending', 'paid']]
+      }
+    },
+    payout_batch_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Payout batch that settled this entry'
+    },
+    paid_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  }, {
+    tableName: 'creator_earnings',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['creator_user_id', 'period'],
+        name: 'idx_creator_earnings_creator_period'
+      },
+      {
+        fields: ['status'],
+        name: 'idx_creator_earnings_status'
+      },
+      {
+        fields: ['purchase_id'],
+        name: 'idx_creator_earnings_purchase'
+      },
+      {
+        fields: ['payout_batch_id'],
+        name: 'idx_creator_earnings_payout_batch'
+      },
+      {
+        fields: ['entry_type', 'source_type', 'source_id'],
+        unique: true,
+        name: 'unique_creator_earnings_source'
+      }
+    ]
+  });
+
+  CreatorEarning.associate = function(models) {
+    CreatorEarning.belongsTo(models.User, {
+      foreignKey: 'creator_user_id',
+      as: 'creator'
+    });
+
+    CreatorEarning.belongsTo(models.Purchase, {
+      foreignKey: 'purchase_id',
+      as: 'purchase',
+      constraints: false
+    });
+
+    CreatorEarning.belongsTo(models.Product, {
+      foreignKey: 'product_id',
+      as: 'product',
+      constraints: false
+    });
+  };
+
+  return CreatorEarning;
+}
\ No newline at end of file
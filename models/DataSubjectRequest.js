@@ -0,0 +1,143 @@
+import { DataTypes } from 'sequelize';
+
+export default function(sequelize) {
+  const DataSubjectRequest = sequelize.define('DataSubjectRequest', {
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      allowNull: false,
+    },
+    request_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['export', 'erasure']]
+      },
+      comment: 'export or erasure'
+    },
+    subject_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['user', 'player']]
+      },
+      comment: 'user or player'
+    },
+    subject_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'User or Player ID whose data the request is about (kept after erasure for the audit trail)'
+    },
+    requested_by: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'User ID of the admin or parent who made the request'
+    },
+    requester_role: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['admin', 'parent']]
+      },
+      comment: 'admin or parent'
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending',
+      comment: 'pending, processing, completed, failed, on_hold or cancelled'
+    },
+    job_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'JobScheduler job processing the request'
+    },
+    legal_hold: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Blocks erasure of the subject while set'
+    },
+    legal_hold_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    legal_hold_set_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    legal_hold_set_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    export_s3_key: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Export archive (deleted after export_expires_at)'
+    },
+    export_expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    result: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Per-section record counts and storage objects exported, erased or retained'
+    },
+    error_message: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    audit_trail: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Append-only [{ at, action, actor_id, details }]'
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  }, {
+    tableName: 'data_subject_requests',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['subject_type', 'subject_id'],
+        name: 'idx_data_subject_requests_subject'
+      },
+      {
+        fields: ['status'],
+        name: 'idx_data_subject_requests_status'
+      },
+      {
+        fields: ['requested_by'],
+        name: 'idx_data_subject_requests_requested_by'
+      },
+      {
+        fields: ['export_expires_at'],
+        name: 'idx_data_subject_requests_export_expires'
+      }
+    ]
+  });
+
+  return DataSubjectRequest;
+}
\ No newline at end of file
@@ -12,6 +12,7 @@ export default function(sequelize) {
           'scatter_game',
           'sharp_and_smooth',
           'memory_game',
+          'quiz_game',
           'ar_up_there'
         ]]
       }
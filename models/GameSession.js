@@ -72,6 +72,12 @@ export default function(sequelize) {
       defaultValue: null,
       comment: 'Final results, scores, winners, and detailed game data when completed'
     },
+    engine_state: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: null,
+      comment: 'Hidden state of server-authoritative game engines (e.g. the dealt memory deck) - never sent to clients'
+    },
     expires_at: {
       type: DataTypes.DATE,
       allowNull: true,
@@ -166,6 +172,12 @@ export default function(sequelize) {
     return this.save();
   };
 
+  // Engine state holds hidden game data (face-down cards) - keep it out of API responses
+  GameSession.prototype.toJSON = function() {
+    const { engine_state: _engineState, ...values } = this.get();
+    return values;
+  };
+
   GameSession.prototype.updateGameState = function(newState) {
     this.current_state = {
       ...this.current_state,
@@ -340,6 +352,12 @@ export default function(sequelize) {
       as: 'lobby',
       onDelete: 'CASCADE'
     });
+
+    // Normalized per-participant results, recorded when the session finishes
+    GameSession.hasMany(models.GameSessionResult, {
+      foreignKey: 'session_id',
+      as: 'results'
+    });
   };
 
   return GameSession;
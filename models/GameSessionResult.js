@@ -0,0 +1,181 @@
+import { DataTypes } from 'sequelize';
+
+export default function(sequelize) {
+  const GameSessionResult = sequelize.define('GameSessionResult', {
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      allowNull: false,
+    },
+    session_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'gamesession',
+        key: 'id'
+      }
+    },
+    lobby_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    game_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    teacher_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Owner of the lobby the session ran in'
+    },
+    participant_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Participant id within GameSession.participants'
+    },
+    player_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      references: {
+        model: 'player',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Set for participants who played with a user account'
+    },
+    classroom_membership_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: "Student's membership in one of the teacher's classrooms when the session finished"
+    },
+    classroom_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    display_name: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    score: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+    },
+    max_score: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+    },
+    accuracy: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true,
+      comment: 'Percentage of correct attempts (0-100)'
+    },
+    correct_count: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    attempt_count: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    time_spent_seconds: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    rank: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    completed: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Whether the game was played to the end (false when the teacher stopped it)'
+    },
+    source: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'engine',
+      validate: {
+        isIn: [['engine', 'client', 'none']]
+      },
+      comment: 'engine = server-authoritative, client = results reported by the game client, none = no results'
+    },
+    finished_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  }, {
+    tableName: 'game_session_results',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['session_id', 'participant_id'],
+        unique: true,
+        name: 'unique_game_session_results_participant'
+      },
+      {
+        fields: ['player_id', 'finished_at'],
+        name: 'idx_game_session_results_player'
+      },
+      {
+        fields: ['user_id', 'finished_at'],
+        name: 'idx_game_session_results_user'
+      },
+      {
+        fields: ['teacher_id', 'finished_at'],
+        name: 'idx_game_session_results_teacher'
+      },
+      {
+        fields: ['classroom_id'],
+        name: 'idx_game_session_results_classroom'
+      }
+    ]
+  });
+
+  GameSessionResult.associate = function(models) {
+    GameSessionResult.belongsTo(models.GameSession, {
+      foreignKey: 'session_id',
+      as: 'session'
+    });
+
+    GameSessionResult.belongsTo(models.Game, {
+      foreignKey: 'game_id',
+      as: 'game'
+    });
+
+    GameSessionResult.belongsTo(models.Player, {
+      foreignKey: 'player_id',
+      as: 'player'
+    });
+
+    GameSessionResult.belongsTo(models.ClassroomMembership, {
+      foreignKey: 'classroom_membership_id',
+      as: 'classroomMembership'
+    });
+
+    GameSessionResult.hasMany(models.GameSessionResultItem, {
+      foreignKey: 'result_id',
+      as: 'items'
+    });
+  };
+
+  return GameSessionResult;
+}
\ No newline at end of file
@@ -0,0 +1,65 @@
+import { DataTypes } from 'sequelize';
+
+export default function(sequelize) {
+  const GameSessionResultItem = sequelize.define('GameSessionResultItem', {
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      allowNull: false,
+    },
+    result_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      references: {
+        model: 'game_session_results',
+        key: 'id'
+      }
+    },
+    content_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Content item the participant answered (e.g. EduContentUse pair of a memory game)'
+    },
+    is_correct: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  }, {
+    tableName: 'game_session_result_items',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['result_id'],
+        name: 'idx_game_session_result_items_result'
+      },
+      {
+        fields: ['content_id'],
+        name: 'idx_game_session_result_items_content'
+      }
+    ]
+  });
+
+  GameSessionResultItem.associate = function(models) {
+    GameSessionResultItem.belongsTo(models.GameSessionResult, {
+      foreignKey: 'result_id',
+      as: 'result'
+    });
+  };
+
+  return GameSessionResultItem;
+}
\ No newline at end of file
@@ -0,0 +1,174 @@
+import { DataTypes } from 'sequelize';
+
+export default function(sequelize) {
+  const GiftCode = sequelize.define('GiftCode', {
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      allowNull: false,
+    },
+    code: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+      comment: 'Redeemable code sent to the recipient (e.g. GIFT-7KQ2-M9XD)'
+    },
+    purchase_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'purchase',
+        key: 'id'
+      },
+      comment: 'Buyer purchase (purchasable_type gift_code) that paid for the gift'
+    },
+    buyer_user_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      references: {
+        model: 'user',
+        key: 'id'
+      }
+    },
+    gift_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['product', 'subscription']]
+      }
+    },
+    product_type: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Product gifts: product type the recipient gets access to'
+    },
+    product_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Product gifts: Product ID'
+    },
+    subscription_plan_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Subscription gifts: plan granted for one billing period'
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: 'Amount the buyer paid'
+    },
+    recipient_email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    recipient_name: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    sender_name: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Personal message from the buyer, shown in the gift email'
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'active',
+      validate: {
+        isIn: [['active', 'redeemed', 'revoked', 'expired']]
+      }
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    emailed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    redeemed_by_user_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      references: {
+        model: 'user',
+        key: 'id'
+      }
+    },
+    redeemed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    redeemed_purchase_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Product gifts: access purchase created for the recipient'
+    },
+    redeemed_subscription_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Subscription gifts: subscription created for the recipient'
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  }, {
+    tableName: 'gift_codes',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['code'],
+        unique: true,
+        name: 'unique_gift_codes_code'
+      },
+      {
+        fields: ['purchase_id'],
+        unique: true,
+        name: 'unique_gift_codes_purchase'
+      },
+      {
+        fields: ['buyer_user_id'],
+        name: 'idx_gift_codes_buyer'
+      },
+      {
+        fields: ['recipient_email'],
+        name: 'idx_gift_codes_recipient_email'
+      }
+    ]
+  });
+
+  GiftCode.associate = function(models) {
+    GiftCode.belongsTo(models.Purchase, {
+      foreignKey: 'purchase_id',
+      as: 'purchase'
+    });
+
+    GiftCode.belongsTo(models.User, {
+      foreignKey: 'buyer_user_id',
+      as: 'buyer'
+    });
+
+    GiftCode.belongsTo(models.User, {
+      foreignKey: 'redeemed_by_user_id',
+      as: 'redeemedBy'
+    });
+  };
+
+  return GiftCode;
+}
\ No newline at end of file
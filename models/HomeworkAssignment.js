@@ -0,0 +1,131 @@
+import { DataTypes } from 'sequelize';
+
+export default function(sequelize) {
+  const HomeworkAssignment = sequelize.define('HomeworkAssignment', {
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      allowNull: false,
+    },
+    classroom_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      references: {
+        model: 'classroom',
+        key: 'id'
+      }
+    },
+    teacher_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Teacher who assigned the homework (classroom owner)'
+    },
+    game_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      references: {
+        model: 'game',
+        key: 'id'
+      }
+    },
+    lobby_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      references: {
+        model: 'gamelobby',
+        key: 'id'
+      },
+      comment: 'Backing lobby holding every student attempt session'
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    instructions: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    opens_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Students can start attempts from this time'
+    },
+    due_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Attempts finished after this time are late'
+    },
+    late_until: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Late attempts accepted until this time (null = no late submissions)'
+    },
+    max_attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Attempts per student (null = unlimited)'
+    },
+    score_policy: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'best',
+      comment: 'best, last or average'
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'active',
+      comment: 'active or cancelled'
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  }, {
+    tableName: 'homework_assignments',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['classroom_id', 'status'],
+        name: 'idx_homework_assignments_classroom_status'
+      },
+      {
+        fields: ['teacher_id'],
+        name: 'idx_homework_assignments_teacher'
+      },
+      {
+        fields: ['lobby_id'],
+        unique: true,
+        name: 'idx_homework_assignments_lobby'
+      }
+    ]
+  });
+
+  HomeworkAssignment.associate = function(models) {
+    HomeworkAssignment.belongsTo(models.Classroom, {
+      foreignKey: 'classroom_id',
+      as: 'classroom'
+    });
+    HomeworkAssignment.belongsTo(models.Game, {
+      foreignKey: 'game_id',
+      as: 'game'
+    });
+    HomeworkAssignment.belongsTo(models.GameLobby, {
+      foreignKey: 'lobby_id',
+      as: 'lobby'
+    });
+  };
+
+  return HomeworkAssignment;
+}
\ No newline at end of file
@@ -0,0 +1,154 @@
+import { DataTypes } from 'sequelize';
+
+export default function(sequelize) {
+  const Invoice = sequelize.define('Invoice', {
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      allowNull: false,
+    },
+    document_type: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      validate: {
+        isIn: [['tax_invoice_receipt', 'credit_note', 'proforma']]
+      },
+      comment: 'tax_invoice_receipt (חשבונית מס/קבלה), credit_note (חשבונית מס זיכוי) or proforma (חשבון עסקה)'
+    },
+    invoice_number: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Sequential, gap-free number within the document type (allocated from invoice_sequences)'
+    },
+    transaction_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      references: {
+        model: 'transaction',
+        key: 'id'
+      },
+      comment: 'Payment (or refund) transaction the document was issued for'
+    },
+    original_invoice_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Credit notes: the invoice being credited'
+    },
+    user_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      references: {
+        model: 'user',
+        key: 'id'
+      }
+    },
+    customer_name: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    customer_email: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    items: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Line items snapshot: [{ description, quantity, unit_price, total }] (VAT-inclusive)'
+    },
+    net_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: 'Amount before VAT'
+    },
+    vat_rate: {
+      type: DataTypes.DECIMAL(5, 4),
+      allowNull: false,
+    },
+    vat_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+    total_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: 'VAT-inclusive total (negative for credit notes)'
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'ILS',
+    },
+    payment_method: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    issued_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    file_s3_key: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Stored PDF (null until uploaded - the PDF is re-rendered from this record if missing)'
+    },
+    emailed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  }, {
+    tableName: 'invoices',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['document_type', 'invoice_number'],
+        unique: true,
+        name: 'unique_invoices_document_number'
+      },
+      {
+        fields: ['document_type', 'transaction_id'],
+        unique: true,
+        name: 'unique_invoices_document_transaction'
+      },
+      {
+        fields: ['user_id'],
+        name: 'idx_invoices_user'
+      }
+    ]
+  });
+
+  Invoice.associate = function(models) {
+    Invoice.belongsTo(models.Transaction, {
+      foreignKey: 'transaction_id',
+      as: 'transaction'
+    });
+
+    Invoice.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+
+    Invoice.belongsTo(models.Invoice, {
+      foreignKey: 'original_invoice_id',
+      as: 'originalInvoice',
+      constraints: false
+    });
+  };
+
+  return Invoice;
+}
\ No newline at end of file
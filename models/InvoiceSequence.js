@@ -0,0 +1,28 @@
+import { DataTypes } from 'sequelize';
+
+export default function(sequelize) {
+  const InvoiceSequence = sequelize.define('InvoiceSequence', {
+    document_type: {
+      type: DataTypes.STRING(30),
+      primaryKey: true,
+      allowNull: false,
+      comment: 'One counter per document type'
+    },
+    last_number: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Last allocated number - incremented under a row lock in the same transaction as the invoice insert'
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  }, {
+    tableName: 'invoice_sequences',
+    timestamps: false,
+  });
+
+  return InvoiceSequence;
+}
\ No newline at end of file
@@ -0,0 +1,107 @@
+import { DataTypes } from 'sequelize';
+
+export default function(sequelize) {
+  const LobbySchedule = sequelize.define('LobbySchedule', {
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      allowNull: false,
+    },
+    lobby_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      references: {
+        model: 'gamelobby',
+        key: 'id'
+      }
+    },
+    teacher_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Teacher who created the schedule'
+    },
+    recurrence: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'once',
+      comment: 'once or weekly'
+    },
+    weekday: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Weekly slot day (0 = Sunday ... 6 = Saturday, Israel time)'
+    },
+    start_time: {
+      type: DataTypes.STRING(5),
+      allowNull: true,
+      comment: 'Weekly slot start (HH:mm, Israel time)'
+    },
+    duration_minutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'How long the lobby stays open'
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'scheduled',
+      comment: 'scheduled, open, completed or cancelled'
+    },
+    next_open_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Opening of the occurrence the schedule waits for'
+    },
+    next_close_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Closing of the occurrence the schedule waits for'
+    },
+    last_opened_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    last_closed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Run history details (skipped occurrences)'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  }, {
+    tableName: 'lobby_schedules',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['lobby_id', 'status'],
+        name: 'idx_lobby_schedules_lobby_status'
+      },
+      {
+        fields: ['teacher_id'],
+        name: 'idx_lobby_schedules_teacher'
+      }
+    ]
+  });
+
+  LobbySchedule.associate = function(models) {
+    LobbySchedule.belongsTo(models.GameLobby, {
+      foreignKey: 'lobby_id',
+      as: 'lobby'
+    });
+  };
+
+  return LobbySchedule;
+}
\ No newline at end of file
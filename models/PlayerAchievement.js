@@ -0,0 +1,81 @@
+import { DataTypes } from 'sequelize';
+
+export default function(sequelize) {
+  const PlayerAchievement = sequelize.define('PlayerAchievement', {
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      allowNull: false,
+    },
+    achievement_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      references: {
+        model: 'achievements',
+        key: 'id'
+      }
+    },
+    player_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      references: {
+        model: 'player',
+        key: 'id'
+      }
+    },
+    session_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Session whose event unlocked the achievement'
+    },
+    teacher_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Owner of the lobby the achievement was unlocked in'
+    },
+    awarded_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Evaluation details (event, progress value)'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  }, {
+    tableName: 'player_achievements',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['achievement_id', 'player_id'],
+        unique: true,
+        name: 'unique_player_achievements_player'
+      },
+      {
+        fields: ['player_id', 'awarded_at'],
+        name: 'idx_player_achievements_player'
+      }
+    ]
+  });
+
+  PlayerAchievement.associate = function(models) {
+    PlayerAchievement.belongsTo(models.Achievement, {
+      foreignKey: 'achievement_id',
+      as: 'achievement'
+    });
+
+    PlayerAchievement.belongsTo(models.Player, {
+      foreignKey: 'player_id',
+      as: 'player'
+    });
+  };
+
+  return PlayerAchievement;
+}
\ No newline at end of file
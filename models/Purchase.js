@@ -1,5 +1,6 @@
 import { DataTypes } from 'sequelize';
 import { PURCHASABLE_PRODUCT_TYPES } from '../constants/productTypes.js';
+import { GIFT_PURCHASABLE_TYPE } from '../constants/gifts.js';
 
 export default function(sequelize) {
   const Purchase = sequelize.define('Purchase', {
@@ -23,7 +24,7 @@ export default function(sequelize) {
       type: DataTypes.STRING(50),
       allowNull: false,
       validate: {
-        isIn: [PURCHASABLE_PRODUCT_TYPES]
+        isIn: [[...PURCHASABLE_PRODUCT_TYPES, GIFT_PURCHASABLE_TYPE]] // gift_code: gift purchases (see GiftService)
       }
     },
     purchasable_id: {
@@ -0,0 +1,117 @@
+import { DataTypes } from 'sequelize';
+
+export default function(sequelize) {
+  const SchoolSeat = sequelize.define('SchoolSeat', {
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      allowNull: false,
+    },
+    school_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      references: {
+        model: 'school',
+        key: 'id'
+      }
+    },
+    subscription_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      references: {
+        model: 'subscription',
+        key: 'id'
+      },
+      comment: 'School subscription (subscription.school_id) the seat belongs to'
+    },
+    user_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      references: {
+        model: 'user',
+        key: 'id'
+      },
+      comment: 'Teacher holding the seat'
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'active',
+      validate: {
+        isIn: [['active', 'released']]
+      }
+    },
+    assigned_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Headmaster or admin who assigned the seat'
+    },
+    assigned_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    released_by: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    released_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  }, {
+    tableName: 'school_seats',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['subscription_id', 'status'],
+        name: 'idx_school_seats_subscription_status'
+      },
+      {
+        fields: ['school_id'],
+        name: 'idx_school_seats_school'
+      },
+      {
+        // A teacher holds at most one seat at a time
+        fields: ['user_id'],
+        unique: true,
+        where: { status: 'active' },
+        name: 'unique_school_seats_active_user'
+      }
+    ]
+  });
+
+  SchoolSeat.associate = function(models) {
+    SchoolSeat.belongsTo(models.School, {
+      foreignKey: 'school_id',
+      as: 'school'
+    });
+
+    SchoolSeat.belongsTo(models.Subscription, {
+      foreignKey: 'subscription_id',
+      as: 'subscription'
+    });
+
+    SchoolSeat.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return SchoolSeat;
+}
\ No newline at end of file
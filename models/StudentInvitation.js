@@ -19,6 +19,10 @@ export default function(sequelize) {
     student_accepted_at: { type: DataTypes.STRING, allowNull: true },
     converted_to_membership_at: { type: DataTypes.STRING, allowNull: true },
     notes: { type: DataTypes.STRING, allowNull: true },
+    parent_phone: { type: DataTypes.STRING, allowNull: true },
+    parent_consent_ip: { type: DataTypes.STRING(45), allowNull: true },
+    parent_consent_user_agent: { type: DataTypes.TEXT, allowNull: true },
+    reminder_sent_at: { type: DataTypes.DATE, allowNull: true },
   }, {
     ...baseOptions,
     tableName: 'studentinvitation',
@@ -35,6 +39,12 @@ export default function(sequelize) {
       {
         fields: ['status'],
       },
+      {
+        fields: ['invitation_token'],
+      },
+      {
+        fields: ['parent_consent_token'],
+      },
     ],
   });
 
@@ -39,6 +39,30 @@ export default function(sequelize) {
       }
     },
 
+    // School licensing - school subscriptions are shared by the teachers assigned to their seats
+    school_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      references: {
+        model: 'school',
+        key: 'id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      },
+      comment: 'Set for school (institution plan) subscriptions - user_id is then the billing contact'
+    },
+    seats: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: {
+          args: [1],
+          msg: 'A school subscription needs at least one seat'
+        }
+      },
+      comment: 'Number of teacher seats of a school subscription'
+    },
+
     // Subscription Status & Lifecycle
     status: {
       type: DataTypes.ENUM('pending', 'active', 'cancelled', 'expired', 'failed'),
@@ -212,7 +236,9 @@ export default function(sequelize) {
       // Validate PayPlus fields consistency
       validatePayPlusFields() {
         // If subscription has a paid billing_price, it should have a PayPlus UID when active
-        if (this.status === 'active' && this.billing_price > 0 && !this.payplus_subscription_uid) {
+        // Subscriptions settled by another provider keep their provider ids in metadata instead
+        const paymentProvider = this.metadata?.payment_provider || 'payplus';
+        if (paymentProvider === 'payplus' && this.status === 'active' && this.billing_price > 0 && !this.payplus_subscription_uid) {
           throw new Error('Active paid subscriptions must have a PayPlus subscription UID');
         }
       }
@@ -242,6 +268,10 @@ export default function(sequelize) {
         fields: ['created_at'],
         name: 'idx_subscription_created_at'
       },
+      {
+        fields: ['school_id'],
+        name: 'idx_subscription_school_id'
+      },
     ],
   });
 
@@ -263,6 +293,17 @@ export default function(sequelize) {
       foreignKey: 'transaction_id',
       as: 'transaction'
     });
+
+    // School licensing (optional)
+    Subscription.belongsTo(models.School, {
+      foreignKey: 'school_id',
+      as: 'school'
+    });
+
+    Subscription.hasMany(models.SchoolSeat, {
+      foreignKey: 'subscription_id',
+      as: 'schoolSeats'
+    });
   };
 
   // Instance methods for subscription lifecycle management
@@ -362,7 +403,7 @@ export default function(sequelize) {
       };
     }
 
-    return await this.update(updateData);
+    return await this.update(updateData, { transaction: options.transaction });
   };
 
   // Cancel subscription
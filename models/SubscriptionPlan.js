@@ -17,6 +17,7 @@ export default function(sequelize) {
     plan_type: { type: DataTypes.STRING, allowNull: true },
     benefits: { type: DataTypes.JSONB, allowNull: true },
     sort_order: { type: DataTypes.DECIMAL, allowNull: true },
+    paypal_plan_id: { type: DataTypes.STRING, allowNull: true },
   }, {
     ...baseOptions,
     tableName: 'subscriptionplan',
@@ -53,6 +53,14 @@ export default function(sequelize) {
       type: DataTypes.TEXT,
       allowNull: true,
     },
+    resolution_method: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'How the payment provider result was applied (the provider itself is payment_method)',
+      validate: {
+        isIn: [['webhook', 'polling', 'manual']]
+      }
+    },
     created_at: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -83,6 +91,10 @@ export default function(sequelize) {
         fields: ['environment'],
         name: 'idx_transaction_environment'
       },
+      {
+        fields: ['payment_method', 'resolution_method'],
+        name: 'idx_transaction_settlement'
+      },
       {
         fields: ['created_at'],
         name: 'idx_transaction_created_at'
@@ -52,7 +52,7 @@ export default function(sequelize) {
       type: DataTypes.STRING(20),
       allowNull: false,
       defaultValue: 'teacher',
-      comment: 'Portal context where this session was created (teacher or student)'
+      comment: 'Portal context where this session was created (teacher, student or parent)'
     },
     metadata: {
       type: DataTypes.JSONB,
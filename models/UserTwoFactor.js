@@ -0,0 +1,82 @@
+import { DataTypes } from 'sequelize';
+
+export default function(sequelize) {
+  const UserTwoFactor = sequelize.define('UserTwoFactor', {
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      allowNull: false,
+    },
+    user_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'user',
+        key: 'id'
+      }
+    },
+    secret_encrypted: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      comment: 'TOTP secret encrypted with ENCRYPTION_KEY (never returned by the API)'
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending',
+      validate: {
+        isIn: [['pending', 'enabled']]
+      },
+      comment: 'pending until the first code confirms enrolment'
+    },
+    backup_code_hashes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'SHA-256 hashes of unused single-use backup codes'
+    },
+    last_used_step: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      comment: 'TOTP time step of the last accepted code - a code is never accepted twice'
+    },
+    enabled_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    last_verified_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  }, {
+    tableName: 'user_two_factor',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['user_id'],
+        unique: true,
+        name: 'idx_user_two_factor_user'
+      }
+    ]
+  });
+
+  UserTwoFactor.associate = function(models) {
+    UserTwoFactor.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return UserTwoFactor;
+}
\ No newline at end of file
@@ -42,7 +42,7 @@ export default function(sequelize) {
       allowNull: false,
       defaultValue: 'received',
       validate: {
-        isIn: [['received', 'processing', 'completed', 'failed']]
+        isIn: [['received', 'processing', 'retrying', 'completed', 'failed']]
       }
     },
     payment_page_request_uid: {
@@ -77,6 +77,21 @@ export default function(sequelize) {
       type: DataTypes.INTEGER,
       allowNull: true,
     },
+    integration: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Generic webhook provider name (provider = generic)'
+    },
+    idempotency_key: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Provider delivery key used to deduplicate generic webhooks'
+    },
+    retry_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
     created_at: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -119,6 +134,10 @@ export default function(sequelize) {
         fields: ['subscription_id'],
         name: 'idx_webhook_log_subscription_id'
       },
+      {
+        fields: ['integration', 'idempotency_key'],
+        name: 'idx_webhook_log_idempotency'
+      },
     ],
   });
 
@@ -52,6 +52,19 @@ import UserSession from './UserSession.js';
 import Player from './Player.js';
 import SubscriptionPurchase from './SubscriptionPurchase.js';
 import ParentConsent from './ParentConsent.js';
+import CreatorEarning from './CreatorEarning.js';
+import Invoice from './Invoice.js';
+import InvoiceSequence from './InvoiceSequence.js';
+import GiftCode from './GiftCode.js';
+import SchoolSeat from './SchoolSeat.js';
+import GameSessionResult from './GameSessionResult.js';
+import GameSessionResultItem from './GameSessionResultItem.js';
+import Achievement from './Achievement.js';
+import PlayerAchievement from './PlayerAchievement.js';
+import LobbySchedule from './LobbySchedule.js';
+import HomeworkAssignment from './HomeworkAssignment.js';
+import DataSubjectRequest from './DataSubjectRequest.js';
+import UserTwoFactor from './UserTwoFactor.js';
 
 // Initialize models
 const models = {
@@ -97,6 +110,19 @@ const models = {
   Player: Player(sequelize),
   SubscriptionPurchase: SubscriptionPurchase(sequelize),
   ParentConsent: ParentConsent(sequelize),
+  CreatorEarning: CreatorEarning(sequelize),
+  Invoice: Invoice(sequelize),
+  InvoiceSequence: InvoiceSequence(sequelize),
+  GiftCode: GiftCode(sequelize),
+  SchoolSeat: SchoolSeat(sequelize),
+  GameSessionResult: GameSessionResult(sequelize),
+  GameSessionResultItem: GameSessionResultItem(sequelize),
+  Achievement: Achievement(sequelize),
+  PlayerAchievement: PlayerAchievement(sequelize),
+  LobbySchedule: LobbySchedule(sequelize),
+  HomeworkAssignment: HomeworkAssignment(sequelize),
+  DataSubjectRequest: DataSubjectRequest(sequelize),
+  UserTwoFactor: UserTwoFactor(sequelize),
 };
 
 // Define associations
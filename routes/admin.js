@@ -1,14 +1,23 @@
 import express from 'express';
-import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { authenticateToken, requireAdmin, requireTwoFactor } from '../middleware/auth.js';
 import BulkSubscriptionPollingService from '../services/BulkSubscriptionPollingService.js';
 import SubscriptionAllowanceService from '../services/SubscriptionAllowanceService.js';
 import SubscriptionPlanChangeService from '../services/SubscriptionPlanChangeService.js';
 import PayplusSubscriptionService from '../services/PayplusSubscriptionService.js';
 import SubscriptionPaymentStatusService from '../services/SubscriptionPaymentStatusService.js';
 import SubscriptionService from '../services/SubscriptionService.js';
+import RefundService from '../services/RefundService.js';
+import CreatorEarningsService from '../services/CreatorEarningsService.js';
+import GiftService from '../services/GiftService.js';
+import SchoolLicenseService from '../services/SchoolLicenseService.js';
+import InvoicePaymentService from '../services/InvoicePaymentService.js';
+import AchievementService from '../services/AchievementService.js';
+import TwoFactorService from '../services/TwoFactorService.js';
 import models from '../models/index.js';
 import { ludlog, luderror } from '../lib/ludlog.js';
 import { getEnv } from '../src/utils/environment.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { GIFT_CODE_STATUSES } from '../constants/gifts.js';
 
 const router = express.Router();
 
@@ -320,7 +329,7 @@ router.post('/users/:userId/subscription/poll-payplus', async (req, res) => {
  * Manually adjust user benefits usage (add or deduct allowances)
  * For current billing period only
  */
-router.post('/subscriptions/:subscriptionId/adjust-usage', async (req, res) => {
+router.post('/subscriptions/:subscriptionId/adjust-usage', requireTwoFactor, async (req, res) => {
   try {
     const { subscriptionId } = req.params;
     const { productType, adjustment, reason } = req.body;
@@ -459,7 +468,7 @@ router.post('/subscriptions/:subscriptionId/adjust-usage', async (req, res) => {
  * Change subscription plan with optional price override
  * Allows admins to change benefits without changing billing price
  */
-router.post('/subscriptions/:subscriptionId/change-plan', async (req, res) => {
+router.post('/subscriptions/:subscriptionId/change-plan', requireTwoFactor, async (req, res) => {
   try {
     const { subscriptionId } = req.params;
     const { newPlanId, overridePrice, reason } = req.body;
@@ -605,7 +614,7 @@ router.post('/subscriptions/:subscriptionId/change-plan', async (req, res) => {
  * Add one-time charge or discount to next billing cycle
  * Negative amounts = discount, positive = extra charge
  */
-router.post('/subscriptions/:subscriptionId/add-one-time-charge', async (req, res) => {
+router.post('/subscriptions/:subscriptionId/add-one-time-charge', requireTwoFactor, async (req, res) => {
   try {
     const { subscriptionId } = req.params;
     const { amount, description, reason } = req.body;
@@ -741,7 +750,7 @@ router.get('/subscription-plans', async (req, res) => {
  * Toggle auto renewal for a subscription
  * Updates PayPlus if it's a PayPlus subscription
  */
-router.post('/subscriptions/:subscriptionId/toggle-auto-renew', async (req, res) => {
+router.post('/subscriptions/:subscriptionId/toggle-auto-renew', requireTwoFactor, async (req, res) => {
   try {
     const { subscriptionId } = req.params;
     const { autoRenew, reason } = req.body;
@@ -895,7 +904,7 @@ router.post('/subscriptions/:subscriptionId/toggle-auto-renew', async (req, res)
  * Delete/reset a user's subscription entirely
  * Cancels PayPlus subscription if applicable
  */
-router.post('/subscriptions/:subscriptionId/reset', async (req, res) => {
+router.post('/subscriptions/:subscriptionId/reset', requireTwoFactor, async (req, res) => {
   try {
     const { subscriptionId } = req.params;
     const { reason } = req.body;
@@ -1025,7 +1034,7 @@ router.post('/subscriptions/:subscriptionId/reset', async (req, res) => {
  * Create a new subscription for a user (free or paid)
  * Allows complete customization of subscription details
  */
-router.post('/users/:userId/subscription/create', async (req, res) => {
+router.post('/users/:userId/subscription/create', requireTwoFactor, async (req, res) => {
   try {
     const { userId } = req.params;
     const {
@@ -1216,6 +1225,501 @@ router.post('/users/:userId/subscription/create', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/admin/purchases/:purchaseId/refund
+ *
+ * Refund a single PayPlus purchase, fully or partially
+ * Full refunds revoke access and reverse coupon usage and subscription claims.
+ * Partial refunds keep access unless accessExpiresAt is given to shorten it.
+ */
+router.post('/purchases/:purchaseId/refund', requireTwoFactor, async (req, res) => {
+  try {
+    const { purchaseId } = req.params;
+    const { amount, reason, accessExpiresAt } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        error: 'Missing required field: reason'
+      });
+    }
+
+    if (amount !== undefined && (typeof amount !== 'number' || amount <= 0)) {
+      return res.status(400).json({
+        error: 'amount must be a positive number when provided'
+      });
+    }
+
+    if (accessExpiresAt && Number.isNaN(new Date(accessExpiresAt).getTime())) {
+      return res.status(400).json({
+        error: 'accessExpiresAt must be a valid date'
+      });
+    }
+
+    ludlog.payments('Admin refunding purchase:', {
+      purchaseId,
+      amount: amount ?? 'full',
+      reason,
+      accessExpiresAt,
+      adminId: req.user.id
+    });
+
+    const refund = await RefundService.refundPurchase(purchaseId, {
+      amount,
+      reason,
+      accessExpiresAt,
+      adminUserId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: refund.refundType === 'full'
+        ? 'Purchase fully refunded and access revoked'
+        : `Partially refunded ${refund.amount}`,
+      refund
+    });
+
+  } catch (error) {
+    luderror.payments('Admin purchase refund error:', error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: 'Failed to refund purchase',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/gift-codes?code=&purchaseId=&email=
+ *
+ * Look up gift codes by code, gift purchase or buyer/recipient email
+ * Gift purchases are refunded through /purchases/:purchaseId/refund, which is only
+ * allowed before the code is redeemed.
+ */
+router.get('/gift-codes', async (req, res) => {
+  try {
+    const { code, purchaseId, email } = req.query;
+
+    const giftCodes = await GiftService.findGiftCodes({ code, purchaseId, email });
+
+    res.json({
+      giftCodes: giftCodes.map(giftCode => ({
+        ...giftCode.toJSON(),
+        status: GiftService.getEffectiveStatus(giftCode)
+      })),
+      count: giftCodes.length
+    });
+
+  } catch (error) {
+    luderror.payments('Admin gift code lookup error:', error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: 'Failed to look up gift codes',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/gift-codes/:giftCodeId/resend
+ *
+ * Email an active gift code to its recipient again
+ * With body.recipientEmail the gift is re-addressed first (e.g. a typo in the original address).
+ */
+router.post('/gift-codes/:giftCodeId/resend', async (req, res) => {
+  try {
+    const { recipientEmail } = req.body;
+
+    const giftCode = await models.GiftCode.findByPk(req.params.giftCodeId);
+    if (!giftCode) {
+      return res.status(404).json({ error: 'Gift code not found' });
+    }
+
+    const status = GiftService.getEffectiveStatus(giftCode);
+    if (status !== GIFT_CODE_STATUSES.ACTIVE) {
+      return res.status(400).json({
+        error: `Only active gift codes can be resent (status: ${status})`
+      });
+    }
+
+    if (recipientEmail) {
+      await giftCode.update({
+        recipient_email: String(recipientEmail).trim().toLowerCase(),
+        metadata: {
+          ...giftCode.metadata,
+          previous_recipient_email: giftCode.recipient_email,
+          readdressed_by: req.user.id
+        },
+        updated_at: new Date()
+      });
+    }
+
+    ludlog.payments('Admin resending gift code:', {
+      giftCodeId: giftCode.id,
+      recipientEmail: giftCode.recipient_email,
+      adminId: req.user.id
+    });
+
+    await GiftService.deliverGiftCode(giftCode);
+
+    res.json({
+      success: true,
+      message: `Gift code sent to ${giftCode.recipient_email}`
+    });
+
+  } catch (error) {
+    luderror.payments('Admin gift code resend error:', error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: 'Failed to resend gift code',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/school-licenses
+ *
+ * Record a seat-based school subscription sold offline (institution plan)
+ * Body: { schoolId, subscriptionPlanId, seats, billingUserId?, billingPrice?, startDate?, endDate?, reference?, payByInvoice? }
+ * The school headmaster then assigns teachers to the seats (/api/school-licenses).
+ * With payByInvoice the billing contact gets a proforma and the license is provisional until marked paid.
+ */
+router.post('/school-licenses', requireTwoFactor, async (req, res) => {
+  try {
+    const subscription = await SchoolLicenseService.createSchoolSubscription(req.body, req.user.id);
+
+    ludlog.payments('Admin created school license:', {
+      subscriptionId: subscription.id,
+      schoolId: subscription.school_id,
+      seats: subscription.seats,
+      adminId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      subscription
+    });
+
+  } catch (error) {
+    luderror.payments('Admin school license creation error:', error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: 'Failed to create school license',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/school-licenses/:subscriptionId
+ *
+ * Change the seat count or end date of a school subscription
+ * Body: { seats?, endDate? } - seats cannot drop below the assigned seats
+ */
+router.put('/school-licenses/:subscriptionId', requireTwoFactor, async (req, res) => {
+  try {
+    const { seats, endDate } = req.body;
+
+    const subscription = await SchoolLicenseService.updateSchoolSubscription(req.params.subscriptionId, { seats, endDate });
+
+    res.json({
+      success: true,
+      subscription
+    });
+
+  } catch (error) {
+    luderror.payments('Admin school license update error:', error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: 'Failed to update school license',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/invoice-payments
+ *
+ * Pay-by-invoice orders awaiting a bank transfer (oldest first, overdue = grace period ended)
+ */
+router.get('/invoice-payments', async (req, res) => {
+  try {
+    const invoicePayments = await InvoicePaymentService.getPendingInvoicePayments();
+
+    res.json({
+      success: true,
+      invoicePayments
+    });
+
+  } catch (error) {
+    luderror.payments('Admin invoice payments list error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch invoice payments',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/invoice-payments/:transactionId/mark-paid
+ *
+ * Record the bank transfer of a pay-by-invoice order
+ * Body: { bankReference, paidAt?, notes? }
+ * Completes the purchases (or the subscription's full term) and issues the tax invoice/receipt.
+ */
+router.post('/invoice-payments/:transactionId/mark-paid', requireTwoFactor, async (req, res) => {
+  try {
+    const { bankReference, paidAt, notes } = req.body;
+
+    const result = await InvoicePaymentService.markPaid(req.params.transactionId, {
+      bankReference,
+      paidAt,
+      notes
+    }, req.user.id);
+
+    ludlog.payments('Admin marked invoice payment paid:', {
+      transactionId: req.params.transactionId,
+      bankReference,
+      adminId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    luderror.payments('Admin mark invoice paid error:', error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: 'Failed to mark invoice payment as paid',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/creator-earnings/:creatorId/statements/:period
+ *
+ * Monthly earnings statement of any creator
+ */
+router.get('/creator-earnings/:creatorId/statements/:period', async (req, res) => {
+  try {
+    const { creatorId, period } = req.params;
+
+    const statement = await CreatorEarningsService.getMonthlyStatement(creatorId, period);
+
+    res.json(statement);
+
+  } catch (error) {
+    luderror.payments('Admin creator statement error:', error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: 'Failed to fetch creator statement',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/creator-earnings/accrue
+ *
+ * Run creator earnings accrual now instead of waiting for the nightly job
+ * Accrues recent purchases and, when a closed period is given, that month's subscription usage
+ */
+router.post('/creator-earnings/accrue', async (req, res) => {
+  try {
+    const { period, daysBack = 7 } = req.body;
+
+    ludlog.payments('Admin running creator earnings accrual:', {
+      period,
+      daysBack,
+      adminId: req.user.id
+    });
+
+    const purchases = await CreatorEarningsService.accruePurchaseEarnings({ daysBack });
+    const subscriptions = period
+      ? await CreatorEarningsService.accrueSubscriptionEarnings(period)
+      : null;
+
+    res.json({
+      success: true,
+      purchases,
+      subscriptions
+    });
+
+  } catch (error) {
+    luderror.payments('Admin creator earnings accrual error:', error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: 'Failed to accrue creator earnings',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/creator-earnings/payout-batches
+ *
+ * Create a payout batch for all pending earnings up to a closed month
+ * Marks the included entries as paid and returns the bank-transfer CSV (or JSON with ?format=json)
+ */
+router.post('/creator-earnings/payout-batches', requireTwoFactor, async (req, res) => {
+  try {
+    const { throughPeriod } = req.body;
+
+    ludlog.payments('Admin creating creator payout batch:', {
+      throughPeriod,
+      adminId: req.user.id
+    });
+
+    const batch = await CreatorEarningsService.createPayoutBatch({
+      throughPeriod,
+      adminUserId: req.user.id
+    });
+
+    if (req.query.format === 'json') {
+      return res.json({
+        success: true,
+        batchId: batch.batchId,
+        throughPeriod: batch.throughPeriod,
+        payouts: batch.payouts,
+        skipped: batch.skipped
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${batch.batchId}.csv"`,
+      'X-Payout-Batch-Id': batch.batchId
+    });
+    res.send(batch.csv);
+
+  } catch (error) {
+    luderror.payments('Admin creator payout batch error:', error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: 'Failed to create payout batch',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/creator-earnings/payout-batches/:batchId/csv
+ *
+ * Download the CSV of an existing payout batch again
+ */
+router.get('/creator-earnings/payout-batches/:batchId/csv', async (req, res) => {
+  try {
+    const batch = await CreatorEarningsService.getPayoutBatch(req.params.batchId);
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${batch.batchId}.csv"`
+    });
+    res.send(batch.csv);
+
+  } catch (error) {
+    luderror.payments('Admin creator payout batch download error:', error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: 'Failed to fetch payout batch',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/achievements
+ *
+ * List achievement (badge) definitions, including deactivated ones
+ */
+router.get('/achievements', async (req, res) => {
+  try {
+    const achievements = await AchievementService.listAchievements();
+
+    res.json({
+      achievements,
+      count: achievements.length
+    });
+
+  } catch (error) {
+    luderror.api('Admin achievements list error:', error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: 'Failed to list achievements',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/achievements
+ *
+ * Define a new badge
+ * Body: { key, name, description?, icon_url?, rule: { type, threshold?, game_type? }, is_active? }
+ * Players are awarded it from their next qualifying game event on; past results count toward thresholds.
+ */
+router.post('/achievements', async (req, res) => {
+  try {
+    const achievement = await AchievementService.createAchievement(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      achievement
+    });
+
+  } catch (error) {
+    luderror.api('Admin achievement creation error:', error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: 'Failed to create achievement',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/achievements/:achievementId
+ *
+ * Change a badge's name, description, icon or rule, or (de)activate it
+ * Body: { name?, description?, icon_url?, rule?, is_active? } - awards already made are kept
+ */
+router.put('/achievements/:achievementId', async (req, res) => {
+  try {
+    const achievement = await AchievementService.updateAchievement(req.params.achievementId, req.body);
+
+    res.json({
+      success: true,
+      achievement
+    });
+
+  } catch (error) {
+    luderror.api('Admin achievement update error:', error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: 'Failed to update achievement',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users/:userId/two-factor/reset
+ *
+ * Remove a user's second factor after a lost device, so they can enrol again
+ * Requires the acting admin's own step-up verification.
+ */
+router.post('/users/:userId/two-factor/reset', requireTwoFactor, async (req, res) => {
+  try {
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({ error: 'Another admin must reset your two-factor authentication' });
+    }
+
+    const reset = await TwoFactorService.adminReset(req.params.userId, req.user.id);
+
+    res.json({
+      success: true,
+      reset
+    });
+
+  } catch (error) {
+    luderror.auth('Admin two-factor reset error:', error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: 'Failed to reset two-factor authentication',
+      message: error.message
+    });
+  }
+});
+
 // Helper function to format plan benefits for display
 function formatPlanBenefits(benefits) {
   if (!benefits || typeof benefits !== 'object') return 'No benefits';
@@ -1,10 +1,13 @@
 import express from 'express';
 import crypto from 'crypto';
 import { admin } from '../config/firebase.js';
-import { authenticateToken, authenticateUserOrPlayer, requireAdmin } from '../middleware/auth.js';
+import { authenticateToken, authenticateUserOrPlayer, requireAdmin, getRequestRefreshTokenId } from '../middleware/auth.js';
 import { addETagSupport } from '../middleware/etagMiddleware.js';
 import { validateBody, rateLimiters, schemas } from '../middleware/validation.js';
 import AuthService from '../services/AuthService.js';
+import TwoFactorService from '../services/TwoFactorService.js';
+import UserSessionService from '../services/UserSessionService.js';
+import { ADMIN_ACCESS_TOKEN_TYPE } from '../constants/twoFactor.js';
 import models from '../models/index.js';
 import {
   logCookieConfig,
@@ -14,6 +17,7 @@ import {
   createPortalRefreshTokenConfig,
   createPortalClearCookieConfig
 } from '../utils/cookieConfig.js';
+import { getRequestLocation } from '../utils/sessionDevice.js';
 
 const authService = AuthService; // Use singleton instance
 import EmailService from '../services/EmailService.js';
@@ -21,23 +25,6 @@ import SettingsService from '../services/SettingsService.js';
 import SubscriptionPermissionsService from '../services/SubscriptionPermissionsService.js';
 import { luderror, ludlog } from '../lib/ludlog.js';
 
-const verifyAdminPassword = (inputPassword) => {
-  if (!process.env.ADMIN_PASSWORD) {
-    throw new Error('Admin password not configured');
-  }
-
-  // Use timing-safe comparison to prevent timing attacks
-  const envPassword = Buffer.from(process.env.ADMIN_PASSWORD, 'utf8');
-  const inputBuffer = Buffer.from(inputPassword, 'utf8');
-
-  // Ensure both buffers are same length to prevent timing attacks
-  if (envPassword.length !== inputBuffer.length) {
-    return false;
-  }
-
-  return crypto.timingSafeEqual(envPassword, inputBuffer);
-};
-
 const router = express.Router();
 
 /**
@@ -76,6 +63,7 @@ router.post('/register', rateLimiters.auth, validateBody(schemas.register), asyn
     const sessionMetadata = {
       userAgent: req.get('User-Agent') || 'Unknown',
       ipAddress: req.ip || req.connection.remoteAddress || 'Unknown',
+      location: getRequestLocation(req),
       timestamp: new Date()
     };
 
@@ -776,6 +764,7 @@ router.post('/verify', async (req, res) => {
     const sessionMetadata = {
       userAgent: req.get('User-Agent') || 'Unknown',
       ipAddress: req.ip || req.socket?.remoteAddress || 'Unknown',
+      location: getRequestLocation(req),
       timestamp: new Date(),
       loginMethod: 'firebase_google'
     };
@@ -786,8 +775,9 @@ router.post('/verify', async (req, res) => {
       sessionMetadata
     });
 
+    let sessionId;
     try {
-      await authService.createSession(user.id, sessionMetadata, portal);
+      sessionId = await authService.createSession(user.id, sessionMetadata, portal);
       ludlog.auth('[AUTH-VERIFY] Session creation successful', {
         userId: user.id,
         portal
@@ -808,7 +798,7 @@ router.post('/verify', async (req, res) => {
     let result;
     try {
       // Generate proper access and refresh tokens using AuthService
-      result = await authService.generateTokenPair(user, sessionMetadata);
+      result = await authService.generateTokenPair(user, { ...sessionMetadata, sessionId });
       ludlog.auth('[AUTH-VERIFY] Token pair generation successful', {
         userId: user.id,
         hasAccessToken: !!result.accessToken,
@@ -914,6 +904,64 @@ router.post('/reset-password', rateLimiters.auth, validateBody(schemas.newPasswo
   }
 });
 
+// =============================================
+// MY SESSIONS ("LOG OUT OTHER DEVICES")
+// =============================================
+
+// Session and refresh token of the request, identified through the portal's refresh token cookie.
+// Revoking needs the exact session - the most recent session on the portal is only a guess for the list.
+async function getCurrentSessionContext(req, { exact = false } = {}) {
+  const refreshTokenId = getRequestRefreshTokenId(req);
+  const session = exact
+    ? await UserSessionService.findRefreshTokenSession(req.user.id, refreshTokenId)
+    : await UserSessionService.resolveCurrentSession(req.user.id, detectPortal(req), refreshTokenId);
+
+  return { sessionId: session?.id || null, refreshTokenId };
+}
+
+// List my active sessions with device, approximate location and last use
+router.get('/sessions', authenticateToken, async (req, res, next) => {
+  try {
+    const { sessionId } = await getCurrentSessionContext(req);
+    const sessions = await UserSessionService.listSessions(req.user.id, sessionId);
+
+    res.json({ sessions, count: sessions.length });
+  } catch (error) {
+    luderror.auth('Failed to list own sessions:', error);
+    next(error);
+  }
+});
+
+// Sign out all my other sessions
+router.post('/sessions/revoke-others', authenticateToken, async (req, res, next) => {
+  try {
+    const current = await getCurrentSessionContext(req, { exact: true });
+    const revoked = await UserSessionService.revokeOtherSessions(req.user.id, current);
+
+    res.json({
+      success: true,
+      message: 'Other sessions signed out',
+      revokedSessions: revoked.sessions
+    });
+  } catch (error) {
+    luderror.auth('Failed to revoke other sessions:', error);
+    next(error);
+  }
+});
+
+// Sign out one of my other sessions
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res, next) => {
+  try {
+    const { sessionId } = await getCurrentSessionContext(req, { exact: true });
+    await UserSessionService.revokeSession(req.user.id, req.params.sessionId, sessionId);
+
+    res.json({ success: true, message: 'Session signed out' });
+  } catch (error) {
+    luderror.auth('Failed to revoke session:', error);
+    next(error);
+  }
+});
+
 // =============================================
 // ADMIN SESSION MANAGEMENT ROUTES
 // =============================================
@@ -983,85 +1031,115 @@ router.post('/sessions/cleanup', authenticateToken, requireAdmin, async (_req, r
 });
 
 // =============================================
-// ANONYMOUS ADMIN PASSWORD VALIDATION
+// TWO-FACTOR AUTHENTICATION
 // =============================================
 
-// Anonymous admin password validation (no authentication required)
-// Used for maintenance mode bypass on student portal when students_access is invite_only
-router.post('/validate-admin-password', rateLimiters.auth, async (req, res) => {
+// Get two-factor status of the current user
+router.get('/2fa/status', authenticateToken, async (req, res, next) => {
   try {
-    const { password } = req.body;
+    const status = await TwoFactorService.getStatus(req.user, getRequestRefreshTokenId(req));
+    res.json(status);
+  } catch (error) {
+    luderror.auth('Failed to get two-factor status:', error);
+    next(error);
+  }
+});
 
-    // Validate input
-    if (!password || typeof password !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: 'Password is required'
-      });
-    }
+// Start enrolment - returns the secret and a QR code for authenticator apps
+router.post('/2fa/enroll', authenticateToken, rateLimiters.auth, async (req, res, next) => {
+  try {
+    const enrolment = await TwoFactorService.startEnrolment(req.user);
+    res.json(enrolment);
+  } catch (error) {
+    luderror.auth('Failed to start two-factor enrolment:', error);
+    next(error);
+  }
+});
 
-    // Check password length to prevent obviously wrong passwords
-    if (password.length < 3 || password.length > 100) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid password format'
-      });
-    }
+// Confirm enrolment with the first code - backup codes are returned only here
+router.post('/2fa/enroll/confirm', authenticateToken, rateLimiters.auth, validateBody(schemas.twoFactorCode), async (req, res, next) => {
+  try {
+    const result = await TwoFactorService.confirmEnrolment(req.user, req.body.code, getRequestRefreshTokenId(req));
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      ...result
+    });
+  } catch (error) {
+    luderror.auth('Failed to confirm two-factor enrolment:', error);
+    next(error);
+  }
+});
 
-    // Validate password using secure comparison
-    try {
-      const isValidPassword = verifyAdminPassword(password);
-      if (!isValidPassword) {
-        // Audit log failed attempts
+// Step-up challenge - verifies the current session for sensitive actions
+router.post('/2fa/verify', authenticateToken, rateLimiters.auth, validateBody(schemas.twoFactorCode), async (req, res, next) => {
+  try {
+    const result = await TwoFactorService.verifyChallenge(req.user, req.body.code, getRequestRefreshTokenId(req));
+    res.json({
+      success: true,
+      method: result.method,
+      verified_until: result.verified_until,
+      backup_codes_remaining: result.backup_codes_remaining
+    });
+  } catch (error) {
+    luderror.auth('Two-factor verification failed:', error);
+    next(error);
+  }
+});
 
-        return res.status(401).json({
-          success: false,
-          error: 'Invalid admin password'
-        });
-      }
-    } catch (verificationError) {
-      luderror.auth('Password verification error:', verificationError);
-      return res.status(500).json({
-        success: false,
-        error: 'Admin password not configured'
-      });
-    }
+// Replace backup codes
+router.post('/2fa/backup-codes', authenticateToken, rateLimiters.auth, validateBody(schemas.twoFactorCode), async (req, res, next) => {
+  try {
+    const backupCodes = await TwoFactorService.regenerateBackupCodes(req.user, req.body.code);
+    res.json({ backup_codes: backupCodes });
+  } catch (error) {
+    luderror.auth('Failed to regenerate backup codes:', error);
+    next(error);
+  }
+});
 
-    // Password is correct - create signed token for httpOnly cookie
-    const jwt = await import('jsonwebtoken');
+// Turn off two-factor authentication (not allowed for admins)
+router.post('/2fa/disable', authenticateToken, rateLimiters.auth, validateBody(schemas.twoFactorCode), async (req, res, next) => {
+  try {
+    await TwoFactorService.disable(req.user, req.body.code);
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    luderror.auth('Failed to disable two-factor authentication:', error);
+    next(error);
+  }
+});
 
-    // Detect portal from request
+// Admin access for maintenance mode bypass on the student portal (students_access invite_only).
+// Requires a signed-in admin and a second-factor code; the token is bound to the verified UserSession.
+router.post('/2fa/admin-access', authenticateToken, requireAdmin, rateLimiters.auth, validateBody(schemas.twoFactorCode), async (req, res, next) => {
+  try {
     const portal = detectPortal(req);
-    const audience = portal === 'student' ? 'ludora-student-portal' : 'ludora-teacher-portal';
+    const verification = await TwoFactorService.verifyChallenge(req.user, req.body.code, getRequestRefreshTokenId(req));
 
-    // Generate cryptographically secure random components for token uniqueness
-    const nonce = crypto.randomBytes(32).toString('hex');
-    const sessionId = crypto.randomUUID();
-    const now = Date.now();
-
-    const tokenPayload = {
-      type: 'anonymous_admin',
-      sessionId: sessionId,
-      nonce: nonce,
-      timestamp: now,
-      expiresAt: now + (24 * 60 * 60 * 1000), // 24 hours
-      portal: portal
-    };
+    const jwt = await import('jsonwebtoken');
+    const audience = portal === 'student' ? 'ludora-student-portal' : 'ludora-teacher-portal';
+    const expiresAt = Date.now() + (24 * 60 * 60 * 1000); // 24 hours
 
-    const anonymousAdminToken = jwt.default.sign(
-      tokenPayload,
+    const adminAccessToken = jwt.default.sign(
+      {
+        type: ADMIN_ACCESS_TOKEN_TYPE,
+        userId: req.user.id,
+        sessionId: verification.session_id,
+        nonce: crypto.randomBytes(32).toString('hex'),
+        portal
+      },
       process.env.JWT_SECRET,
       {
         expiresIn: '24h',
         issuer: 'ludora-api',
-        audience: audience
+        audience
       }
     );
 
-    // Audit log successful validation
+    ludlog.auth('Admin access token issued', { userId: req.user.id, sessionId: verification.session_id, portal });
 
     // Set token as httpOnly cookie for security (prevents XSS attacks)
-    res.cookie('anonymous_admin_token', anonymousAdminToken, {
+    res.cookie('admin_access_token', adminAccessToken, {
       httpOnly: true,
       secure: process.env.NODE_ENV === 'production',
       sameSite: 'strict',
@@ -1069,20 +1147,15 @@ router.post('/validate-admin-password', rateLimiters.auth, async (req, res) => {
       path: '/'
     });
 
-    // Return success with token
     res.json({
       success: true,
       message: 'Admin access granted',
-      expiresAt: new Date(tokenPayload.expiresAt).toISOString(),
-      anonymousAdminToken: anonymousAdminToken
+      expiresAt: new Date(expiresAt).toISOString(),
+      adminAccessToken
     });
-
   } catch (error) {
-    luderror.auth('Anonymous admin password validation error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    });
+    luderror.auth('Admin access validation error:', error);
+    next(error);
   }
 });
 
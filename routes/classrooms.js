@@ -5,6 +5,10 @@ import { validateBody, rateLimiters, schemas } from '../middleware/validation.js
 import { checkStudentsAccess } from '../middleware/studentsAccessMiddleware.js';
 import models from '../models/index.js';
 import SettingsService from '../services/SettingsService.js';
+import GameResultsService, { GRADEBOOK_EXPORT_FORMATS } from '../services/GameResultsService.js';
+import AchievementService from '../services/AchievementService.js';
+import StudentInvitationService from '../services/StudentInvitationService.js';
+import { APIError } from '../middleware/errorHandler.js';
 import { ludlog, luderror } from '../lib/ludlog.js';
 
 const router = express.Router();
@@ -1710,6 +1714,698 @@ router.post('/migrate-player', authenticateToken, rateLimiters.auth, async (req,
   }
 });
 
+/**
+ * @openapi
+ * /api/classrooms/{classroomId}/gradebook:
+ *   get:
+ *     summary: Classroom gradebook - game results of the classroom's students over a date range
+ *     tags: [Classrooms]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classroomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (YYYY-MM-DD), defaults to 30 days before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (YYYY-MM-DD), defaults to today
+ *     responses:
+ *       200:
+ *         description: Per-student summary and one result per student per finished session
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 classroom:
+ *                   type: object
+ *                 range:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                       format: date-time
+ *                     to:
+ *                       type: string
+ *                       format: date-time
+ *                 students:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       student_id:
+ *                         type: string
+ *                       display_name:
+ *                         type: string
+ *                       sessions_played:
+ *                         type: integer
+ *                       average_score:
+ *                         type: number
+ *                         nullable: true
+ *                       average_accuracy:
+ *                         type: number
+ *                         nullable: true
+ *                       total_time_seconds:
+ *                         type: integer
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Invalid date range
+ *       403:
+ *         description: Classroom belongs to another teacher
+ *       404:
+ *         description: Classroom not found
+ */
+router.get('/:classroomId/gradebook', authenticateToken, async (req, res) => {
+  try {
+    const gradebook = await GameResultsService.getClassroomGradebook(req.params.classroomId, req.user.id, req.query);
+
+    res.json({ success: true, ...gradebook });
+  } catch (error) {
+    luderror.api('[GRADEBOOK] Failed to build classroom gradebook', {
+      classroomId: req.params.classroomId,
+      teacherId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: error instanceof APIError ? error.message : 'Failed to build gradebook',
+      code: error.code || 'GRADEBOOK_FAILED'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/classrooms/{classroomId}/gradebook/export:
+ *   get:
+ *     summary: Download the classroom gradebook as CSV or XLSX
+ *     description: CSV has one row per student per finished session; XLSX adds a per-student summary sheet.
+ *     tags: [Classrooms]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classroomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Gradebook file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid format or date range
+ *       403:
+ *         description: Classroom belongs to another teacher
+ *       404:
+ *         description: Classroom not found
+ */
+router.get('/:classroomId/gradebook/export', authenticateToken, async (req, res) => {
+  try {
+    const { format = 'csv', from, to } = req.query;
+
+    if (!GRADEBOOK_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `format must be one of: ${GRADEBOOK_EXPORT_FORMATS.join(', ')}`,
+        code: 'INVALID_FORMAT'
+      });
+    }
+
+    const gradebook = await GameResultsService.getClassroomGradebook(req.params.classroomId, req.user.id, { from, to });
+    const file = await GameResultsService.exportGradebook(gradebook, format);
+
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Disposition': `attachment; filename="${file.filename}"`
+    });
+    res.send(file.body);
+  } catch (error) {
+    luderror.api('[GRADEBOOK] Failed to export classroom gradebook', {
+      classroomId: req.params.classroomId,
+      teacherId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: error instanceof APIError ? error.message : 'Failed to export gradebook',
+      code: error.code || 'GRADEBOOK_EXPORT_FAILED'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/classrooms/{classroomId}/achievements:
+ *   get:
+ *     summary: Achievement history of the classroom's students
+ *     tags: [Classrooms]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classroomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Badge count per active student and every award, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 classroom:
+ *                   type: object
+ *                 students:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       student_id:
+ *                         type: string
+ *                       display_name:
+ *                         type: string
+ *                       achievements_count:
+ *                         type: integer
+ *                 awards:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       student_id:
+ *                         type: string
+ *                       display_name:
+ *                         type: string
+ *                       achievement:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           key:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           description:
+ *                             type: string
+ *                           icon_url:
+ *                             type: string
+ *                       session_id:
+ *                         type: string
+ *                       awarded_at:
+ *                         type: string
+ *                         format: date-time
+ *       403:
+ *         description: Classroom belongs to another teacher
+ *       404:
+ *         description: Classroom not found
+ */
+router.get('/:classroomId/achievements', authenticateToken, async (req, res) => {
+  try {
+    const history = await AchievementService.getClassroomAchievements(req.params.classroomId, req.user.id);
+
+    res.json({ success: true, ...history });
+  } catch (error) {
+    luderror.api('[ACHIEVEMENTS] Failed to load classroom achievements', {
+      classroomId: req.params.classroomId,
+      teacherId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: error instanceof APIError ? error.message : 'Failed to load achievements',
+      code: error.code || 'ACHIEVEMENTS_FAILED'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/classrooms/{classroomId}/invitations:
+ *   post:
+ *     summary: Invite students to the classroom by email
+ *     description: |
+ *       Creates one invitation per student and emails the student an invitation link and, when a parent email
+ *       is given, the parent a consent link. Invitations expire after the student_invitation_expiry_days setting.
+ *       When parent_consent_required is on, a parent email is required unless the student already has an
+ *       active parent consent. Students that cannot be invited are returned in `skipped` with a reason
+ *       (duplicate, already_invited, not_a_student, already_member, parent_email_required,
+ *       parent_email_matches_student).
+ *     tags: [Classrooms]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classroomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - invitations
+ *             properties:
+ *               invitations:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 50
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - student_email
+ *                   properties:
+ *                     student_email:
+ *                       type: string
+ *                       format: email
+ *                     student_name:
+ *                       type: string
+ *                     parent_email:
+ *                       type: string
+ *                       format: email
+ *                     parent_name:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Invitations created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 invitations:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 skipped:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       student_email:
+ *                         type: string
+ *                       reason:
+ *                         type: string
+ *                 failed_emails:
+ *                   type: array
+ *                   description: Emails that could not be sent (the invitations are still valid)
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       invitation_id:
+ *                         type: string
+ *                       recipient:
+ *                         type: string
+ *                         enum: [student, parent]
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Classroom belongs to another teacher
+ *       404:
+ *         description: Classroom not found
+ *       409:
+ *         description: Classroom is not active
+ *   get:
+ *     summary: Invitations of the classroom
+ *     description: Newest first. Statuses are pending, awaiting_parent_consent, accepted, expired and cancelled.
+ *     tags: [Classrooms]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classroomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitations
+ *       403:
+ *         description: Classroom belongs to another teacher
+ *       404:
+ *         description: Classroom not found
+ */
+router.post('/:classroomId/invitations', authenticateToken, rateLimiters.email, validateBody(schemas.studentInvitations), async (req, res) => {
+  try {
+    const result = await StudentInvitationService.inviteStudents(req.params.classroomId, req.user.id, req.body.invitations);
+
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    luderror.api('[INVITATIONS] Failed to invite students', {
+      classroomId: req.params.classroomId,
+      teacherId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: error instanceof APIError ? error.message : 'Failed to invite students',
+      code: error.code || 'INVITATIONS_FAILED'
+    });
+  }
+});
+
+router.get('/:classroomId/invitations', authenticateToken, async (req, res) => {
+  try {
+    const invitations = await StudentInvitationService.listClassroomInvitations(req.params.classroomId, req.user.id);
+
+    res.json({ success: true, invitations, count: invitations.length });
+  } catch (error) {
+    luderror.api('[INVITATIONS] Failed to list classroom invitations', {
+      classroomId: req.params.classroomId,
+      teacherId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: error instanceof APIError ? error.message : 'Failed to load invitations',
+      code: error.code || 'INVITATIONS_FAILED'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/classrooms/{classroomId}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Cancel an open invitation
+ *     description: The invitation and parent consent links stop working. Accepted invitations cannot be cancelled.
+ *     tags: [Classrooms]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classroomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation cancelled
+ *       403:
+ *         description: Classroom belongs to another teacher
+ *       404:
+ *         description: Classroom or invitation not found
+ *       409:
+ *         description: Invitation is no longer open
+ */
+router.delete('/:classroomId/invitations/:invitationId', authenticateToken, async (req, res) => {
+  try {
+    const invitation = await StudentInvitationService.cancelInvitation(req.params.classroomId, req.params.invitationId, req.user.id);
+
+    res.json({ success: true, invitation });
+  } catch (error) {
+    luderror.api('[INVITATIONS] Failed to cancel invitation', {
+      classroomId: req.params.classroomId,
+      invitationId: req.params.invitationId,
+      teacherId: req.user?.id,
+      error: error.message
+    });
+
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: error instanceof APIError ? error.message : 'Failed to cancel invitation',
+      code: error.code || 'INVITATION_CANCEL_FAILED'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/classrooms/invitations/{token}:
+ *   get:
+ *     summary: Preview a classroom invitation
+ *     description: What the student's invitation link shows - classroom, teacher, status and expiry.
+ *     tags: [Classrooms]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation preview
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 invitation:
+ *                   type: object
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                     student_name:
+ *                       type: string
+ *                     classroom:
+ *                       type: object
+ *                     teacher_name:
+ *                       type: string
+ *                     expires_at:
+ *                       type: string
+ *                       format: date-time
+ *                     student_accepted:
+ *                       type: boolean
+ *                     parent_consent_given:
+ *                       type: boolean
+ *                     parent_consent_required:
+ *                       type: boolean
+ *       404:
+ *         description: Invitation not found
+ */
+router.get('/invitations/:token', rateLimiters.auth, async (req, res) => {
+  try {
+    const invitation = await StudentInvitationService.previewInvitation(req.params.token);
+
+    res.json({ success: true, invitation });
+  } catch (error) {
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: error instanceof APIError ? error.message : 'Failed to load invitation',
+      code: error.code || 'INVITATION_FAILED'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/classrooms/invitations/{token}/accept:
+ *   post:
+ *     summary: Accept a classroom invitation
+ *     description: |
+ *       The signed-in student must use the invited email address. The invitation becomes an active
+ *       classroom membership right away, or once the parent consents when parent consent is required
+ *       and the student has no active parent consent (`needs_parent_consent: true`).
+ *     tags: [Classrooms]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 invitation:
+ *                   type: object
+ *                 membership:
+ *                   type: object
+ *                   nullable: true
+ *                 needs_parent_consent:
+ *                   type: boolean
+ *       403:
+ *         description: Not a student, or the invitation was sent to another email
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation already accepted, expired or cancelled
+ */
+router.post('/invitations/:token/accept', authenticateToken, rateLimiters.auth, async (req, res) => {
+  try {
+    const result = await StudentInvitationService.acceptInvitation(req.params.token, req.user);
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    luderror.auth('[INVITATIONS] Failed to accept invitation', {
+      userId: req.user?.id,
+      ip: req.ip,
+      error: error.message
+    });
+
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: error instanceof APIError ? error.message : 'Failed to accept invitation',
+      code: error.code || 'INVITATION_ACCEPT_FAILED'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/classrooms/invitations/consent/{token}:
+ *   get:
+ *     summary: Preview a parent consent request
+ *     description: What the parent's consent link shows - same fields as the invitation preview.
+ *     tags: [Classrooms]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Consent request preview
+ *       404:
+ *         description: Consent request not found
+ *   post:
+ *     summary: Give parent consent
+ *     description: |
+ *       Records the parent's consent with the request's IP address and user agent. Once the student has
+ *       accepted, the consent is stored as the student's parent consent and the membership is created;
+ *       consent given earlier is recorded when the student accepts.
+ *     tags: [Classrooms]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - parent_name
+ *               - consent
+ *             properties:
+ *               parent_name:
+ *                 type: string
+ *               parent_phone:
+ *                 type: string
+ *               consent:
+ *                 type: boolean
+ *                 enum: [true]
+ *     responses:
+ *       200:
+ *         description: Consent recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 status:
+ *                   type: string
+ *                 student_accepted:
+ *                   type: boolean
+ *                 membership_created:
+ *                   type: boolean
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Consent request not found
+ *       409:
+ *         description: Consent already given, or the invitation expired or was cancelled
+ */
+router.get('/invitations/consent/:token', rateLimiters.auth, async (req, res) => {
+  try {
+    const invitation = await StudentInvitationService.previewParentConsent(req.params.token);
+
+    res.json({ success: true, invitation });
+  } catch (error) {
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: error instanceof APIError ? error.message : 'Failed to load consent request',
+      code: error.code || 'CONSENT_REQUEST_FAILED'
+    });
+  }
+});
+
+router.post('/invitations/consent/:token', rateLimiters.auth, validateBody(schemas.parentConsent), async (req, res) => {
+  try {
+    const result = await StudentInvitationService.giveParentConsent(req.params.token, req.body, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    luderror.auth('[INVITATIONS] Failed to record parent consent', {
+      ip: req.ip,
+      error: error.message
+    });
+
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: error instanceof APIError ? error.message : 'Failed to record parent consent',
+      code: error.code || 'PARENT_CONSENT_FAILED'
+    });
+  }
+});
+
 /**
  * Helper function to check if a user can migrate a specific player
  */
@@ -0,0 +1,41 @@
+import express from 'express';
+import CreatorEarningsService from '../services/CreatorEarningsService.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { luderror } from '../lib/ludlog.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/creator-earnings/statements
+ * Periods (YYYY-MM) in which the current creator has earnings entries
+ */
+router.get('/statements', authenticateToken, async (req, res, next) => {
+  try {
+    const periods = await CreatorEarningsService.getStatementPeriods(req.user.id);
+
+    res.json({
+      periods,
+      count: periods.length
+    });
+  } catch (error) {
+    luderror.payments('Failed to fetch creator statement periods:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/creator-earnings/statements/:period
+ * Monthly earnings statement of the current creator
+ */
+router.get('/statements/:period', authenticateToken, async (req, res, next) => {
+  try {
+    const statement = await CreatorEarningsService.getMonthlyStatement(req.user.id, req.params.period);
+
+    res.json(statement);
+  } catch (error) {
+    luderror.payments('Failed to fetch creator statement:', error);
+    next(error);
+  }
+});
+
+export default router;
\ No newline at end of file
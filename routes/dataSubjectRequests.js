@@ -0,0 +1,162 @@
+import express from 'express';
+import Joi from 'joi';
+import { authenticateToken, requireAdmin, requireTwoFactor } from '../middleware/auth.js';
+import { validateBody, validateQuery } from '../middleware/validation.js';
+import DataSubjectRequestService from '../services/DataSubjectRequestService.js';
+import {
+  DSR_REQUEST_TYPE,
+  DSR_SUBJECT_TYPE,
+  DSR_STATUS,
+  DSR_REQUESTER_ROLE
+} from '../constants/dataSubjectRequests.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { luderror } from '../lib/ludlog.js';
+
+const router = express.Router();
+
+// Data subject requests are an admin tool - parents use the parent portal
+router.use(authenticateToken, requireAdmin);
+
+// Validation schemas for data subject request routes
+const schemas = {
+  createRequest: Joi.object({
+    request_type: Joi.string().valid(...Object.values(DSR_REQUEST_TYPE)).required(),
+    subject_type: Joi.string().valid(...Object.values(DSR_SUBJECT_TYPE)).required(),
+    subject_id: Joi.string().max(255).required(),
+    reason: Joi.string().max(2000).allow('', null).optional()
+  }),
+  listRequests: Joi.object({
+    status: Joi.string().valid(...Object.values(DSR_STATUS)).optional(),
+    request_type: Joi.string().valid(...Object.values(DSR_REQUEST_TYPE)).optional(),
+    subject_type: Joi.string().valid(...Object.values(DSR_SUBJECT_TYPE)).optional(),
+    subject_id: Joi.string().max(255).optional(),
+    requested_by: Joi.string().max(255).optional(),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    offset: Joi.number().integer().min(0).default(0)
+  }),
+  legalHold: Joi.object({
+    reason: Joi.string().min(3).max(2000).required()
+      .messages({
+        'any.required': 'A legal hold reason is required'
+      })
+  })
+};
+
+function sendError(res, error, fallbackMessage) {
+  res.status(error instanceof APIError ? error.statusCode : 500).json({
+    error: error instanceof APIError ? error.message : fallbackMessage
+  });
+}
+
+// =============================================
+// REQUESTS
+// =============================================
+
+// Request an export or erasure of a user's or player's data
+router.post('/', requireTwoFactor, validateBody(schemas.createRequest), async (req, res) => {
+  try {
+    const request = await DataSubjectRequestService.createRequest(req.body, {
+      id: req.user.id,
+      role: DSR_REQUESTER_ROLE.ADMIN
+    });
+
+    res.status(202).json(request);
+  } catch (error) {
+    luderror.api('Create data subject request error:', error);
+    sendError(res, error, 'Failed to create data subject request');
+  }
+});
+
+// Requests, newest first (?status=&request_type=&subject_type=&subject_id=&requested_by=)
+router.get('/', validateQuery(schemas.listRequests), async (req, res) => {
+  try {
+    const result = await DataSubjectRequestService.listRequests(req.query);
+
+    res.json(result);
+  } catch (error) {
+    luderror.api('List data subject requests error:', error);
+    sendError(res, error, 'Failed to retrieve data subject requests');
+  }
+});
+
+// A request with its audit trail
+router.get('/:requestId', async (req, res) => {
+  try {
+    const request = await DataSubjectRequestService.getRequest(req.params.requestId);
+
+    res.json(request);
+  } catch (error) {
+    luderror.api('Get data subject request error:', error);
+    sendError(res, error, 'Failed to retrieve data subject request');
+  }
+});
+
+// Download a completed export archive
+router.get('/:requestId/download', async (req, res) => {
+  try {
+    const archive = await DataSubjectRequestService.getExportArchive(req.params.requestId, req.user);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${archive.filename}"`
+    });
+    res.send(archive.buffer);
+  } catch (error) {
+    luderror.api('Download data export error:', error);
+    sendError(res, error, 'Failed to download data export');
+  }
+});
+
+// Queue a failed request again
+router.post('/:requestId/retry', async (req, res) => {
+  try {
+    const request = await DataSubjectRequestService.retryRequest(req.params.requestId, req.user);
+
+    res.json(request);
+  } catch (error) {
+    luderror.api('Retry data subject request error:', error);
+    sendError(res, error, 'Failed to retry data subject request');
+  }
+});
+
+// Cancel a request that has not run
+router.post('/:requestId/cancel', async (req, res) => {
+  try {
+    const request = await DataSubjectRequestService.cancelRequest(req.params.requestId, req.user);
+
+    res.json(request);
+  } catch (error) {
+    luderror.api('Cancel data subject request error:', error);
+    sendError(res, error, 'Failed to cancel data subject request');
+  }
+});
+
+// =============================================
+// LEGAL HOLD
+// =============================================
+
+// Block erasure of the request's subject
+router.post('/:requestId/legal-hold', validateBody(schemas.legalHold), async (req, res) => {
+  try {
+    const request = await DataSubjectRequestService.setLegalHold(req.params.requestId, req.user, req.body.reason);
+
+    res.json(request);
+  } catch (error) {
+    luderror.api('Set legal hold error:', error);
+    sendError(res, error, 'Failed to place legal hold');
+  }
+});
+
+// Release the hold; erasures waiting on it are queued again
+router.delete('/:requestId/legal-hold', async (req, res) => {
+  try {
+    const request = await DataSubjectRequestService.releaseLegalHold(req.params.requestId, req.user);
+
+    res.json(request);
+  } catch (error) {
+    luderror.api('Release legal hold error:', error);
+    sendError(res, error, 'Failed to release legal hold');
+  }
+});
+
+export default router;
\ No newline at end of file
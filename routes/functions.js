@@ -269,14 +269,9 @@ router.post('/applyCoupon', validateBody(schemas.applyCoupon), async (req, res)
       usageCountBefore: coupon.usage_count
     });
 
-    // Update coupon usage counts
+    // Update coupon usage counts (per-user tracking and usage_count in one update)
     await CouponValidationService.incrementUserUsage(coupon.id, userId, transaction);
 
-    await models.Coupon.increment('usage_count', {
-      where: { id: coupon.id },
-      transaction
-    });
-
     await transaction.commit();
 
     ludlog.payments('Coupon applied successfully to Purchase records', {
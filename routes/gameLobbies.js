@@ -6,12 +6,17 @@ import rateLimit from 'express-rate-limit';
 import models from '../models/index.js';
 import GameLobbyService from '../services/GameLobbyService.js';
 import GameSessionService from '../services/GameSessionService.js';
+import LobbyScheduleService from '../services/LobbyScheduleService.js';
+import LobbyDisplayService from '../services/LobbyDisplayService.js';
 import {
   validateCreateLobby,
   validateUpdateLobby,
   validateActivateLobby,
   validateCloseLobby,
   validateSetLobbyExpiration,
+  validateCreateLobbySchedule,
+  validateLobbyScheduleParams,
+  validateIssueDisplayToken,
   validateJoinByCode,
   validateLobbyId,
   validateGameId,
@@ -24,6 +29,7 @@ import {
 import { authenticateToken } from '../middleware/auth.js';
 import { checkStudentsAccess, checkStudentsLobbyAccess } from '../middleware/studentsAccessMiddleware.js';
 import { luderror } from '../lib/ludlog.js';
+import { APIError } from '../middleware/errorHandler.js';
 import { requireStudentConsent } from '../middleware/consentEnforcement.js';
 
 const router = express.Router();
@@ -469,6 +475,112 @@ router.put('/game-lobbies/:lobbyId/expiration',
   }
 );
 
+// =============================================
+// LOBBY SCHEDULES
+// =============================================
+
+/**
+ * GET /api/game-lobbies/:lobbyId/schedules
+ * List the automatic open/close schedules of a lobby
+ */
+router.get('/game-lobbies/:lobbyId/schedules',
+  authenticateToken,
+  validateLobbyId,
+  async (req, res) => {
+    try {
+      const { lobbyId } = req.validatedParams;
+
+      const schedules = await LobbyScheduleService.listSchedules(lobbyId, req.user.id);
+      res.status(200).json({ schedules });
+
+    } catch (error) {
+      luderror.api('❌ Failed to list lobby schedules:', error);
+      res.status(error instanceof APIError ? error.statusCode : 500).json({
+        error: error instanceof APIError ? error.message : 'Failed to list lobby schedules',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/game-lobbies/:lobbyId/schedules
+ * Schedule the lobby to open and close automatically (one-time or weekly)
+ */
+router.post('/game-lobbies/:lobbyId/schedules',
+  authenticateToken,
+  lobbyRateLimit,
+  validateCreateLobbySchedule,
+  async (req, res) => {
+    try {
+      const { lobbyId } = req.validatedParams;
+
+      const schedule = await LobbyScheduleService.createSchedule(lobbyId, req.validatedData, req.user.id);
+      res.status(201).json(schedule);
+
+    } catch (error) {
+      luderror.api('❌ Failed to create lobby schedule:', error);
+      res.status(error instanceof APIError ? error.statusCode : 500).json({
+        error: error instanceof APIError ? error.message : 'Failed to create lobby schedule',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/game-lobbies/:lobbyId/schedules/:scheduleId
+ * Cancel a lobby schedule (a lobby it already opened stays open until its expiration)
+ */
+router.delete('/game-lobbies/:lobbyId/schedules/:scheduleId',
+  authenticateToken,
+  validateLobbyScheduleParams,
+  async (req, res) => {
+    try {
+      const { lobbyId, scheduleId } = req.validatedParams;
+
+      const schedule = await LobbyScheduleService.cancelSchedule(lobbyId, scheduleId, req.user.id);
+      res.status(200).json(schedule);
+
+    } catch (error) {
+      luderror.api('❌ Failed to cancel lobby schedule:', error);
+      res.status(error instanceof APIError ? error.statusCode : 500).json({
+        error: error instanceof APIError ? error.message : 'Failed to cancel lobby schedule',
+        message: error.message
+      });
+    }
+  }
+);
+
+// =============================================
+// CLASSROOM DISPLAY (SPECTATOR MODE)
+// =============================================
+
+/**
+ * POST /api/game-lobbies/:lobbyId/display-token
+ * Issue a short-lived, read-only display token for projecting the lobby's live progress and leaderboards
+ */
+router.post('/game-lobbies/:lobbyId/display-token',
+  authenticateToken,
+  lobbyRateLimit,
+  validateIssueDisplayToken,
+  async (req, res) => {
+    try {
+      const { lobbyId } = req.validatedParams;
+
+      const displayToken = await LobbyDisplayService.issueDisplayToken(lobbyId, req.user.id, req.validatedData);
+      res.status(201).json(displayToken);
+
+    } catch (error) {
+      luderror.api('❌ Failed to issue lobby display token:', error);
+      res.status(error instanceof APIError ? error.statusCode : 500).json({
+        error: error instanceof APIError ? error.message : 'Failed to issue display token',
+        message: error.message
+      });
+    }
+  }
+);
+
 /**
  * DELETE /api/game-lobbies/:lobbyId
  * Close/delete a lobby
@@ -1033,6 +1145,14 @@ router.post('/game-lobbies/:lobbyId/sessions/create-student',
         });
       }
 
+      // Homework lobbies only hold solo attempts started through /api/homework
+      if (lobby.settings.homework_assignment_id) {
+        await transaction.rollback();
+        return res.status(400).json({
+          error: 'Homework sessions are started from the homework assignment'
+        });
+      }
+
       // Check guest user restrictions
       // NEW AUTH MODEL: Authenticated players are not guests
       const isGuest = !authenticatedPlayer && !effectiveParticipant.user_id;
@@ -12,7 +12,9 @@ import {
   validateFinishSession,
   validateUpdateSession,
   validateSessionId,
-  validateSessionListQuery
+  validateSessionListQuery,
+  validateSetParticipantTeam,
+  validateRebalanceTeams
 } from '../middleware/gameSessionValidation.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { checkStudentsLobbyAccess } from '../middleware/studentsAccessMiddleware.js';
@@ -361,6 +363,9 @@ router.post('/game-sessions/:sessionId/participants',
       if (error.message.includes('Session is full')) {
         return res.status(400).json({ error: 'Session is full' });
       }
+      if (error.message.includes('Team is full') || error.message.includes('Unknown team')) {
+        return res.status(400).json({ error: error.message });
+      }
       if (error.message.includes('already in session')) {
         return res.status(409).json({ error: 'User already in session' });
       }
@@ -482,6 +487,9 @@ router.post('/game-sessions/:sessionId/participants/teacher-add',
       if (error.message.includes('Session is full')) {
         return res.status(400).json({ error: 'Session is full' });
       }
+      if (error.message.includes('Team is full') || error.message.includes('Unknown team')) {
+        return res.status(400).json({ error: error.message });
+      }
       if (error.message.includes('already in session')) {
         return res.status(409).json({ error: 'User already in session' });
       }
@@ -567,6 +575,128 @@ router.delete('/game-sessions/:sessionId/participants/:participantId/teacher-rem
   }
 );
 
+// =============================================
+// TEAM MODE ROUTES
+// =============================================
+
+/**
+ * Map team change errors to responses
+ */
+function sendTeamError(res, error, fallbackMessage) {
+  if (error.message.includes('Session not found')) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (error.message.includes('Participant not found')) {
+    return res.status(404).json({ error: 'Participant not found' });
+  }
+  if (error.message.includes('Team mode is not enabled') || error.message.includes('Unknown team')) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.message.includes('Session is finished')) {
+    return res.status(409).json({ error: error.message });
+  }
+
+  return res.status(500).json({
+    error: fallbackMessage,
+    message: error.message
+  });
+}
+
+/**
+ * Lobby owner, host or admin
+ */
+function canManageTeams(lobby, user) {
+  return lobby.owner_user_id === user.id ||
+    lobby.host_user_id === user.id ||
+    user.role === 'admin' ||
+    user.role === 'sysadmin';
+}
+
+/**
+ * PUT /api/game-sessions/:sessionId/participants/:participantId/team
+ * Move a participant to a team (teacher override, kept when teams are rebalanced)
+ */
+router.put('/game-sessions/:sessionId/participants/:participantId/team',
+  authenticateToken,
+  validateSetParticipantTeam,
+  async (req, res) => {
+    const transaction = await models.sequelize.transaction();
+    try {
+      const { sessionId, participantId } = req.validatedParams;
+      const { team_assignment } = req.validatedData;
+      const { user } = req;
+
+      const { lobby } = await validateSessionAccess(sessionId, user.id, user.role, transaction);
+
+      if (!canManageTeams(lobby, user)) {
+        await transaction.rollback();
+        return res.status(403).json({
+          error: 'Access denied: Only lobby owner or host can assign teams'
+        });
+      }
+
+      const updatedSession = await GameSessionService.setParticipantTeam(
+        sessionId,
+        participantId,
+        team_assignment,
+        transaction
+      );
+
+      await transaction.commit();
+      res.status(200).json({
+        message: 'Participant team updated successfully',
+        session: updatedSession
+      });
+
+    } catch (error) {
+      await transaction.rollback();
+      luderror.auth('❌ Failed to set participant team:', error);
+      sendTeamError(res, error, 'Failed to set participant team');
+    }
+  }
+);
+
+/**
+ * POST /api/game-sessions/:sessionId/teams/rebalance
+ * Reassign the session's participants to balanced teams (lobby settings.team_balance)
+ */
+router.post('/game-sessions/:sessionId/teams/rebalance',
+  authenticateToken,
+  validateRebalanceTeams,
+  async (req, res) => {
+    const transaction = await models.sequelize.transaction();
+    try {
+      const { sessionId } = req.validatedParams;
+      const { keep_overrides } = req.validatedData;
+      const { user } = req;
+
+      const { lobby } = await validateSessionAccess(sessionId, user.id, user.role, transaction);
+
+      if (!canManageTeams(lobby, user)) {
+        await transaction.rollback();
+        return res.status(403).json({
+          error: 'Access denied: Only lobby owner or host can rebalance teams'
+        });
+      }
+
+      const updatedSession = await GameSessionService.rebalanceTeams(sessionId, transaction, {
+        keepOverrides: keep_overrides
+      });
+
+      await transaction.commit();
+      res.status(200).json({
+        message: 'Teams rebalanced successfully',
+        session: updatedSession
+      });
+
+    } catch (error) {
+      await transaction.rollback();
+      luderror.auth('❌ Failed to rebalance teams:', error);
+      sendTeamError(res, error, 'Failed to rebalance teams');
+    }
+  }
+);
+
 // =============================================
 // GAME STATE MANAGEMENT ROUTES
 // =============================================
@@ -667,6 +797,9 @@ router.put('/game-sessions/:sessionId/state',
       if (error.message.includes('not active')) {
         return res.status(400).json({ error: 'Cannot update state: Session is not active' });
       }
+      if (error.message.includes('managed by the server')) {
+        return res.status(409).json({ error: error.message });
+      }
       if (error.message.includes('Not a session participant')) {
         return res.status(403).json({ error: 'Access denied: You are not a participant in this session' });
       }
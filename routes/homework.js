@@ -0,0 +1,181 @@
+import express from 'express';
+import Joi from 'joi';
+import { authenticateToken, requireTeacher, authenticateUserOrPlayer } from '../middleware/auth.js';
+import { validateBody, studentsAccessMiddleware } from '../middleware/validation.js';
+import HomeworkService from '../services/HomeworkService.js';
+import { HOMEWORK_SCORE_POLICY, MAX_HOMEWORK_ATTEMPTS } from '../constants/homework.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { luderror } from '../lib/ludlog.js';
+
+const router = express.Router();
+
+// Validation schemas for homework routes
+const schemas = {
+  createAssignment: Joi.object({
+    classroom_id: Joi.string().required()
+      .messages({
+        'any.required': 'Classroom ID is required'
+      }),
+    game_id: Joi.string().required()
+      .messages({
+        'any.required': 'Game ID is required'
+      }),
+    title: Joi.string().min(1).max(200).trim().required()
+      .messages({
+        'string.min': 'Title must not be empty',
+        'string.max': 'Title must be at most 200 characters',
+        'any.required': 'Title is required'
+      }),
+    instructions: Joi.string().max(2000).allow('', null).optional(),
+    opens_at: Joi.date().iso().optional(),
+    due_at: Joi.date().iso().required()
+      .messages({
+        'any.required': 'Due date is required'
+      }),
+    late_until: Joi.date().iso().allow(null).optional(),
+    max_attempts: Joi.number().integer().min(1).max(MAX_HOMEWORK_ATTEMPTS).allow(null).optional(),
+    score_policy: Joi.string().valid(...Object.values(HOMEWORK_SCORE_POLICY)).optional()
+  }),
+  submitAttempt: Joi.object({
+    score: Joi.number().min(0).required()
+      .messages({
+        'any.required': 'Score is required'
+      }),
+    max_score: Joi.number().min(0).optional(),
+    correct_count: Joi.number().integer().min(0).optional(),
+    attempt_count: Joi.number().integer().min(0).optional(),
+    time_spent_seconds: Joi.number().min(0).optional(),
+    completed: Joi.boolean().optional(),
+    items: Joi.array().items(Joi.object({
+      content_id: Joi.string().required(),
+      is_correct: Joi.boolean().required(),
+      attempts: Joi.number().integer().min(1).optional()
+    })).max(500).optional()
+  })
+};
+
+// The student behind a unified (user or player) authentication
+function getStudentIdentity(req) {
+  if (req.entityType === 'player' && req.player) {
+    return {
+      id: req.player.id,
+      type: 'player',
+      display_name: req.player.display_name,
+      teacher_id: req.player.teacher_id
+    };
+  }
+
+  return {
+    id: req.user.id,
+    type: 'user',
+    display_name: req.user.full_name || req.user.email,
+    teacher_id: null
+  };
+}
+
+function sendError(res, error, fallbackMessage) {
+  res.status(error instanceof APIError ? error.statusCode : 500).json({
+    error: error instanceof APIError ? error.message : fallbackMessage
+  });
+}
+
+// =============================================
+// STUDENT ROUTES
+// =============================================
+
+// Open homework of the student's classrooms with their own progress
+router.get('/mine', studentsAccessMiddleware, authenticateUserOrPlayer, async (req, res) => {
+  try {
+    const assignments = await HomeworkService.listStudentAssignments(getStudentIdentity(req));
+
+    res.json({ assignments, count: assignments.length });
+  } catch (error) {
+    luderror.api('Get student homework error:', error);
+    sendError(res, error, 'Failed to retrieve homework');
+  }
+});
+
+// Start a solo attempt (or resume the unfinished one)
+router.post('/:assignmentId/attempts', studentsAccessMiddleware, authenticateUserOrPlayer, async (req, res) => {
+  try {
+    const attempt = await HomeworkService.startAttempt(req.params.assignmentId, getStudentIdentity(req));
+
+    res.status(attempt.resumed ? 200 : 201).json(attempt);
+  } catch (error) {
+    luderror.api('Start homework attempt error:', error);
+    sendError(res, error, 'Failed to start homework attempt');
+  }
+});
+
+// Submit the result of a client-driven game attempt
+router.post('/:assignmentId/attempts/:sessionId/submit', studentsAccessMiddleware, authenticateUserOrPlayer, validateBody(schemas.submitAttempt), async (req, res) => {
+  try {
+    const { assignmentId, sessionId } = req.params;
+
+    const submitted = await HomeworkService.submitAttempt(assignmentId, sessionId, getStudentIdentity(req), req.body);
+
+    res.json(submitted);
+  } catch (error) {
+    luderror.api('Submit homework attempt error:', error);
+    sendError(res, error, 'Failed to submit homework attempt');
+  }
+});
+
+// =============================================
+// TEACHER ROUTES
+// =============================================
+
+// Assign a game to a classroom as homework
+router.post('/', authenticateToken, requireTeacher, validateBody(schemas.createAssignment), async (req, res) => {
+  try {
+    const assignment = await HomeworkService.createAssignment(req.body, req.user.id, req.user.role);
+
+    res.status(201).json(assignment);
+  } catch (error) {
+    luderror.api('Create homework error:', error);
+    sendError(res, error, 'Failed to create homework');
+  }
+});
+
+// Homework assignments of a classroom
+router.get('/', authenticateToken, requireTeacher, async (req, res) => {
+  try {
+    const { classroom_id: classroomId } = req.query;
+    if (!classroomId) {
+      return res.status(400).json({ error: 'classroom_id query parameter is required' });
+    }
+
+    const assignments = await HomeworkService.listClassroomAssignments(classroomId, req.user.id);
+
+    res.json({ assignments, count: assignments.length });
+  } catch (error) {
+    luderror.api('List homework error:', error);
+    sendError(res, error, 'Failed to retrieve homework');
+  }
+});
+
+// Per-student completion, scores and late submissions
+router.get('/:assignmentId/progress', authenticateToken, requireTeacher, async (req, res) => {
+  try {
+    const progress = await HomeworkService.getAssignmentProgress(req.params.assignmentId, req.user.id);
+
+    res.json(progress);
+  } catch (error) {
+    luderror.api('Get homework progress error:', error);
+    sendError(res, error, 'Failed to retrieve homework progress');
+  }
+});
+
+// Cancel an assignment
+router.delete('/:assignmentId', authenticateToken, requireTeacher, async (req, res) => {
+  try {
+    const assignment = await HomeworkService.cancelAssignment(req.params.assignmentId, req.user.id);
+
+    res.json(assignment);
+  } catch (error) {
+    luderror.api('Cancel homework error:', error);
+    sendError(res, error, 'Failed to cancel homework');
+  }
+});
+
+export default router;
\ No newline at end of file
@@ -27,10 +27,19 @@ const scheduleJobSchema = Joi.object({
   type: Joi.string().valid(
     'SUBSCRIPTION_PAYMENT_CHECK',
     'PAYMENT_STATUS_CHECK',
+    'WEBHOOK_RETRY',
+    'INVOICE_GENERATION',
+    'DATA_SUBJECT_REQUEST',
     'WEBHOOK_SECURITY_MONITOR',
     'SESSION_CLEANUP',
+    'LOBBY_SCHEDULED_OPEN',
+    'LOBBY_SCHEDULED_CLOSE',
     'FILE_CLEANUP_ORPHANED',
     'DATABASE_MAINTENANCE',
+    'CREATOR_EARNINGS_ACCRUAL',
+    'STUDENT_INVITATION_REMINDERS',
+    'STUDENT_INVITATION_EXPIRY',
+    'DSR_EXPORT_CLEANUP',
     'ANALYTICS_REPORT'
   ).required(),
   data: Joi.object().required(),
@@ -48,6 +57,10 @@ const scheduleRecurringJobSchema = Joi.object({
     'FILE_CLEANUP_ORPHANED',
     'DATABASE_MAINTENANCE',
     'WEBHOOK_SECURITY_MONITOR',
+    'CREATOR_EARNINGS_ACCRUAL',
+    'STUDENT_INVITATION_REMINDERS',
+    'STUDENT_INVITATION_EXPIRY',
+    'DSR_EXPORT_CLEANUP',
     'ANALYTICS_REPORT'
   ).required(),
   data: Joi.object().required(),
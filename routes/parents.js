@@ -0,0 +1,223 @@
+import express from 'express';
+import Joi from 'joi';
+import { authenticateToken, requireParent, usePortal } from '../middleware/auth.js';
+import { validateBody, rateLimiters } from '../middleware/validation.js';
+import AuthService from '../services/AuthService.js';
+import ParentPortalService, { PARENT_DATA_REQUEST_TYPES } from '../services/ParentPortalService.js';
+import {
+  logCookieConfig,
+  getPortalCookieNames,
+  createPortalAccessTokenConfig,
+  createPortalRefreshTokenConfig,
+  createPortalClearCookieConfig
+} from '../utils/cookieConfig.js';
+import { getRequestLocation } from '../utils/sessionDevice.js';
+import { ludlog, luderror } from '../lib/ludlog.js';
+
+const router = express.Router();
+
+const PORTAL = 'parent';
+
+// Every parent route uses the parent portal cookies and sessions, whatever the request host
+router.use(usePortal(PORTAL));
+
+// Validation schemas for parent portal routes
+const schemas = {
+  magicLink: Joi.object({
+    email: Joi.string().email().max(255).trim().required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'Email is required'
+      })
+  }),
+  verifyMagicLink: Joi.object({
+    token: Joi.string().required()
+      .messages({
+        'any.required': 'Sign-in token is required'
+      })
+  }),
+  dataRequest: Joi.object({
+    type: Joi.string().valid(...PARENT_DATA_REQUEST_TYPES).required()
+      .messages({
+        'any.only': `Type must be one of: ${PARENT_DATA_REQUEST_TYPES.join(', ')}`,
+        'any.required': 'Type is required'
+      }),
+    details: Joi.string().max(2000).allow('', null).optional()
+  })
+};
+
+const getAuditData = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+// =============================================
+// SIGN-IN
+// =============================================
+
+// Email a sign-in link to the parent's consent email
+router.post('/magic-link', rateLimiters.auth, validateBody(schemas.magicLink), async (req, res, next) => {
+  try {
+    await ParentPortalService.requestMagicLink(req.body.email);
+
+    // Same answer whether or not the email has an active consent
+    res.json({ message: 'If this email belongs to a parent with an active consent, a sign-in link was sent' });
+  } catch (error) {
+    luderror.auth('Parent magic link error:', error);
+    next(error);
+  }
+});
+
+// Exchange a sign-in link for a parent portal session
+router.post('/magic-link/verify', rateLimiters.auth, validateBody(schemas.verifyMagicLink), async (req, res) => {
+  try {
+    const sessionMetadata = {
+      userAgent: req.get('User-Agent') || 'Unknown',
+      ipAddress: req.ip || req.socket?.remoteAddress || 'Unknown',
+      location: getRequestLocation(req),
+      timestamp: new Date()
+    };
+
+    const result = await AuthService.signInParentWithMagicLink(req.body.token, sessionMetadata);
+
+    const cookieNames = getPortalCookieNames(PORTAL);
+
+    const accessConfig = createPortalAccessTokenConfig(PORTAL);
+    logCookieConfig(`Magic Link ${PORTAL} - Access Token`, accessConfig);
+    res.cookie(cookieNames.accessToken, result.accessToken, accessConfig);
+
+    const refreshConfig = createPortalRefreshTokenConfig(PORTAL);
+    logCookieConfig(`Magic Link ${PORTAL} - Refresh Token`, refreshConfig);
+    res.cookie(cookieNames.refreshToken, result.refreshToken, refreshConfig);
+
+    ludlog.auth('Parent signed in with magic link:', { userId: result.user.id });
+
+    res.json({
+      success: true,
+      user: result.user,
+      sessionId: result.sessionId
+    });
+  } catch (error) {
+    luderror.auth('Parent magic link sign-in error:', error);
+    res.status(401).json({ error: error.message || 'Invalid or expired sign-in link' });
+  }
+});
+
+// Sign out of the parent portal
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    const cookieNames = getPortalCookieNames(PORTAL);
+
+    const refreshToken = req.cookies[cookieNames.refreshToken];
+    if (refreshToken) {
+      try {
+        const payload = AuthService.verifyJWTToken(refreshToken);
+        if (payload.tokenId) {
+          await AuthService.revokeRefreshToken(payload.tokenId);
+        }
+      } catch (tokenError) {
+        // Continue with logout even if token revocation fails
+      }
+    }
+
+    await AuthService.logoutUserFromPortal(req.user.id, PORTAL);
+
+    const clearConfig = createPortalClearCookieConfig(PORTAL);
+    logCookieConfig(`Logout ${PORTAL} - Clear Cookies`, clearConfig);
+    res.clearCookie(cookieNames.accessToken, clearConfig);
+    res.clearCookie(cookieNames.refreshToken, clearConfig);
+
+    res.json({ success: true, message: 'Logged out from parent portal successfully' });
+  } catch (error) {
+    luderror.auth('Parent logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// =============================================
+// PARENT ROUTES
+// =============================================
+
+// Signed-in parent
+router.get('/me', authenticateToken, requireParent, async (req, res) => {
+  const { id, email, full_name, user_type } = req.user;
+  res.json({ id, email, full_name, user_type });
+});
+
+// Children whose consent is active for the parent's email
+router.get('/children', authenticateToken, requireParent, async (req, res, next) => {
+  try {
+    const children = await ParentPortalService.listChildren(req.user);
+
+    res.json({ children, count: children.length });
+  } catch (error) {
+    luderror.api('List parent children error:', error);
+    next(error);
+  }
+});
+
+// A child's classrooms, game results (?from=&to=) and homework
+router.get('/children/:studentId', authenticateToken, requireParent, async (req, res, next) => {
+  try {
+    const overview = await ParentPortalService.getChildOverview(req.user, req.params.studentId, req.query);
+
+    res.json(overview);
+  } catch (error) {
+    luderror.api('Get child overview error:', error);
+    next(error);
+  }
+});
+
+// Revoke parent consent for a child
+router.post('/children/:studentId/revoke-consent', authenticateToken, requireParent, async (req, res, next) => {
+  try {
+    const result = await ParentPortalService.revokeConsent(req.user, req.params.studentId, getAuditData(req));
+
+    res.json({ message: 'Parent consent revoked successfully', ...result });
+  } catch (error) {
+    luderror.auth('Parent revoke consent error:', error);
+    next(error);
+  }
+});
+
+// Ask for a child's data to be exported or deleted
+router.post('/children/:studentId/data-requests', rateLimiters.email, authenticateToken, requireParent, validateBody(schemas.dataRequest), async (req, res, next) => {
+  try {
+    const request = await ParentPortalService.requestDataAction(req.user, req.params.studentId, req.body.type, req.body.details || null);
+
+    res.status(202).json(request);
+  } catch (error) {
+    luderror.api('Parent data request error:', error);
+    next(error);
+  }
+});
+
+// The parent's data requests for a child
+router.get('/children/:studentId/data-requests', authenticateToken, requireParent, async (req, res, next) => {
+  try {
+    const requests = await ParentPortalService.listDataRequests(req.user, req.params.studentId);
+
+    res.json({ requests, count: requests.length });
+  } catch (error) {
+    luderror.api('List parent data requests error:', error);
+    next(error);
+  }
+});
+
+// Download a completed export of a child's data
+router.get('/data-requests/:requestId/download', authenticateToken, requireParent, async (req, res, next) => {
+  try {
+    const archive = await ParentPortalService.downloadDataExport(req.user, req.params.requestId);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${archive.filename}"`
+    });
+    res.send(archive.buffer);
+  } catch (error) {
+    luderror.api('Parent data export download error:', error);
+    next(error);
+  }
+});
+
+export default router;
\ No newline at end of file
@@ -1,11 +1,18 @@
 import express from 'express';
+import { Op } from 'sequelize';
 import { authenticateToken } from '../middleware/auth.js';
+import { APIError, BadRequestError } from '../middleware/errorHandler.js';
 import { rateLimiters } from '../middleware/validation.js';
-import PaymentService from '../services/PaymentService.js';
-import PayplusService from '../services/PayplusService.js';
+import CheckoutProviderRouter from '../services/CheckoutProviderRouter.js';
 import PaymentPollingService from '../services/PaymentPollingService.js';
+import InvoiceService from '../services/InvoiceService.js';
+import CartService from '../services/CartService.js';
+import CouponValidationService from '../services/CouponValidationService.js';
+import GiftService from '../services/GiftService.js';
 import models from '../models/index.js';
 import { ludlog, luderror } from '../lib/ludlog.js';
+import { formatInvoiceNumber } from '../constants/invoices.js';
+import { INVOICE_PAYMENT_METHOD } from '../constants/invoicePayments.js';
 
 const router = express.Router();
 
@@ -77,148 +84,12 @@ function shouldOpenPayplusPage(cartItems) {
 router.post('/purchases', authenticateToken, async (req, res) => {
   try {
     const { purchasableType, purchasableId, additionalData = {} } = req.body;
-    const userId = req.user.id;
-
-    // Validation
-    if (!purchasableType || !purchasableId) {
-      return res.status(400).json({ error: 'purchasableType and purchasableId are required' });
-    }
-
-    // CRITICAL FIX: The purchasableId could be either a Product ID (for bundles) or an entity ID (for other types)
-    // We need to find the correct Product ID to store in the Purchase record for access control
-    let productId = null;
-    let productRecord = null;
-    let entityRecord = null;
-    let isBundle = false;
-
-    // Try to find as Product first (could be a bundle or direct product ID)
-    productRecord = await models.Product.findByPk(purchasableId);
-
-    if (productRecord) {
-      // Found as Product - this could be a bundle or direct product reference
-      productId = productRecord.id;
-      isBundle = productRecord.type_attributes?.is_bundle || false;
-
-      // If not a bundle, get the entity record for price info
-      if (!isBundle && productRecord.entity_id) {
-        switch (purchasableType) {
-          case 'workshop':
-            entityRecord = await models.Workshop.findByPk(productRecord.entity_id);
-            break;
-          case 'course':
-            entityRecord = await models.Course.findByPk(productRecord.entity_id);
-            break;
-          case 'file':
-            entityRecord = await models.File.findByPk(productRecord.entity_id);
-            break;
-          case 'lesson_plan':
-            entityRecord = await models.LessonPlan.findByPk(productRecord.entity_id);
-            break;
-          case 'tool':
-            entityRecord = await models.Tool.findByPk(productRecord.entity_id);
-            break;
-          case 'game':
-            entityRecord = await models.Game.findByPk(productRecord.entity_id);
-            break;
-        }
-      }
-    } else {
-      // Not found as Product - must be an entity ID, need to find the corresponding Product
-      switch (purchasableType) {
-        case 'workshop':
-          entityRecord = await models.Workshop.findByPk(purchasableId);
-          break;
-        case 'course':
-          entityRecord = await models.Course.findByPk(purchasableId);
-          break;
-        case 'file':
-          entityRecord = await models.File.findByPk(purchasableId);
-          break;
-        case 'lesson_plan':
-          entityRecord = await models.LessonPlan.findByPk(purchasableId);
-          break;
-        case 'tool':
-          entityRecord = await models.Tool.findByPk(purchasableId);
-          break;
-        case 'game':
-          entityRecord = await models.Game.findByPk(purchasableId);
-          break;
-        // NOTE: 'subscription' case removed - use dedicated /api/subscriptions endpoints
-        default:
-          return res.status(400).json({ error: `Unknown purchasable type: ${purchasableType}` });
-      }
-
-      if (!entityRecord) {
-        return res.status(404).json({ error: `${purchasableType} not found` });
-      }
-
-      // Find the Product record that references this entity
-      productRecord = await models.Product.findOne({
-        where: {
-          product_type: purchasableType,
-          entity_id: purchasableId
-        }
-      });
-
-      if (!productRecord) {
-        return res.status(404).json({
-          error: `Product record not found for ${purchasableType} ${purchasableId}. This entity may not be properly set up as a product.`
-        });
-      }
-
-      productId = productRecord.id;
-    }
-
-    // Validate purchase creation constraints using Product ID
-    const validation = await PaymentService.validatePurchaseCreation(userId, purchasableType, productId);
-
-    if (!validation.valid) {
-      if (validation.canUpdate && purchasableType === 'subscription') {
-        // Special case: subscription in cart, need to update instead
-        return res.status(409).json({
-          error: validation.error,
-          canUpdate: true,
-          existingPurchaseId: validation.existingPurchase.id
-        });
-      }
-      return res.status(409).json({ error: validation.error });
-    }
-
-    // Determine item for price extraction (Product for bundles, entity for others)
-    const item = isBundle ? productRecord : (entityRecord || productRecord);
 
-    // Get price from Product record (which has the authoritative price)
-    let price = parseFloat(productRecord.price || 0);
-
-    // Check if price is provided in additionalData (for entities that don't have price)
-    if (additionalData.product_price && price === 0) {
-      price = parseFloat(additionalData.product_price || 0);
-    }
-
-    const isFree = price === 0;
-
-    // CRITICAL: Create purchase with Product ID (not entity ID) for proper access control
-    const purchaseData = {
-      id: `pur_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
-      buyer_user_id: userId,
-      purchasable_type: purchasableType,
-      purchasable_id: productId, // ✅ FIXED: Use Product ID instead of entity ID
-      payment_amount: price,
-      original_price: price,
-      discount_amount: 0,
-      payment_status: isFree ? 'completed' : 'cart', // Complete free items immediately
-      payment_method: isFree ? 'free' : null,
-      metadata: {
-        product_title: productRecord.title || item.title || item.name || 'Unknown Product',
-        entity_id: entityRecord?.id || null, // Store entity ID in metadata for reference
-        is_bundle: isBundle,
-        ...additionalData
-      },
-      created_at: new Date(),
-      updated_at: new Date()
-    };
-
-    const purchase = await models.Purchase.create(purchaseData);
+    const { purchase, isFree } = await CartService.addItem(req.user.id, {
+      purchasableType,
+      purchasableId,
+      additionalData
+    });
 
     // Return appropriate response based on item type
     if (isFree) {
@@ -245,7 +116,7 @@ router.post('/purchases', authenticateToken, async (req, res) => {
 
   } catch (error) {
     luderror.payment('Error creating purchase:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error instanceof APIError ? error.statusCode : 500).json({ error: error.message });
   }
 });
 
@@ -253,23 +124,8 @@ router.post('/purchases', authenticateToken, async (req, res) => {
 router.delete('/purchases/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
-
-    // Find the purchase
-    const purchase = await models.Purchase.findOne({
-      where: {
-        id,
-        buyer_user_id: userId,
-        payment_status: 'cart'
-      }
-    });
-
-    if (!purchase) {
-      return res.status(404).json({ error: 'Cart item not found' });
-    }
 
-    // Delete the purchase
-    await purchase.destroy();
+    await CartService.removeItem(req.user.id, id);
 
     res.json({
       success: true,
@@ -279,7 +135,7 @@ router.delete('/purchases/:id', authenticateToken, async (req, res) => {
 
   } catch (error) {
     luderror.payment('Error deleting cart item:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error instanceof APIError ? error.statusCode : 500).json({ error: error.message });
   }
 });
 
@@ -308,24 +164,29 @@ router.put('/purchases/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// PayPlus Payment Page Creation with Free Checkout Support
-router.post('/createPayplusPaymentPage', authenticateToken, async (req, res) => {
+/**
+ * Cart checkout with free checkout support, shared by every checkout provider
+ * @param {Object} req - Express request (body: cartItems, frontendOrigin, purchaseOrderNumber)
+ * @param {Object} res - Express response
+ * @param {string} provider - Checkout provider ('payplus', 'paypal', 'invoice')
+ * @param {Object} [options]
+ * @param {boolean} [options.requireCartItems=true] - Legacy endpoints expect body.cartItems; the cart API doesn't
+ */
+async function handleCartCheckout(req, res, provider, options = {}) {
+  const { requireCartItems = true } = options;
+
   try {
-    const { cartItems, frontendOrigin = 'cart' } = req.body;
+    const { cartItems, frontendOrigin = 'cart', purchaseOrderNumber } = req.body;
     const userId = req.user.id;
 
     // Validation
-    if (!cartItems || !Array.isArray(cartItems) || cartItems.length === 0) {
+    if (requireCartItems && (!cartItems || !Array.isArray(cartItems) || cartItems.length === 0)) {
       return res.status(400).json({ error: 'cartItems are required and must be a non-empty array' });
     }
 
-    // SECURITY ENHANCEMENT: Get fresh cart data from database (post-coupon)
-    const freshCartPurchases = await models.Purchase.findAll({
-      where: {
-        buyer_user_id: userId,
-        payment_status: 'cart'
-      }
-    });
+    // SECURITY ENHANCEMENT: Reprice from current product prices and coupons, then read the cart from the database
+    await CartService.recalculateCart(userId);
+    const freshCartPurchases = await CartService.getCartPurchases(userId);
 
     if (!freshCartPurchases || freshCartPurchases.length === 0) {
       return res.status(400).json({
@@ -342,7 +203,8 @@ router.post('/createPayplusPaymentPage', authenticateToken, async (req, res) =>
       payment_amount: purchase.payment_amount,
       original_price: purchase.original_price,
       discount_amount: purchase.discount_amount,
-      coupon_code: purchase.coupon_code
+      coupon_code: purchase.coupon_code,
+      metadata: { product_title: purchase.metadata?.product_title } // Line item names on the payment page
     }));
 
     // Check if we should open PayPlus payment page (now includes free checkout logic)
@@ -375,6 +237,17 @@ router.post('/createPayplusPaymentPage', authenticateToken, async (req, res) =>
 
         await Promise.all(completionPromises);
 
+        // Cart coupons count as used now that the order is complete
+        const cartCouponIds = [...new Set(freshCartPurchases.flatMap(purchase => purchase.metadata?.coupon_ids || []))];
+        for (const couponId of cartCouponIds) {
+          await CouponValidationService.incrementUserUsage(couponId, userId);
+        }
+
+        // Gifts in the order get their codes now
+        for (const purchase of freshCartPurchases.filter(p => GiftService.isGiftPurchase(p))) {
+          await GiftService.issueGiftCode(purchase);
+        }
+
         ludlog.payments('Free checkout completed successfully', {
           userId,
           completedPurchases: freshCartPurchases.length,
@@ -418,39 +291,26 @@ router.post('/createPayplusPaymentPage', authenticateToken, async (req, res) =>
       return res.status(404).json({ error: 'User not found' });
     }
 
-    ludlog.payments('Creating PayPlus payment page with database-sourced cart', {
+    ludlog.payments('Creating checkout with database-sourced cart', {
       userId,
+      provider,
       totalAmount: paymentDecision.totalAmount,
       itemCount: freshCartItems.length,
       hasCoupons: freshCartItems.some(item => item.coupon_code)
     });
 
-    // Use PayplusService to create payment page (environment auto-detected)
     // SECURITY FIX: Use database-sourced cart items instead of frontend data
-    const paymentResult = await PayplusService.openPayplusPage({
-      frontendOrigin,
+    const checkout = await CheckoutProviderRouter.createPurchaseCheckout(provider, {
+      user,
       purchaseItems: freshCartItems,  // Database-sourced with actual payment_amount
-      customer: {
-        customer_name: user.displayName || user.email,
-        email: user.email,
-        phone: user.phone || ''
-      },
-    });
-
-    // Create transaction with PayPlus data (environment auto-detected)
-    const transaction = await PaymentService.createPayPlusTransaction({
-      userId,
-      amount: paymentResult.totalAmount,
-      pageRequestUid: paymentResult.pageRequestUid,
-      paymentPageLink: paymentResult.paymentPageLink,
-      purchaseItems: freshCartItems,  // Database-sourced with coupon discounts applied
+      frontendOrigin,
       metadata: {
         frontendOrigin,
+        ...(purchaseOrderNumber && { purchase_order_number: String(purchaseOrderNumber) }), // Pay by invoice
         customerInfo: {
           name: user.displayName || user.email,
           email: user.email
         },
-        payplusResponse: paymentResult.data,
         couponInfo: freshCartItems.filter(item => item.coupon_code).map(item => ({
           purchaseId: item.id,
           couponCode: item.coupon_code,
@@ -461,27 +321,246 @@ router.post('/createPayplusPaymentPage', authenticateToken, async (req, res) =>
       }
     });
 
-    // Ensure transaction uses PayPlus-returned page_request_uid (not our generated one)
-    const payplusReturnedUid = paymentResult.data?.data?.page_request_uid;
-    if (payplusReturnedUid && payplusReturnedUid !== paymentResult.pageRequestUid) {
-      await transaction.update({
-        payment_page_request_uid: payplusReturnedUid,
-        updated_at: new Date()
-      });
+    const checkoutNames = { paypal: 'PayPal order', invoice: 'Proforma invoice' };
+
+    res.json({
+      success: true,
+      message: `${checkoutNames[provider] || 'PayPlus payment page'} created`,
+      provider,
+      data: checkout.data,
+      paymentUrl: checkout.paymentUrl,
+      transactionId: checkout.transactionId,
+      pageRequestUid: checkout.pageRequestUid || null,
+      orderId: checkout.orderId || null,
+      environment: checkout.environment
+    });
+
+  } catch (error) {
+    luderror.payment(`❌ Payment: Error creating ${provider} checkout:`, error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({ error: error.message });
+  }
+}
+
+// PayPlus Payment Page Creation with Free Checkout Support
+router.post('/createPayplusPaymentPage', authenticateToken, async (req, res) => {
+  await handleCartCheckout(req, res, 'payplus');
+});
+
+// Provider-agnostic checkout (body.provider: 'payplus' | 'paypal' | 'invoice', defaults to PayPlus)
+router.post('/createCheckout', authenticateToken, async (req, res) => {
+  await handleCartCheckout(req, res, req.body.provider || CheckoutProviderRouter.defaultProvider);
+});
+
+// Cart API - the cart is the user's purchases in 'cart' status, repriced on every read
+
+// Get the cart with current prices and coupons
+router.get('/cart', authenticateToken, async (req, res) => {
+  try {
+    const cart = await CartService.getCart(req.user.id);
+    res.json(cart);
+
+  } catch (error) {
+    luderror.payment('Error getting cart:', error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({ error: error.message });
+  }
+});
+
+// Add a product to the cart
+router.post('/cart/items', authenticateToken, async (req, res) => {
+  try {
+    const { purchasableType, purchasableId, additionalData = {} } = req.body;
+
+    const { purchase, isFree } = await CartService.addItem(req.user.id, {
+      purchasableType,
+      purchasableId,
+      additionalData
+    });
+    const cart = CartService.buildCartSummary(await CartService.getCartPurchases(req.user.id));
+
+    res.status(201).json({
+      purchase,
+      completed: isFree, // Free items go straight to the library
+      cart
+    });
+
+  } catch (error) {
+    luderror.payment('Error adding cart item:', error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({ error: error.message });
+  }
+});
+
+// Remove an item from the cart
+router.delete('/cart/items/:id', authenticateToken, async (req, res) => {
+  try {
+    const cart = await CartService.removeItem(req.user.id, req.params.id);
+    res.json(cart);
+
+  } catch (error) {
+    luderror.payment('Error removing cart item:', error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({ error: error.message });
+  }
+});
+
+// Apply a coupon to the cart (stacks with the coupons already applied)
+router.post('/cart/coupons', authenticateToken, async (req, res) => {
+  try {
+    const cart = await CartService.applyCoupon(req.user.id, req.body.couponCode);
+    res.json(cart);
+
+  } catch (error) {
+    luderror.payment('Error applying cart coupon:', error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({ error: error.message });
+  }
+});
+
+// Remove a coupon from the cart
+router.delete('/cart/coupons/:code', authenticateToken, async (req, res) => {
+  try {
+    const cart = await CartService.removeCoupon(req.user.id, req.params.code);
+    res.json(cart);
+
+  } catch (error) {
+    luderror.payment('Error removing cart coupon:', error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({ error: error.message });
+  }
+});
+
+// Check out the whole cart with one payment page (body.provider defaults to PayPlus)
+router.post('/cart/checkout', authenticateToken, async (req, res) => {
+  await handleCartCheckout(req, res, req.body.provider || CheckoutProviderRouter.defaultProvider, {
+    requireCartItems: false
+  });
+});
+
+// Gifts - bought through the cart, delivered to the recipient as a gift code once paid
+
+// Add a gift (product or one billing period of a subscription plan) to the cart
+router.post('/cart/gifts', authenticateToken, async (req, res) => {
+  try {
+    const { productId, subscriptionPlanId, recipientEmail, recipientName, senderName, message } = req.body;
+
+    const purchase = await CartService.addGift(req.user.id, {
+      productId,
+      subscriptionPlanId,
+      recipientEmail,
+      recipientName,
+      senderName,
+      message
+    });
+    const cart = CartService.buildCartSummary(await CartService.getCartPurchases(req.user.id));
+
+    res.status(201).json({ purchase, cart });
+
+  } catch (error) {
+    luderror.payment('Error adding gift to cart:', error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({ error: error.message });
+  }
+});
+
+// Gifts the current user bought
+router.get('/gifts', authenticateToken, async (req, res) => {
+  try {
+    const giftCodes = await GiftService.getSentGifts(req.user.id);
+
+    res.json(giftCodes.map(giftCode => ({
+      id: giftCode.id,
+      code: giftCode.code,
+      status: GiftService.getEffectiveStatus(giftCode),
+      gift_type: giftCode.gift_type,
+      title: giftCode.metadata?.title || null,
+      amount: giftCode.amount,
+      recipient_email: giftCode.recipient_email,
+      recipient_name: giftCode.recipient_name,
+      purchase_id: giftCode.purchase_id,
+      expires_at: giftCode.expires_at,
+      emailed_at: giftCode.emailed_at,
+      redeemed_at: giftCode.redeemed_at,
+      created_at: giftCode.created_at
+    })));
+
+  } catch (error) {
+    luderror.payment('Error listing sent gifts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Look up a gift code before redeeming it
+router.get('/gifts/code/:code', rateLimiters.giftCode, authenticateToken, async (req, res) => {
+  try {
+    const gift = await GiftService.previewGiftCode(req.params.code);
+    res.json(gift);
+
+  } catch (error) {
+    luderror.payment('Error looking up gift code:', error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({ error: error.message });
+  }
+});
+
+// Redeem a gift code for the current user
+router.post('/gifts/redeem', rateLimiters.giftCode, authenticateToken, async (req, res) => {
+  try {
+    const { giftCode, purchase, subscription } = await GiftService.redeemGiftCode(req.user.id, req.body.code);
+
+    res.json({
+      success: true,
+      gift_type: giftCode.gift_type,
+      title: giftCode.metadata?.title || null,
+      purchase: purchase || null,
+      subscription: subscription || null
+    });
+
+  } catch (error) {
+    luderror.payment('Error redeeming gift code:', error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({ error: error.message });
+  }
+});
+
+// Checkout providers available in this environment
+router.get('/checkout-providers', authenticateToken, async (req, res) => {
+  res.json({
+    providers: CheckoutProviderRouter.getAvailableProviders(),
+    defaultProvider: CheckoutProviderRouter.defaultProvider
+  });
+});
+
+// Capture an approved PayPal order when the buyer returns from PayPal
+// Completion itself is applied by the PAYMENT.CAPTURE.COMPLETED webhook
+router.post('/paypal/capture-order', authenticateToken, async (req, res) => {
+  try {
+    const { orderId } = req.body;
+
+    if (!orderId) {
+      return res.status(400).json({ error: 'orderId is required' });
+    }
+
+    const transaction = await models.Transaction.findOne({
+      where: {
+        user_id: req.user.id,
+        payment_method: 'paypal',
+        'metadata.paypal_order_id': orderId
+      }
+    });
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (transaction.payment_status === 'completed') {
+      return res.json({ success: true, transactionId: transaction.id, status: 'completed' });
     }
 
+    const PaypalWebhookService = (await import('../services/PaypalWebhookService.js')).default;
+    const capture = await PaypalWebhookService.captureApprovedOrder(orderId, transaction);
+
     res.json({
       success: true,
-      message: 'PayPlus payment page created',
-      data: paymentResult.data,
-      paymentUrl: paymentResult.paymentPageLink,
       transactionId: transaction.id,
-      pageRequestUid: paymentResult.pageRequestUid,
-      environment: paymentResult.environment
+      status: capture.status,
+      captureId: capture.captureId
     });
 
   } catch (error) {
-    luderror.payment('❌ Payment: Error creating PayPlus payment page:', error);
+    luderror.payment('❌ Payment: Error capturing PayPal order:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -489,7 +568,7 @@ router.post('/createPayplusPaymentPage', authenticateToken, async (req, res) =>
 // Subscription Payment Creation - Using dedicated SubscriptionPaymentService
 router.post('/createSubscriptionPayment', authenticateToken, async (req, res) => {
   try {
-    const { subscriptionPlanId } = req.body;
+    const { subscriptionPlanId, provider = 'payplus' } = req.body;
     const userId = req.user.id;
 
     // Validation
@@ -503,10 +582,12 @@ router.post('/createSubscriptionPayment', authenticateToken, async (req, res) =>
     const result = await SubscriptionPaymentService.createSubscriptionPayment({
       userId,
       subscriptionPlanId,
+      provider,
       metadata: {
         source: 'subscription_modal',
         userAgent: req.headers['user-agent'],
-        ip: req.ip
+        ip: req.ip,
+        ...(req.body.purchaseOrderNumber && { purchase_order_number: String(req.body.purchaseOrderNumber) })
       }
     });
 
@@ -521,6 +602,10 @@ router.post('/createSubscriptionPayment', authenticateToken, async (req, res) =>
       return res.status(409).json({ error: error.message });
     }
 
+    if (error instanceof BadRequestError) {
+      return res.status(400).json({ error: error.message });
+    }
+
     res.status(500).json({ error: error.message });
   }
 });
@@ -687,11 +772,12 @@ router.post('/check-payment-page-status', rateLimiters.paymentStatusCheck, authe
     // Import PayPlusPageStatusService
     const PayPlusPageStatusService = (await import('../services/PayPlusPageStatusService.js')).default;
 
-    // Find all pending purchases for this user
+    // Find all pending purchases for this user (pay-by-invoice purchases have no payment page)
     const pendingPurchases = await models.Purchase.findAll({
       where: {
         buyer_user_id: userId,
-        payment_status: 'pending'
+        payment_status: 'pending',
+        payment_method: { [Op.or]: { [Op.eq]: null, [Op.ne]: INVOICE_PAYMENT_METHOD } }
       },
       include: [
         {
@@ -829,4 +915,56 @@ router.get('/transaction-details/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// List the current user's tax invoices, credit notes and proformas
+router.get('/invoices', authenticateToken, async (req, res) => {
+  try {
+    const invoices = await InvoiceService.getUserInvoices(req.user.id);
+
+    res.json(invoices.map(invoice => ({
+      id: invoice.id,
+      document_type: invoice.document_type,
+      document_number: formatInvoiceNumber(invoice.document_type, invoice.invoice_number),
+      transaction_id: invoice.transaction_id,
+      original_invoice_id: invoice.original_invoice_id,
+      net_amount: invoice.net_amount,
+      vat_rate: invoice.vat_rate,
+      vat_amount: invoice.vat_amount,
+      total_amount: invoice.total_amount,
+      currency: invoice.currency,
+      issued_at: invoice.issued_at
+    })));
+
+  } catch (error) {
+    luderror.payment('Error listing invoices:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download a tax invoice/credit note PDF (owner or admin)
+router.get('/invoices/:id', authenticateToken, async (req, res) => {
+  try {
+    const invoice = await models.Invoice.findByPk(req.params.id);
+    const isAdmin = req.user.role === 'admin' || req.user.role === 'sysadmin';
+
+    if (!invoice || (invoice.user_id !== req.user.id && !isAdmin)) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    const pdfBuffer = await InvoiceService.getInvoicePdf(invoice);
+    const filename = `${formatInvoiceNumber(invoice.document_type, invoice.invoice_number)}.pdf`;
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': pdfBuffer.length,
+      'Cache-Control': 'private, no-cache'
+    });
+    res.send(pdfBuffer);
+
+  } catch (error) {
+    luderror.payment('Error downloading invoice:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -3,6 +3,8 @@ import { authenticateToken, requireTeacher, authenticatePlayer, authenticateUser
 import { validateBody, rateLimiters, studentsAccessMiddleware } from '../middleware/validation.js';
 import AuthService from '../services/AuthService.js';
 import PlayerService from '../services/PlayerService.js';
+import GameResultsService from '../services/GameResultsService.js';
+import { APIError } from '../middleware/errorHandler.js';
 import { generateId } from '../models/baseModel.js';
 import Joi from 'joi';
 import {
@@ -609,6 +611,27 @@ router.get('/:playerId/sessions', authenticateToken, requireTeacher, async (req,
   }
 });
 
+// Get player game results history (teacher only)
+router.get('/:playerId/results', authenticateToken, requireTeacher, async (req, res) => {
+  try {
+    const { playerId } = req.params;
+    const { from, to } = req.query;
+
+    const history = await GameResultsService.getPlayerHistory(playerId, req.user.id, { from, to });
+
+    res.json({
+      message: `Results for player ${playerId} retrieved successfully`,
+      ...history,
+      count: history.results.length
+    });
+  } catch (error) {
+    luderror.api('Get player results error:', error);
+    res.status(error instanceof APIError ? error.statusCode : 500).json({
+      error: error instanceof APIError ? error.message : 'Failed to retrieve player results'
+    });
+  }
+});
+
 // Invalidate player sessions (teacher only)
 router.post('/:playerId/logout', authenticateToken, requireTeacher, async (req, res) => {
   try {
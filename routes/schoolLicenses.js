@@ -0,0 +1,100 @@
+import express from 'express';
+import SchoolLicenseService from '../services/SchoolLicenseService.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { luderror } from '../lib/ludlog.js';
+
+const router = express.Router();
+
+// Seat management is open to admins and the school headmaster (SchoolLicenseService.assertCanManageSchool)
+router.use(authenticateToken);
+
+/**
+ * GET /api/school-licenses/:schoolId
+ * School subscription, seat counts and current seat holders
+ */
+router.get('/:schoolId', async (req, res, next) => {
+  try {
+    await SchoolLicenseService.assertCanManageSchool(req.user, req.params.schoolId);
+
+    const license = await SchoolLicenseService.getSchoolLicense(req.params.schoolId);
+
+    res.json(license);
+  } catch (error) {
+    luderror.payments('Failed to fetch school license:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/school-licenses/:schoolId/seats
+ * Assign a seat to a teacher - body: { userId } or { email }
+ */
+router.post('/:schoolId/seats', async (req, res, next) => {
+  try {
+    await SchoolLicenseService.assertCanManageSchool(req.user, req.params.schoolId);
+
+    const { userId, email } = req.body;
+    const seat = await SchoolLicenseService.assignSeat(req.params.schoolId, { userId, email }, req.user.id);
+
+    res.status(201).json({ seat });
+  } catch (error) {
+    luderror.payments('Failed to assign school seat:', error);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/school-licenses/:schoolId/seats/:seatId
+ * Reassign a seat to another teacher - body: { userId } or { email }
+ */
+router.put('/:schoolId/seats/:seatId', async (req, res, next) => {
+  try {
+    await SchoolLicenseService.assertCanManageSchool(req.user, req.params.schoolId);
+
+    const { userId, email } = req.body;
+    const result = await SchoolLicenseService.reassignSeat(
+      req.params.schoolId, req.params.seatId, { userId, email }, req.user.id
+    );
+
+    res.json(result);
+  } catch (error) {
+    luderror.payments('Failed to reassign school seat:', error);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/school-licenses/:schoolId/seats/:seatId
+ * Release a seat - the teacher loses access to the school subscription
+ */
+router.delete('/:schoolId/seats/:seatId', async (req, res, next) => {
+  try {
+    await SchoolLicenseService.assertCanManageSchool(req.user, req.params.schoolId);
+
+    const seat = await SchoolLicenseService.releaseSeat(req.params.schoolId, req.params.seatId, req.user.id);
+
+    res.json({ seat });
+  } catch (error) {
+    luderror.payments('Failed to release school seat:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/school-licenses/:schoolId/usage?month=YYYY-MM
+ * School-level usage report - pooled allowances and claims per teacher
+ */
+router.get('/:schoolId/usage', async (req, res, next) => {
+  try {
+    await SchoolLicenseService.assertCanManageSchool(req.user, req.params.schoolId);
+
+    const report = await SchoolLicenseService.getUsageReport(req.params.schoolId, req.query.month);
+
+    res.json(report);
+  } catch (error) {
+    luderror.payments('Failed to build school usage report:', error);
+    next(error);
+  }
+});
+
+export default router;
\ No newline at end of file
@@ -11,6 +11,11 @@ import {
   mapPayPlusStatusToPaymentStatus
 } from '../constants/payplus.js';
 import { validateWebhookSignature } from '../utils/payplusSignature.js';
+import { verifyStripeSignature } from '../utils/stripeSignature.js';
+import StripeWebhookService from '../services/StripeWebhookService.js';
+import PaypalService from '../services/PaypalService.js';
+import PaypalWebhookService from '../services/PaypalWebhookService.js';
+import GenericWebhookService from '../services/GenericWebhookService.js';
 import { luderror } from '../lib/ludlog.js';
 
 const router = express.Router();
@@ -70,25 +75,170 @@ router.post('/github',
   })
 );
 
+/**
+ * Handler for payment providers whose events are processed by a webhook service
+ * (findProcessedEvent / processEvent): logs the delivery to WebhookLog first, verifies the
+ * signature, acknowledges duplicate event ids and answers 500 on failure so the provider redelivers.
+ * @param {Object} options
+ * @param {string} options.provider - WebhookLog provider ('stripe', 'paypal')
+ * @param {string} options.label - Provider name for logs and responses
+ * @param {Object} options.service - Webhook service for the provider
+ * @param {Function} options.getEventType - (event) => event type
+ * @param {Function} options.getSenderInfo - (req) => provider-specific sender details
+ * @param {Function} options.verifySignature - (req, event) => Promise<boolean>
+ * @returns {Function} Express handler
+ */
+const createPaymentWebhookHandler = ({ provider, label, service, getEventType, getSenderInfo, verifySignature }) => {
+  return asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+    const event = req.body || {};
+    const eventType = getEventType(event);
+
+    const senderInfo = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      forwarded: req.get('X-Forwarded-For'),
+      contentType: req.get('Content-Type'),
+      ...getSenderInfo(req),
+      timestamp: new Date().toISOString()
+    };
+
+    let webhookLog = null;
+
+    try {
+      // Create webhook log entry immediately - FIRST THING
+      webhookLog = await models.WebhookLog.create({
+        id: generateId(),
+        provider,
+        event_type: eventType || 'unknown',
+        event_data: event,
+        sender_info: senderInfo,
+        status: 'received',
+        created_at: new Date(),
+        updated_at: new Date()
+      });
+
+      webhookLog.addProcessLog(`${label} webhook received: ${eventType} (${event.id})`);
+
+      // CRITICAL SECURITY: Verify the signature before touching any payment record
+      const isValidSignature = await verifySignature(req, event);
+      if (!isValidSignature) {
+        await webhookLog.updateStatus('failed', `Invalid or missing ${label} signature`);
+        await webhookLog.update({
+          security_check: 'failed',
+          security_reason: 'Invalid webhook signature',
+          response_data: {
+            error: 'Unauthorized',
+            message: 'Invalid webhook signature',
+            webhookId: webhookLog.id,
+            timestamp: new Date().toISOString()
+          }
+        });
+
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Invalid webhook signature',
+          webhookId: webhookLog.id
+        });
+      }
+
+      await webhookLog.update({ security_check: 'passed' });
+      webhookLog.addProcessLog(`${label} webhook signature verified successfully`);
+
+      // Deliveries are at-least-once - acknowledge duplicates without reprocessing
+      const processedLog = await service.findProcessedEvent(event.id);
+      if (processedLog) {
+        const responseData = {
+          message: `${label} webhook already processed`,
+          type: eventType,
+          duplicateOf: processedLog.id,
+          webhookId: webhookLog.id,
+          timestamp: new Date().toISOString()
+        };
+
+        await webhookLog.completeProcessing(startTime, `Duplicate delivery of ${event.id} (already processed by ${processedLog.id})`);
+        await webhookLog.update({ response_data: responseData });
+
+        return res.status(200).json(responseData);
+      }
+
+      await webhookLog.updateStatus('processing', 'Starting webhook processing');
+
+      const result = await service.processEvent(event, webhookLog);
+
+      const responseData = {
+        message: `${label} webhook processed successfully`,
+        type: eventType,
+        action: result.action,
+        transactionId: result.transactionId || null,
+        subscriptionId: result.subscriptionId || null,
+        webhookId: webhookLog.id,
+        timestamp: new Date().toISOString()
+      };
+
+      await webhookLog.completeProcessing(startTime, `${label} ${eventType} processed: ${result.action}`);
+      await webhookLog.update({ response_data: responseData });
+
+      res.status(200).json(responseData);
+
+    } catch (error) {
+      luderror.payment(`${label} webhook processing failed:`, {
+        eventId: event.id,
+        eventType,
+        error: error.message
+      });
+
+      const errorResponse = {
+        message: `${label} webhook received but processing failed`,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        webhookId: webhookLog?.id || null
+      };
+
+      try {
+        if (webhookLog) {
+          await webhookLog.failProcessing(startTime, error, `Webhook processing failed: ${error.message}`);
+          await webhookLog.update({ response_data: errorResponse });
+        }
+      } catch (logError) {
+        luderror.api('Failed to log webhook error:', logError.message);
+      }
+
+      // Unlike PayPlus, let the provider redeliver - processing is idempotent per event id
+      res.status(500).json(errorResponse);
+    }
+  });
+};
+
 // Stripe webhooks
 router.post('/stripe',
-  verifyWebhookSignature('stripe'),
-  asyncHandler(async (req, res) => {
-    const event = req.body;
-
-    // TODO: Implement Stripe webhook handling
-    res.status(200).json({ message: 'Stripe webhook received', type: event.type });
+  createPaymentWebhookHandler({
+    provider: 'stripe',
+    label: 'Stripe',
+    service: StripeWebhookService,
+    getEventType: (event) => event.type,
+    getSenderInfo: (req) => ({
+      hasSignature: !!req.get('Stripe-Signature'),
+      bodySize: Buffer.byteLength(req.rawBody || JSON.stringify(req.body))
+    }),
+    // Stripe signs the exact bytes it sent - use the raw body captured by express.json
+    verifySignature: async (req) => verifyStripeSignature(req.rawBody || JSON.stringify(req.body), req.get('Stripe-Signature'))
   })
 );
 
 // PayPal webhooks
 router.post('/paypal',
-  verifyWebhookSignature('paypal'),
-  asyncHandler(async (req, res) => {
-    const event = req.body;
-
-    // TODO: Implement PayPal webhook handling
-    res.status(200).json({ message: 'PayPal webhook received', type: event.event_type });
+  createPaymentWebhookHandler({
+    provider: 'paypal',
+    label: 'PayPal',
+    service: PaypalWebhookService,
+    getEventType: (event) => event.event_type,
+    getSenderInfo: (req) => ({
+      hasSignature: !!req.get('PAYPAL-TRANSMISSION-SIG'),
+      transmissionId: req.get('PAYPAL-TRANSMISSION-ID') || null
+    }),
+    // PayPal verifies the delivery through its verify-webhook-signature API
+    verifySignature: (req, event) => PaypalService.verifyWebhookSignature(req.headers, event)
   })
 );
 
@@ -432,6 +582,7 @@ router.post('/payplus',
         // Update transaction status first
         await transaction.update({
           payment_status: 'completed',
+          resolution_method: 'webhook',
           metadata: {
             ...transaction.metadata,
             payplusWebhookData: webhookData,
@@ -640,18 +791,181 @@ router.post('/payplus',
   })
 );
 
-// Generic webhook endpoint
+// Generic webhooks - providers are registered in services/webhookProviders
 router.post('/generic/:provider',
-  verifyWebhookSignature('generic'),
   asyncHandler(async (req, res) => {
-    const { provider } = req.params;
+    const startTime = Date.now();
+    const { provider: providerName } = req.params;
+    const payload = req.body || {};
+    const rawBody = req.rawBody || JSON.stringify(req.body || {});
+    const provider = GenericWebhookService.getProvider(providerName);
 
-    // TODO: Implement generic webhook handling
-    res.status(200).json({
-      message: 'Generic webhook received',
-      provider,
+    const senderInfo = {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      forwarded: req.get('X-Forwarded-For'),
+      contentType: req.get('Content-Type'),
+      hasSignature: !!(provider?.signature.header && req.get(provider.signature.header)),
+      bodySize: Buffer.byteLength(rawBody),
       timestamp: new Date().toISOString()
-    });
+    };
+
+    let webhookLog = null;
+
+    try {
+      const eventType = provider ? GenericWebhookService.getEventType(provider, payload, req.headers) : 'unknown';
+
+      // Create webhook log entry immediately - FIRST THING (unknown providers too, for security monitoring)
+      webhookLog = await models.WebhookLog.create({
+        id: generateId(),
+        provider: 'generic',
+        integration: String(providerName).substring(0, 50),
+        event_type: eventType,
+        event_data: payload,
+        sender_info: senderInfo,
+        status: 'received',
+        created_at: new Date(),
+        updated_at: new Date()
+      });
+
+      webhookLog.addProcessLog(`Generic webhook received: ${providerName} ${eventType}`);
+
+      if (!provider) {
+        await webhookLog.updateStatus('failed', `Unknown generic webhook provider: ${providerName}`);
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Unknown webhook provider: ${providerName}`,
+          webhookId: webhookLog.id
+        });
+      }
+
+      // CRITICAL SECURITY: Verify with the provider's declared signature scheme before running any handler
+      const signatureCheck = GenericWebhookService.verifySignature(provider, { headers: req.headers, rawBody });
+      if (!signatureCheck.valid) {
+        await webhookLog.updateStatus('failed', signatureCheck.reason);
+        await webhookLog.update({
+          security_check: 'failed',
+          security_reason: signatureCheck.reason,
+          response_data: {
+            error: 'Unauthorized',
+            message: 'Invalid webhook signature',
+            webhookId: webhookLog.id,
+            timestamp: new Date().toISOString()
+          }
+        });
+
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Invalid webhook signature',
+          webhookId: webhookLog.id
+        });
+      }
+
+      await webhookLog.update({ security_check: 'passed' });
+      webhookLog.addProcessLog(`${providerName} webhook signature verified (${provider.signature.scheme})`);
+
+      // Endpoint validation handshakes are answered directly and never dispatched
+      const challengeResponse = provider.getChallengeResponse?.(payload, GenericWebhookService.getSecret(provider));
+      if (challengeResponse) {
+        await webhookLog.completeProcessing(startTime, `${providerName} endpoint validation answered`);
+        return res.status(200).json(challengeResponse);
+      }
+
+      const idempotencyKey = GenericWebhookService.getIdempotencyKey(provider, payload, req.headers, rawBody);
+
+      // Providers deliver at-least-once - acknowledge duplicates without reprocessing
+      const processedLog = await GenericWebhookService.findProcessedDelivery(providerName, idempotencyKey, webhookLog.id);
+      if (processedLog) {
+        const responseData = {
+          message: 'Webhook already received',
+          provider: providerName,
+          type: eventType,
+          duplicateOf: processedLog.id,
+          webhookId: webhookLog.id,
+          timestamp: new Date().toISOString()
+        };
+
+        await webhookLog.completeProcessing(startTime, `Duplicate delivery of ${idempotencyKey} (owned by ${processedLog.id}, status ${processedLog.status})`);
+        await webhookLog.update({ response_data: responseData });
+
+        return res.status(200).json(responseData);
+      }
+
+      // Only the delivery that gets processed owns the key, so dedupe always points at it
+      webhookLog.idempotency_key = idempotencyKey;
+      await webhookLog.updateStatus('processing', 'Starting webhook processing');
+
+      try {
+        const result = await GenericWebhookService.processDelivery(provider, webhookLog, { headers: req.headers });
+
+        const responseData = {
+          message: 'Webhook processed successfully',
+          provider: providerName,
+          type: eventType,
+          action: result.action,
+          webhookId: webhookLog.id,
+          timestamp: new Date().toISOString()
+        };
+
+        await webhookLog.completeProcessing(startTime, `${providerName} ${eventType} processed: ${result.action}`);
+        await webhookLog.update({ response_data: { ...responseData, result } });
+
+        return res.status(200).json(responseData);
+
+      } catch (handlerError) {
+        luderror.api('Generic webhook handler failed:', {
+          provider: providerName,
+          eventType,
+          webhookId: webhookLog.id,
+          error: handlerError.message
+        });
+
+        const failure = await GenericWebhookService.handleDeliveryFailure(webhookLog, startTime, handlerError, 1);
+
+        const responseData = {
+          message: failure.retryScheduled
+            ? 'Webhook accepted - processing failed and will be retried'
+            : 'Webhook received but processing failed',
+          provider: providerName,
+          type: eventType,
+          error: handlerError.message,
+          retryScheduled: failure.retryScheduled,
+          webhookId: webhookLog.id,
+          timestamp: new Date().toISOString()
+        };
+        await webhookLog.update({ response_data: responseData });
+
+        // We own retries once one is scheduled; otherwise let the provider redeliver unless it can never succeed
+        if (failure.retryScheduled) {
+          return res.status(202).json(responseData);
+        }
+        return res.status(handlerError.retryable === false ? 200 : 500).json(responseData);
+      }
+
+    } catch (error) {
+      luderror.api('Generic webhook processing failed:', {
+        provider: providerName,
+        error: error.message
+      });
+
+      const errorResponse = {
+        message: 'Webhook received but processing failed',
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        webhookId: webhookLog?.id || null
+      };
+
+      try {
+        if (webhookLog) {
+          await webhookLog.failProcessing(startTime, error, `Webhook processing failed: ${error.message}`);
+          await webhookLog.update({ response_data: errorResponse });
+        }
+      } catch (logError) {
+        luderror.api('Failed to log webhook error:', logError.message);
+      }
+
+      res.status(500).json(errorResponse);
+    }
   })
 );
 
@@ -94,7 +94,6 @@ const OPTIONAL_VARS = new Set([
 const SENSITIVE_VARS = new Set([
   'JWT_SECRET',
   'ENCRYPTION_KEY',
-  'ADMIN_PASSWORD',
   'POSTGRES_PASSWORD',
   'DB_PASSWORD',
   'AWS_SECRET_ACCESS_KEY',
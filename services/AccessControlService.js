@@ -2,6 +2,7 @@ import models from '../models/index.js';
 import { Op } from 'sequelize';
 import { NotFoundError, ForbiddenError } from '../middleware/errorHandler.js';
 import { luderror, ludlog } from '../lib/ludlog.js';
+import { INVOICE_PAYMENT_METHOD } from '../constants/invoicePayments.js';
 import { nowInIsrael, createExpirationDate, isExpired } from '../utils/dateUtils.js';
 import SubscriptionAllowanceService from './SubscriptionAllowanceService.js';
 
@@ -198,12 +199,23 @@ class AccessControlService {
           buyer_user_id: userId,
           purchasable_type: entityType,
           purchasable_id: productId, // Purchase records use Product ID
-          payment_status: 'completed', // Only successful payments
           [Op.or]: [
-            { access_expires_at: null }, // Lifetime access
-            { access_expires_at: { [Op.gt]: nowInIsrael() } } // Not expired (Israel timezone)
+            {
+              payment_status: 'completed', // Only successful payments
+              [Op.or]: [
+                { access_expires_at: null }, // Lifetime access
+                { access_expires_at: { [Op.gt]: nowInIsrael() } } // Not expired (Israel timezone)
+              ]
+            },
+            {
+              // Pay-by-invoice orders grant provisional access until the bank transfer grace period ends
+              payment_status: 'pending',
+              payment_method: INVOICE_PAYMENT_METHOD,
+              'metadata.provisional_access_until': { [Op.gt]: new Date().toISOString() }
+            }
           ]
         },
+        order: [['payment_status', 'ASC']], // 'completed' sorts before 'pending'
         include: [
           {
             model: this.models.User,
@@ -214,6 +226,8 @@ class AccessControlService {
       });
 
       if (purchase) {
+        const isProvisional = purchase.payment_status === 'pending';
+
         return {
           hasAccess: true,
           reason: 'valid_purchase',
@@ -222,8 +236,9 @@ class AccessControlService {
           entityId: product.entity_id,
           purchase: purchase,
           buyer: purchase.buyer,
-          isLifetimeAccess: !purchase.access_expires_at,
-          expiresAt: purchase.access_expires_at,
+          isProvisional, // Pay by invoice, awaiting the bank transfer
+          isLifetimeAccess: !isProvisional && !purchase.access_expires_at,
+          expiresAt: isProvisional ? purchase.metadata.provisional_access_until : purchase.access_expires_at,
           purchasedAt: purchase.created_at,
           paymentAmount: purchase.payment_amount
         };
@@ -247,6 +262,7 @@ class AccessControlService {
   /**
    * Layer 3: Check Subscription Claim Access (NEW)
    * User has access if they claimed content via subscription allowance
+   * OR if they hold a school seat and the content was claimed on the school subscription
    * OR if they are a student whose teacher claimed the content
    *
    * @param {string} userId - User ID to check
@@ -262,6 +278,12 @@ class AccessControlService {
         return { ...directClaim, accessMethod: 'direct_subscription_claim' };
       }
 
+      // Check school seat access (claims are pooled across the school's seat holders)
+      const seatClaim = await this.checkSchoolSeatClaim(userId, entityType, productId);
+      if (seatClaim.hasAccess) {
+        return { ...seatClaim, accessMethod: 'school_seat_claim' };
+      }
+
       // Check student access via teacher claims
       const studentAccess = await this.checkStudentAccessViaTeacher(userId, entityType, productId);
       if (studentAccess.hasAccess) {
@@ -331,6 +353,7 @@ class AccessControlService {
             as: 'subscription',
             where: {
               status: 'active',   // Only active subscriptions
+              school_id: null,    // School subscriptions are checked through the seat (checkSchoolSeatClaim)
               [Op.or]: [
                 { end_date: null }, // Ongoing subscription
                 { end_date: { [Op.gt]: nowInIsrael() } } // Not expired
@@ -390,6 +413,86 @@ class AccessControlService {
     }
   }
 
+  /**
+   * Check if user holds a school seat whose school subscription claimed this content
+   * Claims made by any seat holder count - the school shares one pooled allowance.
+   * Releasing the seat ends the access.
+   *
+   * @param {string} userId - User ID to check
+   * @param {string} entityType - Type of entity
+   * @param {string} productId - Product ID
+   * @returns {Object} School seat claim result
+   */
+  async checkSchoolSeatClaim(userId, entityType, productId) {
+    try {
+      const schoolSubscription = await SubscriptionAllowanceService.getSeatSubscription(userId);
+      if (!schoolSubscription) {
+        return {
+          hasAccess: false,
+          reason: 'no_school_seat',
+          message: 'User does not hold a school seat'
+        };
+      }
+
+      const product = await this.models.Product.findOne({
+        where: {
+          id: productId,
+          product_type: entityType
+        },
+        attributes: ['id', 'entity_id']
+      });
+
+      if (!product) {
+        return {
+          hasAccess: false,
+          reason: 'product_not_found',
+          message: 'Product record not found'
+        };
+      }
+
+      const subscriptionPurchase = await this.models.SubscriptionPurchase.findOne({
+        where: {
+          subscription_id: schoolSubscription.id,
+          product_type: entityType,
+          product_id: productId,
+          status: { [Op.ne]: 'cancelled' }
+        }
+      });
+
+      if (!subscriptionPurchase) {
+        return {
+          hasAccess: false,
+          reason: 'no_school_subscription_claim',
+          message: 'Content was not claimed on the school subscription'
+        };
+      }
+
+      ludlog.auth(`✅ School seat ${schoolSubscription.schoolSeat.id} grants ${entityType}:${productId} to user ${userId}`);
+
+      return {
+        hasAccess: true,
+        reason: 'school_seat_claim',
+        message: 'Content was claimed on the school subscription of the user\'s seat',
+        productId: productId,
+        entityId: product.entity_id,
+        subscriptionPurchase: subscriptionPurchase,
+        subscription: schoolSubscription,
+        schoolSeat: schoolSubscription.schoolSeat,
+        schoolId: schoolSubscription.school_id,
+        claimedAt: subscriptionPurchase.created_at,
+        isLifetimeAccess: false, // Access lasts while the seat and the school subscription do
+        expiresAt: schoolSubscription.end_date
+      };
+    } catch (error) {
+      luderror.auth('Error checking school seat claim:', error);
+      return {
+        hasAccess: false,
+        reason: 'school_seat_check_error',
+        message: `Failed to verify school seat access: ${error.message}`
+      };
+    }
+  }
+
   /**
    * Check if user (student) has access via their teacher's subscription claims
    *
@@ -415,7 +518,10 @@ class AccessControlService {
 
       // Step 2: Check if any of these teachers have subscription claims for this content
       for (const teacherId of teacherIds) {
-        const teacherClaim = await this.checkDirectSubscriptionClaim(teacherId, entityType, productId);
+        let teacherClaim = await this.checkDirectSubscriptionClaim(teacherId, entityType, productId);
+        if (!teacherClaim.hasAccess) {
+          teacherClaim = await this.checkSchoolSeatClaim(teacherId, entityType, productId);
+        }
 
         if (teacherClaim.hasAccess) {
           // Step 3: Record student usage of teacher's claim (FIXED: pass productId not entityId)
@@ -1148,7 +1254,7 @@ class AccessControlService {
     }
   }
 
-  // Create a new purchase and grant access
+  // Create a new purchase and grant access (options.transaction joins an outer DB transaction)
   async grantAccess(userId, entityType, entityId, options = {}) {
     try {
       const {
@@ -1176,7 +1282,7 @@ class AccessControlService {
         metadata: options.metadata || {}
       };
 
-      const purchase = await this.models.Purchase.create(purchaseData);
+      const purchase = await this.models.Purchase.create(purchaseData, { transaction: options.transaction });
       return purchase;
     } catch (error) {
       luderror.api('Error granting access:', error);
@@ -1185,8 +1291,49 @@ class AccessControlService {
   }
 
   // Revoke access for a user to an entity
-  async revokeAccess(userId, entityType, entityId) {
+  // With options.purchaseId only that purchase is ended (or shortened to options.accessExpiresAt)
+  // and the record is kept for auditing - used by refunds
+  async revokeAccess(userId, entityType, entityId, options = {}) {
     try {
+      if (options.purchaseId) {
+        const purchase = await this.models.Purchase.findOne({
+          where: {
+            id: options.purchaseId,
+            buyer_user_id: userId,
+            purchasable_type: entityType,
+            purchasable_id: entityId
+          },
+          transaction: options.transaction
+        });
+
+        if (!purchase) {
+          return { revoked: false, shortened: false, purchaseId: options.purchaseId };
+        }
+
+        const now = nowInIsrael();
+        const requestedExpiry = options.accessExpiresAt ? new Date(options.accessExpiresAt) : null;
+        const shortened = !!requestedExpiry && requestedExpiry > now;
+        const accessExpiresAt = shortened ? requestedExpiry : now;
+
+        // Never extend access that already ends earlier
+        if (purchase.access_expires_at && new Date(purchase.access_expires_at) <= accessExpiresAt) {
+          return { revoked: !shortened, shortened: false, purchaseId: purchase.id, accessExpiresAt: purchase.access_expires_at };
+        }
+
+        await purchase.update({
+          access_expires_at: accessExpiresAt,
+          metadata: {
+            ...purchase.metadata,
+            access_revoked_at: now.toISOString(),
+            access_revoked_reason: options.reason || null,
+            previous_access_expires_at: purchase.access_expires_at || null
+          },
+          updated_at: new Date()
+        }, { transaction: options.transaction });
+
+        return { revoked: !shortened, shortened, purchaseId: purchase.id, accessExpiresAt };
+      }
+
       const deletedCount = await this.models.Purchase.destroy({
         where: {
           buyer_user_id: userId,
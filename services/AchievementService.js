@@ -0,0 +1,505 @@
+import moment from 'moment-timezone';
+import { Op } from 'sequelize';
+import models from '../models/index.js';
+import { generateId } from '../models/baseModel.js';
+import LobbySocketService from './LobbySocketService.js';
+import { gameTypeDefaults } from '../config/gameTypeDefaults.js';
+import {
+  ACHIEVEMENT_RULE_TYPES,
+  ACHIEVEMENT_EVENTS,
+  THRESHOLD_RULE_TYPES,
+  STATE_UPDATE_RULE_TYPES,
+  MAX_STREAK_DAYS
+} from '../constants/achievements.js';
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError } from '../middleware/errorHandler.js';
+import { ludlog, luderror } from '../lib/ludlog.js';
+
+const ISRAEL_TIMEZONE = 'Asia/Jerusalem';
+const KEY_PATTERN = /^[a-z0-9_]{2,100}$/;
+
+const toNumberOrNull = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * AchievementService - Rules-based badges for players
+ *
+ * Admins define achievements ({ key, name, rule }); the rules are evaluated against the players'
+ * GameSessionResults when a session finishes, and score rules also on every game state update.
+ * Awards are idempotent (one PlayerAchievement per player and badge), mirrored into
+ * Player.achievements and broadcast to the session as 'achievement:unlocked'.
+ *
+ * Evaluation runs after the session update and never fails the game flow - errors are logged.
+ */
+class AchievementService {
+  /**
+   * Validate an achievement rule
+   * @param {Object} rule - { type, threshold?, game_type? }
+   * @returns {Object} Normalized rule
+   */
+  static validateRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+      throw new BadRequestError('rule is required');
+    }
+
+    const ruleTypes = Object.values(ACHIEVEMENT_RULE_TYPES);
+    if (!ruleTypes.includes(rule.type)) {
+      throw new BadRequestError(`rule.type must be one of: ${ruleTypes.join(', ')}`);
+    }
+
+    const normalized = { type: rule.type };
+
+    if (THRESHOLD_RULE_TYPES.includes(rule.type)) {
+      const threshold = Number(rule.threshold);
+      if (!Number.isInteger(threshold) || threshold < 1) {
+        throw new BadRequestError(`rule.threshold must be a positive integer for ${rule.type}`);
+      }
+      if (rule.type === ACHIEVEMENT_RULE_TYPES.DAILY_STREAK && threshold > MAX_STREAK_DAYS) {
+        throw new BadRequestError(`rule.threshold must not exceed ${MAX_STREAK_DAYS} days`);
+      }
+      normalized.threshold = threshold;
+    }
+
+    if (rule.game_type) {
+      const gameTypes = Object.keys(gameTypeDefaults).filter(gameType => gameType !== 'default');
+      if (!gameTypes.includes(rule.game_type)) {
+        throw new BadRequestError(`rule.game_type must be one of: ${gameTypes.join(', ')}`);
+      }
+      normalized.game_type = rule.game_type;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * List achievement definitions
+   * @param {Object} options
+   * @param {boolean} options.includeInactive - Include deactivated badges
+   * @returns {Promise<Array>} Achievements
+   */
+  static async listAchievements({ includeInactive = true } = {}) {
+    return models.Achievement.findAll({
+      where: includeInactive ? {} : { is_active: true },
+      order: [['created_at', 'ASC']]
+    });
+  }
+
+  /**
+   * Create an achievement definition
+   * @param {Object} data - { key, name, description?, icon_url?, rule, is_active? }
+   * @param {string} adminId - Creating admin
+   * @returns {Promise<Object>} Created achievement
+   */
+  static async createAchievement(data, adminId) {
+    const key = String(data.key || '').trim().toLowerCase();
+    if (!KEY_PATTERN.test(key)) {
+      throw new BadRequestError('key must be 2-100 lowercase letters, digits or underscores');
+    }
+
+    if (!data.name || !String(data.name).trim()) {
+      throw new BadRequestError('name is required');
+    }
+
+    const existing = await models.Achievement.findOne({ where: { key } });
+    if (existing) {
+      throw new ConflictError(`Achievement with key ${key} already exists`);
+    }
+
+    const achievement = await models.Achievement.create({
+      id: generateId(),
+      key,
+      name: String(data.name).trim(),
+      description: data.description || null,
+      icon_url: data.icon_url || null,
+      rule: this.validateRule(data.rule),
+      is_active: data.is_active !== false,
+      created_by: adminId,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+
+    ludlog.generic('Achievement created', { achievementId: achievement.id, key, adminId });
+
+    return achievement;
+  }
+
+  /**
+   * Update an achievement definition (the key is permanent)
+   * Changing the rule or deactivating a badge never revokes awards already made.
+   * @param {string} achievementId - Achievement ID
+   * @param {Object} data - { name?, description?, icon_url?, rule?, is_active? }
+   * @returns {Promise<Object>} Updated achievement
+   */
+  static async updateAchievement(achievementId, data) {
+    const achievement = await models.Achievement.findByPk(achievementId);
+    if (!achievement) {
+      throw new NotFoundError('Achievement');
+    }
+
+    const updateData = { updated_at: new Date() };
+
+    if (data.name !== undefined) {
+      if (!String(data.name).trim()) {
+        throw new BadRequestError('name must not be empty');
+      }
+      updateData.name = String(data.name).trim();
+    }
+    if (data.description !== undefined) updateData.description = data.description || null;
+    if (data.icon_url !== undefined) updateData.icon_url = data.icon_url || null;
+    if (data.rule !== undefined) updateData.rule = this.validateRule(data.rule);
+    if (data.is_active !== undefined) updateData.is_active = !!data.is_active;
+
+    await achievement.update(updateData);
+
+    return achievement;
+  }
+
+  /**
+   * Evaluate every active achievement for the players of a finished session
+   * Reads the session's recorded GameSessionResults, so call it once they are committed.
+   * @param {string} sessionId - Finished session ID
+   * @returns {Promise<Array>} Unlocked achievements (empty on errors)
+   */
+  static async evaluateFinishedSession(sessionId) {
+    try {
+      const achievements = await models.Achievement.findAll({ where: { is_active: true } });
+      if (achievements.length === 0) {
+        return [];
+      }
+
+      const session = await models.GameSession.findByPk(sessionId, {
+        include: [{
+          model: models.GameLobby,
+          as: 'lobby',
+          include: [{ model: models.Game, as: 'game', attributes: ['id', 'game_type'] }]
+        }]
+      });
+      if (!session) {
+        return [];
+      }
+
+      const results = await models.GameSessionResult.findAll({
+        where: { session_id: sessionId, player_id: { [Op.ne]: null } }
+      });
+
+      const candidates = results.map(result => ({
+        playerId: result.player_id,
+        participantId: result.participant_id,
+        displayName: result.display_name,
+        result
+      }));
+
+      return await this.evaluate(ACHIEVEMENT_EVENTS.SESSION_FINISHED, achievements, candidates, {
+        sessionId,
+        lobby: session.lobby,
+        gameType: session.lobby?.game?.game_type
+      });
+    } catch (error) {
+      luderror.generic('❌ Failed to evaluate achievements of finished session:', error, { sessionId });
+      return [];
+    }
+  }
+
+  /**
+   * Evaluate score achievements on a game state update
+   * Uses the state's `scores` map (participant id -> score), as kept by memory_game.
+   * @param {Object} sessionData - Updated session (GameSessionService.getSessionDetails)
+   * @returns {Promise<Array>} Unlocked achievements (empty on errors)
+   */
+  static async evaluateStateUpdate(sessionData) {
+    try {
+      const scores = sessionData.current_state?.scores;
+      if (!scores || typeof scores !== 'object') {
+        return [];
+      }
+
+      const candidates = (sessionData.participants || [])
+        .filter(participant => participant.player_id && toNumberOrNull(scores[participant.id]) !== null)
+        .map(participant => ({
+          playerId: participant.player_id,
+          participantId: participant.id,
+          displayName: participant.display_name,
+          score: toNumberOrNull(scores[participant.id])
+        }));
+
+      if (candidates.length === 0) {
+        return [];
+      }
+
+      const achievements = await models.Achievement.findAll({
+        where: { is_active: true, rule: { type: { [Op.in]: STATE_UPDATE_RULE_TYPES } } }
+      });
+      if (achievements.length === 0) {
+        return [];
+      }
+
+      return await this.evaluate(ACHIEVEMENT_EVENTS.STATE_UPDATED, achievements, candidates, {
+        sessionId: sessionData.id,
+        lobby: sessionData.lobby,
+        gameType: sessionData.lobby?.game?.game_type
+      });
+    } catch (error) {
+      luderror.generic('❌ Failed to evaluate achievements of state update:', error, { sessionId: sessionData?.id });
+      return [];
+    }
+  }
+
+  /**
+   * Check the achievements the candidates have not earned yet, award and broadcast the met ones
+   * @param {string} event - ACHIEVEMENT_EVENTS value
+   * @param {Array} achievements - Active achievements to check
+   * @param {Array} candidates - [{ playerId, participantId, displayName, result?, score? }]
+   * @param {Object} context - { sessionId, lobby, gameType }
+   * @returns {Promise<Array>} Unlocked achievements
+   */
+  static async evaluate(event, achievements, candidates, context) {
+    const earned = await models.PlayerAchievement.findAll({
+      where: {
+        player_id: { [Op.in]: candidates.map(candidate => candidate.playerId) },
+        achievement_id: { [Op.in]: achievements.map(achievement => achievement.id) }
+      },
+      attributes: ['player_id', 'achievement_id']
+    });
+    const earnedKeys = new Set(earned.map(award => `${award.player_id}:${award.achievement_id}`));
+
+    const unlocks = [];
+
+    for (const candidate of candidates) {
+      for (const achievement of achievements) {
+        if (earnedKeys.has(`${candidate.playerId}:${achievement.id}`)) continue;
+
+        const met = await this.checkRule(achievement.rule, event, candidate, context.gameType);
+        if (!met) continue;
+
+        const award = await this.awardAchievement(achievement, candidate, context, { event, value: met.value });
+        if (award) {
+          unlocks.push({
+            participant_id: candidate.participantId,
+            player_id: candidate.playerId,
+            display_name: candidate.displayName,
+            achievement: this.toAchievementView(achievement),
+            awarded_at: award.awarded_at
+          });
+        }
+      }
+    }
+
+    if (unlocks.length > 0) {
+      ludlog.generic('Achievements unlocked', { sessionId: context.sessionId, event, count: unlocks.length });
+      LobbySocketService.broadcastAchievementUnlocked({ id: context.sessionId, lobby: context.lobby }, unlocks);
+    }
+
+    return unlocks;
+  }
+
+  /**
+   * Check one rule for a candidate
+   * @returns {Promise<Object|null>} { value } when the rule is met
+   */
+  static async checkRule(rule, event, candidate, gameType) {
+    if (rule.game_type && rule.game_type !== gameType) {
+      return null;
+    }
+
+    const { result } = candidate;
+
+    // Only score rules can be checked from a state update
+    if (event === ACHIEVEMENT_EVENTS.STATE_UPDATED) {
+      return rule.type === ACHIEVEMENT_RULE_TYPES.SCORE_REACHED && candidate.score >= rule.threshold
+        ? { value: candidate.score }
+        : null;
+    }
+
+    switch (rule.type) {
+      case ACHIEVEMENT_RULE_TYPES.SESSIONS_PLAYED: {
+        if (!result.completed) return null;
+        const count = await this.countResults(candidate.playerId, { completed: true }, rule.game_type);
+        return count >= rule.threshold ? { value: count } : null;
+      }
+
+      case ACHIEVEMENT_RULE_TYPES.SESSIONS_WON: {
+        if (!result.completed || result.rank !== 1) return null;
+        const count = await this.countResults(candidate.playerId, { completed: true, rank: 1 }, rule.game_type);
+        return count >= rule.threshold ? { value: count } : null;
+      }
+
+      case ACHIEVEMENT_RULE_TYPES.PERFECT_ROUND:
+        return result.completed && toNumberOrNull(result.accuracy) === 100 ? { value: 100 } : null;
+
+      case ACHIEVEMENT_RULE_TYPES.DAILY_STREAK: {
+        const streak = await this.getStreakDays(candidate.playerId, result.finished_at, rule.threshold);
+        return streak >= rule.threshold ? { value: streak } : null;
+      }
+
+      case ACHIEVEMENT_RULE_TYPES.SCORE_REACHED: {
+        const score = toNumberOrNull(result.score);
+        return score !== null && score >= rule.threshold ? { value: score } : null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  static async countResults(playerId, where, gameType = null) {
+    return models.GameSessionResult.count({
+      where: { player_id: playerId, ...where },
+      include: gameType
+        ? [{ model: models.Game, as: 'game', attributes: [], where: { game_type: gameType } }]
+        : []
+    });
+  }
+
+  /**
+   * Consecutive days (Israel time) with a finished session, ending on the day of `until`
+   * @param {string} playerId - Player ID
+   * @param {Date} until - Last day of the streak
+   * @param {number} maxDays - Longest streak worth counting
+   * @returns {Promise<number>} Streak length in days
+   */
+  static async getStreakDays(playerId, until, maxDays) {
+    const lastDay = moment(until).tz(ISRAEL_TIMEZONE);
+    const since = lastDay.clone().subtract(maxDays - 1, 'days').startOf('day');
+
+    const results = await models.GameSessionResult.findAll({
+      where: {
+        player_id: playerId,
+        finished_at: { [Op.between]: [since.toDate(), lastDay.toDate()] }
+      },
+      attributes: ['finished_at']
+    });
+
+    const playedDays = new Set(results.map(result => moment(result.finished_at).tz(ISRAEL_TIMEZONE).format('YYYY-MM-DD')));
+
+    let streak = 0;
+    const day = lastDay.clone();
+    while (streak < maxDays && playedDays.has(day.format('YYYY-MM-DD'))) {
+      streak += 1;
+      day.subtract(1, 'day');
+    }
+
+    return streak;
+  }
+
+  /**
+   * Award an achievement to a player once, and mirror it into Player.achievements
+   * The player row is locked so concurrent evaluations neither award twice nor lose entries.
+   * @returns {Promise<Object|null>} The new award, or null when the player already had it
+   */
+  static async awardAchievement(achievement, candidate, context, metadata = {}) {
+    return models.sequelize.transaction(async (transaction) => {
+      const player = await models.Player.findByPk(candidate.playerId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (!player) {
+        return null;
+      }
+
+      const [award, created] = await models.PlayerAchievement.findOrCreate({
+        where: { achievement_id: achievement.id, player_id: player.id },
+        defaults: {
+          id: generateId(),
+          session_id: context.sessionId,
+          teacher_id: context.lobby?.owner_user_id || null,
+          awarded_at: new Date(),
+          metadata: { ...metadata, participant_id: candidate.participantId },
+          created_at: new Date()
+        },
+        transaction
+      });
+
+      if (!created) {
+        return null;
+      }
+
+      const achievements = player.achievements || [];
+      if (!achievements.some(entry => entry.id === achievement.id)) {
+        await player.update({
+          achievements: [...achievements, {
+            id: achievement.id,
+            key: achievement.key,
+            name: achievement.name,
+            icon_url: achievement.icon_url,
+            awarded_at: award.awarded_at,
+            session_id: context.sessionId
+          }],
+          updated_at: new Date()
+        }, { transaction });
+      }
+
+      return award;
+    });
+  }
+
+  /**
+   * Achievement history of the students of a classroom
+   * @param {string} classroomId - Classroom ID
+   * @param {string} teacherId - Requesting teacher (must own the classroom)
+   * @returns {Promise<Object>} { classroom, students, awards }
+   */
+  static async getClassroomAchievements(classroomId, teacherId) {
+    const classroom = await models.Classroom.findByPk(classroomId);
+    if (!classroom) {
+      throw new NotFoundError('Classroom');
+    }
+
+    if (classroom.teacher_id !== teacherId) {
+      throw new ForbiddenError('Access denied: You do not own this classroom');
+    }
+
+    const memberships = await models.ClassroomMembership.findAll({
+      where: { classroom_id: classroomId, status: 'active' }
+    });
+
+    const studentIds = memberships.map(membership => membership.student_user_id);
+
+    // Only players earn achievements - user-account students have no awards
+    const awards = studentIds.length === 0 ? [] : await models.PlayerAchievement.findAll({
+      where: { player_id: { [Op.in]: studentIds } },
+      include: [{ model: models.Achievement, as: 'achievement' }],
+      order: [['awarded_at', 'DESC']]
+    });
+
+    const displayNames = Object.fromEntries(memberships.map(membership =>
+      [membership.student_user_id, membership.student_display_name || null]));
+
+    const countByStudent = {};
+    for (const award of awards) {
+      countByStudent[award.player_id] = (countByStudent[award.player_id] || 0) + 1;
+    }
+
+    return {
+      classroom: {
+        id: classroom.id,
+        name: classroom.name
+      },
+      students: memberships.map(membership => ({
+        student_id: membership.student_user_id,
+        display_name: displayNames[membership.student_user_id],
+        achievements_count: countByStudent[membership.student_user_id] || 0
+      })),
+      awards: awards.map(award => ({
+        id: award.id,
+        student_id: award.player_id,
+        display_name: displayNames[award.player_id],
+        achievement: this.toAchievementView(award.achievement),
+        session_id: award.session_id,
+        awarded_at: award.awarded_at
+      }))
+    };
+  }
+
+  static toAchievementView(achievement) {
+    return {
+      id: achievement.id,
+      key: achievement.key,
+      name: achievement.name,
+      description: achievement.description,
+      icon_url: achievement.icon_url
+    };
+  }
+}
+
+export default AchievementService;
\ No newline at end of file
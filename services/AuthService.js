@@ -5,6 +5,8 @@ import { admin } from '../config/firebase.js';
 import models from '../models/index.js';
 import { generateId } from '../models/baseModel.js';
 import { ludlog, luderror } from '../lib/ludlog.js';
+import { normalizeEmail } from '../utils/emailContent.js';
+import UserSessionService from './UserSessionService.js';
 
 class AuthService {
   constructor() {
@@ -184,6 +186,15 @@ class AuthService {
         throw new Error('User not found or inactive');
       }
 
+      // Tokens die with the session they were issued with (user signed the device out)
+      if (tokenRecord.metadata?.sessionId) {
+        const session = await models.UserSession.findByPk(tokenRecord.metadata.sessionId);
+        if (session?.isInvalidated()) {
+          await this.revokeRefreshToken(tokenRecord.id);
+          throw new Error('Session revoked');
+        }
+      }
+
       // Update last used timestamp
       await tokenRecord.updateLastUsed();
 
@@ -216,6 +227,16 @@ class AuthService {
     };
   }
 
+  // Get the token id of a refresh token without checking the database (null if invalid)
+  getRefreshTokenId(refreshToken) {
+    try {
+      const payload = this.verifyJWTToken(refreshToken);
+      return payload.type === 'refresh' ? payload.tokenId : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   // Revoke a refresh token
   async revokeRefreshToken(refreshTokenId) {
     await models.RefreshToken.update(
@@ -273,13 +294,24 @@ class AuthService {
     const now = new Date();
     const expiresAt = new Date(now.getTime() + (24 * 60 * 60 * 1000)); // 24 hours
 
-    // Use the UserSession model's createUserSession method to include portal
-    await models.UserSession.createUserSession(sessionId, userId, expiresAt, {
+    const sessionMetadata = {
       userAgent: metadata.userAgent || 'Unknown',
       ipAddress: metadata.ipAddress || 'Unknown',
       loginMethod: metadata.loginMethod || 'email_password', // email_password, firebase, etc.
       ...metadata
-    }, portal);
+    };
+
+    const storedMetadata = {
+      ...sessionMetadata,
+      ...UserSessionService.describeDevice(sessionMetadata)
+    };
+
+    // Use the UserSession model's createUserSession method to include portal
+    await models.UserSession.createUserSession(sessionId, userId, expiresAt, storedMetadata, portal);
+
+    // "New sign-in" email for devices the user has not signed in from before - sent in the
+    // background so the email never slows down sign-in (notifyIfNewDevice logs its own failures)
+    UserSessionService.notifyIfNewDevice(userId, { id: sessionId, portal, metadata: storedMetadata, created_at: now });
 
     return sessionId;
   }
@@ -550,7 +582,8 @@ class AuthService {
       // Generate token pair
       const { accessToken, refreshToken } = await this.generateTokenPair(user, {
         ...sessionMetadata,
-        loginMethod: 'registration'
+        loginMethod: 'registration',
+        sessionId
       });
 
       return {
@@ -948,6 +981,106 @@ class AuthService {
     }
   }
 
+  // Parent Portal Methods
+
+  // Create magic link token for parent sign-in (15 minutes, single use)
+  createParentMagicLinkToken(email) {
+    return jwt.sign(
+      {
+        email: normalizeEmail(email),
+        linkId: generateId(),
+        type: 'parent_magic_link'
+      },
+      this.jwtSecret,
+      { expiresIn: '15m' }
+    );
+  }
+
+  // Sign in a parent by magic link - parents have no password, the link proves they own the consent email
+  async signInParentWithMagicLink(token, sessionMetadata = {}) {
+    const payload = this.verifyJWTToken(token);
+
+    if (payload.type !== 'parent_magic_link' || !payload.email || !payload.linkId) {
+      throw new Error('Invalid sign-in link');
+    }
+
+    // Each link opens one session - checked again by the unique index when the session is created
+    const usedSession = await models.UserSession.findOne({
+      where: { portal: 'parent', metadata: { magicLinkId: payload.linkId } }
+    });
+    if (usedSession) {
+      throw new Error('Sign-in link was already used');
+    }
+
+    // The email must still belong to a parent with an active consent
+    const consent = await models.ParentConsent.findOne({
+      where: {
+        [models.Sequelize.Op.and]: [
+          models.sequelize.where(models.sequelize.fn('LOWER', models.sequelize.col('parent_email')), payload.email)
+        ],
+        revoked_at: null
+      }
+    });
+    if (!consent) {
+      throw new Error('No active parent consent for this email');
+    }
+
+    let user = await models.User.findOne({ where: { email: payload.email } });
+
+    // Only an existing parent account signs in here - admins and teachers have no user_type
+    // and must never be turned into parents by a link sent to their email
+    if (user && (!user.is_active || user.user_type !== 'parent' || user.role !== 'user')) {
+      throw new Error('This email belongs to an account that cannot use the parent portal');
+    }
+
+    if (!user) {
+      user = await models.User.create({
+        id: generateId(),
+        email: payload.email,
+        full_name: consent.parent_name || payload.email.split('@')[0],
+        role: 'user',
+        user_type: 'parent',
+        is_active: true,
+        is_verified: true,
+        created_at: new Date(),
+        updated_at: new Date()
+      });
+      ludlog.auth('Parent user created from magic link:', { userId: user.id });
+    }
+
+    const metadata = {
+      ...sessionMetadata,
+      loginMethod: 'magic_link',
+      magicLinkId: payload.linkId
+    };
+
+    // The unique index on the session's magicLinkId settles concurrent sign-ins with one link
+    let sessionId;
+    try {
+      sessionId = await this.createSession(user.id, metadata, 'parent');
+    } catch (error) {
+      if (error instanceof models.Sequelize.UniqueConstraintError) {
+        throw new Error('Sign-in link was already used');
+      }
+      throw error;
+    }
+    const { accessToken, refreshToken } = await this.generateTokenPair(user, { ...metadata, sessionId });
+
+    return {
+      success: true,
+      sessionId,
+      accessToken,
+      refreshToken,
+      user: {
+        id: user.id,
+        email: user.email,
+        full_name: user.full_name,
+        role: user.role,
+        user_type: user.user_type
+      }
+    };
+  }
+
   // 12-hour safety net cleanup (not a frequent cleanup)
   // This only runs as a safety net - primary cleanup is lazy on access
   async safetyNetCleanup() {
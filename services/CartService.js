@@ -0,0 +1,523 @@
+import models from '../models/index.js';
+import { ludlog, luderror } from '../lib/ludlog.js';
+import { BadRequestError, ConflictError, NotFoundError } from '../middleware/errorHandler.js';
+import PaymentService from './PaymentService.js';
+import CouponValidationService from './CouponValidationService.js';
+import GiftService from './GiftService.js';
+import { GIFT_PURCHASABLE_TYPE } from '../constants/gifts.js';
+
+// Product types that can be added to the cart and the entity model behind each
+const ENTITY_MODELS = {
+  workshop: 'Workshop',
+  course: 'Course',
+  file: 'File',
+  lesson_plan: 'LessonPlan',
+  tool: 'Tool',
+  game: 'Game'
+};
+
+// Amounts are stored as DECIMAL(10,2) - calculate in whole agorot
+function toAgorot(amount) {
+  return Math.round(parseFloat(amount || 0) * 100);
+}
+
+/**
+ * CartService - Server-side shopping cart
+ *
+ * The cart is the user's Purchase records in 'cart' status. Checkout moves them to
+ * 'pending' under a single Transaction (one payment page for all items) and the
+ * provider webhook completes each of them against that Transaction.
+ *
+ * Prices are always taken from the Product at calculation time and cart coupons are
+ * applied together through CouponValidationService.validateCouponStacking, with the
+ * combined discount spread across items in proportion to their price.
+ * Cart coupon codes live in Purchase.metadata.coupon_codes; their usage is counted
+ * once the order is paid (PaymentService.completePurchase), not when applied.
+ * Reading the cart reprices it in memory only; changes to the cart and the checkout save it.
+ */
+class CartService {
+  /**
+   * Cart purchases of a user, oldest first
+   * @param {string} userId - User ID
+   * @param {Object} [transaction] - Sequelize transaction (rows are locked when given)
+   * @returns {Promise<Array>} Cart purchases
+   */
+  static async getCartPurchases(userId, transaction = null) {
+    return models.Purchase.findAll({
+      where: {
+        buyer_user_id: userId,
+        payment_status: 'cart'
+      },
+      order: [['created_at', 'ASC']],
+      transaction,
+      ...(transaction ? { lock: transaction.LOCK.UPDATE } : {})
+    });
+  }
+
+  /**
+   * Find the Product (and entity) for an add-to-cart request
+   * purchasableId can be a Product ID (bundles, direct product references) or an entity ID.
+   * @param {string} purchasableType - Product type
+   * @param {string} purchasableId - Product ID or entity ID
+   * @returns {Promise<Object>} { productRecord, entityRecord, isBundle }
+   */
+  static async resolveProduct(purchasableType, purchasableId) {
+    const entityModel = ENTITY_MODELS[purchasableType] ? models[ENTITY_MODELS[purchasableType]] : null;
+
+    const productRecord = await models.Product.findByPk(purchasableId);
+    if (productRecord) {
+      const isBundle = productRecord.type_attributes?.is_bundle || false;
+      const entityRecord = !isBundle && productRecord.entity_id && entityModel
+        ? await entityModel.findByPk(productRecord.entity_id)
+        : null;
+
+      return { productRecord, entityRecord, isBundle };
+    }
+
+    // NOTE: subscriptions are not cart items - use the /api/subscriptions endpoints
+    if (!entityModel) {
+      throw new BadRequestError(`Unknown purchasable type: ${purchasableType}`);
+    }
+
+    const entityRecord = await entityModel.findByPk(purchasableId);
+    if (!entityRecord) {
+      throw new NotFoundError(`${purchasableType} not found`);
+    }
+
+    const entityProduct = await models.Product.findOne({
+      where: {
+        product_type: purchasableType,
+        entity_id: purchasableId
+      }
+    });
+
+    if (!entityProduct) {
+      throw new NotFoundError(`Product record not found for ${purchasableType} ${purchasableId}. This entity may not be properly set up as a product.`);
+    }
+
+    return { productRecord: entityProduct, entityRecord, isBundle: false };
+  }
+
+  /**
+   * Add a product to the cart
+   * Free products are completed immediately instead of staying in the cart.
+   * @param {string} userId - Buyer ID
+   * @param {Object} options
+   * @param {string} options.purchasableType - Product type
+   * @param {string} options.purchasableId - Product ID or entity ID
+   * @param {Object} [options.additionalData] - Extra purchase metadata
+   * @returns {Promise<Object>} { purchase, isFree }
+   */
+  static async addItem(userId, { purchasableType, purchasableId, additionalData = {} }) {
+    if (!purchasableType || !purchasableId) {
+      throw new BadRequestError('purchasableType and purchasableId are required');
+    }
+
+    const { productRecord, entityRecord, isBundle } = await this.resolveProduct(purchasableType, purchasableId);
+
+    // Purchases always reference the Product ID (not the entity ID) for access control
+    const validation = await PaymentService.validatePurchaseCreation(userId, purchasableType, productRecord.id);
+    if (!validation.valid) {
+      throw new ConflictError(validation.error);
+    }
+
+    const item = isBundle ? productRecord : (entityRecord || productRecord);
+    const price = this.getListPrice(productRecord, additionalData);
+    const isFree = price === 0;
+
+    const purchase = await models.Purchase.create({
+      id: `pur_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+      buyer_user_id: userId,
+      purchasable_type: purchasableType,
+      purchasable_id: productRecord.id,
+      payment_amount: price,
+      original_price: price,
+      discount_amount: 0,
+      payment_status: isFree ? 'completed' : 'cart', // Complete free items immediately
+      payment_method: isFree ? 'free' : null,
+      metadata: {
+        product_title: productRecord.title || item.title || item.name || 'Unknown Product',
+        entity_id: entityRecord?.id || null, // Store entity ID in metadata for reference
+        is_bundle: isBundle,
+        ...additionalData
+      },
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+
+    if (isFree) {
+      return { purchase, isFree };
+    }
+
+    // Coupons already on the cart now cover the new item too
+    await this.recalculateCart(userId);
+    await purchase.reload();
+
+    return { purchase, isFree };
+  }
+
+  /**
+   * Add a gift for someone else to the cart
+   * The gift code is issued and emailed to the recipient once the order is paid.
+   * @param {string} userId - Buyer ID
+   * @param {Object} details - Gift details (see GiftService.resolveGift)
+   * @returns {Promise<Object>} Cart gift purchase
+   */
+  static async addGift(userId, details) {
+    const { purchasableId, price, gift } = await GiftService.resolveGift(details);
+
+    const purchase = await models.Purchase.create({
+      id: `pur_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+      buyer_user_id: userId,
+      purchasable_type: GIFT_PURCHASABLE_TYPE,
+      purchasable_id: purchasableId,
+      payment_amount: price,
+      original_price: price,
+      discount_amount: 0,
+      payment_status: 'cart',
+      metadata: {
+        product_title: `מתנה: ${gift.title}`,
+        gift
+      },
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+
+    await this.recalculateCart(userId);
+    await purchase.reload();
+
+    return purchase;
+  }
+
+  /**
+   * Remove an item from the cart and recalculate the rest
+   * @param {string} userId - Buyer ID
+   * @param {string} purchaseId - Cart purchase ID
+   * @returns {Promise<Object>} Cart summary
+   */
+  static async removeItem(userId, purchaseId) {
+    const purchase = await models.Purchase.findOne({
+      where: {
+        id: purchaseId,
+        buyer_user_id: userId,
+        payment_status: 'cart'
+      }
+    });
+
+    if (!purchase) {
+      throw new NotFoundError('Cart item not found');
+    }
+
+    await purchase.destroy();
+
+    return this.recalculateCart(userId);
+  }
+
+  /**
+   * Add a coupon code to the cart
+   * The code is validated together with the coupons already applied (stacking rules).
+   * @param {string} userId - Buyer ID
+   * @param {string} couponCode - Coupon code
+   * @returns {Promise<Object>} Cart summary
+   */
+  static async applyCoupon(userId, couponCode) {
+    if (!couponCode || typeof couponCode !== 'string') {
+      throw new BadRequestError('couponCode is required');
+    }
+
+    const code = couponCode.trim().toUpperCase();
+    const purchases = await this.getCartPurchases(userId);
+
+    if (purchases.length === 0) {
+      throw new BadRequestError('No items found in cart');
+    }
+
+    if (purchases.some(purchase => purchase.coupon_code && !purchase.metadata?.coupon_codes)) {
+      throw new BadRequestError('Remove the coupon already applied to this cart before adding another');
+    }
+
+    const couponCodes = this.getCouponCodes(purchases);
+    if (couponCodes.includes(code)) {
+      return this.buildCartSummary(purchases);
+    }
+
+    return this.recalculateCart(userId, { couponCodes: [...couponCodes, code], strict: true });
+  }
+
+  /**
+   * Remove a coupon code from the cart
+   * @param {string} userId - Buyer ID
+   * @param {string} couponCode - Coupon code
+   * @returns {Promise<Object>} Cart summary
+   */
+  static async removeCoupon(userId, couponCode) {
+    const code = String(couponCode || '').trim().toUpperCase();
+    const purchases = await this.getCartPurchases(userId);
+    const couponCodes = this.getCouponCodes(purchases);
+
+    if (!couponCodes.includes(code)) {
+      throw new NotFoundError('Coupon is not applied to this cart');
+    }
+
+    return this.recalculateCart(userId, { couponCodes: couponCodes.filter(c => c !== code) });
+  }
+
+  /**
+   * Cart coupon codes (applied through the cart API)
+   * @param {Array} purchases - Cart purchases
+   * @returns {Array<string>} Coupon codes
+   */
+  static getCouponCodes(purchases) {
+    const codes = purchases.flatMap(purchase => purchase.metadata?.coupon_codes || []);
+    return [...new Set(codes)];
+  }
+
+  /**
+   * Current list price of a cart item
+   * @param {Object} product - Product
+   * @param {Object} [metadata] - Purchase metadata (price fallback for entities without a price)
+   * @returns {number} Price
+   */
+  static getListPrice(product, metadata = {}) {
+    const price = parseFloat(product?.price || 0);
+    if (price === 0 && metadata.product_price) {
+      return parseFloat(metadata.product_price || 0);
+    }
+    return price;
+  }
+
+  /**
+   * Spread a discount over items in proportion to their price
+   * The last discounted item absorbs the rounding remainder, so the shares always add up.
+   * @param {Array<number>} prices - Item prices
+   * @param {number} totalDiscount - Discount to spread
+   * @returns {Array<number>} Discount per item
+   */
+  static allocateDiscount(prices, totalDiscount) {
+    const priceAgorot = prices.map(toAgorot);
+    const subtotalAgorot = priceAgorot.reduce((sum, price) => sum + price, 0);
+    const discountAgorot = Math.min(toAgorot(totalDiscount), subtotalAgorot);
+
+    if (subtotalAgorot === 0 || discountAgorot <= 0) {
+      return prices.map(() => 0);
+    }
+
+    const shares = priceAgorot.map(price => Math.floor(discountAgorot * price / subtotalAgorot));
+    let remainder = discountAgorot - shares.reduce((sum, share) => sum + share, 0);
+
+    for (let index = shares.length - 1; index >= 0 && remainder > 0; index--) {
+      const room = priceAgorot[index] - shares[index];
+      const extra = Math.min(room, remainder);
+      shares[index] += extra;
+      remainder -= extra;
+    }
+
+    return shares.map(share => share / 100);
+  }
+
+  /**
+   * Current cart with up-to-date prices and coupons, without saving anything
+   * Coupons that no longer apply are reported in droppedCoupons; the next cart change
+   * or the checkout stores the repriced cart (recalculateCart).
+   * @param {string} userId - Buyer ID
+   * @returns {Promise<Object>} Cart summary
+   */
+  static async getCart(userId) {
+    const purchases = await this.getCartPurchases(userId);
+    const { pricedItems, droppedCodes } = await this.priceCart(userId, purchases);
+
+    const repriced = pricedItems.map(({ purchase, changes }) => ({
+      id: purchase.id,
+      purchasable_type: purchase.purchasable_type,
+      purchasable_id: purchase.purchasable_id,
+      ...changes
+    }));
+
+    return this.buildCartSummary(repriced, { droppedCoupons: droppedCodes });
+  }
+
+  /**
+   * Reprice the cart from current product prices and re-apply its coupons
+   * Coupons that no longer apply (price changes, removed items) are dropped, unless
+   * strict is set - then the cart is left untouched and the validation error is thrown.
+   * @param {string} userId - Buyer ID
+   * @param {Object} [options]
+   * @param {Array<string>} [options.couponCodes] - Coupon codes to apply (default: the cart's current codes)
+   * @param {boolean} [options.strict] - Throw when the coupons can't be applied
+   * @returns {Promise<Object>} Cart summary
+   */
+  static async recalculateCart(userId, options = {}) {
+    const dbTransaction = await models.sequelize.transaction();
+
+    try {
+      const purchases = await this.getCartPurchases(userId, dbTransaction);
+      const { pricedItems, droppedCodes } = await this.priceCart(userId, purchases, options, dbTransaction);
+
+      for (const { purchase, changes } of pricedItems) {
+        await purchase.update(changes, { transaction: dbTransaction });
+      }
+
+      await dbTransaction.commit();
+
+      if (droppedCodes.length > 0) {
+        ludlog.payments('Cart coupons no longer applicable were removed', {
+          userId,
+          droppedCodes
+        });
+      }
+
+      return this.buildCartSummary(purchases, { droppedCoupons: droppedCodes });
+
+    } catch (error) {
+      await dbTransaction.rollback();
+      if (!(error instanceof BadRequestError)) {
+        luderror.payments('Error recalculating cart:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Price cart purchases from current product prices and coupons (nothing is saved)
+   * @param {string} userId - Buyer ID
+   * @param {Array} purchases - Cart purchases
+   * @param {Object} [options] - { couponCodes, strict } as in recalculateCart
+   * @param {Object} [dbTransaction] - Sequelize transaction
+   * @returns {Promise<Object>} { pricedItems: [{ purchase, changes }], droppedCodes }
+   */
+  static async priceCart(userId, purchases, options = {}, dbTransaction = null) {
+    const { strict = false } = options;
+    const requestedCodes = options.couponCodes || this.getCouponCodes(purchases);
+
+    // Current list prices
+    const prices = [];
+    for (const purchase of purchases) {
+      const product = await models.Product.findByPk(purchase.purchasable_id, { transaction: dbTransaction });
+      prices.push(product ? this.getListPrice(product, purchase.metadata || {}) : parseFloat(purchase.original_price || 0));
+    }
+
+    const subtotal = prices.reduce((sum, price) => sum + toAgorot(price), 0) / 100;
+
+    // Stacked cart coupons
+    let appliedCoupons = [];
+    let totalDiscount = 0;
+    let droppedCodes = [];
+
+    if (requestedCodes.length > 0 && subtotal > 0) {
+      try {
+        const cartItems = purchases.map((purchase, index) => ({
+          id: purchase.id,
+          purchasable_type: purchase.purchasable_type,
+          purchasable_id: purchase.purchasable_id,
+          payment_amount: prices[index]
+        }));
+
+        const stacking = await CouponValidationService.validateCouponStacking({
+          couponCodes: requestedCodes,
+          userId,
+          cartItems,
+          cartTotal: subtotal
+        });
+
+        const appliedCodes = stacking.data.applied_coupons.map(coupon => coupon.code);
+        appliedCoupons = await models.Coupon.findAll({
+          where: { code: appliedCodes },
+          transaction: dbTransaction
+        });
+        totalDiscount = stacking.data.total_discount;
+        droppedCodes = requestedCodes.filter(code => !appliedCodes.includes(code));
+
+      } catch (error) {
+        if (strict) {
+          throw new BadRequestError(error.message);
+        }
+        droppedCodes = requestedCodes;
+      }
+    } else {
+      droppedCodes = requestedCodes;
+    }
+
+    if (strict && droppedCodes.length > 0) {
+      throw new BadRequestError(`Coupon is not applicable to this cart: ${droppedCodes.join(', ')}`);
+    }
+
+    const appliedCodes = appliedCoupons.map(coupon => coupon.code);
+    const discounts = this.allocateDiscount(prices, totalDiscount);
+    const now = new Date();
+
+    const pricedItems = purchases.map((purchase, index) => {
+      const listPrice = prices[index];
+      const metadata = { ...purchase.metadata };
+      const usesCartCoupons = appliedCodes.length > 0 || metadata.coupon_codes;
+      let discountAmount = discounts[index];
+      let couponCode = appliedCodes[0] || null;
+
+      if (!usesCartCoupons && purchase.coupon_code) {
+        // Single coupon applied through /functions/applyCoupon - keep its discount as-is
+        discountAmount = Math.min(parseFloat(purchase.discount_amount || 0), listPrice);
+        couponCode = purchase.coupon_code;
+      } else {
+        delete metadata.coupon_id;
+        metadata.coupon_codes = appliedCodes.length > 0 ? appliedCodes : undefined;
+        metadata.coupon_ids = appliedCodes.length > 0 ? appliedCoupons.map(coupon => coupon.id) : undefined;
+      }
+
+      metadata.price_calculated_at = now.toISOString();
+
+      return {
+        purchase,
+        changes: {
+          original_price: listPrice,
+          discount_amount: discountAmount,
+          payment_amount: (toAgorot(listPrice) - toAgorot(discountAmount)) / 100,
+          coupon_code: couponCode,
+          metadata,
+          updated_at: now
+        }
+      };
+    });
+
+    return { pricedItems, droppedCodes };
+  }
+
+  /**
+   * Cart view for the API
+   * @param {Array} purchases - Cart purchases
+   * @param {Object} [extra] - Extra fields (e.g. droppedCoupons)
+   * @returns {Object} Cart summary
+   */
+  static buildCartSummary(purchases, extra = {}) {
+    const items = purchases.map(purchase => ({
+      id: purchase.id,
+      purchasable_type: purchase.purchasable_type,
+      purchasable_id: purchase.purchasable_id,
+      title: purchase.metadata?.product_title || null,
+      is_bundle: !!purchase.metadata?.is_bundle,
+      original_price: parseFloat(purchase.original_price || 0),
+      discount_amount: parseFloat(purchase.discount_amount || 0),
+      payment_amount: parseFloat(purchase.payment_amount || 0),
+      coupon_code: purchase.coupon_code || null
+    }));
+
+    const sum = (field) => items.reduce((total, item) => total + toAgorot(item[field]), 0) / 100;
+    const couponCodes = this.getCouponCodes(purchases);
+    const legacyCoupons = purchases
+      .filter(purchase => purchase.coupon_code && !purchase.metadata?.coupon_codes)
+      .map(purchase => purchase.coupon_code);
+
+    return {
+      items,
+      coupons: [...new Set([...couponCodes, ...legacyCoupons])],
+      totals: {
+        subtotal: sum('original_price'),
+        discount: sum('discount_amount'),
+        total: sum('payment_amount')
+      },
+      item_count: items.length,
+      currency: 'ILS',
+      ...extra
+    };
+  }
+}
+
+export default CartService;
\ No newline at end of file
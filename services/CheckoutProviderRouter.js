@@ -0,0 +1,99 @@
+import PayplusCheckoutProvider from './PayplusCheckoutProvider.js';
+import PaypalCheckoutProvider from './PaypalCheckoutProvider.js';
+import InvoiceCheckoutProvider from './InvoiceCheckoutProvider.js';
+import { ludlog } from '../lib/ludlog.js';
+import { BadRequestError } from '../middleware/errorHandler.js';
+
+/**
+ * CheckoutProviderRouter - Routes checkout creation to the selected payment provider
+ *
+ * Every provider exposes the same interface:
+ * - getName(), isConfigured(), supportsStatusPolling(), supportsSubscriptionPlan(plan)
+ * - assertEligible(user) - optional, for providers limited to some buyers
+ * - createPurchaseCheckout({ user, purchaseItems, frontendOrigin, metadata })
+ * - createSubscriptionCheckout({ subscription, subscriptionPlan, user, pricingInfo })
+ *
+ * Both checkout methods create the pending Transaction and return
+ * { provider, transactionId, paymentUrl, environment, data }.
+ * Settlement happens later in the provider's webhook handler, which records
+ * the provider on Transaction.payment_method. Pay-by-invoice ('invoice') has no
+ * webhook - an admin settles it when the bank transfer arrives.
+ */
+class CheckoutProviderRouter {
+  constructor() {
+    // Map of provider names to their checkout implementations
+    this.providerMap = {
+      'payplus': PayplusCheckoutProvider,
+      'paypal': PaypalCheckoutProvider,
+      'invoice': InvoiceCheckoutProvider
+    };
+
+    this.defaultProvider = 'payplus';
+  }
+
+  // Get the checkout implementation for a provider
+  getProvider(providerName) {
+    const provider = this.providerMap[providerName];
+    if (!provider) {
+      throw new BadRequestError(`Unsupported checkout provider: ${providerName}`);
+    }
+    return provider;
+  }
+
+  // Providers with credentials configured in this environment
+  getAvailableProviders() {
+    return Object.keys(this.providerMap).filter(name => this.providerMap[name].isConfigured());
+  }
+
+  // Get a provider that is ready to take payments
+  getConfiguredProvider(providerName) {
+    const provider = this.getProvider(providerName);
+    if (!provider.isConfigured()) {
+      throw new BadRequestError(`Checkout provider ${providerName} is not available`);
+    }
+    return provider;
+  }
+
+  // Make sure the provider can bill this subscription plan (and buyer) before a pending subscription is created
+  assertSubscriptionCheckoutSupported(providerName, subscriptionPlan, user = null) {
+    const provider = this.getConfiguredProvider(providerName);
+    if (!provider.supportsSubscriptionPlan(subscriptionPlan)) {
+      throw new BadRequestError(`Subscription plan ${subscriptionPlan.id} cannot be purchased with ${providerName}`);
+    }
+    if (user && provider.assertEligible) {
+      provider.assertEligible(user);
+    }
+    return provider;
+  }
+
+  // Route cart checkout to the provider
+  async createPurchaseCheckout(providerName, options = {}) {
+    const provider = this.getConfiguredProvider(providerName);
+    if (provider.assertEligible) {
+      provider.assertEligible(options.user);
+    }
+
+    ludlog.payment('Routing purchase checkout to provider', {
+      provider: providerName,
+      userId: options.user?.id,
+      itemCount: options.purchaseItems?.length || 0
+    });
+
+    return provider.createPurchaseCheckout(options);
+  }
+
+  // Route subscription checkout to the provider
+  async createSubscriptionCheckout(providerName, options = {}) {
+    const provider = this.getConfiguredProvider(providerName);
+
+    ludlog.payment('Routing subscription checkout to provider', {
+      provider: providerName,
+      subscriptionId: options.subscription?.id,
+      subscriptionPlanId: options.subscriptionPlan?.id
+    });
+
+    return provider.createSubscriptionCheckout(options);
+  }
+}
+
+export default new CheckoutProviderRouter();
\ No newline at end of file
@@ -437,9 +437,9 @@ class CouponValidationService {
    * Increment user usage count for a coupon
    * This should be called when a coupon is successfully applied
    */
-  async incrementUserUsage(couponId, userId) {
+  async incrementUserUsage(couponId, userId, transaction = null) {
     try {
-      const coupon = await this.models.Coupon.findByPk(couponId);
+      const coupon = await this.models.Coupon.findByPk(couponId, { transaction });
       if (!coupon || !userId) {
         return false;
       }
@@ -458,7 +458,7 @@ class CouponValidationService {
       await coupon.update({
         user_usage_tracking: updatedTracking,
         usage_count: (coupon.usage_count || 0) + 1
-      });
+      }, { transaction });
 
       return true;
     } catch (error) {
@@ -467,6 +467,39 @@ class CouponValidationService {
     }
   }
 
+  /**
+   * Reverse one use of a coupon for a user (refunds)
+   */
+  async decrementUserUsage(couponId, userId, transaction = null) {
+    try {
+      const coupon = await this.models.Coupon.findByPk(couponId, { transaction });
+      if (!coupon) {
+        return false;
+      }
+
+      const currentTracking = coupon.user_usage_tracking || {};
+      const updatedTracking = { ...currentTracking };
+
+      if (userId && currentTracking[userId]) {
+        if (currentTracking[userId] > 1) {
+          updatedTracking[userId] = currentTracking[userId] - 1;
+        } else {
+          delete updatedTracking[userId];
+        }
+      }
+
+      await coupon.update({
+        user_usage_tracking: updatedTracking,
+        usage_count: Math.max(0, (coupon.usage_count || 0) - 1)
+      }, { transaction });
+
+      return true;
+    } catch (error) {
+      luderror.payment('Error decrementing user usage count:', error);
+      throw error;
+    }
+  }
+
   /**
    * Check if user can use coupon based on per-user limits
    */
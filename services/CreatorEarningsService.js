@@ -0,0 +1,743 @@
+import models from '../models/index.js';
+import { Op } from 'sequelize';
+import { generateId } from '../models/baseModel.js';
+import { ludlog, luderror } from '../lib/ludlog.js';
+import { BadRequestError, NotFoundError } from '../middleware/errorHandler.js';
+import { CONTENT_CREATOR_KEYS } from '../constants/settingsKeys.js';
+import { buildCsv } from '../utils/csv.js';
+import SettingsService from './SettingsService.js';
+
+// Used until the creator_revenue_share_percent setting is configured
+const DEFAULT_CREATOR_SHARE_PERCENT = 70;
+
+const PAYOUT_CSV_COLUMNS = [
+  'batch_id',
+  'creator_user_id',
+  'creator_name',
+  'creator_email',
+  'through_period',
+  'entries_count',
+  'earnings_amount',
+  'clawbacks_amount',
+  'payout_amount',
+  'currency'
+];
+
+function roundAmount(amount) {
+  return Math.round(parseFloat(amount || 0) * 100) / 100;
+}
+
+function toPeriod(date) {
+  const value = new Date(date);
+  return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * CreatorEarningsService - Revenue share ledger for content creators
+ *
+ * Every completed purchase of a creator's product, and a pro-rated share of the
+ * subscription revenue of the month a subscriber used a claimed product, becomes an
+ * 'earning' entry split between the creator and the platform by the configured share.
+ * Refunds add negative 'clawback' entries in the month they happen, so already paid
+ * earnings are recovered from the next payout.
+ *
+ * Entries stay 'pending' until an admin payout batch marks them 'paid'.
+ * Accrual is idempotent (unique entry_type + source_type + source_id) and safe to re-run.
+ */
+class CreatorEarningsService {
+  /**
+   * Current creator revenue share percentage (0-100)
+   * @returns {Promise<number>} Creator share percent
+   */
+  static async getRevenueSharePercent() {
+    try {
+      const settings = await SettingsService.getSettings();
+      const value = settings[CONTENT_CREATOR_KEYS.CREATOR_REVENUE_SHARE_PERCENT];
+
+      if (value === null || value === undefined || Number.isNaN(Number(value))) {
+        return DEFAULT_CREATOR_SHARE_PERCENT;
+      }
+
+      return Math.min(100, Math.max(0, Number(value)));
+    } catch (error) {
+      luderror.payment('CreatorEarningsService: Failed to read revenue share setting, using default:', error);
+      return DEFAULT_CREATOR_SHARE_PERCENT;
+    }
+  }
+
+  /**
+   * Split an amount between creator and platform
+   * The creator amount is rounded down to the agora, the platform keeps the remainder.
+   * @param {number} grossAmount - Amount to split (negative for clawbacks)
+   * @param {number} sharePercent - Creator share percent
+   * @returns {Object} { creatorAmount, platformAmount }
+   */
+  static calculateSplit(grossAmount, sharePercent) {
+    const gross = roundAmount(grossAmount);
+    const sign = gross < 0 ? -1 : 1;
+    const grossAgorot = Math.round(Math.abs(gross) * 100);
+    const creatorAmount = sign * Math.floor(grossAgorot * sharePercent / 100) / 100;
+
+    return {
+      creatorAmount: roundAmount(creatorAmount),
+      platformAmount: roundAmount(gross - creatorAmount)
+    };
+  }
+
+  /**
+   * Validate a YYYY-MM period
+   * @param {string} period - Period string
+   * @returns {boolean}
+   */
+  static isValidPeriod(period) {
+    return typeof period === 'string' && /^\d{4}-(0[1-9]|1[0-2])$/.test(period);
+  }
+
+  /**
+   * Previous (last closed) month in YYYY-MM format
+   * @returns {string}
+   */
+  static getPreviousPeriod() {
+    const now = new Date();
+    return toPeriod(new Date(now.getFullYear(), now.getMonth() - 1, 1));
+  }
+
+  /**
+   * Resolve the Product behind a purchasable/claimed entity
+   * Purchases reference the entity id; bundle purchases reference the product id itself.
+   * @param {string} productType - Product type
+   * @param {string} entityId - Entity or product id
+   * @param {Object} [transaction] - Sequelize transaction
+   * @returns {Promise<Object|null>} Product
+   */
+  static async findProduct(productType, entityId, transaction = null) {
+    const product = await models.Product.findOne({
+      where: { product_type: productType, entity_id: entityId },
+      transaction
+    });
+
+    return product || models.Product.findByPk(entityId, { transaction });
+  }
+
+  /**
+   * Record the creator's share of a completed purchase
+   * Returns the existing entry when the purchase was already accrued.
+   * @param {Object} purchase - Purchase
+   * @param {Object} [options]
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<Object|null>} Earning entry, or null when nothing is owed
+   */
+  static async recordPurchaseEarning(purchase, options = {}) {
+    const { transaction = null } = options;
+
+    const existing = await models.CreatorEarning.findOne({
+      where: { entry_type: 'earning', source_type: 'purchase', source_id: purchase.id },
+      transaction
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    const grossAmount = roundAmount(purchase.payment_amount);
+
+    // Bundle items are paid through the bundle purchase; free purchases earn nothing
+    if (purchase.bundle_purchase_id || grossAmount <= 0) {
+      return null;
+    }
+
+    const product = await this.findProduct(purchase.purchasable_type, purchase.purchasable_id, transaction);
+
+    // Ludora-owned products and creators buying their own products
+    if (!product?.creator_user_id || product.creator_user_id === purchase.buyer_user_id) {
+      return null;
+    }
+
+    const sharePercent = await this.getRevenueSharePercent();
+    const { creatorAmount, platformAmount } = this.calculateSplit(grossAmount, sharePercent);
+
+    const earning = await models.CreatorEarning.create({
+      id: generateId(),
+      creator_user_id: product.creator_user_id,
+      entry_type: 'earning',
+      source_type: 'purchase',
+      source_id: purchase.id,
+      purchase_id: purchase.id,
+      product_id: product.id,
+      product_type: product.product_type,
+      period: toPeriod(purchase.created_at || new Date()),
+      gross_amount: grossAmount,
+      share_percent: sharePercent,
+      creator_amount: creatorAmount,
+      platform_amount: platformAmount,
+      metadata: {
+        buyer_user_id: purchase.buyer_user_id,
+        transaction_id: purchase.transaction_id,
+        product_title: product.title
+      },
+      created_at: new Date(),
+      updated_at: new Date()
+    }, { transaction });
+
+    ludlog.payment('Creator earning recorded for purchase:', {
+      purchaseId: purchase.id,
+      creatorId: product.creator_user_id,
+      grossAmount,
+      creatorAmount
+    });
+
+    return earning;
+  }
+
+  /**
+   * Claw back the creator's share of a refunded amount
+   * Accrues the original earning first so a refund before accrual still nets to zero.
+   * @param {Object} purchase - Refunded purchase
+   * @param {number} refundAmount - Refunded amount (positive)
+   * @param {Object} options
+   * @param {string} options.sourceId - Dedupe key (refund transaction id)
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<Object|null>} Clawback entry, or null when nothing was owed
+   */
+  static async recordRefundClawback(purchase, refundAmount, options = {}) {
+    const { sourceId, transaction = null } = options;
+
+    const earning = await this.recordPurchaseEarning(purchase, { transaction });
+    if (!earning) {
+      return null;
+    }
+
+    const existing = await models.CreatorEarning.findOne({
+      where: { entry_type: 'clawback', source_type: 'purchase', source_id: sourceId },
+      transaction
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    // Never claw back more than what is left of the original earning
+    const previousClawbacks = await models.CreatorEarning.sum('creator_amount', {
+      where: { entry_type: 'clawback', purchase_id: purchase.id },
+      transaction
+    });
+    const remainingCreatorAmount = roundAmount(parseFloat(earning.creator_amount) + (previousClawbacks || 0));
+
+    if (remainingCreatorAmount <= 0) {
+      return null;
+    }
+
+    const sharePercent = parseFloat(earning.share_percent);
+    const gross = -Math.min(roundAmount(refundAmount), roundAmount(earning.gross_amount));
+    const split = this.calculateSplit(gross, sharePercent);
+    const creatorAmount = Math.max(split.creatorAmount, -remainingCreatorAmount);
+
+    const clawback = await models.CreatorEarning.create({
+      id: generateId(),
+      creator_user_id: earning.creator_user_id,
+      entry_type: 'clawback',
+      source_type: 'purchase',
+      source_id: sourceId,
+      purchase_id: purchase.id,
+      product_id: earning.product_id,
+      product_type: earning.product_type,
+      period: toPeriod(new Date()),
+      gross_amount: gross,
+      share_percent: sharePercent,
+      creator_amount: creatorAmount,
+      platform_amount: roundAmount(gross - creatorAmount),
+      metadata: {
+        earning_id: earning.id,
+        earning_status: earning.status,
+        refund_amount: roundAmount(refundAmount)
+      },
+      created_at: new Date(),
+      updated_at: new Date()
+    }, { transaction });
+
+    ludlog.payment('Creator clawback recorded for refund:', {
+      purchaseId: purchase.id,
+      creatorId: earning.creator_user_id,
+      refundAmount,
+      creatorAmount
+    });
+
+    return clawback;
+  }
+
+  /**
+   * Monthly subscription revenue of a subscription
+   * @param {Object} subscription - Subscription
+   * @param {string} period - YYYY-MM
+   * @returns {number} Revenue attributable to the month
+   */
+  static getMonthlySubscriptionRevenue(subscription, period) {
+    const price = roundAmount(subscription.billing_price);
+
+    switch (subscription.billing_period) {
+      case 'yearly':
+        return roundAmount(price / 12);
+      case 'daily': {
+        // Testing-only billing period (staging/development)
+        const [year, month] = period.split('-').map(Number);
+        return roundAmount(price * new Date(year, month, 0).getDate());
+      }
+      default:
+        return price;
+    }
+  }
+
+  /**
+   * Accrue creator earnings from a closed month of subscription usage
+   *
+   * Each subscription's revenue for the month is split across the claimed products the
+   * subscriber actually used that month (usage_tracking.monthly_usage, written by
+   * SubscriptionAllowanceService.recordUsage), weighted by minutes - or sessions when no
+   * minutes were reported. Ludora-owned products keep their weight, so their part stays
+   * with the platform.
+   *
+   * @param {string} [period] - Closed month (YYYY-MM), defaults to the previous month
+   * @returns {Promise<Object>} { period, subscriptions, entriesCreated, creatorAmount }
+   */
+  static async accrueSubscriptionEarnings(period = this.getPreviousPeriod()) {
+    if (!this.isValidPeriod(period)) {
+      throw new BadRequestError('Period must be in YYYY-MM format');
+    }
+
+    if (period >= toPeriod(new Date())) {
+      throw new BadRequestError('Subscription earnings can only be accrued for closed months');
+    }
+
+    const claims = await models.SubscriptionPurchase.findAll({
+      where: {
+        status: { [Op.ne]: 'cancelled' },
+        [Op.and]: [
+          models.sequelize.where(
+            models.sequelize.literal(`usage_tracking->'monthly_usage'->'${period}'`),
+            Op.ne,
+            null
+          )
+        ]
+      }
+    });
+
+    const claimsBySubscription = new Map();
+    for (const claim of claims) {
+      const list = claimsBySubscription.get(claim.subscription_id) || [];
+      list.push(claim);
+      claimsBySubscription.set(claim.subscription_id, list);
+    }
+
+    const sharePercent = await this.getRevenueSharePercent();
+    let entriesCreated = 0;
+    let totalCreatorAmount = 0;
+
+    for (const [subscriptionId, subscriptionClaims] of claimsBySubscription) {
+      const subscription = await models.Subscription.findByPk(subscriptionId);
+      const revenue = subscription ? this.getMonthlySubscriptionRevenue(subscription, period) : 0;
+
+      if (revenue <= 0) {
+        continue;
+      }
+
+      const usage = subscriptionClaims.map(claim => claim.usage_tracking.monthly_usage[period]);
+      const totalMinutes = usage.reduce((total, month) => total + (month.minutes || 0), 0);
+      const weights = usage.map(month => (totalMinutes > 0 ? (month.minutes || 0) : (month.sessions || 0)));
+      const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+
+      if (totalWeight <= 0) {
+        continue;
+      }
+
+      for (const [index, claim] of subscriptionClaims.entries()) {
+        const sourceId = `${claim.id}:${period}`;
+        const grossAmount = roundAmount(revenue * weights[index] / totalWeight);
+
+        if (grossAmount <= 0) {
+          continue;
+        }
+
+        const existing = await models.CreatorEarning.findOne({
+          where: { entry_type: 'earning', source_type: 'subscription_claim', source_id: sourceId }
+        });
+
+        if (existing) {
+          continue;
+        }
+
+        const product = await this.findProduct(claim.product_type, claim.product_id);
+        if (!product?.creator_user_id || product.creator_user_id === claim.user_id) {
+          continue;
+        }
+
+        const { creatorAmount, platformAmount } = this.calculateSplit(grossAmount, sharePercent);
+
+        await models.CreatorEarning.create({
+          id: generateId(),
+          creator_user_id: product.creator_user_id,
+          entry_type: 'earning',
+          source_type: 'subscription_claim',
+          source_id: sourceId,
+          subscription_purchase_id: claim.id,
+          product_id: product.id,
+          product_type: product.product_type,
+          period,
+          gross_amount: grossAmount,
+          share_percent: sharePercent,
+          creator_amount: creatorAmount,
+          platform_amount: platformAmount,
+          metadata: {
+            subscription_id: subscriptionId,
+            subscriber_user_id: claim.user_id,
+            subscription_revenue: revenue,
+            usage_weight: weights[index],
+            total_usage_weight: totalWeight,
+            weight_basis: totalMinutes > 0 ? 'minutes' : 'sessions',
+            product_title: product.title
+          },
+          created_at: new Date(),
+          updated_at: new Date()
+        });
+
+        entriesCreated++;
+        totalCreatorAmount += creatorAmount;
+      }
+    }
+
+    ludlog.payment('Subscription creator earnings accrued:', {
+      period,
+      subscriptions: claimsBySubscription.size,
+      entriesCreated,
+      creatorAmount: roundAmount(totalCreatorAmount)
+    });
+
+    return {
+      period,
+      subscriptions: claimsBySubscription.size,
+      entriesCreated,
+      creatorAmount: roundAmount(totalCreatorAmount)
+    };
+  }
+
+  /**
+   * Accrue earnings for completed purchases and claw back purchases refunded outside
+   * RefundService (e.g. bundle refunds through BundlePurchaseService)
+   * @param {Object} [options]
+   * @param {number} [options.daysBack] - How far back to look for purchases
+   * @param {number} [options.batchSize] - Maximum purchases per run
+   * @returns {Promise<Object>} { earningsCreated, clawbacksCreated }
+   */
+  static async accruePurchaseEarnings(options = {}) {
+    const { daysBack = 7, batchSize = 500 } = options;
+    const since = new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000);
+
+    const purchases = await models.Purchase.findAll({
+      where: {
+        payment_status: { [Op.in]: ['completed', 'refunded'] },
+        payment_amount: { [Op.gt]: 0 },
+        bundle_purchase_id: null,
+        updated_at: { [Op.gte]: since }
+      },
+      order: [['updated_at', 'ASC']],
+      limit: batchSize
+    });
+
+    let earningsCreated = 0;
+    let clawbacksCreated = 0;
+
+    for (const purchase of purchases) {
+      try {
+        if (purchase.payment_status === 'completed') {
+          const existing = await models.CreatorEarning.count({
+            where: { entry_type: 'earning', source_type: 'purchase', source_id: purchase.id }
+          });
+
+          if (!existing && await this.recordPurchaseEarning(purchase)) {
+            earningsCreated++;
+          }
+          continue;
+        }
+
+        // Refunded - claw back whatever RefundService did not already reverse
+        const alreadyRefunded = roundAmount(purchase.metadata?.refunded_amount);
+        const outstanding = roundAmount(purchase.payment_amount) - alreadyRefunded;
+        if (outstanding > 0) {
+          const clawback = await this.recordRefundClawback(purchase, outstanding, {
+            sourceId: `${purchase.id}:refund_reconciliation`
+          });
+          if (clawback) {
+            clawbacksCreated++;
+          }
+        }
+      } catch (error) {
+        luderror.payment('CreatorEarningsService: Failed to accrue purchase earning:', {
+          purchaseId: purchase.id,
+          error: error.message
+        });
+      }
+    }
+
+    ludlog.payment('Purchase creator earnings accrued:', {
+      scanned: purchases.length,
+      earningsCreated,
+      clawbacksCreated
+    });
+
+    return { scanned: purchases.length, earningsCreated, clawbacksCreated };
+  }
+
+  /**
+   * Monthly statement for a creator
+   * @param {string} creatorId - Creator user ID
+   * @param {string} period - YYYY-MM
+   * @returns {Promise<Object>} Statement with entries, totals and balances
+   */
+  static async getMonthlyStatement(creatorId, period) {
+    if (!this.isValidPeriod(period)) {
+      throw new BadRequestError('Period must be in YYYY-MM format');
+    }
+
+    const creator = await models.User.findByPk(creatorId, {
+      attributes: ['id', 'email', 'full_name', 'content_creator_agreement_sign_date']
+    });
+
+    if (!creator) {
+      throw new NotFoundError('Creator not found');
+    }
+
+    const entries = await models.CreatorEarning.findAll({
+      where: { creator_user_id: creatorId, period },
+      order: [['created_at', 'ASC']]
+    });
+
+    const sumEntries = (list, field) => roundAmount(list.reduce((total, entry) => total + parseFloat(entry[field]), 0));
+    const earnings = entries.filter(entry => entry.entry_type === 'earning');
+    const clawbacks = entries.filter(entry => entry.entry_type === 'clawback');
+
+    const pendingBalance = await models.CreatorEarning.sum('creator_amount', {
+      where: { creator_user_id: creatorId, status: 'pending', period: { [Op.lte]: period } }
+    });
+
+    return {
+      creator: {
+        id: creator.id,
+        email: creator.email,
+        full_name: creator.full_name,
+        agreement_signed_at: creator.content_creator_agreement_sign_date
+      },
+      period,
+      totals: {
+        purchase_earnings: sumEntries(earnings.filter(entry => entry.source_type === 'purchase'), 'creator_amount'),
+        subscription_earnings: sumEntries(earnings.filter(entry => entry.source_type === 'subscription_claim'), 'creator_amount'),
+        clawbacks: sumEntries(clawbacks, 'creator_amount'),
+        net: sumEntries(entries, 'creator_amount'),
+        gross_revenue: sumEntries(entries, 'gross_amount')
+      },
+      pending_balance: roundAmount(pendingBalance),
+      entries: entries.map(entry => ({
+        id: entry.id,
+        entry_type: entry.entry_type,
+        source_type: entry.source_type,
+        product_id: entry.product_id,
+        product_type: entry.product_type,
+        product_title: entry.metadata?.product_title || null,
+        gross_amount: parseFloat(entry.gross_amount),
+        share_percent: parseFloat(entry.share_percent),
+        creator_amount: parseFloat(entry.creator_amount),
+        status: entry.status,
+        payout_batch_id: entry.payout_batch_id,
+        created_at: entry.created_at
+      }))
+    };
+  }
+
+  /**
+   * Periods in which a creator has ledger entries, most recent first
+   * @param {string} creatorId - Creator user ID
+   * @returns {Promise<Array<string>>} YYYY-MM periods
+   */
+  static async getStatementPeriods(creatorId) {
+    const rows = await models.CreatorEarning.findAll({
+      where: { creator_user_id: creatorId },
+      attributes: [[models.sequelize.fn('DISTINCT', models.sequelize.col('period')), 'period']],
+      order: [['period', 'DESC']],
+      raw: true
+    });
+
+    return rows.map(row => row.period);
+  }
+
+  /**
+   * Create a payout batch: settle all pending entries up to a closed month
+   *
+   * Creators are paid their net pending balance. Creators with a zero or negative
+   * balance (clawbacks larger than earnings) or without a signed creator agreement
+   * are skipped - their entries stay pending and carry over to the next batch.
+   *
+   * @param {Object} options
+   * @param {string} [options.throughPeriod] - Last period to include, defaults to the previous month
+   * @param {string} options.adminUserId - Admin creating the batch
+   * @returns {Promise<Object>} { batchId, throughPeriod, payouts, skipped, csv }
+   */
+  static async createPayoutBatch(options = {}) {
+    const { throughPeriod = this.getPreviousPeriod(), adminUserId } = options;
+
+    if (!this.isValidPeriod(throughPeriod)) {
+      throw new BadRequestError('throughPeriod must be in YYYY-MM format');
+    }
+
+    if (throughPeriod >= toPeriod(new Date())) {
+      throw new BadRequestError('Payout batches can only include closed months');
+    }
+
+    const batchId = `payout_${throughPeriod.replace('-', '')}_${generateId()}`;
+    const dbTransaction = await models.sequelize.transaction();
+
+    try {
+      const pendingEntries = await models.CreatorEarning.findAll({
+        where: { status: 'pending', period: { [Op.lte]: throughPeriod } },
+        lock: dbTransaction.LOCK.UPDATE,
+        transaction: dbTransaction
+      });
+
+      const entriesByCreator = new Map();
+      for (const entry of pendingEntries) {
+        const list = entriesByCreator.get(entry.creator_user_id) || [];
+        list.push(entry);
+        entriesByCreator.set(entry.creator_user_id, list);
+      }
+
+      const creators = await models.User.findAll({
+        where: { id: [...entriesByCreator.keys()] },
+        attributes: ['id', 'email', 'full_name', 'content_creator_agreement_sign_date'],
+        transaction: dbTransaction
+      });
+      const creatorsById = new Map(creators.map(creator => [creator.id, creator]));
+
+      const payouts = [];
+      const skipped = [];
+      const paidAt = new Date();
+
+      for (const [creatorId, entries] of entriesByCreator) {
+        const creator = creatorsById.get(creatorId);
+        const payoutAmount = roundAmount(entries.reduce((total, entry) => total + parseFloat(entry.creator_amount), 0));
+
+        if (payoutAmount <= 0) {
+          skipped.push({ creator_user_id: creatorId, reason: 'non_positive_balance', balance: payoutAmount });
+          continue;
+        }
+
+        if (!creator?.content_creator_agreement_sign_date) {
+          skipped.push({ creator_user_id: creatorId, reason: 'agreement_not_signed', balance: payoutAmount });
+          continue;
+        }
+
+        await models.CreatorEarning.update({
+          status: 'paid',
+          payout_batch_id: batchId,
+          paid_at: paidAt,
+          updated_at: paidAt
+        }, {
+          where: { id: entries.map(entry => entry.id) },
+          transaction: dbTransaction
+        });
+
+        payouts.push(this.buildPayoutRow(batchId, throughPeriod, creator, entries));
+      }
+
+      await dbTransaction.commit();
+
+      ludlog.payment('Creator payout batch created:', {
+        batchId,
+        throughPeriod,
+        creators: payouts.length,
+        skipped: skipped.length,
+        total: roundAmount(payouts.reduce((total, payout) => total + payout.payout_amount, 0)),
+        adminUserId
+      });
+
+      return {
+        batchId,
+        throughPeriod,
+        payouts,
+        skipped,
+        csv: this.buildPayoutCsv(payouts)
+      };
+
+    } catch (error) {
+      await dbTransaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Rebuild a payout batch (for re-downloading its CSV)
+   * @param {string} batchId - Payout batch ID
+   * @returns {Promise<Object>} { batchId, payouts, csv }
+   */
+  static async getPayoutBatch(batchId) {
+    const entries = await models.CreatorEarning.findAll({
+      where: { payout_batch_id: batchId },
+      include: [{
+        model: models.User,
+        as: 'creator',
+        attributes: ['id', 'email', 'full_name']
+      }],
+      order: [['creator_user_id', 'ASC']]
+    });
+
+    if (entries.length === 0) {
+      throw new NotFoundError('Payout batch not found');
+    }
+
+    const throughPeriod = entries.reduce((latest, entry) => (entry.period > latest ? entry.period : latest), entries[0].period);
+    const entriesByCreator = new Map();
+    for (const entry of entries) {
+      const list = entriesByCreator.get(entry.creator_user_id) || [];
+      list.push(entry);
+      entriesByCreator.set(entry.creator_user_id, list);
+    }
+
+    const payouts = [...entriesByCreator.values()].map(creatorEntries =>
+      this.buildPayoutRow(batchId, throughPeriod, creatorEntries[0].creator, creatorEntries)
+    );
+
+    return { batchId, throughPeriod, payouts, csv: this.buildPayoutCsv(payouts) };
+  }
+
+  /**
+   * Build the payout row of one creator
+   * @param {string} batchId - Payout batch ID
+   * @param {string} throughPeriod - Last period included
+   * @param {Object} creator - Creator user
+   * @param {Array} entries - Creator's entries in the batch
+   * @returns {Object} Payout row
+   */
+  static buildPayoutRow(batchId, throughPeriod, creator, entries) {
+    const sum = list => roundAmount(list.reduce((total, entry) => total + parseFloat(entry.creator_amount), 0));
+
+    return {
+      batch_id: batchId,
+      creator_user_id: entries[0].creator_user_id,
+      creator_name: creator?.full_name || '',
+      creator_email: creator?.email || '',
+      through_period: throughPeriod,
+      entries_count: entries.length,
+      earnings_amount: sum(entries.filter(entry => entry.entry_type === 'earning')),
+      clawbacks_amount: sum(entries.filter(entry => entry.entry_type === 'clawback')),
+      payout_amount: sum(entries),
+      currency: entries[0].currency || 'ILS'
+    };
+  }
+
+  /**
+   * Render payout rows as CSV (UTF-8 BOM so Excel shows Hebrew names correctly)
+   * @param {Array} payouts - Payout rows
+   * @returns {string} CSV content
+   */
+  static buildPayoutCsv(payouts) {
+    return buildCsv(PAYOUT_CSV_COLUMNS, payouts);
+  }
+}
+
+export default CreatorEarningsService;
\ No newline at end of file
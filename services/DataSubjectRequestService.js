@@ -0,0 +1,541 @@
+import { Op } from 'sequelize';
+import models from '../models/index.js';
+import { generateId } from '../models/baseModel.js';
+import { ludlog, luderror } from '../lib/ludlog.js';
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ServiceUnavailableError
+} from '../middleware/errorHandler.js';
+import {
+  DSR_REQUEST_TYPE,
+  DSR_STATUS,
+  OPEN_DSR_STATUSES,
+  DSR_REQUESTER_ROLE,
+  DSR_AUDIT_ACTION,
+  DSR_EXPORT_RETENTION_DAYS
+} from '../constants/dataSubjectRequests.js';
+import { constructS3Path } from '../utils/s3PathUtils.js';
+import { escapeHtml } from '../utils/emailContent.js';
+import PersonalDataService from './PersonalDataService.js';
+import fileService from './FileService.js';
+import EmailService from './EmailService.js';
+
+const REQUEST_TYPE_TITLES = {
+  [DSR_REQUEST_TYPE.EXPORT]: 'ייצוא מידע',
+  [DSR_REQUEST_TYPE.ERASURE]: 'מחיקת מידע'
+};
+
+/**
+ * DataSubjectRequestService - Privacy-law export and erasure requests
+ *
+ * An admin (for any user or player) or a parent (for a consented child) requests an export
+ * or erasure of a subject's personal data. Each request is a DataSubjectRequest processed
+ * by a DATA_SUBJECT_REQUEST job (inline when jobs are unavailable) through
+ * PersonalDataService. Every state change is appended to the request's audit_trail.
+ *
+ * A legal hold on any request of a subject blocks erasure of that subject: the erasure is
+ * parked as on_hold and queued again when the last hold is released. Exports are not
+ * affected by holds.
+ *
+ * Export archives are stored privately for DSR_EXPORT_RETENTION_DAYS, downloadable by the
+ * requester (and admins), then deleted by the DSR_EXPORT_CLEANUP job.
+ */
+class DataSubjectRequestService {
+  /**
+   * Create a request and queue it for processing
+   * @param {Object} data - { request_type, subject_type, subject_id, reason }
+   * @param {Object} requester - { id, role } where role is a DSR_REQUESTER_ROLE value
+   * @returns {Promise<Object>} DataSubjectRequest
+   * @throws {ConflictError} When the subject already has an open request of the same type
+   */
+  static async createRequest(data, requester) {
+    await PersonalDataService.findSubject(data.subject_type, data.subject_id);
+
+    const open = await models.DataSubjectRequest.findOne({
+      where: {
+        subject_type: data.subject_type,
+        subject_id: data.subject_id,
+        request_type: data.request_type,
+        status: [...OPEN_DSR_STATUSES, DSR_STATUS.PROCESSING]
+      }
+    });
+
+    if (open) {
+      throw new ConflictError('An open request of this type already exists for this subject', { requestId: open.id });
+    }
+
+    const now = new Date();
+    const request = await models.DataSubjectRequest.create({
+      id: generateId(),
+      request_type: data.request_type,
+      subject_type: data.subject_type,
+      subject_id: data.subject_id,
+      requested_by: requester.id,
+      requester_role: requester.role,
+      reason: data.reason || null,
+      status: DSR_STATUS.PENDING,
+      audit_trail: [this.auditEntry(DSR_AUDIT_ACTION.REQUESTED, requester.id, { requester_role: requester.role })],
+      created_at: now,
+      updated_at: now
+    });
+
+    ludlog.auth('Data subject request created:', {
+      requestId: request.id,
+      requestType: request.request_type,
+      subjectType: request.subject_type,
+      subjectId: request.subject_id,
+      requestedBy: requester.id
+    });
+
+    await this.queueRequest(request);
+    return request;
+  }
+
+  /**
+   * Queue a DATA_SUBJECT_REQUEST job, or process inline when jobs are unavailable
+   * @param {Object} request - DataSubjectRequest
+   * @returns {Promise<Object>} The request (reloaded after inline processing)
+   */
+  static async queueRequest(request) {
+    try {
+      const jobScheduler = (await import('./JobScheduler.js')).default;
+      const job = await jobScheduler.scheduleJob('DATA_SUBJECT_REQUEST', {
+        requestId: request.id
+      }, {
+        // One job per queueing - a retried request gets a new job
+        jobOptions: { jobId: `dsr_${request.id}_${request.audit_trail.length}` }
+      });
+
+      if (job) {
+        await request.update({
+          job_id: String(job.id),
+          audit_trail: this.appendAudit(request, DSR_AUDIT_ACTION.QUEUED, null, { job_id: String(job.id) }),
+          updated_at: new Date()
+        });
+        return request;
+      }
+    } catch (error) {
+      luderror.api('Failed to schedule data subject request, processing inline:', {
+        requestId: request.id,
+        error: error.message
+      });
+    }
+
+    try {
+      await this.processRequest(request.id);
+    } catch {
+      // Recorded on the request as failed - an admin can retry it
+    }
+
+    return request.reload();
+  }
+
+  /**
+   * Run an export or erasure (used by the DATA_SUBJECT_REQUEST job and its retries)
+   * Requests that are no longer open are skipped.
+   * @param {string} requestId - DataSubjectRequest ID
+   * @returns {Promise<Object>} { requestId, status }
+   */
+  static async processRequest(requestId) {
+    const request = await models.DataSubjectRequest.findByPk(requestId);
+
+    if (!request) {
+      throw new NotFoundError('Data subject request');
+    }
+
+    if (!OPEN_DSR_STATUSES.includes(request.status)) {
+      return { requestId, status: request.status, skipped: true };
+    }
+
+    if (request.request_type === DSR_REQUEST_TYPE.ERASURE && await this.isSubjectOnLegalHold(request)) {
+      await request.update({
+        status: DSR_STATUS.ON_HOLD,
+        audit_trail: this.appendAudit(request, DSR_AUDIT_ACTION.BLOCKED_BY_LEGAL_HOLD, null),
+        updated_at: new Date()
+      });
+
+      ludlog.auth('Data subject erasure blocked by legal hold:', { requestId, subjectId: request.subject_id });
+      return { requestId, status: request.status };
+    }
+
+    await request.update({
+      status: DSR_STATUS.PROCESSING,
+      started_at: new Date(),
+      error_message: null,
+      audit_trail: this.appendAudit(request, DSR_AUDIT_ACTION.STARTED, null),
+      updated_at: new Date()
+    });
+
+    try {
+      if (request.request_type === DSR_REQUEST_TYPE.EXPORT) {
+        await this.runExport(request);
+      } else {
+        const result = await PersonalDataService.eraseSubject(request.subject_type, request.subject_id);
+        await request.update({ result, updated_at: new Date() });
+      }
+
+      await request.update({
+        status: DSR_STATUS.COMPLETED,
+        completed_at: new Date(),
+        audit_trail: this.appendAudit(request, DSR_AUDIT_ACTION.COMPLETED, null),
+        updated_at: new Date()
+      });
+    } catch (error) {
+      luderror.api('Data subject request failed:', {
+        requestId,
+        requestType: request.request_type,
+        error: error.message
+      });
+
+      await request.update({
+        status: DSR_STATUS.FAILED,
+        error_message: error.message,
+        audit_trail: this.appendAudit(request, DSR_AUDIT_ACTION.FAILED, null, { error: error.message }),
+        updated_at: new Date()
+      });
+      throw error;
+    }
+
+    await this.notifyRequester(request);
+
+    return { requestId, status: request.status };
+  }
+
+  static async runExport(request) {
+    if (!fileService.useS3) {
+      throw new ServiceUnavailableError('File storage is not configured');
+    }
+
+    const { buffer, summary } = await PersonalDataService.buildExportArchive(request.subject_type, request.subject_id);
+    const s3Key = constructS3Path('dsr', request.id, 'document', 'export.zip');
+
+    const upload = await fileService.uploadToS3WithTransaction({
+      buffer,
+      key: s3Key,
+      contentType: 'application/zip',
+      metadata: {
+        requestId: request.id,
+        subjectType: request.subject_type
+      }
+    });
+
+    if (!upload.success) {
+      throw new Error(`Export upload failed: ${upload.error}`);
+    }
+
+    await request.update({
+      export_s3_key: s3Key,
+      export_expires_at: new Date(Date.now() + DSR_EXPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+      result: { sections: summary.sections, files: summary.files, size: buffer.length },
+      updated_at: new Date()
+    });
+  }
+
+  /**
+   * Place a legal hold - blocks erasure of the request's subject until released
+   * @param {string} requestId - DataSubjectRequest ID
+   * @param {Object} admin - Acting admin user
+   * @param {string} reason - Why the data must be kept
+   * @returns {Promise<Object>} DataSubjectRequest
+   */
+  static async setLegalHold(requestId, admin, reason) {
+    const request = await this.getRequest(requestId);
+
+    if ([DSR_STATUS.COMPLETED, DSR_STATUS.CANCELLED].includes(request.status)) {
+      throw new BadRequestError(`Cannot place a legal hold on a ${request.status} request`);
+    }
+
+    const holdsErasure = request.request_type === DSR_REQUEST_TYPE.ERASURE &&
+      [DSR_STATUS.PENDING, DSR_STATUS.FAILED].includes(request.status);
+
+    await request.update({
+      legal_hold: true,
+      legal_hold_reason: reason,
+      legal_hold_set_by: admin.id,
+      legal_hold_set_at: new Date(),
+      ...(holdsErasure ? { status: DSR_STATUS.ON_HOLD } : {}),
+      audit_trail: this.appendAudit(request, DSR_AUDIT_ACTION.LEGAL_HOLD_SET, admin.id, { reason }),
+      updated_at: new Date()
+    });
+
+    ludlog.auth('Legal hold placed on data subject:', {
+      requestId,
+      subjectId: request.subject_id,
+      adminId: admin.id
+    });
+
+    return request;
+  }
+
+  /**
+   * Release a legal hold; erasures of the subject waiting on it are queued again
+   * once no other hold remains
+   * @param {string} requestId - DataSubjectRequest ID
+   * @param {Object} admin - Acting admin user
+   * @returns {Promise<Object>} DataSubjectRequest
+   */
+  static async releaseLegalHold(requestId, admin) {
+    const request = await this.getRequest(requestId);
+
+    if (!request.legal_hold) {
+      throw new BadRequestError('Request has no legal hold');
+    }
+
+    await request.update({
+      legal_hold: false,
+      audit_trail: this.appendAudit(request, DSR_AUDIT_ACTION.LEGAL_HOLD_RELEASED, admin.id, {
+        reason: request.legal_hold_reason
+      }),
+      updated_at: new Date()
+    });
+
+    ludlog.auth('Legal hold released on data subject:', {
+      requestId,
+      subjectId: request.subject_id,
+      adminId: admin.id
+    });
+
+    if (!await this.isSubjectOnLegalHold(request)) {
+      const waiting = await models.DataSubjectRequest.findAll({
+        where: {
+          subject_type: request.subject_type,
+          subject_id: request.subject_id,
+          status: DSR_STATUS.ON_HOLD
+        }
+      });
+
+      for (const held of waiting) {
+        await held.update({ status: DSR_STATUS.PENDING, updated_at: new Date() });
+        await this.queueRequest(held);
+      }
+    }
+
+    return request.reload();
+  }
+
+  /**
+   * Queue a failed request again
+   * @param {string} requestId - DataSubjectRequest ID
+   * @param {Object} admin - Acting admin user
+   * @returns {Promise<Object>} DataSubjectRequest
+   */
+  static async retryRequest(requestId, admin) {
+    const request = await this.getRequest(requestId);
+
+    if (request.status !== DSR_STATUS.FAILED) {
+      throw new BadRequestError('Only failed requests can be retried');
+    }
+
+    await request.update({
+      status: DSR_STATUS.PENDING,
+      audit_trail: this.appendAudit(request, DSR_AUDIT_ACTION.RETRIED, admin.id),
+      updated_at: new Date()
+    });
+
+    return this.queueRequest(request);
+  }
+
+  /**
+   * Cancel a request that has not run yet (or failed)
+   * @param {string} requestId - DataSubjectRequest ID
+   * @param {Object} actor - Admin, or the parent who made the request
+   * @returns {Promise<Object>} DataSubjectRequest
+   */
+  static async cancelRequest(requestId, actor) {
+    const request = await this.getRequest(requestId);
+    this.assertCanAccess(request, actor);
+
+    if (!OPEN_DSR_STATUSES.includes(request.status)) {
+      throw new BadRequestError(`Cannot cancel a ${request.status} request`);
+    }
+
+    await request.update({
+      status: DSR_STATUS.CANCELLED,
+      audit_trail: this.appendAudit(request, DSR_AUDIT_ACTION.CANCELLED, actor.id),
+      updated_at: new Date()
+    });
+
+    return request;
+  }
+
+  /**
+   * Requests, newest first
+   * @param {Object} filters - { status, request_type, subject_type, subject_id, requested_by, limit, offset }
+   * @returns {Promise<Object>} { requests, total }
+   */
+  static async listRequests(filters = {}) {
+    const where = {};
+    ['status', 'request_type', 'subject_type', 'subject_id', 'requested_by'].forEach(field => {
+      if (filters[field]) {
+        where[field] = filters[field];
+      }
+    });
+
+    const { rows, count } = await models.DataSubjectRequest.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit: filters.limit || 50,
+      offset: filters.offset || 0
+    });
+
+    return { requests: rows, total: count };
+  }
+
+  /**
+   * @throws {NotFoundError} When the request does not exist
+   */
+  static async getRequest(requestId) {
+    const request = await models.DataSubjectRequest.findByPk(requestId);
+
+    if (!request) {
+      throw new NotFoundError('Data subject request');
+    }
+
+    return request;
+  }
+
+  /**
+   * Download a completed export (recorded in the audit trail)
+   * @param {string} requestId - DataSubjectRequest ID
+   * @param {Object} actor - Admin, or the parent who made the request
+   * @returns {Promise<Object>} { buffer, filename }
+   */
+  static async getExportArchive(requestId, actor) {
+    const request = await this.getRequest(requestId);
+    this.assertCanAccess(request, actor);
+
+    if (request.request_type !== DSR_REQUEST_TYPE.EXPORT || request.status !== DSR_STATUS.COMPLETED) {
+      throw new BadRequestError('Export is not ready');
+    }
+
+    if (!request.export_s3_key || request.export_expires_at < new Date()) {
+      throw new NotFoundError('Export archive');
+    }
+
+    const buffer = await fileService.downloadToBuffer(request.export_s3_key);
+
+    await request.update({
+      audit_trail: this.appendAudit(request, DSR_AUDIT_ACTION.DOWNLOADED, actor.id),
+      updated_at: new Date()
+    });
+
+    return {
+      buffer,
+      filename: `ludora-data-${request.subject_type}-${request.subject_id}.zip`
+    };
+  }
+
+  /**
+   * Delete export archives past their retention (DSR_EXPORT_CLEANUP job)
+   * @param {Object} options - { batchSize }
+   * @returns {Promise<Object>} { deleted, failed }
+   */
+  static async cleanupExpiredExports({ batchSize = 100 } = {}) {
+    const expired = await models.DataSubjectRequest.findAll({
+      where: {
+        export_s3_key: { [Op.ne]: null },
+        export_expires_at: { [Op.lt]: new Date() }
+      },
+      limit: batchSize
+    });
+
+    let deleted = 0;
+    let failed = 0;
+
+    for (const request of expired) {
+      const deletion = await fileService.deleteS3Object(request.export_s3_key);
+
+      if (!deletion.success) {
+        failed++;
+        luderror.file('Failed to delete expired data export:', { requestId: request.id, error: deletion.error });
+        continue;
+      }
+
+      await request.update({
+        export_s3_key: null,
+        audit_trail: this.appendAudit(request, DSR_AUDIT_ACTION.EXPORT_DELETED, null),
+        updated_at: new Date()
+      });
+      deleted++;
+    }
+
+    return { deleted, failed };
+  }
+
+  static async isSubjectOnLegalHold(request) {
+    const holds = await models.DataSubjectRequest.count({
+      where: {
+        subject_type: request.subject_type,
+        subject_id: request.subject_id,
+        legal_hold: true
+      }
+    });
+
+    return holds > 0;
+  }
+
+  // Parents only see their own requests; admins see all
+  static assertCanAccess(request, actor) {
+    if (actor.role === 'admin' || actor.role === 'sysadmin') {
+      return;
+    }
+
+    if (request.requester_role !== DSR_REQUESTER_ROLE.PARENT || request.requested_by !== actor.id) {
+      throw new ForbiddenError('Not your data request');
+    }
+  }
+
+  /**
+   * Tell the requester the request completed (best effort)
+   */
+  static async notifyRequester(request) {
+    try {
+      const requester = await models.User.findByPk(request.requested_by, { attributes: ['id', 'email', 'full_name'] });
+      if (!requester?.email) {
+        return;
+      }
+
+      const title = REQUEST_TYPE_TITLES[request.request_type];
+      const link = request.requester_role === DSR_REQUESTER_ROLE.PARENT
+        ? `${process.env.FRONTEND_URL}/parent/data-requests`
+        : `${process.env.FRONTEND_URL}/admin/data-requests/${request.id}`;
+      const outcome = request.request_type === DSR_REQUEST_TYPE.EXPORT
+        ? `<p>הקובץ זמין להורדה במשך ${DSR_EXPORT_RETENTION_DAYS} ימים:</p>`
+        : '<p>המידע נמחק. פרטים נוספים:</p>';
+
+      await EmailService.sendEmail({
+        to: requester.email,
+        subject: `בקשת ${title} הושלמה - Ludora`,
+        html: `<div dir="rtl">
+          <p>שלום${requester.full_name ? ` ${escapeHtml(requester.full_name)}` : ''},</p>
+          <p>בקשת ה${title} שלך הושלמה.</p>
+          ${outcome}
+          <p><a href="${link}">לצפייה בבקשה</a></p>
+          <p>תודה,<br>צוות Ludora</p>
+        </div>`,
+        relatedEntityId: request.id
+      });
+    } catch (error) {
+      luderror.api('Failed to notify data subject requester:', { requestId: request.id, error: error.message });
+    }
+  }
+
+  static auditEntry(action, actorId, details = null) {
+    return {
+      at: new Date().toISOString(),
+      action,
+      actor_id: actorId,
+      ...(details ? { details } : {})
+    };
+  }
+
+  // audit_trail is JSONB - always assign a new array so the change is saved
+  static appendAudit(request, action, actorId, details = null) {
+    return [...(request.audit_trail || []), this.auditEntry(action, actorId, details)];
+  }
+}
+
+export default DataSubjectRequestService;
\ No newline at end of file
@@ -37,7 +37,7 @@ class EmailService {
   }
 
   // Send email
-  async sendEmail({ to, subject, html, text, from, templateId = null, relatedEntityId = null }) {
+  async sendEmail({ to, subject, html, text, from, templateId = null, relatedEntityId = null, attachments = null }) {
     try {
       const emailData = {
         from: from || process.env.DEFAULT_FROM_EMAIL || 'noreply@ludora.app',
@@ -47,6 +47,11 @@ class EmailService {
         text: text || html?.replace(/<[^>]*>/g, '') // Strip HTML for text version
       };
 
+      // Nodemailer attachments: [{ filename, content (Buffer), contentType }]
+      if (attachments?.length) {
+        emailData.attachments = attachments;
+      }
+
       // Send email if transporter is available
       let result = null;
       if (this.transporter) {
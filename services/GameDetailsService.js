@@ -7,6 +7,8 @@
  */
 
 import models from '../models/index.js';
+import QuizGameEngine, { QUIZ_DIFFICULTIES } from './gameEngines/QuizGameEngine.js';
+import { resolveGameSettings } from '../config/gameTypes.js';
 import { luderror } from '../lib/ludlog.js';
 
 class GameDetailsService {
@@ -74,20 +76,45 @@ class GameDetailsService {
   }
 
   /**
-   * Calculate quiz game specific details (placeholder for future implementation)
+   * Calculate quiz game specific details
    * @param {string} gameId - The game entity ID
-   * @returns {Object} Quiz game details
+   * @returns {Object} Quiz game details including question count, difficulty mix and quiz settings
    */
   static async getQuizGameDetails(gameId) {
-    // TODO: Implement quiz game details calculation
-    return {
-      game_type: 'quiz_game',
-      details: {
-        question_count: 0,
-        difficulty_levels: [],
-        categories: []
+    try {
+      const { questions, gameSettings } = await QuizGameEngine.loadContent(gameId);
+      const settings = resolveGameSettings('quiz_game', gameSettings);
+
+      // Questions per difficulty level; pairs without a level are 'unrated'
+      const difficultyMix = Object.fromEntries([...QUIZ_DIFFICULTIES, 'unrated'].map(level => [level, 0]));
+      for (const question of questions) {
+        difficultyMix[question.difficulty || 'unrated'] += 1;
       }
-    };
+
+      const playableCount = settings.difficulty_level === 'mixed'
+        ? questions.length
+        : difficultyMix[settings.difficulty_level];
+      const questionsPerQuiz = Math.min(settings.question_count, playableCount);
+
+      return {
+        game_type: 'quiz_game',
+        details: {
+          question_count: questions.length,
+          questions_per_quiz: questionsPerQuiz,
+          difficulty_levels: QUIZ_DIFFICULTIES.filter(level => difficultyMix[level] > 0),
+          difficulty_mix: difficultyMix,
+          categories: [...new Set(questions.map(question => question.category).filter(Boolean))],
+          choices_per_question: settings.choices_per_question,
+          seconds_per_question: settings.seconds_per_question,
+          difficulty_level: settings.difficulty_level,
+          estimated_duration_minutes: Math.ceil((questionsPerQuiz * settings.seconds_per_question) / 60)
+        }
+      };
+
+    } catch (error) {
+      luderror.api('Error calculating quiz game details:', error);
+      throw error;
+    }
   }
 
   /**
@@ -7,6 +7,7 @@ import { Op } from 'sequelize';
 import { luderror } from '../lib/ludlog.js';
 import { generateId } from '../models/baseModel.js';
 import LobbySocketService from './LobbySocketService.js';
+import TeamService from './TeamService.js';
 
 /**
  * GameLobbyService - Manages lobby creation, expiration, and participant management
@@ -415,6 +416,9 @@ class GameLobbyService {
       const { getSessionDefaults, calculateSessionDistribution } = await import('../config/gameTypeDefaults.js');
       const sessionDefaults = getSessionDefaults(gameType);
 
+      const lobby = await models.GameLobby.findByPk(lobbyId, { attributes: ['id', 'settings'], transaction });
+      const teamSettings = TeamService.getTeamSettings(lobby?.settings);
+
       // Determine how many sessions we need
       let requiredSessionCount, playersPerSession;
 
@@ -425,8 +429,19 @@ class GameLobbyService {
         const distribution = calculateSessionDistribution(maxPlayers, gameType);
         requiredSessionCount = distribution.recommended_sessions;
         playersPerSession = distribution.players_per_session;
+
+        // Team mode: every session splits evenly into the lobby's teams
+        if (teamSettings) {
+          playersPerSession = TeamService.fitSessionSize(playersPerSession, teamSettings.team_count);
+          requiredSessionCount = Math.max(Math.ceil(maxPlayers / playersPerSession), 1);
+        }
       }
 
+      // addParticipant keeps every team of a session within its share of the players
+      const teamData = teamSettings
+        ? { team_capacity: TeamService.getTeamCapacity(teamSettings.team_count, playersPerSession) }
+        : {};
+
       // Reuse existing empty sessions and create new ones as needed
       const reusedSessions = [];
       const createdSessions = [];
@@ -449,6 +464,7 @@ class GameLobbyService {
           data: {
             session_name: sessionName,
             max_players: playersPerSession,
+            ...teamData,
             game_type: gameType,
             created_automatically: true,
             created_by: userId,
@@ -462,6 +478,7 @@ class GameLobbyService {
           session_number: session.session_number,
           session_name: sessionName,
           max_players: playersPerSession,
+          ...teamData,
           reused: true
         });
       }
@@ -490,6 +507,7 @@ class GameLobbyService {
             data: {
               session_name: sessionName,
               max_players: playersPerSession,
+              ...teamData,
               game_type: gameType,
               created_automatically: true,
               created_by: userId,
@@ -504,6 +522,7 @@ class GameLobbyService {
             session_number: session.session_number,
             session_name: sessionName,
             max_players: playersPerSession,
+            ...teamData,
             new: true
           });
         }
@@ -0,0 +1,443 @@
+import ExcelJS from 'exceljs';
+import { Op } from 'sequelize';
+import models from '../models/index.js';
+import { generateId } from '../models/baseModel.js';
+import { getGameEngine } from './gameEngines/index.js';
+import { BadRequestError, ForbiddenError, NotFoundError } from '../middleware/errorHandler.js';
+import { ludlog } from '../lib/ludlog.js';
+import { buildCsv } from '../utils/csv.js';
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+export const GRADEBOOK_EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Gradebook columns - one row per student per finished session
+const GRADEBOOK_RESULT_COLUMNS = [
+  'finished_at',
+  'student_id',
+  'display_name',
+  'game_type',
+  'session_id',
+  'score',
+  'max_score',
+  'accuracy',
+  'correct_count',
+  'attempt_count',
+  'time_spent_seconds',
+  'rank',
+  'completed'
+];
+
+// Gradebook summary columns - one row per student
+const GRADEBOOK_SUMMARY_COLUMNS = [
+  'student_id',
+  'display_name',
+  'sessions_played',
+  'average_score',
+  'average_accuracy',
+  'total_time_seconds',
+  'last_played_at'
+];
+
+const toNumberOrNull = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const average = (values) => {
+  const numbers = values.filter(value => value !== null && value !== undefined).map(Number);
+  if (numbers.length === 0) return null;
+  return Math.round((numbers.reduce((sum, value) => sum + value, 0) / numbers.length) * 100) / 100;
+};
+
+/**
+ * GameResultsService - Normalized results of finished game sessions
+ *
+ * finishSession records one GameSessionResult per participant (with per-content-item correctness),
+ * linked to the Player / user and to the student's ClassroomMembership with the lobby owner.
+ * Results come from the game engine for server-authoritative games, otherwise from the
+ * `results.participants` the game client reported in finalData.
+ *
+ * Teachers read them per player (scoring history) and per classroom (gradebook, CSV/XLSX export);
+ * parents read their consented child's history in the parent portal.
+ */
+class GameResultsService {
+  /**
+   * Record the results of a finished session (replaces earlier results of the session)
+   * @param {string} sessionId - Finished session ID
+   * @param {Object|null} transaction - Optional database transaction
+   * @returns {Promise<Array>} Created results
+   */
+  static async recordSessionResults(sessionId, transaction = null) {
+    const session = await models.GameSession.findByPk(sessionId, {
+      include: [{ model: models.GameLobby, as: 'lobby' }],
+      transaction
+    });
+
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    if (!session.finished_at) {
+      throw new BadRequestError('Cannot record results: Session is not finished');
+    }
+
+    const { lobby } = session;
+    const participants = session.participants || [];
+    const reported = session.data?.results || {};
+
+    const source = getGameEngine(session.current_state?.engine)
+      ? 'engine'
+      : (Array.isArray(reported.participants) ? 'client' : 'none');
+
+    const reportedById = Object.fromEntries((reported.participants || [])
+      .filter(entry => entry?.participant_id)
+      .map(entry => [entry.participant_id, entry]));
+
+    const teamRanks = Object.fromEntries((reported.teams || []).map(team => [team.team_id, team.rank]));
+
+    const memberships = await this.findMemberships(lobby, participants, transaction);
+
+    await models.GameSessionResult.destroy({ where: { session_id: sessionId }, transaction });
+
+    const results = [];
+
+    for (const participant of participants) {
+      const entry = reportedById[participant.id] || {};
+      const studentId = participant.player_id || participant.user_id;
+      const membership = studentId ? memberships[studentId] : null;
+
+      const correctCount = toNumberOrNull(entry.correct_count);
+      const attemptCount = toNumberOrNull(entry.attempt_count);
+      const accuracy = toNumberOrNull(entry.accuracy) ?? (attemptCount > 0 && correctCount !== null
+        ? Math.round((correctCount / attemptCount) * 10000) / 100
+        : null);
+
+      const result = await models.GameSessionResult.create({
+        id: generateId(),
+        session_id: session.id,
+        lobby_id: session.lobby_id,
+        game_id: lobby.game_id,
+        teacher_id: lobby.owner_user_id,
+        participant_id: participant.id,
+        player_id: participant.player_id || null,
+        user_id: participant.user_id || null,
+        classroom_membership_id: membership?.id || null,
+        classroom_id: membership?.classroom_id || null,
+        display_name: participant.display_name || null,
+        score: toNumberOrNull(entry.score),
+        max_score: toNumberOrNull(entry.max_score),
+        accuracy,
+        correct_count: correctCount,
+        attempt_count: attemptCount,
+        time_spent_seconds: toNumberOrNull(entry.time_spent_seconds),
+        rank: toNumberOrNull(entry.rank),
+        completed: source === 'engine' ? !!reported.completed : !!entry.completed,
+        source,
+        finished_at: session.finished_at,
+        metadata: {
+          session_number: session.session_number,
+          team_assignment: participant.team_assignment || null,
+          team_rank: teamRanks[participant.team_assignment] ?? null
+        }
+      }, { transaction });
+
+      const items = (Array.isArray(entry.items) ? entry.items : [])
+        .filter(item => typeof item?.content_id === 'string' && typeof item.is_correct === 'boolean');
+
+      if (items.length > 0) {
+        await models.GameSessionResultItem.bulkCreate(items.map(item => ({
+          id: generateId(),
+          result_id: result.id,
+          content_id: item.content_id,
+          is_correct: item.is_correct,
+          attempts: Math.max(parseInt(item.attempts, 10) || 1, 1)
+        })), { transaction });
+      }
+
+      results.push(result);
+    }
+
+    ludlog.generic('Recorded game session results', { sessionId, source, count: results.length });
+
+    return results;
+  }
+
+  /**
+   * Active classroom memberships of the participants with the lobby owner
+   * The lobby's settings.classroom_id wins when a student is in several of the teacher's classrooms.
+   * @param {Object} lobby - Session lobby
+   * @param {Array} participants - Session participants
+   * @param {Object|null} transaction - Optional database transaction
+   * @returns {Promise<Object>} Membership by student id (player or user id)
+   */
+  static async findMemberships(lobby, participants, transaction = null) {
+    const studentIds = participants.map(p => p.player_id || p.user_id).filter(Boolean);
+    if (studentIds.length === 0) {
+      return {};
+    }
+
+    const memberships = await models.ClassroomMembership.findAll({
+      where: {
+        teacher_id: lobby.owner_user_id,
+        student_user_id: { [Op.in]: studentIds },
+        status: 'active'
+      },
+      order: [['approved_at', 'DESC']],
+      transaction
+    });
+
+    const preferredClassroomId = lobby.settings?.classroom_id;
+    const byStudent = {};
+
+    for (const membership of memberships) {
+      const current = byStudent[membership.student_user_id];
+      if (!current || (membership.classroom_id === preferredClassroomId && current.classroom_id !== preferredClassroomId)) {
+        byStudent[membership.student_user_id] = membership;
+      }
+    }
+
+    return byStudent;
+  }
+
+  /**
+   * Parse a from/to date range (YYYY-MM-DD, inclusive), defaulting to the last 30 days
+   * @param {Object} query - { from, to }
+   * @returns {Object} { from: Date, to: Date }
+   */
+  static parseDateRange({ from, to } = {}) {
+    const end = to ? new Date(`${to}T23:59:59.999Z`) : new Date();
+    const start = from
+      ? new Date(`${from}T00:00:00.000Z`)
+      : new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw new BadRequestError('from and to must be dates in YYYY-MM-DD format');
+    }
+
+    if (start > end) {
+      throw new BadRequestError('from must not be after to');
+    }
+
+    if (end - start > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      throw new BadRequestError(`Date range must not exceed ${MAX_RANGE_DAYS} days`);
+    }
+
+    return { from: start, to: end };
+  }
+
+  /**
+   * Scoring history of a teacher's player
+   * @param {string} playerId - Player ID
+   * @param {string} teacherId - Requesting teacher
+   * @param {Object} query - { from, to }
+   * @returns {Promise<Object>} { player_id, range, summary, results }
+   */
+  static async getPlayerHistory(playerId, teacherId, query = {}) {
+    const player = await models.Player.findByPk(playerId);
+    if (!player) {
+      throw new NotFoundError('Player');
+    }
+
+    if (player.teacher_id !== teacherId) {
+      throw new ForbiddenError('Access denied: You do not own this player');
+    }
+
+    return {
+      player_id: playerId,
+      ...await this.getResultHistory({ player_id: playerId }, query)
+    };
+  }
+
+  /**
+   * Scoring history of a signed-in student (results recorded with user_id), across all teachers
+   * Callers authorize access - used by the parent portal for a consented child
+   * @param {string} studentUserId - Student user ID
+   * @param {Object} query - { from, to }
+   * @returns {Promise<Object>} { student_id, range, summary, results }
+   */
+  static async getStudentHistory(studentUserId, query = {}) {
+    return {
+      student_id: studentUserId,
+      ...await this.getResultHistory({ user_id: studentUserId }, query)
+    };
+  }
+
+  /**
+   * Results matching a player/user filter over a date range, newest first, with per-item correctness
+   * @param {Object} where - GameSessionResult filter
+   * @param {Object} query - { from, to }
+   * @returns {Promise<Object>} { range, summary, results }
+   */
+  static async getResultHistory(where, query = {}) {
+    const range = this.parseDateRange(query);
+
+    const results = await models.GameSessionResult.findAll({
+      where: {
+        ...where,
+        finished_at: { [Op.between]: [range.from, range.to] }
+      },
+      include: [
+        { model: models.Game, as: 'game', attributes: ['id', 'game_type'] },
+        { model: models.GameSessionResultItem, as: 'items', attributes: ['content_id', 'is_correct', 'attempts'] }
+      ],
+      order: [['finished_at', 'DESC']]
+    });
+
+    return {
+      range,
+      summary: this.summarize(results),
+      results: results.map(result => ({
+        ...this.toResultRow(result),
+        items: (result.items || []).map(item => item.toJSON())
+      }))
+    };
+  }
+
+  /**
+   * Gradebook of a classroom: every active student's results over a date range
+   * @param {string} classroomId - Classroom ID
+   * @param {string} teacherId - Requesting teacher (must own the classroom)
+   * @param {Object} query - { from, to }
+   * @returns {Promise<Object>} { classroom, range, students, results }
+   */
+  static async getClassroomGradebook(classroomId, teacherId, query = {}) {
+    const classroom = await models.Classroom.findByPk(classroomId);
+    if (!classroom) {
+      throw new NotFoundError('Classroom');
+    }
+
+    if (classroom.teacher_id !== teacherId) {
+      throw new ForbiddenError('Access denied: You do not own this classroom');
+    }
+
+    const range = this.parseDateRange(query);
+
+    const memberships = await models.ClassroomMembership.findAll({
+      where: { classroom_id: classroomId, status: 'active' }
+    });
+
+    const studentIds = memberships.map(membership => membership.student_user_id);
+
+    const results = studentIds.length === 0 ? [] : await models.GameSessionResult.findAll({
+      where: {
+        teacher_id: classroom.teacher_id,
+        finished_at: { [Op.between]: [range.from, range.to] },
+        [Op.or]: [
+          { player_id: { [Op.in]: studentIds } },
+          { user_id: { [Op.in]: studentIds } }
+        ]
+      },
+      include: [{ model: models.Game, as: 'game', attributes: ['id', 'game_type'] }],
+      order: [['finished_at', 'ASC']]
+    });
+
+    const resultsByStudent = {};
+    for (const result of results) {
+      const studentId = result.player_id || result.user_id;
+      (resultsByStudent[studentId] = resultsByStudent[studentId] || []).push(result);
+    }
+
+    const students = memberships.map(membership => {
+      const studentResults = resultsByStudent[membership.student_user_id] || [];
+      return {
+        student_id: membership.student_user_id,
+        membership_id: membership.id,
+        display_name: membership.student_display_name || studentResults.at(-1)?.display_name || null,
+        ...this.summarize(studentResults)
+      };
+    });
+
+    const displayNames = Object.fromEntries(students.map(student => [student.student_id, student.display_name]));
+
+    return {
+      classroom: {
+        id: classroom.id,
+        name: classroom.name,
+        grade_level: classroom.grade_level,
+        year: classroom.year
+      },
+      range,
+      students,
+      results: results.map(result => ({
+        ...this.toResultRow(result),
+        display_name: displayNames[result.player_id || result.user_id] || result.display_name
+      }))
+    };
+  }
+
+  static summarize(results) {
+    return {
+      sessions_played: results.length,
+      average_score: average(results.map(result => result.score)),
+      average_accuracy: average(results.map(result => result.accuracy)),
+      total_time_seconds: results.reduce((total, result) => total + (result.time_spent_seconds || 0), 0),
+      last_played_at: results.reduce((latest, result) =>
+        (!latest || result.finished_at > latest ? result.finished_at : latest), null)
+    };
+  }
+
+  static toResultRow(result) {
+    return {
+      id: result.id,
+      session_id: result.session_id,
+      game_id: result.game_id,
+      game_type: result.game?.game_type || null,
+      student_id: result.player_id || result.user_id,
+      display_name: result.display_name,
+      score: toNumberOrNull(result.score),
+      max_score: toNumberOrNull(result.max_score),
+      accuracy: toNumberOrNull(result.accuracy),
+      correct_count: result.correct_count,
+      attempt_count: result.attempt_count,
+      time_spent_seconds: result.time_spent_seconds,
+      rank: result.rank,
+      completed: result.completed,
+      source: result.source,
+      finished_at: result.finished_at
+    };
+  }
+
+  /**
+   * Build the gradebook export file
+   * @param {Object} gradebook - getClassroomGradebook result
+   * @param {string} format - 'csv' (one row per result) or 'xlsx' (summary and results sheets)
+   * @returns {Promise<Object>} { filename, contentType, body }
+   */
+  static async exportGradebook(gradebook, format) {
+    if (!GRADEBOOK_EXPORT_FORMATS.includes(format)) {
+      throw new BadRequestError(`format must be one of: ${GRADEBOOK_EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const toDate = date => date.toISOString().slice(0, 10);
+    const filename = `gradebook-${gradebook.classroom.id}-${toDate(gradebook.range.from)}-${toDate(gradebook.range.to)}.${format}`;
+
+    if (format === 'csv') {
+      return {
+        filename,
+        contentType: 'text/csv; charset=utf-8',
+        body: buildCsv(GRADEBOOK_RESULT_COLUMNS, gradebook.results)
+      };
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    this.addSheet(workbook, 'Summary', GRADEBOOK_SUMMARY_COLUMNS, gradebook.students);
+    this.addSheet(workbook, 'Results', GRADEBOOK_RESULT_COLUMNS, gradebook.results);
+
+    return {
+      filename,
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      body: Buffer.from(await workbook.xlsx.writeBuffer())
+    };
+  }
+
+  static addSheet(workbook, name, columns, rows) {
+    const sheet = workbook.addWorksheet(name, { views: [{ rightToLeft: true }] });
+    sheet.columns = columns.map(column => ({ header: column, key: column, width: 18 }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.addRows(rows.map(row => Object.fromEntries(columns.map(column => [column, row[column] ?? null]))));
+  }
+}
+
+export default GameResultsService;
\ No newline at end of file
@@ -5,6 +5,11 @@ import models from '../models/index.js';
 import { Op } from 'sequelize';
 import { luderror } from '../lib/ludlog.js';
 import LobbySocketService from './LobbySocketService.js';
+import GameResultsService from './GameResultsService.js';
+import AchievementService from './AchievementService.js';
+import TeamService from './TeamService.js';
+import { getGameEngine } from './gameEngines/index.js';
+import { ConflictError, ForbiddenError, NotFoundError } from '../middleware/errorHandler.js';
 
 /**
  * GameSessionService - Manages session creation, participant management, and game state
@@ -83,7 +88,7 @@ class GameSessionService {
    * @param {string} participantData.teacher_id - Teacher ID reference (NEW AUTH MODEL)
    * @param {string} participantData.guest_token - Guest token (for guest users)
    * @param {string} participantData.display_name - Display name
-   * @param {string} participantData.team_assignment - Team assignment (optional)
+   * @param {string} participantData.team_assignment - Team assignment (optional, within team capacity in team mode)
    * @param {string} userId - User/Player ID making the request
    * @param {Object|null} transaction - Optional database transaction
    * @returns {Promise<Object>} Updated session
@@ -120,11 +125,7 @@ class GameSessionService {
         throw new Error('Guest users are not allowed in this lobby');
       }
 
-      // Check max players limit
       const currentParticipants = session.participants || [];
-      if (currentParticipants.length >= lobby.settings.max_players) {
-        throw new Error('Session is full');
-      }
 
       // Check if participant already exists
       // NEW AUTH MODEL: Check by player_id first, then user_id, then guest_token
@@ -135,9 +136,30 @@ class GameSessionService {
       );
 
       if (existingParticipant) {
+        // A participant who dropped out rejoins their own seat (score and turn are kept)
+        if (existingParticipant.is_online === false) {
+          await session.update({
+            participants: currentParticipants.map(p =>
+              (p.id === existingParticipant.id ? { ...p, is_online: true, last_seen_at: new Date().toISOString() } : p))
+          }, { transaction });
+
+          const rejoinedSession = await this.getSessionDetails(sessionId, transaction);
+          LobbySocketService.broadcastParticipantConnection('participant:reconnected', rejoinedSession, existingParticipant.id);
+
+          return rejoinedSession;
+        }
+
         throw new Error('Participant already in session');
       }
 
+      // Check max players limit
+      if (currentParticipants.length >= lobby.settings.max_players) {
+        throw new Error('Session is full');
+      }
+
+      // Team mode: the requested team or the one balancing picks, within the team capacity
+      const teamFields = await TeamService.assignJoiningParticipant(session, lobby.settings, participantData, transaction);
+
       // Format new participant
       // NEW AUTH MODEL: Include player_id and teacher_id
       const newParticipant = {
@@ -149,7 +171,7 @@ class GameSessionService {
         display_name: participantData.display_name,
         isAuthedUser: !!participantData.user_id,
         isAuthedPlayer: !!participantData.player_id, // NEW: Flag for authenticated players
-        team_assignment: participantData.team_assignment || null,
+        ...teamFields,
         joined_at: new Date().toISOString(),
         is_online: true
       };
@@ -166,6 +188,7 @@ class GameSessionService {
 
       // Broadcast participant joined event
       LobbySocketService.broadcastParticipantJoined(updatedSession);
+      this.broadcastTeams('team:update', updatedSession);
 
       return updatedSession;
 
@@ -228,6 +251,7 @@ class GameSessionService {
 
       // Broadcast participant left event
       LobbySocketService.broadcastParticipantLeft(updatedSession);
+      this.broadcastTeams('team:update', updatedSession);
 
       return updatedSession;
 
@@ -250,7 +274,11 @@ class GameSessionService {
     try {
 
       const session = await models.GameSession.findByPk(sessionId, {
-        include: [{ model: models.GameLobby, as: 'lobby' }],
+        include: [{
+          model: models.GameLobby,
+          as: 'lobby',
+          include: [{ model: models.Game, as: 'game', attributes: ['id', 'game_type'] }]
+        }],
         transaction
       });
 
@@ -258,6 +286,11 @@ class GameSessionService {
         throw new Error('Session not found');
       }
 
+      // Server-authoritative games only change through applyMove
+      if (getGameEngine(session.lobby?.game?.game_type)) {
+        throw new Error('Cannot update state: Game state is managed by the server');
+      }
+
       // Validate that session is active
       if (session.status !== 'open') {
         throw new Error('Cannot update state: Session is not active');
@@ -301,6 +334,15 @@ class GameSessionService {
 
       // Broadcast game state updated event
       LobbySocketService.broadcastGameStateUpdated(updatedSession);
+      if (updatedSession.current_state.scores) {
+        this.broadcastTeams('team:scores', updatedSession);
+      }
+
+      if (transaction) {
+        transaction.afterCommit(() => AchievementService.evaluateStateUpdate(updatedSession));
+      } else {
+        AchievementService.evaluateStateUpdate(updatedSession);
+      }
 
       return updatedSession;
 
@@ -314,11 +356,16 @@ class GameSessionService {
    * Finish/close a game session
    * @param {string} sessionId - Session ID
    * @param {Object} finalData - Final game data/results
-   * @param {string} userId - User finishing the session
+   * @param {string|null} userId - User finishing the session (null when finished by the game engine)
    * @param {Object|null} transaction - Optional database transaction
+   * @param {Object} options
+   * @param {boolean} options.automatic - Finished by the game engine at game end (no permission check)
+   * @param {string} options.submittedBy - Student submitting their own solo homework attempt (checked by HomeworkService)
    * @returns {Promise<Object>} Finished session
    */
-  static async finishSession(sessionId, finalData, userId, transaction = null) {
+  static async finishSession(sessionId, finalData, userId, transaction = null, options = {}) {
+    const { automatic = false, submittedBy = null } = options;
+
     try {
 
       const session = await models.GameSession.findByPk(sessionId, {
@@ -334,6 +381,8 @@ class GameSessionService {
 
       // Check permissions
       const canFinish =
+        automatic ||
+        !!submittedBy ||
         lobby.owner_user_id === userId ||
         lobby.host_user_id === userId;
 
@@ -341,6 +390,10 @@ class GameSessionService {
         throw new Error('Access denied: Only lobby owner or host can finish sessions');
       }
 
+      // Server-authoritative games report their own results, whatever the client sent
+      const engine = getGameEngine(session.current_state?.engine);
+      const engineResults = engine ? { results: engine.getResults(session.current_state, session.engine_state) } : {};
+
       // Update session as finished
       const updateData = {
         status: 'closed',
@@ -348,18 +401,41 @@ class GameSessionService {
         data: {
           ...session.data,
           ...finalData,
-          finished_by: userId,
+          ...engineResults,
+          finished_by: automatic ? 'game_engine' : (submittedBy || userId),
           final_state: session.current_state
         }
       };
 
+      // Team mode: team aggregates of the per-participant results
+      const teamSettings = TeamService.getTeamSettings(lobby.settings);
+      const reportedResults = updateData.data.results;
+      if (teamSettings && Array.isArray(reportedResults?.participants)) {
+        updateData.data.results = {
+          ...reportedResults,
+          teams: TeamService.aggregateTeamResults(session.participants || [], reportedResults.participants, teamSettings)
+        };
+      }
+
       await session.update(updateData, { transaction });
 
+      // Normalized per-participant results for scoring history and gradebooks
+      await GameResultsService.recordSessionResults(sessionId, transaction);
+
       // Return finished session
       const finishedSession = await this.getSessionDetails(sessionId, transaction);
 
       // Broadcast session finished event
       LobbySocketService.broadcastSessionFinished(finishedSession);
+      this.broadcastTeams('team:results', finishedSession);
+
+      // Achievements read the recorded results, so wait for them to be committed
+      const evaluateAchievements = () => AchievementService.evaluateFinishedSession(sessionId);
+      if (transaction) {
+        transaction.afterCommit(evaluateAchievements);
+      } else {
+        evaluateAchievements();
+      }
 
       return finishedSession;
 
@@ -418,6 +494,8 @@ class GameSessionService {
         lobby: {
           id: session.lobby.id,
           lobby_code: session.lobby.lobby_code,
+          owner_user_id: session.lobby.owner_user_id,
+          host_user_id: session.lobby.host_user_id,
           status: session.lobby.status,
           settings: session.lobby.settings,
           game: session.lobby.game
@@ -538,7 +616,28 @@ class GameSessionService {
       formattedParticipants.push(formattedParticipant);
     }
 
-    return formattedParticipants;
+    // Team mode: requested teams are kept (the session creator chose them), the others are balanced
+    const teamSettings = TeamService.getTeamSettings(lobbySettings);
+    if (!teamSettings) {
+      return formattedParticipants;
+    }
+
+    const unknownTeam = formattedParticipants.find(p =>
+      p.team_assignment && !teamSettings.teams.some(team => team.id === p.team_assignment));
+    if (unknownTeam) {
+      throw new Error(`Unknown team: ${unknownTeam.team_assignment}`);
+    }
+
+    const ratedParticipants = await TeamService.withPerformanceRatings(
+      formattedParticipants.map(p => ({ ...p, team_locked: !!p.team_assignment })),
+      teamSettings
+    );
+
+    return TeamService.balanceTeams(
+      ratedParticipants,
+      teamSettings,
+      TeamService.getTeamCapacity(teamSettings.team_count, lobbySettings.max_players)
+    );
   }
 
   /**
@@ -575,10 +674,14 @@ class GameSessionService {
         throw new Error('Access denied: Only lobby owner or host can start sessions');
       }
 
+      // Server-authoritative games deal their board when the session starts
+      const engineData = await this.dealGame(session, lobby, transaction);
+
       // Update session as started
       await session.update({
         status: 'open',
-        started_at: new Date()
+        started_at: new Date(),
+        ...engineData
       }, { transaction });
 
       const startedSession = await this.getSessionDetails(sessionId, transaction);
@@ -593,6 +696,273 @@ class GameSessionService {
       throw error;
     }
   }
+
+  /**
+   * Deal the initial state of a server-authoritative game
+   * @param {Object} session - Session being started
+   * @param {Object} lobby - Session lobby
+   * @param {Object|null} transaction - Optional database transaction
+   * @returns {Promise<Object>} { current_state, engine_state }, empty for client-driven games
+   */
+  static async dealGame(session, lobby, transaction = null) {
+    const game = await models.Game.findByPk(lobby.game_id, {
+      attributes: ['id', 'game_type'],
+      transaction
+    });
+
+    const engine = getGameEngine(game?.game_type);
+    if (!engine) {
+      return {};
+    }
+
+    const content = await engine.loadContent(game.id);
+    const { state, engineState } = engine.deal(content, session.participants || [], lobby.settings || {});
+
+    return { current_state: state, engine_state: engineState };
+  }
+
+  /**
+   * Mark a participant of an unfinished session online or offline (socket presence)
+   * The row is locked so concurrent presence changes do not overwrite each other's participants.
+   * @param {string} sessionId - Session ID
+   * @param {string} participantId - Participant ID
+   * @param {boolean} isOnline - New status
+   * @returns {Promise<Object|null>} Updated session, null when the status did not change
+   */
+  static async setParticipantOnlineStatus(sessionId, participantId, isOnline) {
+    const transaction = await models.sequelize.transaction();
+    let changed = false;
+    try {
+      const session = await models.GameSession.findByPk(sessionId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      const participants = session?.participants || [];
+      const participant = participants.find(p => p.id === participantId);
+
+      if (session && !session.finished_at && participant && participant.is_online !== isOnline) {
+        await session.update({
+          participants: participants.map(p =>
+            (p.id === participantId ? { ...p, is_online: isOnline, last_seen_at: new Date().toISOString() } : p))
+        }, { transaction });
+        changed = true;
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      luderror.api('❌ Failed to update participant online status:', error);
+      throw error;
+    }
+
+    if (!changed) {
+      return null;
+    }
+
+    return this.getSessionDetails(sessionId);
+  }
+
+  /**
+   * Apply a participant's move to a server-authoritative game
+   * The engine validates the move; the game is finished automatically when the engine detects its end.
+   * @param {string} sessionId - Session ID
+   * @param {Object} move - Engine move (e.g. { type: 'flip', card_id })
+   * @param {Object} identity - { userId, playerId } of the mover (LobbySocketService.getSocketIdentity)
+   * @returns {Promise<Object>} { result, session }
+   */
+  static async applyMove(sessionId, move, identity) {
+    const transaction = await models.sequelize.transaction();
+    let engine;
+    let applied;
+    try {
+      // Lock the row - concurrent moves are applied one at a time
+      const session = await models.GameSession.findByPk(sessionId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!session) {
+        throw new NotFoundError('Session');
+      }
+
+      if (session.finished_at) {
+        throw new ConflictError('Session is already finished');
+      }
+
+      engine = getGameEngine(session.current_state?.engine);
+      if (!engine || !session.engine_state) {
+        throw new ConflictError('Game has not started');
+      }
+
+      const participants = session.participants || [];
+      const participant = participants.find(p =>
+        (identity.userId && p.user_id === identity.userId) ||
+        (identity.playerId && p.player_id === identity.playerId)
+      );
+
+      if (!participant) {
+        throw new ForbiddenError('Access denied: Not a session participant');
+      }
+
+      // Participants who dropped out (offline after the reconnect grace window) lose their turns
+      applied = engine.applyMove(session.current_state, session.engine_state, participant.id, move, {
+        activeParticipantIds: participants.filter(p => p.is_online !== false || p.id === participant.id).map(p => p.id)
+      });
+
+      await session.update({
+        current_state: applied.state,
+        engine_state: applied.engineState
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      luderror.api('❌ Failed to apply game move:', error);
+      throw error;
+    }
+
+    // Game over - finish with the engine's results (broadcasts session_finished)
+    if (engine.isFinished(applied.state)) {
+      const finishedSession = await this.finishSession(sessionId, { reason: 'completed' }, null, null, { automatic: true });
+      return { result: applied.result, session: finishedSession };
+    }
+
+    const updatedSession = await this.getSessionDetails(sessionId);
+
+    // Broadcast game state updated event
+    LobbySocketService.broadcastGameStateUpdated(updatedSession);
+    this.broadcastTeams('team:scores', updatedSession);
+
+    AchievementService.evaluateStateUpdate(updatedSession);
+
+    return { result: applied.result, session: updatedSession };
+  }
+
+  /**
+   * Move a participant to a team (teacher override)
+   * Overrides may go over the team capacity and are kept when the teams are rebalanced.
+   * Permissions (lobby owner/host or admin) are checked by the route.
+   * @param {string} sessionId - Session ID
+   * @param {string} participantId - Participant ID
+   * @param {string} teamId - Team ID (e.g. team_2)
+   * @param {Object|null} transaction - Optional database transaction
+   * @returns {Promise<Object>} Updated session
+   */
+  static async setParticipantTeam(sessionId, participantId, teamId, transaction = null) {
+    try {
+      const { session, teamSettings } = await this.findTeamSession(sessionId, transaction);
+
+      if (!teamSettings.teams.some(team => team.id === teamId)) {
+        throw new Error(`Unknown team: ${teamId}`);
+      }
+
+      const participants = session.participants || [];
+      if (!participants.some(p => p.id === participantId)) {
+        throw new Error('Participant not found');
+      }
+
+      await session.update({
+        participants: participants.map(p =>
+          (p.id === participantId ? { ...p, team_assignment: teamId, team_locked: true } : p))
+      }, { transaction });
+
+      const updatedSession = await this.getSessionDetails(sessionId, transaction);
+      this.broadcastTeams('team:update', updatedSession);
+
+      return updatedSession;
+
+    } catch (error) {
+      luderror.auth('❌ Failed to set participant team:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reassign the session's participants to balanced teams
+   * Permissions (lobby owner/host or admin) are checked by the route.
+   * @param {string} sessionId - Session ID
+   * @param {Object|null} transaction - Optional database transaction
+   * @param {Object} options
+   * @param {boolean} options.keepOverrides - Keep teacher overrides in place (default true)
+   * @returns {Promise<Object>} Updated session
+   */
+  static async rebalanceTeams(sessionId, transaction = null, options = {}) {
+    const { keepOverrides = true } = options;
+
+    try {
+      const { session, lobby, teamSettings } = await this.findTeamSession(sessionId, transaction);
+
+      const participants = (session.participants || []).map(p => (keepOverrides ? p : { ...p, team_locked: false }));
+      const ratedParticipants = await TeamService.withPerformanceRatings(participants, teamSettings, transaction);
+
+      await session.update({
+        participants: TeamService.balanceTeams(
+          ratedParticipants,
+          teamSettings,
+          TeamService.getSessionTeamCapacity(teamSettings, session.data, lobby.settings)
+        )
+      }, { transaction });
+
+      const updatedSession = await this.getSessionDetails(sessionId, transaction);
+      this.broadcastTeams('team:update', updatedSession);
+
+      return updatedSession;
+
+    } catch (error) {
+      luderror.auth('❌ Failed to rebalance teams:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unfinished session of a team-mode lobby (for team changes)
+   * @param {string} sessionId - Session ID
+   * @param {Object|null} transaction - Optional database transaction
+   * @returns {Promise<Object>} { session, lobby, teamSettings }
+   */
+  static async findTeamSession(sessionId, transaction = null) {
+    const session = await models.GameSession.findByPk(sessionId, {
+      include: [{ model: models.GameLobby, as: 'lobby' }],
+      transaction
+    });
+
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    const teamSettings = TeamService.getTeamSettings(session.lobby.settings);
+    if (!teamSettings) {
+      throw new Error('Team mode is not enabled for this lobby');
+    }
+
+    if (session.finished_at) {
+      throw new Error('Cannot change teams: Session is finished');
+    }
+
+    return { session, lobby: session.lobby, teamSettings };
+  }
+
+  /**
+   * Broadcast the teams of a team-mode session (no-op for other sessions)
+   * @param {string} event - 'team:update' (assignments changed), 'team:scores' (live scores)
+   *                         or 'team:results' (finished, results.teams)
+   * @param {Object} sessionData - Session data (getSessionDetails)
+   */
+  static broadcastTeams(event, sessionData) {
+    const teamSettings = TeamService.getTeamSettings(sessionData.lobby?.settings);
+    if (!teamSettings) {
+      return;
+    }
+
+    const teams = event === 'team:results'
+      ? sessionData.data?.results?.teams
+      : TeamService.summarizeTeams(sessionData.participants || [], teamSettings, sessionData.current_state?.scores);
+
+    if (teams) {
+      LobbySocketService.broadcastTeamEvent(event, sessionData, teams);
+    }
+  }
 }
 
 export default GameSessionService;
\ No newline at end of file
@@ -0,0 +1,339 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import models from '../models/index.js';
+import webhookProviders from './webhookProviders/index.js';
+import { ludlog, luderror } from '../lib/ludlog.js';
+import {
+  SUPPORTED_SIGNATURE_SCHEMES,
+  verifyGenericWebhookSignature
+} from '../utils/webhookSignature.js';
+import { isDev } from '../src/utils/environment.js';
+
+// Progressive retry delays for failed handlers: 30s → 2m → 10m → 30m → 1h
+const WEBHOOK_RETRY_DELAYS = [30000, 120000, 600000, 1800000, 3600000];
+const WEBHOOK_MAX_RETRY_ATTEMPTS = WEBHOOK_RETRY_DELAYS.length;
+
+// A delivery with one of these statuses owns its idempotency key
+const WEBHOOK_ACTIVE_STATUSES = ['processing', 'retrying', 'completed'];
+
+// Fail fast on malformed provider modules instead of at the first delivery
+function buildProviderMap(providers) {
+  const providerMap = new Map();
+
+  providers.forEach(provider => {
+    if (!provider?.name || !/^[a-z0-9_-]+$/.test(provider.name)) {
+      throw new Error(`Invalid generic webhook provider name: ${provider?.name}`);
+    }
+    if (providerMap.has(provider.name)) {
+      throw new Error(`Duplicate generic webhook provider: ${provider.name}`);
+    }
+    if (!SUPPORTED_SIGNATURE_SCHEMES.includes(provider.signature?.scheme)) {
+      throw new Error(`Generic webhook provider ${provider.name} has unsupported signature scheme: ${provider.signature?.scheme}`);
+    }
+    if (typeof provider.getEventType !== 'function' || !provider.handlers) {
+      throw new Error(`Generic webhook provider ${provider.name} must declare getEventType() and handlers`);
+    }
+    providerMap.set(provider.name, provider);
+  });
+
+  return providerMap;
+}
+
+const providerMap = buildProviderMap(webhookProviders);
+
+/**
+ * GenericWebhookService - Registry and delivery pipeline for /api/webhooks/generic/:provider
+ *
+ * Provider modules (services/webhookProviders) declare their signature scheme,
+ * idempotency key and event handlers. Every delivery is stored in WebhookLog
+ * (provider 'generic', integration = provider name) and deduplicated on
+ * idempotency_key. Handlers that throw are retried through the WEBHOOK_RETRY job;
+ * throw an error with `retryable = false` to fail a delivery permanently.
+ */
+class GenericWebhookService {
+  /**
+   * Get a registered provider module
+   * @param {string} providerName - Provider name from the URL
+   * @returns {Object|null} Provider module or null when not registered
+   */
+  static getProvider(providerName) {
+    return providerMap.get(providerName) || null;
+  }
+
+  /**
+   * List registered providers (for docs and diagnostics)
+   * @returns {Array<Object>} [{ name, description, signatureScheme, events }]
+   */
+  static getRegisteredProviders() {
+    return [...providerMap.values()].map(provider => ({
+      name: provider.name,
+      description: provider.description || null,
+      signatureScheme: provider.signature.scheme,
+      events: Object.keys(provider.handlers)
+    }));
+  }
+
+  /**
+   * Get the shared secret for a provider from its declared env variable
+   * @param {Object} provider - Provider module
+   * @returns {string|null} Secret or null when not configured
+   */
+  static getSecret(provider) {
+    const { secretEnv } = provider.signature;
+    return (secretEnv && process.env[secretEnv]) || null;
+  }
+
+  /**
+   * Verify a delivery against the provider's signature scheme
+   * @param {Object} provider - Provider module
+   * @param {Object} request - { headers, rawBody }
+   * @returns {Object} { valid, reason }
+   */
+  static verifySignature(provider, { headers, rawBody }) {
+    if (provider.signature.scheme === 'none') {
+      // Unsigned integrations are only accepted while developing them
+      return isDev()
+        ? { valid: true, reason: 'Unsigned provider accepted in development' }
+        : { valid: false, reason: 'Unsigned providers are only accepted in development' };
+    }
+
+    const secret = this.getSecret(provider);
+    if (!secret) {
+      luderror.api(`${provider.signature.secretEnv} is not configured - rejecting ${provider.name} webhook`);
+      return { valid: false, reason: 'Webhook secret not configured' };
+    }
+
+    const valid = verifyGenericWebhookSignature(provider.signature, { headers, rawBody, secret });
+    return { valid, reason: valid ? null : 'Invalid webhook signature' };
+  }
+
+  /**
+   * Resolve the event type of a delivery
+   * @param {Object} provider - Provider module
+   * @param {Object} payload - Parsed body
+   * @param {Object} headers - Request headers
+   * @returns {string} Event type ('unknown' when the provider cannot tell)
+   */
+  static getEventType(provider, payload, headers) {
+    try {
+      return String(provider.getEventType(payload, headers) || 'unknown').substring(0, 100);
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+
+  /**
+   * Resolve the idempotency key of a delivery
+   * Falls back to a hash of the raw body when the provider does not declare one
+   * @param {Object} provider - Provider module
+   * @param {Object} payload - Parsed body
+   * @param {Object} headers - Request headers
+   * @param {Buffer|string} rawBody - Raw request body
+   * @returns {string} Idempotency key
+   */
+  static getIdempotencyKey(provider, payload, headers, rawBody) {
+    let key = null;
+    if (typeof provider.getIdempotencyKey === 'function') {
+      try {
+        key = provider.getIdempotencyKey(payload, headers);
+      } catch (error) {
+        key = null;
+      }
+    }
+
+    if (!key) {
+      key = `sha256:${crypto.createHash('sha256').update(rawBody || '').digest('hex')}`;
+    }
+
+    return String(key).substring(0, 255);
+  }
+
+  /**
+   * Find another delivery that already owns this idempotency key
+   * @param {string} providerName - Provider name
+   * @param {string} idempotencyKey - Delivery key
+   * @param {string} excludeId - Current WebhookLog id
+   * @returns {Promise<Object|null>} Existing WebhookLog or null
+   */
+  static async findProcessedDelivery(providerName, idempotencyKey, excludeId) {
+    if (!idempotencyKey) {
+      return null;
+    }
+
+    return models.WebhookLog.findOne({
+      where: {
+        provider: 'generic',
+        integration: providerName,
+        idempotency_key: idempotencyKey,
+        status: { [Op.in]: WEBHOOK_ACTIVE_STATUSES },
+        id: { [Op.ne]: excludeId }
+      },
+      order: [['created_at', 'ASC']]
+    });
+  }
+
+  /**
+   * Run the provider handler for a stored delivery
+   * @param {Object} provider - Provider module
+   * @param {Object} webhookLog - WebhookLog holding the payload
+   * @param {Object} [context] - Extra handler context ({ headers, attemptNumber })
+   * @returns {Promise<Object>} Handler result ({ handled, action, ... })
+   */
+  static async processDelivery(provider, webhookLog, context = {}) {
+    const eventType = webhookLog.event_type;
+    const handler = provider.handlers[eventType] || provider.handlers['*'];
+
+    if (!handler) {
+      webhookLog.addProcessLog(`${provider.name} event type ${eventType} is not handled - acknowledged only`);
+      return { handled: false, action: 'ignored' };
+    }
+
+    const result = await handler(webhookLog.event_data, {
+      webhookLog,
+      eventType,
+      provider: provider.name,
+      headers: context.headers || {},
+      attemptNumber: context.attemptNumber || 0
+    });
+
+    return { handled: true, action: 'processed', ...result };
+  }
+
+  /**
+   * Schedule a WEBHOOK_RETRY job for a failed delivery
+   * @param {Object} webhookLog - Failed WebhookLog
+   * @param {number} attemptNumber - Retry attempt to schedule (1-based)
+   * @param {number} [maxAttempts] - Maximum retry attempts
+   * @returns {Promise<Object|null>} { attemptNumber, delayMs } or null when it could not be scheduled
+   */
+  static async scheduleRetry(webhookLog, attemptNumber, maxAttempts = WEBHOOK_MAX_RETRY_ATTEMPTS) {
+    if (attemptNumber > maxAttempts) {
+      return null;
+    }
+
+    const delayMs = WEBHOOK_RETRY_DELAYS[attemptNumber - 1] || WEBHOOK_RETRY_DELAYS[WEBHOOK_RETRY_DELAYS.length - 1];
+
+    try {
+      const jobScheduler = (await import('./JobScheduler.js')).default;
+      const job = await jobScheduler.scheduleJob('WEBHOOK_RETRY', {
+        webhookLogId: webhookLog.id,
+        attemptNumber,
+        maxAttempts
+      }, {
+        delay: delayMs
+      });
+
+      // Null when Redis is unavailable - the caller must not count on a retry
+      return job ? { attemptNumber, delayMs } : null;
+
+    } catch (error) {
+      luderror.api('Failed to schedule webhook retry:', {
+        webhookLogId: webhookLog.id,
+        attemptNumber,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Record a handler failure and schedule the next retry when possible
+   * @param {Object} webhookLog - WebhookLog being processed
+   * @param {number} startTime - Processing start (ms)
+   * @param {Error} error - Handler error
+   * @param {number} nextAttempt - Retry attempt to schedule
+   * @param {number} [maxAttempts] - Maximum retry attempts
+   * @returns {Promise<Object>} { retryScheduled, nextAttempt, delayMs }
+   */
+  static async handleDeliveryFailure(webhookLog, startTime, error, nextAttempt, maxAttempts = WEBHOOK_MAX_RETRY_ATTEMPTS) {
+    const retry = error.retryable === false
+      ? null
+      : await this.scheduleRetry(webhookLog, nextAttempt, maxAttempts);
+
+    if (!retry) {
+      const reason = error.retryable === false ? 'not retryable' : 'no retry scheduled';
+      await webhookLog.failProcessing(startTime, error, `${webhookLog.integration} webhook failed (${reason}): ${error.message}`);
+      return { retryScheduled: false };
+    }
+
+    await webhookLog.update({
+      processing_duration_ms: Date.now() - startTime,
+      error_message: error.message
+    });
+    await webhookLog.updateStatus(
+      'retrying',
+      `${webhookLog.integration} webhook failed: ${error.message} - retry ${retry.attemptNumber}/${maxAttempts} in ${retry.delayMs / 1000}s`
+    );
+
+    return { retryScheduled: true, nextAttempt: retry.attemptNumber, delayMs: retry.delayMs };
+  }
+
+  /**
+   * Re-run a failed delivery (WEBHOOK_RETRY job)
+   * @param {string} webhookLogId - WebhookLog id
+   * @param {Object} [options]
+   * @param {number} [options.attemptNumber] - Current retry attempt (1-based)
+   * @param {number} [options.maxAttempts] - Maximum retry attempts
+   * @returns {Promise<Object>} Retry result
+   */
+  static async retryDelivery(webhookLogId, options = {}) {
+    const { attemptNumber = 1, maxAttempts = WEBHOOK_MAX_RETRY_ATTEMPTS } = options;
+
+    const webhookLog = await models.WebhookLog.findByPk(webhookLogId);
+    if (!webhookLog) {
+      return { success: false, action: 'webhook_log_not_found', webhookLogId };
+    }
+
+    // Completed by a redelivery or resolved manually in the meantime
+    if (webhookLog.status !== 'retrying') {
+      return { success: true, action: 'skipped', status: webhookLog.status, webhookLogId };
+    }
+
+    const startTime = Date.now();
+    const provider = this.getProvider(webhookLog.integration);
+    if (!provider) {
+      await webhookLog.failProcessing(startTime, new Error(`Generic webhook provider ${webhookLog.integration} is no longer registered`));
+      return { success: false, action: 'provider_not_registered', webhookLogId };
+    }
+
+    webhookLog.retry_count = attemptNumber;
+    await webhookLog.updateStatus('processing', `Retry attempt ${attemptNumber}/${maxAttempts}`);
+
+    try {
+      const result = await this.processDelivery(provider, webhookLog, { attemptNumber });
+
+      await webhookLog.completeProcessing(startTime, `${provider.name} ${webhookLog.event_type} processed on retry ${attemptNumber}: ${result.action}`);
+      await webhookLog.update({
+        response_data: { ...webhookLog.response_data, retryResult: result }
+      });
+
+      ludlog.api('Generic webhook retry succeeded', {
+        webhookLogId,
+        provider: provider.name,
+        attemptNumber
+      });
+
+      return { success: true, action: 'webhook_retry_succeeded', attemptNumber, result };
+
+    } catch (error) {
+      luderror.api('Generic webhook retry failed:', {
+        webhookLogId,
+        provider: provider.name,
+        attemptNumber,
+        error: error.message
+      });
+
+      const failure = await this.handleDeliveryFailure(webhookLog, startTime, error, attemptNumber + 1, maxAttempts);
+
+      return {
+        success: false,
+        action: failure.retryScheduled ? 'scheduled_next_attempt' : 'retries_exhausted',
+        attemptNumber,
+        error: error.message,
+        ...failure
+      };
+    }
+  }
+}
+
+export default GenericWebhookService;
\ No newline at end of file
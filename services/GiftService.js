@@ -0,0 +1,566 @@
+import models from '../models/index.js';
+import { Op } from 'sequelize';
+import { generateId } from '../models/baseModel.js';
+import { ludlog, luderror } from '../lib/ludlog.js';
+import { BadRequestError, ConflictError, NotFoundError } from '../middleware/errorHandler.js';
+import {
+  GIFT_PURCHASABLE_TYPE,
+  GIFT_TYPES,
+  GIFT_CODE_STATUSES,
+  getGiftCodeValidityYears,
+  normalizeGiftCode
+} from '../constants/gifts.js';
+import { INSTITUTION_PLAN_TYPE } from '../constants/schoolLicenses.js';
+import { calcSubscriptionPlanPrice } from '../utils/purchasePricing.js';
+import couponCodeGenerator from '../utils/couponCodeGenerator.js';
+import { escapeHtml, normalizeEmail } from '../utils/emailContent.js';
+import AccessControlService from './AccessControlService.js';
+import SubscriptionService from './SubscriptionService.js';
+import EmailService from './EmailService.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_CODE_ATTEMPTS = 5;
+
+/**
+ * GiftService - Gift purchases and redeemable gift codes
+ *
+ * A gift is a cart Purchase with purchasable_type 'gift_code' whose purchasable_id is the
+ * gifted Product (or SubscriptionPlan), so it is paid, invoiced, credited to the creator and
+ * refunded like any other purchase but never grants the buyer access.
+ * Once the purchase is paid a GiftCode is issued (one per purchase) and emailed to the
+ * recipient. Redemption grants access through AccessControlService.grantAccess, or creates a
+ * non-renewing subscription for one billing period of the plan.
+ *
+ * Gift purchases can be refunded only until the code is redeemed; a full refund revokes the code.
+ */
+class GiftService {
+  /**
+   * Validate a gift request and resolve what is being gifted
+   * @param {Object} details
+   * @param {string} [details.productId] - Product to gift
+   * @param {string} [details.subscriptionPlanId] - Subscription plan to gift (one billing period)
+   * @param {string} details.recipientEmail - Recipient email
+   * @param {string} [details.recipientName] - Recipient name
+   * @param {string} [details.senderName] - Sender name shown to the recipient
+   * @param {string} [details.message] - Personal message
+   * @returns {Promise<Object>} { purchasableId, price, gift } - gift is stored in purchase metadata
+   */
+  static async resolveGift(details = {}) {
+    const { productId, subscriptionPlanId, recipientName, senderName } = details;
+    const recipientEmail = normalizeEmail(details.recipientEmail);
+    const message = details.message ? String(details.message).trim() : null;
+
+    if (!productId === !subscriptionPlanId) {
+      throw new BadRequestError('Either productId or subscriptionPlanId is required');
+    }
+
+    if (!EMAIL_PATTERN.test(recipientEmail)) {
+      throw new BadRequestError('A valid recipientEmail is required');
+    }
+
+    if (message && message.length > MAX_MESSAGE_LENGTH) {
+      throw new BadRequestError(`Gift message cannot be longer than ${MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    const gift = {
+      recipient_email: recipientEmail,
+      recipient_name: recipientName || null,
+      sender_name: senderName || null,
+      message
+    };
+
+    if (subscriptionPlanId) {
+      const plan = await models.SubscriptionPlan.findByPk(subscriptionPlanId);
+      if (!plan || !plan.is_active) {
+        throw new NotFoundError('Subscription plan not found or inactive');
+      }
+
+      if (plan.plan_type === INSTITUTION_PLAN_TYPE) {
+        throw new BadRequestError('Institution plans cannot be gifted');
+      }
+
+      const price = calcSubscriptionPlanPrice(plan).finalPrice;
+      if (!(price > 0)) {
+        throw new BadRequestError('Free subscription plans cannot be gifted');
+      }
+
+      return {
+        purchasableId: plan.id,
+        price,
+        gift: { ...gift, gift_type: GIFT_TYPES.SUBSCRIPTION, product_type: null, title: `מנוי ${plan.name}` }
+      };
+    }
+
+    const product = await models.Product.findByPk(productId);
+    if (!product || product.is_published === false) {
+      throw new NotFoundError('Product not found');
+    }
+
+    // Bundle items are created by the bundle checkout flow, which redemption does not run
+    if (product.type_attributes?.is_bundle) {
+      throw new BadRequestError('Bundles cannot be gifted');
+    }
+
+    const price = parseFloat(product.price || 0);
+    if (!(price > 0)) {
+      throw new BadRequestError('Free products cannot be gifted');
+    }
+
+    return {
+      purchasableId: product.id,
+      price,
+      gift: { ...gift, gift_type: GIFT_TYPES.PRODUCT, product_type: product.product_type, title: product.title }
+    };
+  }
+
+  /**
+   * Check whether a purchase is a gift purchase
+   * @param {Object} purchase - Purchase
+   * @returns {boolean} True for gift purchases
+   */
+  static isGiftPurchase(purchase) {
+    return purchase?.purchasable_type === GIFT_PURCHASABLE_TYPE;
+  }
+
+  /**
+   * Generate a gift code that is not in use yet (GIFT-XXXX-XXXX preset)
+   * @returns {Promise<string>} Unique code
+   */
+  static async generateUniqueCode() {
+    const pattern = couponCodeGenerator.generatePresetPattern('gift');
+
+    for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+      const code = couponCodeGenerator.generateSingleCode(pattern);
+      const existing = await models.GiftCode.count({ where: { code } });
+      if (!existing) {
+        return code;
+      }
+    }
+
+    throw new Error('Could not generate a unique gift code');
+  }
+
+  /**
+   * Issue the gift code for a paid gift purchase and email it to the recipient
+   * Idempotent - returns the existing code when the purchase already has one.
+   * @param {Object} purchase - Completed gift purchase
+   * @returns {Promise<Object|null>} Gift code, or null for non-gift purchases
+   */
+  static async issueGiftCode(purchase) {
+    if (!this.isGiftPurchase(purchase)) {
+      return null;
+    }
+
+    let giftCode = await models.GiftCode.findOne({ where: { purchase_id: purchase.id } });
+
+    if (!giftCode) {
+      const gift = purchase.metadata?.gift || {};
+      const buyer = gift.sender_name ? null : await models.User.findByPk(purchase.buyer_user_id);
+      const now = new Date();
+      const expiresAt = new Date(now);
+      expiresAt.setFullYear(expiresAt.getFullYear() + getGiftCodeValidityYears());
+
+      try {
+        giftCode = await models.GiftCode.create({
+          id: generateId(),
+          code: await this.generateUniqueCode(),
+          purchase_id: purchase.id,
+          buyer_user_id: purchase.buyer_user_id,
+          gift_type: gift.gift_type,
+          product_type: gift.gift_type === GIFT_TYPES.PRODUCT ? gift.product_type : null,
+          product_id: gift.gift_type === GIFT_TYPES.PRODUCT ? purchase.purchasable_id : null,
+          subscription_plan_id: gift.gift_type === GIFT_TYPES.SUBSCRIPTION ? purchase.purchasable_id : null,
+          amount: purchase.payment_amount,
+          recipient_email: gift.recipient_email,
+          recipient_name: gift.recipient_name || null,
+          sender_name: gift.sender_name || buyer?.full_name || null,
+          message: gift.message || null,
+          status: GIFT_CODE_STATUSES.ACTIVE,
+          expires_at: expiresAt,
+          metadata: {
+            title: gift.title || null,
+            transaction_id: purchase.transaction_id
+          },
+          created_at: now,
+          updated_at: now
+        });
+
+        ludlog.payments('Gift code issued:', {
+          giftCodeId: giftCode.id,
+          purchaseId: purchase.id,
+          giftType: giftCode.gift_type
+        });
+      } catch (error) {
+        // Completed concurrently by the webhook and page polling
+        if (error.name === 'SequelizeUniqueConstraintError') {
+          return models.GiftCode.findOne({ where: { purchase_id: purchase.id } });
+        }
+        throw error;
+      }
+    }
+
+    if (!giftCode.emailed_at) {
+      try {
+        await this.deliverGiftCode(giftCode);
+      } catch (error) {
+        // The code stays valid - admins can resend it
+        luderror.payments('Failed to email gift code:', {
+          giftCodeId: giftCode.id,
+          error: error.message
+        });
+      }
+    }
+
+    return giftCode;
+  }
+
+  /**
+   * Email a gift code to its recipient
+   * @param {Object} giftCode - Gift code
+   * @returns {Promise<Object>} Updated gift code
+   */
+  static async deliverGiftCode(giftCode) {
+    const title = giftCode.metadata?.title || 'מתנה';
+    const sender = giftCode.sender_name || 'חבר/ה';
+    const redeemUrl = `${process.env.FRONTEND_URL}/gift/redeem?code=${encodeURIComponent(giftCode.code)}`;
+    const expiresAt = new Date(giftCode.expires_at).toLocaleDateString('he-IL', { timeZone: 'Asia/Jerusalem' });
+
+    await EmailService.sendEmail({
+      to: giftCode.recipient_email,
+      subject: `${sender} שלח/ה לך מתנה ב-Ludora`,
+      html: `<div dir="rtl">
+          <p>שלום${giftCode.recipient_name ? ` ${escapeHtml(giftCode.recipient_name)}` : ''},</p>
+          <p>${escapeHtml(sender)} שלח/ה לך מתנה: <strong>${escapeHtml(title)}</strong></p>
+          ${giftCode.message ? `<p>"${escapeHtml(giftCode.message)}"</p>` : ''}
+          <p>קוד המתנה שלך: <strong dir="ltr">${giftCode.code}</strong></p>
+          <p><a href="${redeemUrl}">למימוש המתנה</a></p>
+          <p>הקוד בתוקף עד ${expiresAt}.</p>
+          <p>תודה,<br>צוות Ludora</p>
+        </div>`,
+      relatedEntityId: giftCode.id
+    });
+
+    return giftCode.update({ emailed_at: new Date(), updated_at: new Date() });
+  }
+
+  /**
+   * Status including expiry that was not persisted yet
+   * @param {Object} giftCode - Gift code
+   * @returns {string} Status
+   */
+  static getEffectiveStatus(giftCode) {
+    if (giftCode.status === GIFT_CODE_STATUSES.ACTIVE && new Date(giftCode.expires_at) <= new Date()) {
+      return GIFT_CODE_STATUSES.EXPIRED;
+    }
+    return giftCode.status;
+  }
+
+  /**
+   * Public view of a gift code for the redemption page
+   * @param {string} code - Gift code
+   * @returns {Promise<Object>} Gift summary
+   */
+  static async previewGiftCode(code) {
+    const giftCode = await models.GiftCode.findOne({ where: { code: normalizeGiftCode(code) } });
+    if (!giftCode) {
+      throw new NotFoundError('Gift code not found');
+    }
+
+    return {
+      code: giftCode.code,
+      status: this.getEffectiveStatus(giftCode),
+      gift_type: giftCode.gift_type,
+      title: giftCode.metadata?.title || null,
+      product_type: giftCode.product_type,
+      product_id: giftCode.product_id,
+      subscription_plan_id: giftCode.subscription_plan_id,
+      sender_name: giftCode.sender_name,
+      message: giftCode.message,
+      expires_at: giftCode.expires_at
+    };
+  }
+
+  /**
+   * Redeem a gift code for the current user
+   * The code row is locked for the whole redemption so a code can only be used once.
+   * @param {string} userId - Redeeming user
+   * @param {string} code - Gift code
+   * @returns {Promise<Object>} { giftCode, purchase } or { giftCode, subscription }
+   */
+  static async redeemGiftCode(userId, code) {
+    const normalizedCode = normalizeGiftCode(code);
+    if (!normalizedCode) {
+      throw new BadRequestError('code is required');
+    }
+
+    const dbTransaction = await models.sequelize.transaction();
+
+    try {
+      const giftCode = await models.GiftCode.findOne({
+        where: { code: normalizedCode },
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE
+      });
+
+      if (!giftCode) {
+        throw new NotFoundError('Gift code not found');
+      }
+
+      const status = this.getEffectiveStatus(giftCode);
+
+      if (status === GIFT_CODE_STATUSES.EXPIRED) {
+        if (giftCode.status !== GIFT_CODE_STATUSES.EXPIRED) {
+          await giftCode.update({ status: GIFT_CODE_STATUSES.EXPIRED, updated_at: new Date() }, { transaction: dbTransaction });
+          await dbTransaction.commit();
+        } else {
+          await dbTransaction.rollback();
+        }
+        throw new BadRequestError('Gift code has expired');
+      }
+
+      if (status === GIFT_CODE_STATUSES.REDEEMED) {
+        throw new ConflictError('Gift code was already redeemed');
+      }
+
+      if (status !== GIFT_CODE_STATUSES.ACTIVE) {
+        throw new BadRequestError('Gift code is no longer valid');
+      }
+
+      const result = giftCode.gift_type === GIFT_TYPES.SUBSCRIPTION
+        ? await this.redeemSubscriptionGift(userId, giftCode, dbTransaction)
+        : await this.redeemProductGift(userId, giftCode, dbTransaction);
+
+      const now = new Date();
+      await giftCode.update({
+        status: GIFT_CODE_STATUSES.REDEEMED,
+        redeemed_by_user_id: userId,
+        redeemed_at: now,
+        redeemed_purchase_id: result.purchase?.id || null,
+        redeemed_subscription_id: result.subscription?.id || null,
+        updated_at: now
+      }, { transaction: dbTransaction });
+
+      await dbTransaction.commit();
+
+      ludlog.payments('Gift code redeemed:', {
+        giftCodeId: giftCode.id,
+        userId,
+        giftType: giftCode.gift_type
+      });
+
+      return { giftCode, ...result };
+
+    } catch (error) {
+      if (!dbTransaction.finished) {
+        await dbTransaction.rollback();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Grant the gifted product to the recipient
+   * @param {string} userId - Recipient
+   * @param {Object} giftCode - Locked gift code
+   * @param {Object} dbTransaction - Sequelize transaction
+   * @returns {Promise<Object>} { purchase }
+   */
+  static async redeemProductGift(userId, giftCode, dbTransaction) {
+    const product = await models.Product.findByPk(giftCode.product_id, { transaction: dbTransaction });
+    if (!product) {
+      throw new NotFoundError('Gifted product is no longer available');
+    }
+
+    // Keep the code for someone else rather than spending it on access the user already has
+    const access = await AccessControlService.checkAccess(userId, giftCode.product_type, product.id);
+    if (access.hasAccess) {
+      throw new ConflictError('You already have access to this product');
+    }
+
+    const purchase = await AccessControlService.grantAccess(userId, giftCode.product_type, product.id, {
+      accessDays: product.access_days,
+      isLifetimeAccess: !product.access_days,
+      price: 0,
+      transaction: dbTransaction,
+      metadata: {
+        product_title: product.title,
+        gift_code_id: giftCode.id,
+        gift_purchase_id: giftCode.purchase_id,
+        gifted_by_user_id: giftCode.buyer_user_id,
+        granted_via: 'gift_code'
+      }
+    });
+
+    return { purchase };
+  }
+
+  /**
+   * Create a non-renewing subscription for one billing period of the gifted plan
+   * @param {string} userId - Recipient
+   * @param {Object} giftCode - Locked gift code
+   * @param {Object} dbTransaction - Sequelize transaction
+   * @returns {Promise<Object>} { subscription }
+   */
+  static async redeemSubscriptionGift(userId, giftCode, dbTransaction) {
+    const activeSubscription = await SubscriptionService.getUserActiveSubscription(userId);
+    if (activeSubscription) {
+      throw new ConflictError('You already have a subscription - the gift can be redeemed once it ends');
+    }
+
+    const plan = await models.SubscriptionPlan.findByPk(giftCode.subscription_plan_id, { transaction: dbTransaction });
+    if (!plan || !plan.is_active) {
+      throw new NotFoundError('Gifted subscription plan is no longer available');
+    }
+
+    // Passing the plan skips the purchase validation - the checks above are the ones that apply to a gift
+    let subscription = await SubscriptionService.createSubscription({
+      userId,
+      subscriptionPlanId: plan.id,
+      subscriptionPlan: plan,
+      enableAutoRenewal: false,
+      transaction: dbTransaction,
+      metadata: {
+        gift_code_id: giftCode.id,
+        gift_purchase_id: giftCode.purchase_id,
+        gifted_by_user_id: giftCode.buyer_user_id,
+        granted_via: 'gift_code'
+      }
+    });
+
+    if (subscription.status === 'pending') {
+      subscription = await SubscriptionService.activateSubscription(subscription.id, { transaction: dbTransaction });
+    }
+
+    return { subscription };
+  }
+
+  /**
+   * Refunds are only allowed before the gift code is redeemed
+   * @param {Object} purchase - Gift purchase about to be refunded
+   * @returns {Promise<Object|null>} Gift code (null when not issued yet)
+   */
+  static async assertRefundable(purchase) {
+    const giftCode = await models.GiftCode.findOne({ where: { purchase_id: purchase.id } });
+
+    if (giftCode?.status === GIFT_CODE_STATUSES.REDEEMED) {
+      throw new BadRequestError('Gift code was already redeemed - the gift purchase can no longer be refunded');
+    }
+
+    return giftCode;
+  }
+
+  /**
+   * Revoke the gift code of a fully refunded gift purchase
+   * If the code was redeemed while the refund was in flight, the recipient's access is ended too.
+   * @param {Object} purchase - Gift purchase
+   * @param {Object} dbTransaction - Refund DB transaction
+   * @returns {Promise<Object|null>} Revoked gift code
+   */
+  static async revokeForRefund(purchase, dbTransaction) {
+    const giftCode = await models.GiftCode.findOne({
+      where: { purchase_id: purchase.id },
+      transaction: dbTransaction,
+      lock: dbTransaction.LOCK.UPDATE
+    });
+
+    if (!giftCode || giftCode.status === GIFT_CODE_STATUSES.REVOKED) {
+      return giftCode;
+    }
+
+    const now = new Date();
+
+    if (giftCode.status === GIFT_CODE_STATUSES.REDEEMED) {
+      luderror.payments('Gift code was redeemed during its refund - ending the recipient access:', {
+        giftCodeId: giftCode.id,
+        purchaseId: purchase.id
+      });
+
+      if (giftCode.redeemed_purchase_id) {
+        await AccessControlService.revokeAccess(
+          giftCode.redeemed_by_user_id,
+          giftCode.product_type,
+          giftCode.product_id,
+          { purchaseId: giftCode.redeemed_purchase_id, reason: 'gift_refunded', transaction: dbTransaction }
+        );
+      }
+
+      if (giftCode.redeemed_subscription_id) {
+        await models.Subscription.update({
+          status: 'cancelled',
+          cancelled_at: now,
+          end_date: now,
+          updated_at: now
+        }, {
+          where: { id: giftCode.redeemed_subscription_id },
+          transaction: dbTransaction
+        });
+      }
+    }
+
+    return giftCode.update({
+      status: GIFT_CODE_STATUSES.REVOKED,
+      metadata: {
+        ...giftCode.metadata,
+        revoked_at: now.toISOString(),
+        revoked_reason: 'purchase_refunded',
+        status_before_revoke: giftCode.status
+      },
+      updated_at: now
+    }, { transaction: dbTransaction });
+  }
+
+  /**
+   * Gifts bought by a user
+   * @param {string} userId - Buyer
+   * @returns {Promise<Array>} Gift codes, newest first
+   */
+  static async getSentGifts(userId) {
+    return models.GiftCode.findAll({
+      where: { buyer_user_id: userId },
+      order: [['created_at', 'DESC']]
+    });
+  }
+
+  /**
+   * Admin lookup by code, purchase or email (buyer or recipient)
+   * @param {Object} filters
+   * @param {string} [filters.code] - Gift code
+   * @param {string} [filters.purchaseId] - Gift purchase ID
+   * @param {string} [filters.email] - Buyer or recipient email
+   * @returns {Promise<Array>} Matching gift codes with buyer and redeemer
+   */
+  static async findGiftCodes({ code, purchaseId, email } = {}) {
+    if (!code && !purchaseId && !email) {
+      throw new BadRequestError('One of code, purchaseId or email is required');
+    }
+
+    const where = {};
+
+    if (code) {
+      where.code = normalizeGiftCode(code);
+    }
+    if (purchaseId) {
+      where.purchase_id = purchaseId;
+    }
+    if (email) {
+      const normalizedEmail = normalizeEmail(email);
+      where[Op.or] = [
+        { recipient_email: normalizedEmail },
+        { '$buyer.email$': normalizedEmail }
+      ];
+    }
+
+    return models.GiftCode.findAll({
+      where,
+      include: [
+        { model: models.User, as: 'buyer', attributes: ['id', 'email', 'full_name'] },
+        { model: models.User, as: 'redeemedBy', attributes: ['id', 'email', 'full_name'] }
+      ],
+      order: [['created_at', 'DESC']],
+      limit: 100
+    });
+  }
+}
+
+export default GiftService;
\ No newline at end of file
@@ -0,0 +1,649 @@
+import { Op } from 'sequelize';
+import models from '../models/index.js';
+import { generateId } from '../models/baseModel.js';
+import GameLobbyService from './GameLobbyService.js';
+import GameSessionService from './GameSessionService.js';
+import LobbySocketService from './LobbySocketService.js';
+import { getGameEngine } from './gameEngines/index.js';
+import {
+  HOMEWORK_SCORE_POLICY,
+  HOMEWORK_STATUS,
+  HOMEWORK_STUDENT_STATUS,
+  MAX_ACTIVE_HOMEWORK_PER_CLASSROOM
+} from '../constants/homework.js';
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError } from '../middleware/errorHandler.js';
+import { ludlog, luderror } from '../lib/ludlog.js';
+
+const toNumberOrNull = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const average = (values) => {
+  if (values.length === 0) return null;
+  return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100;
+};
+
+/**
+ * HomeworkService - Games assigned to a classroom as homework
+ *
+ * A teacher assigns a game to one of their classrooms with an open window (opens_at -> due_at,
+ * optionally accepting late attempts until late_until). The assignment is backed by its own
+ * single-player lobby; every attempt of a student is a solo GameSession in that lobby tagged with
+ * data.homework = { assignment_id, student_id, attempt_number }.
+ *
+ * Students (Players or student users with an active ClassroomMembership) start attempts on their own
+ * time, up to max_attempts. Server-authoritative games finish attempts on their own; client-driven
+ * games submit the attempt's result. Scores come from the recorded GameSessionResults and are
+ * combined per student with the assignment's score policy (best, last or average).
+ */
+class HomeworkService {
+  /**
+   * Assign a game to a classroom as homework
+   * @param {Object} data - { classroom_id, game_id, title, instructions, opens_at, due_at, late_until, max_attempts, score_policy }
+   * @param {string} teacherId - Requesting teacher (must own the classroom)
+   * @param {string|null} userRole - Requesting user role (admins may assign any game)
+   * @returns {Promise<Object>} Created assignment
+   */
+  static async createAssignment(data, teacherId, userRole = null) {
+    const classroom = await this.findOwnedClassroom(data.classroom_id, teacherId);
+
+    const game = await models.Game.findByPk(data.game_id, { attributes: ['id', 'game_type'] });
+    if (!game) {
+      throw new NotFoundError('Game');
+    }
+
+    if (!(await this.canAssignGame(game.id, teacherId, userRole))) {
+      throw new ForbiddenError('Access denied: You can only assign games you own');
+    }
+
+    const window = this.buildWindow(data);
+
+    const activeCount = await models.HomeworkAssignment.count({
+      where: { classroom_id: classroom.id, status: HOMEWORK_STATUS.ACTIVE }
+    });
+    if (activeCount >= MAX_ACTIVE_HOMEWORK_PER_CLASSROOM) {
+      throw new ConflictError(`A classroom can have at most ${MAX_ACTIVE_HOMEWORK_PER_CLASSROOM} active homework assignments`);
+    }
+
+    const assignmentId = generateId();
+    const transaction = await models.sequelize.transaction();
+    try {
+      // One seat per session: every attempt is played solo
+      const lobby = await GameLobbyService.createLobby(game.id, {
+        settings: {
+          max_players: 1,
+          allow_guest_users: false,
+          invitation_type: 'manual_selection',
+          classroom_id: classroom.id,
+          homework_assignment_id: assignmentId
+        },
+        expires_at: window.late_until || window.due_at
+      }, teacherId, transaction);
+
+      const now = new Date();
+      const assignment = await models.HomeworkAssignment.create({
+        id: assignmentId,
+        classroom_id: classroom.id,
+        teacher_id: teacherId,
+        game_id: game.id,
+        lobby_id: lobby.id,
+        title: data.title,
+        instructions: data.instructions || null,
+        ...window,
+        max_attempts: data.max_attempts ?? null,
+        score_policy: data.score_policy || HOMEWORK_SCORE_POLICY.BEST,
+        status: HOMEWORK_STATUS.ACTIVE,
+        metadata: {},
+        created_at: now,
+        updated_at: now
+      }, { transaction });
+
+      await transaction.commit();
+
+      ludlog.api('Homework assigned', {
+        assignmentId,
+        classroomId: classroom.id,
+        gameId: game.id,
+        lobbyId: lobby.id,
+        dueAt: assignment.due_at
+      });
+
+      return this.toAssignmentView(assignment);
+    } catch (error) {
+      await transaction.rollback();
+      luderror.api('❌ Failed to create homework assignment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Homework assignments of a classroom, latest due date first
+   * @param {string} classroomId - Classroom ID
+   * @param {string} teacherId - Requesting teacher (must own the classroom)
+   * @returns {Promise<Array>} Assignments
+   */
+  static async listClassroomAssignments(classroomId, teacherId) {
+    await this.findOwnedClassroom(classroomId, teacherId);
+
+    const assignments = await models.HomeworkAssignment.findAll({
+      where: { classroom_id: classroomId },
+      order: [['due_at', 'DESC']]
+    });
+
+    return assignments.map(assignment => this.toAssignmentView(assignment));
+  }
+
+  /**
+   * Per-student completion of an assignment, for every active student of the classroom
+   * @param {string} assignmentId - Assignment ID
+   * @param {string} teacherId - Requesting teacher (must own the classroom)
+   * @returns {Promise<Object>} { assignment, summary, students }
+   */
+  static async getAssignmentProgress(assignmentId, teacherId) {
+    const assignment = await this.findOwnedAssignment(assignmentId, teacherId);
+
+    const memberships = await models.ClassroomMembership.findAll({
+      where: { classroom_id: assignment.classroom_id, status: 'active' }
+    });
+
+    const { sessions, results } = await this.findAttempts([assignment.lobby_id]);
+    const now = new Date();
+
+    const students = memberships.map(membership => ({
+      student_id: membership.student_user_id,
+      membership_id: membership.id,
+      display_name: membership.student_display_name ||
+        results.find(result => (result.player_id || result.user_id) === membership.student_user_id)?.display_name || null,
+      ...this.summarizeStudent(assignment, membership.student_user_id, sessions, results, now)
+    }));
+
+    const summary = Object.fromEntries(Object.values(HOMEWORK_STUDENT_STATUS).map(status => [
+      status,
+      students.filter(student => student.status === status).length
+    ]));
+
+    return {
+      assignment: this.toAssignmentView(assignment),
+      summary: { students: students.length, ...summary },
+      students
+    };
+  }
+
+  /**
+   * Cancel an assignment - its lobby closes and no more attempts can be started
+   * @param {string} assignmentId - Assignment ID
+   * @param {string} teacherId - Requesting teacher (must own the classroom)
+   * @returns {Promise<Object>} Cancelled assignment
+   */
+  static async cancelAssignment(assignmentId, teacherId) {
+    const assignment = await this.findOwnedAssignment(assignmentId, teacherId);
+
+    if (assignment.status !== HOMEWORK_STATUS.ACTIVE) {
+      throw new ConflictError(`Homework is already ${assignment.status}`);
+    }
+
+    const transaction = await models.sequelize.transaction();
+    try {
+      await assignment.update({
+        status: HOMEWORK_STATUS.CANCELLED,
+        updated_at: new Date()
+      }, { transaction });
+
+      await GameLobbyService.closeLobby(assignment.lobby_id, assignment.teacher_id, transaction);
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      luderror.api('❌ Failed to cancel homework assignment:', error);
+      throw error;
+    }
+
+    ludlog.api('Homework cancelled', { assignmentId, classroomId: assignment.classroom_id });
+
+    return this.toAssignmentView(assignment);
+  }
+
+  /**
+   * Open homework of a student across their classrooms, with their own progress, earliest due date first
+   * @param {Object} student - { id, type, display_name, teacher_id } (see getStudentIdentity in routes/homework.js)
+   * @returns {Promise<Array>} Assignments with progress
+   */
+  static async listStudentAssignments(student) {
+    const memberships = await models.ClassroomMembership.findAll({
+      where: { student_user_id: student.id, status: 'active' },
+      attributes: ['classroom_id']
+    });
+
+    if (memberships.length === 0) {
+      return [];
+    }
+
+    const now = new Date();
+    const assignments = await models.HomeworkAssignment.findAll({
+      where: {
+        classroom_id: { [Op.in]: memberships.map(membership => membership.classroom_id) },
+        status: HOMEWORK_STATUS.ACTIVE,
+        opens_at: { [Op.lte]: now }
+      },
+      order: [['due_at', 'ASC']]
+    });
+
+    const { sessions, results } = await this.findAttempts(assignments.map(assignment => assignment.lobby_id), student.id);
+
+    return assignments.map(assignment => ({
+      ...this.toAssignmentView(assignment),
+      progress: this.summarizeStudent(assignment, student.id, sessions, results, now)
+    }));
+  }
+
+  /**
+   * Start a solo attempt, or resume the student's unfinished one
+   * @param {string} assignmentId - Assignment ID
+   * @param {Object} student - { id, type, display_name, teacher_id }
+   * @returns {Promise<Object>} { session, attempt_number, resumed }
+   */
+  static async startAttempt(assignmentId, student) {
+    const transaction = await models.sequelize.transaction();
+    let attempt;
+    try {
+      const assignment = await this.findStudentAssignment(assignmentId, student.id, transaction);
+      const now = new Date();
+
+      if (now < assignment.opens_at) {
+        throw new BadRequestError('Homework is not open yet');
+      }
+
+      if (now > this.getClosesAt(assignment)) {
+        throw new ConflictError('Homework is closed for new attempts');
+      }
+
+      const attempts = await models.GameSession.findAll({
+        where: { lobby_id: assignment.lobby_id, data: { homework: { student_id: student.id } } },
+        attributes: ['id', 'session_number', 'data', 'finished_at'],
+        order: [['session_number', 'ASC']],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      const unfinished = attempts.find(session => !session.finished_at);
+      if (unfinished) {
+        attempt = { sessionId: unfinished.id, attemptNumber: unfinished.data.homework.attempt_number, resumed: true };
+      } else {
+        if (assignment.max_attempts !== null && attempts.length >= assignment.max_attempts) {
+          throw new ConflictError(`No attempts left (${assignment.max_attempts} allowed)`);
+        }
+
+        attempt = {
+          sessionId: await this.createAttemptSession(assignment, student, attempts.length + 1, transaction),
+          attemptNumber: attempts.length + 1,
+          resumed: false
+        };
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      luderror.api('❌ Failed to start homework attempt:', error);
+      throw error;
+    }
+
+    const session = await GameSessionService.getSessionDetails(attempt.sessionId);
+
+    if (!attempt.resumed) {
+      LobbySocketService.broadcastSessionStarted(session);
+      ludlog.api('Homework attempt started', { assignmentId, studentId: student.id, attemptNumber: attempt.attemptNumber });
+    }
+
+    return {
+      session,
+      attempt_number: attempt.attemptNumber,
+      resumed: attempt.resumed
+    };
+  }
+
+  /**
+   * Create and start the solo session of a new attempt
+   * @returns {Promise<string>} Session ID
+   */
+  static async createAttemptSession(assignment, student, attemptNumber, transaction) {
+    const sessionNumber = await GameSessionService.getNextSessionNumber(assignment.lobby_id, transaction);
+
+    const session = await models.GameSession.create({
+      lobby_id: assignment.lobby_id,
+      session_number: sessionNumber,
+      participants: [],
+      current_state: null,
+      expires_at: null, // Inherit from lobby
+      finished_at: null,
+      data: {
+        session_name: `${assignment.title} ${attemptNumber}`,
+        homework: {
+          assignment_id: assignment.id,
+          student_id: student.id,
+          attempt_number: attemptNumber
+        },
+        created_by_student: true,
+        created_by: student.id,
+        creation_timestamp: new Date().toISOString()
+      }
+    }, { transaction });
+
+    await GameSessionService.addParticipant(session.id, {
+      display_name: student.display_name,
+      player_id: student.type === 'player' ? student.id : null,
+      user_id: student.type === 'user' ? student.id : null,
+      teacher_id: student.teacher_id || null
+    }, student.id, transaction);
+
+    // Solo attempts start right away - server-authoritative games deal the student's board
+    const joinedSession = await models.GameSession.findByPk(session.id, { transaction });
+    const engineData = await GameSessionService.dealGame(joinedSession, assignment.lobby, transaction);
+
+    await joinedSession.update({
+      started_at: new Date(),
+      ...engineData
+    }, { transaction });
+
+    return session.id;
+  }
+
+  /**
+   * Submit the result of an attempt of a client-driven game
+   * Server-authoritative games finish the attempt themselves when the game ends.
+   * @param {string} assignmentId - Assignment ID
+   * @param {string} sessionId - Attempt session ID
+   * @param {Object} student - { id, type, display_name, teacher_id }
+   * @param {Object} result - { score, max_score, correct_count, attempt_count, time_spent_seconds, completed, items }
+   * @returns {Promise<Object>} { session, progress }
+   */
+  static async submitAttempt(assignmentId, sessionId, student, result) {
+    const transaction = await models.sequelize.transaction();
+    let assignment;
+    let finishedSession;
+    try {
+      assignment = await this.findStudentAssignment(assignmentId, student.id, transaction);
+
+      const session = await models.GameSession.findOne({
+        where: { id: sessionId, lobby_id: assignment.lobby_id },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!session || session.data?.homework?.student_id !== student.id) {
+        throw new NotFoundError('Attempt');
+      }
+
+      if (session.finished_at) {
+        throw new ConflictError('Attempt is already submitted');
+      }
+
+      if (getGameEngine(session.current_state?.engine)) {
+        throw new BadRequestError('This game submits attempts automatically when it ends');
+      }
+
+      if (new Date() > this.getClosesAt(assignment)) {
+        throw new ConflictError('Homework is closed for submissions');
+      }
+
+      const participant = (session.participants || []).find(p => (p.player_id || p.user_id) === student.id);
+
+      finishedSession = await GameSessionService.finishSession(session.id, {
+        reason: 'homework_submitted',
+        results: { participants: [{ ...result, participant_id: participant?.id }] }
+      }, student.id, transaction, { submittedBy: student.id });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      luderror.api('❌ Failed to submit homework attempt:', error);
+      throw error;
+    }
+
+    const { sessions, results } = await this.findAttempts([assignment.lobby_id], student.id);
+
+    return {
+      session: finishedSession,
+      progress: this.summarizeStudent(assignment, student.id, sessions, results, new Date())
+    };
+  }
+
+  /**
+   * A student's completion of an assignment
+   * @param {Object} assignment - HomeworkAssignment
+   * @param {string} studentId - Player ID or student user ID
+   * @param {Array} sessions - Attempt sessions (any student)
+   * @param {Array} results - GameSessionResults of the attempts (any student)
+   * @param {Date} now - Reference time
+   * @returns {Object} { status, score, attempts_used, attempts_remaining, submitted_at, late, attempts }
+   */
+  static summarizeStudent(assignment, studentId, sessions, results, now) {
+    const dueAt = new Date(assignment.due_at);
+
+    const resultsBySession = Object.fromEntries(results
+      .filter(result => (result.player_id || result.user_id) === studentId)
+      .map(result => [result.session_id, result]));
+
+    const attempts = sessions
+      .filter(session => session.lobby_id === assignment.lobby_id && session.data?.homework?.student_id === studentId)
+      .sort((a, b) => a.data.homework.attempt_number - b.data.homework.attempt_number)
+      .map(session => {
+        const result = resultsBySession[session.id];
+        return {
+          session_id: session.id,
+          attempt_number: session.data.homework.attempt_number,
+          started_at: session.started_at,
+          finished_at: session.finished_at,
+          score: toNumberOrNull(result?.score),
+          max_score: toNumberOrNull(result?.max_score),
+          accuracy: toNumberOrNull(result?.accuracy),
+          completed: !!result?.completed,
+          late: !!session.finished_at && new Date(session.finished_at) > dueAt
+        };
+      });
+
+    const finished = attempts
+      .filter(attempt => attempt.finished_at)
+      .sort((a, b) => new Date(a.finished_at) - new Date(b.finished_at));
+
+    let status;
+    if (finished.some(attempt => !attempt.late)) {
+      status = HOMEWORK_STUDENT_STATUS.COMPLETED;
+    } else if (finished.length > 0) {
+      status = HOMEWORK_STUDENT_STATUS.LATE;
+    } else if (now > dueAt) {
+      status = HOMEWORK_STUDENT_STATUS.MISSING;
+    } else if (attempts.length > 0) {
+      status = HOMEWORK_STUDENT_STATUS.IN_PROGRESS;
+    } else {
+      status = HOMEWORK_STUDENT_STATUS.NOT_STARTED;
+    }
+
+    const submittedAt = finished[0]?.finished_at || null;
+
+    return {
+      status,
+      score: this.applyScorePolicy(assignment.score_policy, finished),
+      max_score: finished.at(-1)?.max_score ?? null,
+      attempts_used: attempts.length,
+      attempts_remaining: assignment.max_attempts === null
+        ? null
+        : Math.max(assignment.max_attempts - attempts.length, 0),
+      submitted_at: submittedAt,
+      late: !!submittedAt && new Date(submittedAt) > dueAt,
+      attempts
+    };
+  }
+
+  /**
+   * Combine the scores of finished attempts (ordered by finish time) by a score policy
+   * @returns {number|null} Score, null without scored attempts
+   */
+  static applyScorePolicy(policy, finishedAttempts) {
+    const scored = finishedAttempts.filter(attempt => attempt.score !== null);
+    if (scored.length === 0) {
+      return null;
+    }
+
+    switch (policy) {
+      case HOMEWORK_SCORE_POLICY.LAST:
+        return scored.at(-1).score;
+      case HOMEWORK_SCORE_POLICY.AVERAGE:
+        return average(scored.map(attempt => attempt.score));
+      case HOMEWORK_SCORE_POLICY.BEST:
+      default:
+        return Math.max(...scored.map(attempt => attempt.score));
+    }
+  }
+
+  /**
+   * Attempt sessions and recorded results of homework lobbies
+   * @param {Array<string>} lobbyIds - Homework lobby IDs
+   * @param {string|null} studentId - Only this student's attempts
+   * @returns {Promise<Object>} { sessions, results }
+   */
+  static async findAttempts(lobbyIds, studentId = null) {
+    if (lobbyIds.length === 0) {
+      return { sessions: [], results: [] };
+    }
+
+    const sessions = await models.GameSession.findAll({
+      where: {
+        lobby_id: { [Op.in]: lobbyIds },
+        ...(studentId ? { data: { homework: { student_id: studentId } } } : {})
+      },
+      attributes: ['id', 'lobby_id', 'session_number', 'data', 'started_at', 'finished_at']
+    });
+
+    const results = await models.GameSessionResult.findAll({
+      where: {
+        lobby_id: { [Op.in]: lobbyIds },
+        ...(studentId ? { [Op.or]: [{ player_id: studentId }, { user_id: studentId }] } : {})
+      },
+      attributes: ['session_id', 'player_id', 'user_id', 'display_name', 'score', 'max_score', 'accuracy', 'completed']
+    });
+
+    return { sessions, results };
+  }
+
+  /**
+   * Validate the window of a new assignment
+   * @param {Object} data - { opens_at, due_at, late_until }
+   * @returns {Object} { opens_at, due_at, late_until }
+   */
+  static buildWindow(data) {
+    const opensAt = data.opens_at ? new Date(data.opens_at) : new Date();
+    const dueAt = new Date(data.due_at);
+    const lateUntil = data.late_until ? new Date(data.late_until) : null;
+
+    if (dueAt <= new Date()) {
+      throw new BadRequestError('due_at must be in the future');
+    }
+
+    if (dueAt <= opensAt) {
+      throw new BadRequestError('due_at must be after opens_at');
+    }
+
+    if (lateUntil && lateUntil <= dueAt) {
+      throw new BadRequestError('late_until must be after due_at');
+    }
+
+    return { opens_at: opensAt, due_at: dueAt, late_until: lateUntil };
+  }
+
+  /**
+   * End of the window for starting and submitting attempts
+   */
+  static getClosesAt(assignment) {
+    return new Date(assignment.late_until || assignment.due_at);
+  }
+
+  /**
+   * Same rule as lobby creation: Ludora-owned games or the teacher's own games
+   */
+  static async canAssignGame(gameId, userId, userRole) {
+    if (userRole === 'admin' || userRole === 'sysadmin') {
+      return true;
+    }
+
+    const product = await models.Product.findOne({
+      where: { product_type: 'game', entity_id: gameId }
+    });
+
+    return !product || !product.creator_user_id || String(product.creator_user_id) === String(userId);
+  }
+
+  static async findOwnedClassroom(classroomId, teacherId) {
+    const classroom = await models.Classroom.findByPk(classroomId);
+    if (!classroom) {
+      throw new NotFoundError('Classroom');
+    }
+
+    if (classroom.teacher_id !== teacherId) {
+      throw new ForbiddenError('Access denied: You do not own this classroom');
+    }
+
+    return classroom;
+  }
+
+  static async findOwnedAssignment(assignmentId, teacherId) {
+    const assignment = await models.HomeworkAssignment.findByPk(assignmentId);
+    if (!assignment) {
+      throw new NotFoundError('Homework');
+    }
+
+    if (assignment.teacher_id !== teacherId) {
+      throw new ForbiddenError('Access denied: You did not assign this homework');
+    }
+
+    return assignment;
+  }
+
+  /**
+   * An active assignment of one of the student's classrooms (with its lobby)
+   */
+  static async findStudentAssignment(assignmentId, studentId, transaction = null) {
+    const assignment = await models.HomeworkAssignment.findByPk(assignmentId, {
+      include: [{ model: models.GameLobby, as: 'lobby' }],
+      transaction
+    });
+
+    if (!assignment || assignment.status !== HOMEWORK_STATUS.ACTIVE) {
+      throw new NotFoundError('Homework');
+    }
+
+    const membership = await models.ClassroomMembership.findOne({
+      where: { classroom_id: assignment.classroom_id, student_user_id: studentId, status: 'active' },
+      transaction
+    });
+
+    if (!membership) {
+      throw new ForbiddenError('Access denied: Homework of another classroom');
+    }
+
+    return assignment;
+  }
+
+  static toAssignmentView(assignment) {
+    const now = new Date();
+    return {
+      id: assignment.id,
+      classroom_id: assignment.classroom_id,
+      game_id: assignment.game_id,
+      lobby_id: assignment.lobby_id,
+      title: assignment.title,
+      instructions: assignment.instructions,
+      opens_at: assignment.opens_at,
+      due_at: assignment.due_at,
+      late_until: assignment.late_until,
+      max_attempts: assignment.max_attempts,
+      score_policy: assignment.score_policy,
+      status: assignment.status,
+      accepting_attempts: assignment.status === HOMEWORK_STATUS.ACTIVE &&
+        now >= new Date(assignment.opens_at) && now <= this.getClosesAt(assignment),
+      created_at: assignment.created_at
+    };
+  }
+}
+
+export default HomeworkService;
\ No newline at end of file
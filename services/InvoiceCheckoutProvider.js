@@ -0,0 +1,106 @@
+import InvoicePaymentService from './InvoicePaymentService.js';
+import { INVOICE_PAYMENT_METHOD } from '../constants/invoicePayments.js';
+import { formatInvoiceNumber } from '../constants/invoices.js';
+import { isProd } from '../src/utils/environment.js';
+
+/**
+ * InvoiceCheckoutProvider - Pay by invoice behind the CheckoutProviderRouter interface
+ *
+ * There is no payment page: the checkout emails a proforma and grants provisional access,
+ * and an admin settles the transaction when the bank transfer arrives (InvoicePaymentService).
+ */
+class InvoiceCheckoutProvider {
+  static getName() {
+    return INVOICE_PAYMENT_METHOD;
+  }
+
+  // No external credentials - eligibility is checked per buyer
+  static isConfigured() {
+    return true;
+  }
+
+  // Nothing to poll - pending invoice payments wait for an admin
+  static supportsStatusPolling() {
+    return false;
+  }
+
+  static supportsSubscriptionPlan() {
+    return true;
+  }
+
+  // Schools and municipalities only
+  static assertEligible(user) {
+    InvoicePaymentService.assertEligible(user);
+  }
+
+  /**
+   * Check out cart purchases by invoice
+   * @param {Object} options
+   * @param {Object} options.user - Buyer (school account)
+   * @param {Array} options.purchaseItems - Database-sourced cart items
+   * @param {Object} options.metadata - Extra transaction metadata (purchase_order_number)
+   * @returns {Promise<Object>} Checkout result
+   */
+  static async createPurchaseCheckout(options = {}) {
+    const { user, purchaseItems, metadata = {} } = options;
+
+    const { transaction, proforma, provisionalAccessUntil } = await InvoicePaymentService.createPurchaseInvoicePayment({
+      user,
+      purchaseItems,
+      metadata
+    });
+
+    return {
+      provider: INVOICE_PAYMENT_METHOD,
+      transactionId: transaction.id,
+      paymentUrl: null,
+      environment: isProd() ? 'production' : 'staging',
+      data: this.buildCheckoutData(proforma, provisionalAccessUntil)
+    };
+  }
+
+  /**
+   * Pay for a pending subscription by invoice - the subscription is activated provisionally
+   * @param {Object} options
+   * @param {Object} options.subscription - Pending subscription
+   * @param {Object} options.subscriptionPlan - Subscription plan
+   * @param {Object} options.user - Subscriber (school account)
+   * @param {Object} options.pricingInfo - Calculated plan pricing
+   * @returns {Promise<Object>} Checkout result
+   */
+  static async createSubscriptionCheckout(options = {}) {
+    const { subscription, subscriptionPlan, user, pricingInfo } = options;
+
+    const { transaction, proforma, provisionalAccessUntil } = await InvoicePaymentService.createSubscriptionInvoicePayment({
+      subscription,
+      user,
+      amount: pricingInfo.finalPrice,
+      purchaseOrderNumber: subscription.metadata?.purchase_order_number || null,
+      metadata: {
+        subscription_plan_id: subscriptionPlan.id,
+        frontendOrigin: 'subscription',
+        pricingInfo
+      }
+    });
+
+    return {
+      provider: INVOICE_PAYMENT_METHOD,
+      transactionId: transaction.id,
+      paymentUrl: null,
+      environment: isProd() ? 'production' : 'staging',
+      data: this.buildCheckoutData(proforma, provisionalAccessUntil)
+    };
+  }
+
+  static buildCheckoutData(proforma, provisionalAccessUntil) {
+    return {
+      proformaId: proforma.id,
+      proformaNumber: formatInvoiceNumber(proforma.document_type, proforma.invoice_number),
+      amount: proforma.total_amount,
+      paymentDueDate: provisionalAccessUntil,
+      provisionalAccessUntil
+    };
+  }
+}
+
+export default InvoiceCheckoutProvider;
\ No newline at end of file
@@ -0,0 +1,395 @@
+import models from '../models/index.js';
+import { ludlog, luderror } from '../lib/ludlog.js';
+import { BadRequestError, ConflictError, NotFoundError } from '../middleware/errorHandler.js';
+import { INVOICE_PAYMENT_METHOD, INVOICE_PAYMENT_STATUSES, getInvoicePaymentGraceDays } from '../constants/invoicePayments.js';
+import { INVOICE_DOCUMENT_TYPES, formatInvoiceNumber } from '../constants/invoices.js';
+import { calcFinalPurchasePrice } from '../utils/purchasePricing.js';
+import PaymentService from './PaymentService.js';
+import InvoiceService from './InvoiceService.js';
+
+/**
+ * InvoicePaymentService - Pay by invoice (purchase order + bank transfer)
+ *
+ * A checkout creates the pending Transaction (payment_method 'invoice') and emails a proforma
+ * (חשבון עסקה). Until an admin marks the transfer as received, access is provisional:
+ * - Purchases stay pending and grant access until metadata.provisional_access_until
+ *   (AccessControlService.checkPurchaseAccess)
+ * - Subscriptions are activated with end_date capped at the end of the grace period;
+ *   marking them paid restores the full term
+ * Nothing is polled or expired by the PayPlus status jobs - unpaid orders simply lapse.
+ */
+class InvoicePaymentService {
+  /**
+   * Pay by invoice is offered to school staff (schools and municipalities pay by purchase order)
+   * @param {Object} user - Buyer
+   */
+  static assertEligible(user) {
+    if (!user?.school_id) {
+      throw new BadRequestError('Pay by invoice is only available to school accounts');
+    }
+  }
+
+  /**
+   * End of the provisional access period
+   * @param {Date} [from] - Order date
+   * @returns {Date} Grace period end
+   */
+  static getProvisionalAccessUntil(from = new Date()) {
+    const until = new Date(from);
+    until.setDate(until.getDate() + getInvoicePaymentGraceDays());
+    return until;
+  }
+
+  /**
+   * Check out cart purchases by invoice
+   * @param {Object} options
+   * @param {Object} options.user - Buyer
+   * @param {Array} options.purchaseItems - Database-sourced cart items
+   * @param {Object} options.metadata - Extra transaction metadata (purchase_order_number)
+   * @returns {Promise<Object>} { transaction, proforma, provisionalAccessUntil }
+   */
+  static async createPurchaseInvoicePayment(options = {}) {
+    const { user, purchaseItems, metadata = {} } = options;
+
+    this.assertEligible(user);
+
+    const provisionalAccessUntil = this.getProvisionalAccessUntil();
+    const purchaseOrderNumber = metadata.purchase_order_number || null;
+    const totalAmount = purchaseItems.reduce((total, item) => total + calcFinalPurchasePrice(item), 0);
+
+    const transaction = await PaymentService.createCheckoutTransaction({
+      provider: INVOICE_PAYMENT_METHOD,
+      userId: user.id,
+      amount: totalAmount,
+      purchaseItems,
+      metadata: {
+        ...metadata,
+        invoice_payment: {
+          status: INVOICE_PAYMENT_STATUSES.AWAITING_PAYMENT,
+          provisional_access_until: provisionalAccessUntil.toISOString(),
+          purchase_order_number: purchaseOrderNumber
+        }
+      }
+    });
+
+    // Pending invoice purchases grant access until the grace period ends
+    const purchases = await models.Purchase.findAll({
+      where: { transaction_id: transaction.id, payment_status: 'pending' }
+    });
+
+    for (const purchase of purchases) {
+      await purchase.update({
+        payment_method: INVOICE_PAYMENT_METHOD,
+        metadata: {
+          ...purchase.metadata,
+          provisional_access_until: provisionalAccessUntil.toISOString()
+        },
+        updated_at: new Date()
+      });
+    }
+
+    const proforma = await this.sendProforma(transaction, {
+      paymentDueDate: provisionalAccessUntil,
+      purchaseOrderNumber
+    });
+
+    ludlog.payment('Invoice payment created for purchases:', {
+      transactionId: transaction.id,
+      userId: user.id,
+      purchaseCount: purchases.length,
+      amount: totalAmount,
+      provisionalAccessUntil
+    });
+
+    return { transaction, proforma, provisionalAccessUntil };
+  }
+
+  /**
+   * Pay for a subscription by invoice and activate it provisionally
+   * @param {Object} options
+   * @param {Object} options.subscription - Subscription to pay for
+   * @param {Object} options.user - Billing contact
+   * @param {number} options.amount - Amount to invoice
+   * @param {string} [options.purchaseOrderNumber] - Customer purchase order reference
+   * @param {Object} [options.metadata] - Extra transaction metadata
+   * @returns {Promise<Object>} { transaction, proforma, subscription, provisionalAccessUntil }
+   */
+  static async createSubscriptionInvoicePayment(options = {}) {
+    const { subscription, user, amount, purchaseOrderNumber = null, metadata = {} } = options;
+
+    const now = new Date();
+    const provisionalAccessUntil = this.getProvisionalAccessUntil(now);
+
+    const transaction = await PaymentService.createCheckoutTransaction({
+      provider: INVOICE_PAYMENT_METHOD,
+      userId: user.id,
+      amount,
+      purchaseItems: [], // No purchase items for subscriptions
+      metadata: {
+        subscription_id: subscription.id,
+        subscription_plan_id: subscription.subscription_plan_id,
+        transaction_type: 'subscription_payment',
+        customerInfo: {
+          name: user.full_name || user.email,
+          email: user.email
+        },
+        ...metadata,
+        invoice_payment: {
+          status: INVOICE_PAYMENT_STATUSES.AWAITING_PAYMENT,
+          provisional_access_until: provisionalAccessUntil.toISOString(),
+          purchase_order_number: purchaseOrderNumber
+        }
+      }
+    });
+
+    // The full term is granted once paid - until then access ends with the grace period
+    const startDate = subscription.start_date ? new Date(subscription.start_date) : now;
+    const termEndDate = subscription.end_date
+      ? new Date(subscription.end_date)
+      : subscription.calculateNextBillingDate(startDate);
+
+    await subscription.update({
+      status: 'active',
+      start_date: startDate,
+      end_date: termEndDate < provisionalAccessUntil ? termEndDate : provisionalAccessUntil,
+      next_billing_date: null, // Renewed by a new order, never charged automatically
+      transaction_id: transaction.id,
+      metadata: {
+        ...subscription.metadata,
+        payment_provider: INVOICE_PAYMENT_METHOD,
+        autoRenewalEnabled: false,
+        invoice_payment: {
+          status: INVOICE_PAYMENT_STATUSES.AWAITING_PAYMENT,
+          transaction_id: transaction.id,
+          provisional_access_until: provisionalAccessUntil.toISOString(),
+          term_end_date: termEndDate.toISOString(),
+          purchase_order_number: purchaseOrderNumber
+        },
+        activatedAt: now.toISOString()
+      },
+      updated_at: now
+    });
+
+    const proforma = await this.sendProforma(transaction, {
+      paymentDueDate: provisionalAccessUntil,
+      purchaseOrderNumber
+    });
+
+    ludlog.payment('Invoice payment created for subscription:', {
+      transactionId: transaction.id,
+      subscriptionId: subscription.id,
+      amount,
+      provisionalAccessUntil
+    });
+
+    return { transaction, proforma, subscription, provisionalAccessUntil };
+  }
+
+  /**
+   * Issue the proforma and email it to the customer
+   * Delivery problems are logged - the proforma can be downloaded from /payments/invoices.
+   * @param {Object} transaction - Pending invoice transaction
+   * @param {Object} options - { paymentDueDate, purchaseOrderNumber }
+   * @returns {Promise<Object>} Proforma
+   */
+  static async sendProforma(transaction, options) {
+    const proforma = await InvoiceService.issueProforma(transaction.id, options);
+
+    try {
+      await InvoiceService.deliverInvoice(proforma);
+    } catch (error) {
+      luderror.payment('Failed to deliver proforma:', {
+        proformaId: proforma.id,
+        transactionId: transaction.id,
+        error: error.message
+      });
+    }
+
+    return proforma;
+  }
+
+  /**
+   * Invoice payments awaiting a bank transfer, oldest first
+   * @returns {Promise<Array>} Pending invoice payments with their proforma
+   */
+  static async getPendingInvoicePayments() {
+    const transactions = await models.Transaction.findAll({
+      where: {
+        payment_method: INVOICE_PAYMENT_METHOD,
+        payment_status: 'pending'
+      },
+      include: [
+        {
+          model: models.User,
+          as: 'user',
+          attributes: ['id', 'email', 'full_name', 'school_id']
+        }
+      ],
+      order: [['created_at', 'ASC']]
+    });
+
+    const proformas = transactions.length > 0
+      ? await models.Invoice.findAll({
+        where: { document_type: INVOICE_DOCUMENT_TYPES.PROFORMA, transaction_id: transactions.map(transaction => transaction.id) }
+      })
+      : [];
+    const proformaByTransaction = new Map(proformas.map(proforma => [proforma.transaction_id, proforma]));
+    const now = new Date();
+
+    return transactions.map(transaction => {
+      const invoicePayment = transaction.metadata?.invoice_payment || {};
+      const proforma = proformaByTransaction.get(transaction.id);
+
+      return {
+        transaction_id: transaction.id,
+        user: transaction.user,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        subscription_id: transaction.metadata?.subscription_id || null,
+        purchase_ids: transaction.metadata?.purchaseIds || [],
+        purchase_order_number: invoicePayment.purchase_order_number || null,
+        proforma_id: proforma?.id || null,
+        proforma_number: proforma ? formatInvoiceNumber(proforma.document_type, proforma.invoice_number) : null,
+        provisional_access_until: invoicePayment.provisional_access_until || null,
+        overdue: !!invoicePayment.provisional_access_until && new Date(invoicePayment.provisional_access_until) < now,
+        created_at: transaction.created_at
+      };
+    });
+  }
+
+  /**
+   * Record the bank transfer of an invoice payment (admin)
+   * Completes the purchases or the subscription's full term and issues the tax invoice/receipt.
+   * @param {string} transactionId - Pending invoice transaction
+   * @param {Object} payment
+   * @param {string} payment.bankReference - Bank transfer reference (אסמכתא)
+   * @param {string} [payment.paidAt] - Transfer date, defaults to now
+   * @param {string} [payment.notes] - Admin notes
+   * @param {string} adminUserId - Admin marking the payment
+   * @returns {Promise<Object>} { transaction, subscription, purchases }
+   */
+  static async markPaid(transactionId, payment = {}, adminUserId) {
+    const bankReference = String(payment.bankReference || '').trim();
+    if (!bankReference) {
+      throw new BadRequestError('bankReference is required');
+    }
+
+    const paidAt = payment.paidAt ? new Date(payment.paidAt) : new Date();
+    if (Number.isNaN(paidAt.getTime())) {
+      throw new BadRequestError('paidAt must be a valid date');
+    }
+
+    const transaction = await models.Transaction.findByPk(transactionId);
+    if (!transaction || transaction.payment_method !== INVOICE_PAYMENT_METHOD) {
+      throw new NotFoundError('Invoice payment not found');
+    }
+    if (transaction.payment_status !== 'pending') {
+      throw new ConflictError(`Invoice payment is already ${transaction.payment_status}`);
+    }
+
+    const invoicePayment = {
+      ...transaction.metadata?.invoice_payment,
+      status: INVOICE_PAYMENT_STATUSES.PAID,
+      bank_reference: bankReference,
+      paid_at: paidAt.toISOString(),
+      marked_paid_by: adminUserId,
+      marked_paid_at: new Date().toISOString(),
+      notes: payment.notes || null
+    };
+
+    // Conditional update - two admins marking the same transfer settle it once
+    const [settledCount] = await models.Transaction.update({
+      payment_status: 'completed',
+      resolution_method: 'manual',
+      metadata: {
+        ...transaction.metadata,
+        invoice_payment: invoicePayment,
+        completedAt: new Date().toISOString(),
+        resolvedBy: 'manual',
+        resolvedAt: new Date().toISOString()
+      },
+      updated_at: new Date()
+    }, {
+      where: { id: transaction.id, payment_status: 'pending' }
+    });
+
+    if (settledCount === 0) {
+      throw new ConflictError('Invoice payment was already settled');
+    }
+
+    const subscriptionId = transaction.metadata?.subscription_id;
+    let subscription = null;
+    const purchases = [];
+
+    if (subscriptionId) {
+      subscription = await this.completeSubscription(subscriptionId, invoicePayment);
+      await InvoiceService.requestInvoice(transaction.id);
+    } else {
+      const pendingPurchases = await models.Purchase.findAll({
+        where: { transaction_id: transaction.id, payment_status: 'pending' }
+      });
+
+      for (const purchase of pendingPurchases) {
+        const completedPurchase = await PaymentService.completePurchase(purchase.id, {
+          paymentMethod: INVOICE_PAYMENT_METHOD
+        });
+        await completedPurchase.update({ resolution_method: 'manual', updated_at: new Date() });
+        purchases.push(completedPurchase);
+      }
+    }
+
+    ludlog.payment('Invoice payment marked paid:', {
+      transactionId: transaction.id,
+      subscriptionId: subscriptionId || null,
+      completedPurchases: purchases.length,
+      bankReference,
+      adminUserId
+    });
+
+    return {
+      transaction: await models.Transaction.findByPk(transaction.id),
+      subscription,
+      purchases
+    };
+  }
+
+  /**
+   * Give a paid invoice subscription its full term
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} invoicePayment - Settled invoice_payment details
+   * @returns {Promise<Object|null>} Updated subscription
+   */
+  static async completeSubscription(subscriptionId, invoicePayment) {
+    const subscription = await models.Subscription.findByPk(subscriptionId);
+    if (!subscription) {
+      luderror.payment('Paid invoice subscription not found:', { subscriptionId });
+      return null;
+    }
+
+    // Cancelled while waiting for the transfer - the payment is recorded, access is not restored
+    if (subscription.status === 'cancelled') {
+      ludlog.payment('Invoice paid for a cancelled subscription - not reactivated:', { subscriptionId });
+      return subscription;
+    }
+
+    const termEndDate = subscription.metadata?.invoice_payment?.term_end_date
+      ? new Date(subscription.metadata.invoice_payment.term_end_date)
+      : subscription.calculateNextBillingDate(subscription.start_date);
+
+    return subscription.update({
+      status: 'active',
+      end_date: termEndDate,
+      metadata: {
+        ...subscription.metadata,
+        invoice_payment: {
+          ...subscription.metadata?.invoice_payment,
+          ...invoicePayment
+        },
+        paymentCompletedAt: new Date().toISOString()
+      },
+      updated_at: new Date()
+    });
+  }
+}
+
+export default InvoicePaymentService;
\ No newline at end of file
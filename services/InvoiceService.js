@@ -0,0 +1,501 @@
+import models from '../models/index.js';
+import { generateId } from '../models/baseModel.js';
+import { ludlog, luderror } from '../lib/ludlog.js';
+import { NotFoundError } from '../middleware/errorHandler.js';
+import {
+  INVOICE_DOCUMENT_TYPES,
+  INVOICE_DOCUMENT_TITLES,
+  calculateVatBreakdown,
+  formatInvoiceNumber,
+  getVatRate
+} from '../constants/invoices.js';
+import { TRANSACTION_TYPES } from '../constants/payplus.js';
+import { GIFT_PURCHASABLE_TYPE } from '../constants/gifts.js';
+import { renderInvoicePdf, formatInvoiceAmount } from '../utils/invoicePdf.js';
+import { constructS3Path } from '../utils/s3PathUtils.js';
+import { escapeHtml } from '../utils/emailContent.js';
+import fileService from './FileService.js';
+import EmailService from './EmailService.js';
+
+// Gives the rest of a multi-item checkout time to complete before the invoice lists its purchases
+const INVOICE_JOB_DELAY_MS = 5000;
+
+function roundAmount(amount) {
+  return Math.round(parseFloat(amount || 0) * 100) / 100;
+}
+
+/**
+ * InvoiceService - Israeli tax documents for payments
+ *
+ * Every paid Transaction gets exactly one חשבונית מס/קבלה, every refund Transaction
+ * one חשבונית מס זיכוי (credit note) referencing the original invoice.
+ * Numbers are allocated per document type from invoice_sequences under a row lock,
+ * in the same DB transaction as the invoice insert, so a failed insert never
+ * burns a number (no gaps) and concurrent payments never share one.
+ *
+ * Pay-by-invoice transactions also get a חשבון עסקה (proforma) while they await payment;
+ * it is a payment request, not a tax document, and has its own numbering.
+ *
+ * The PDF is rendered and delivered (S3 + email) after the number is committed;
+ * delivery can be retried and the PDF can always be re-rendered from the record.
+ */
+class InvoiceService {
+  /**
+   * Issuing business details printed on every document
+   * @returns {Object} { name, id, address, bankDetails }
+   */
+  static getBusinessDetails() {
+    return {
+      name: process.env.INVOICE_BUSINESS_NAME || 'Ludora',
+      id: process.env.INVOICE_BUSINESS_ID || null,
+      address: process.env.INVOICE_BUSINESS_ADDRESS || null,
+      bankDetails: process.env.INVOICE_BANK_DETAILS || null // Printed on proformas
+    };
+  }
+
+  /**
+   * Request a tax invoice/receipt for a completed payment transaction
+   * Runs as an INVOICE_GENERATION job; falls back to issuing inline when jobs are
+   * unavailable. Never throws - invoicing must not break the payment flow.
+   * @param {string} transactionId - Completed payment Transaction ID
+   * @returns {Promise<Object|null>} Scheduled job, issued invoice, or null
+   */
+  static async requestInvoice(transactionId) {
+    return this.requestDocument(transactionId, INVOICE_DOCUMENT_TYPES.TAX_INVOICE_RECEIPT);
+  }
+
+  /**
+   * Request a credit note for a refund transaction
+   * @param {string} refundTransactionId - Refund Transaction ID
+   * @returns {Promise<Object|null>} Scheduled job, issued credit note, or null
+   */
+  static async requestCreditNote(refundTransactionId) {
+    return this.requestDocument(refundTransactionId, INVOICE_DOCUMENT_TYPES.CREDIT_NOTE);
+  }
+
+  static async requestDocument(transactionId, documentType) {
+    try {
+      const jobScheduler = (await import('./JobScheduler.js')).default;
+      const job = await jobScheduler.scheduleJob('INVOICE_GENERATION', {
+        transactionId,
+        documentType
+      }, {
+        delay: documentType === INVOICE_DOCUMENT_TYPES.TAX_INVOICE_RECEIPT ? INVOICE_JOB_DELAY_MS : 0,
+        // One job per document - repeated completion calls for the same transaction collapse
+        jobOptions: { jobId: `invoice_${documentType}_${transactionId}` }
+      });
+
+      if (job) {
+        return job;
+      }
+    } catch (error) {
+      luderror.payment('Failed to schedule invoice generation, issuing inline:', {
+        transactionId,
+        documentType,
+        error: error.message
+      });
+    }
+
+    try {
+      return await this.issueAndDeliver(transactionId, documentType);
+    } catch (error) {
+      luderror.payment('🚨 Invoice generation failed:', {
+        transactionId,
+        documentType,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Issue (or find) the document for a transaction and deliver it
+   * Idempotent - used by the INVOICE_GENERATION job and its retries.
+   * @param {string} transactionId - Transaction ID
+   * @param {string} documentType - INVOICE_DOCUMENT_TYPES value
+   * @returns {Promise<Object|null>} Invoice, or null when nothing is invoiceable
+   */
+  static async issueAndDeliver(transactionId, documentType = INVOICE_DOCUMENT_TYPES.TAX_INVOICE_RECEIPT) {
+    const invoice = documentType === INVOICE_DOCUMENT_TYPES.CREDIT_NOTE
+      ? await this.issueCreditNote(transactionId)
+      : await this.issueTaxInvoice(transactionId);
+
+    if (!invoice) {
+      return null;
+    }
+
+    await this.deliverInvoice(invoice);
+    return invoice;
+  }
+
+  /**
+   * Issue a tax invoice/receipt for a completed payment transaction
+   * @param {string} transactionId - Transaction ID
+   * @returns {Promise<Object|null>} Invoice, or null for free/unpaid transactions
+   * @throws {Error} While only some of the transaction's purchases are completed (the job retries)
+   */
+  static async issueTaxInvoice(transactionId) {
+    const existing = await this.findForTransaction(INVOICE_DOCUMENT_TYPES.TAX_INVOICE_RECEIPT, transactionId);
+    if (existing) {
+      return existing;
+    }
+
+    const transaction = await models.Transaction.findByPk(transactionId);
+    if (!transaction) {
+      throw new NotFoundError(`Transaction ${transactionId} not found`);
+    }
+
+    // Purchases can be completed before their transaction is marked completed (page status polling)
+    const total = roundAmount(transaction.amount);
+    let isPaid = transaction.payment_status === 'completed';
+
+    if (!isPaid) {
+      const purchaseStatuses = await models.Purchase.findAll({
+        where: { transaction_id: transaction.id, bundle_purchase_id: null },
+        attributes: ['id', 'payment_status']
+      });
+      const completedCount = purchaseStatuses.filter(purchase => purchase.payment_status === 'completed').length;
+
+      // The invoice covers the whole charge - wait until every purchase it paid for is completed
+      if (completedCount > 0 && completedCount < purchaseStatuses.length) {
+        throw new Error(`Transaction ${transactionId} has ${purchaseStatuses.length - completedCount} purchases not completed yet - invoice postponed`);
+      }
+
+      isPaid = completedCount > 0;
+    }
+
+    if (!isPaid || !(total > 0)) {
+      ludlog.payment('Skipping invoice for non-invoiceable transaction:', {
+        transactionId,
+        paymentStatus: transaction.payment_status,
+        amount: total
+      });
+      return null;
+    }
+
+    const items = await this.buildTransactionItems(transaction, total);
+
+    return this.createInvoice(INVOICE_DOCUMENT_TYPES.TAX_INVOICE_RECEIPT, {
+      transaction,
+      items,
+      total,
+      vatRate: getVatRate()
+    });
+  }
+
+  /**
+   * Issue a credit note for a refund transaction
+   * Uses the original invoice's VAT rate so the credit mirrors what was charged.
+   * @param {string} refundTransactionId - Refund Transaction ID
+   * @returns {Promise<Object>} Credit note
+   */
+  static async issueCreditNote(refundTransactionId) {
+    const existing = await this.findForTransaction(INVOICE_DOCUMENT_TYPES.CREDIT_NOTE, refundTransactionId);
+    if (existing) {
+      return existing;
+    }
+
+    const refundTransaction = await models.Transaction.findByPk(refundTransactionId);
+    if (!refundTransaction || refundTransaction.metadata?.transaction_type !== TRANSACTION_TYPES.REFUND) {
+      throw new NotFoundError(`Refund transaction ${refundTransactionId} not found`);
+    }
+
+    const originalTransactionId = refundTransaction.metadata.original_transaction_id;
+    const originalInvoice = originalTransactionId
+      ? await this.findForTransaction(INVOICE_DOCUMENT_TYPES.TAX_INVOICE_RECEIPT, originalTransactionId)
+      : null;
+
+    const total = -roundAmount(refundTransaction.amount);
+    const purchase = refundTransaction.metadata.purchase_id
+      ? await models.Purchase.findByPk(refundTransaction.metadata.purchase_id)
+      : null;
+    const description = purchase
+      ? `זיכוי - ${await this.getPurchaseDescription(purchase)}`
+      : 'זיכוי';
+
+    return this.createInvoice(INVOICE_DOCUMENT_TYPES.CREDIT_NOTE, {
+      transaction: refundTransaction,
+      items: [{ description, quantity: 1, unit_price: total, total }],
+      total,
+      vatRate: originalInvoice ? parseFloat(originalInvoice.vat_rate) : getVatRate(),
+      originalInvoice,
+      metadata: {
+        original_transaction_id: originalTransactionId || null,
+        original_invoice_number: originalInvoice
+          ? formatInvoiceNumber(originalInvoice.document_type, originalInvoice.invoice_number)
+          : null,
+        refund_reason: refundTransaction.metadata.refund_reason || null
+      }
+    });
+  }
+
+  /**
+   * Issue the proforma (חשבון עסקה) of a pending pay-by-invoice transaction
+   * @param {string} transactionId - Pending Transaction ID
+   * @param {Object} [options]
+   * @param {Date} [options.paymentDueDate] - Printed payment due date
+   * @param {string} [options.purchaseOrderNumber] - Customer purchase order reference
+   * @returns {Promise<Object>} Proforma
+   */
+  static async issueProforma(transactionId, options = {}) {
+    const existing = await this.findForTransaction(INVOICE_DOCUMENT_TYPES.PROFORMA, transactionId);
+    if (existing) {
+      return existing;
+    }
+
+    const transaction = await models.Transaction.findByPk(transactionId);
+    if (!transaction) {
+      throw new NotFoundError(`Transaction ${transactionId} not found`);
+    }
+
+    const total = roundAmount(transaction.amount);
+    const items = await this.buildTransactionItems(transaction, total);
+
+    return this.createInvoice(INVOICE_DOCUMENT_TYPES.PROFORMA, {
+      transaction,
+      items,
+      total,
+      vatRate: getVatRate(),
+      metadata: {
+        payment_due_date: options.paymentDueDate ? new Date(options.paymentDueDate).toISOString() : null,
+        purchase_order_number: options.purchaseOrderNumber || null
+      }
+    });
+  }
+
+  /**
+   * Allocate the next number and insert the invoice atomically
+   * @param {string} documentType - INVOICE_DOCUMENT_TYPES value
+   * @param {Object} params - { transaction, items, total, vatRate, originalInvoice, metadata }
+   * @returns {Promise<Object>} Invoice
+   */
+  static async createInvoice(documentType, params) {
+    const { transaction, items, total, vatRate, originalInvoice = null, metadata = {} } = params;
+
+    const user = transaction.user_id ? await models.User.findByPk(transaction.user_id) : null;
+    const breakdown = calculateVatBreakdown(total, vatRate);
+    const dbTransaction = await models.sequelize.transaction();
+
+    try {
+      // Lock the counter row - concurrent issuers wait here, so numbers are strictly sequential
+      let sequence = await models.InvoiceSequence.findByPk(documentType, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE
+      });
+
+      if (!sequence) {
+        sequence = await models.InvoiceSequence.create({
+          document_type: documentType,
+          last_number: 0,
+          updated_at: new Date()
+        }, { transaction: dbTransaction });
+      }
+
+      const invoiceNumber = sequence.last_number + 1;
+      const issuedAt = new Date();
+
+      await sequence.update({
+        last_number: invoiceNumber,
+        updated_at: issuedAt
+      }, { transaction: dbTransaction });
+
+      const invoice = await models.Invoice.create({
+        id: generateId(),
+        document_type: documentType,
+        invoice_number: invoiceNumber,
+        transaction_id: transaction.id,
+        original_invoice_id: originalInvoice?.id || null,
+        user_id: transaction.user_id || null,
+        customer_name: user?.full_name || null,
+        customer_email: user?.email || null,
+        items,
+        net_amount: breakdown.netAmount,
+        vat_rate: breakdown.vatRate,
+        vat_amount: breakdown.vatAmount,
+        total_amount: breakdown.total,
+        currency: transaction.currency || 'ILS',
+        payment_method: transaction.payment_method || null,
+        issued_at: issuedAt,
+        metadata,
+        created_at: issuedAt,
+        updated_at: issuedAt
+      }, { transaction: dbTransaction });
+
+      await dbTransaction.commit();
+
+      ludlog.payment('Invoice issued:', {
+        invoiceId: invoice.id,
+        number: formatInvoiceNumber(documentType, invoiceNumber),
+        transactionId: transaction.id,
+        total: breakdown.total
+      });
+
+      return invoice;
+
+    } catch (error) {
+      await dbTransaction.rollback();
+
+      // Another worker issued this document first - the rollback released our number
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        const existing = await this.findForTransaction(documentType, transaction.id);
+        if (existing) {
+          return existing;
+        }
+      }
+
+      throw error;
+    }
+  }
+
+  static async findForTransaction(documentType, transactionId) {
+    return models.Invoice.findOne({
+      where: { document_type: documentType, transaction_id: transactionId }
+    });
+  }
+
+  /**
+   * Line items for a payment transaction: its purchases, or the subscription plan for renewals
+   * Falls back to a single line when the purchases don't add up to the charged amount.
+   * @param {Object} transaction - Payment Transaction
+   * @param {number} total - Charged amount
+   * @returns {Promise<Array>} Line items (VAT-inclusive)
+   */
+  static async buildTransactionItems(transaction, total) {
+    const purchases = await models.Purchase.findAll({
+      where: { transaction_id: transaction.id, bundle_purchase_id: null },
+      order: [['created_at', 'ASC']]
+    });
+
+    const items = [];
+    for (const purchase of purchases) {
+      const amount = roundAmount(purchase.payment_amount);
+      items.push({
+        description: await this.getPurchaseDescription(purchase),
+        quantity: 1,
+        unit_price: amount,
+        total: amount,
+        purchase_id: purchase.id
+      });
+    }
+
+    const itemsTotal = roundAmount(items.reduce((sum, item) => sum + item.total, 0));
+    if (items.length > 0 && itemsTotal === total) {
+      return items;
+    }
+
+    const subscriptionId = transaction.metadata?.subscription_id;
+    let description = items.length === 1 ? items[0].description : 'רכישה ב-Ludora';
+    if (subscriptionId) {
+      const subscription = await models.Subscription.findByPk(subscriptionId);
+      const plan = subscription ? await models.SubscriptionPlan.findByPk(subscription.subscription_plan_id) : null;
+      description = `מנוי${plan?.name ? ` - ${plan.name}` : ''}`;
+    }
+
+    return [{ description, quantity: 1, unit_price: total, total }];
+  }
+
+  static async getPurchaseDescription(purchase) {
+    if (purchase.purchasable_type === 'subscription') {
+      const plan = await models.SubscriptionPlan.findByPk(purchase.purchasable_id);
+      return `מנוי${plan?.name ? ` - ${plan.name}` : ''}`;
+    }
+
+    if (purchase.purchasable_type === GIFT_PURCHASABLE_TYPE) {
+      return purchase.metadata?.product_title || 'מתנה';
+    }
+
+    const product = await models.Product.findOne({
+      where: { product_type: purchase.purchasable_type, entity_id: purchase.purchasable_id }
+    }) || await models.Product.findByPk(purchase.purchasable_id);
+
+    return product?.title || purchase.metadata?.product_title || purchase.purchasable_type;
+  }
+
+  /**
+   * Store the PDF and email it to the customer (each step runs once)
+   * @param {Object} invoice - Invoice
+   * @returns {Promise<Object>} Updated invoice
+   */
+  static async deliverInvoice(invoice) {
+    if (invoice.file_s3_key && invoice.emailed_at) {
+      return invoice;
+    }
+
+    const pdfBuffer = await renderInvoicePdf(invoice, this.getBusinessDetails());
+    const documentNumber = formatInvoiceNumber(invoice.document_type, invoice.invoice_number);
+
+    if (!invoice.file_s3_key && fileService.useS3) {
+      const s3Key = constructS3Path('invoice', invoice.id, 'document', `${documentNumber}.pdf`);
+
+      await fileService.uploadToS3WithTransaction({
+        buffer: pdfBuffer,
+        key: s3Key,
+        contentType: 'application/pdf',
+        metadata: {
+          invoiceId: invoice.id,
+          documentType: invoice.document_type,
+          invoiceNumber: invoice.invoice_number
+        }
+      });
+
+      await invoice.update({ file_s3_key: s3Key, updated_at: new Date() });
+    }
+
+    if (!invoice.emailed_at && invoice.customer_email) {
+      const title = INVOICE_DOCUMENT_TITLES[invoice.document_type];
+
+      await EmailService.sendEmail({
+        to: invoice.customer_email,
+        subject: `${title} ${documentNumber} - Ludora`,
+        html: `<div dir="rtl">
+          <p>שלום${invoice.customer_name ? ` ${escapeHtml(invoice.customer_name)}` : ''},</p>
+          <p>מצורפת ${title} מספר ${documentNumber} על סך ${formatInvoiceAmount(invoice.total_amount)} ₪.</p>
+          <p>תודה,<br>צוות Ludora</p>
+        </div>`,
+        attachments: [{
+          filename: `${documentNumber}.pdf`,
+          content: pdfBuffer,
+          contentType: 'application/pdf'
+        }]
+      });
+
+      await invoice.update({ emailed_at: new Date(), updated_at: new Date() });
+    }
+
+    return invoice;
+  }
+
+  /**
+   * PDF for download - the stored copy, or re-rendered from the record
+   * @param {Object} invoice - Invoice
+   * @returns {Promise<Buffer>} PDF buffer
+   */
+  static async getInvoicePdf(invoice) {
+    if (invoice.file_s3_key && fileService.useS3) {
+      try {
+        return await fileService.downloadToBuffer(invoice.file_s3_key);
+      } catch (error) {
+        luderror.payment('Stored invoice PDF unavailable, re-rendering:', {
+          invoiceId: invoice.id,
+          error: error.message
+        });
+      }
+    }
+
+    return renderInvoicePdf(invoice, this.getBusinessDetails());
+  }
+
+  /**
+   * Documents issued to a user, newest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Invoices
+   */
+  static async getUserInvoices(userId) {
+    return models.Invoice.findAll({
+      where: { user_id: userId },
+      order: [['issued_at', 'DESC']]
+    });
+  }
+}
+
+export default InvoiceService;
\ No newline at end of file
@@ -47,6 +47,27 @@ class JobScheduler {
       },
 
       // HIGH - Security and session management
+      WEBHOOK_RETRY: {
+        queue: 'high',
+        priority: 75,
+        maxAttempts: 1, // Retries are rescheduled by GenericWebhookService with progressive delays
+        backoffType: 'fixed',
+        backoffSettings: { delay: 30000 }
+      },
+      INVOICE_GENERATION: {
+        queue: 'high',
+        priority: 65,
+        maxAttempts: 5,
+        backoffType: 'exponential',
+        backoffSettings: { delay: 10000 }
+      },
+      DATA_SUBJECT_REQUEST: {
+        queue: 'high',
+        priority: 50,
+        maxAttempts: 3,
+        backoffType: 'exponential',
+        backoffSettings: { delay: 60000 }
+      },
       WEBHOOK_SECURITY_MONITOR: {
         queue: 'high',
         priority: 70,
@@ -54,6 +75,20 @@ class JobScheduler {
         backoffType: 'fixed',
         backoffSettings: { delay: 10000 }
       },
+      LOBBY_SCHEDULED_OPEN: {
+        queue: 'high',
+        priority: 55,
+        maxAttempts: 3,
+        backoffType: 'exponential',
+        backoffSettings: { delay: 15000 }
+      },
+      LOBBY_SCHEDULED_CLOSE: {
+        queue: 'high',
+        priority: 55,
+        maxAttempts: 3,
+        backoffType: 'exponential',
+        backoffSettings: { delay: 15000 }
+      },
       SESSION_CLEANUP: {
         queue: 'high',
         priority: 60,
@@ -84,8 +119,36 @@ class JobScheduler {
         backoffType: 'fixed',
         backoffSettings: { delay: 120000 }
       },
+      STUDENT_INVITATION_REMINDERS: {
+        queue: 'medium',
+        priority: 25,
+        maxAttempts: 2,
+        backoffType: 'fixed',
+        backoffSettings: { delay: 300000 }
+      },
+      STUDENT_INVITATION_EXPIRY: {
+        queue: 'medium',
+        priority: 25,
+        maxAttempts: 2,
+        backoffType: 'fixed',
+        backoffSettings: { delay: 300000 }
+      },
+      DSR_EXPORT_CLEANUP: {
+        queue: 'medium',
+        priority: 20,
+        maxAttempts: 2,
+        backoffType: 'fixed',
+        backoffSettings: { delay: 300000 }
+      },
 
       // LOW - Background analytics and reporting
+      CREATOR_EARNINGS_ACCRUAL: {
+        queue: 'low',
+        priority: 15,
+        maxAttempts: 2,
+        backoffType: 'fixed',
+        backoffSettings: { delay: 300000 }
+      },
       ANALYTICS_REPORT: {
         queue: 'low',
         priority: 10,
@@ -363,6 +426,9 @@ class JobScheduler {
         case 'PAYMENT_STATUS_CHECK':
           return await this.processPaymentStatusCheck(data);
 
+        case 'WEBHOOK_RETRY':
+          return await this.processWebhookRetry(data);
+
         case 'WEBHOOK_SECURITY_MONITOR':
           return await this.processWebhookSecurityMonitor(data);
 
@@ -378,6 +444,30 @@ class JobScheduler {
         case 'DATABASE_MAINTENANCE':
           return await this.processDatabaseMaintenance(data);
 
+        case 'INVOICE_GENERATION':
+          return await this.processInvoiceGeneration(data);
+
+        case 'LOBBY_SCHEDULED_OPEN':
+          return await this.processLobbyScheduledOpen(data);
+
+        case 'LOBBY_SCHEDULED_CLOSE':
+          return await this.processLobbyScheduledClose(data);
+
+        case 'CREATOR_EARNINGS_ACCRUAL':
+          return await this.processCreatorEarningsAccrual(data);
+
+        case 'STUDENT_INVITATION_REMINDERS':
+          return await this.processStudentInvitationReminders(data);
+
+        case 'STUDENT_INVITATION_EXPIRY':
+          return await this.processStudentInvitationExpiry(data);
+
+        case 'DATA_SUBJECT_REQUEST':
+          return await this.processDataSubjectRequest(data);
+
+        case 'DSR_EXPORT_CLEANUP':
+          return await this.processDsrExportCleanup(data);
+
         case 'ANALYTICS_REPORT':
           return await this.processAnalyticsReport(data);
 
@@ -891,6 +981,45 @@ class JobScheduler {
     }
   }
 
+  async processWebhookRetry(data) {
+    const {
+      webhookLogId,
+      attemptNumber = 1,
+      maxAttempts = 5
+    } = data;
+
+    try {
+      ludlog.generic(`Processing webhook retry attempt ${attemptNumber}/${maxAttempts}`, {
+        webhookLogId,
+        attemptNumber,
+        maxAttempts,
+        source: 'job_scheduler'
+      });
+
+      // Import GenericWebhookService dynamically
+      const GenericWebhookService = (await import('./GenericWebhookService.js')).default;
+
+      // Schedules the next attempt itself while attempts remain
+      return await GenericWebhookService.retryDelivery(webhookLogId, { attemptNumber, maxAttempts });
+
+    } catch (error) {
+      luderror.generic('Webhook retry failed:', {
+        webhookLogId,
+        attemptNumber,
+        error: error.message,
+        source: 'job_scheduler'
+      });
+
+      // Don't rethrow - retries are scheduled by GenericWebhookService, not BullMQ
+      return {
+        success: false,
+        action: 'webhook_retry_failed',
+        error: error.message,
+        attemptNumber
+      };
+    }
+  }
+
   async processWebhookSecurityMonitor(data) {
     const {
       checkMetrics = true,
@@ -1803,6 +1932,132 @@ class JobScheduler {
     }
   }
 
+  /**
+   * Issue and deliver a tax invoice or credit note (idempotent - safe to retry)
+   */
+  async processInvoiceGeneration(data) {
+    const { transactionId, documentType } = data;
+
+    if (!transactionId) {
+      throw new Error('transactionId is required for invoice generation');
+    }
+
+    const InvoiceService = (await import('./InvoiceService.js')).default;
+    const invoice = await InvoiceService.issueAndDeliver(transactionId, documentType);
+
+    return {
+      success: true,
+      transactionId,
+      invoiceId: invoice?.id || null,
+      invoiceNumber: invoice?.invoice_number || null
+    };
+  }
+
+  /**
+   * Accrue creator revenue share: recent purchases, provider-side refunds and
+   * the previous month's subscription usage (every step is idempotent)
+   */
+  async processCreatorEarningsAccrual(data) {
+    const {
+      daysBack = 7,
+      batchSize = 500,
+      includeSubscriptions = true
+    } = data;
+
+    const CreatorEarningsService = (await import('./CreatorEarningsService.js')).default;
+
+    const purchases = await CreatorEarningsService.accruePurchaseEarnings({ daysBack, batchSize });
+    const subscriptions = includeSubscriptions
+      ? await CreatorEarningsService.accrueSubscriptionEarnings()
+      : null;
+
+    ludlog.generic('Creator earnings accrual completed', {
+      purchases,
+      subscriptions,
+      source: 'job_scheduler'
+    });
+
+    return { success: true, purchases, subscriptions };
+  }
+
+  /**
+   * Open a scheduled lobby occurrence (stale occurrences are ignored - safe to retry)
+   */
+  async processLobbyScheduledOpen(data) {
+    const { scheduleId, occursAt } = data;
+
+    if (!scheduleId || !occursAt) {
+      throw new Error('scheduleId and occursAt are required for scheduled lobby opening');
+    }
+
+    const LobbyScheduleService = (await import('./LobbyScheduleService.js')).default;
+    return LobbyScheduleService.openScheduledLobby(scheduleId, occursAt);
+  }
+
+  /**
+   * Close a scheduled lobby occurrence and queue the next weekly one (stale occurrences are ignored)
+   */
+  async processLobbyScheduledClose(data) {
+    const { scheduleId, occursAt } = data;
+
+    if (!scheduleId || !occursAt) {
+      throw new Error('scheduleId and occursAt are required for scheduled lobby closing');
+    }
+
+    const LobbyScheduleService = (await import('./LobbyScheduleService.js')).default;
+    return LobbyScheduleService.closeScheduledLobby(scheduleId, occursAt);
+  }
+
+  /**
+   * Remind open student invitations once before they expire (reminded invitations are skipped - safe to retry)
+   */
+  async processStudentInvitationReminders(data) {
+    const { hoursBeforeExpiry, batchSize } = data;
+
+    const StudentInvitationService = (await import('./StudentInvitationService.js')).default;
+    const result = await StudentInvitationService.sendReminders({ hoursBeforeExpiry, batchSize });
+
+    return { success: true, ...result };
+  }
+
+  /**
+   * Mark open student invitations past their expiry as expired
+   */
+  async processStudentInvitationExpiry() {
+    const StudentInvitationService = (await import('./StudentInvitationService.js')).default;
+    const result = await StudentInvitationService.expireInvitations();
+
+    return { success: true, ...result };
+  }
+
+  /**
+   * Run a data subject export or erasure (closed requests are skipped - safe to retry)
+   */
+  async processDataSubjectRequest(data) {
+    const { requestId } = data;
+
+    if (!requestId) {
+      throw new Error('requestId is required for data subject requests');
+    }
+
+    const DataSubjectRequestService = (await import('./DataSubjectRequestService.js')).default;
+    const result = await DataSubjectRequestService.processRequest(requestId);
+
+    return { success: true, ...result };
+  }
+
+  /**
+   * Delete data subject export archives past their retention
+   */
+  async processDsrExportCleanup(data) {
+    const { batchSize } = data;
+
+    const DataSubjectRequestService = (await import('./DataSubjectRequestService.js')).default;
+    const result = await DataSubjectRequestService.cleanupExpiredExports({ batchSize });
+
+    return { success: true, ...result };
+  }
+
   async processAnalyticsReport(data) {
     ludlog.generic('Processing analytics report (placeholder)', data);
     // TODO: Implement analytics reporting
@@ -0,0 +1,134 @@
+import jwt from 'jsonwebtoken';
+import models from '../models/index.js';
+import GameLobbyService from './GameLobbyService.js';
+import LobbySocketService from './LobbySocketService.js';
+import {
+  DISPLAY_TOKEN_TYPE,
+  DEFAULT_DISPLAY_TOKEN_MINUTES
+} from '../constants/lobbyDisplay.js';
+import { ForbiddenError, NotFoundError } from '../middleware/errorHandler.js';
+import { ludlog } from '../lib/ludlog.js';
+
+/**
+ * LobbyDisplayService - Read-only display tokens for classroom boards (spectator / projector mode)
+ *
+ * The lobby owner or host issues a short-lived token scoped to one lobby. A socket connecting with it
+ * (handshake auth.displayToken) is not a user or player: it only joins the lobby's display room and
+ * receives aggregated session progress and leaderboards (LobbySocketService.toDisplaySessionView).
+ *
+ * Tokens are stateless JWTs that expire on their own; a closed lobby accepts no display connections
+ * and disconnects the displays following it.
+ */
+class LobbyDisplayService {
+  /**
+   * Issue a display token for a lobby
+   * @param {string} lobbyId - Lobby ID
+   * @param {string} userId - Requesting user (lobby owner or host)
+   * @param {Object} options
+   * @param {number} options.ttl_minutes - Token lifetime
+   * @returns {Promise<Object>} { display_token, lobby_id, expires_at }
+   */
+  static async issueDisplayToken(lobbyId, userId, { ttl_minutes: ttlMinutes = DEFAULT_DISPLAY_TOKEN_MINUTES } = {}) {
+    const lobby = await models.GameLobby.findByPk(lobbyId, {
+      attributes: ['id', 'owner_user_id', 'host_user_id']
+    });
+
+    if (!lobby) {
+      throw new NotFoundError('Lobby');
+    }
+
+    if (lobby.owner_user_id !== userId && lobby.host_user_id !== userId) {
+      throw new ForbiddenError('Access denied: Only lobby owner or host can open a lobby display');
+    }
+
+    // No `id` claim - the token can never resolve to a user or player
+    const displayToken = jwt.sign(
+      { type: DISPLAY_TOKEN_TYPE, lobby_id: lobbyId, issued_by: userId },
+      this.getSecret(),
+      { expiresIn: ttlMinutes * 60 }
+    );
+
+    const expiresAt = new Date(jwt.decode(displayToken).exp * 1000);
+
+    ludlog.auth('Lobby display token issued', { lobbyId, userId, expiresAt });
+
+    return {
+      display_token: displayToken,
+      lobby_id: lobbyId,
+      expires_at: expiresAt
+    };
+  }
+
+  /**
+   * Verify a display token
+   * @param {string} token - Display token
+   * @returns {Promise<Object|null>} { lobbyId, expiresAt } or null when invalid, expired or the lobby is closed
+   */
+  static async verifyDisplayToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.getSecret());
+    } catch (error) {
+      return null;
+    }
+
+    if (payload.type !== DISPLAY_TOKEN_TYPE || !payload.lobby_id) {
+      return null;
+    }
+
+    const lobby = await models.GameLobby.findByPk(payload.lobby_id, {
+      attributes: ['id', 'closed_at']
+    });
+
+    if (!lobby || lobby.closed_at) {
+      return null;
+    }
+
+    return {
+      lobbyId: payload.lobby_id,
+      expiresAt: new Date(payload.exp * 1000)
+    };
+  }
+
+  /**
+   * Set up a display socket: join its lobby's display room, send the current state ('display:snapshot')
+   * and disconnect it when its token expires
+   * @param {Object} socket - Socket.IO socket (socket.display set by the auth middleware)
+   * @returns {Promise<Object>} { success, room } or { success: false, error }
+   */
+  static async connectDisplay(socket) {
+    const joined = LobbySocketService.joinDisplayRoom(socket);
+    if (!joined.success) {
+      return joined;
+    }
+
+    const { lobbyId, expiresAt } = socket.display;
+
+    // The token's lifetime bounds the connection
+    const expiryTimer = setTimeout(() => socket.disconnect(true), Math.max(expiresAt.getTime() - Date.now(), 0));
+    socket.once('disconnect', () => clearTimeout(expiryTimer));
+
+    const lobbyData = await GameLobbyService.getLobbyDetails(lobbyId);
+    const sessions = await models.GameSession.findAll({
+      where: { lobby_id: lobbyId },
+      attributes: ['id', 'lobby_id', 'session_number', 'status', 'participants', 'current_state', 'started_at', 'finished_at'],
+      order: [['session_number', 'ASC']]
+    });
+
+    LobbySocketService.sendDisplaySnapshot(socket, lobbyData, sessions.map(session => ({
+      ...session.toJSON(),
+      lobby: { settings: lobbyData.settings }
+    })));
+
+    return joined;
+  }
+
+  static getSecret() {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET environment variable is required for security');
+    }
+    return process.env.JWT_SECRET;
+  }
+}
+
+export default LobbyDisplayService;
\ No newline at end of file
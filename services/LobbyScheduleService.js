@@ -0,0 +1,443 @@
+import moment from 'moment-timezone';
+import { Op } from 'sequelize';
+import models from '../models/index.js';
+import { generateId } from '../models/baseModel.js';
+import GameLobbyService from './GameLobbyService.js';
+import LobbySocketService from './LobbySocketService.js';
+import IsraeliComplianceService from './IsraeliComplianceService.js';
+import {
+  LOBBY_SCHEDULE_RECURRENCE,
+  LOBBY_SCHEDULE_STATUS,
+  LOBBY_SCHEDULE_JOBS,
+  LOBBY_SCHEDULE_TIMEZONE,
+  MIN_SCHEDULED_LOBBY_MINUTES,
+  MAX_SCHEDULED_LOBBY_MINUTES,
+  MAX_ACTIVE_SCHEDULES_PER_LOBBY
+} from '../constants/lobbySchedules.js';
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError, ServiceUnavailableError } from '../middleware/errorHandler.js';
+import { ludlog, luderror } from '../lib/ludlog.js';
+
+const complianceService = new IsraeliComplianceService();
+
+const ACTIVE_STATUSES = [LOBBY_SCHEDULE_STATUS.SCHEDULED, LOBBY_SCHEDULE_STATUS.OPEN];
+
+/**
+ * LobbyScheduleService - Lobbies that open and close on their own
+ *
+ * Teachers schedule a one-off window (opens_at / closes_at) or a weekly class slot
+ * (weekday + start_time in Israel time + duration_minutes). Every occurrence is driven by two
+ * delayed JobScheduler jobs: LOBBY_SCHEDULED_OPEN activates the lobby until the occurrence's
+ * close time (GameLobbyService.activateLobby) and notifies the teacher's linked students,
+ * LOBBY_SCHEDULED_CLOSE closes it and, for weekly slots, schedules the next occurrence.
+ *
+ * Jobs carry the occurrence they were scheduled for; a job whose occurrence no longer matches
+ * the schedule (cancelled, already handled) does nothing. Occurrences never open on Shabbat:
+ * such slots are rejected when scheduled, and a late job that would open on Shabbat skips
+ * its occurrence.
+ */
+class LobbyScheduleService {
+  /**
+   * Schedules of a lobby, newest first
+   * @param {string} lobbyId - Lobby ID
+   * @param {string} userId - Requesting user (lobby owner or host)
+   * @returns {Promise<Array>} Schedules
+   */
+  static async listSchedules(lobbyId, userId) {
+    await this.findManagedLobby(lobbyId, userId);
+
+    const schedules = await models.LobbySchedule.findAll({
+      where: { lobby_id: lobbyId },
+      order: [['created_at', 'DESC']]
+    });
+
+    return schedules.map(schedule => this.toScheduleView(schedule));
+  }
+
+  /**
+   * Schedule a lobby to open and close automatically
+   * @param {string} lobbyId - Lobby ID
+   * @param {Object} data - { recurrence, opens_at, closes_at } or { recurrence: 'weekly', weekday, start_time, duration_minutes }
+   * @param {string} userId - Requesting user (lobby owner or host)
+   * @returns {Promise<Object>} Created schedule
+   */
+  static async createSchedule(lobbyId, data, userId) {
+    await this.findManagedLobby(lobbyId, userId);
+
+    const activeCount = await models.LobbySchedule.count({
+      where: { lobby_id: lobbyId, status: { [Op.in]: ACTIVE_STATUSES } }
+    });
+    if (activeCount >= MAX_ACTIVE_SCHEDULES_PER_LOBBY) {
+      throw new ConflictError(`A lobby can have at most ${MAX_ACTIVE_SCHEDULES_PER_LOBBY} active schedules`);
+    }
+
+    const slot = this.buildSlot(data);
+    const occurrence = this.getFirstOccurrence(slot);
+
+    if (this.overlapsShabbat(occurrence)) {
+      throw new BadRequestError('Lobbies cannot be scheduled to be open on Shabbat');
+    }
+
+    const now = new Date();
+    const schedule = await models.LobbySchedule.create({
+      id: generateId(),
+      lobby_id: lobbyId,
+      teacher_id: userId,
+      ...slot,
+      status: LOBBY_SCHEDULE_STATUS.SCHEDULED,
+      next_open_at: occurrence.opensAt,
+      next_close_at: occurrence.closesAt,
+      metadata: {},
+      created_at: now,
+      updated_at: now
+    });
+
+    // A schedule without its opening job would never open - don't keep it
+    const scheduled = await this.scheduleOccurrenceJob(LOBBY_SCHEDULE_JOBS.OPEN, schedule, schedule.next_open_at);
+    if (!scheduled) {
+      await schedule.destroy();
+      throw new ServiceUnavailableError('Lobby scheduling is temporarily unavailable - please try again');
+    }
+
+    ludlog.api('Lobby schedule created', {
+      lobbyId,
+      scheduleId: schedule.id,
+      recurrence: schedule.recurrence,
+      nextOpenAt: schedule.next_open_at
+    });
+
+    return this.toScheduleView(schedule);
+  }
+
+  /**
+   * Cancel a schedule - pending jobs find it cancelled and do nothing.
+   * A lobby opened by the schedule stays open until the occurrence's close time (its expires_at).
+   * @param {string} lobbyId - Lobby ID
+   * @param {string} scheduleId - Schedule ID
+   * @param {string} userId - Requesting user (lobby owner or host)
+   * @returns {Promise<Object>} Cancelled schedule
+   */
+  static async cancelSchedule(lobbyId, scheduleId, userId) {
+    await this.findManagedLobby(lobbyId, userId);
+
+    const schedule = await models.LobbySchedule.findOne({ where: { id: scheduleId, lobby_id: lobbyId } });
+    if (!schedule) {
+      throw new NotFoundError('Schedule');
+    }
+
+    if (!ACTIVE_STATUSES.includes(schedule.status)) {
+      throw new ConflictError(`Schedule is already ${schedule.status}`);
+    }
+
+    await schedule.update({
+      status: LOBBY_SCHEDULE_STATUS.CANCELLED,
+      next_open_at: null,
+      next_close_at: null,
+      updated_at: new Date()
+    });
+
+    return this.toScheduleView(schedule);
+  }
+
+  /**
+   * Open the lobby of a schedule occurrence (LOBBY_SCHEDULED_OPEN job)
+   * @param {string} scheduleId - Schedule ID
+   * @param {string} occursAt - Opening time the job was scheduled for (ISO)
+   * @returns {Promise<Object>} Job result
+   */
+  static async openScheduledLobby(scheduleId, occursAt) {
+    const schedule = await models.LobbySchedule.findByPk(scheduleId, {
+      include: [{ model: models.GameLobby, as: 'lobby' }]
+    });
+
+    if (!this.isPendingOccurrence(schedule, LOBBY_SCHEDULE_STATUS.SCHEDULED, 'next_open_at', occursAt)) {
+      return { success: true, action: 'stale', scheduleId };
+    }
+
+    const now = new Date();
+
+    // Late jobs (retries, downtime) never open a lobby on Shabbat or after the occurrence ended
+    const skipReason = complianceService.isShabbat(now)
+      ? 'shabbat'
+      : (schedule.next_close_at <= now ? 'missed' : null);
+
+    if (skipReason) {
+      await this.advanceSchedule(schedule, { skipped: skipReason });
+      ludlog.generic('Skipped scheduled lobby opening', { scheduleId, lobbyId: schedule.lobby_id, reason: skipReason });
+      return { success: true, action: `skipped_${skipReason}`, scheduleId };
+    }
+
+    const lobby = await GameLobbyService.activateLobby(
+      schedule.lobby_id,
+      { expires_at: schedule.next_close_at },
+      schedule.lobby.owner_user_id
+    );
+
+    await schedule.update({
+      status: LOBBY_SCHEDULE_STATUS.OPEN,
+      last_opened_at: now,
+      updated_at: now
+    });
+
+    await this.scheduleOccurrenceJob(LOBBY_SCHEDULE_JOBS.CLOSE, schedule, schedule.next_close_at);
+
+    const notified = await this.notifyLinkedStudents(lobby);
+
+    ludlog.generic('Scheduled lobby opened', { scheduleId, lobbyId: schedule.lobby_id, notified });
+
+    return { success: true, action: 'opened', scheduleId, lobbyId: schedule.lobby_id, notified };
+  }
+
+  /**
+   * Close the lobby of a schedule occurrence (LOBBY_SCHEDULED_CLOSE job)
+   * @param {string} scheduleId - Schedule ID
+   * @param {string} occursAt - Closing time the job was scheduled for (ISO)
+   * @returns {Promise<Object>} Job result
+   */
+  static async closeScheduledLobby(scheduleId, occursAt) {
+    const schedule = await models.LobbySchedule.findByPk(scheduleId, {
+      include: [{ model: models.GameLobby, as: 'lobby' }]
+    });
+
+    if (!this.isPendingOccurrence(schedule, LOBBY_SCHEDULE_STATUS.OPEN, 'next_close_at', occursAt)) {
+      return { success: true, action: 'stale', scheduleId };
+    }
+
+    await GameLobbyService.closeLobby(schedule.lobby_id, schedule.lobby.owner_user_id);
+    await this.advanceSchedule(schedule, { closed: true });
+
+    ludlog.generic('Scheduled lobby closed', { scheduleId, lobbyId: schedule.lobby_id, nextOpenAt: schedule.next_open_at });
+
+    return { success: true, action: 'closed', scheduleId, lobbyId: schedule.lobby_id };
+  }
+
+  /**
+   * Move a schedule past its current occurrence: weekly slots wait for the next one, one-off schedules complete
+   * @param {Object} schedule - LobbySchedule
+   * @param {Object} options
+   * @param {boolean} options.closed - The occurrence was opened and is now closed
+   * @param {string} options.skipped - Reason the occurrence was skipped (shabbat, missed)
+   */
+  static async advanceSchedule(schedule, { closed = false, skipped = null } = {}) {
+    const now = new Date();
+    const next = schedule.recurrence === LOBBY_SCHEDULE_RECURRENCE.WEEKLY
+      ? this.getNextWeeklyOccurrence(schedule, moment.max(moment(now), moment(schedule.next_open_at)).toDate())
+      : null;
+
+    const metadata = skipped
+      ? { ...schedule.metadata, last_skipped: { occurs_at: schedule.next_open_at, reason: skipped, at: now.toISOString() } }
+      : schedule.metadata;
+
+    await schedule.update({
+      status: next ? LOBBY_SCHEDULE_STATUS.SCHEDULED : LOBBY_SCHEDULE_STATUS.COMPLETED,
+      next_open_at: next?.opensAt || null,
+      next_close_at: next?.closesAt || null,
+      ...(closed ? { last_closed_at: now } : {}),
+      metadata,
+      updated_at: now
+    });
+
+    if (next) {
+      await this.scheduleOccurrenceJob(LOBBY_SCHEDULE_JOBS.OPEN, schedule, next.opensAt);
+    }
+  }
+
+  /**
+   * Whether a job's occurrence is still the one the schedule waits for
+   */
+  static isPendingOccurrence(schedule, expectedStatus, field, occursAt) {
+    return !!schedule &&
+      schedule.status === expectedStatus &&
+      !!schedule[field] &&
+      new Date(schedule[field]).getTime() === new Date(occursAt).getTime();
+  }
+
+  /**
+   * Validate and normalize the slot of a new schedule
+   * @param {Object} data - Schedule request data
+   * @returns {Object} { recurrence, weekday, start_time, duration_minutes, opens_at?, closes_at? }
+   */
+  static buildSlot(data) {
+    if (data.recurrence === LOBBY_SCHEDULE_RECURRENCE.WEEKLY) {
+      return {
+        recurrence: LOBBY_SCHEDULE_RECURRENCE.WEEKLY,
+        weekday: data.weekday,
+        start_time: data.start_time,
+        duration_minutes: data.duration_minutes
+      };
+    }
+
+    const opensAt = new Date(data.opens_at);
+    const closesAt = new Date(data.closes_at);
+    const durationMinutes = Math.round((closesAt - opensAt) / 60000);
+
+    if (opensAt <= new Date()) {
+      throw new BadRequestError('opens_at must be in the future');
+    }
+
+    if (durationMinutes < MIN_SCHEDULED_LOBBY_MINUTES || durationMinutes > MAX_SCHEDULED_LOBBY_MINUTES) {
+      throw new BadRequestError(
+        `A scheduled lobby must stay open between ${MIN_SCHEDULED_LOBBY_MINUTES} and ${MAX_SCHEDULED_LOBBY_MINUTES} minutes`
+      );
+    }
+
+    return {
+      recurrence: LOBBY_SCHEDULE_RECURRENCE.ONCE,
+      weekday: null,
+      start_time: null,
+      duration_minutes: durationMinutes,
+      opens_at: opensAt,
+      closes_at: closesAt
+    };
+  }
+
+  static getFirstOccurrence(slot) {
+    if (slot.recurrence === LOBBY_SCHEDULE_RECURRENCE.WEEKLY) {
+      return this.getNextWeeklyOccurrence(slot, new Date());
+    }
+    return { opensAt: slot.opens_at, closesAt: slot.closes_at };
+  }
+
+  /**
+   * Next occurrence of a weekly slot after a given time
+   * @param {Object} slot - { weekday, start_time, duration_minutes }
+   * @param {Date} after - Occurrences opening at or before this time are skipped
+   * @returns {Object} { opensAt, closesAt }
+   */
+  static getNextWeeklyOccurrence(slot, after) {
+    const [hour, minute] = slot.start_time.split(':').map(Number);
+
+    const opensAt = moment(after).tz(LOBBY_SCHEDULE_TIMEZONE)
+      .day(slot.weekday)
+      .hour(hour)
+      .minute(minute)
+      .second(0)
+      .millisecond(0);
+
+    if (!opensAt.isAfter(after)) {
+      opensAt.add(1, 'week');
+    }
+
+    return {
+      opensAt: opensAt.toDate(),
+      closesAt: opensAt.clone().add(slot.duration_minutes, 'minutes').toDate()
+    };
+  }
+
+  /**
+   * Whether an occurrence opens or closes on Shabbat (occurrences are too short to span all of it)
+   */
+  static overlapsShabbat({ opensAt, closesAt }) {
+    return complianceService.isShabbat(opensAt) || complianceService.isShabbat(closesAt);
+  }
+
+  /**
+   * Schedule the open/close job of an occurrence
+   * @param {string} type - LOBBY_SCHEDULED_OPEN or LOBBY_SCHEDULED_CLOSE
+   * @param {Object} schedule - LobbySchedule
+   * @param {Date} runAt - Occurrence time
+   * @returns {Promise<boolean>} Whether the job was scheduled
+   */
+  static async scheduleOccurrenceJob(type, schedule, runAt) {
+    const runAtMs = new Date(runAt).getTime();
+
+    try {
+      const jobScheduler = (await import('./JobScheduler.js')).default;
+      const job = await jobScheduler.scheduleJob(type, {
+        scheduleId: schedule.id,
+        occursAt: new Date(runAtMs).toISOString()
+      }, {
+        delay: Math.max(runAtMs - Date.now(), 0),
+        // One job per occurrence - scheduling the same occurrence twice collapses
+        jobOptions: { jobId: `${type.toLowerCase()}_${schedule.id}_${runAtMs}` }
+      });
+
+      if (!job) {
+        luderror.api('Lobby schedule job not scheduled - job scheduler unavailable', { type, scheduleId: schedule.id });
+      }
+      return !!job;
+
+    } catch (error) {
+      luderror.api('Failed to schedule lobby schedule job:', { type, scheduleId: schedule.id, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Tell the lobby owner's linked students that the lobby opened ('lobby:opened')
+   * Students of the lobby's classroom (settings.classroom_id) when set, otherwise the teacher's
+   * active players and active classroom members.
+   * @param {Object} lobby - Lobby details (GameLobbyService.getLobbyDetails)
+   * @returns {Promise<number>} Students notified
+   */
+  static async notifyLinkedStudents(lobby) {
+    try {
+      const classroomId = lobby.settings?.classroom_id;
+
+      const memberships = await models.ClassroomMembership.findAll({
+        where: {
+          teacher_id: lobby.owner_user_id,
+          status: 'active',
+          ...(classroomId ? { classroom_id: classroomId } : {})
+        },
+        attributes: ['student_user_id']
+      });
+
+      const players = classroomId ? [] : await models.Player.findAll({
+        where: { teacher_id: lobby.owner_user_id, is_active: true },
+        attributes: ['id']
+      });
+
+      const studentIds = [...new Set([
+        ...memberships.map(membership => membership.student_user_id),
+        ...players.map(player => player.id)
+      ])];
+
+      LobbySocketService.broadcastLobbyOpened(lobby, studentIds);
+      return studentIds.length;
+
+    } catch (error) {
+      luderror.api('❌ Failed to notify students of scheduled lobby:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Lobby the user may schedule (owner or host)
+   */
+  static async findManagedLobby(lobbyId, userId) {
+    const lobby = await models.GameLobby.findByPk(lobbyId, {
+      attributes: ['id', 'owner_user_id', 'host_user_id']
+    });
+
+    if (!lobby) {
+      throw new NotFoundError('Lobby');
+    }
+
+    if (lobby.owner_user_id !== userId && lobby.host_user_id !== userId) {
+      throw new ForbiddenError('Access denied: Only lobby owner or host can schedule the lobby');
+    }
+
+    return lobby;
+  }
+
+  static toScheduleView(schedule) {
+    return {
+      id: schedule.id,
+      lobby_id: schedule.lobby_id,
+      recurrence: schedule.recurrence,
+      weekday: schedule.weekday,
+      start_time: schedule.start_time,
+      duration_minutes: schedule.duration_minutes,
+      timezone: LOBBY_SCHEDULE_TIMEZONE,
+      status: schedule.status,
+      next_open_at: schedule.next_open_at,
+      next_close_at: schedule.next_close_at,
+      last_opened_at: schedule.last_opened_at,
+      last_closed_at: schedule.last_closed_at,
+      last_skipped: schedule.metadata?.last_skipped || null,
+      created_at: schedule.created_at
+    };
+  }
+}
+
+export default LobbyScheduleService;
\ No newline at end of file
@@ -2,11 +2,30 @@
 // Socket.IO service for broadcasting lobby updates in real-time
 // Replaces the removed SSE system for lobby visibility updates
 
+import models from '../models/index.js';
+import TeamService from './TeamService.js';
+import { getGameEngine } from './gameEngines/index.js';
+import { DISPLAY_LEADERBOARD_SIZE } from '../constants/lobbyDisplay.js';
 import { luderror } from '../lib/ludlog.js';
 
+// Fields of a participant that other students may see (no user/player identifiers)
+const PUBLIC_PARTICIPANT_FIELDS = ['id', 'display_name', 'team_assignment', 'is_online', 'joined_at'];
+
 /**
  * LobbySocketService - Manages real-time lobby updates via Socket.IO
- * Broadcasts lobby and session changes to connected clients on 'lobby-updates' channel
+ *
+ * Rooms:
+ * - teacher:{userId} - dashboard of a teacher, full updates for every lobby they own or host
+ *   (joined by every signed-in user, so it also reaches student accounts)
+ * - player:{playerId} - personal room of a player (e.g. scheduled lobby openings)
+ * - lobby:{lobbyId}  - lobby status for its participants
+ * - session:{sessionId} - session state for its participants, without other students' identifiers
+ * - display:{lobbyId} - classroom displays (display token), aggregated progress and leaderboards only
+ *
+ * Lobby and session rooms are joined through authorizeLobbyJoin/authorizeSessionJoin, using the
+ * identity the socket auth middleware attached (socket.user / socket.player).
+ * Lobby and session events are emitted as 'lobby:update' so existing clients keep working;
+ * unlocked achievements, participant connection changes and session snapshots have their own events.
  */
 class LobbySocketService {
 
@@ -22,21 +41,367 @@ class LobbySocketService {
     return global.io;
   }
 
+  static getTeacherRoom(userId) {
+    return `teacher:${userId}`;
+  }
+
+  static getPlayerRoom(playerId) {
+    return `player:${playerId}`;
+  }
+
+  static getLobbyRoom(lobbyId) {
+    return `lobby:${lobbyId}`;
+  }
+
+  static getSessionRoom(sessionId) {
+    return `session:${sessionId}`;
+  }
+
+  static getDisplayRoom(lobbyId) {
+    return `display:${lobbyId}`;
+  }
+
+  /**
+   * Resolve who is behind an authenticated socket
+   * @param {Object} socket - Socket.IO socket (after the auth middleware)
+   * @returns {Object} { userId, playerId } - either may be null
+   */
+  static getSocketIdentity(socket) {
+    const { user, player } = socket;
+
+    // Player tokens can also arrive through the portal access cookie
+    if (user?.type === 'player') {
+      return { userId: null, playerId: user.id };
+    }
+
+    return {
+      userId: user?.id || null,
+      playerId: player?.player?.id || null
+    };
+  }
+
+  static isLobbyStaff(lobby, userId) {
+    return !!userId && (lobby.owner_user_id === userId || lobby.host_user_id === userId);
+  }
+
+  static isSessionParticipant(session, { userId, playerId }) {
+    return (session.participants || []).some(p =>
+      (userId && p.user_id === userId) ||
+      (playerId && p.player_id === playerId)
+    );
+  }
+
+  /**
+   * Join the teacher dashboard room of the socket's own user
+   * @param {Object} socket - Socket.IO socket
+   * @returns {Object} { success, room } or { success: false, error }
+   */
+  static joinTeacherRoom(socket) {
+    const { userId } = this.getSocketIdentity(socket);
+    if (!userId) {
+      return { success: false, error: 'Authentication required' };
+    }
+
+    const room = this.getTeacherRoom(userId);
+    socket.join(room);
+    return { success: true, room };
+  }
+
+  /**
+   * Join the personal room of the socket's player
+   * @param {Object} socket - Socket.IO socket
+   * @returns {Object} { success, room } or { success: false, error }
+   */
+  static joinPlayerRoom(socket) {
+    const { playerId } = this.getSocketIdentity(socket);
+    if (!playerId) {
+      return { success: false, error: 'Player authentication required' };
+    }
+
+    const room = this.getPlayerRoom(playerId);
+    socket.join(room);
+    return { success: true, room };
+  }
+
+  /**
+   * Join the display room of the lobby a display socket's token is scoped to
+   * @param {Object} socket - Socket.IO socket (socket.display set by the auth middleware)
+   * @returns {Object} { success, room } or { success: false, error }
+   */
+  static joinDisplayRoom(socket) {
+    if (!socket.display?.lobbyId) {
+      return { success: false, error: 'Display token required' };
+    }
+
+    const room = this.getDisplayRoom(socket.display.lobbyId);
+    socket.join(room);
+    return { success: true, room };
+  }
+
+  /**
+   * Check whether a socket may follow a lobby: its owner, host or a participant of one of its sessions
+   * @param {Object} socket - Socket.IO socket
+   * @param {string} lobbyId - Lobby ID
+   * @returns {Promise<Object>} { authorized, isStaff, error }
+   */
+  static async authorizeLobbyJoin(socket, lobbyId) {
+    const identity = this.getSocketIdentity(socket);
+    if (!identity.userId && !identity.playerId) {
+      return { authorized: false, error: 'Authentication required' };
+    }
+
+    const lobby = await models.GameLobby.findByPk(lobbyId, {
+      attributes: ['id', 'owner_user_id', 'host_user_id']
+    });
+    if (!lobby) {
+      return { authorized: false, error: 'Lobby not found' };
+    }
+
+    if (this.isLobbyStaff(lobby, identity.userId)) {
+      return { authorized: true, isStaff: true };
+    }
+
+    const sessions = await models.GameSession.findAll({
+      where: { lobby_id: lobbyId },
+      attributes: ['id', 'participants']
+    });
+    if (sessions.some(session => this.isSessionParticipant(session, identity))) {
+      return { authorized: true, isStaff: false };
+    }
+
+    return { authorized: false, error: 'Access denied: Not a lobby participant' };
+  }
+
+  /**
+   * Check whether a socket may follow a session: the lobby owner, host or a session participant
+   * @param {Object} socket - Socket.IO socket
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} { authorized, isStaff, error }
+   */
+  static async authorizeSessionJoin(socket, sessionId) {
+    const identity = this.getSocketIdentity(socket);
+    if (!identity.userId && !identity.playerId) {
+      return { authorized: false, error: 'Authentication required' };
+    }
+
+    const session = await models.GameSession.findByPk(sessionId, {
+      attributes: ['id', 'lobby_id', 'participants'],
+      include: [{ model: models.GameLobby, as: 'lobby', attributes: ['id', 'owner_user_id', 'host_user_id'] }]
+    });
+    if (!session) {
+      return { authorized: false, error: 'Session not found' };
+    }
+
+    if (session.lobby && this.isLobbyStaff(session.lobby, identity.userId)) {
+      return { authorized: true, isStaff: true };
+    }
+
+    if (this.isSessionParticipant(session, identity)) {
+      return { authorized: true, isStaff: false };
+    }
+
+    return { authorized: false, error: 'Access denied: Not a session participant' };
+  }
+
+  /**
+   * Authorize and join a lobby room
+   * Owner and host sockets also join their teacher room, where they get the full updates
+   * @param {Object} socket - Socket.IO socket
+   * @param {string} lobbyId - Lobby ID
+   * @returns {Promise<Object>} { success, room } or { success: false, error }
+   */
+  static async joinLobbyRoom(socket, lobbyId) {
+    return this.joinAuthorizedRoom(socket, this.getLobbyRoom(lobbyId), () => this.authorizeLobbyJoin(socket, lobbyId));
+  }
+
+  /**
+   * Authorize and join a session room
+   * @param {Object} socket - Socket.IO socket
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} { success, room } or { success: false, error }
+   */
+  static async joinSessionRoom(socket, sessionId) {
+    return this.joinAuthorizedRoom(socket, this.getSessionRoom(sessionId), () => this.authorizeSessionJoin(socket, sessionId));
+  }
+
+  static async joinAuthorizedRoom(socket, room, authorize) {
+    try {
+      const { authorized, isStaff, error } = await authorize();
+      if (!authorized) {
+        return { success: false, error };
+      }
+
+      socket.join(room);
+      if (isStaff) {
+        this.joinTeacherRoom(socket);
+      }
+
+      return { success: true, room };
+    } catch (error) {
+      luderror.api('❌ Failed to join socket room:', error, { room, socketId: socket.id });
+      return { success: false, error: 'Failed to join room' };
+    }
+  }
+
+  /**
+   * Lobby data as shown to participants
+   * @param {Object} lobbyData - Full lobby data
+   * @returns {Object} Lobby status without owner/host details or settings
+   */
+  static toParticipantLobbyView(lobbyData) {
+    return {
+      id: lobbyData.id,
+      lobby_code: lobbyData.lobby_code,
+      game_id: lobbyData.game_id,
+      computed_status: lobbyData.computed_status,
+      expires_at: lobbyData.expires_at,
+      closed_at: lobbyData.closed_at,
+      time_remaining_minutes: lobbyData.time_remaining_minutes,
+      is_indefinite: lobbyData.is_indefinite
+    };
+  }
+
+  /**
+   * Session data as shown to participants - students only see the shared game state,
+   * never other participants' user/player identifiers or the teacher's saved results
+   * @param {Object} sessionData - Full session data (GameSessionService.getSessionDetails)
+   * @returns {Object} Filtered session data
+   */
+  static toParticipantSessionView(sessionData) {
+    const participants = (sessionData.participants || []).map(participant =>
+      Object.fromEntries(PUBLIC_PARTICIPANT_FIELDS
+        .filter(field => field in participant)
+        .map(field => [field, participant[field]]))
+    );
+
+    return {
+      id: sessionData.id,
+      lobby_id: sessionData.lobby_id,
+      session_number: sessionData.session_number,
+      status: sessionData.status,
+      participants,
+      current_state: sessionData.current_state || {},
+      started_at: sessionData.started_at,
+      finished_at: sessionData.finished_at
+    };
+  }
+
+  /**
+   * Lobby data as shown on classroom displays
+   * @param {Object} lobbyData - Full lobby data (GameLobbyService.getLobbyDetails)
+   * @returns {Object} Participant lobby view with the game title
+   */
+  static toDisplayLobbyView(lobbyData) {
+    return {
+      ...this.toParticipantLobbyView(lobbyData),
+      game_title: lobbyData.game?.title || null
+    };
+  }
+
+  /**
+   * Session data as shown on classroom displays - aggregated progress and leaderboards,
+   * no participant data beyond display names
+   * @param {Object} sessionData - Session data with current_state, participants and lobby.settings
+   * @returns {Object} Display session view
+   */
+  static toDisplaySessionView(sessionData) {
+    const participants = sessionData.participants || [];
+    const state = sessionData.current_state || {};
+    const scores = state.scores || {};
+
+    const leaderboard = participants
+      .filter(participant => participant.id in scores)
+      .map(participant => ({ display_name: participant.display_name, score: Number(scores[participant.id]) || 0 }))
+      .sort((a, b) => b.score - a.score);
+
+    // Equal scores share a rank
+    leaderboard.forEach((entry, index) => {
+      entry.rank = index > 0 && entry.score === leaderboard[index - 1].score ? leaderboard[index - 1].rank : index + 1;
+    });
+
+    const teamSettings = TeamService.getTeamSettings(sessionData.lobby?.settings);
+    const engine = getGameEngine(state.engine);
+
+    return {
+      id: sessionData.id,
+      session_number: sessionData.session_number,
+      status: sessionData.status,
+      participant_count: participants.length,
+      online_count: participants.filter(participant => participant.is_online).length,
+      progress: engine?.getProgress ? engine.getProgress(state) : null,
+      leaderboard: leaderboard.slice(0, DISPLAY_LEADERBOARD_SIZE),
+      teams: teamSettings
+        ? TeamService.summarizeTeams(participants, teamSettings, scores)
+          .map(({ team_id: teamId, name, score }) => ({ team_id: teamId, name, score }))
+        : null,
+      started_at: sessionData.started_at,
+      finished_at: sessionData.finished_at
+    };
+  }
+
+  static getStaffRooms(lobby) {
+    if (!lobby) return [];
+    return [...new Set([lobby.owner_user_id, lobby.host_user_id].filter(Boolean))]
+      .map(userId => this.getTeacherRoom(userId));
+  }
+
+  static buildEvent(type, data) {
+    return {
+      type,
+      data,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Emit a lobby event: full data to the owner/host dashboards, participant view to the lobby room
+   * @param {string} type - Event type
+   * @param {Object} lobbyData - Lobby data
+   */
+  static emitLobbyEvent(type, lobbyData) {
+    const io = this.getSocketIO();
+    const staffRooms = this.getStaffRooms(lobbyData);
+
+    if (staffRooms.length > 0) {
+      io.to(staffRooms).emit('lobby:update', this.buildEvent(type, lobbyData));
+    }
+
+    io.to(this.getLobbyRoom(lobbyData.id))
+      .except(staffRooms)
+      .emit('lobby:update', this.buildEvent(type, this.toParticipantLobbyView(lobbyData)));
+
+    io.to(this.getDisplayRoom(lobbyData.id))
+      .emit('display:update', this.buildEvent(type, { lobby: this.toDisplayLobbyView(lobbyData) }));
+  }
+
+  /**
+   * Emit a session event: full data to the owner/host dashboards, participant view to the session room
+   * @param {string} type - Event type
+   * @param {Object} sessionData - Session data (GameSessionService.getSessionDetails)
+   */
+  static emitSessionEvent(type, sessionData) {
+    const io = this.getSocketIO();
+    const staffRooms = this.getStaffRooms(sessionData.lobby);
+
+    if (staffRooms.length > 0) {
+      io.to(staffRooms).emit('lobby:update', this.buildEvent(type, sessionData));
+    }
+
+    io.to(this.getSessionRoom(sessionData.id))
+      .except(staffRooms)
+      .emit('lobby:update', this.buildEvent(type, this.toParticipantSessionView(sessionData)));
+
+    io.to(this.getDisplayRoom(sessionData.lobby_id))
+      .emit('display:update', this.buildEvent(type, { session: this.toDisplaySessionView(sessionData) }));
+  }
+
   /**
    * Broadcast lobby creation event
    * @param {Object} lobbyData - Created lobby data
    */
   static broadcastLobbyCreated(lobbyData) {
     try {
-      const io = this.getSocketIO();
-
-      const eventData = {
-        type: 'lobby_created',
-        data: lobbyData,
-        timestamp: new Date().toISOString()
-      };
-
-      io.to('lobby-updates').emit('lobby:update', eventData);
+      this.emitLobbyEvent('lobby_created', lobbyData);
 
     } catch (error) {
       luderror.api('❌ Failed to broadcast lobby created:', error);
@@ -49,15 +414,7 @@ class LobbySocketService {
    */
   static broadcastLobbyActivated(lobbyData) {
     try {
-      const io = this.getSocketIO();
-
-      const eventData = {
-        type: 'lobby_activated',
-        data: lobbyData,
-        timestamp: new Date().toISOString()
-      };
-
-      io.to('lobby-updates').emit('lobby:update', eventData);
+      this.emitLobbyEvent('lobby_activated', lobbyData);
 
     } catch (error) {
       luderror.api('❌ Failed to broadcast lobby activated:', error);
@@ -70,15 +427,10 @@ class LobbySocketService {
    */
   static broadcastLobbyClosed(lobbyData) {
     try {
-      const io = this.getSocketIO();
-
-      const eventData = {
-        type: 'lobby_closed',
-        data: lobbyData,
-        timestamp: new Date().toISOString()
-      };
+      this.emitLobbyEvent('lobby_closed', lobbyData);
 
-      io.to('lobby-updates').emit('lobby:update', eventData);
+      // Displays stop following a closed lobby
+      this.getSocketIO().in(this.getDisplayRoom(lobbyData.id)).disconnectSockets(true);
 
     } catch (error) {
       luderror.api('❌ Failed to broadcast lobby closed:', error);
@@ -91,15 +443,7 @@ class LobbySocketService {
    */
   static broadcastSessionCreated(sessionData) {
     try {
-      const io = this.getSocketIO();
-
-      const eventData = {
-        type: 'session_created',
-        data: sessionData,
-        timestamp: new Date().toISOString()
-      };
-
-      io.to('lobby-updates').emit('lobby:update', eventData);
+      this.emitSessionEvent('session_created', sessionData);
 
     } catch (error) {
       luderror.auth('❌ Failed to broadcast session created:', error);
@@ -112,15 +456,7 @@ class LobbySocketService {
    */
   static broadcastParticipantJoined(sessionData) {
     try {
-      const io = this.getSocketIO();
-
-      const eventData = {
-        type: 'participant_joined',
-        data: sessionData,
-        timestamp: new Date().toISOString()
-      };
-
-      io.to('lobby-updates').emit('lobby:update', eventData);
+      this.emitSessionEvent('participant_joined', sessionData);
 
     } catch (error) {
       luderror.api('❌ Failed to broadcast participant joined:', error);
@@ -133,15 +469,7 @@ class LobbySocketService {
    */
   static broadcastParticipantLeft(sessionData) {
     try {
-      const io = this.getSocketIO();
-
-      const eventData = {
-        type: 'participant_left',
-        data: sessionData,
-        timestamp: new Date().toISOString()
-      };
-
-      io.to('lobby-updates').emit('lobby:update', eventData);
+      this.emitSessionEvent('participant_left', sessionData);
 
     } catch (error) {
       luderror.api('❌ Failed to broadcast participant left:', error);
@@ -154,15 +482,7 @@ class LobbySocketService {
    */
   static broadcastGameStateUpdated(sessionData) {
     try {
-      const io = this.getSocketIO();
-
-      const eventData = {
-        type: 'game_state_updated',
-        data: sessionData,
-        timestamp: new Date().toISOString()
-      };
-
-      io.to('lobby-updates').emit('lobby:update', eventData);
+      this.emitSessionEvent('game_state_updated', sessionData);
 
     } catch (error) {
       luderror.api('❌ Failed to broadcast game state updated:', error);
@@ -175,15 +495,7 @@ class LobbySocketService {
    */
   static broadcastSessionStarted(sessionData) {
     try {
-      const io = this.getSocketIO();
-
-      const eventData = {
-        type: 'session_started',
-        data: sessionData,
-        timestamp: new Date().toISOString()
-      };
-
-      io.to('lobby-updates').emit('lobby:update', eventData);
+      this.emitSessionEvent('session_started', sessionData);
 
     } catch (error) {
       luderror.auth('❌ Failed to broadcast session started:', error);
@@ -195,40 +507,172 @@ class LobbySocketService {
    * @param {Object} sessionData - Finished session data
    */
   static broadcastSessionFinished(sessionData) {
+    try {
+      this.emitSessionEvent('session_finished', sessionData);
+
+    } catch (error) {
+      luderror.auth('❌ Failed to broadcast session finished:', error);
+    }
+  }
+
+  /**
+   * Broadcast that a participant dropped out of or came back to a session
+   * Staff get 'participant:disconnected' / 'participant:reconnected', the session room
+   * the updated participant list (is_online) as a 'lobby:update'.
+   * @param {string} event - 'participant:disconnected' or 'participant:reconnected'
+   * @param {Object} sessionData - Updated session data (GameSessionService.getSessionDetails)
+   * @param {string} participantId - Participant whose connection changed
+   */
+  static broadcastParticipantConnection(event, sessionData, participantId) {
     try {
       const io = this.getSocketIO();
+      const staffRooms = this.getStaffRooms(sessionData.lobby);
+      const participant = (sessionData.participants || []).find(p => p.id === participantId) || null;
 
-      const eventData = {
-        type: 'session_finished',
-        data: sessionData,
-        timestamp: new Date().toISOString()
-      };
+      if (staffRooms.length > 0) {
+        io.to(staffRooms).emit(event, this.buildEvent(event.replace(':', '_'), {
+          session_id: sessionData.id,
+          lobby_id: sessionData.lobby_id,
+          participant
+        }));
+      }
 
-      io.to('lobby-updates').emit('lobby:update', eventData);
+      io.to(this.getSessionRoom(sessionData.id))
+        .except(staffRooms)
+        .emit('lobby:update', this.buildEvent('participant_status_changed', this.toParticipantSessionView(sessionData)));
 
     } catch (error) {
-      luderror.auth('❌ Failed to broadcast session finished:', error);
+      luderror.api('❌ Failed to broadcast participant connection:', error);
+    }
+  }
+
+  /**
+   * Send the full session state to one socket (on join and after a reconnect)
+   * @param {Object} socket - Socket.IO socket
+   * @param {Object} sessionData - Session data (GameSessionService.getSessionDetails)
+   * @param {Object} options
+   * @param {boolean} options.isStaff - Owner/host sockets get the full data
+   * @param {string|null} options.participantId - Seat of the socket in the session
+   * @returns {Object} The snapshot sent
+   */
+  static sendSessionSnapshot(socket, sessionData, { isStaff = false, participantId = null } = {}) {
+    const snapshot = isStaff
+      ? sessionData
+      : { ...this.toParticipantSessionView(sessionData), participant_id: participantId };
+
+    socket.emit('session:snapshot', this.buildEvent('session_snapshot', snapshot));
+    return snapshot;
+  }
+
+  /**
+   * Send a display socket the current state of its lobby ('display:snapshot')
+   * @param {Object} socket - Display socket
+   * @param {Object} lobbyData - Full lobby data (GameLobbyService.getLobbyDetails)
+   * @param {Array} sessions - Sessions of the lobby with current_state, participants and lobby.settings
+   */
+  static sendDisplaySnapshot(socket, lobbyData, sessions) {
+    socket.emit('display:snapshot', this.buildEvent('display_snapshot', {
+      lobby: this.toDisplayLobbyView(lobbyData),
+      sessions: sessions.map(session => this.toDisplaySessionView(session)),
+      expires_at: socket.display.expiresAt
+    }));
+  }
+
+  /**
+   * Broadcast achievements unlocked during a session as 'achievement:unlocked'
+   * Staff get the player ids, the session room only who unlocked what.
+   * @param {Object} sessionData - { id, lobby } of the session
+   * @param {Array} unlocks - [{ participant_id, player_id, display_name, achievement, awarded_at }]
+   */
+  static broadcastAchievementUnlocked(sessionData, unlocks) {
+    try {
+      const io = this.getSocketIO();
+      const staffRooms = this.getStaffRooms(sessionData.lobby);
+      const data = { session_id: sessionData.id, unlocks };
+
+      if (staffRooms.length > 0) {
+        io.to(staffRooms).emit('achievement:unlocked', this.buildEvent('achievement_unlocked', data));
+      }
+
+      io.to(this.getSessionRoom(sessionData.id))
+        .except(staffRooms)
+        .emit('achievement:unlocked', this.buildEvent('achievement_unlocked', {
+          session_id: sessionData.id,
+          unlocks: unlocks.map(({ player_id: _playerId, ...unlock }) => unlock)
+        }));
+
+    } catch (error) {
+      luderror.api('❌ Failed to broadcast achievement unlocked:', error);
+    }
+  }
+
+  /**
+   * Tell a teacher's students that a lobby opened on its schedule ('lobby:opened')
+   * Players are reached in their player room, student users in their own user room.
+   * @param {Object} lobbyData - Opened lobby data
+   * @param {Array<string>} studentIds - Player IDs (player_...) and student user IDs
+   */
+  static broadcastLobbyOpened(lobbyData, studentIds) {
+    try {
+      if (studentIds.length === 0) return;
+
+      const rooms = studentIds.map(id =>
+        id.startsWith('player_') ? this.getPlayerRoom(id) : this.getTeacherRoom(id)
+      );
+
+      this.getSocketIO()
+        .to(rooms)
+        .emit('lobby:opened', this.buildEvent('lobby_opened', this.toParticipantLobbyView(lobbyData)));
+
+    } catch (error) {
+      luderror.api('❌ Failed to broadcast lobby opened:', error);
     }
   }
 
   /**
-   * Get current lobby updates channel statistics
-   * @returns {Object} Channel statistics
+   * Broadcast the teams of a team-mode session
+   * Teams only list participant ids and scores, so staff and the session room get the same event.
+   * @param {string} event - 'team:update', 'team:scores' or 'team:results'
+   * @param {Object} sessionData - Session data (GameSessionService.getSessionDetails)
+   * @param {Array} teams - [{ team_id, name, member_ids, score, ... }]
    */
-  static getLobbyUpdatesStats() {
+  static broadcastTeamEvent(event, sessionData, teams) {
     try {
       const io = this.getSocketIO();
-      const lobbyUpdatesRoom = io.sockets.adapter.rooms.get('lobby-updates');
+
+      io.to([this.getSessionRoom(sessionData.id), ...this.getStaffRooms(sessionData.lobby)])
+        .emit(event, this.buildEvent(event.replace(':', '_'), {
+          session_id: sessionData.id,
+          lobby_id: sessionData.lobby_id,
+          teams
+        }));
+
+    } catch (error) {
+      luderror.api('❌ Failed to broadcast team event:', error);
+    }
+  }
+
+  /**
+   * Get statistics of a lobby, session or teacher room
+   * @param {string} room - Room name (e.g. lobby:{lobbyId})
+   * @returns {Object} Room statistics
+   */
+  static getRoomStats(room) {
+    try {
+      const io = this.getSocketIO();
+      const socketRoom = io.sockets.adapter.rooms.get(room);
 
       return {
-        connected_clients: lobbyUpdatesRoom?.size || 0,
-        room_exists: !!lobbyUpdatesRoom,
+        room,
+        connected_clients: socketRoom?.size || 0,
+        room_exists: !!socketRoom,
         server_socket_count: io.sockets.sockets.size,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      luderror.api('❌ Failed to get lobby updates stats:', error);
+      luderror.api('❌ Failed to get room stats:', error);
       return {
+        room,
         connected_clients: 0,
         room_exists: false,
         server_socket_count: 0,
@@ -240,21 +684,18 @@ class LobbySocketService {
 
   /**
    * Test broadcast to verify Socket.IO is working
+   * @param {string} room - Room to broadcast to
    * @param {string} testMessage - Test message to broadcast
    */
-  static broadcastTest(testMessage = 'Socket.IO test broadcast') {
+  static broadcastTest(room, testMessage = 'Socket.IO test broadcast') {
     try {
       const io = this.getSocketIO();
 
-      const eventData = {
-        type: 'test_broadcast',
-        data: { message: testMessage },
-        timestamp: new Date().toISOString()
-      };
+      const eventData = this.buildEvent('test_broadcast', { message: testMessage });
 
-      const stats = this.getLobbyUpdatesStats();
+      const stats = this.getRoomStats(room);
 
-      io.to('lobby-updates').emit('lobby:update', eventData);
+      io.to(room).emit('lobby:update', eventData);
 
       return { success: true, stats };
     } catch (error) {
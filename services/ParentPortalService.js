@@ -0,0 +1,304 @@
+import { Op } from 'sequelize';
+import models from '../models/index.js';
+import AuthService from './AuthService.js';
+import EmailService from './EmailService.js';
+import GameResultsService from './GameResultsService.js';
+import HomeworkService from './HomeworkService.js';
+import DataSubjectRequestService from './DataSubjectRequestService.js';
+import {
+  DSR_REQUEST_TYPE,
+  DSR_SUBJECT_TYPE,
+  DSR_STATUS,
+  DSR_REQUESTER_ROLE
+} from '../constants/dataSubjectRequests.js';
+import { ForbiddenError, NotFoundError } from '../middleware/errorHandler.js';
+import { ludlog } from '../lib/ludlog.js';
+import { escapeHtml, normalizeEmail } from '../utils/emailContent.js';
+
+// Parent-facing request types and the data subject request each one creates
+const PARENT_DATA_REQUEST_TYPE_MAP = {
+  export: DSR_REQUEST_TYPE.EXPORT,
+  deletion: DSR_REQUEST_TYPE.ERASURE
+};
+
+export const PARENT_DATA_REQUEST_TYPES = Object.keys(PARENT_DATA_REQUEST_TYPE_MAP);
+
+/**
+ * ParentPortalService - What a parent sees and can do in the parent portal
+ *
+ * Parents have no password. A parent signs in by a magic link sent to the email of their
+ * ParentConsent (AuthService.signInParentWithMagicLink opens a 'parent' portal session), and
+ * their children are the students whose consent is active for that email. Everything here is
+ * authorized by that consent: once it is revoked the child disappears from the portal.
+ *
+ * For each child the parent sees active classrooms, game results and assigned homework, can
+ * revoke the consent (same audit trail as the teacher/admin revoke-consent route) and can
+ * request an export or deletion of the child's data (DataSubjectRequestService).
+ */
+class ParentPortalService {
+  /**
+   * Email a sign-in link to a parent with an active consent
+   * Stays silent for unknown emails so the endpoint cannot be used to probe for parents
+   * @param {string} email - Parent email
+   * @returns {Promise<boolean>} Whether a link was sent
+   */
+  static async requestMagicLink(email) {
+    const parentEmail = normalizeEmail(email);
+    const consents = await this.findActiveConsents(parentEmail);
+
+    if (consents.length === 0) {
+      ludlog.auth('Parent sign-in link requested without active consent');
+      return false;
+    }
+
+    const token = AuthService.createParentMagicLinkToken(parentEmail);
+    const signInUrl = `${process.env.FRONTEND_URL}/parent/sign-in?token=${encodeURIComponent(token)}`;
+    const parentName = consents[0].parent_name;
+
+    await EmailService.sendEmail({
+      to: parentEmail,
+      subject: 'קישור כניסה לאזור ההורים ב-Ludora',
+      html: `<div dir="rtl">
+          <p>שלום${parentName ? ` ${escapeHtml(parentName)}` : ''},</p>
+          <p>לכניסה לאזור ההורים ב-Ludora, שבו ניתן לראות את הכיתות, תוצאות המשחקים ושיעורי הבית של ילדיך:</p>
+          <p><a href="${escapeHtml(signInUrl)}">כניסה לאזור ההורים</a></p>
+          <p>הקישור בתוקף ל-15 דקות וניתן להשתמש בו פעם אחת. אם לא ביקשת להיכנס, ניתן להתעלם מהודעה זו.</p>
+          <p>תודה,<br>צוות Ludora</p>
+        </div>`
+    });
+
+    return true;
+  }
+
+  /**
+   * Children whose consent is active for the parent's email
+   * @param {Object} parent - Signed-in parent user
+   * @returns {Promise<Array>} Child views
+   */
+  static async listChildren(parent) {
+    const consents = await this.findActiveConsents(normalizeEmail(parent.email));
+
+    return consents.map(consent => this.toChildView(consent));
+  }
+
+  /**
+   * A child's classrooms, game results and homework
+   * @param {Object} parent - Signed-in parent user
+   * @param {string} studentId - Child's user ID
+   * @param {Object} query - { from, to } date range of the game results
+   * @returns {Promise<Object>} { child, classrooms, game_results, homework }
+   */
+  static async getChildOverview(parent, studentId, query = {}) {
+    const consent = await this.findChildConsent(parent, studentId);
+    const student = consent.Student;
+
+    const memberships = await models.ClassroomMembership.findAll({
+      where: { student_user_id: studentId, status: 'active' },
+      include: [{
+        model: models.Classroom,
+        attributes: ['id', 'name', 'grade_level', 'year', 'is_active'],
+        include: [{ model: models.User, as: 'Teacher', attributes: ['id', 'full_name'] }]
+      }],
+      order: [['created_at', 'ASC']]
+    });
+
+    const gameResults = await GameResultsService.getStudentHistory(studentId, query);
+
+    const homework = await HomeworkService.listStudentAssignments({
+      id: studentId,
+      type: 'user',
+      display_name: student.full_name || student.email,
+      teacher_id: null
+    });
+
+    return {
+      child: this.toChildView(consent),
+      classrooms: memberships
+        .filter(membership => membership.Classroom?.is_active !== false)
+        .map(membership => ({
+          id: membership.classroom_id,
+          name: membership.Classroom?.name || null,
+          grade_level: membership.Classroom?.grade_level || null,
+          year: membership.Classroom?.year || null,
+          teacher_name: membership.Classroom?.Teacher?.full_name || null,
+          joined_at: membership.joined_at || membership.approved_at || membership.created_at
+        })),
+      game_results: gameResults,
+      homework
+    };
+  }
+
+  /**
+   * Revoke consent for a child (the child leaves the parent portal)
+   * @param {Object} parent - Signed-in parent user
+   * @param {string} studentId - Child's user ID
+   * @param {Object} auditData - { ip, userAgent }
+   * @returns {Promise<Object>} { student_id, revocation }
+   */
+  static async revokeConsent(parent, studentId, auditData = {}) {
+    const consent = await this.findChildConsent(parent, studentId);
+
+    await consent.revokeConsent(parent.id, 'parent_request', auditData);
+
+    ludlog.auth('Parent consent revoked by parent:', {
+      studentId,
+      parentId: parent.id,
+      ip: auditData.ip
+    });
+
+    return {
+      student_id: studentId,
+      revocation: {
+        revoked_by: parent.id,
+        revocation_reason: consent.revocation_reason,
+        revoked_at: consent.revoked_at
+      }
+    };
+  }
+
+  /**
+   * Request an export or deletion of a child's data
+   * Runs as a data subject request; the parent is emailed when it completes.
+   * @param {Object} parent - Signed-in parent user
+   * @param {string} studentId - Child's user ID
+   * @param {string} type - 'export' or 'deletion'
+   * @param {string|null} details - Optional note from the parent
+   * @returns {Promise<Object>} Data request view
+   */
+  static async requestDataAction(parent, studentId, type, details = null) {
+    await this.findChildConsent(parent, studentId);
+
+    const request = await DataSubjectRequestService.createRequest({
+      request_type: PARENT_DATA_REQUEST_TYPE_MAP[type],
+      subject_type: DSR_SUBJECT_TYPE.USER,
+      subject_id: studentId,
+      reason: details
+    }, {
+      id: parent.id,
+      role: DSR_REQUESTER_ROLE.PARENT
+    });
+
+    ludlog.auth('Parent data request received:', {
+      studentId,
+      parentId: parent.id,
+      requestId: request.id,
+      type
+    });
+
+    return this.toDataRequestView(request);
+  }
+
+  /**
+   * The parent's own data requests for a child, newest first
+   * @param {Object} parent - Signed-in parent user
+   * @param {string} studentId - Child's user ID
+   * @returns {Promise<Array>} Data request views
+   */
+  static async listDataRequests(parent, studentId) {
+    await this.findChildConsent(parent, studentId);
+
+    const { requests } = await DataSubjectRequestService.listRequests({
+      subject_type: DSR_SUBJECT_TYPE.USER,
+      subject_id: studentId,
+      requested_by: parent.id
+    });
+
+    return requests.map(request => this.toDataRequestView(request));
+  }
+
+  /**
+   * Download a completed export of a child's data (consent must still be active)
+   * @param {Object} parent - Signed-in parent user
+   * @param {string} requestId - Data subject request ID
+   * @returns {Promise<Object>} { buffer, filename }
+   */
+  static async downloadDataExport(parent, requestId) {
+    const request = await DataSubjectRequestService.getRequest(requestId);
+    DataSubjectRequestService.assertCanAccess(request, parent);
+    await this.findChildConsent(parent, request.subject_id);
+
+    return DataSubjectRequestService.getExportArchive(requestId, parent);
+  }
+
+  /**
+   * Active consent for a child of this parent, with the student
+   * @throws {NotFoundError} When the student is not the parent's consented child
+   */
+  static async findChildConsent(parent, studentId) {
+    if (parent.user_type !== 'parent') {
+      throw new ForbiddenError('parent user type required');
+    }
+
+    const consent = await models.ParentConsent.findOne({
+      where: {
+        student_user_id: studentId,
+        revoked_at: null,
+        [Op.and]: [this.parentEmailMatches(normalizeEmail(parent.email))]
+      },
+      include: [{ model: models.User, as: 'Student', attributes: ['id', 'email', 'full_name', 'is_active'] }]
+    });
+
+    if (!consent || !consent.Student) {
+      throw new NotFoundError('Child');
+    }
+
+    return consent;
+  }
+
+  static async findActiveConsents(parentEmail) {
+    if (!parentEmail) {
+      return [];
+    }
+
+    const consents = await models.ParentConsent.findAll({
+      where: {
+        revoked_at: null,
+        [Op.and]: [this.parentEmailMatches(parentEmail)]
+      },
+      include: [{ model: models.User, as: 'Student', attributes: ['id', 'email', 'full_name', 'is_active'] }],
+      order: [['created_at', 'ASC']]
+    });
+
+    return consents.filter(consent => consent.Student);
+  }
+
+  // Consents may have been recorded with mixed-case emails
+  static parentEmailMatches(parentEmail) {
+    return models.sequelize.where(models.sequelize.fn('LOWER', models.sequelize.col('parent_email')), parentEmail);
+  }
+
+  static toDataRequestView(request) {
+    const type = Object.keys(PARENT_DATA_REQUEST_TYPE_MAP)
+      .find(key => PARENT_DATA_REQUEST_TYPE_MAP[key] === request.request_type);
+
+    return {
+      id: request.id,
+      student_id: request.subject_id,
+      type,
+      status: request.status,
+      requested_at: request.created_at,
+      completed_at: request.completed_at,
+      download_available: request.request_type === DSR_REQUEST_TYPE.EXPORT &&
+        request.status === DSR_STATUS.COMPLETED &&
+        !!request.export_s3_key &&
+        request.export_expires_at > new Date(),
+      download_expires_at: request.export_expires_at
+    };
+  }
+
+  static toChildView(consent) {
+    return {
+      student_id: consent.student_user_id,
+      full_name: consent.Student?.full_name || null,
+      email: consent.Student?.email || null,
+      is_active: consent.Student?.is_active !== false,
+      consent: {
+        parent_name: consent.parent_name,
+        consent_method: consent.consent_method,
+        given_at: consent.created_at
+      }
+    };
+  }
+}
+
+export default ParentPortalService;
\ No newline at end of file
@@ -0,0 +1,207 @@
+import GameSessionService from './GameSessionService.js';
+import LobbySocketService from './LobbySocketService.js';
+import { ludlog, luderror } from '../lib/ludlog.js';
+
+const DEFAULT_RECONNECT_GRACE_SECONDS = 30;
+
+/**
+ * Reconnect grace window (PARTICIPANT_RECONNECT_GRACE_SECONDS env override)
+ * @returns {number} Grace window in milliseconds
+ */
+export const getReconnectGraceMs = () => {
+  const envSeconds = parseInt(process.env.PARTICIPANT_RECONNECT_GRACE_SECONDS, 10);
+  return (Number.isFinite(envSeconds) && envSeconds >= 0 ? envSeconds : DEFAULT_RECONNECT_GRACE_SECONDS) * 1000;
+};
+
+/**
+ * ParticipantPresenceService - Socket presence of session participants
+ *
+ * Tracks which sockets hold each participant's seat (joined through 'join-session') and each
+ * player's sockets. When the last socket of a seat disconnects, the participant keeps the seat
+ * for a grace window; only then are they marked offline (GameSession.participants is_online,
+ * Player.is_online) and the teachers get 'participant:disconnected'. A participant coming back
+ * after that is marked online again ('participant:reconnected'). Every session join - first or
+ * after a reconnect - is answered with a full 'session:snapshot'.
+ *
+ * Presence is kept in process memory, like the Socket.IO rooms themselves.
+ */
+class ParticipantPresenceService {
+  /**
+   * @param {Object} playerService - PlayerService instance (setPlayerOnlineStatus)
+   * @param {Object} options
+   * @param {number} options.graceMs - Reconnect grace window
+   */
+  constructor(playerService, { graceMs = getReconnectGraceMs() } = {}) {
+    this.playerService = playerService;
+    this.graceMs = graceMs;
+    this.seatSockets = new Map();   // seat key -> socket ids
+    this.playerSockets = new Map(); // player id -> socket ids
+    this.offlineTimers = new Map(); // seat key or player:{id} -> pending offline timer
+  }
+
+  static getSeatKey(sessionId, participantId) {
+    return `${sessionId}:${participantId}`;
+  }
+
+  /**
+   * Track a new socket of a player
+   * @param {Object} socket - Authenticated Socket.IO socket
+   */
+  async handleConnection(socket) {
+    socket.data.seats = [];
+
+    const { playerId } = LobbySocketService.getSocketIdentity(socket);
+    if (!playerId) {
+      return;
+    }
+
+    const isFirstSocket = this.addSocket(this.playerSockets, playerId, socket.id);
+    const wasPending = this.cancelOfflineTimer(`player:${playerId}`);
+
+    if (isFirstSocket && !wasPending) {
+      await this.playerService.setPlayerOnlineStatus(playerId, true);
+    }
+  }
+
+  /**
+   * Take a seat for a socket that joined a session room, and send it the session snapshot
+   * Call after LobbySocketService.joinSessionRoom succeeded.
+   * @param {Object} socket - Socket.IO socket
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Snapshot sent to the socket
+   */
+  async joinSession(socket, sessionId) {
+    let session = await GameSessionService.getSessionDetails(sessionId);
+    const identity = LobbySocketService.getSocketIdentity(socket);
+    const isStaff = LobbySocketService.isLobbyStaff(session.lobby, identity.userId);
+
+    const participant = (session.participants || []).find(p =>
+      (identity.userId && p.user_id === identity.userId) ||
+      (identity.playerId && p.player_id === identity.playerId)
+    );
+
+    if (participant && !session.finished_at) {
+      const seatKey = ParticipantPresenceService.getSeatKey(sessionId, participant.id);
+
+      this.addSocket(this.seatSockets, seatKey, socket.id);
+      if (!socket.data.seats.some(seat => seat.seatKey === seatKey)) {
+        socket.data.seats.push({ seatKey, sessionId, participantId: participant.id });
+      }
+
+      // Back within the grace window - nobody noticed
+      this.cancelOfflineTimer(seatKey);
+
+      // Back after being marked offline
+      if (participant.is_online === false) {
+        const updatedSession = await GameSessionService.setParticipantOnlineStatus(sessionId, participant.id, true);
+        if (updatedSession) {
+          session = updatedSession;
+          LobbySocketService.broadcastParticipantConnection('participant:reconnected', session, participant.id);
+          ludlog.api('Participant reconnected', { sessionId, participantId: participant.id });
+        }
+      }
+    }
+
+    return LobbySocketService.sendSessionSnapshot(socket, session, {
+      isStaff,
+      participantId: participant?.id || null
+    });
+  }
+
+  /**
+   * Release the seats of a socket that left a session room
+   * @param {Object} socket - Socket.IO socket
+   * @param {string} sessionId - Session ID
+   */
+  leaveSession(socket, sessionId) {
+    const seats = socket.data.seats || [];
+    socket.data.seats = seats.filter(seat => seat.sessionId !== sessionId);
+
+    for (const seat of seats.filter(s => s.sessionId === sessionId)) {
+      this.releaseSeat(socket, seat);
+    }
+  }
+
+  /**
+   * Start the grace window for every seat (and the player) the socket was the last connection of
+   * @param {Object} socket - Disconnected Socket.IO socket
+   */
+  handleDisconnect(socket) {
+    for (const seat of socket.data.seats || []) {
+      this.releaseSeat(socket, seat);
+    }
+    socket.data.seats = [];
+
+    const { playerId } = LobbySocketService.getSocketIdentity(socket);
+    if (playerId && this.removeSocket(this.playerSockets, playerId, socket.id)) {
+      this.scheduleOffline(`player:${playerId}`, () => this.playerService.setPlayerOnlineStatus(playerId, false));
+    }
+  }
+
+  releaseSeat(socket, { seatKey, sessionId, participantId }) {
+    if (this.removeSocket(this.seatSockets, seatKey, socket.id)) {
+      this.scheduleOffline(seatKey, () => this.markSeatOffline(sessionId, participantId));
+    }
+  }
+
+  async markSeatOffline(sessionId, participantId) {
+    const session = await GameSessionService.setParticipantOnlineStatus(sessionId, participantId, false);
+    if (session) {
+      LobbySocketService.broadcastParticipantConnection('participant:disconnected', session, participantId);
+      ludlog.api('Participant disconnected', { sessionId, participantId });
+    }
+  }
+
+  scheduleOffline(key, markOffline) {
+    this.cancelOfflineTimer(key);
+
+    const timer = setTimeout(async () => {
+      this.offlineTimers.delete(key);
+      try {
+        await markOffline();
+      } catch (error) {
+        luderror.api('❌ Failed to mark participant offline:', error, { key });
+      }
+    }, this.graceMs);
+
+    // Pending timers must not keep the process alive on shutdown
+    timer.unref?.();
+    this.offlineTimers.set(key, timer);
+  }
+
+  // Returns whether a timer was pending
+  cancelOfflineTimer(key) {
+    const timer = this.offlineTimers.get(key);
+    if (!timer) {
+      return false;
+    }
+
+    clearTimeout(timer);
+    this.offlineTimers.delete(key);
+    return true;
+  }
+
+  // Returns whether the socket is the first one of the key
+  addSocket(socketsByKey, key, socketId) {
+    const sockets = socketsByKey.get(key) || new Set();
+    sockets.add(socketId);
+    socketsByKey.set(key, sockets);
+    return sockets.size === 1;
+  }
+
+  // Returns whether the key has no sockets left
+  removeSocket(socketsByKey, key, socketId) {
+    const sockets = socketsByKey.get(key);
+    if (!sockets?.delete(socketId)) {
+      return false;
+    }
+
+    if (sockets.size === 0) {
+      socketsByKey.delete(key);
+      return true;
+    }
+    return false;
+  }
+}
+
+export default ParticipantPresenceService;
\ No newline at end of file
@@ -1,6 +1,7 @@
 import models from '../models/index.js';
 import PaymentService from './PaymentService.js';
 import { luderror } from '../lib/ludlog.js';
+import { INVOICE_PAYMENT_METHOD, INVOICE_PAYMENT_SKIP_MESSAGE } from '../constants/invoicePayments.js';
 
 /**
  * PayPlusPageStatusService - Handles PayPlus payment page status checking
@@ -194,6 +195,7 @@ class PayPlusPageStatusService {
       await models.Transaction.update(
         {
           payment_status: 'completed',
+          resolution_method: 'polling',
           metadata: {
             ...(currentTransaction?.metadata || {}),
             payplus_transaction_uuid: transactionData.uuid,
@@ -281,6 +283,16 @@ class PayPlusPageStatusService {
         throw new Error(`Transaction ${transactionId} not found in database`);
       }
 
+      // Pay-by-invoice transactions wait for an admin - never reverted to the cart
+      if (transaction.payment_method === INVOICE_PAYMENT_METHOD) {
+        return {
+          success: true,
+          pageStatus: 'awaiting_invoice_payment',
+          action_taken: 'none',
+          message: INVOICE_PAYMENT_SKIP_MESSAGE
+        };
+      }
+
       if (!transaction.payment_page_request_uid) {
         throw new Error(`No PayPlus page request UID found for transaction ${transactionId}`);
       }
@@ -1,8 +1,11 @@
 import models from '../models/index.js';
+import { Op } from 'sequelize';
 import PaymentService from './PaymentService.js';
 import EmailService from './EmailService.js';
+import GiftService from './GiftService.js';
 import { luderror } from '../lib/ludlog.js';
 import { PAYMENT_STATUSES, mapPayPlusStatusToPaymentStatus } from '../constants/payplus.js';
+import { INVOICE_PAYMENT_METHOD, INVOICE_PAYMENT_SKIP_MESSAGE } from '../constants/invoicePayments.js';
 
 /**
  * PaymentPollingService - Handles PayPlus API polling for payment status
@@ -49,6 +52,16 @@ class PaymentPollingService {
         throw new Error(`Transaction ${transactionId} not found`);
       }
 
+      // Pay-by-invoice purchases have no payment page - they wait for an admin, never abandoned
+      if (purchase.payment_method === INVOICE_PAYMENT_METHOD) {
+        return {
+          success: false,
+          status: 'awaiting_invoice_payment',
+          attempts: purchase.polling_attempts || 0,
+          message: INVOICE_PAYMENT_SKIP_MESSAGE
+        };
+      }
+
       if (!purchase.transaction?.payment_page_request_uid) {
         throw new Error(`No PayPlus page request UID found for transaction ${transactionId}`);
       }
@@ -240,6 +253,7 @@ class PaymentPollingService {
       if (purchase.transaction) {
         await purchase.transaction.update({
           payment_status: 'completed',
+          resolution_method: 'polling',
           metadata: {
             ...purchase.transaction.metadata,
             payplus_polling_data: transactionData,
@@ -251,6 +265,11 @@ class PaymentPollingService {
         });
       }
 
+      // Gift purchases: issue the gift code and email it to the recipient
+      if (GiftService.isGiftPurchase(purchase)) {
+        await GiftService.issueGiftCode(purchase);
+      }
+
 
     } catch (error) {
       luderror.payment('❌ Error handling successful payment:', error);
@@ -430,11 +449,12 @@ class PaymentPollingService {
       }
 
 
-      // Find all pending purchases for this user
+      // Find all pending purchases for this user (pay-by-invoice purchases are not polled)
       const pendingPurchases = await models.Purchase.findAll({
         where: {
           buyer_user_id: userId,
-          payment_status: 'pending'
+          payment_status: 'pending',
+          payment_method: { [Op.or]: { [Op.eq]: null, [Op.ne]: INVOICE_PAYMENT_METHOD } }
         },
         include: [
           {
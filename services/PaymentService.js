@@ -1,7 +1,12 @@
 import models from '../models/index.js';
+import { Op } from 'sequelize';
 import { luderror } from '../lib/ludlog.js';
 import { TRANSACTION_TYPES } from '../constants/payplus.js';
+import { INVOICE_PAYMENT_METHOD } from '../constants/invoicePayments.js';
 import { getEnv, isProd } from '../src/utils/environment.js';
+import InvoiceService from './InvoiceService.js';
+import CouponValidationService from './CouponValidationService.js';
+import GiftService from './GiftService.js';
 
 /**
  * PaymentService - Handles payment completion and transaction management
@@ -27,6 +32,10 @@ class PaymentService {
 
       // Validate that the purchase can be completed
       if (purchase.payment_status === 'completed') {
+        // Retried completions make sure a paid gift got its code
+        if (GiftService.isGiftPurchase(purchase)) {
+          await GiftService.issueGiftCode(purchase);
+        }
         return purchase;
       }
 
@@ -68,6 +77,21 @@ class PaymentService {
         updated_at: new Date()
       });
 
+      // Cart coupons count as used once the order is paid
+      if (purchase.metadata?.coupon_ids?.length) {
+        await this.recordCartCouponUsage(updatedPurchase);
+      }
+
+      // Tax invoice/receipt for paid items - one per transaction, so multi-item checkouts collapse
+      if (parseFloat(purchase.payment_amount) > 0) {
+        await InvoiceService.requestInvoice(transactionId);
+      }
+
+      // Gift purchases: issue the gift code and email it to the recipient
+      if (GiftService.isGiftPurchase(updatedPurchase)) {
+        await GiftService.issueGiftCode(updatedPurchase);
+      }
+
       return updatedPurchase;
 
     } catch (error) {
@@ -76,6 +100,50 @@ class PaymentService {
     }
   }
 
+  /**
+   * Count one use of each cart coupon on a paid purchase
+   * All purchases of a checkout carry the same coupons, so usage is recorded once per
+   * transaction (tracked in Transaction.metadata.coupon_usage_recorded). The transaction row
+   * is locked while counting, so purchases completed concurrently (webhook and polling)
+   * never count the same coupon twice.
+   * @param {Object} purchase - Completed purchase
+   * @returns {Promise<number>} Number of coupons counted
+   */
+  static async recordCartCouponUsage(purchase) {
+    const dbTransaction = await models.sequelize.transaction();
+
+    try {
+      const transaction = await models.Transaction.findByPk(purchase.transaction_id, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE
+      });
+      const recorded = transaction?.metadata?.coupon_usage_recorded || [];
+      const couponIds = (purchase.metadata?.coupon_ids || []).filter(id => !recorded.includes(id));
+
+      for (const couponId of couponIds) {
+        await CouponValidationService.incrementUserUsage(couponId, purchase.buyer_user_id, dbTransaction);
+      }
+
+      if (transaction && couponIds.length > 0) {
+        await transaction.update({
+          metadata: {
+            ...transaction.metadata,
+            coupon_usage_recorded: [...recorded, ...couponIds]
+          },
+          updated_at: new Date()
+        }, { transaction: dbTransaction });
+      }
+
+      await dbTransaction.commit();
+
+      return couponIds.length;
+
+    } catch (error) {
+      await dbTransaction.rollback();
+      throw error;
+    }
+  }
+
   /**
    * Check if a product/subscription has zero price (is free)
    * @param {string} purchasableType - Type of purchasable item
@@ -161,17 +229,28 @@ class PaymentService {
 
   /**
    * Create or update a transaction for PayPlus payment
+   * @param {Object} options - Transaction creation options (see createCheckoutTransaction)
+   * @returns {Promise<Object>} Created or updated transaction object
+   */
+  static async createPayPlusTransaction(options = {}) {
+    return this.createCheckoutTransaction({ ...options, provider: 'payplus' });
+  }
+
+  /**
+   * Create or update the pending transaction for a checkout with any payment provider
    * @param {Object} options - Transaction creation options
+   * @param {string} options.provider - Checkout provider ('payplus', 'paypal', 'invoice')
    * @param {string} options.userId - User ID
    * @param {number} options.amount - Total amount
-   * @param {string} options.pageRequestUid - PayPlus page request UID
-   * @param {string} options.paymentPageLink - PayPlus payment page link
+   * @param {string} options.pageRequestUid - PayPlus page request UID (PayPlus only)
+   * @param {string} options.paymentPageLink - Provider payment page / approval link
    * @param {Array} options.purchaseItems - Array of purchase items to analyze and link
    * @param {Object} options.metadata - Additional metadata
    * @returns {Promise<Object>} Created or updated transaction object
    */
-  static async createPayPlusTransaction(options = {}) {
+  static async createCheckoutTransaction(options = {}) {
     const {
+      provider = 'payplus',
       userId,
       amount,
       pageRequestUid,
@@ -189,10 +268,12 @@ class PaymentService {
       const transactionType = TRANSACTION_TYPES.ONE_TIME;
 
       // Check for existing pending transaction of the same type for this user
-      const existingTransaction = await models.Transaction.findOne({
+      // Pay-by-invoice orders keep their own transaction (and proforma) until the transfer arrives
+      const existingTransaction = provider === INVOICE_PAYMENT_METHOD ? null : await models.Transaction.findOne({
         where: {
           user_id: userId,
           payment_status: 'pending',
+          payment_method: { [Op.or]: { [Op.eq]: null, [Op.ne]: INVOICE_PAYMENT_METHOD } },
           'metadata.transaction_type': transactionType
         },
         order: [['created_at', 'DESC']]
@@ -205,8 +286,9 @@ class PaymentService {
         // Update existing transaction with new PayPlus data
         transaction = await existingTransaction.update({
           amount: amount,
+          payment_method: provider,
           environment: dbEnvironment,
-          payment_page_request_uid: pageRequestUid,
+          payment_page_request_uid: pageRequestUid || null,
           payment_page_link: paymentPageLink,
           metadata: {
             transaction_type: transactionType,
@@ -227,10 +309,10 @@ class PaymentService {
           user_id: userId,
           amount: amount,
           currency: 'ILS',
-          payment_method: 'payplus',
+          payment_method: provider,
           payment_status: 'pending',
           environment: dbEnvironment,
-          payment_page_request_uid: pageRequestUid,
+          payment_page_request_uid: pageRequestUid || null,
           payment_page_link: paymentPageLink,
           metadata: {
             transaction_type: transactionType,
@@ -266,7 +348,7 @@ class PaymentService {
       return transaction;
 
     } catch (error) {
-      luderror.payment('PaymentService: Error creating/updating PayPlus transaction:', error);
+      luderror.payment(`PaymentService: Error creating/updating ${provider} transaction:`, error);
       throw error;
     }
   }
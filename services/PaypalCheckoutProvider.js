@@ -0,0 +1,174 @@
+import models from '../models/index.js';
+import PaypalService from './PaypalService.js';
+import PaymentService from './PaymentService.js';
+import { luderror } from '../lib/ludlog.js';
+import { calcFinalPurchasePrice } from '../utils/purchasePricing.js';
+
+/**
+ * PaypalCheckoutProvider - PayPal Orders (one-time) and PayPal Subscriptions behind the CheckoutProviderRouter interface
+ *
+ * Checkouts only create the pending Transaction and the PayPal approval link.
+ * Payments are settled by PaypalWebhookService (PAYMENT.CAPTURE.COMPLETED / BILLING.SUBSCRIPTION.*).
+ */
+class PaypalCheckoutProvider {
+  static getName() {
+    return 'paypal';
+  }
+
+  static isConfigured() {
+    return PaypalService.isConfigured();
+  }
+
+  // PayPal has no payment page to poll - webhooks are the only resolution path
+  static supportsStatusPolling() {
+    return false;
+  }
+
+  // PayPal subscriptions need a billing plan created in the PayPal dashboard
+  static supportsSubscriptionPlan(subscriptionPlan) {
+    return !!subscriptionPlan?.paypal_plan_id;
+  }
+
+  /**
+   * Create a PayPal order for cart purchases
+   * @param {Object} options
+   * @param {Object} options.user - Buyer
+   * @param {Array} options.purchaseItems - Database-sourced cart items
+   * @param {string} options.frontendOrigin - Origin context
+   * @param {Object} options.metadata - Extra transaction metadata
+   * @returns {Promise<Object>} Checkout result
+   */
+  static async createPurchaseCheckout(options = {}) {
+    const { user, purchaseItems, metadata = {} } = options;
+
+    const totalAmount = purchaseItems.reduce((total, item) => total + calcFinalPurchasePrice(item), 0);
+
+    // The transaction id travels to PayPal as custom_id, so the transaction is created first
+    const transaction = await PaymentService.createCheckoutTransaction({
+      provider: 'paypal',
+      userId: user.id,
+      amount: totalAmount,
+      purchaseItems,
+      metadata
+    });
+
+    let order;
+    try {
+      order = await PaypalService.createOrder({
+        transactionId: transaction.id,
+        purchaseItems
+      });
+    } catch (error) {
+      await this.releaseFailedCheckout(transaction, purchaseItems.map(item => item.id), error);
+      throw error;
+    }
+
+    await transaction.update({
+      payment_page_link: order.approvalUrl,
+      metadata: {
+        ...transaction.metadata,
+        paypal_order_id: order.orderId,
+        paypalResponse: order.data
+      },
+      updated_at: new Date()
+    });
+
+    const { environment } = PaypalService.getPayPalCredentials();
+
+    return {
+      provider: 'paypal',
+      transactionId: transaction.id,
+      paymentUrl: order.approvalUrl,
+      orderId: order.orderId,
+      environment,
+      data: order.data
+    };
+  }
+
+  /**
+   * Create a PayPal subscription for a pending local subscription
+   * @param {Object} options
+   * @param {Object} options.subscription - Pending subscription
+   * @param {Object} options.subscriptionPlan - Subscription plan (with paypal_plan_id)
+   * @param {Object} options.user - Subscriber
+   * @param {Object} options.pricingInfo - Calculated plan pricing
+   * @returns {Promise<Object>} Checkout result
+   */
+  static async createSubscriptionCheckout(options = {}) {
+    const { subscription, subscriptionPlan, user, pricingInfo } = options;
+
+    const paypalResult = await PaypalService.createSubscription({
+      subscription,
+      subscriptionPlan,
+      user
+    });
+
+    const transaction = await PaymentService.createCheckoutTransaction({
+      provider: 'paypal',
+      userId: user.id,
+      amount: pricingInfo.finalPrice,
+      paymentPageLink: paypalResult.approvalUrl,
+      purchaseItems: [], // No purchase items for subscriptions
+      metadata: {
+        subscription_id: subscription.id,
+        subscription_plan_id: subscriptionPlan.id,
+        transaction_type: 'subscription_payment',
+        frontendOrigin: 'subscription',
+        customerInfo: {
+          name: user.full_name || user.email,
+          email: user.email
+        },
+        pricingInfo,
+        paypal_subscription_id: paypalResult.paypalSubscriptionId,
+        paypal_plan_id: subscriptionPlan.paypal_plan_id
+      }
+    });
+
+    // Webhooks for BILLING.SUBSCRIPTION.* are matched by the PayPal subscription id
+    await subscription.update({
+      metadata: {
+        ...subscription.metadata,
+        paypal_subscription_id: paypalResult.paypalSubscriptionId
+      },
+      updated_at: new Date()
+    });
+
+    const { environment } = PaypalService.getPayPalCredentials();
+
+    return {
+      provider: 'paypal',
+      transactionId: transaction.id,
+      paymentUrl: paypalResult.approvalUrl,
+      paypalSubscriptionId: paypalResult.paypalSubscriptionId,
+      environment,
+      data: paypalResult.data
+    };
+  }
+
+  /**
+   * Return purchases to the cart when the PayPal order could not be created
+   * @param {Object} transaction - Pending transaction
+   * @param {Array<string>} purchaseIds - Purchases linked to the transaction
+   * @param {Error} error - Order creation error
+   */
+  static async releaseFailedCheckout(transaction, purchaseIds, error) {
+    try {
+      await transaction.update({
+        payment_status: 'failed',
+        failure_reason: `PayPal order creation failed: ${error.message}`,
+        updated_at: new Date()
+      });
+
+      if (purchaseIds.length > 0) {
+        await models.Purchase.update(
+          { payment_status: 'cart', transaction_id: null, updated_at: new Date() },
+          { where: { id: purchaseIds, transaction_id: transaction.id, payment_status: 'pending' } }
+        );
+      }
+    } catch (releaseError) {
+      luderror.payment('PaypalCheckoutProvider: Failed to release checkout after order error:', releaseError);
+    }
+  }
+}
+
+export default PaypalCheckoutProvider;
\ No newline at end of file
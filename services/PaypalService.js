@@ -0,0 +1,338 @@
+import { luderror } from '../lib/ludlog.js';
+import { calcFinalPurchasePrice } from '../utils/purchasePricing.js';
+import {
+  PAYPAL_API_URLS,
+  PAYPAL_WEBHOOK_HEADERS,
+  toPayPalAmount
+} from '../constants/paypal.js';
+import { isProd } from '../src/utils/environment.js';
+
+/**
+ * PaypalService - Thin client for the PayPal REST API (Orders v2, Subscriptions v1, webhook verification)
+ *
+ * Uses fetch directly like PayplusService - no PayPal SDK dependency.
+ */
+class PaypalService {
+  /**
+   * Get PayPal credentials from environment variables
+   * @returns {Object} PayPal configuration object
+   */
+  static getPayPalCredentials() {
+    const isProduction = isProd();
+    const normalizedEnv = isProduction ? 'production' : 'staging';
+
+    const credentials = {
+      apiUrl: isProduction ? PAYPAL_API_URLS.LIVE : PAYPAL_API_URLS.SANDBOX,
+      client_id: process.env.PAYPAL_CLIENT_ID,
+      client_secret: process.env.PAYPAL_CLIENT_SECRET,
+      webhook_id: process.env.PAYPAL_WEBHOOK_ID,
+      environment: normalizedEnv
+    };
+
+    const missingEnvVars = [
+      ['client_id', 'PAYPAL_CLIENT_ID'],
+      ['client_secret', 'PAYPAL_CLIENT_SECRET']
+    ].filter(([field]) => !credentials[field]).map(([, envVar]) => envVar);
+
+    if (missingEnvVars.length > 0) {
+      throw new Error(`Missing PayPal ${normalizedEnv} credentials: ${missingEnvVars.join(', ')}`);
+    }
+
+    return credentials;
+  }
+
+  /**
+   * Check whether PayPal checkout is configured for this environment
+   * @returns {boolean}
+   */
+  static isConfigured() {
+    return !!(process.env.PAYPAL_CLIENT_ID && process.env.PAYPAL_CLIENT_SECRET);
+  }
+
+  /**
+   * Get an OAuth access token (client credentials grant)
+   * @returns {Promise<string>} Bearer access token
+   */
+  static async getAccessToken() {
+    const { apiUrl, client_id, client_secret } = this.getPayPalCredentials();
+
+    const response = await fetch(`${apiUrl}/v1/oauth2/token`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${client_id}:${client_secret}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: 'grant_type=client_credentials'
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.access_token) {
+      luderror.payment('PayPal OAuth token request failed:', {
+        status: response.status,
+        error: data.error,
+        description: data.error_description
+      });
+      throw new Error('Failed to authenticate with PayPal');
+    }
+
+    return data.access_token;
+  }
+
+  /**
+   * Perform an authenticated PayPal REST API request
+   * @param {string} method - HTTP method
+   * @param {string} path - API path (e.g. /v2/checkout/orders)
+   * @param {Object} [body] - JSON body
+   * @param {Object} [options]
+   * @param {string} [options.requestId] - PayPal-Request-Id for idempotent retries
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  static async request(method, path, body = null, options = {}) {
+    const { apiUrl } = this.getPayPalCredentials();
+    const accessToken = await this.getAccessToken();
+
+    const headers = {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation'
+    };
+
+    if (options.requestId) {
+      headers['PayPal-Request-Id'] = options.requestId;
+    }
+
+    const response = await fetch(`${apiUrl}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const responseText = await response.text();
+    let data = {};
+    if (responseText) {
+      try {
+        data = JSON.parse(responseText);
+      } catch (parseError) {
+        luderror.payment('PayPal API returned invalid JSON:', {
+          path,
+          responseText: responseText.substring(0, 500)
+        });
+        throw new Error('Invalid PayPal API response');
+      }
+    }
+
+    if (!response.ok) {
+      luderror.payment(`PayPal API HTTP error ${response.status}:`, {
+        path,
+        name: data.name,
+        message: data.message,
+        details: data.details
+      });
+      const error = new Error(data.message || `PayPal API error: ${response.status}`);
+      error.paypalError = data.name || null;
+      error.statusCode = response.status;
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Get frontend return/cancel URLs for PayPal approval redirects
+   * @returns {Object} { returnUrl, cancelUrl }
+   */
+  static getReturnUrls() {
+    const frontendUrl = process.env.FRONTEND_URL || '';
+    return {
+      returnUrl: `${frontendUrl}/payment-result?provider=paypal`,
+      cancelUrl: `${frontendUrl}/payment-result?provider=paypal&cancelled=true`
+    };
+  }
+
+  /**
+   * Find the buyer approval link in a PayPal response
+   * @param {Object} data - PayPal order or subscription
+   * @returns {string|null} Approval URL
+   */
+  static getApprovalLink(data) {
+    const link = (data?.links || []).find(item => ['payer-action', 'approve'].includes(item.rel));
+    return link?.href || null;
+  }
+
+  /**
+   * Create a PayPal order (intent CAPTURE) for cart purchase items
+   * @param {Object} options
+   * @param {string} options.transactionId - Our Transaction id (sent as custom_id)
+   * @param {Array} options.purchaseItems - Purchase items to charge
+   * @param {string} [options.currency] - ISO currency code
+   * @returns {Promise<Object>} { orderId, approvalUrl, totalAmount, data }
+   */
+  static async createOrder(options = {}) {
+    const { transactionId, purchaseItems = [], currency = 'ILS' } = options;
+
+    const items = purchaseItems.map(purchaseItem => ({
+      name: (purchaseItem.metadata?.product_title || purchaseItem.title || purchaseItem.name || 'Product').substring(0, 127),
+      quantity: '1',
+      category: 'DIGITAL_GOODS',
+      sku: `${purchaseItem.purchasable_type || 'general'}_${purchaseItem.purchasable_id || purchaseItem.id || '0'}`,
+      unit_amount: {
+        currency_code: currency,
+        value: toPayPalAmount(calcFinalPurchasePrice(purchaseItem))
+      }
+    }));
+
+    const totalAmount = purchaseItems.reduce((total, purchaseItem) => total + calcFinalPurchasePrice(purchaseItem), 0);
+    if (totalAmount <= 0) {
+      throw new Error('Total amount must be greater than 0 for PayPal payment');
+    }
+
+    const { returnUrl, cancelUrl } = this.getReturnUrls();
+
+    const order = await this.request('POST', '/v2/checkout/orders', {
+      intent: 'CAPTURE',
+      purchase_units: [{
+        reference_id: transactionId,
+        custom_id: transactionId,
+        amount: {
+          currency_code: currency,
+          value: toPayPalAmount(totalAmount),
+          breakdown: {
+            item_total: { currency_code: currency, value: toPayPalAmount(totalAmount) }
+          }
+        },
+        items
+      }],
+      payment_source: {
+        paypal: {
+          experience_context: {
+            brand_name: 'Ludora',
+            shipping_preference: 'NO_SHIPPING',
+            user_action: 'PAY_NOW',
+            return_url: returnUrl,
+            cancel_url: cancelUrl
+          }
+        }
+      }
+    }, { requestId: `order-${transactionId}-${Date.now()}` });
+
+    const approvalUrl = this.getApprovalLink(order);
+    if (!order.id || !approvalUrl) {
+      luderror.payment('PayPal order response missing required data:', {
+        hasOrderId: !!order.id,
+        hasApprovalUrl: !!approvalUrl
+      });
+      throw new Error('Failed to create PayPal order');
+    }
+
+    return {
+      orderId: order.id,
+      approvalUrl,
+      totalAmount,
+      data: order
+    };
+  }
+
+  /**
+   * Capture an approved PayPal order
+   * @param {string} orderId - PayPal order id
+   * @returns {Promise<Object>} Captured order
+   */
+  static async captureOrder(orderId) {
+    // Same request id for the same order makes retries (webhook + return page) idempotent
+    return this.request('POST', `/v2/checkout/orders/${orderId}/capture`, {}, { requestId: `capture-${orderId}` });
+  }
+
+  /**
+   * Get a PayPal order
+   * @param {string} orderId - PayPal order id
+   * @returns {Promise<Object>} Order
+   */
+  static async getOrder(orderId) {
+    return this.request('GET', `/v2/checkout/orders/${orderId}`);
+  }
+
+  /**
+   * Create a PayPal subscription for a pending local subscription
+   * @param {Object} options
+   * @param {Object} options.subscription - Local Subscription (sent as custom_id)
+   * @param {Object} options.subscriptionPlan - SubscriptionPlan with paypal_plan_id
+   * @param {Object} options.user - Subscriber
+   * @returns {Promise<Object>} { paypalSubscriptionId, approvalUrl, data }
+   */
+  static async createSubscription(options = {}) {
+    const { subscription, subscriptionPlan, user } = options;
+
+    if (!subscriptionPlan.paypal_plan_id) {
+      throw new Error(`Subscription plan ${subscriptionPlan.id} is not configured for PayPal`);
+    }
+
+    const { returnUrl, cancelUrl } = this.getReturnUrls();
+
+    const paypalSubscription = await this.request('POST', '/v1/billing/subscriptions', {
+      plan_id: subscriptionPlan.paypal_plan_id,
+      custom_id: subscription.id,
+      subscriber: {
+        email_address: user.email,
+        ...(user.full_name && { name: { given_name: user.full_name } })
+      },
+      application_context: {
+        brand_name: 'Ludora',
+        shipping_preference: 'NO_SHIPPING',
+        user_action: 'SUBSCRIBE_NOW',
+        return_url: returnUrl,
+        cancel_url: cancelUrl
+      }
+    }, { requestId: `subscription-${subscription.id}-${Date.now()}` });
+
+    const approvalUrl = this.getApprovalLink(paypalSubscription);
+    if (!paypalSubscription.id || !approvalUrl) {
+      throw new Error('Failed to create PayPal subscription');
+    }
+
+    return {
+      paypalSubscriptionId: paypalSubscription.id,
+      approvalUrl,
+      data: paypalSubscription
+    };
+  }
+
+  /**
+   * Verify a PayPal webhook delivery through the verify-webhook-signature API
+   * @param {Object} headers - Incoming request headers (lower-cased, as Express provides them)
+   * @param {Object} event - Parsed webhook event body
+   * @returns {Promise<boolean>} True when PayPal reports SUCCESS
+   */
+  static async verifyWebhookSignature(headers, event) {
+    try {
+      const { webhook_id } = this.getPayPalCredentials();
+      if (!webhook_id) {
+        luderror.payment('PAYPAL_WEBHOOK_ID is not configured - rejecting PayPal webhook');
+        return false;
+      }
+
+      const missingHeader = Object.values(PAYPAL_WEBHOOK_HEADERS).find(header => !headers[header]);
+      if (missingHeader) {
+        return false;
+      }
+
+      const result = await this.request('POST', '/v1/notifications/verify-webhook-signature', {
+        auth_algo: headers[PAYPAL_WEBHOOK_HEADERS.AUTH_ALGO],
+        cert_url: headers[PAYPAL_WEBHOOK_HEADERS.CERT_URL],
+        transmission_id: headers[PAYPAL_WEBHOOK_HEADERS.TRANSMISSION_ID],
+        transmission_sig: headers[PAYPAL_WEBHOOK_HEADERS.TRANSMISSION_SIG],
+        transmission_time: headers[PAYPAL_WEBHOOK_HEADERS.TRANSMISSION_TIME],
+        webhook_id,
+        webhook_event: event
+      });
+
+      return result.verification_status === 'SUCCESS';
+
+    } catch (error) {
+      luderror.payment('PayPal webhook signature verification failed:', error.message);
+      return false;
+    }
+  }
+}
+
+export default PaypalService;
\ No newline at end of file
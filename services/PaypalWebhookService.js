@@ -0,0 +1,756 @@
+import models from '../models/index.js';
+import { generateId } from '../models/baseModel.js';
+import { ludlog } from '../lib/ludlog.js';
+import PaypalService from './PaypalService.js';
+import RefundService from './RefundService.js';
+import {
+  PAYPAL_EVENT_TYPES,
+  PAYPAL_CAPTURE_STATUSES,
+  fromPayPalAmount
+} from '../constants/paypal.js';
+import { isProd } from '../src/utils/environment.js';
+
+/**
+ * PaypalWebhookService - Maps PayPal webhook events onto Purchase, Transaction and Subscription records
+ *
+ * Follows the same flow as StripeWebhookService so access control, allowances and the
+ * subscription lifecycle do not depend on the provider that settled a payment.
+ *
+ * PayPal objects are linked to our records through ids set by PaypalCheckoutProvider:
+ * - order purchase_units[].custom_id → Transaction.id (also Transaction.metadata.paypal_order_id)
+ * - subscription custom_id → Subscription.id (also Subscription.metadata.paypal_subscription_id)
+ */
+class PaypalWebhookService {
+  /**
+   * Process a verified PayPal webhook event
+   * @param {Object} event - PayPal webhook event
+   * @param {Object} webhookLog - WebhookLog instance for process logging
+   * @returns {Promise<Object>} Processing result { handled, action, transactionId, subscriptionId }
+   */
+  static async processEvent(event, webhookLog) {
+    const resource = event.resource || {};
+
+    switch (event.event_type) {
+      case PAYPAL_EVENT_TYPES.CHECKOUT_ORDER_APPROVED:
+        return this.handleOrderApproved(resource, event, webhookLog);
+
+      case PAYPAL_EVENT_TYPES.PAYMENT_CAPTURE_COMPLETED:
+        return this.handleCaptureCompleted(resource, event, webhookLog);
+
+      case PAYPAL_EVENT_TYPES.PAYMENT_CAPTURE_DENIED:
+        return this.handleCaptureDenied(resource, event, webhookLog);
+
+      case PAYPAL_EVENT_TYPES.PAYMENT_CAPTURE_REFUNDED:
+        return this.handleCaptureRefunded(resource, event, webhookLog);
+
+      case PAYPAL_EVENT_TYPES.PAYMENT_SALE_COMPLETED:
+        return this.handleSaleCompleted(resource, event, webhookLog);
+
+      case PAYPAL_EVENT_TYPES.BILLING_SUBSCRIPTION_ACTIVATED:
+        return this.handleSubscriptionActivated(resource, event, webhookLog);
+
+      case PAYPAL_EVENT_TYPES.BILLING_SUBSCRIPTION_CANCELLED:
+        return this.handleSubscriptionCancelled(resource, event, webhookLog);
+
+      case PAYPAL_EVENT_TYPES.BILLING_SUBSCRIPTION_EXPIRED:
+        return this.handleSubscriptionExpired(resource, event, webhookLog);
+
+      case PAYPAL_EVENT_TYPES.BILLING_SUBSCRIPTION_SUSPENDED:
+      case PAYPAL_EVENT_TYPES.BILLING_SUBSCRIPTION_PAYMENT_FAILED:
+        return this.handleSubscriptionPaymentFailed(resource, event, webhookLog);
+
+      default:
+        webhookLog.addProcessLog(`PayPal event type ${event.event_type} is not handled - acknowledged only`);
+        return { handled: false, action: 'ignored' };
+    }
+  }
+
+  /**
+   * Check whether a PayPal event id was already processed successfully
+   * PayPal retries deliveries until it receives a 2xx, so every event must be idempotent
+   * @param {string} eventId - PayPal event id (WH-...)
+   * @returns {Promise<Object|null>} Previously completed WebhookLog or null
+   */
+  static async findProcessedEvent(eventId) {
+    if (!eventId) {
+      return null;
+    }
+
+    return models.WebhookLog.findOne({
+      where: {
+        provider: 'paypal',
+        status: 'completed',
+        'event_data.id': eventId
+      }
+    });
+  }
+
+  /**
+   * Resolve our Transaction for a PayPal order
+   * @param {string} orderId - PayPal order id
+   * @param {string} [customId] - custom_id sent with the order (our Transaction id)
+   * @returns {Promise<Object|null>} Transaction with purchases included
+   */
+  static async findTransactionForOrder(orderId, customId = null) {
+    const include = [{ model: models.Purchase, as: 'purchases' }];
+
+    if (customId) {
+      const transaction = await models.Transaction.findByPk(customId, { include });
+      if (transaction) {
+        return transaction;
+      }
+    }
+
+    if (!orderId) {
+      return null;
+    }
+
+    return models.Transaction.findOne({
+      where: { 'metadata.paypal_order_id': orderId },
+      include
+    });
+  }
+
+  /**
+   * Resolve our Transaction for a PayPal capture
+   * @param {string} captureId - PayPal capture id
+   * @param {string} [customId] - custom_id sent with the order (our Transaction id)
+   * @returns {Promise<Object|null>} Transaction with purchases included
+   */
+  static async findTransactionForCapture(captureId, customId = null) {
+    const include = [{ model: models.Purchase, as: 'purchases' }];
+
+    if (captureId) {
+      const transaction = await models.Transaction.findOne({
+        where: { 'metadata.paypal_capture_id': captureId },
+        include
+      });
+      if (transaction) {
+        return transaction;
+      }
+    }
+
+    return customId ? models.Transaction.findByPk(customId, { include }) : null;
+  }
+
+  /**
+   * Resolve our Subscription for a PayPal subscription id
+   * @param {string} paypalSubscriptionId - PayPal subscription id (I-...)
+   * @param {string} [customId] - custom_id sent with the subscription (our Subscription id)
+   * @returns {Promise<Object|null>} Subscription
+   */
+  static async findSubscription(paypalSubscriptionId, customId = null) {
+    if (paypalSubscriptionId) {
+      const subscription = await models.Subscription.findOne({
+        where: { 'metadata.paypal_subscription_id': paypalSubscriptionId }
+      });
+      if (subscription) {
+        return subscription;
+      }
+    }
+
+    return customId ? models.Subscription.findByPk(customId) : null;
+  }
+
+  /**
+   * Capture an approved order and remember the capture on the transaction
+   * Called from the CHECKOUT.ORDER.APPROVED webhook and the buyer's return page - both are safe to repeat
+   * @param {string} orderId - PayPal order id
+   * @param {Object} transaction - Pending transaction for the order
+   * @returns {Promise<Object>} { status, captureId }
+   */
+  static async captureApprovedOrder(orderId, transaction) {
+    const capturedOrder = await PaypalService.captureOrder(orderId);
+    const capture = capturedOrder.purchase_units?.[0]?.payments?.captures?.[0] || null;
+
+    await transaction.update({
+      metadata: {
+        ...transaction.metadata,
+        paypal_order_id: orderId,
+        paypal_capture_id: capture?.id || transaction.metadata?.paypal_capture_id || null,
+        paypal_capture_status: capture?.status || capturedOrder.status,
+        capturedAt: new Date().toISOString()
+      },
+      updated_at: new Date()
+    });
+
+    return {
+      status: capture?.status || capturedOrder.status,
+      captureId: capture?.id || null
+    };
+  }
+
+  /**
+   * CHECKOUT.ORDER.APPROVED - the buyer approved the order, capture it
+   */
+  static async handleOrderApproved(order, event, webhookLog) {
+    const transaction = await this.findTransactionForOrder(order.id, order.purchase_units?.[0]?.custom_id);
+    if (!transaction) {
+      throw new Error(`No transaction found for PayPal order ${order.id}`);
+    }
+
+    webhookLog.addProcessLog(`Found transaction: ${transaction.id} for approved order ${order.id}`);
+    await webhookLog.update({ transaction_id: transaction.id });
+
+    if (transaction.payment_status === 'completed' || transaction.metadata?.paypal_capture_id) {
+      webhookLog.addProcessLog('Order already captured - waiting for PAYMENT.CAPTURE.COMPLETED');
+      return { handled: true, action: 'already_captured', transactionId: transaction.id };
+    }
+
+    const capture = await this.captureApprovedOrder(order.id, transaction);
+    webhookLog.addProcessLog(`Order ${order.id} captured: ${capture.captureId} (${capture.status})`);
+
+    return { handled: true, action: 'captured', transactionId: transaction.id };
+  }
+
+  /**
+   * PAYMENT.CAPTURE.COMPLETED - funds captured for a one-time order
+   */
+  static async handleCaptureCompleted(capture, event, webhookLog) {
+    const orderId = capture.supplementary_data?.related_ids?.order_id;
+    const transaction = await this.findTransactionForOrder(orderId, capture.custom_id);
+    if (!transaction) {
+      throw new Error(`No transaction found for PayPal capture ${capture.id} (order ${orderId})`);
+    }
+
+    webhookLog.addProcessLog(`Found transaction: ${transaction.id} for capture ${capture.id}`);
+    await webhookLog.update({ transaction_id: transaction.id });
+
+    return this.completeTransaction(transaction, {
+      webhookLog,
+      eventId: event.id,
+      amount: fromPayPalAmount(capture.amount),
+      currency: capture.amount?.currency_code,
+      paypalRefs: {
+        paypal_order_id: orderId || null,
+        paypal_capture_id: capture.id,
+        paypal_capture_status: PAYPAL_CAPTURE_STATUSES.COMPLETED
+      }
+    });
+  }
+
+  /**
+   * PAYMENT.CAPTURE.DENIED - the capture was declined after approval
+   */
+  static async handleCaptureDenied(capture, event, webhookLog) {
+    const orderId = capture.supplementary_data?.related_ids?.order_id;
+    const transaction = await this.findTransactionForOrder(orderId, capture.custom_id);
+    if (!transaction) {
+      throw new Error(`No transaction found for denied PayPal capture ${capture.id} (order ${orderId})`);
+    }
+
+    webhookLog.addProcessLog(`Found transaction: ${transaction.id} for denied capture ${capture.id}`);
+    await webhookLog.update({ transaction_id: transaction.id });
+
+    if (transaction.payment_status === 'completed') {
+      webhookLog.addProcessLog('Transaction already completed - ignoring stale denial event');
+      return { handled: true, action: 'already_completed', transactionId: transaction.id };
+    }
+
+    const failureReason = capture.status_details?.reason || 'Payment capture denied';
+
+    await transaction.update({
+      payment_status: 'failed',
+      payment_method: 'paypal',
+      resolution_method: 'webhook',
+      failure_reason: failureReason,
+      metadata: {
+        ...transaction.metadata,
+        paypal_capture_id: capture.id,
+        paypal_capture_status: PAYPAL_CAPTURE_STATUSES.DECLINED,
+        paypal_last_event_id: event.id,
+        failedAt: new Date().toISOString(),
+        failureReason
+      },
+      updated_at: new Date()
+    });
+
+    webhookLog.addProcessLog('Transaction updated to failed status');
+
+    return { handled: true, action: 'failed', transactionId: transaction.id };
+  }
+
+  /**
+   * PAYMENT.CAPTURE.REFUNDED - a full or partial refund was issued from the PayPal dashboard or API
+   */
+  static async handleCaptureRefunded(refund, event, webhookLog) {
+    // The refund links back to its capture through the "up" link
+    const captureLink = (refund.links || []).find(link => link.rel === 'up')?.href || '';
+    const captureId = captureLink.split('/captures/')[1] || null;
+
+    const transaction = await this.findTransactionForCapture(captureId, refund.custom_id);
+    if (!transaction) {
+      throw new Error(`No transaction found for PayPal refund ${refund.id} (capture ${captureId})`);
+    }
+
+    webhookLog.addProcessLog(`Found transaction: ${transaction.id} for refunded capture ${captureId}`);
+    await webhookLog.update({ transaction_id: transaction.id });
+
+    // total_refunded_amount covers every refund of the capture - this refund's amount is only
+    // the total for the first refund
+    const refundedTotal = fromPayPalAmount(refund.seller_payable_breakdown?.total_refunded_amount) ??
+      fromPayPalAmount(refund.amount);
+    const chargeAmount = parseFloat(transaction.amount);
+    const isFullRefund = refundedTotal >= chargeAmount;
+
+    const result = await RefundService.recordProviderRefund(transaction, {
+      provider: 'paypal',
+      refundedTotal,
+      chargeAmount,
+      isFullRefund,
+      refundId: refund.id,
+      environment: isProd() ? 'production' : 'staging',
+      data: refund,
+      reason: refund.note_to_payer || 'Refunded through PayPal',
+      providerRefs: {
+        paypal_last_event_id: event.id
+      }
+    });
+
+    if (!result.amount) {
+      webhookLog.addProcessLog('Refund already recorded - nothing to do');
+      return { handled: true, action: 'already_refunded', transactionId: transaction.id };
+    }
+
+    webhookLog.addProcessLog(`Refund recorded: ${result.amount} (${isFullRefund ? 'full' : 'partial'})`);
+    for (const purchaseRefund of result.refunds) {
+      webhookLog.addProcessLog(`Purchase ${purchaseRefund.purchaseId} refunded: ${purchaseRefund.amount} (${purchaseRefund.refundType})`);
+    }
+
+    return { handled: true, action: isFullRefund ? 'refunded' : 'partially_refunded', transactionId: transaction.id };
+  }
+
+  /**
+   * PAYMENT.SALE.COMPLETED - a subscription billing cycle was charged
+   */
+  static async handleSaleCompleted(sale, event, webhookLog) {
+    if (!sale.billing_agreement_id) {
+      webhookLog.addProcessLog(`Sale ${sale.id} is not a subscription payment - nothing to do`);
+      return { handled: false, action: 'ignored' };
+    }
+
+    const subscription = await this.findSubscription(sale.billing_agreement_id, sale.custom);
+    if (!subscription) {
+      throw new Error(`No subscription found for PayPal subscription ${sale.billing_agreement_id}`);
+    }
+
+    webhookLog.addProcessLog(`Found subscription: ${subscription.id}, status: ${subscription.status}`);
+    await webhookLog.update({ subscription_id: subscription.id });
+
+    const existingTransaction = await models.Transaction.findOne({
+      where: { 'metadata.paypal_sale_id': sale.id }
+    });
+
+    if (existingTransaction) {
+      webhookLog.addProcessLog(`Sale ${sale.id} already recorded on transaction ${existingTransaction.id}`);
+      return { handled: true, action: 'already_recorded', transactionId: existingTransaction.id, subscriptionId: subscription.id };
+    }
+
+    const amount = fromPayPalAmount(sale.amount);
+    const currency = sale.amount?.currency;
+
+    // The first sale belongs to the checkout transaction (it may arrive before or after ACTIVATED)
+    const initialTransaction = subscription.transaction_id
+      ? await models.Transaction.findByPk(subscription.transaction_id, { include: [{ model: models.Purchase, as: 'purchases' }] })
+      : null;
+
+    if (initialTransaction && !initialTransaction.metadata?.paypal_sale_id) {
+      if (initialTransaction.payment_status !== 'completed') {
+        return this.completeTransaction(initialTransaction, {
+          webhookLog,
+          eventId: event.id,
+          amount,
+          currency,
+          paypalRefs: {
+            paypal_sale_id: sale.id,
+            paypal_subscription_id: sale.billing_agreement_id
+          }
+        });
+      }
+
+      await initialTransaction.update({
+        metadata: { ...initialTransaction.metadata, paypal_sale_id: sale.id },
+        updated_at: new Date()
+      });
+      webhookLog.addProcessLog(`Initial sale ${sale.id} linked to transaction ${initialTransaction.id}`);
+      return { handled: true, action: 'initial_payment_recorded', transactionId: initialTransaction.id, subscriptionId: subscription.id };
+    }
+
+    // RENEWAL: record a renewal transaction once per PayPal sale
+    const renewalTransaction = await models.Transaction.create({
+      id: generateId(),
+      user_id: subscription.user_id,
+      payment_method: 'paypal',
+      resolution_method: 'webhook',
+      amount,
+      currency: currency || 'ILS',
+      payment_status: 'completed',
+      environment: isProd() ? 'production' : 'staging',
+      metadata: {
+        subscription_id: subscription.id,
+        transaction_type: 'SUBSCRIPTION_RENEWAL',
+        renewal_for_subscription: subscription.id,
+        paypal_sale_id: sale.id,
+        paypal_subscription_id: sale.billing_agreement_id,
+        created_via: 'paypal_webhook_renewal',
+        resolvedBy: 'webhook',
+        resolvedAt: new Date().toISOString()
+      },
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+
+    await webhookLog.update({ transaction_id: renewalTransaction.id });
+    webhookLog.addProcessLog(`Created renewal transaction: ${renewalTransaction.id}`);
+
+    await subscription.update({
+      next_billing_date: subscription.calculateNextBillingDate(new Date()),
+      metadata: {
+        ...subscription.metadata,
+        lastRenewalAt: new Date().toISOString(),
+        lastRenewalTransactionId: renewalTransaction.id,
+        lastPaypalSaleId: sale.id
+      },
+      updated_at: new Date()
+    });
+
+    webhookLog.addProcessLog(`Subscription ${subscription.id} renewed via PayPal sale ${sale.id}`);
+
+    return { handled: true, action: 'subscription_renewed', transactionId: renewalTransaction.id, subscriptionId: subscription.id };
+  }
+
+  /**
+   * BILLING.SUBSCRIPTION.ACTIVATED - the buyer approved the subscription and PayPal activated it
+   */
+  static async handleSubscriptionActivated(paypalSubscription, event, webhookLog) {
+    const subscription = await this.findSubscription(paypalSubscription.id, paypalSubscription.custom_id);
+    if (!subscription) {
+      throw new Error(`No subscription found for PayPal subscription ${paypalSubscription.id}`);
+    }
+
+    webhookLog.addProcessLog(`Found subscription: ${subscription.id}, status: ${subscription.status}`);
+    await webhookLog.update({ subscription_id: subscription.id });
+
+    if (subscription.status !== 'pending') {
+      webhookLog.addProcessLog(`Subscription ${subscription.id} is ${subscription.status} - activation skipped`);
+      return { handled: true, action: 'already_active', subscriptionId: subscription.id };
+    }
+
+    const nextBillingTime = paypalSubscription.billing_info?.next_billing_time;
+    const nextBillingDate = nextBillingTime ? new Date(nextBillingTime) : null;
+    const paypalRefs = {
+      paypal_subscription_id: paypalSubscription.id,
+      paypal_payer_id: paypalSubscription.subscriber?.payer_id || null
+    };
+
+    const transaction = subscription.transaction_id
+      ? await models.Transaction.findByPk(subscription.transaction_id, { include: [{ model: models.Purchase, as: 'purchases' }] })
+      : null;
+
+    if (transaction) {
+      const lastPayment = paypalSubscription.billing_info?.last_payment;
+      return this.completeTransaction(transaction, {
+        webhookLog,
+        eventId: event.id,
+        amount: fromPayPalAmount(lastPayment?.amount),
+        currency: lastPayment?.amount?.currency_code,
+        nextBillingDate,
+        paypalRefs
+      });
+    }
+
+    await this.activateSubscription(subscription, {
+      webhookLog,
+      paypalSubscriptionId: paypalSubscription.id,
+      paypalPayerId: paypalRefs.paypal_payer_id,
+      nextBillingDate
+    });
+    return { handled: true, action: 'subscription_activated', subscriptionId: subscription.id };
+  }
+
+  /**
+   * BILLING.SUBSCRIPTION.CANCELLED - cancelled by the subscriber in PayPal or through the API
+   */
+  static async handleSubscriptionCancelled(paypalSubscription, event, webhookLog) {
+    const subscription = await this.findSubscription(paypalSubscription.id, paypalSubscription.custom_id);
+    if (!subscription) {
+      throw new Error(`No subscription found for PayPal subscription ${paypalSubscription.id}`);
+    }
+
+    webhookLog.addProcessLog(`Found subscription: ${subscription.id}, status: ${subscription.status}`);
+    await webhookLog.update({ subscription_id: subscription.id });
+
+    if (['cancelled', 'expired'].includes(subscription.status) || subscription.isExpiring()) {
+      webhookLog.addProcessLog(`Subscription ${subscription.id} already cancelled - nothing to do`);
+      return { handled: true, action: 'already_cancelled', subscriptionId: subscription.id };
+    }
+
+    const paidUntil = subscription.next_billing_date ? new Date(subscription.next_billing_date) : null;
+
+    // Keep access for the period that was already paid - processExpiredSubscriptions ends it at end_date
+    if (subscription.status === 'active' && paidUntil && paidUntil > new Date()) {
+      await subscription.update({
+        end_date: paidUntil,
+        next_billing_date: null,
+        metadata: {
+          ...subscription.metadata,
+          paypal_status: paypalSubscription.status,
+          scheduledCancellation: {
+            cancelledAt: new Date().toISOString(),
+            willExpireAt: paidUntil.toISOString(),
+            reason: 'paypal_cancelled'
+          }
+        },
+        updated_at: new Date()
+      });
+
+      webhookLog.addProcessLog(`Subscription ${subscription.id} will expire at ${paidUntil.toISOString()}`);
+      return { handled: true, action: 'cancellation_scheduled', subscriptionId: subscription.id };
+    }
+
+    await subscription.update({
+      status: 'cancelled',
+      cancelled_at: new Date(),
+      next_billing_date: null,
+      metadata: {
+        ...subscription.metadata,
+        paypal_status: paypalSubscription.status,
+        cancellationReason: 'paypal_cancelled'
+      },
+      updated_at: new Date()
+    });
+
+    webhookLog.addProcessLog(`Subscription ${subscription.id} cancelled`);
+    return { handled: true, action: 'subscription_cancelled', subscriptionId: subscription.id };
+  }
+
+  /**
+   * BILLING.SUBSCRIPTION.EXPIRED - all billing cycles finished
+   */
+  static async handleSubscriptionExpired(paypalSubscription, event, webhookLog) {
+    const subscription = await this.findSubscription(paypalSubscription.id, paypalSubscription.custom_id);
+    if (!subscription) {
+      throw new Error(`No subscription found for PayPal subscription ${paypalSubscription.id}`);
+    }
+
+    webhookLog.addProcessLog(`Found subscription: ${subscription.id}, status: ${subscription.status}`);
+    await webhookLog.update({ subscription_id: subscription.id });
+
+    await subscription.update({
+      status: 'expired',
+      next_billing_date: null,
+      metadata: {
+        ...subscription.metadata,
+        paypal_status: paypalSubscription.status,
+        expiredAt: new Date().toISOString()
+      },
+      updated_at: new Date()
+    });
+
+    webhookLog.addProcessLog(`Subscription ${subscription.id} expired`);
+    return { handled: true, action: 'subscription_expired', subscriptionId: subscription.id };
+  }
+
+  /**
+   * BILLING.SUBSCRIPTION.PAYMENT.FAILED / BILLING.SUBSCRIPTION.SUSPENDED
+   *
+   * PayPal retries failed renewals itself and suspends the subscription once retries are exhausted,
+   * so a single failed renewal is only recorded - the subscription fails on SUSPENDED
+   * (or immediately when the very first payment fails).
+   */
+  static async handleSubscriptionPaymentFailed(paypalSubscription, event, webhookLog) {
+    const subscription = await this.findSubscription(paypalSubscription.id, paypalSubscription.custom_id);
+    if (!subscription) {
+      throw new Error(`No subscription found for PayPal subscription ${paypalSubscription.id}`);
+    }
+
+    webhookLog.addProcessLog(`Found subscription: ${subscription.id}, status: ${subscription.status}`);
+    await webhookLog.update({ subscription_id: subscription.id });
+
+    const isSuspension = event.event_type === PAYPAL_EVENT_TYPES.BILLING_SUBSCRIPTION_SUSPENDED;
+    const failureReason = paypalSubscription.status_change_note ||
+      (isSuspension ? 'PayPal subscription suspended' : 'PayPal subscription payment failed');
+
+    if (!isSuspension && subscription.status !== 'pending') {
+      await subscription.update({
+        metadata: {
+          ...subscription.metadata,
+          paypal_status: paypalSubscription.status,
+          lastPaymentFailure: {
+            reason: failureReason,
+            failedPaymentsCount: paypalSubscription.billing_info?.failed_payments_count || null,
+            failedAt: new Date().toISOString()
+          }
+        },
+        updated_at: new Date()
+      });
+
+      webhookLog.addProcessLog('Renewal payment failure recorded - waiting for PayPal retries');
+      return { handled: true, action: 'payment_failure_recorded', subscriptionId: subscription.id };
+    }
+
+    if (subscription.transaction_id) {
+      const transaction = await models.Transaction.findByPk(subscription.transaction_id);
+      if (transaction && transaction.payment_status === 'pending') {
+        await transaction.update({
+          payment_status: 'failed',
+          payment_method: 'paypal',
+          resolution_method: 'webhook',
+          failure_reason: failureReason,
+          updated_at: new Date()
+        });
+        webhookLog.addProcessLog(`Transaction ${transaction.id} updated to failed status`);
+      }
+    }
+
+    const SubscriptionPaymentService = (await import('./SubscriptionPaymentService.js')).default;
+    await SubscriptionPaymentService.handlePaymentFailure(subscription, {
+      status: 'failed',
+      reason: failureReason,
+      provider: 'paypal',
+      paypal_subscription_id: paypalSubscription.id
+    });
+
+    webhookLog.addProcessLog(`Subscription ${subscription.id} payment failure handled`);
+    return { handled: true, action: 'failed', transactionId: subscription.transaction_id || null, subscriptionId: subscription.id };
+  }
+
+  /**
+   * Mark a transaction as completed and fulfil its purchases or subscription
+   * @param {Object} transaction - Transaction instance (with purchases)
+   * @param {Object} options
+   * @param {Object} options.webhookLog - WebhookLog for process logging
+   * @param {string} options.eventId - PayPal event id
+   * @param {number} [options.amount] - Settled amount (decimal)
+   * @param {string} [options.currency] - Settled currency
+   * @param {Date} [options.nextBillingDate] - Next billing date for subscriptions
+   * @param {Object} options.paypalRefs - PayPal ids to persist on the transaction
+   * @returns {Promise<Object>} Processing result
+   */
+  static async completeTransaction(transaction, options) {
+    const { webhookLog, eventId, amount, currency, nextBillingDate = null, paypalRefs = {} } = options;
+
+    const subscriptionId = transaction.metadata?.subscription_id;
+    if (subscriptionId) {
+      await webhookLog.update({ subscription_id: subscriptionId });
+    }
+
+    // Drop nulls so we never overwrite a known PayPal id with an empty value
+    const refs = Object.fromEntries(Object.entries(paypalRefs).filter(([, value]) => value));
+
+    if (transaction.payment_status === 'completed') {
+      webhookLog.addProcessLog(`Transaction ${transaction.id} already completed - skipping fulfilment`);
+      await transaction.update({
+        metadata: { ...transaction.metadata, ...refs },
+        updated_at: new Date()
+      });
+      return { handled: true, action: 'already_completed', transactionId: transaction.id, subscriptionId: subscriptionId || null };
+    }
+
+    if (amount !== null && amount !== undefined && transaction.amount !== null &&
+        Math.abs(parseFloat(transaction.amount) - amount) > 0.01) {
+      webhookLog.addProcessLog(`⚠️ Amount mismatch: expected ${transaction.amount}, PayPal settled ${amount} ${currency}`);
+    }
+
+    await transaction.update({
+      payment_status: 'completed',
+      payment_method: 'paypal',
+      resolution_method: 'webhook',
+      metadata: {
+        ...transaction.metadata,
+        ...refs,
+        paypal_last_event_id: eventId,
+        settledAmount: amount,
+        settledCurrency: currency,
+        completedAt: new Date().toISOString(),
+        resolvedBy: 'webhook',
+        resolvedAt: new Date().toISOString()
+      },
+      updated_at: new Date()
+    });
+
+    webhookLog.addProcessLog('Transaction updated to completed status');
+
+    if (subscriptionId) {
+      const subscription = await models.Subscription.findByPk(subscriptionId);
+      if (!subscription) {
+        throw new Error(`Subscription ${subscriptionId} not found`);
+      }
+
+      await this.activateSubscription(subscription, {
+        webhookLog,
+        paypalSubscriptionId: refs.paypal_subscription_id || transaction.metadata?.paypal_subscription_id,
+        paypalPayerId: refs.paypal_payer_id,
+        nextBillingDate
+      });
+
+      return { handled: true, action: 'subscription_activated', transactionId: transaction.id, subscriptionId };
+    }
+
+    const PaymentService = (await import('./PaymentService.js')).default;
+    const purchases = transaction.purchases || [];
+    webhookLog.addProcessLog(`Processing ${purchases.length} purchases completion`);
+
+    for (const purchase of purchases) {
+      await PaymentService.completePurchase(purchase.id, {
+        paymentMethod: 'paypal',
+        transactionData: {
+          paypal_last_event_id: eventId
+        }
+      });
+      await models.Purchase.update(
+        { resolution_method: 'webhook', updated_at: new Date() },
+        { where: { id: purchase.id } }
+      );
+      webhookLog.addProcessLog(`Purchase ${purchase.id} completed successfully`);
+    }
+
+    return { handled: true, action: 'completed', transactionId: transaction.id };
+  }
+
+  /**
+   * Activate a pending subscription that was paid through PayPal
+   * @param {Object} subscription - Subscription instance
+   * @param {Object} options
+   * @returns {Promise<Object>} Updated subscription
+   */
+  static async activateSubscription(subscription, options) {
+    const { webhookLog, paypalSubscriptionId = null, paypalPayerId = null, nextBillingDate = null } = options;
+
+    if (subscription.status !== 'pending') {
+      webhookLog.addProcessLog(`Subscription ${subscription.id} is ${subscription.status} - activation skipped`);
+      return subscription;
+    }
+
+    const SubscriptionService = (await import('./SubscriptionService.js')).default;
+
+    const activated = await SubscriptionService.activateSubscription(subscription.id, {
+      metadata: {
+        payment_provider: 'paypal',
+        ...(paypalSubscriptionId && { paypal_subscription_id: paypalSubscriptionId }),
+        ...(paypalPayerId && { paypal_payer_id: paypalPayerId }),
+        paymentCompletedAt: new Date().toISOString(),
+        resolvedBy: 'webhook',
+        resolvedAt: new Date().toISOString()
+      }
+    });
+
+    // Subscription.activate only derives next_billing_date for PayPlus recurring UIDs
+    if (paypalSubscriptionId && activated.billing_price > 0) {
+      await activated.update({
+        next_billing_date: nextBillingDate || activated.calculateNextBillingDate(activated.start_date),
+        updated_at: new Date()
+      });
+    }
+
+    ludlog.payment('✅ Activated subscription via PayPal:', {
+      subscriptionId: subscription.id,
+      paypalSubscriptionId
+    });
+    webhookLog.addProcessLog(`Subscription ${subscription.id} activated successfully`);
+
+    return activated;
+  }
+}
+
+export default PaypalWebhookService;
\ No newline at end of file
@@ -0,0 +1,134 @@
+import PayplusService from './PayplusService.js';
+import PaymentService from './PaymentService.js';
+
+/**
+ * PayplusCheckoutProvider - PayPlus payment pages behind the CheckoutProviderRouter interface
+ *
+ * Wraps the existing PayplusService / PaymentService flow without changing it.
+ */
+class PayplusCheckoutProvider {
+  static getName() {
+    return 'payplus';
+  }
+
+  // PayPlus is the primary provider - available whenever its credentials are set
+  static isConfigured() {
+    return !!(process.env.PAYPLUS_API_KEY && process.env.PAYPLUS_SECRET_KEY && process.env.PAYPLUS_PAYMENT_PAGE_UID);
+  }
+
+  // PayPlus payment pages can be polled (PaymentPollingService / SUBSCRIPTION_PAYMENT_CHECK)
+  static supportsStatusPolling() {
+    return true;
+  }
+
+  static supportsSubscriptionPlan() {
+    return true;
+  }
+
+  /**
+   * Open a PayPlus payment page for cart purchases
+   * @param {Object} options
+   * @param {Object} options.user - Buyer
+   * @param {Array} options.purchaseItems - Database-sourced cart items
+   * @param {string} options.frontendOrigin - Origin context
+   * @param {Object} options.metadata - Extra transaction metadata
+   * @returns {Promise<Object>} Checkout result
+   */
+  static async createPurchaseCheckout(options = {}) {
+    const { user, purchaseItems, frontendOrigin = 'cart', metadata = {} } = options;
+
+    const paymentResult = await PayplusService.openPayplusPage({
+      frontendOrigin,
+      purchaseItems,
+      customer: {
+        customer_name: user.displayName || user.email,
+        email: user.email,
+        phone: user.phone || ''
+      },
+    });
+
+    // Create transaction with PayPlus data (environment auto-detected)
+    const transaction = await PaymentService.createPayPlusTransaction({
+      userId: user.id,
+      amount: paymentResult.totalAmount,
+      pageRequestUid: paymentResult.pageRequestUid,
+      paymentPageLink: paymentResult.paymentPageLink,
+      purchaseItems,
+      metadata: {
+        ...metadata,
+        payplusResponse: paymentResult.data
+      }
+    });
+
+    // Ensure transaction uses PayPlus-returned page_request_uid (not our generated one)
+    const payplusReturnedUid = paymentResult.data?.data?.page_request_uid;
+    if (payplusReturnedUid && payplusReturnedUid !== paymentResult.pageRequestUid) {
+      await transaction.update({
+        payment_page_request_uid: payplusReturnedUid,
+        updated_at: new Date()
+      });
+    }
+
+    return {
+      provider: 'payplus',
+      transactionId: transaction.id,
+      paymentUrl: paymentResult.paymentPageLink,
+      pageRequestUid: paymentResult.pageRequestUid,
+      environment: paymentResult.environment,
+      data: paymentResult.data
+    };
+  }
+
+  /**
+   * Open a PayPlus recurring payment page for a pending subscription
+   * @param {Object} options
+   * @param {Object} options.subscription - Pending subscription
+   * @param {Object} options.subscriptionPlan - Subscription plan
+   * @param {Object} options.user - Subscriber
+   * @param {Object} options.pricingInfo - Calculated plan pricing
+   * @returns {Promise<Object>} Checkout result
+   */
+  static async createSubscriptionCheckout(options = {}) {
+    const { subscription, subscriptionPlan, user, pricingInfo } = options;
+    const SubscriptionPaymentService = (await import('./SubscriptionPaymentService.js')).default;
+
+    const paymentResult = await SubscriptionPaymentService.createPayPlusSubscriptionPayment({
+      subscription,
+      subscriptionPlan,
+      user,
+      pricingInfo
+    });
+
+    // Create transaction with PayPlus data and link directly to subscription
+    const transaction = await PaymentService.createPayPlusTransaction({
+      userId: user.id,
+      amount: paymentResult.totalAmount,
+      pageRequestUid: paymentResult.pageRequestUid,
+      paymentPageLink: paymentResult.paymentPageLink,
+      purchaseItems: [], // No purchase items for subscriptions
+      metadata: {
+        subscription_id: subscription.id,
+        subscription_plan_id: subscriptionPlan.id,
+        transaction_type: 'subscription_payment',
+        frontendOrigin: 'subscription',
+        customerInfo: {
+          name: user.displayName || user.email,
+          email: user.email
+        },
+        pricingInfo,
+        payplusResponse: paymentResult.data
+      }
+    });
+
+    return {
+      provider: 'payplus',
+      transactionId: transaction.id,
+      paymentUrl: paymentResult.paymentPageLink,
+      pageRequestUid: paymentResult.pageRequestUid,
+      environment: paymentResult.environment,
+      data: paymentResult.data
+    };
+  }
+}
+
+export default PayplusCheckoutProvider;
\ No newline at end of file
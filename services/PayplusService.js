@@ -175,6 +175,80 @@ class PayplusService {
     }
   }
 
+  /**
+   * Refund a completed PayPlus transaction (full or partial)
+   * @param {Object} options - Refund options
+   * @param {string} options.transactionUid - PayPlus transaction_uid of the original charge
+   * @param {number} options.amount - Amount to refund in ILS
+   * @param {string} options.reason - Free text stored on the PayPlus refund (more_info)
+   * @returns {Promise<Object>} { refundTransactionUid, amount, environment, data }
+   */
+  static async refundTransaction(options = {}) {
+    const { transactionUid, amount, reason = '' } = options;
+
+    if (!transactionUid) {
+      throw new Error('PayPlus transaction_uid is required for refund');
+    }
+    if (!amount || amount <= 0) {
+      throw new Error('Refund amount must be greater than 0');
+    }
+
+    try {
+      const { payplusUrl, payment_api_key, payment_secret_key, environment } = PaymentService.getPayPlusCredentials();
+
+      const response = await fetch(`${payplusUrl}Transactions/RefundByTransactionUID`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'api-key': payment_api_key,
+          'secret-key': payment_secret_key
+        },
+        body: JSON.stringify({
+          transaction_uid: transactionUid,
+          amount: Number(amount.toFixed(2)),
+          more_info: reason.substring(0, 250)
+        })
+      });
+
+      const responseText = await response.text();
+
+      if (!response.ok) {
+        luderror.payment(`PayPlus refund HTTP error ${response.status}:`, {
+          transactionUid,
+          responseText: responseText.substring(0, 500)
+        });
+        throw new Error(`PayPlus refund failed with HTTP ${response.status}`);
+      }
+
+      let refundData;
+      try {
+        refundData = JSON.parse(responseText);
+      } catch (parseError) {
+        luderror.payment('PayPlus refund returned invalid JSON:', {
+          transactionUid,
+          responseText: responseText.substring(0, 500)
+        });
+        throw new Error('Invalid PayPlus refund response');
+      }
+
+      if (refundData?.results?.status !== 'success') {
+        luderror.payment('PayPlus refund rejected:', refundData?.results);
+        throw new Error(refundData?.results?.description || 'PayPlus refund was rejected');
+      }
+
+      return {
+        refundTransactionUid: refundData?.data?.transaction?.uid || null,
+        amount,
+        environment,
+        data: refundData
+      };
+
+    } catch (error) {
+      luderror.payment('❌ PayplusService: Error refunding PayPlus transaction:', error);
+      throw error;
+    }
+  }
+
   /**
    * Determine the appropriate charge method based on context and purchase items
    * @param {string} frontendOrigin - Origin context
@@ -0,0 +1,491 @@
+import JSZip from 'jszip';
+import path from 'path';
+import { Op } from 'sequelize';
+import models from '../models/index.js';
+import { admin } from '../config/firebase.js';
+import { ludlog, luderror } from '../lib/ludlog.js';
+import { NotFoundError } from '../middleware/errorHandler.js';
+import {
+  DSR_SUBJECT_TYPE,
+  DSR_EXPORT_MAX_FILE_BYTES,
+  ERASED_USER_NAME,
+  ERASED_PLAYER_NAME,
+  ERASED_EMAIL_DOMAIN
+} from '../constants/dataSubjectRequests.js';
+import { formatInvoiceNumber } from '../constants/invoices.js';
+import FileReferenceService from './FileReferenceService.js';
+import InvoiceService from './InvoiceService.js';
+import EntityService from './EntityService.js';
+import fileService from './FileService.js';
+
+// Erasure policy per source: 'delete' removes the rows, 'retain' keeps them (financial
+// records the business must keep by law, or content other users depend on)
+const ERASURE = {
+  DELETE: 'delete',
+  RETAIN: 'retain'
+};
+
+// Secrets are never exported
+const USER_SOURCES = [
+  { section: 'sessions', model: 'UserSession', where: user => ({ user_id: user.id }), erasure: ERASURE.DELETE },
+  { section: 'refresh_tokens', model: 'RefreshToken', where: user => ({ user_id: user.id }), erasure: ERASURE.DELETE, exclude: ['token_hash'] },
+  { section: 'payment_methods', model: 'PaymentMethod', where: user => ({ user_id: user.id }), erasure: ERASURE.DELETE, exclude: ['payplus_token'] },
+  { section: 'parent_consents', model: 'ParentConsent', where: user => ({ student_user_id: user.id }), erasure: ERASURE.DELETE },
+  {
+    section: 'student_invitations',
+    model: 'StudentInvitation',
+    where: user => ({ student_user_id: user.id }),
+    erasure: ERASURE.DELETE,
+    exclude: ['invitation_token', 'parent_consent_token']
+  },
+  { section: 'classroom_memberships', model: 'ClassroomMembership', where: user => ({ student_user_id: user.id }), erasure: ERASURE.DELETE },
+  { section: 'school_seats', model: 'SchoolSeat', where: user => ({ user_id: user.id }), erasure: ERASURE.DELETE },
+  {
+    section: 'game_results',
+    model: 'GameSessionResult',
+    where: user => ({ user_id: user.id }),
+    erasure: ERASURE.DELETE,
+    dependents: { section: 'game_result_items', model: 'GameSessionResultItem', foreignKey: 'result_id' }
+  },
+  { section: 'logs', model: 'Logs', where: user => ({ user_id: user.id }), erasure: ERASURE.DELETE },
+  { section: 'emails', model: 'EmailLog', where: user => ({ recipient_email: user.email }), erasure: ERASURE.DELETE },
+  { section: 'support_messages', model: 'SupportMessage', where: user => ({ email: user.email }), erasure: ERASURE.DELETE },
+  { section: 'purchases', model: 'Purchase', where: user => ({ buyer_user_id: user.id }), erasure: ERASURE.RETAIN },
+  { section: 'subscriptions', model: 'Subscription', where: user => ({ user_id: user.id }), erasure: ERASURE.RETAIN },
+  { section: 'subscription_history', model: 'SubscriptionHistory', where: user => ({ user_id: user.id }), erasure: ERASURE.RETAIN },
+  { section: 'subscription_claims', model: 'SubscriptionPurchase', where: user => ({ user_id: user.id }), erasure: ERASURE.RETAIN },
+  { section: 'transactions', model: 'Transaction', where: user => ({ user_id: user.id }), erasure: ERASURE.RETAIN },
+  { section: 'invoices', model: 'Invoice', where: user => ({ user_id: user.id }), erasure: ERASURE.RETAIN },
+  {
+    section: 'gift_codes',
+    model: 'GiftCode',
+    where: user => ({
+      [Op.or]: [
+        { buyer_user_id: user.id },
+        { redeemed_by_user_id: user.id },
+        { recipient_email: user.email }
+      ]
+    }),
+    erasure: ERASURE.RETAIN,
+    exclude: ['code']
+  },
+  { section: 'creator_earnings', model: 'CreatorEarning', where: user => ({ creator_user_id: user.id }), erasure: ERASURE.RETAIN },
+  { section: 'classrooms_taught', model: 'Classroom', where: user => ({ teacher_id: user.id }), erasure: ERASURE.RETAIN },
+  { section: 'players_managed', model: 'Player', where: user => ({ teacher_id: user.id }), erasure: ERASURE.RETAIN }
+];
+
+const PLAYER_SOURCES = [
+  { section: 'sessions', model: 'UserSession', where: player => ({ player_id: player.id }), erasure: ERASURE.DELETE },
+  { section: 'classroom_memberships', model: 'ClassroomMembership', where: player => ({ student_user_id: player.id }), erasure: ERASURE.DELETE },
+  {
+    section: 'game_results',
+    model: 'GameSessionResult',
+    where: player => ({ player_id: player.id }),
+    erasure: ERASURE.DELETE,
+    dependents: { section: 'game_result_items', model: 'GameSessionResultItem', foreignKey: 'result_id' }
+  },
+  { section: 'achievements', model: 'PlayerAchievement', where: player => ({ player_id: player.id }), erasure: ERASURE.DELETE }
+];
+
+function toExportRow(record, exclude = []) {
+  const row = typeof record.toJSON === 'function' ? record.toJSON() : { ...record };
+  exclude.forEach(field => delete row[field]);
+  return row;
+}
+
+/**
+ * PersonalDataService - Everything stored about one user or player
+ *
+ * Backs data subject requests (DataSubjectRequestService): collects a subject's data into
+ * an export archive, or erases it. The models holding personal data are listed once in
+ * USER_SOURCES / PLAYER_SOURCES with their erasure policy, so export and erasure always
+ * cover the same tables - a new model with personal data needs an entry there.
+ *
+ * Erasure deletes the subject's own records and anonymizes the User row (purchases,
+ * invoices and earnings reference it and must be kept). Players have no financial
+ * records and are deleted. Game session participant entries are scrubbed in place.
+ * Products the user created are deleted with their stored files only when unpublished
+ * and never purchased; otherwise buyers keep access and the product is retained.
+ */
+class PersonalDataService {
+  /**
+   * The user or player a request is about
+   * @param {string} subjectType - DSR_SUBJECT_TYPE value
+   * @param {string} subjectId - User or Player ID
+   * @param {Object} options - { transaction }
+   * @returns {Promise<Object>} User or Player
+   * @throws {NotFoundError} When the subject does not exist
+   */
+  static async findSubject(subjectType, subjectId, options = {}) {
+    const Model = subjectType === DSR_SUBJECT_TYPE.PLAYER ? models.Player : models.User;
+    const subject = await Model.findByPk(subjectId, { transaction: options.transaction });
+
+    if (!subject) {
+      throw new NotFoundError(subjectType === DSR_SUBJECT_TYPE.PLAYER ? 'Player' : 'User');
+    }
+
+    return subject;
+  }
+
+  static getSources(subjectType) {
+    return subjectType === DSR_SUBJECT_TYPE.PLAYER ? PLAYER_SOURCES : USER_SOURCES;
+  }
+
+  /**
+   * Build the export archive: a JSON file per section, stored files and a manifest
+   * @param {string} subjectType - DSR_SUBJECT_TYPE value
+   * @param {string} subjectId - User or Player ID
+   * @returns {Promise<Object>} { buffer, summary }
+   */
+  static async buildExportArchive(subjectType, subjectId) {
+    const subject = await this.findSubject(subjectType, subjectId);
+    const sections = await this.collectSections(subjectType, subject);
+    const zip = new JSZip();
+
+    Object.entries(sections).forEach(([section, rows]) => {
+      zip.file(`data/${section}.json`, JSON.stringify(rows, null, 2));
+    });
+
+    const files = await this.addStoredFiles(zip, subjectType, subject, sections);
+
+    const summary = {
+      subject_type: subjectType,
+      subject_id: subjectId,
+      generated_at: new Date().toISOString(),
+      sections: Object.fromEntries(Object.entries(sections).map(([section, rows]) => [section, rows.length])),
+      files
+    };
+
+    zip.file('manifest.json', JSON.stringify(summary, null, 2));
+
+    const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+
+    return { buffer, summary };
+  }
+
+  /**
+   * All records of the subject, by export section
+   * @returns {Promise<Object>} { section: rows[] }
+   */
+  static async collectSections(subjectType, subject) {
+    const isPlayer = subjectType === DSR_SUBJECT_TYPE.PLAYER;
+    const sections = {
+      [isPlayer ? 'player' : 'user']: [toExportRow(subject)]
+    };
+
+    for (const source of this.getSources(subjectType)) {
+      const records = await models[source.model].findAll({ where: source.where(subject) });
+      sections[source.section] = records.map(record => toExportRow(record, source.exclude));
+
+      if (source.dependents && records.length > 0) {
+        const dependents = await models[source.dependents.model].findAll({
+          where: { [source.dependents.foreignKey]: records.map(record => record.id) }
+        });
+        sections[source.dependents.section] = dependents.map(record => toExportRow(record));
+      }
+    }
+
+    const gameSessions = await this.findGameSessions(subjectType, subject.id);
+    sections.game_sessions = gameSessions.map(session => ({
+      id: session.id,
+      lobby_id: session.lobby_id,
+      started_at: session.started_at,
+      finished_at: session.finished_at,
+      participant: (session.participants || []).find(participant => this.isSubjectParticipant(participant, subjectType, subject.id))
+    }));
+
+    if (!isPlayer) {
+      const products = await models.Product.findAll({ where: { creator_user_id: subject.id } });
+      sections.products_created = products.map(product => toExportRow(product));
+    }
+
+    return sections;
+  }
+
+  /**
+   * Add invoice PDFs and the user's uploaded product files to the archive
+   * Files over DSR_EXPORT_MAX_FILE_BYTES (or unavailable) are listed with a reason instead
+   * @returns {Promise<Array>} [{ path, s3_key?, included, reason? }]
+   */
+  static async addStoredFiles(zip, subjectType, subject, sections) {
+    if (subjectType === DSR_SUBJECT_TYPE.PLAYER) {
+      return [];
+    }
+
+    const files = [];
+
+    for (const invoiceRow of sections.invoices || []) {
+      const filePath = `files/invoices/${formatInvoiceNumber(invoiceRow.document_type, invoiceRow.invoice_number)}.pdf`;
+      try {
+        const invoice = await models.Invoice.findByPk(invoiceRow.id);
+        zip.file(filePath, await InvoiceService.getInvoicePdf(invoice));
+        files.push({ path: filePath, included: true });
+      } catch (error) {
+        luderror.file('Invoice PDF unavailable for data export:', { invoiceId: invoiceRow.id, error: error.message });
+        files.push({ path: filePath, included: false, reason: 'unavailable' });
+      }
+    }
+
+    const products = await models.Product.findAll({ where: { creator_user_id: subject.id } });
+
+    for (const product of products) {
+      for (const s3Key of await this.getProductS3Keys(product)) {
+        const filePath = `files/products/${product.id}/${path.basename(s3Key)}`;
+        files.push({ path: filePath, s3_key: s3Key, ...await this.addS3File(zip, filePath, s3Key) });
+      }
+    }
+
+    return files;
+  }
+
+  static async addS3File(zip, filePath, s3Key) {
+    if (!fileService.useS3) {
+      return { included: false, reason: 'storage_unavailable' };
+    }
+
+    try {
+      const metadata = await fileService.getS3ObjectMetadata(s3Key);
+      if (metadata.data.size > DSR_EXPORT_MAX_FILE_BYTES) {
+        return { included: false, reason: 'too_large', size: metadata.data.size };
+      }
+
+      zip.file(filePath, await fileService.downloadToBuffer(s3Key));
+      return { included: true };
+    } catch (error) {
+      luderror.file('Stored file unavailable for data export:', { s3Key, error: error.message });
+      return { included: false, reason: 'unavailable' };
+    }
+  }
+
+  /**
+   * Stored files of a product and its entity (marketing assets, documents, videos)
+   * @param {Object} product - Product
+   * @returns {Promise<Array<string>>} S3 keys
+   */
+  static async getProductS3Keys(product) {
+    const keys = Object.keys(FileReferenceService.ASSET_DEFINITIONS.product)
+      .map(assetType => FileReferenceService.getS3Key(product, 'product', assetType));
+
+    const entityAssets = FileReferenceService.ASSET_DEFINITIONS[product.product_type];
+    const entity = entityAssets && product.entity_id ? await this.findProductEntity(product) : null;
+
+    if (entity) {
+      Object.keys(entityAssets).forEach(assetType => {
+        keys.push(FileReferenceService.getS3Key(entity, product.product_type, assetType));
+      });
+    }
+
+    return [...new Set(keys.filter(Boolean))];
+  }
+
+  static async findProductEntity(product, options = {}) {
+    try {
+      const Model = EntityService.getModel(product.product_type);
+      return await Model.findByPk(product.entity_id, { transaction: options.transaction });
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Erase the subject's personal data in one transaction
+   * Stored files are deleted after the commit, so a rollback never loses files.
+   * @param {string} subjectType - DSR_SUBJECT_TYPE value
+   * @param {string} subjectId - User or Player ID
+   * @returns {Promise<Object>} { deleted, retained, anonymized, files }
+   */
+  static async eraseSubject(subjectType, subjectId) {
+    const transaction = await models.sequelize.transaction();
+    const result = { deleted: {}, retained: {}, anonymized: {}, files: { deleted: 0, failed: 0 } };
+    let s3KeysToDelete = [];
+    let firebaseEmail = null;
+
+    try {
+      const subject = await this.findSubject(subjectType, subjectId, { transaction });
+
+      for (const source of this.getSources(subjectType)) {
+        const where = source.where(subject);
+
+        if (source.erasure === ERASURE.RETAIN) {
+          result.retained[source.section] = await models[source.model].count({ where, transaction });
+          continue;
+        }
+
+        if (source.dependents) {
+          const records = await models[source.model].findAll({ where, attributes: ['id'], transaction });
+          result.deleted[source.dependents.section] = records.length > 0
+            ? await models[source.dependents.model].destroy({
+              where: { [source.dependents.foreignKey]: records.map(record => record.id) },
+              transaction
+            })
+            : 0;
+        }
+
+        result.deleted[source.section] = await models[source.model].destroy({ where, transaction });
+      }
+
+      result.anonymized.game_sessions = await this.scrubGameSessions(subjectType, subject.id, transaction);
+
+      if (subjectType === DSR_SUBJECT_TYPE.PLAYER) {
+        await subject.destroy({ transaction });
+        result.deleted.player = 1;
+      } else {
+        const products = await this.eraseCreatedProducts(subject.id, transaction);
+        s3KeysToDelete = products.s3Keys;
+        result.deleted.products_created = products.deleted;
+        result.retained.products_created = products.retained;
+
+        firebaseEmail = subject.email;
+        await this.anonymizeUser(subject, transaction);
+        result.anonymized.user = 1;
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    for (const s3Key of s3KeysToDelete) {
+      const deletion = await fileService.deleteS3Object(s3Key);
+      if (deletion.success) {
+        result.files.deleted++;
+      } else {
+        result.files.failed++;
+        luderror.file('Failed to delete stored file of erased subject:', { subjectId, s3Key, error: deletion.error });
+      }
+    }
+
+    if (firebaseEmail) {
+      await this.deleteFirebaseUser(firebaseEmail, subjectId);
+    }
+
+    ludlog.auth('Personal data erased:', { subjectType, subjectId, result });
+
+    return result;
+  }
+
+  /**
+   * Replace the user's personal fields and deactivate the account
+   * The row stays: purchases, invoices and earnings reference it.
+   */
+  static async anonymizeUser(user, transaction) {
+    await user.update({
+      email: `erased-${user.id}@${ERASED_EMAIL_DOMAIN}`,
+      full_name: ERASED_USER_NAME,
+      phone: null,
+      birth_date: null,
+      education_level: null,
+      specializations: null,
+      dashboard_settings: null,
+      invitation_code: null,
+      linked_teacher_id: null,
+      age_verified_by: null,
+      school_id: null,
+      is_active: false,
+      is_verified: false,
+      updated_at: new Date()
+    }, { transaction });
+  }
+
+  /**
+   * Delete the user's products that nobody can depend on (unpublished, never purchased)
+   * @returns {Promise<Object>} { deleted, retained, s3Keys }
+   */
+  static async eraseCreatedProducts(userId, transaction) {
+    const products = await models.Product.findAll({ where: { creator_user_id: userId }, transaction });
+    const result = { deleted: 0, retained: 0, s3Keys: [] };
+
+    for (const product of products) {
+      if (product.is_published || await this.hasPurchases(product, transaction)) {
+        result.retained++;
+        continue;
+      }
+
+      result.s3Keys.push(...await this.getProductS3Keys(product));
+
+      const entity = product.entity_id ? await this.findProductEntity(product, { transaction }) : null;
+      if (entity) {
+        await entity.destroy({ transaction });
+      }
+      await product.destroy({ transaction });
+      result.deleted++;
+    }
+
+    return result;
+  }
+
+  // Purchases reference either the product or its entity
+  static async hasPurchases(product, transaction) {
+    const purchases = await models.Purchase.count({
+      where: { purchasable_id: [product.id, product.entity_id].filter(Boolean) },
+      transaction
+    });
+
+    return purchases > 0;
+  }
+
+  static async findGameSessions(subjectType, subjectId, options = {}) {
+    const participant = subjectType === DSR_SUBJECT_TYPE.PLAYER ? { player_id: subjectId } : { user_id: subjectId };
+
+    return models.GameSession.findAll({
+      where: {
+        participants: {
+          [Op.contains]: [participant]
+        }
+      },
+      transaction: options.transaction
+    });
+  }
+
+  static isSubjectParticipant(participant, subjectType, subjectId) {
+    return subjectType === DSR_SUBJECT_TYPE.PLAYER
+      ? participant.type === 'player' && participant.player_id === subjectId
+      : participant.type === 'user' && participant.user_id === subjectId;
+  }
+
+  /**
+   * Remove the subject's name (and player privacy code) from game session participants
+   * The entry itself stays so the other participants' session history is intact.
+   * @returns {Promise<number>} Sessions updated
+   */
+  static async scrubGameSessions(subjectType, subjectId, transaction) {
+    const sessions = await this.findGameSessions(subjectType, subjectId, { transaction });
+    const erasedName = subjectType === DSR_SUBJECT_TYPE.PLAYER ? ERASED_PLAYER_NAME : ERASED_USER_NAME;
+
+    for (const session of sessions) {
+      const participants = session.participants.map(participant => {
+        if (!this.isSubjectParticipant(participant, subjectType, subjectId)) {
+          return participant;
+        }
+        return {
+          ...participant,
+          display_name: erasedName,
+          ...(participant.privacy_code ? { privacy_code: 'ERASED' } : {})
+        };
+      });
+
+      await session.update({ participants }, { transaction });
+    }
+
+    return sessions.length;
+  }
+
+  // Best effort - the account is already deactivated and anonymized locally
+  static async deleteFirebaseUser(email, userId) {
+    if (!admin || !admin.auth) {
+      return;
+    }
+
+    try {
+      const firebaseUser = await admin.auth().getUserByEmail(email);
+      await admin.auth().deleteUser(firebaseUser.uid);
+    } catch (error) {
+      if (error.code !== 'auth/user-not-found') {
+        luderror.auth('Failed to delete Firebase user of erased account:', { userId, error: error.message });
+      }
+    }
+  }
+}
+
+export default PersonalDataService;
\ No newline at end of file
@@ -0,0 +1,678 @@
+import models from '../models/index.js';
+import { generateId } from '../models/baseModel.js';
+import { ludlog, luderror } from '../lib/ludlog.js';
+import { BadRequestError, ConflictError, NotFoundError } from '../middleware/errorHandler.js';
+import { TRANSACTION_TYPES } from '../constants/payplus.js';
+import PayplusService from './PayplusService.js';
+import AccessControlService from './AccessControlService.js';
+import CouponValidationService from './CouponValidationService.js';
+import SubscriptionAllowanceService from './SubscriptionAllowanceService.js';
+import BundlePurchaseService from './BundlePurchaseService.js';
+import CreatorEarningsService from './CreatorEarningsService.js';
+import InvoiceService from './InvoiceService.js';
+import GiftService from './GiftService.js';
+
+// Amounts are stored as DECIMAL(10,2) - compare and persist in whole agorot
+function roundAmount(amount) {
+  return Math.round(parseFloat(amount || 0) * 100) / 100;
+}
+
+/**
+ * RefundService - Purchase refunds
+ *
+ * Admin refunds go back to the card through the PayPlus refund API; refunds issued in the
+ * Stripe or PayPal dashboards arrive through their webhooks. Both are recorded the same way:
+ * a separate refund Transaction (metadata.transaction_type = 'refund') that points at the
+ * original charge. Refund history for a purchase lives in purchase.metadata.refunds.
+ *
+ * A full refund marks the purchase refunded, revokes its access and reverses what the
+ * purchase consumed (coupon usage, subscription claims). A partial refund keeps the
+ * purchase completed and only shortens access when an end date is given.
+ * Both claw back the creator's share of the refunded amount.
+ * Gift purchases can only be refunded before their code is redeemed; a full refund revokes the code.
+ */
+class RefundService {
+  /**
+   * Amount already refunded for a purchase
+   * @param {Object} purchase - Purchase
+   * @returns {number} Refunded amount
+   */
+  static getRefundedAmount(purchase) {
+    return roundAmount(purchase.metadata?.refunded_amount);
+  }
+
+  /**
+   * Amount that can still be refunded for a purchase
+   * @param {Object} purchase - Purchase
+   * @returns {number} Refundable amount
+   */
+  static getRefundableAmount(purchase) {
+    return Math.max(0, roundAmount(purchase.payment_amount) - this.getRefundedAmount(purchase));
+  }
+
+  /**
+   * Resolve the PayPlus transaction_uid of the charge that paid for a transaction
+   * Webhooks store it as payplus_transaction_uid, page status checks as payplus_transaction_uuid
+   * @param {Object} transaction - Original Transaction
+   * @returns {string|null} PayPlus transaction uid
+   */
+  static getPayplusTransactionUid(transaction) {
+    const metadata = transaction?.metadata || {};
+    return metadata.payplus_transaction_uid ||
+           metadata.payplus_transaction_uuid ||
+           metadata.payplusWebhookData?.transaction_uid ||
+           null;
+  }
+
+  /**
+   * Validate that a purchase can be refunded and load what the refund needs
+   * @param {string} purchaseId - Purchase ID
+   * @returns {Promise<Object>} { purchase, originalTransaction, transactionUid }
+   */
+  static async getRefundablePurchase(purchaseId) {
+    const purchase = await models.Purchase.findByPk(purchaseId, {
+      include: [{ model: models.Transaction, as: 'transaction' }]
+    });
+
+    if (!purchase) {
+      throw new NotFoundError('Purchase not found');
+    }
+
+    if (purchase.payment_status === 'refunded') {
+      throw new BadRequestError('Purchase already refunded');
+    }
+
+    if (purchase.payment_status !== 'completed') {
+      throw new BadRequestError(`Only completed purchases can be refunded (status: ${purchase.payment_status})`);
+    }
+
+    if (BundlePurchaseService.isFromBundle(purchase)) {
+      throw new BadRequestError('Bundle items cannot be refunded separately - refund the bundle purchase instead');
+    }
+
+    if (GiftService.isGiftPurchase(purchase)) {
+      await GiftService.assertRefundable(purchase);
+    }
+
+    const originalTransaction = purchase.transaction;
+    const paymentMethod = originalTransaction?.payment_method || purchase.payment_method;
+
+    if (paymentMethod !== 'payplus') {
+      throw new BadRequestError(`Refunds are only supported for PayPlus purchases (payment method: ${paymentMethod || 'none'})`);
+    }
+
+    const transactionUid = this.getPayplusTransactionUid(originalTransaction);
+    if (!transactionUid) {
+      throw new BadRequestError('Original PayPlus transaction_uid not found - cannot refund through PayPlus');
+    }
+
+    return { purchase, originalTransaction, transactionUid };
+  }
+
+  /**
+   * Refund a purchase fully or partially
+   * @param {string} purchaseId - Purchase ID
+   * @param {Object} options
+   * @param {number} [options.amount] - Amount to refund (defaults to the full refundable amount)
+   * @param {string} options.reason - Refund reason (stored on the refund and sent to PayPlus)
+   * @param {string} options.adminUserId - Admin issuing the refund
+   * @param {string} [options.accessExpiresAt] - Partial refunds only: shorten access to this date
+   * @returns {Promise<Object>} Refund result
+   */
+  static async refundPurchase(purchaseId, options = {}) {
+    const { reason, adminUserId, accessExpiresAt = null } = options;
+
+    if (!reason) {
+      throw new BadRequestError('Refund reason is required');
+    }
+
+    const { originalTransaction, transactionUid } = await this.getRefundablePurchase(purchaseId);
+
+    // Claim the refund under a row lock before money moves - a concurrent refund of the
+    // same purchase sees the marker and stops instead of refunding the card twice
+    const { purchase, amount, refundableAmount, isFullRefund } = await this.reserveRefund(purchaseId, {
+      amount: options.amount,
+      adminUserId
+    });
+
+    ludlog.payment('Refunding purchase:', {
+      purchaseId,
+      transactionId: originalTransaction.id,
+      amount,
+      refundableAmount,
+      isFullRefund,
+      adminUserId
+    });
+
+    // Money moves first - everything below only records what PayPlus already did
+    let payplusRefund;
+    try {
+      payplusRefund = await PayplusService.refundTransaction({
+        transactionUid,
+        amount,
+        reason
+      });
+    } catch (error) {
+      await this.releaseRefund(purchase);
+      throw error;
+    }
+
+    try {
+      const refund = await this.recordRefund({
+        purchase,
+        originalTransaction,
+        providerRefund: {
+          provider: 'payplus',
+          refundId: payplusRefund.refundTransactionUid,
+          environment: payplusRefund.environment,
+          data: payplusRefund.data
+        },
+        amount,
+        isFullRefund,
+        reason,
+        adminUserId,
+        accessExpiresAt
+      });
+
+      return { ...refund, payplusRefundUid: payplusRefund.refundTransactionUid };
+    } catch (error) {
+      // PayPlus refunded the card but our records are behind - needs manual reconciliation.
+      // The in-progress marker stays on the purchase so it cannot be refunded again meanwhile.
+      luderror.payment('🚨 CRITICAL: PayPlus refund succeeded but recording it failed:', {
+        purchaseId,
+        transactionId: originalTransaction.id,
+        payplusRefundUid: payplusRefund.refundTransactionUid,
+        amount,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Lock the purchase, re-check the refundable amount and mark a refund in progress
+   * @param {string} purchaseId - Purchase ID
+   * @param {Object} options
+   * @param {number} [options.amount] - Amount to refund (defaults to the full refundable amount)
+   * @param {string} options.adminUserId - Admin issuing the refund
+   * @returns {Promise<Object>} { purchase, amount, refundableAmount, isFullRefund }
+   */
+  static async reserveRefund(purchaseId, { amount: requestedAmount, adminUserId }) {
+    const dbTransaction = await models.sequelize.transaction();
+
+    try {
+      const purchase = await models.Purchase.findByPk(purchaseId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE
+      });
+
+      if (!purchase) {
+        throw new NotFoundError('Purchase not found');
+      }
+
+      if (purchase.metadata?.refund_in_progress) {
+        throw new ConflictError('A refund for this purchase is already in progress');
+      }
+
+      if (purchase.payment_status !== 'completed') {
+        throw new BadRequestError(`Only completed purchases can be refunded (status: ${purchase.payment_status})`);
+      }
+
+      const refundableAmount = this.getRefundableAmount(purchase);
+      const amount = requestedAmount === undefined || requestedAmount === null
+        ? refundableAmount
+        : roundAmount(requestedAmount);
+
+      if (!(amount > 0)) {
+        throw new BadRequestError('Refund amount must be greater than 0');
+      }
+
+      if (amount > refundableAmount) {
+        throw new BadRequestError(`Refund amount ${amount} exceeds refundable amount ${refundableAmount}`);
+      }
+
+      await purchase.update({
+        metadata: {
+          ...purchase.metadata,
+          refund_in_progress: {
+            amount,
+            requested_by: adminUserId,
+            started_at: new Date().toISOString()
+          }
+        }
+      }, { transaction: dbTransaction });
+
+      await dbTransaction.commit();
+
+      return { purchase, amount, refundableAmount, isFullRefund: amount === refundableAmount };
+
+    } catch (error) {
+      await dbTransaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Clear the in-progress marker after PayPlus rejected the refund
+   * @param {Object} purchase - Purchase reserved by reserveRefund
+   */
+  static async releaseRefund(purchase) {
+    const { refund_in_progress: _refundInProgress, ...metadata } = purchase.metadata || {};
+
+    try {
+      await purchase.update({ metadata });
+    } catch (error) {
+      luderror.payment('Failed to clear refund in progress marker:', {
+        purchaseId: purchase.id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Record a refund the provider already issued for one purchase, in its own DB transaction
+   * @param {Object} params - Refund context (see applyRefund)
+   * @returns {Promise<Object>} Refund result
+   */
+  static async recordRefund(params) {
+    const dbTransaction = await models.sequelize.transaction();
+
+    let refund;
+    try {
+      refund = await this.applyRefund(params, dbTransaction);
+      await dbTransaction.commit();
+    } catch (error) {
+      await dbTransaction.rollback();
+      throw error;
+    }
+
+    ludlog.payment('Purchase refund completed:', {
+      purchaseId: refund.purchaseId,
+      refundTransactionId: refund.refundTransactionId,
+      amount: refund.amount,
+      refundType: refund.refundType,
+      couponReversed: refund.couponReversed,
+      bundleItemsRefunded: refund.bundleItemsRefunded,
+      releasedClaims: refund.releasedClaimIds.length,
+      giftCodeRevoked: refund.revokedGiftCodeId,
+      creatorClawback: refund.creatorClawbackId
+    });
+
+    // Credit note (חשבונית מס זיכוי) against the original invoice - issued after commit
+    await InvoiceService.requestCreditNote(refund.refundTransactionId);
+
+    return refund;
+  }
+
+  /**
+   * Record a refund issued from the provider's dashboard or API (Stripe, PayPal webhooks)
+   *
+   * Providers report the charge's cumulative refunded total, so only the part not recorded yet
+   * is applied - repeated and out-of-order webhooks record nothing twice. A partial refund of a
+   * cart is spread over its purchases in proportion to what is still refundable on each.
+   * @param {Object} transaction - Transaction the refunded charge paid for
+   * @param {Object} refund
+   * @param {string} refund.provider - Payment provider ('stripe', 'paypal')
+   * @param {number} refund.refundedTotal - Refunded so far on the charge, in the charge currency
+   * @param {number} refund.chargeAmount - Charged amount, in the charge currency
+   * @param {boolean} refund.isFullRefund - Whether the whole charge is refunded
+   * @param {string} [refund.refundId] - Provider refund id
+   * @param {string} refund.environment - 'production' or 'staging'
+   * @param {Object} [refund.data] - Provider payload stored on the refund Transaction
+   * @param {string} refund.reason - Refund reason
+   * @param {Object} [refund.providerRefs] - Provider ids to remember on the transaction metadata
+   * @returns {Promise<Object>} { transactionId, amount, refunds }
+   */
+  static async recordProviderRefund(transaction, refund) {
+    const { provider, refundedTotal, chargeAmount, isFullRefund, reason, providerRefs = {} } = refund;
+    const dbTransaction = await models.sequelize.transaction();
+
+    let amount = 0;
+    const refunds = [];
+
+    try {
+      const originalTransaction = await models.Transaction.findByPk(transaction.id, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE
+      });
+
+      await originalTransaction.update({
+        metadata: { ...originalTransaction.metadata, ...providerRefs }
+      }, { transaction: dbTransaction });
+
+      const purchases = await models.Purchase.findAll({
+        where: { transaction_id: originalTransaction.id, bundle_purchase_id: null },
+        order: [['created_at', 'ASC']],
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE
+      });
+
+      // The charge may be in another currency than our records - refund the same share of the order
+      const orderTotal = purchases.length
+        ? roundAmount(purchases.reduce((total, purchase) => total + roundAmount(purchase.payment_amount), 0))
+        : roundAmount(originalTransaction.amount);
+      const refundedShare = isFullRefund ? orderTotal : Math.min(orderTotal, roundAmount(orderTotal * refundedTotal / chargeAmount));
+      amount = Math.max(0, roundAmount(refundedShare - roundAmount(originalTransaction.metadata?.refunded_amount)));
+
+      const openPurchases = purchases.filter(purchase =>
+        purchase.payment_status === 'completed' && this.getRefundableAmount(purchase) > 0
+      );
+
+      if (amount > 0 && !openPurchases.length) {
+        // Nothing to reverse (e.g. a subscription charge) - only the transaction records the refund
+        await originalTransaction.update({
+          payment_status: isFullRefund ? 'refunded' : originalTransaction.payment_status,
+          metadata: { ...originalTransaction.metadata, refunded_amount: refundedShare },
+          updated_at: new Date()
+        }, { transaction: dbTransaction });
+      }
+
+      const totalRefundable = roundAmount(openPurchases.reduce((total, purchase) => total + this.getRefundableAmount(purchase), 0));
+      let remaining = Math.min(amount, totalRefundable);
+
+      for (const [index, purchase] of openPurchases.entries()) {
+        const refundableAmount = this.getRefundableAmount(purchase);
+        const share = index === openPurchases.length - 1
+          ? remaining
+          : roundAmount(amount * refundableAmount / totalRefundable);
+        const purchaseAmount = isFullRefund ? refundableAmount : Math.min(refundableAmount, remaining, share);
+
+        if (!(purchaseAmount > 0)) {
+          continue;
+        }
+        remaining = roundAmount(remaining - purchaseAmount);
+
+        refunds.push(await this.applyRefund({
+          purchase,
+          originalTransaction,
+          providerRefund: refund,
+          amount: purchaseAmount,
+          isFullRefund: purchaseAmount === refundableAmount,
+          reason,
+          adminUserId: null,
+          accessExpiresAt: null,
+          resolutionMethod: 'webhook'
+        }, dbTransaction));
+      }
+
+      await dbTransaction.commit();
+    } catch (error) {
+      await dbTransaction.rollback();
+      throw error;
+    }
+
+    ludlog.payment('Provider refund recorded:', {
+      provider,
+      transactionId: transaction.id,
+      amount,
+      isFullRefund,
+      purchaseIds: refunds.map(purchaseRefund => purchaseRefund.purchaseId)
+    });
+
+    for (const purchaseRefund of refunds) {
+      await InvoiceService.requestCreditNote(purchaseRefund.refundTransactionId);
+    }
+
+    return { transactionId: transaction.id, amount, refunds };
+  }
+
+  /**
+   * Record one purchase refund: refund Transaction, purchase state, access and reversals
+   * @param {Object} params
+   * @param {Object} params.purchase - Refunded purchase
+   * @param {Object} params.originalTransaction - Transaction that paid for the purchase
+   * @param {Object} params.providerRefund - { provider, refundId, environment, data }
+   * @param {number} params.amount - Refunded amount
+   * @param {boolean} params.isFullRefund - Whether the purchase is refunded in full
+   * @param {string} params.reason - Refund reason
+   * @param {string|null} params.adminUserId - Admin who issued the refund (null for provider refunds)
+   * @param {string|null} params.accessExpiresAt - Partial refunds only: shorten access to this date
+   * @param {string} [params.resolutionMethod] - 'manual' (admin) or 'webhook' (provider)
+   * @param {Object} dbTransaction - Sequelize transaction
+   * @returns {Promise<Object>} Refund result
+   */
+  static async applyRefund(params, dbTransaction) {
+    const {
+      purchase,
+      originalTransaction,
+      providerRefund,
+      amount,
+      isFullRefund,
+      reason,
+      adminUserId,
+      accessExpiresAt,
+      resolutionMethod = 'manual'
+    } = params;
+
+    const refundedAt = new Date();
+    const refundTransactionId = generateId();
+
+    // 1. Refund transaction - linked to the original charge, never to purchases
+    const refundTransaction = await models.Transaction.create({
+      id: refundTransactionId,
+      user_id: purchase.buyer_user_id,
+      amount,
+      currency: originalTransaction.currency || 'ILS',
+      payment_method: providerRefund.provider,
+      payment_status: 'refunded',
+      environment: providerRefund.environment,
+      resolution_method: resolutionMethod,
+      provider_response: providerRefund.data || null,
+      metadata: {
+        transaction_type: TRANSACTION_TYPES.REFUND,
+        original_transaction_id: originalTransaction.id,
+        purchase_id: purchase.id,
+        refund_type: isFullRefund ? 'full' : 'partial',
+        refund_reason: reason,
+        refunded_by: adminUserId,
+        provider_refund_id: providerRefund.refundId || null
+      },
+      created_at: refundedAt,
+      updated_at: refundedAt
+    }, { transaction: dbTransaction });
+
+    // 2. Purchase refund history
+    const refundEntry = {
+      refund_transaction_id: refundTransactionId,
+      amount,
+      type: isFullRefund ? 'full' : 'partial',
+      reason,
+      refunded_by: adminUserId,
+      refunded_at: refundedAt.toISOString()
+    };
+    const refundedAmount = roundAmount(this.getRefundedAmount(purchase) + amount);
+    const { refund_in_progress: _refundInProgress, ...purchaseMetadata } = purchase.metadata || {};
+
+    await purchase.update({
+      payment_status: isFullRefund ? 'refunded' : purchase.payment_status,
+      metadata: {
+        ...purchaseMetadata,
+        refunded_amount: refundedAmount,
+        refunds: [...(purchase.metadata?.refunds || []), refundEntry]
+      },
+      updated_at: refundedAt
+    }, { transaction: dbTransaction });
+
+    // 3. Original transaction - refunded once every purchase on it is fully refunded
+    await this.updateOriginalTransaction(originalTransaction, purchase, refundEntry, dbTransaction);
+
+    // 4. Access
+    let access = null;
+    if (isFullRefund) {
+      access = await AccessControlService.revokeAccess(
+        purchase.buyer_user_id,
+        purchase.purchasable_type,
+        purchase.purchasable_id,
+        { purchaseId: purchase.id, reason: 'refunded', transaction: dbTransaction }
+      );
+    } else if (accessExpiresAt) {
+      access = await AccessControlService.revokeAccess(
+        purchase.buyer_user_id,
+        purchase.purchasable_type,
+        purchase.purchasable_id,
+        { purchaseId: purchase.id, accessExpiresAt, reason: 'partially_refunded', transaction: dbTransaction }
+      );
+    }
+
+    // 5. Reverse what the purchase consumed - only a full refund undoes the sale
+    let bundleItemsRefunded = 0;
+    let couponReversed = false;
+    let releasedClaims = { releasedCount: 0, claimIds: [] };
+    let giftCode = null;
+
+    if (isFullRefund) {
+      if (BundlePurchaseService.isBundlePurchase(purchase)) {
+        bundleItemsRefunded = await this.refundBundleItems(purchase, dbTransaction);
+      }
+
+      if (GiftService.isGiftPurchase(purchase)) {
+        giftCode = await GiftService.revokeForRefund(purchase, dbTransaction);
+      }
+
+      couponReversed = await this.reverseCouponUsage(purchase, dbTransaction);
+
+      releasedClaims = await SubscriptionAllowanceService.releaseClaimsForPurchase(purchase, {
+        transaction: dbTransaction,
+        reason: 'purchase_refunded'
+      });
+    }
+
+    // 6. Claw back the creator's share of the refunded amount
+    const creatorClawback = await CreatorEarningsService.recordRefundClawback(purchase, amount, {
+      sourceId: refundTransactionId,
+      transaction: dbTransaction
+    });
+
+    return {
+      purchaseId: purchase.id,
+      refundTransactionId: refundTransaction.id,
+      originalTransactionId: originalTransaction.id,
+      amount,
+      refundType: isFullRefund ? 'full' : 'partial',
+      refundedAmount,
+      refundableAmount: Math.max(0, roundAmount(purchase.payment_amount) - refundedAmount),
+      paymentStatus: purchase.payment_status,
+      access,
+      couponReversed,
+      bundleItemsRefunded,
+      releasedClaimIds: releasedClaims.claimIds,
+      revokedGiftCodeId: giftCode?.id || null,
+      creatorClawbackId: creatorClawback?.id || null
+    };
+  }
+
+  /**
+   * Record the refund on the original transaction
+   * @param {Object} originalTransaction - Original Transaction
+   * @param {Object} purchase - Refunded purchase (already updated)
+   * @param {Object} refundEntry - Refund history entry
+   * @param {Object} dbTransaction - Sequelize transaction
+   */
+  static async updateOriginalTransaction(originalTransaction, purchase, refundEntry, dbTransaction) {
+    const openPurchases = await models.Purchase.count({
+      where: {
+        transaction_id: originalTransaction.id,
+        payment_status: 'completed',
+        bundle_purchase_id: null
+      },
+      transaction: dbTransaction
+    });
+
+    const refunds = [...(originalTransaction.metadata?.refunds || []), { ...refundEntry, purchase_id: purchase.id }];
+
+    await originalTransaction.update({
+      payment_status: openPurchases === 0 ? 'refunded' : originalTransaction.payment_status,
+      metadata: {
+        ...originalTransaction.metadata,
+        refunds,
+        refunded_amount: roundAmount(refunds.reduce((total, refund) => total + refund.amount, 0))
+      },
+      updated_at: new Date()
+    }, { transaction: dbTransaction });
+  }
+
+  /**
+   * Refund and revoke the individual purchases a bundle created
+   * @param {Object} bundlePurchase - Refunded bundle purchase
+   * @param {Object} dbTransaction - Sequelize transaction
+   * @returns {Promise<number>} Number of bundle items refunded
+   */
+  static async refundBundleItems(bundlePurchase, dbTransaction) {
+    const bundleItems = await models.Purchase.findAll({
+      where: {
+        bundle_purchase_id: bundlePurchase.id,
+        payment_status: 'completed'
+      },
+      transaction: dbTransaction
+    });
+
+    for (const item of bundleItems) {
+      await item.update({
+        payment_status: 'refunded',
+        metadata: {
+          ...item.metadata,
+          refundedAt: new Date().toISOString(),
+          refundSource: 'bundle_refund'
+        },
+        updated_at: new Date()
+      }, { transaction: dbTransaction });
+
+      await AccessControlService.revokeAccess(
+        item.buyer_user_id,
+        item.purchasable_type,
+        item.purchasable_id,
+        { purchaseId: item.id, reason: 'bundle_refunded', transaction: dbTransaction }
+      );
+    }
+
+    return bundleItems.length;
+  }
+
+  /**
+   * Give a coupon use back once the purchases it discounted are all refunded
+   * A coupon is applied to a whole cart but counted once, so partial cart refunds keep the use.
+   * @param {Object} purchase - Fully refunded purchase
+   * @param {Object} dbTransaction - Sequelize transaction
+   * @returns {Promise<boolean>} True when the coupon use was reversed
+   */
+  static async reverseCouponUsage(purchase, dbTransaction) {
+    if (!purchase.coupon_code) {
+      return false;
+    }
+
+    if (purchase.transaction_id) {
+      const remainingDiscounted = await models.Purchase.count({
+        where: {
+          transaction_id: purchase.transaction_id,
+          coupon_code: purchase.coupon_code,
+          payment_status: 'completed'
+        },
+        transaction: dbTransaction
+      });
+
+      if (remainingDiscounted > 0) {
+        return false;
+      }
+    }
+
+    // Stacked cart coupons - every coupon on the purchase was counted once
+    if (purchase.metadata?.coupon_ids?.length) {
+      for (const couponId of purchase.metadata.coupon_ids) {
+        await CouponValidationService.decrementUserUsage(couponId, purchase.buyer_user_id, dbTransaction);
+      }
+      return true;
+    }
+
+    const coupon = purchase.metadata?.coupon_id
+      ? await models.Coupon.findByPk(purchase.metadata.coupon_id, { transaction: dbTransaction })
+      : await models.Coupon.findOne({ where: { code: purchase.coupon_code }, transaction: dbTransaction });
+
+    if (!coupon) {
+      return false;
+    }
+
+    return CouponValidationService.decrementUserUsage(coupon.id, purchase.buyer_user_id, dbTransaction);
+  }
+}
+
+export default RefundService;
\ No newline at end of file
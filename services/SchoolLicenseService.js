@@ -0,0 +1,637 @@
+import models from '../models/index.js';
+import { Op } from 'sequelize';
+import { generateId } from '../models/baseModel.js';
+import { ludlog } from '../lib/ludlog.js';
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError } from '../middleware/errorHandler.js';
+import {
+  INSTITUTION_PLAN_TYPE,
+  SCHOOL_SEAT_STATUSES,
+  SEAT_HOLDER_USER_TYPES,
+  SCHOOL_LICENSE_PAYMENT_PROVIDER
+} from '../constants/schoolLicenses.js';
+import { calcSubscriptionPlanPrice } from '../utils/purchasePricing.js';
+import SubscriptionService from './SubscriptionService.js';
+import SubscriptionAllowanceService from './SubscriptionAllowanceService.js';
+import InvoicePaymentService from './InvoicePaymentService.js';
+
+const USER_ATTRIBUTES = ['id', 'email', 'full_name', 'user_type', 'school_id'];
+
+/**
+ * SchoolLicenseService - Seat-based school (institutional) subscriptions
+ *
+ * A school subscription is a Subscription with school_id and seats set, on an institution plan.
+ * Its user_id is the billing contact (by default the headmaster) - the subscription itself is
+ * used by the teachers holding its seats (SchoolSeat). Seat holders are treated as subscribed
+ * by SubscriptionAllowanceService.getActiveSubscription, and their claims share one pooled
+ * allowance (plan limit x seats).
+ */
+class SchoolLicenseService {
+  /**
+   * Make sure the user may manage the school's seats (admins and the school headmaster)
+   * @param {Object} user - Authenticated user
+   * @param {string} schoolId - School ID
+   * @returns {Promise<Object>} School
+   */
+  static async assertCanManageSchool(user, schoolId) {
+    const school = await models.School.findByPk(schoolId);
+    if (!school) {
+      throw new NotFoundError('School not found');
+    }
+
+    const isAdmin = user.role === 'admin' || user.role === 'sysadmin';
+    if (!isAdmin && school.school_headmaster_id !== user.id) {
+      throw new ForbiddenError('Only the school headmaster can manage school seats');
+    }
+
+    return school;
+  }
+
+  /**
+   * Get the current (active) subscription of a school
+   * @param {string} schoolId - School ID
+   * @param {Object} [options] - { transaction, lock }
+   * @returns {Promise<Object|null>} School subscription
+   */
+  static async getSchoolSubscription(schoolId, options = {}) {
+    return models.Subscription.findOne({
+      where: {
+        school_id: schoolId,
+        status: 'active',
+        [Op.or]: [
+          { end_date: null },
+          models.sequelize.where(
+            models.sequelize.literal('end_date + INTERVAL \'1 day\''),
+            Op.gt,
+            new Date()
+          )  // Active through the entire end_date day, like personal subscriptions
+        ]
+      },
+      order: [['created_at', 'DESC']],
+      transaction: options.transaction,
+      lock: options.lock
+    });
+  }
+
+  /**
+   * Record a school subscription sold offline (admin)
+   * @param {Object} details
+   * @param {string} details.schoolId - School ID
+   * @param {string} details.subscriptionPlanId - Institution plan
+   * @param {number} details.seats - Number of teacher seats
+   * @param {string} [details.billingUserId] - Billing contact, defaults to the headmaster
+   * @param {number} [details.billingPrice] - Agreed price, defaults to the seat price x seats
+   * @param {string} [details.startDate] - Defaults to now
+   * @param {string} [details.endDate] - Defaults to one billing period of the plan
+   * @param {string} [details.reference] - Contract / purchase order reference
+   * @param {boolean} [details.payByInvoice] - Send a proforma and keep the license provisional until paid
+   * @param {string} adminUserId - Admin recording the license
+   * @returns {Promise<Object>} Created subscription
+   */
+  static async createSchoolSubscription(details, adminUserId) {
+    const { schoolId, subscriptionPlanId, billingUserId, reference } = details;
+    const seats = parseInt(details.seats, 10);
+
+    if (!Number.isInteger(seats) || seats < 1) {
+      throw new BadRequestError('seats must be a positive integer');
+    }
+
+    const [school, plan] = await Promise.all([
+      models.School.findByPk(schoolId),
+      models.SubscriptionPlan.findByPk(subscriptionPlanId)
+    ]);
+
+    if (!school) {
+      throw new NotFoundError('School not found');
+    }
+    if (!plan || !plan.is_active) {
+      throw new NotFoundError('Subscription plan not found or inactive');
+    }
+    if (plan.plan_type !== INSTITUTION_PLAN_TYPE) {
+      throw new BadRequestError('School subscriptions require an institution plan');
+    }
+
+    const existing = await this.getSchoolSubscription(schoolId);
+    if (existing) {
+      throw new ConflictError('School already has an active subscription - update its seats instead');
+    }
+
+    const contactUserId = billingUserId || school.school_headmaster_id;
+    if (!contactUserId) {
+      throw new BadRequestError('billingUserId is required for schools without a headmaster');
+    }
+
+    const pricing = calcSubscriptionPlanPrice(plan);
+    const listPrice = Math.round(pricing.finalPrice * seats * 100) / 100;
+    const billingPrice = details.billingPrice !== undefined && details.billingPrice !== null
+      ? parseFloat(details.billingPrice)
+      : listPrice;
+
+    if (!Number.isFinite(billingPrice) || billingPrice < 0) {
+      throw new BadRequestError('billingPrice must be zero or positive');
+    }
+
+    const startDate = details.startDate ? new Date(details.startDate) : new Date();
+    const endDate = details.endDate
+      ? new Date(details.endDate)
+      : SubscriptionService.calculateNextBillingDate(startDate, plan.billing_period);
+    const originalPrice = Math.max(listPrice, billingPrice);
+
+    const subscription = await models.Subscription.create({
+      id: `sub_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
+      user_id: contactUserId,
+      subscription_plan_id: plan.id,
+      school_id: school.id,
+      seats,
+      status: 'active',
+      start_date: startDate,
+      end_date: endDate, // Fixed term - renewed by recording a new license
+      next_billing_date: null,
+      billing_price: billingPrice,
+      original_price: originalPrice,
+      discount_amount: Math.round((originalPrice - billingPrice) * 100) / 100,
+      billing_period: plan.billing_period || 'yearly',
+      metadata: {
+        payment_provider: SCHOOL_LICENSE_PAYMENT_PROVIDER,
+        planSnapshot: {
+          name: plan.name,
+          description: plan.description,
+          benefits: plan.benefits,
+          originalPrice: pricing.originalPrice,
+          seatPrice: pricing.finalPrice
+        },
+        reference: reference || null,
+        created_by: adminUserId,
+        createdAt: new Date().toISOString(),
+        autoRenewalEnabled: false
+      },
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+
+    ludlog.payment('School subscription recorded:', {
+      subscriptionId: subscription.id,
+      schoolId: school.id,
+      planId: plan.id,
+      seats,
+      billingPrice
+    });
+
+    // Pay by invoice - the license runs for the grace period until an admin records the transfer
+    if (details.payByInvoice && billingPrice > 0) {
+      const billingUser = await models.User.findByPk(contactUserId);
+      if (!billingUser) {
+        throw new NotFoundError('Billing contact not found');
+      }
+
+      await InvoicePaymentService.createSubscriptionInvoicePayment({
+        subscription,
+        user: billingUser,
+        amount: billingPrice,
+        purchaseOrderNumber: reference || null,
+        metadata: { source: 'admin_school_license', created_by: adminUserId }
+      });
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Change the seat count or end date of a school subscription (admin)
+   * @param {string} subscriptionId - School subscription ID
+   * @param {Object} changes - { seats, endDate }
+   * @returns {Promise<Object>} Updated subscription
+   */
+  static async updateSchoolSubscription(subscriptionId, changes = {}) {
+    const dbTransaction = await models.sequelize.transaction();
+
+    try {
+      const subscription = await models.Subscription.findByPk(subscriptionId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE
+      });
+
+      if (!subscription || !subscription.school_id) {
+        throw new NotFoundError('School subscription not found');
+      }
+
+      const updates = { updated_at: new Date() };
+
+      if (changes.seats !== undefined) {
+        const seats = parseInt(changes.seats, 10);
+        if (!Number.isInteger(seats) || seats < 1) {
+          throw new BadRequestError('seats must be a positive integer');
+        }
+
+        const assigned = await this.countAssignedSeats(subscription.id, dbTransaction);
+        if (seats < assigned) {
+          throw new ConflictError(`${assigned} seats are assigned - release seats before reducing the count to ${seats}`);
+        }
+
+        updates.seats = seats;
+      }
+
+      if (changes.endDate !== undefined) {
+        updates.end_date = changes.endDate ? new Date(changes.endDate) : null;
+      }
+
+      await subscription.update(updates, { transaction: dbTransaction });
+      await dbTransaction.commit();
+
+      ludlog.payment('School subscription updated:', {
+        subscriptionId,
+        schoolId: subscription.school_id,
+        seats: subscription.seats,
+        endDate: subscription.end_date
+      });
+
+      return subscription;
+    } catch (error) {
+      await dbTransaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Number of assigned seats of a school subscription
+   * @param {string} subscriptionId - School subscription ID
+   * @param {Object} [transaction] - DB transaction
+   * @returns {Promise<number>} Assigned seats
+   */
+  static async countAssignedSeats(subscriptionId, transaction = null) {
+    return models.SchoolSeat.count({
+      where: {
+        subscription_id: subscriptionId,
+        status: SCHOOL_SEAT_STATUSES.ACTIVE
+      },
+      transaction
+    });
+  }
+
+  /**
+   * Resolve the teacher a seat is assigned to
+   * @param {string} schoolId - School ID
+   * @param {Object} target - { userId } or { email }
+   * @param {Object} transaction - DB transaction
+   * @returns {Promise<Object>} User
+   */
+  static async findSeatHolder(schoolId, target, transaction) {
+    if (!target.userId && !target.email) {
+      throw new BadRequestError('userId or email is required');
+    }
+
+    const user = target.userId
+      ? await models.User.findByPk(target.userId, { transaction })
+      : await models.User.findOne({ where: { email: String(target.email).trim().toLowerCase() }, transaction });
+
+    if (!user || !user.is_active) {
+      throw new NotFoundError('User not found');
+    }
+    if (!SEAT_HOLDER_USER_TYPES.includes(user.user_type)) {
+      throw new BadRequestError('School seats can only be assigned to teachers');
+    }
+    if (user.school_id && user.school_id !== schoolId) {
+      throw new BadRequestError('User belongs to another school');
+    }
+
+    return user;
+  }
+
+  /**
+   * Create the seat of a user in an open DB transaction (subscription row must be locked)
+   * @param {Object} subscription - Locked school subscription
+   * @param {Object} user - Seat holder
+   * @param {string} actorUserId - Headmaster or admin
+   * @param {Object} transaction - DB transaction
+   * @returns {Promise<Object>} Created seat
+   */
+  static async createSeat(subscription, user, actorUserId, transaction) {
+    const existingSeat = await models.SchoolSeat.findOne({
+      where: { user_id: user.id, status: SCHOOL_SEAT_STATUSES.ACTIVE },
+      transaction
+    });
+
+    if (existingSeat) {
+      throw new ConflictError(existingSeat.subscription_id === subscription.id
+        ? 'User already holds a seat of this school'
+        : 'User already holds a seat of another school subscription');
+    }
+
+    const assigned = await this.countAssignedSeats(subscription.id, transaction);
+    if (assigned >= subscription.seats) {
+      throw new ConflictError(`All ${subscription.seats} seats are assigned`);
+    }
+
+    // Seat holders join the school (teachers that did not pick a school yet)
+    if (!user.school_id) {
+      await user.update({ school_id: subscription.school_id, updated_at: new Date() }, { transaction });
+    }
+
+    const now = new Date();
+    return models.SchoolSeat.create({
+      id: generateId(),
+      school_id: subscription.school_id,
+      subscription_id: subscription.id,
+      user_id: user.id,
+      status: SCHOOL_SEAT_STATUSES.ACTIVE,
+      assigned_by: actorUserId,
+      assigned_at: now,
+      metadata: {},
+      created_at: now,
+      updated_at: now
+    }, { transaction });
+  }
+
+  /**
+   * Assign a seat of the school subscription to a teacher
+   * @param {string} schoolId - School ID
+   * @param {Object} target - { userId } or { email }
+   * @param {string} actorUserId - Headmaster or admin
+   * @returns {Promise<Object>} Created seat
+   */
+  static async assignSeat(schoolId, target, actorUserId) {
+    const dbTransaction = await models.sequelize.transaction();
+
+    try {
+      // Lock the subscription so concurrent assignments cannot exceed the seat count
+      const subscription = await this.getSchoolSubscription(schoolId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE
+      });
+      if (!subscription) {
+        throw new NotFoundError('School has no active subscription');
+      }
+
+      const user = await this.findSeatHolder(schoolId, target, dbTransaction);
+      const seat = await this.createSeat(subscription, user, actorUserId, dbTransaction);
+
+      await dbTransaction.commit();
+
+      ludlog.payment('School seat assigned:', {
+        seatId: seat.id,
+        schoolId,
+        subscriptionId: subscription.id,
+        userId: user.id,
+        assignedBy: actorUserId
+      });
+
+      return seat;
+    } catch (error) {
+      await dbTransaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Release an assigned seat in an open DB transaction
+   * @param {string} schoolId - School ID
+   * @param {string} seatId - Seat ID
+   * @param {string} actorUserId - Headmaster or admin
+   * @param {Object} transaction - DB transaction
+   * @param {string} [reason] - Stored in the seat metadata
+   * @returns {Promise<Object>} Released seat
+   */
+  static async releaseSeatInTransaction(schoolId, seatId, actorUserId, transaction, reason = 'released') {
+    const seat = await models.SchoolSeat.findOne({
+      where: { id: seatId, school_id: schoolId },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!seat) {
+      throw new NotFoundError('Seat not found');
+    }
+    if (seat.status !== SCHOOL_SEAT_STATUSES.ACTIVE) {
+      throw new ConflictError('Seat was already released');
+    }
+
+    await seat.update({
+      status: SCHOOL_SEAT_STATUSES.RELEASED,
+      released_by: actorUserId,
+      released_at: new Date(),
+      metadata: { ...seat.metadata, released_reason: reason },
+      updated_at: new Date()
+    }, { transaction });
+
+    return seat;
+  }
+
+  /**
+   * Release (unassign) a seat - the teacher loses the school subscription
+   * @param {string} schoolId - School ID
+   * @param {string} seatId - Seat ID
+   * @param {string} actorUserId - Headmaster or admin
+   * @returns {Promise<Object>} Released seat
+   */
+  static async releaseSeat(schoolId, seatId, actorUserId) {
+    const dbTransaction = await models.sequelize.transaction();
+
+    try {
+      const seat = await this.releaseSeatInTransaction(schoolId, seatId, actorUserId, dbTransaction);
+      await dbTransaction.commit();
+
+      ludlog.payment('School seat released:', { seatId, schoolId, userId: seat.user_id, releasedBy: actorUserId });
+
+      return seat;
+    } catch (error) {
+      await dbTransaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Move a seat to another teacher (release + assign in one DB transaction)
+   * @param {string} schoolId - School ID
+   * @param {string} seatId - Seat to move
+   * @param {Object} target - { userId } or { email } of the new seat holder
+   * @param {string} actorUserId - Headmaster or admin
+   * @returns {Promise<Object>} { releasedSeat, seat }
+   */
+  static async reassignSeat(schoolId, seatId, target, actorUserId) {
+    const dbTransaction = await models.sequelize.transaction();
+
+    try {
+      const subscription = await this.getSchoolSubscription(schoolId, {
+        transaction: dbTransaction,
+        lock: dbTransaction.LOCK.UPDATE
+      });
+      if (!subscription) {
+        throw new NotFoundError('School has no active subscription');
+      }
+
+      const user = await this.findSeatHolder(schoolId, target, dbTransaction);
+      const releasedSeat = await this.releaseSeatInTransaction(schoolId, seatId, actorUserId, dbTransaction, 'reassigned');
+      const seat = await this.createSeat(subscription, user, actorUserId, dbTransaction);
+
+      await releasedSeat.update({
+        metadata: { ...releasedSeat.metadata, reassigned_to_seat_id: seat.id }
+      }, { transaction: dbTransaction });
+
+      await dbTransaction.commit();
+
+      ludlog.payment('School seat reassigned:', {
+        schoolId,
+        fromUserId: releasedSeat.user_id,
+        toUserId: user.id,
+        seatId: seat.id,
+        reassignedBy: actorUserId
+      });
+
+      return { releasedSeat, seat };
+    } catch (error) {
+      await dbTransaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * School license overview - subscription, seat usage and seat holders
+   * @param {string} schoolId - School ID
+   * @returns {Promise<Object>} License overview
+   */
+  static async getSchoolLicense(schoolId) {
+    const subscription = await this.getSchoolSubscription(schoolId);
+    if (!subscription) {
+      return { schoolId, subscription: null, seats: null, seatHolders: [] };
+    }
+
+    const [plan, seats] = await Promise.all([
+      models.SubscriptionPlan.findByPk(subscription.subscription_plan_id, {
+        attributes: ['id', 'name', 'benefits', 'billing_period']
+      }),
+      models.SchoolSeat.findAll({
+        where: { subscription_id: subscription.id, status: SCHOOL_SEAT_STATUSES.ACTIVE },
+        include: [{ model: models.User, as: 'user', attributes: USER_ATTRIBUTES }],
+        order: [['assigned_at', 'ASC']]
+      })
+    ]);
+
+    return {
+      schoolId,
+      subscription: {
+        id: subscription.id,
+        plan: plan ? { id: plan.id, name: plan.name, billing_period: plan.billing_period } : null,
+        status: subscription.status,
+        start_date: subscription.start_date,
+        end_date: subscription.end_date,
+        billing_user_id: subscription.user_id
+      },
+      seats: {
+        total: subscription.seats,
+        assigned: seats.length,
+        available: Math.max(0, subscription.seats - seats.length)
+      },
+      seatHolders: seats.map(seat => ({
+        seat_id: seat.id,
+        assigned_at: seat.assigned_at,
+        user: seat.user
+      }))
+    };
+  }
+
+  /**
+   * School-level usage report - pooled allowances and claims per teacher for a month
+   * @param {string} schoolId - School ID
+   * @param {string} [monthYear] - YYYY-MM, defaults to the current month
+   * @returns {Promise<Object>} Usage report
+   */
+  static async getUsageReport(schoolId, monthYear = null) {
+    const targetMonth = monthYear || SubscriptionAllowanceService.getCurrentMonthYear();
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(targetMonth)) {
+      throw new BadRequestError('month must be in YYYY-MM format');
+    }
+
+    const subscription = await this.getSchoolSubscription(schoolId);
+    if (!subscription) {
+      throw new NotFoundError('School has no active subscription');
+    }
+
+    subscription.subscriptionPlan = await models.SubscriptionPlan.findByPk(subscription.subscription_plan_id, {
+      attributes: ['id', 'name', 'benefits']
+    });
+
+    const [year, month] = targetMonth.split('-').map(Number);
+    const startOfMonth = new Date(year, month - 1, 1);
+    const endOfMonth = new Date(year, month, 0, 23, 59, 59);
+
+    const [allowanceResult, claimCounts, seats] = await Promise.all([
+      SubscriptionAllowanceService.calculateSubscriptionAllowances(subscription, targetMonth),
+      models.SubscriptionPurchase.findAll({
+        attributes: [
+          'user_id',
+          'product_type',
+          [models.sequelize.fn('COUNT', models.sequelize.col('id')), 'count']
+        ],
+        where: {
+          subscription_id: subscription.id,
+          status: { [Op.ne]: 'cancelled' },
+          created_at: { [Op.between]: [startOfMonth, endOfMonth] }
+        },
+        group: ['user_id', 'product_type'],
+        raw: true
+      }),
+      // Everyone who held a seat during the month (current and released seat holders)
+      models.SchoolSeat.findAll({
+        where: {
+          subscription_id: subscription.id,
+          assigned_at: { [Op.lte]: endOfMonth },
+          [Op.or]: [
+            { released_at: null },
+            { released_at: { [Op.gte]: startOfMonth } }
+          ]
+        },
+        include: [{ model: models.User, as: 'user', attributes: USER_ATTRIBUTES }],
+        order: [['assigned_at', 'ASC']]
+      })
+    ]);
+
+    const teachers = new Map();
+    for (const seat of seats) {
+      // Latest seat wins for teachers that were reassigned back
+      teachers.set(seat.user_id, {
+        user_id: seat.user_id,
+        email: seat.user?.email || null,
+        full_name: seat.user?.full_name || null,
+        seat_status: seat.status,
+        claims: {},
+        total_claims: 0
+      });
+    }
+
+    for (const row of claimCounts) {
+      const teacher = teachers.get(row.user_id) || {
+        user_id: row.user_id,
+        email: null,
+        full_name: null,
+        seat_status: null,
+        claims: {},
+        total_claims: 0
+      };
+      const count = parseInt(row.count, 10);
+      teacher.claims[row.product_type] = count;
+      teacher.total_claims += count;
+      teachers.set(row.user_id, teacher);
+    }
+
+    const teacherRows = Array.from(teachers.values());
+
+    return {
+      schoolId,
+      monthYear: targetMonth,
+      subscription: {
+        id: subscription.id,
+        plan_name: subscription.subscriptionPlan?.name || null,
+        start_date: subscription.start_date,
+        end_date: subscription.end_date
+      },
+      seats: {
+        total: subscription.seats,
+        assigned: seats.filter(seat => seat.status === SCHOOL_SEAT_STATUSES.ACTIVE).length
+      },
+      allowances: allowanceResult.allowances,
+      totalClaims: teacherRows.reduce((sum, teacher) => sum + teacher.total_claims, 0),
+      teachers: teacherRows.sort((a, b) => b.total_claims - a.total_claims)
+    };
+  }
+}
+
+export default SchoolLicenseService;
\ No newline at end of file
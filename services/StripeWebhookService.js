@@ -0,0 +1,603 @@
+import models from '../models/index.js';
+import { generateId } from '../models/baseModel.js';
+import { ludlog } from '../lib/ludlog.js';
+import {
+  STRIPE_EVENT_TYPES,
+  STRIPE_BILLING_REASONS,
+  fromStripeAmount
+} from '../constants/stripe.js';
+import { isProd } from '../src/utils/environment.js';
+import RefundService from './RefundService.js';
+
+/**
+ * StripeWebhookService - Maps Stripe webhook events onto Purchase, Transaction and Subscription records
+ *
+ * Mirrors the PayPlus webhook flow so the rest of the system (access control, allowances,
+ * subscription lifecycle) does not need to know which provider settled a payment.
+ *
+ * Stripe objects are linked to our records through metadata set when the checkout is created:
+ * - metadata.transaction_id / client_reference_id → Transaction.id
+ * - metadata.subscription_id → Subscription.id
+ * and, once seen, Stripe ids are persisted on Transaction.metadata / Subscription.metadata.
+ */
+class StripeWebhookService {
+  /**
+   * Process a verified Stripe event
+   * @param {Object} event - Stripe event object
+   * @param {Object} webhookLog - WebhookLog instance for process logging
+   * @returns {Promise<Object>} Processing result { handled, action, transactionId, subscriptionId }
+   */
+  static async processEvent(event, webhookLog) {
+    const stripeObject = event.data?.object || {};
+
+    switch (event.type) {
+      case STRIPE_EVENT_TYPES.CHECKOUT_SESSION_COMPLETED:
+        return this.handleCheckoutSessionCompleted(stripeObject, event, webhookLog);
+
+      case STRIPE_EVENT_TYPES.PAYMENT_INTENT_SUCCEEDED:
+        return this.handlePaymentIntentSucceeded(stripeObject, event, webhookLog);
+
+      case STRIPE_EVENT_TYPES.PAYMENT_INTENT_FAILED:
+        return this.handlePaymentIntentFailed(stripeObject, event, webhookLog);
+
+      case STRIPE_EVENT_TYPES.CHARGE_REFUNDED:
+        return this.handleChargeRefunded(stripeObject, event, webhookLog);
+
+      case STRIPE_EVENT_TYPES.INVOICE_PAID:
+        return this.handleInvoicePaid(stripeObject, event, webhookLog);
+
+      case STRIPE_EVENT_TYPES.CUSTOMER_SUBSCRIPTION_DELETED:
+        return this.handleSubscriptionDeleted(stripeObject, event, webhookLog);
+
+      default:
+        webhookLog.addProcessLog(`Stripe event type ${event.type} is not handled - acknowledged only`);
+        return { handled: false, action: 'ignored' };
+    }
+  }
+
+  /**
+   * Check whether a Stripe event id was already processed successfully
+   * Stripe delivers at-least-once, so every event must be idempotent
+   * @param {string} eventId - Stripe event id (evt_...)
+   * @returns {Promise<Object|null>} Previously completed WebhookLog or null
+   */
+  static async findProcessedEvent(eventId) {
+    if (!eventId) {
+      return null;
+    }
+
+    return models.WebhookLog.findOne({
+      where: {
+        provider: 'stripe',
+        status: 'completed',
+        'event_data.id': eventId
+      }
+    });
+  }
+
+  /**
+   * Resolve our Transaction for a Stripe checkout session, payment intent or charge
+   * @param {Object} stripeObject - Stripe object from the event
+   * @returns {Promise<Object|null>} Transaction with purchases included
+   */
+  static async findTransactionForStripeObject(stripeObject) {
+    const include = [{ model: models.Purchase, as: 'purchases' }];
+
+    const transactionId = stripeObject.metadata?.transaction_id || stripeObject.client_reference_id;
+    if (transactionId) {
+      const transaction = await models.Transaction.findByPk(transactionId, { include });
+      if (transaction) {
+        return transaction;
+      }
+    }
+
+    if (stripeObject.object === 'checkout.session') {
+      const transaction = await models.Transaction.findOne({
+        where: { 'metadata.stripe_checkout_session_id': stripeObject.id },
+        include
+      });
+      if (transaction) {
+        return transaction;
+      }
+    }
+
+    const paymentIntentId = stripeObject.object === 'payment_intent'
+      ? stripeObject.id
+      : stripeObject.payment_intent;
+
+    if (paymentIntentId) {
+      return models.Transaction.findOne({
+        where: { 'metadata.stripe_payment_intent_id': paymentIntentId },
+        include
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve our Subscription for a Stripe subscription id
+   * @param {string} stripeSubscriptionId - Stripe subscription id (sub_...)
+   * @param {string} [localSubscriptionId] - metadata.subscription_id sent with the checkout (our Subscription id)
+   * @returns {Promise<Object|null>} Subscription
+   */
+  static async findSubscription(stripeSubscriptionId, localSubscriptionId = null) {
+    if (stripeSubscriptionId) {
+      const subscription = await models.Subscription.findOne({
+        where: { 'metadata.stripe_subscription_id': stripeSubscriptionId }
+      });
+      if (subscription) {
+        return subscription;
+      }
+    }
+
+    return localSubscriptionId ? models.Subscription.findByPk(localSubscriptionId) : null;
+  }
+
+  /**
+   * checkout.session.completed - the customer finished the hosted checkout
+   */
+  static async handleCheckoutSessionCompleted(session, event, webhookLog) {
+    const transaction = await this.findTransactionForStripeObject(session);
+    if (!transaction) {
+      throw new Error(`No transaction found for Stripe checkout session ${session.id}`);
+    }
+
+    webhookLog.addProcessLog(`Found transaction: ${transaction.id} for checkout session ${session.id}`);
+    await webhookLog.update({ transaction_id: transaction.id });
+
+    // Async payment methods complete later via payment_intent.succeeded
+    if (session.payment_status && !['paid', 'no_payment_required'].includes(session.payment_status)) {
+      webhookLog.addProcessLog(`Checkout session payment_status is ${session.payment_status} - waiting for payment confirmation`);
+      await transaction.update({
+        metadata: {
+          ...transaction.metadata,
+          stripe_checkout_session_id: session.id,
+          stripe_payment_intent_id: session.payment_intent || transaction.metadata?.stripe_payment_intent_id,
+          lastWebhookAt: new Date().toISOString()
+        },
+        updated_at: new Date()
+      });
+      return { handled: true, action: 'awaiting_payment', transactionId: transaction.id };
+    }
+
+    return this.completeTransaction(transaction, {
+      webhookLog,
+      eventId: event.id,
+      amount: fromStripeAmount(session.amount_total, session.currency),
+      currency: session.currency,
+      stripeRefs: {
+        stripe_checkout_session_id: session.id,
+        stripe_payment_intent_id: session.payment_intent || null,
+        stripe_customer_id: session.customer || null,
+        stripe_subscription_id: session.subscription || null
+      }
+    });
+  }
+
+  /**
+   * payment_intent.succeeded - funds captured (also fires after checkout, so completion is idempotent)
+   */
+  static async handlePaymentIntentSucceeded(paymentIntent, event, webhookLog) {
+    const transaction = await this.findTransactionForStripeObject(paymentIntent);
+    if (!transaction) {
+      // Subscription invoices create payment intents we never linked - invoice.paid covers them
+      if (paymentIntent.invoice) {
+        webhookLog.addProcessLog(`Payment intent ${paymentIntent.id} belongs to invoice ${paymentIntent.invoice} - handled by invoice.paid`);
+        return { handled: false, action: 'deferred_to_invoice' };
+      }
+      throw new Error(`No transaction found for Stripe payment intent ${paymentIntent.id}`);
+    }
+
+    webhookLog.addProcessLog(`Found transaction: ${transaction.id} for payment intent ${paymentIntent.id}`);
+    await webhookLog.update({ transaction_id: transaction.id });
+
+    return this.completeTransaction(transaction, {
+      webhookLog,
+      eventId: event.id,
+      amount: fromStripeAmount(paymentIntent.amount_received ?? paymentIntent.amount, paymentIntent.currency),
+      currency: paymentIntent.currency,
+      stripeRefs: {
+        stripe_payment_intent_id: paymentIntent.id,
+        stripe_customer_id: paymentIntent.customer || null,
+        stripe_charge_id: paymentIntent.latest_charge || null
+      }
+    });
+  }
+
+  /**
+   * payment_intent.payment_failed - card declined or authentication failed
+   */
+  static async handlePaymentIntentFailed(paymentIntent, event, webhookLog) {
+    const transaction = await this.findTransactionForStripeObject(paymentIntent);
+    if (!transaction) {
+      throw new Error(`No transaction found for Stripe payment intent ${paymentIntent.id}`);
+    }
+
+    webhookLog.addProcessLog(`Found transaction: ${transaction.id} for failed payment intent ${paymentIntent.id}`);
+    await webhookLog.update({ transaction_id: transaction.id });
+
+    if (transaction.payment_status === 'completed') {
+      webhookLog.addProcessLog('Transaction already completed - ignoring stale failure event');
+      return { handled: true, action: 'already_completed', transactionId: transaction.id };
+    }
+
+    const failureReason = paymentIntent.last_payment_error?.message ||
+      paymentIntent.last_payment_error?.code ||
+      'Payment declined';
+
+    await transaction.update({
+      payment_status: 'failed',
+      payment_method: 'stripe',
+      failure_reason: failureReason,
+      metadata: {
+        ...transaction.metadata,
+        stripe_payment_intent_id: paymentIntent.id,
+        stripe_last_event_id: event.id,
+        failedAt: new Date().toISOString(),
+        failureReason
+      },
+      updated_at: new Date()
+    });
+
+    webhookLog.addProcessLog('Transaction updated to failed status');
+
+    const subscriptionId = transaction.metadata?.subscription_id;
+    if (subscriptionId) {
+      await webhookLog.update({ subscription_id: subscriptionId });
+
+      const subscription = await models.Subscription.findByPk(subscriptionId);
+      if (subscription) {
+        const SubscriptionPaymentService = (await import('./SubscriptionPaymentService.js')).default;
+        await SubscriptionPaymentService.handlePaymentFailure(subscription, {
+          status: 'failed',
+          reason: failureReason,
+          provider: 'stripe',
+          stripe_payment_intent_id: paymentIntent.id
+        });
+        webhookLog.addProcessLog(`Subscription ${subscriptionId} payment failure handled`);
+      }
+    } else {
+      webhookLog.addProcessLog('Purchase payment failure recorded in transaction metadata');
+    }
+
+    return { handled: true, action: 'failed', transactionId: transaction.id, subscriptionId: subscriptionId || null };
+  }
+
+  /**
+   * charge.refunded - a full or partial refund was issued from the Stripe dashboard or API
+   */
+  static async handleChargeRefunded(charge, event, webhookLog) {
+    const transaction = await this.findTransactionForStripeObject(charge);
+    if (!transaction) {
+      throw new Error(`No transaction found for refunded Stripe charge ${charge.id}`);
+    }
+
+    webhookLog.addProcessLog(`Found transaction: ${transaction.id} for refunded charge ${charge.id}`);
+    await webhookLog.update({ transaction_id: transaction.id });
+
+    const isFullRefund = charge.refunded === true || charge.amount_refunded >= charge.amount;
+
+    // Same recording path as admin refunds - access, coupons, claims, clawback and credit note
+    const refund = await RefundService.recordProviderRefund(transaction, {
+      provider: 'stripe',
+      refundedTotal: fromStripeAmount(charge.amount_refunded, charge.currency),
+      chargeAmount: fromStripeAmount(charge.amount, charge.currency),
+      isFullRefund,
+      refundId: charge.refunds?.data?.[0]?.id || null,
+      environment: isProd() ? 'production' : 'staging',
+      data: charge,
+      reason: 'Refunded through Stripe',
+      providerRefs: {
+        stripe_charge_id: charge.id,
+        stripe_last_event_id: event.id
+      }
+    });
+
+    if (!refund.amount) {
+      webhookLog.addProcessLog('Refund already recorded - nothing to do');
+      return { handled: true, action: 'already_refunded', transactionId: transaction.id };
+    }
+
+    webhookLog.addProcessLog(`Refund recorded: ${refund.amount} (${isFullRefund ? 'full' : 'partial'})`);
+    for (const purchaseRefund of refund.refunds) {
+      webhookLog.addProcessLog(`Purchase ${purchaseRefund.purchaseId} refunded: ${purchaseRefund.amount} (${purchaseRefund.refundType})`);
+    }
+
+    return { handled: true, action: isFullRefund ? 'refunded' : 'partially_refunded', transactionId: transaction.id };
+  }
+
+  /**
+   * invoice.paid - first or recurring subscription charge
+   */
+  static async handleInvoicePaid(invoice, event, webhookLog) {
+    if (!invoice.subscription) {
+      webhookLog.addProcessLog(`Invoice ${invoice.id} is not a subscription invoice - nothing to do`);
+      return { handled: false, action: 'ignored' };
+    }
+
+    const subscription = await this.findSubscription(
+      invoice.subscription,
+      invoice.subscription_details?.metadata?.subscription_id || invoice.metadata?.subscription_id
+    );
+
+    if (!subscription) {
+      throw new Error(`No subscription found for Stripe subscription ${invoice.subscription}`);
+    }
+
+    webhookLog.addProcessLog(`Found subscription: ${subscription.id}, status: ${subscription.status}`);
+    await webhookLog.update({ subscription_id: subscription.id });
+
+    const periodEnd = invoice.lines?.data?.[0]?.period?.end;
+    const nextBillingDate = periodEnd ? new Date(periodEnd * 1000) : null;
+    const amount = fromStripeAmount(invoice.amount_paid, invoice.currency);
+
+    // First invoice of a pending subscription - activate it (checkout.session.completed may arrive later)
+    if (subscription.status === 'pending') {
+      const transaction = subscription.transaction_id
+        ? await models.Transaction.findByPk(subscription.transaction_id, { include: [{ model: models.Purchase, as: 'purchases' }] })
+        : null;
+
+      if (transaction) {
+        return this.completeTransaction(transaction, {
+          webhookLog,
+          eventId: event.id,
+          amount,
+          currency: invoice.currency,
+          nextBillingDate,
+          stripeRefs: {
+            stripe_invoice_id: invoice.id,
+            stripe_customer_id: invoice.customer || null,
+            stripe_subscription_id: invoice.subscription
+          }
+        });
+      }
+
+      await this.activateSubscription(subscription, {
+        webhookLog,
+        stripeSubscriptionId: invoice.subscription,
+        stripeCustomerId: invoice.customer,
+        nextBillingDate
+      });
+      return { handled: true, action: 'subscription_activated', subscriptionId: subscription.id };
+    }
+
+    if (invoice.billing_reason === STRIPE_BILLING_REASONS.SUBSCRIPTION_CREATE) {
+      webhookLog.addProcessLog('Initial subscription invoice for an already active subscription - nothing to do');
+      return { handled: true, action: 'already_active', subscriptionId: subscription.id };
+    }
+
+    // RENEWAL: record a renewal transaction once per Stripe invoice
+    const existingRenewal = await models.Transaction.findOne({
+      where: { 'metadata.stripe_invoice_id': invoice.id }
+    });
+
+    if (existingRenewal) {
+      webhookLog.addProcessLog(`Renewal transaction ${existingRenewal.id} already recorded for invoice ${invoice.id}`);
+      return { handled: true, action: 'already_recorded', transactionId: existingRenewal.id, subscriptionId: subscription.id };
+    }
+
+    const renewalTransaction = await models.Transaction.create({
+      id: generateId(),
+      user_id: subscription.user_id,
+      payment_method: 'stripe',
+      resolution_method: 'webhook',
+      amount,
+      currency: (invoice.currency || 'ils').toUpperCase(),
+      payment_status: 'completed',
+      environment: isProd() ? 'production' : 'staging',
+      metadata: {
+        subscription_id: subscription.id,
+        transaction_type: 'SUBSCRIPTION_RENEWAL',
+        renewal_for_subscription: subscription.id,
+        stripe_invoice_id: invoice.id,
+        stripe_subscription_id: invoice.subscription,
+        stripe_customer_id: invoice.customer || null,
+        billing_reason: invoice.billing_reason,
+        created_via: 'stripe_webhook_renewal',
+        resolvedBy: 'webhook',
+        resolvedAt: new Date().toISOString()
+      },
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+
+    await webhookLog.update({ transaction_id: renewalTransaction.id });
+    webhookLog.addProcessLog(`Created renewal transaction: ${renewalTransaction.id}`);
+
+    await subscription.update({
+      next_billing_date: nextBillingDate || subscription.calculateNextBillingDate(new Date()),
+      metadata: {
+        ...subscription.metadata,
+        lastRenewalAt: new Date().toISOString(),
+        lastRenewalTransactionId: renewalTransaction.id,
+        lastStripeInvoiceId: invoice.id
+      },
+      updated_at: new Date()
+    });
+
+    webhookLog.addProcessLog(`Subscription ${subscription.id} renewed via Stripe invoice ${invoice.id}`);
+
+    return { handled: true, action: 'subscription_renewed', transactionId: renewalTransaction.id, subscriptionId: subscription.id };
+  }
+
+  /**
+   * customer.subscription.deleted - the Stripe subscription ended (cancelled by the customer,
+   * through the API or after failed renewals)
+   */
+  static async handleSubscriptionDeleted(stripeSubscription, event, webhookLog) {
+    const subscription = await this.findSubscription(stripeSubscription.id, stripeSubscription.metadata?.subscription_id);
+    if (!subscription) {
+      throw new Error(`No subscription found for Stripe subscription ${stripeSubscription.id}`);
+    }
+
+    webhookLog.addProcessLog(`Found subscription: ${subscription.id}, status: ${subscription.status}`);
+    await webhookLog.update({ subscription_id: subscription.id });
+
+    if (['cancelled', 'expired'].includes(subscription.status)) {
+      webhookLog.addProcessLog(`Subscription ${subscription.id} already cancelled - nothing to do`);
+      return { handled: true, action: 'already_cancelled', subscriptionId: subscription.id };
+    }
+
+    // Stripe only sends this event once the subscription has ended, so access ends now
+    await subscription.update({
+      status: 'cancelled',
+      cancelled_at: stripeSubscription.canceled_at ? new Date(stripeSubscription.canceled_at * 1000) : new Date(),
+      next_billing_date: null,
+      metadata: {
+        ...subscription.metadata,
+        stripe_status: stripeSubscription.status,
+        stripe_last_event_id: event.id,
+        cancellationReason: stripeSubscription.cancellation_details?.reason || 'stripe_subscription_deleted'
+      },
+      updated_at: new Date()
+    });
+
+    ludlog.payment('Cancelled subscription via Stripe:', {
+      subscriptionId: subscription.id,
+      stripeSubscriptionId: stripeSubscription.id
+    });
+    webhookLog.addProcessLog(`Subscription ${subscription.id} cancelled`);
+
+    return { handled: true, action: 'subscription_cancelled', subscriptionId: subscription.id };
+  }
+
+  /**
+   * Mark a transaction as completed and fulfil its purchases or subscription
+   * @param {Object} transaction - Transaction instance (with purchases)
+   * @param {Object} options
+   * @param {Object} options.webhookLog - WebhookLog for process logging
+   * @param {string} options.eventId - Stripe event id
+   * @param {number} [options.amount] - Settled amount (decimal)
+   * @param {string} [options.currency] - Settled currency
+   * @param {Date} [options.nextBillingDate] - Next billing date for subscriptions
+   * @param {Object} options.stripeRefs - Stripe ids to persist on the transaction
+   * @returns {Promise<Object>} Processing result
+   */
+  static async completeTransaction(transaction, options) {
+    const { webhookLog, eventId, amount, currency, nextBillingDate = null, stripeRefs = {} } = options;
+
+    const subscriptionId = transaction.metadata?.subscription_id;
+    if (subscriptionId) {
+      await webhookLog.update({ subscription_id: subscriptionId });
+    }
+
+    // Drop nulls so we never overwrite a known Stripe id with an empty value
+    const refs = Object.fromEntries(Object.entries(stripeRefs).filter(([, value]) => value));
+
+    if (transaction.payment_status === 'completed') {
+      webhookLog.addProcessLog(`Transaction ${transaction.id} already completed - skipping fulfilment`);
+      await transaction.update({
+        metadata: { ...transaction.metadata, ...refs },
+        updated_at: new Date()
+      });
+      return { handled: true, action: 'already_completed', transactionId: transaction.id, subscriptionId: subscriptionId || null };
+    }
+
+    if (amount !== null && amount !== undefined && transaction.amount !== null &&
+        Math.abs(parseFloat(transaction.amount) - amount) > 0.01) {
+      webhookLog.addProcessLog(`⚠️ Amount mismatch: expected ${transaction.amount}, Stripe settled ${amount} ${currency}`);
+    }
+
+    await transaction.update({
+      payment_status: 'completed',
+      payment_method: 'stripe',
+      resolution_method: 'webhook',
+      metadata: {
+        ...transaction.metadata,
+        ...refs,
+        stripe_last_event_id: eventId,
+        settledAmount: amount,
+        settledCurrency: currency,
+        completedAt: new Date().toISOString(),
+        resolvedBy: 'webhook',
+        resolvedAt: new Date().toISOString()
+      },
+      updated_at: new Date()
+    });
+
+    webhookLog.addProcessLog('Transaction updated to completed status');
+
+    if (subscriptionId) {
+      const subscription = await models.Subscription.findByPk(subscriptionId);
+      if (!subscription) {
+        throw new Error(`Subscription ${subscriptionId} not found`);
+      }
+
+      await this.activateSubscription(subscription, {
+        webhookLog,
+        stripeSubscriptionId: refs.stripe_subscription_id,
+        stripeCustomerId: refs.stripe_customer_id,
+        nextBillingDate
+      });
+
+      return { handled: true, action: 'subscription_activated', transactionId: transaction.id, subscriptionId };
+    }
+
+    const PaymentService = (await import('./PaymentService.js')).default;
+    const purchases = transaction.purchases || [];
+    webhookLog.addProcessLog(`Processing ${purchases.length} purchases completion`);
+
+    for (const purchase of purchases) {
+      await PaymentService.completePurchase(purchase.id, {
+        paymentMethod: 'stripe',
+        transactionData: {
+          stripe_last_event_id: eventId
+        }
+      });
+      await models.Purchase.update(
+        { resolution_method: 'webhook', updated_at: new Date() },
+        { where: { id: purchase.id } }
+      );
+      webhookLog.addProcessLog(`Purchase ${purchase.id} completed successfully`);
+    }
+
+    return { handled: true, action: 'completed', transactionId: transaction.id };
+  }
+
+  /**
+   * Activate a pending subscription that was paid through Stripe
+   * @param {Object} subscription - Subscription instance
+   * @param {Object} options
+   * @returns {Promise<Object>} Updated subscription
+   */
+  static async activateSubscription(subscription, options) {
+    const { webhookLog, stripeSubscriptionId = null, stripeCustomerId = null, nextBillingDate = null } = options;
+
+    if (subscription.status !== 'pending') {
+      webhookLog.addProcessLog(`Subscription ${subscription.id} is ${subscription.status} - activation skipped`);
+      return subscription;
+    }
+
+    const SubscriptionService = (await import('./SubscriptionService.js')).default;
+
+    const activated = await SubscriptionService.activateSubscription(subscription.id, {
+      metadata: {
+        payment_provider: 'stripe',
+        ...(stripeSubscriptionId && { stripe_subscription_id: stripeSubscriptionId }),
+        ...(stripeCustomerId && { stripe_customer_id: stripeCustomerId }),
+        paymentCompletedAt: new Date().toISOString(),
+        resolvedBy: 'webhook',
+        resolvedAt: new Date().toISOString()
+      }
+    });
+
+    // Subscription.activate only derives next_billing_date for PayPlus recurring UIDs
+    if (stripeSubscriptionId && activated.billing_price > 0) {
+      await activated.update({
+        next_billing_date: nextBillingDate || activated.calculateNextBillingDate(activated.start_date),
+        updated_at: new Date()
+      });
+    }
+
+    ludlog.payment('✅ Activated subscription via Stripe:', {
+      subscriptionId: subscription.id,
+      stripeSubscriptionId
+    });
+    webhookLog.addProcessLog(`Subscription ${subscription.id} activated successfully`);
+
+    return activated;
+  }
+}
+
+export default StripeWebhookService;
\ No newline at end of file
@@ -0,0 +1,740 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import models from '../models/index.js';
+import { generateId } from '../models/baseModel.js';
+import SettingsService from './SettingsService.js';
+import EmailService from './EmailService.js';
+import { ACCESS_CONTROL_KEYS } from '../constants/settingsKeys.js';
+import {
+  STUDENT_INVITATION_STATUS,
+  OPEN_STUDENT_INVITATION_STATUSES,
+  DEFAULT_STUDENT_INVITATION_EXPIRY_DAYS,
+  MAX_STUDENT_INVITATIONS_PER_REQUEST,
+  STUDENT_INVITATION_REMINDER_HOURS
+} from '../constants/studentInvitations.js';
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError } from '../middleware/errorHandler.js';
+import { ludlog, luderror } from '../lib/ludlog.js';
+import { escapeHtml, normalizeEmail } from '../utils/emailContent.js';
+
+/**
+ * StudentInvitationService - Classroom invitations by email with parent consent links
+ *
+ * A teacher invites students to one of their classrooms by email. Every invitation carries two
+ * tokens: the student's invitation link and, when a parent email is given, the parent's consent
+ * link. Both are emailed when the invitation is created and are valid for the
+ * student_invitation_expiry_days setting.
+ *
+ * The student accepts while signed in with the invited email. When the parent_consent_required
+ * setting is on, a student without an active ParentConsent waits in 'awaiting_parent_consent'
+ * until the parent approves. Consent given before the student accepted is kept on the invitation
+ * (with its IP and user agent) and recorded as the student's ParentConsent on acceptance.
+ * Once both sides are done the invitation becomes an active ClassroomMembership.
+ *
+ * Expiry is stored as an ISO string (studentinvitation.expires_at is a varchar), so it compares
+ * correctly as text in queries. The STUDENT_INVITATION_REMINDERS and STUDENT_INVITATION_EXPIRY
+ * jobs remind open invitations once before they expire and mark lapsed ones as expired.
+ */
+class StudentInvitationService {
+  /**
+   * Invite students to a classroom by email
+   * @param {string} classroomId - Classroom ID
+   * @param {string} teacherId - Requesting teacher (must own the classroom)
+   * @param {Array} entries - [{ student_email, student_name, parent_email, parent_name }]
+   * @returns {Promise<Object>} { invitations, skipped, failed_emails }
+   */
+  static async inviteStudents(classroomId, teacherId, entries = []) {
+    if (entries.length === 0 || entries.length > MAX_STUDENT_INVITATIONS_PER_REQUEST) {
+      throw new BadRequestError(`Between 1 and ${MAX_STUDENT_INVITATIONS_PER_REQUEST} invitations can be sent at once`);
+    }
+
+    const classroom = await this.findOwnedClassroom(classroomId, teacherId);
+    if (classroom.is_active === false) {
+      throw new ConflictError('Cannot invite students to an inactive classroom');
+    }
+
+    const [expiryDays, consentRequired] = await Promise.all([this.getExpiryDays(), this.isParentConsentRequired()]);
+    const emails = [...new Set(entries.map(entry => normalizeEmail(entry.student_email)))];
+
+    const [users, openInvitations] = await Promise.all([
+      models.User.findAll({
+        where: models.sequelize.where(models.sequelize.fn('LOWER', models.sequelize.col('email')), { [Op.in]: emails }),
+        attributes: ['id', 'email', 'user_type']
+      }),
+      models.StudentInvitation.findAll({
+        where: {
+          classroom_id: classroomId,
+          student_email: { [Op.in]: emails },
+          status: { [Op.in]: OPEN_STUDENT_INVITATION_STATUSES },
+          expires_at: { [Op.gt]: new Date().toISOString() }
+        },
+        attributes: ['student_email']
+      })
+    ]);
+
+    const usersByEmail = new Map(users.map(user => [normalizeEmail(user.email), user]));
+    const studentIds = users.map(user => user.id);
+
+    const [memberships, consents] = studentIds.length === 0 ? [[], []] : await Promise.all([
+      models.ClassroomMembership.findAll({
+        where: { classroom_id: classroomId, student_user_id: { [Op.in]: studentIds }, status: 'active' },
+        attributes: ['student_user_id']
+      }),
+      models.ParentConsent.findAll({
+        where: { student_user_id: { [Op.in]: studentIds }, revoked_at: null },
+        attributes: ['student_user_id']
+      })
+    ]);
+
+    const memberIds = new Set(memberships.map(membership => membership.student_user_id));
+    const consentedIds = new Set(consents.map(consent => consent.student_user_id));
+    const invitedEmails = new Set(openInvitations.map(invitation => invitation.student_email));
+
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + expiryDays * 24 * 60 * 60 * 1000);
+    const rows = [];
+    const skipped = [];
+
+    for (const entry of entries) {
+      const studentEmail = normalizeEmail(entry.student_email);
+      const parentEmail = entry.parent_email ? normalizeEmail(entry.parent_email) : null;
+      const user = usersByEmail.get(studentEmail);
+
+      let reason = null;
+      if (rows.some(row => row.student_email === studentEmail) || skipped.some(skip => skip.student_email === studentEmail)) {
+        reason = 'duplicate';
+      } else if (invitedEmails.has(studentEmail)) {
+        reason = 'already_invited';
+      } else if (user && user.user_type !== 'student') {
+        reason = 'not_a_student';
+      } else if (user && memberIds.has(user.id)) {
+        reason = 'already_member';
+      } else if (consentRequired && !parentEmail && !(user && consentedIds.has(user.id))) {
+        reason = 'parent_email_required';
+      } else if (parentEmail && parentEmail === studentEmail) {
+        reason = 'parent_email_matches_student';
+      }
+
+      if (reason) {
+        skipped.push({ student_email: studentEmail, reason });
+        continue;
+      }
+
+      rows.push({
+        id: generateId(),
+        classroom_id: classroomId,
+        teacher_id: teacherId,
+        student_email: studentEmail,
+        student_name: entry.student_name || null,
+        parent_email: parentEmail,
+        parent_name: entry.parent_name || null,
+        status: STUDENT_INVITATION_STATUS.PENDING,
+        invitation_token: this.generateToken(),
+        parent_consent_token: parentEmail ? this.generateToken() : null,
+        expires_at: expiresAt.toISOString(),
+        created_at: now,
+        updated_at: now
+      });
+    }
+
+    const invitations = rows.length === 0 ? [] : await models.StudentInvitation.bulkCreate(rows);
+
+    ludlog.api('Student invitations created', {
+      classroomId,
+      teacherId,
+      invited: invitations.length,
+      skipped: skipped.length
+    });
+
+    // Invitations stay valid when an email fails - the teacher can see them and students are reminded
+    const teacher = await models.User.findByPk(teacherId, { attributes: ['id', 'full_name', 'email'] });
+    const failedEmails = [];
+
+    for (const invitation of invitations) {
+      failedEmails.push(...await this.deliverInvitation(invitation, classroom, teacher));
+    }
+
+    return {
+      invitations: invitations.map(invitation => this.toInvitationView(invitation)),
+      skipped,
+      failed_emails: failedEmails
+    };
+  }
+
+  /**
+   * Invitations of a classroom, newest first
+   * @param {string} classroomId - Classroom ID
+   * @param {string} teacherId - Requesting teacher (must own the classroom)
+   * @returns {Promise<Array>} Invitations
+   */
+  static async listClassroomInvitations(classroomId, teacherId) {
+    await this.findOwnedClassroom(classroomId, teacherId);
+
+    const invitations = await models.StudentInvitation.findAll({
+      where: { classroom_id: classroomId },
+      order: [['created_at', 'DESC']]
+    });
+
+    return invitations.map(invitation => this.toInvitationView(invitation));
+  }
+
+  /**
+   * Cancel an open invitation; its links stop working
+   * @param {string} classroomId - Classroom ID
+   * @param {string} invitationId - Invitation ID
+   * @param {string} teacherId - Requesting teacher (must own the classroom)
+   * @returns {Promise<Object>} Cancelled invitation
+   */
+  static async cancelInvitation(classroomId, invitationId, teacherId) {
+    await this.findOwnedClassroom(classroomId, teacherId);
+
+    const invitation = await models.StudentInvitation.findOne({
+      where: { id: invitationId, classroom_id: classroomId }
+    });
+    if (!invitation) {
+      throw new NotFoundError('Invitation');
+    }
+
+    const status = this.getEffectiveStatus(invitation);
+    if (!OPEN_STUDENT_INVITATION_STATUSES.includes(status)) {
+      throw new ConflictError(`Invitation is already ${status}`);
+    }
+
+    await invitation.update({
+      status: STUDENT_INVITATION_STATUS.CANCELLED,
+      updated_at: new Date()
+    });
+
+    ludlog.api('Student invitation cancelled', { invitationId, classroomId, teacherId });
+
+    return this.toInvitationView(invitation);
+  }
+
+  /**
+   * What the invitation link shows before signing in
+   * @param {string} token - Invitation token
+   * @returns {Promise<Object>} Classroom, teacher and status of the invitation
+   */
+  static async previewInvitation(token) {
+    const invitation = await this.findInvitationByToken({ invitation_token: token });
+    return this.toPublicView(invitation, await this.isParentConsentRequired());
+  }
+
+  /**
+   * What the parent consent link shows
+   * @param {string} token - Parent consent token
+   * @returns {Promise<Object>} Classroom, teacher and status of the invitation
+   */
+  static async previewParentConsent(token) {
+    const invitation = await this.findInvitationByToken({ parent_consent_token: token });
+    return this.toPublicView(invitation, await this.isParentConsentRequired());
+  }
+
+  /**
+   * Accept an invitation as the invited student
+   * @param {string} token - Invitation token
+   * @param {Object} user - Signed-in user (must be a student with the invited email)
+   * @returns {Promise<Object>} { invitation, membership, needs_parent_consent }
+   */
+  static async acceptInvitation(token, user) {
+    if (user?.user_type !== 'student') {
+      throw new ForbiddenError('Only students can accept classroom invitations');
+    }
+
+    const transaction = await models.sequelize.transaction();
+    let outcome;
+    try {
+      const invitation = await this.findOpenInvitation({ invitation_token: token }, transaction);
+
+      if (invitation.student_email !== normalizeEmail(user.email)) {
+        throw new ForbiddenError('This invitation was sent to a different email address');
+      }
+
+      if (invitation.student_accepted_at) {
+        throw new ConflictError('Invitation was already accepted - waiting for parent consent');
+      }
+
+      const now = new Date();
+      await invitation.update({
+        student_user_id: user.id,
+        student_accepted_at: now.toISOString(),
+        updated_at: now
+      }, { transaction });
+
+      let hasConsent = false;
+      if (invitation.parent_consent_given_at) {
+        await this.recordParentConsent(invitation, transaction);
+        hasConsent = true;
+      } else {
+        hasConsent = !(await this.isParentConsentRequired()) || !!(await models.ParentConsent.findOne({
+          where: { student_user_id: user.id, revoked_at: null },
+          transaction
+        }));
+      }
+
+      let membership = null;
+      if (hasConsent) {
+        membership = await this.convertToMembership(invitation, transaction);
+      } else {
+        await invitation.update({
+          status: STUDENT_INVITATION_STATUS.AWAITING_PARENT_CONSENT,
+          updated_at: now
+        }, { transaction });
+      }
+
+      await transaction.commit();
+      outcome = { invitation, membership };
+    } catch (error) {
+      await transaction.rollback();
+      luderror.api('❌ Failed to accept student invitation:', error);
+      throw error;
+    }
+
+    ludlog.api('Student invitation accepted', {
+      invitationId: outcome.invitation.id,
+      studentId: user.id,
+      membershipId: outcome.membership?.id || null
+    });
+
+    return {
+      invitation: this.toInvitationView(outcome.invitation),
+      membership: outcome.membership,
+      needs_parent_consent: !outcome.membership
+    };
+  }
+
+  /**
+   * Give parent consent through the consent link
+   * @param {string} token - Parent consent token
+   * @param {Object} data - { parent_name, parent_phone }
+   * @param {Object} auditData - { ip, userAgent } of the consent request
+   * @returns {Promise<Object>} { status, student_accepted, membership_created } - the membership is created once the student has accepted
+   */
+  static async giveParentConsent(token, data, auditData = {}) {
+    const transaction = await models.sequelize.transaction();
+    let outcome;
+    try {
+      const invitation = await this.findOpenInvitation({ parent_consent_token: token }, transaction);
+
+      if (invitation.parent_consent_given_at) {
+        throw new ConflictError('Parent consent was already given');
+      }
+
+      const now = new Date();
+      await invitation.update({
+        parent_name: data.parent_name,
+        parent_phone: data.parent_phone || null,
+        parent_consent_given_at: now.toISOString(),
+        parent_consent_ip: auditData.ip || null,
+        parent_consent_user_agent: auditData.userAgent || null,
+        updated_at: now
+      }, { transaction });
+
+      let membership = null;
+      if (invitation.student_user_id) {
+        await this.recordParentConsent(invitation, transaction);
+
+        if (invitation.status === STUDENT_INVITATION_STATUS.AWAITING_PARENT_CONSENT) {
+          membership = await this.convertToMembership(invitation, transaction);
+        }
+      }
+
+      await transaction.commit();
+      outcome = { invitation, membership };
+    } catch (error) {
+      await transaction.rollback();
+      luderror.api('❌ Failed to record parent consent:', error);
+      throw error;
+    }
+
+    ludlog.auth('Parent consent given for student invitation', {
+      invitationId: outcome.invitation.id,
+      studentId: outcome.invitation.student_user_id,
+      parentEmail: outcome.invitation.parent_email,
+      membershipId: outcome.membership?.id || null,
+      ip: auditData.ip
+    });
+
+    return {
+      status: this.getEffectiveStatus(outcome.invitation),
+      student_accepted: !!outcome.invitation.student_accepted_at,
+      membership_created: !!outcome.membership
+    };
+  }
+
+  /**
+   * Record the invitation's parent consent as the student's ParentConsent
+   * An active consent is kept; a revoked one is renewed with the new audit trail.
+   */
+  static async recordParentConsent(invitation, transaction) {
+    const now = new Date();
+    const consent = {
+      parent_name: invitation.parent_name,
+      parent_email: invitation.parent_email,
+      parent_phone: invitation.parent_phone || null,
+      consent_method: 'email',
+      ip_address: invitation.parent_consent_ip,
+      user_agent: invitation.parent_consent_user_agent,
+      updated_at: now
+    };
+
+    const existing = await models.ParentConsent.findOne({
+      where: { student_user_id: invitation.student_user_id },
+      transaction
+    });
+
+    if (existing) {
+      if (existing.isActive()) {
+        return existing;
+      }
+
+      return existing.update({
+        ...consent,
+        revoked_at: null,
+        revoked_by: null,
+        revocation_reason: null,
+        revocation_ip: null,
+        revocation_user_agent: null
+      }, { transaction });
+    }
+
+    return models.ParentConsent.create({
+      id: generateId(),
+      student_user_id: invitation.student_user_id,
+      ...consent,
+      created_at: now
+    }, { transaction });
+  }
+
+  /**
+   * Turn an accepted (and consented) invitation into an active classroom membership
+   * Students not linked to a teacher yet are linked to the inviting teacher.
+   */
+  static async convertToMembership(invitation, transaction) {
+    const now = new Date();
+    const existing = await models.ClassroomMembership.findOne({
+      where: { classroom_id: invitation.classroom_id, student_user_id: invitation.student_user_id },
+      transaction
+    });
+
+    const membershipData = {
+      status: 'active',
+      approved_at: now,
+      student_display_name: existing?.student_display_name || invitation.student_name || null,
+      updated_at: now
+    };
+
+    const membership = existing
+      ? await existing.update(membershipData, { transaction })
+      : await models.ClassroomMembership.create({
+        id: generateId(),
+        classroom_id: invitation.classroom_id,
+        student_user_id: invitation.student_user_id,
+        teacher_id: invitation.teacher_id,
+        requested_at: invitation.created_at,
+        notes: `Joined by invitation ${invitation.id}`,
+        ...membershipData,
+        created_at: now
+      }, { transaction });
+
+    await models.User.update(
+      { linked_teacher_id: invitation.teacher_id, updated_at: now },
+      { where: { id: invitation.student_user_id, linked_teacher_id: null }, transaction }
+    );
+
+    await invitation.update({
+      status: STUDENT_INVITATION_STATUS.ACCEPTED,
+      converted_to_membership_at: now.toISOString(),
+      updated_at: now
+    }, { transaction });
+
+    return membership;
+  }
+
+  /**
+   * Remind open invitations that expire soon, once (STUDENT_INVITATION_REMINDERS job)
+   * Students who did not accept get their invitation again, parents who did not consent their consent link.
+   * @param {Object} options
+   * @param {number} options.hoursBeforeExpiry - Remind invitations expiring within this many hours
+   * @param {number} options.batchSize - Invitations per run
+   * @returns {Promise<Object>} { reminded, failed }
+   */
+  static async sendReminders({ hoursBeforeExpiry = STUDENT_INVITATION_REMINDER_HOURS, batchSize = 200 } = {}) {
+    const now = new Date();
+    const invitations = await models.StudentInvitation.findAll({
+      where: {
+        status: { [Op.in]: OPEN_STUDENT_INVITATION_STATUSES },
+        reminder_sent_at: null,
+        expires_at: {
+          [Op.gt]: now.toISOString(),
+          [Op.lte]: new Date(now.getTime() + hoursBeforeExpiry * 60 * 60 * 1000).toISOString()
+        }
+      },
+      include: [
+        { model: models.Classroom, attributes: ['id', 'name'] },
+        { model: models.User, as: 'Teacher', attributes: ['id', 'full_name', 'email'] }
+      ],
+      order: [['expires_at', 'ASC']],
+      limit: batchSize
+    });
+
+    let reminded = 0;
+    let failed = 0;
+
+    for (const invitation of invitations) {
+      const failures = await this.deliverInvitation(invitation, invitation.Classroom, invitation.Teacher, { reminder: true });
+
+      if (failures.length > 0) {
+        failed += 1;
+        continue;
+      }
+
+      await invitation.update({ reminder_sent_at: new Date(), updated_at: new Date() });
+      reminded += 1;
+    }
+
+    ludlog.generic('Student invitation reminders sent', { candidates: invitations.length, reminded, failed });
+
+    return { reminded, failed };
+  }
+
+  /**
+   * Mark open invitations past their expiry as expired (STUDENT_INVITATION_EXPIRY job)
+   * @returns {Promise<Object>} { expired }
+   */
+  static async expireInvitations() {
+    const now = new Date();
+    const [expired] = await models.StudentInvitation.update(
+      { status: STUDENT_INVITATION_STATUS.EXPIRED, updated_at: now },
+      {
+        where: {
+          status: { [Op.in]: OPEN_STUDENT_INVITATION_STATUSES },
+          expires_at: { [Op.lte]: now.toISOString() }
+        }
+      }
+    );
+
+    ludlog.generic('Student invitations expired', { expired });
+
+    return { expired };
+  }
+
+  /**
+   * Email the student's invitation and the parent's consent link (whichever are still needed)
+   * @returns {Promise<Array>} [{ invitation_id, recipient }] of emails that failed
+   */
+  static async deliverInvitation(invitation, classroom, teacher, { reminder = false } = {}) {
+    const failures = [];
+    const send = async (recipient, sendEmail) => {
+      try {
+        await sendEmail();
+      } catch (error) {
+        luderror.api('Failed to email student invitation:', {
+          invitationId: invitation.id,
+          recipient,
+          error: error.message
+        });
+        failures.push({ invitation_id: invitation.id, recipient });
+      }
+    };
+
+    if (!invitation.student_accepted_at) {
+      await send('student', () => this.sendStudentInvitationEmail(invitation, classroom, teacher, reminder));
+    }
+
+    if (invitation.parent_consent_token && !invitation.parent_consent_given_at) {
+      await send('parent', () => this.sendParentConsentEmail(invitation, classroom, teacher, reminder));
+    }
+
+    return failures;
+  }
+
+  /**
+   * Email the invitation link to the student
+   * Uses the active 'student_invitation' email template when there is one.
+   */
+  static async sendStudentInvitationEmail(invitation, classroom, teacher, reminder = false) {
+    const values = {
+      student_name: invitation.student_name || '',
+      teacher_name: teacher?.full_name || 'המורה',
+      classroom_name: classroom?.name || '',
+      invitation_url: `${process.env.FRONTEND_URL}/classroom-invitation?token=${encodeURIComponent(invitation.invitation_token)}`,
+      expiry_date: this.formatDate(invitation.expires_at)
+    };
+    const htmlValues = Object.fromEntries(Object.entries(values).map(([key, value]) => [key, escapeHtml(value)]));
+
+    const template = await models.EmailTemplate.findOne({
+      where: { trigger_type: 'student_invitation', is_active: true }
+    });
+
+    const subject = template
+      ? EmailService.processEmailTemplate(template.subject, values)
+      : `${values.teacher_name} הזמין/ה אותך לכיתה ${values.classroom_name}`;
+
+    const html = template
+      ? EmailService.processEmailTemplate(template.html_content, htmlValues)
+      : `<div dir="rtl">
+          <p>שלום${htmlValues.student_name ? ` ${htmlValues.student_name}` : ''},</p>
+          <p>${htmlValues.teacher_name} הזמין/ה אותך להצטרף לכיתה <strong>${htmlValues.classroom_name}</strong> ב-Ludora.</p>
+          <p><a href="${htmlValues.invitation_url}">להצטרפות לכיתה</a></p>
+          <p>ההזמנה בתוקף עד ${htmlValues.expiry_date}.</p>
+          <p>תודה,<br>צוות Ludora</p>
+        </div>`;
+
+    return EmailService.sendEmail({
+      to: invitation.student_email,
+      subject: reminder ? `תזכורת: ${subject}` : subject,
+      html,
+      templateId: template?.id || null,
+      relatedEntityId: invitation.id
+    });
+  }
+
+  /**
+   * Email the consent link to the parent
+   */
+  static async sendParentConsentEmail(invitation, classroom, teacher, reminder = false) {
+    const studentName = invitation.student_name || invitation.student_email;
+    const teacherName = teacher?.full_name || 'המורה';
+    const classroomName = classroom?.name || '';
+    const consentUrl = `${process.env.FRONTEND_URL}/parent-consent?token=${encodeURIComponent(invitation.parent_consent_token)}`;
+    const subject = `בקשת אישור הורים: ${studentName} הוזמנ/ה לכיתה ${classroomName}`;
+
+    return EmailService.sendEmail({
+      to: invitation.parent_email,
+      subject: reminder ? `תזכורת: ${subject}` : subject,
+      html: `<div dir="rtl">
+          <p>שלום${invitation.parent_name ? ` ${escapeHtml(invitation.parent_name)}` : ''},</p>
+          <p>${escapeHtml(teacherName)} הזמין/ה את ${escapeHtml(studentName)} להצטרף לכיתה <strong>${escapeHtml(classroomName)}</strong> ב-Ludora.</p>
+          <p>כדי ש-${escapeHtml(studentName)} יוכל/תוכל להשתתף בפעילות הכיתה נדרש אישורך.</p>
+          <p><a href="${consentUrl}">לאישור ההורה</a></p>
+          <p>הקישור בתוקף עד ${this.formatDate(invitation.expires_at)}.</p>
+          <p>תודה,<br>צוות Ludora</p>
+        </div>`,
+      relatedEntityId: invitation.id
+    });
+  }
+
+  /**
+   * Status including expiry that was not persisted yet
+   * @param {Object} invitation - Student invitation
+   * @returns {string} Status
+   */
+  static getEffectiveStatus(invitation) {
+    if (OPEN_STUDENT_INVITATION_STATUSES.includes(invitation.status) && new Date(invitation.expires_at) <= new Date()) {
+      return STUDENT_INVITATION_STATUS.EXPIRED;
+    }
+    return invitation.status;
+  }
+
+  static async getExpiryDays() {
+    const days = Number(await SettingsService.get(ACCESS_CONTROL_KEYS.STUDENT_INVITATION_EXPIRY_DAYS));
+    return Number.isInteger(days) && days > 0 ? days : DEFAULT_STUDENT_INVITATION_EXPIRY_DAYS;
+  }
+
+  static async isParentConsentRequired() {
+    return !!(await SettingsService.get(ACCESS_CONTROL_KEYS.PARENT_CONSENT_REQUIRED));
+  }
+
+  static generateToken() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  static formatDate(isoDate) {
+    return new Date(isoDate).toLocaleDateString('he-IL', { timeZone: 'Asia/Jerusalem' });
+  }
+
+  static async findOwnedClassroom(classroomId, teacherId) {
+    const classroom = await models.Classroom.findByPk(classroomId);
+    if (!classroom) {
+      throw new NotFoundError('Classroom');
+    }
+
+    if (classroom.teacher_id !== teacherId) {
+      throw new ForbiddenError('Access denied: You do not own this classroom');
+    }
+
+    return classroom;
+  }
+
+  static async findInvitationByToken(where) {
+    if (!Object.values(where)[0]) {
+      throw new NotFoundError('Invitation');
+    }
+
+    const invitation = await models.StudentInvitation.findOne({
+      where,
+      include: [
+        { model: models.Classroom, attributes: ['id', 'name', 'grade_level'] },
+        { model: models.User, as: 'Teacher', attributes: ['id', 'full_name'] }
+      ]
+    });
+    if (!invitation) {
+      throw new NotFoundError('Invitation');
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Invitation of a token that can still be accepted or consented to, locked for update
+   */
+  static async findOpenInvitation(where, transaction) {
+    if (!Object.values(where)[0]) {
+      throw new NotFoundError('Invitation');
+    }
+
+    const invitation = await models.StudentInvitation.findOne({
+      where,
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (!invitation) {
+      throw new NotFoundError('Invitation');
+    }
+
+    const status = this.getEffectiveStatus(invitation);
+    if (!OPEN_STUDENT_INVITATION_STATUSES.includes(status)) {
+      throw new ConflictError(`Invitation is ${status}`);
+    }
+
+    return invitation;
+  }
+
+  // Teacher's view of an invitation - without its tokens
+  static toInvitationView(invitation) {
+    return {
+      id: invitation.id,
+      classroom_id: invitation.classroom_id,
+      student_email: invitation.student_email,
+      student_name: invitation.student_name,
+      student_user_id: invitation.student_user_id,
+      parent_email: invitation.parent_email,
+      parent_name: invitation.parent_name,
+      status: this.getEffectiveStatus(invitation),
+      expires_at: invitation.expires_at,
+      student_accepted_at: invitation.student_accepted_at,
+      parent_consent_given_at: invitation.parent_consent_given_at,
+      converted_to_membership_at: invitation.converted_to_membership_at,
+      reminder_sent_at: invitation.reminder_sent_at,
+      created_at: invitation.created_at
+    };
+  }
+
+  // What the invitation and consent links show - no emails or tokens
+  static toPublicView(invitation, consentRequired) {
+    return {
+      status: this.getEffectiveStatus(invitation),
+      student_name: invitation.student_name,
+      classroom: invitation.Classroom
+        ? { id: invitation.Classroom.id, name: invitation.Classroom.name, grade_level: invitation.Classroom.grade_level }
+        : null,
+      teacher_name: invitation.Teacher?.full_name || null,
+      expires_at: invitation.expires_at,
+      student_accepted: !!invitation.student_accepted_at,
+      parent_consent_given: !!invitation.parent_consent_given_at,
+      parent_consent_required: consentRequired && !!invitation.parent_consent_token
+    };
+  }
+}
+
+export default StudentInvitationService;
\ No newline at end of file
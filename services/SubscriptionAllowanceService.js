@@ -16,6 +16,8 @@ import { isDev } from '../src/utils/environment.js';
  * - Once claimed, access lasts while subscribed to plan with benefit type
  * - No monthly rollover - fresh allowances each month
  * - Confirmation required only for limited benefits
+ * - Teachers holding a school seat share the school subscription: its limits are
+ *   per seat and pooled across the school (limit x seats)
  */
 class SubscriptionAllowanceService {
 
@@ -53,6 +55,7 @@ class SubscriptionAllowanceService {
 
   /**
    * Get user's active subscription with plan details
+   * A personal subscription wins; otherwise the school subscription of the user's seat is returned.
    * @param {string} userId - User ID
    * @returns {Object|null} Active subscription with plan, or null
    */
@@ -72,7 +75,7 @@ class SubscriptionAllowanceService {
       const rawQuery = `
         SELECT id, user_id, status, end_date, subscription_plan_id, created_at
         FROM subscription
-        WHERE user_id = $1 AND status = 'active'
+        WHERE user_id = $1 AND status = 'active' AND school_id IS NULL
         ORDER BY created_at DESC
         LIMIT 1;
       `;
@@ -92,10 +95,11 @@ class SubscriptionAllowanceService {
         } : null
       });
 
-      const activeSubscription = await models.Subscription.findOne({
+      let activeSubscription = await models.Subscription.findOne({
         where: {
           user_id: userId,
           status: 'active',
+          school_id: null, // School subscriptions belong to their seat holders, not the billing contact
           [Op.or]: [
             { end_date: null },                              // Ongoing subscription
             models.sequelize.where(
@@ -107,10 +111,15 @@ class SubscriptionAllowanceService {
         }
       });
 
+      if (!activeSubscription) {
+        activeSubscription = await this.getSeatSubscription(userId);
+      }
+
       ludlog.auth('🔍 getActiveSubscription - Query result:', {
         userId,
         foundSubscription: !!activeSubscription,
         subscriptionId: activeSubscription?.id,
+        schoolSeatId: activeSubscription?.schoolSeat?.id,
         subscriptionStatus: activeSubscription?.status,
         subscriptionEndDate: activeSubscription?.end_date,
         hasPlan: !!activeSubscription?.subscription_plan_id,
@@ -152,6 +161,47 @@ class SubscriptionAllowanceService {
     }
   }
 
+  /**
+   * Get the school subscription of the user's active seat
+   * @param {string} userId - User ID
+   * @returns {Object|null} Active school subscription (with schoolSeat attached), or null
+   */
+  static async getSeatSubscription(userId) {
+    const seat = await models.SchoolSeat.findOne({
+      where: {
+        user_id: userId,
+        status: 'active'
+      },
+      include: [{
+        model: models.Subscription,
+        as: 'subscription',
+        required: true,
+        where: {
+          status: 'active',
+          [Op.or]: [
+            { end_date: null },
+            models.sequelize.where(
+              models.sequelize.literal('"subscription"."end_date" + INTERVAL \'1 day\''),
+              Op.gt,
+              new Date()
+            )  // Same end_date rule as personal subscriptions
+          ]
+        }
+      }]
+    });
+
+    if (!seat) {
+      return null;
+    }
+
+    const schoolSubscription = seat.subscription;
+
+    // Manually attach the seat, like the plan below
+    schoolSubscription.schoolSeat = seat;
+
+    return schoolSubscription;
+  }
+
   /**
    * Transform database benefits format to service-expected format
    * @param {Object} rawBenefits - Raw benefits from database
@@ -215,103 +265,123 @@ class SubscriptionAllowanceService {
         return null;
       }
 
-      // Use plan snapshot to preserve benefits user signed up for (critical fix for plan changes)
-      const rawBenefits = activeSubscription.metadata?.planSnapshot?.benefits ||
-                          activeSubscription.subscriptionPlan.benefits; // Fallback for old subscriptions
+      return await this.calculateSubscriptionAllowances(activeSubscription, targetMonth);
 
+    } catch (error) {
+      luderror.generic('ERROR: calculateMonthlyAllowances failed:', {
+        userId,
+        error: error.message
+      });
+      return null;
+    }
+  }
 
-      const planBenefits = this.transformBenefits(rawBenefits);
+  /**
+   * Calculate monthly allowances of a subscription
+   * School subscriptions pool their per-seat limits: usage is counted across all seat holders.
+   * @param {Object} activeSubscription - Subscription with subscriptionPlan attached
+   * @param {string} targetMonth - Month in YYYY-MM format
+   * @returns {Object} Allowances object with usage details
+   */
+  static async calculateSubscriptionAllowances(activeSubscription, targetMonth) {
+    // Use plan snapshot to preserve benefits user signed up for (critical fix for plan changes)
+    const rawBenefits = activeSubscription.metadata?.planSnapshot?.benefits ||
+                        activeSubscription.subscriptionPlan.benefits; // Fallback for old subscriptions
 
 
-      // 2. Count current month usage by product type
-      let usageByType;
+    const planBenefits = this.transformBenefits(rawBenefits);
 
-      // Query the SubscriptionPurchase table for monthly usage with fallback
-      try {
-        // Query using date range filtering instead of month_year field
+    // School subscriptions: monthly limits are per seat
+    if (activeSubscription.school_id && activeSubscription.seats > 0) {
+      for (const [productType, allowedAmount] of Object.entries(planBenefits)) {
+        if (typeof allowedAmount === 'number') {
+          planBenefits[productType] = allowedAmount * activeSubscription.seats;
+        }
+      }
+    }
 
-        // Parse target month to get date range
-        const [year, month] = targetMonth.split('-').map(Number);
-        const startOfMonth = new Date(year, month - 1, 1); // Month is 0-indexed
-        const endOfMonth = new Date(year, month, 0, 23, 59, 59); // Last day of month
+    // 2. Count current month usage by product type
+    let usageByType;
 
-        const monthlyUsage = await models.SubscriptionPurchase.findAll({
-          attributes: [
-            'product_type',
-            [models.sequelize.fn('COUNT', models.sequelize.col('id')), 'count']
-          ],
-          where: {
-            subscription_id: activeSubscription.id,
-            created_at: {
-              [Op.between]: [startOfMonth, endOfMonth]
-            }
-          },
-          group: ['product_type'],
-          raw: true
-        });
+    // Query the SubscriptionPurchase table for monthly usage with fallback
+    try {
+      // Query using date range filtering instead of month_year field
+
+      // Parse target month to get date range
+      const [year, month] = targetMonth.split('-').map(Number);
+      const startOfMonth = new Date(year, month - 1, 1); // Month is 0-indexed
+      const endOfMonth = new Date(year, month, 0, 23, 59, 59); // Last day of month
+
+      const monthlyUsage = await models.SubscriptionPurchase.findAll({
+        attributes: [
+          'product_type',
+          [models.sequelize.fn('COUNT', models.sequelize.col('id')), 'count']
+        ],
+        where: {
+          subscription_id: activeSubscription.id,
+          status: { [Op.ne]: 'cancelled' }, // Released claims (e.g. refunds) give the allowance back
+          created_at: {
+            [Op.between]: [startOfMonth, endOfMonth]
+          }
+        },
+        group: ['product_type'],
+        raw: true
+      });
 
-        // Convert to lookup object: { file: 3, game: 15, ... }
-        usageByType = Object.fromEntries(
-          monthlyUsage.map(row => [row.product_type, parseInt(row.count)])
-        );
+      // Convert to lookup object: { file: 3, game: 15, ... }
+      usageByType = Object.fromEntries(
+        monthlyUsage.map(row => [row.product_type, parseInt(row.count)])
+      );
 
-      } catch (tableError) {
-        // Fallback: Use zero usage for all product types
-        usageByType = {};
-      }
+    } catch (tableError) {
+      // Fallback: Use zero usage for all product types
+      usageByType = {};
+    }
 
-      // 3. Calculate allowances for each benefit type
-      const allowances = {};
+    // 3. Calculate allowances for each benefit type
+    const allowances = {};
 
-      for (const [productType, allowedAmount] of Object.entries(planBenefits)) {
-        const used = usageByType[productType] || 0;
-
-        if (allowedAmount === true) {
-          // Unlimited benefit
-          allowances[productType] = {
-            allowed: 'unlimited',
-            used: used,
-            remaining: 'unlimited',
-            isLimited: false,
-            hasReachedLimit: false
-          };
-        } else if (typeof allowedAmount === 'number' && allowedAmount > 0) {
-          // Limited benefit
-          const remaining = Math.max(0, allowedAmount - used);
-          allowances[productType] = {
-            allowed: allowedAmount,
-            used: used,
-            remaining: remaining,
-            isLimited: true,
-            hasReachedLimit: used >= allowedAmount
-          };
-        } else {
-          // Benefit not included (false, 0, or invalid)
-          allowances[productType] = {
-            allowed: 0,
-            used: 0,
-            remaining: 0,
-            isLimited: true,
-            hasReachedLimit: true,
-            notIncluded: true
-          };
-        }
-      }
+    for (const [productType, allowedAmount] of Object.entries(planBenefits)) {
+      const used = usageByType[productType] || 0;
 
+      if (allowedAmount === true) {
+        // Unlimited benefit
+        allowances[productType] = {
+          allowed: 'unlimited',
+          used: used,
+          remaining: 'unlimited',
+          isLimited: false,
+          hasReachedLimit: false
+        };
+      } else if (typeof allowedAmount === 'number' && allowedAmount > 0) {
+        // Limited benefit
+        const remaining = Math.max(0, allowedAmount - used);
+        allowances[productType] = {
+          allowed: allowedAmount,
+          used: used,
+          remaining: remaining,
+          isLimited: true,
+          hasReachedLimit: used >= allowedAmount
+        };
+      } else {
+        // Benefit not included (false, 0, or invalid)
+        allowances[productType] = {
+          allowed: 0,
+          used: 0,
+          remaining: 0,
+          isLimited: true,
+          hasReachedLimit: true,
+          notIncluded: true
+        };
+      }
+    }
 
-      return {
-        subscription: activeSubscription,
-        monthYear: targetMonth,
-        allowances
-      };
 
-    } catch (error) {
-      luderror.generic('ERROR: calculateMonthlyAllowances failed:', {
-        userId,
-        error: error.message
-      });
-      return null;
-    }
+    return {
+      subscription: activeSubscription,
+      monthYear: targetMonth,
+      allowances
+    };
   }
 
   /**
@@ -782,6 +852,58 @@ class SubscriptionAllowanceService {
     }
   }
 
+  /**
+   * Release subscription claims that were consumed on behalf of a refunded purchase
+   * Claims do not reference purchases, so they are matched by user, product and the billing
+   * month the purchase was made in - the month whose allowance they count towards. Released
+   * claims are cancelled, so they stop counting towards the monthly allowance.
+   * @param {Object} purchase - Refunded Purchase
+   * @param {Object} options - { transaction, reason }
+   * @returns {Object} { releasedCount, claimIds }
+   */
+  static async releaseClaimsForPurchase(purchase, options = {}) {
+    const { transaction = null, reason = 'purchase_refunded' } = options;
+
+    const purchasedAt = new Date(purchase.created_at || Date.now());
+    const startOfMonth = new Date(purchasedAt.getFullYear(), purchasedAt.getMonth(), 1);
+    const endOfMonth = new Date(purchasedAt.getFullYear(), purchasedAt.getMonth() + 1, 0, 23, 59, 59);
+
+    const claims = await models.SubscriptionPurchase.findAll({
+      where: {
+        user_id: purchase.buyer_user_id,
+        product_type: purchase.purchasable_type,
+        product_id: purchase.purchasable_id,
+        status: { [Op.ne]: 'cancelled' },
+        created_at: {
+          [Op.between]: [startOfMonth, endOfMonth]
+        }
+      },
+      transaction
+    });
+
+    for (const claim of claims) {
+      await claim.update({
+        status: 'cancelled',
+        usage_tracking: {
+          ...claim.usage_tracking,
+          released_at: new Date().toISOString(),
+          released_reason: reason
+        },
+        updated_at: new Date()
+      }, { transaction });
+    }
+
+    if (claims.length > 0) {
+      ludlog.generic('Released subscription claims for refunded purchase:', {
+        purchaseId: purchase.id,
+        userId: purchase.buyer_user_id,
+        releasedCount: claims.length
+      });
+    }
+
+    return { releasedCount: claims.length, claimIds: claims.map(claim => claim.id) };
+  }
+
   /**
    * Check if user has subscription-based access to a product
    * @param {string} userId - User ID
@@ -815,30 +937,11 @@ class SubscriptionAllowanceService {
       }
 
       // Verify subscription still has this benefit
-      // Get the current subscription and its plan
-      // Note: We need to get user_id through the subscription relationship
-      const claimWithSubscription = await models.SubscriptionPurchase.findOne({
-        where: { id: claim.id },
-        include: [{
-          model: models.Subscription,
-          as: 'subscription',
-          attributes: ['user_id']
-        }]
-      });
-
-      const userId = claimWithSubscription?.subscription?.user_id;
-      if (!userId) {
-        ludlog.generic('Could not find user for subscription claim:', {
-          claimId: claim.id,
-          productType,
-          productId
-        });
-        return false;
-      }
-
-      const currentSubscription = await this.getActiveSubscription(userId);
-      if (!currentSubscription || !currentSubscription.subscriptionPlan) {
-        ludlog.generic('No active subscription or plan found for benefit verification:', {
+      // School subscriptions belong to a billing contact, so check the subscription itself
+      // instead of re-resolving it through the claim's owner
+      const currentSubscription = activeSubscription;
+      if (!currentSubscription.subscriptionPlan) {
+        ludlog.generic('No subscription plan found for benefit verification:', {
           userId,
           productType,
           productId
@@ -919,6 +1022,18 @@ class SubscriptionAllowanceService {
         total_usage_minutes: (currentUsage.total_usage_minutes || 0) + (usageData.duration_minutes || 0)
       };
 
+      // Per-month usage - basis for the creators' share of subscription revenue (CreatorEarningsService)
+      const usageMonth = this.getCurrentMonthYear();
+      const monthlyUsage = currentUsage.monthly_usage || {};
+      const monthUsage = monthlyUsage[usageMonth] || { sessions: 0, minutes: 0 };
+      updatedUsage.monthly_usage = {
+        ...monthlyUsage,
+        [usageMonth]: {
+          sessions: monthUsage.sessions + 1,
+          minutes: monthUsage.minutes + (usageData.duration_minutes || 0)
+        }
+      };
+
       // Add session record
       const sessions = currentUsage.sessions || [];
       const newSession = {
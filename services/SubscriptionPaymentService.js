@@ -6,14 +6,16 @@ import { getEnv, isProd, isStaging } from '../src/utils/environment.js';
 /**
  * SubscriptionPaymentService - Dedicated service for subscription payments
  * Handles PayPlus integration for subscriptions without using the Purchase system
+ * (other providers are opened through CheckoutProviderRouter)
  */
 class SubscriptionPaymentService {
 
   /**
-   * Create a PayPlus payment for a subscription
+   * Create a payment for a subscription through the selected checkout provider
    * @param {Object} options - Payment creation options
    * @param {string} options.userId - User ID
    * @param {string} options.subscriptionPlanId - Subscription plan ID
+   * @param {string} options.provider - Checkout provider ('payplus', 'paypal', 'invoice')
    * @param {Object} options.metadata - Additional metadata
    * @returns {Promise<Object>} Payment creation result
    */
@@ -21,6 +23,7 @@ class SubscriptionPaymentService {
     const {
       userId,
       subscriptionPlanId,
+      provider = 'payplus',
       metadata = {}
     } = options;
 
@@ -31,7 +34,7 @@ class SubscriptionPaymentService {
 
       // Import services to avoid circular dependencies
       const SubscriptionService = (await import('./SubscriptionService.js')).default;
-      const PaymentService = (await import('./PaymentService.js')).default;
+      const CheckoutProviderRouter = (await import('./CheckoutProviderRouter.js')).default;
 
       // Validate subscription creation first
       const validation = await SubscriptionService.validateSubscriptionCreation(userId, subscriptionPlanId);
@@ -42,6 +45,7 @@ class SubscriptionPaymentService {
       // Get subscription plan details (already validated)
       const { subscriptionPlan } = validation;
 
+
       // Calculate pricing with discounts
       const pricingInfo = calcSubscriptionPlanPrice(subscriptionPlan);
       const { finalPrice } = pricingInfo;
@@ -71,6 +75,15 @@ class SubscriptionPaymentService {
         };
       }
 
+      // Get user information for customer data
+      const user = await models.User.findByPk(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      // Fail before creating a pending subscription the provider cannot charge
+      CheckoutProviderRouter.assertSubscriptionCheckoutSupported(provider, subscriptionPlan, user);
+
       // Paid subscription - create subscription record first (with pending status)
       const subscription = await SubscriptionService.createSubscription({
         userId,
@@ -83,88 +96,35 @@ class SubscriptionPaymentService {
         }
       });
 
-      // Get user information for customer data
-      const user = await models.User.findByPk(userId);
-      if (!user) {
-        throw new Error('User not found');
-      }
-
-      // Create PayPlus payment directly for subscription
-      const paymentResult = await this.createPayPlusSubscriptionPayment({
+      // Open the provider checkout and create the pending transaction linked to the subscription
+      const checkout = await CheckoutProviderRouter.createSubscriptionCheckout(provider, {
         subscription,
         subscriptionPlan,
         user,
         pricingInfo
       });
 
-      // Create transaction with PayPlus data and link directly to subscription
-      const transaction = await PaymentService.createPayPlusTransaction({
-        userId,
-        amount: paymentResult.totalAmount,
-        pageRequestUid: paymentResult.pageRequestUid,
-        paymentPageLink: paymentResult.paymentPageLink,
-        purchaseItems: [], // No purchase items for subscriptions
-        metadata: {
-          subscription_id: subscription.id,
-          subscription_plan_id: subscriptionPlanId,
-          transaction_type: 'subscription_payment',
-          frontendOrigin: 'subscription',
-          customerInfo: {
-            name: user.displayName || user.email,
-            email: user.email
-          },
-          pricingInfo,
-          payplusResponse: paymentResult.data
-        }
-      });
-
       // Update subscription with transaction ID
       await subscription.update({
-        transaction_id: transaction.id,
+        transaction_id: checkout.transactionId,
         updated_at: new Date()
       });
 
-      // CRITICAL: Start automatic polling for subscription payment status using persistent jobs
-      // This replaces setTimeout-based polling with Redis-backed job scheduling
-      // Jobs survive server restarts and provide better monitoring
-      try {
-        const jobScheduler = (await import('./JobScheduler.js')).default;
-
-        if (jobScheduler.isInitialized) {
-          await jobScheduler.scheduleJob('SUBSCRIPTION_PAYMENT_CHECK', {
-            subscriptionId: subscription.id,
-            attemptNumber: 1,
-            maxAttempts: 6,
-            isRetryPayment: false
-          }, {
-            delay: 5000, // Start first poll after 5 seconds
-            priority: 100 // Highest priority for payment checking
-          });
-
-          ludlog.payment('✅ Scheduled persistent subscription payment polling:', {
-            subscriptionId: subscription.id.substring(0, 20) + '...',
-            startDelay: '5s',
-            maxAttempts: 6,
-            source: 'job_scheduler'
-          });
-        } else {
-          luderror.payment('❌ JobScheduler not initialized, falling back to manual status checking');
-          // Could implement manual fallback here if needed
-        }
-      } catch (jobSchedulerError) {
-        luderror.payment('❌ Failed to schedule subscription payment polling job:', jobSchedulerError);
-        // Job scheduling failed - subscription will need manual verification
+      // Providers without status polling (PayPal) are resolved by their webhooks only
+      if (CheckoutProviderRouter.getProvider(provider).supportsStatusPolling()) {
+        await this.schedulePaymentStatusCheck(subscription.id);
       }
 
       return {
         success: true,
         message: 'Subscription payment page created',
-        data: paymentResult.data,
-        paymentUrl: paymentResult.paymentPageLink,
+        provider,
+        data: checkout.data,
+        paymentUrl: checkout.paymentUrl,
         subscriptionId: subscription.id,
-        transactionId: transaction.id,
-        pageRequestUid: paymentResult.pageRequestUid,
-        environment: paymentResult.environment
+        transactionId: checkout.transactionId,
+        pageRequestUid: checkout.pageRequestUid || null,
+        environment: checkout.environment
       };
 
     } catch (error) {
@@ -173,6 +133,46 @@ class SubscriptionPaymentService {
     }
   }
 
+  /**
+   * Schedule persistent polling of a new subscription's PayPlus payment status
+   * @param {string} subscriptionId - Pending subscription ID
+   * @returns {Promise<void>}
+   */
+  static async schedulePaymentStatusCheck(subscriptionId) {
+    // CRITICAL: Start automatic polling for subscription payment status using persistent jobs
+    // This replaces setTimeout-based polling with Redis-backed job scheduling
+    // Jobs survive server restarts and provide better monitoring
+    try {
+      const jobScheduler = (await import('./JobScheduler.js')).default;
+      const { ludlog } = await import('../lib/ludlog.js');
+
+      if (jobScheduler.isInitialized) {
+        await jobScheduler.scheduleJob('SUBSCRIPTION_PAYMENT_CHECK', {
+          subscriptionId,
+          attemptNumber: 1,
+          maxAttempts: 6,
+          isRetryPayment: false
+        }, {
+          delay: 5000, // Start first poll after 5 seconds
+          priority: 100 // Highest priority for payment checking
+        });
+
+        ludlog.payment('✅ Scheduled persistent subscription payment polling:', {
+          subscriptionId: subscriptionId.substring(0, 20) + '...',
+          startDelay: '5s',
+          maxAttempts: 6,
+          source: 'job_scheduler'
+        });
+      } else {
+        luderror.payment('❌ JobScheduler not initialized, falling back to manual status checking');
+        // Could implement manual fallback here if needed
+      }
+    } catch (jobSchedulerError) {
+      luderror.payment('❌ Failed to schedule subscription payment polling job:', jobSchedulerError);
+      // Job scheduling failed - subscription will need manual verification
+    }
+  }
+
   /**
    * Create PayPlus payment page specifically for subscriptions
    * @param {Object} options - PayPlus payment options
@@ -578,6 +578,7 @@ class SubscriptionPaymentService {
         if (transaction) {
           await transaction.update({
             payment_status: 'completed',
+            resolution_method: resolvedBy,
             metadata: {
               ...transaction.metadata,
               payplus_transaction_uuid: webhookData.transaction_uid,
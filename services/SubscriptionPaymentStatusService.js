@@ -1,7 +1,9 @@
 import models from '../models/index.js';
 import PaymentService from './PaymentService.js';
 import SubscriptionService from './SubscriptionService.js';
+import InvoiceService from './InvoiceService.js';
 import { luderror, ludlog } from '../lib/ludlog.js';
+import { INVOICE_PAYMENT_METHOD, INVOICE_PAYMENT_SKIP_MESSAGE } from '../constants/invoicePayments.js';
 
 /**
  * SubscriptionPaymentStatusService - Handles subscription payment page status checking
@@ -636,6 +638,10 @@ class SubscriptionPaymentStatusService {
         chargeStatus: chargeData.status
       });
 
+      if (newTransaction.payment_status === 'completed') {
+        await InvoiceService.requestInvoice(newTransaction.id);
+      }
+
       return newTransaction;
 
     } catch (error) {
@@ -760,6 +766,18 @@ class SubscriptionPaymentStatusService {
       }
 
       const { transaction } = subscription;
+
+      // Pay-by-invoice subscriptions wait for an admin - never cancelled as abandoned
+      if (transaction?.payment_method === INVOICE_PAYMENT_METHOD) {
+        return {
+          success: true,
+          pageStatus: 'awaiting_invoice_payment',
+          action_taken: 'none',
+          message: INVOICE_PAYMENT_SKIP_MESSAGE,
+          subscriptionId
+        };
+      }
+
       if (!transaction || !transaction.payment_page_request_uid) {
         throw new Error(`No PayPlus page request UID found for subscription ${subscriptionId}`);
       }
@@ -2,6 +2,7 @@ import models from '../models/index.js';
 import { Op } from 'sequelize';
 import { luderror } from '../lib/ludlog.js';
 import { calcSubscriptionPlanPrice } from '../utils/purchasePricing.js';
+import { INSTITUTION_PLAN_TYPE } from '../constants/schoolLicenses.js';
 
 /**
  * SubscriptionService - Handles subscription lifecycle management
@@ -21,7 +22,8 @@ class SubscriptionService {
         models.Subscription.findOne({
           where: {
             user_id: userId,
-            status: ['active', 'pending']
+            status: ['active', 'pending'],
+            school_id: null // School subscriptions are not the billing contact's own
           },
           include: [{
             model: models.SubscriptionPlan,
@@ -51,6 +53,14 @@ class SubscriptionService {
         };
       }
 
+      // Institution plans are sold per school (SchoolLicenseService)
+      if (subscriptionPlan.plan_type === INSTITUTION_PLAN_TYPE) {
+        return {
+          valid: false,
+          error: 'Institution plans are available for schools only'
+        };
+      }
+
       if (activeSubscription) {
         // Check if trying to create same subscription plan
         if (activeSubscription.subscription_plan_id === subscriptionPlanId) {
@@ -138,6 +148,7 @@ class SubscriptionService {
    * @param {Date|string|null} options.start_date - Admin override for start date (optional)
    * @param {Date|string|null} options.end_date - Admin override for end date (optional)
    * @param {boolean} options.enableAutoRenewal - Whether to enable auto-renewal (uses next_billing_date) (optional)
+   * @param {Object} options.transaction - Sequelize transaction to create the subscription in (optional)
    * @returns {Promise<Object>} Created subscription object
    */
   static async createSubscription(options = {}) {
@@ -151,7 +162,8 @@ class SubscriptionService {
       billing_price = null,  // Admin can override the billing price
       start_date = null,     // Admin can override start date
       end_date = null,       // Admin can override end date
-      enableAutoRenewal = null  // Whether to enable auto-renewal (null = auto-decide based on price)
+      enableAutoRenewal = null,  // Whether to enable auto-renewal (null = auto-decide based on price)
+      transaction = null
     } = options;
 
     try {
@@ -256,7 +268,7 @@ class SubscriptionService {
         updated_at: new Date()
       };
 
-      const subscription = await models.Subscription.create(subscriptionData);
+      const subscription = await models.Subscription.create(subscriptionData, { transaction });
 
       return subscription;
 
@@ -276,7 +288,8 @@ class SubscriptionService {
       const subscription = await models.Subscription.findOne({
         where: {
           user_id: userId,
-          status: ['active', 'pending']
+          status: ['active', 'pending'],
+          school_id: null // School subscriptions are not the billing contact's own
         },
         include: [
           {
@@ -338,7 +351,7 @@ class SubscriptionService {
    */
   static async activateSubscription(subscriptionId, options = {}) {
     try {
-      const subscription = await models.Subscription.findByPk(subscriptionId);
+      const subscription = await models.Subscription.findByPk(subscriptionId, { transaction: options.transaction });
       if (!subscription) {
         throw new Error(`Subscription ${subscriptionId} not found`);
       }
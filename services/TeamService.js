@@ -0,0 +1,321 @@
+import { Op } from 'sequelize';
+import models from '../models/index.js';
+import {
+  TEAM_ID_PREFIX,
+  MIN_TEAM_COUNT,
+  MAX_TEAM_COUNT,
+  DEFAULT_TEAM_COUNT,
+  DEFAULT_TEAM_NAME,
+  TEAM_BALANCE_MODES,
+  PERFORMANCE_HISTORY_LIMIT,
+  DEFAULT_PERFORMANCE_RATING
+} from '../constants/teams.js';
+
+const toNumberOrNull = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const getRating = (participant) => participant.performance_rating ?? DEFAULT_PERFORMANCE_RATING;
+
+/**
+ * TeamService - Team mode of game lobbies
+ *
+ * Lobbies with settings.team_mode split the participants of every session into settings.team_count
+ * teams (participants[].team_assignment = 'team_1'...). Participants join the team with the fewest
+ * members; with settings.team_balance 'performance' ties go to the team with the lowest total
+ * performance rating (average accuracy of the participant's recent results, stored on the
+ * participant as performance_rating when they join). A team holds at most its share of the
+ * session's players. Teacher overrides (team_locked) stay in place when the teams are rebalanced.
+ *
+ * Session results get team aggregates (results.teams) ranked by the members' total score.
+ */
+class TeamService {
+  /**
+   * Team configuration of a lobby
+   * @param {Object} settings - Lobby settings
+   * @returns {Object|null} { team_count, balance, teams: [{ id, name }] }, null when team mode is off
+   */
+  static getTeamSettings(settings) {
+    if (!settings?.team_mode) {
+      return null;
+    }
+
+    const teamCount = Math.min(
+      Math.max(parseInt(settings.team_count, 10) || DEFAULT_TEAM_COUNT, MIN_TEAM_COUNT),
+      MAX_TEAM_COUNT
+    );
+    const teamNames = Array.isArray(settings.team_names) ? settings.team_names : [];
+
+    return {
+      team_count: teamCount,
+      balance: settings.team_balance === TEAM_BALANCE_MODES.PERFORMANCE
+        ? TEAM_BALANCE_MODES.PERFORMANCE
+        : TEAM_BALANCE_MODES.COUNT,
+      teams: Array.from({ length: teamCount }, (_, index) => ({
+        id: `${TEAM_ID_PREFIX}${index + 1}`,
+        name: teamNames[index] || `${DEFAULT_TEAM_NAME} ${index + 1}`
+      }))
+    };
+  }
+
+  /**
+   * Most members a team may have
+   * @param {number} teamCount - Number of teams
+   * @param {number} maxPlayers - Players of the session
+   * @returns {number} Team capacity
+   */
+  static getTeamCapacity(teamCount, maxPlayers) {
+    return Math.max(Math.ceil(maxPlayers / teamCount), 1);
+  }
+
+  /**
+   * Team capacity of a session - set by createInitialSessions, otherwise derived from its players
+   * @param {Object} teamSettings - getTeamSettings result
+   * @param {Object} sessionData - GameSession.data
+   * @param {Object} lobbySettings - Lobby settings
+   * @returns {number} Team capacity
+   */
+  static getSessionTeamCapacity(teamSettings, sessionData, lobbySettings) {
+    if (sessionData?.team_capacity) {
+      return sessionData.team_capacity;
+    }
+    return this.getTeamCapacity(teamSettings.team_count, sessionData?.max_players || lobbySettings.max_players);
+  }
+
+  /**
+   * Players per session rounded up to split evenly into teams
+   * @param {number} playersPerSession - Players per session of the game type
+   * @param {number} teamCount - Number of teams
+   * @returns {number} Players per session
+   */
+  static fitSessionSize(playersPerSession, teamCount) {
+    return this.getTeamCapacity(teamCount, playersPerSession) * teamCount;
+  }
+
+  /**
+   * Performance rating of a participant: average accuracy of their recent results
+   * @param {Object} participant - Participant ({ player_id, user_id })
+   * @param {Object|null} transaction - Optional database transaction
+   * @returns {Promise<number>} Rating (0-100), DEFAULT_PERFORMANCE_RATING without history
+   */
+  static async getPerformanceRating(participant, transaction = null) {
+    let where = null;
+    if (participant.player_id) {
+      where = { player_id: participant.player_id };
+    } else if (participant.user_id) {
+      where = { user_id: participant.user_id };
+    }
+
+    if (!where) {
+      return DEFAULT_PERFORMANCE_RATING;
+    }
+
+    const results = await models.GameSessionResult.findAll({
+      where: { ...where, accuracy: { [Op.ne]: null } },
+      attributes: ['accuracy'],
+      order: [['finished_at', 'DESC']],
+      limit: PERFORMANCE_HISTORY_LIMIT,
+      transaction
+    });
+
+    const accuracies = results.map(result => toNumberOrNull(result.accuracy)).filter(value => value !== null);
+    if (accuracies.length === 0) {
+      return DEFAULT_PERFORMANCE_RATING;
+    }
+
+    return Math.round((accuracies.reduce((sum, value) => sum + value, 0) / accuracies.length) * 100) / 100;
+  }
+
+  /**
+   * Fill in missing performance ratings (performance balancing only)
+   * @param {Array} participants - Session participants
+   * @param {Object} teamSettings - getTeamSettings result
+   * @param {Object|null} transaction - Optional database transaction
+   * @returns {Promise<Array>} Participants with performance_rating
+   */
+  static async withPerformanceRatings(participants, teamSettings, transaction = null) {
+    if (teamSettings.balance !== TEAM_BALANCE_MODES.PERFORMANCE) {
+      return participants;
+    }
+
+    return Promise.all(participants.map(async participant => (
+      participant.performance_rating === undefined
+        ? { ...participant, performance_rating: await this.getPerformanceRating(participant, transaction) }
+        : participant
+    )));
+  }
+
+  /**
+   * Team for a participant joining: fewest members first, then (performance balancing) the weakest team
+   * @param {Object} teamSettings - getTeamSettings result
+   * @param {Array} members - Participants already in the session
+   * @param {number} capacity - Team capacity
+   * @returns {string|null} Team id, null when every team is full
+   */
+  static pickTeam(teamSettings, members, capacity) {
+    const byPerformance = teamSettings.balance === TEAM_BALANCE_MODES.PERFORMANCE;
+
+    const standings = teamSettings.teams
+      .map(team => {
+        const teamMembers = members.filter(member => member.team_assignment === team.id);
+        return {
+          id: team.id,
+          count: teamMembers.length,
+          strength: teamMembers.reduce((sum, member) => sum + getRating(member), 0)
+        };
+      })
+      .filter(standing => standing.count < capacity)
+      .sort((a, b) => a.count - b.count || (byPerformance ? a.strength - b.strength : 0));
+
+    return standings[0]?.id || null;
+  }
+
+  /**
+   * Team of a participant joining a session - the requested team or the one balancing picks
+   * @param {Object} teamSettings - getTeamSettings result
+   * @param {Array} members - Participants already in the session
+   * @param {number} capacity - Team capacity
+   * @param {string|null} requestedTeam - Team the participant asked for
+   * @returns {string} Team id
+   */
+  static assignTeam(teamSettings, members, capacity, requestedTeam = null) {
+    if (!requestedTeam) {
+      const teamId = this.pickTeam(teamSettings, members, capacity);
+      if (!teamId) {
+        throw new Error('Session is full');
+      }
+      return teamId;
+    }
+
+    if (!teamSettings.teams.some(team => team.id === requestedTeam)) {
+      throw new Error(`Unknown team: ${requestedTeam}`);
+    }
+
+    if (members.filter(member => member.team_assignment === requestedTeam).length >= capacity) {
+      throw new Error('Team is full');
+    }
+
+    return requestedTeam;
+  }
+
+  /**
+   * Team fields of a participant joining a session
+   * @param {Object} session - Session ({ participants, data })
+   * @param {Object} lobbySettings - Lobby settings
+   * @param {Object} participantData - Joining participant ({ player_id, user_id, team_assignment })
+   * @param {Object|null} transaction - Optional database transaction
+   * @returns {Promise<Object>} { team_assignment, performance_rating? }
+   */
+  static async assignJoiningParticipant(session, lobbySettings, participantData, transaction = null) {
+    const teamSettings = this.getTeamSettings(lobbySettings);
+    if (!teamSettings) {
+      return { team_assignment: participantData.team_assignment || null };
+    }
+
+    const teamAssignment = this.assignTeam(
+      teamSettings,
+      session.participants || [],
+      this.getSessionTeamCapacity(teamSettings, session.data, lobbySettings),
+      participantData.team_assignment
+    );
+
+    if (teamSettings.balance !== TEAM_BALANCE_MODES.PERFORMANCE) {
+      return { team_assignment: teamAssignment };
+    }
+
+    return {
+      team_assignment: teamAssignment,
+      performance_rating: await this.getPerformanceRating(participantData, transaction)
+    };
+  }
+
+  /**
+   * Assign every participant to a team, keeping teacher overrides (team_locked) in place
+   * Performance balancing places the strongest participants first, so the ratings spread over the teams.
+   * @param {Array} participants - Session participants (with performance_rating for performance balancing)
+   * @param {Object} teamSettings - getTeamSettings result
+   * @param {number} capacity - Team capacity
+   * @returns {Array} Participants with team_assignment
+   */
+  static balanceTeams(participants, teamSettings, capacity) {
+    const teamIds = new Set(teamSettings.teams.map(team => team.id));
+    const isKept = participant => participant.team_locked && teamIds.has(participant.team_assignment);
+
+    const assigned = participants.filter(isKept);
+    const pending = participants.filter(participant => !isKept(participant));
+
+    if (teamSettings.balance === TEAM_BALANCE_MODES.PERFORMANCE) {
+      pending.sort((a, b) => getRating(b) - getRating(a));
+    }
+
+    const teamById = {};
+    for (const participant of pending) {
+      // Teams are only all full when overrides went over capacity - then fewest members wins
+      const teamId = this.pickTeam(teamSettings, assigned, capacity) || this.pickTeam(teamSettings, assigned, Infinity);
+      teamById[participant.id] = teamId;
+      assigned.push({ ...participant, team_assignment: teamId });
+    }
+
+    return participants.map(participant => (
+      participant.id in teamById ? { ...participant, team_assignment: teamById[participant.id] } : participant
+    ));
+  }
+
+  /**
+   * Live team standings from the per-participant scores of the game state
+   * @param {Array} participants - Session participants
+   * @param {Object} teamSettings - getTeamSettings result
+   * @param {Object} scores - Score by participant id (current_state.scores)
+   * @returns {Array} [{ team_id, name, member_ids, score }]
+   */
+  static summarizeTeams(participants, teamSettings, scores = {}) {
+    return teamSettings.teams.map(team => {
+      const members = participants.filter(participant => participant.team_assignment === team.id);
+      return {
+        team_id: team.id,
+        name: team.name,
+        member_ids: members.map(member => member.id),
+        score: members.reduce((sum, member) => sum + (toNumberOrNull(scores?.[member.id]) ?? 0), 0)
+      };
+    });
+  }
+
+  /**
+   * Team aggregates of a finished session, ranked by total score (equal scores share a rank)
+   * @param {Array} participants - Session participants
+   * @param {Array} results - Per-participant results ({ participant_id, score, accuracy })
+   * @param {Object} teamSettings - getTeamSettings result
+   * @returns {Array} [{ team_id, name, member_ids, score, average_accuracy, rank }]
+   */
+  static aggregateTeamResults(participants, results, teamSettings) {
+    const resultById = Object.fromEntries(results
+      .filter(entry => entry?.participant_id)
+      .map(entry => [entry.participant_id, entry]));
+
+    const teams = teamSettings.teams.map(team => {
+      const members = participants.filter(participant => participant.team_assignment === team.id);
+      const memberResults = members.map(member => resultById[member.id]).filter(Boolean);
+      const accuracies = memberResults.map(entry => toNumberOrNull(entry.accuracy)).filter(value => value !== null);
+
+      return {
+        team_id: team.id,
+        name: team.name,
+        member_ids: members.map(member => member.id),
+        score: memberResults.reduce((sum, entry) => sum + (toNumberOrNull(entry.score) ?? 0), 0),
+        average_accuracy: accuracies.length > 0
+          ? Math.round((accuracies.reduce((sum, value) => sum + value, 0) / accuracies.length) * 100) / 100
+          : null
+      };
+    });
+
+    const ranked = teams.sort((a, b) => b.score - a.score);
+    ranked.forEach((team, index) => {
+      team.rank = index > 0 && team.score === ranked[index - 1].score ? ranked[index - 1].rank : index + 1;
+    });
+
+    return ranked;
+  }
+}
+
+export default TeamService;
\ No newline at end of file
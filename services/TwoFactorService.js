@@ -0,0 +1,376 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { Op } from 'sequelize';
+import models from '../models/index.js';
+import { generateId } from '../models/baseModel.js';
+import { ludlog } from '../lib/ludlog.js';
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  UnauthorizedError
+} from '../middleware/errorHandler.js';
+import {
+  TWO_FACTOR_ISSUER,
+  TWO_FACTOR_STATUS,
+  BACKUP_CODE_COUNT,
+  STEP_UP_VALIDITY_MINUTES,
+  TWO_FACTOR_REQUIRED_ROLES
+} from '../constants/twoFactor.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpAuthUri,
+  encryptTotpSecret,
+  decryptTotpSecret
+} from '../utils/totp.js';
+import UserSessionService from './UserSessionService.js';
+
+/**
+ * TwoFactorService - TOTP second factor for admins and content creators
+ *
+ * Enrolment issues a secret (QR code for authenticator apps) that becomes active once the
+ * first code is confirmed, together with single-use backup codes shown only at that point.
+ * Admins must enrol; content creators may opt in.
+ *
+ * Sensitive actions use step-up verification: a code verified on the current UserSession
+ * (the session the request's refresh token was issued with) is recorded in the session
+ * metadata as twoFactorVerifiedAt and covers only that session for STEP_UP_VALIDITY_MINUTES.
+ * Requests whose session cannot be identified are never verified.
+ */
+class TwoFactorService {
+  /**
+   * Whether the user may enrol (admins and content creators)
+   * @param {Object} user - User record
+   * @returns {boolean}
+   */
+  static isEligible(user) {
+    return this.isRequired(user) || Boolean(user?.content_creator_agreement_sign_date);
+  }
+
+  /**
+   * Whether the user's role requires a second factor
+   * @param {Object} user - User record
+   * @returns {boolean}
+   */
+  static isRequired(user) {
+    return TWO_FACTOR_REQUIRED_ROLES.includes(user?.role);
+  }
+
+  /**
+   * Enrolment and step-up state of a user
+   * @param {Object} user - User record
+   * @param {string|null} refreshTokenId - tokenId of the request's refresh token
+   * @returns {Promise<Object>} { eligible, required, enabled, backup_codes_remaining, enabled_at, verified_until }
+   */
+  static async getStatus(user, refreshTokenId) {
+    const record = await models.UserTwoFactor.findOne({ where: { user_id: user.id } });
+    const enabled = record?.status === TWO_FACTOR_STATUS.ENABLED;
+    const stepUp = enabled ? await this.getStepUp(user.id, refreshTokenId) : null;
+
+    return {
+      eligible: this.isEligible(user),
+      required: this.isRequired(user),
+      enabled,
+      backup_codes_remaining: enabled ? record.backup_code_hashes.length : 0,
+      enabled_at: enabled ? record.enabled_at : null,
+      verified_until: stepUp?.verified ? stepUp.verified_until : null
+    };
+  }
+
+  /**
+   * Start (or restart) enrolment with a new secret
+   * @param {Object} user - User record
+   * @returns {Promise<Object>} { secret, otpauth_url, qr_code } - qr_code is a PNG data URL
+   * @throws {ForbiddenError} When the user is not an admin or content creator
+   * @throws {ConflictError} When two-factor authentication is already enabled
+   */
+  static async startEnrolment(user) {
+    if (!this.isEligible(user)) {
+      throw new ForbiddenError('Two-factor authentication is available to admins and content creators');
+    }
+
+    const existing = await models.UserTwoFactor.findOne({ where: { user_id: user.id } });
+    if (existing?.status === TWO_FACTOR_STATUS.ENABLED) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    const secret = generateTotpSecret();
+    const now = new Date();
+
+    if (existing) {
+      await existing.update({
+        secret_encrypted: encryptTotpSecret(secret),
+        last_used_step: null,
+        updated_at: now
+      });
+    } else {
+      await models.UserTwoFactor.create({
+        id: generateId(),
+        user_id: user.id,
+        secret_encrypted: encryptTotpSecret(secret),
+        status: TWO_FACTOR_STATUS.PENDING,
+        backup_code_hashes: [],
+        created_at: now,
+        updated_at: now
+      });
+    }
+
+    const otpauthUrl = buildOtpAuthUri({ secret, accountName: user.email, issuer: TWO_FACTOR_ISSUER });
+
+    return {
+      secret,
+      otpauth_url: otpauthUrl,
+      qr_code: await QRCode.toDataURL(otpauthUrl)
+    };
+  }
+
+  /**
+   * Confirm enrolment with the first code from the authenticator app
+   * @param {Object} user - User record
+   * @param {string} code - TOTP code
+   * @param {string|null} refreshTokenId - tokenId of the request's refresh token
+   * @returns {Promise<Object>} { backup_codes, verified_until } - backup codes are never shown again
+   */
+  static async confirmEnrolment(user, code, refreshTokenId) {
+    const record = await models.UserTwoFactor.findOne({ where: { user_id: user.id } });
+    if (!record || record.status !== TWO_FACTOR_STATUS.PENDING) {
+      throw new BadRequestError('No two-factor enrolment in progress');
+    }
+
+    const step = verifyTotp(decryptTotpSecret(record.secret_encrypted), code);
+    if (step === null) {
+      throw new BadRequestError('Invalid two-factor code');
+    }
+
+    const backupCodes = this.generateBackupCodes();
+    const now = new Date();
+
+    await record.update({
+      status: TWO_FACTOR_STATUS.ENABLED,
+      backup_code_hashes: backupCodes.map(backupCode => this.hashBackupCode(backupCode)),
+      last_used_step: step,
+      enabled_at: now,
+      last_verified_at: now,
+      updated_at: now
+    });
+
+    ludlog.auth('Two-factor authentication enabled', { userId: user.id });
+
+    const session = await this.getCurrentSession(user.id, refreshTokenId);
+    const verifiedUntil = await this.markSessionVerified(session, now);
+
+    return { backup_codes: backupCodes, verified_until: verifiedUntil };
+  }
+
+  /**
+   * Step-up challenge: verify a code and mark the current session as verified
+   * @param {Object} user - User record
+   * @param {string} code - TOTP code or backup code
+   * @param {string|null} refreshTokenId - tokenId of the request's refresh token
+   * @returns {Promise<Object>} { method, verified_until, session_id, backup_codes_remaining }
+   */
+  static async verifyChallenge(user, code, refreshTokenId) {
+    const record = await this.getEnabledRecord(user.id);
+
+    // Checked before the code is spent - a verification must belong to a session
+    const session = await this.getCurrentSession(user.id, refreshTokenId);
+    if (!session) {
+      throw new UnauthorizedError('Session expired, please login again');
+    }
+
+    const method = await this.consumeCode(record, code);
+    const verifiedUntil = await this.markSessionVerified(session, new Date());
+
+    ludlog.auth('Two-factor challenge passed', { userId: user.id, method, sessionId: session.id });
+
+    return {
+      method,
+      verified_until: verifiedUntil,
+      session_id: session.id,
+      backup_codes_remaining: record.backup_code_hashes.length
+    };
+  }
+
+  /**
+   * Replace all backup codes
+   * @param {Object} user - User record
+   * @param {string} code - Current TOTP code or backup code
+   * @returns {Promise<string[]>} New backup codes
+   */
+  static async regenerateBackupCodes(user, code) {
+    const record = await this.getEnabledRecord(user.id);
+    await this.consumeCode(record, code);
+
+    const backupCodes = this.generateBackupCodes();
+    await record.update({
+      backup_code_hashes: backupCodes.map(backupCode => this.hashBackupCode(backupCode)),
+      updated_at: new Date()
+    });
+
+    ludlog.auth('Two-factor backup codes regenerated', { userId: user.id });
+
+    return backupCodes;
+  }
+
+  /**
+   * Turn off two-factor authentication (content creators only - admins must stay enrolled)
+   * @param {Object} user - User record
+   * @param {string} code - Current TOTP code or backup code
+   */
+  static async disable(user, code) {
+    if (this.isRequired(user)) {
+      throw new ForbiddenError('Two-factor authentication is required for admin accounts');
+    }
+
+    const record = await this.getEnabledRecord(user.id);
+    await this.consumeCode(record, code);
+    await record.destroy();
+
+    ludlog.auth('Two-factor authentication disabled', { userId: user.id });
+  }
+
+  /**
+   * Remove a user's second factor (lost device) so they can enrol again
+   * @param {string} targetUserId - User to reset
+   * @param {string} adminId - Admin performing the reset
+   * @returns {Promise<boolean>} Whether a second factor existed
+   */
+  static async adminReset(targetUserId, adminId) {
+    const user = await models.User.findByPk(targetUserId);
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    const deleted = await models.UserTwoFactor.destroy({ where: { user_id: targetUserId } });
+
+    ludlog.auth('Two-factor authentication reset by admin', { userId: targetUserId, adminId, hadSecondFactor: deleted > 0 });
+
+    return deleted > 0;
+  }
+
+  /**
+   * Step-up state of the current session
+   * @param {string} userId - User ID
+   * @param {string|null} refreshTokenId - tokenId of the request's refresh token
+   * @returns {Promise<Object>} { enrolled, verified, verified_until, session_id }
+   */
+  static async getStepUp(userId, refreshTokenId) {
+    const record = await models.UserTwoFactor.findOne({ where: { user_id: userId } });
+    if (record?.status !== TWO_FACTOR_STATUS.ENABLED) {
+      return { enrolled: false, verified: false, verified_until: null, session_id: null };
+    }
+
+    const session = await this.getCurrentSession(userId, refreshTokenId);
+    const verifiedAt = session?.metadata?.twoFactorVerifiedAt;
+    const verifiedUntil = verifiedAt ? this.getVerifiedUntil(new Date(verifiedAt)) : null;
+
+    return {
+      enrolled: true,
+      verified: Boolean(verifiedUntil && verifiedUntil > new Date()),
+      verified_until: verifiedUntil,
+      session_id: session?.id || null
+    };
+  }
+
+  // Session the request's refresh token was issued with - no fallback to other sessions
+  static async getCurrentSession(userId, refreshTokenId) {
+    return UserSessionService.findRefreshTokenSession(userId, refreshTokenId);
+  }
+
+  static async markSessionVerified(session, verifiedAt) {
+    if (!session) {
+      return null;
+    }
+
+    await session.update({
+      metadata: { ...session.metadata, twoFactorVerifiedAt: verifiedAt.toISOString() },
+      updated_at: new Date()
+    });
+
+    return this.getVerifiedUntil(verifiedAt);
+  }
+
+  static getVerifiedUntil(verifiedAt) {
+    return new Date(verifiedAt.getTime() + STEP_UP_VALIDITY_MINUTES * 60 * 1000);
+  }
+
+  static async getEnabledRecord(userId) {
+    const record = await models.UserTwoFactor.findOne({ where: { user_id: userId } });
+    if (record?.status !== TWO_FACTOR_STATUS.ENABLED) {
+      throw new BadRequestError('Two-factor authentication is not enabled');
+    }
+    return record;
+  }
+
+  /**
+   * Accept a TOTP code (each time step once) or a backup code (removed on use)
+   * @param {Object} record - Enabled UserTwoFactor
+   * @param {string} code - Code entered by the user
+   * @returns {Promise<string>} 'totp' or 'backup_code'
+   * @throws {BadRequestError} When the code is invalid or was already used
+   */
+  static async consumeCode(record, code) {
+    const input = String(code || '').trim();
+    const now = new Date();
+
+    // Conditional updates - of two concurrent requests with the same code only one changes the row
+    if (/^\d+$/.test(input)) {
+      const step = verifyTotp(decryptTotpSecret(record.secret_encrypted), input);
+      if (step === null) {
+        throw new BadRequestError('Invalid two-factor code');
+      }
+
+      const [updated] = await models.UserTwoFactor.update(
+        { last_used_step: step, last_verified_at: now, updated_at: now },
+        {
+          where: {
+            id: record.id,
+            [Op.or]: [{ last_used_step: null }, { last_used_step: { [Op.lt]: step } }]
+          }
+        }
+      );
+      if (!updated) {
+        throw new BadRequestError('Invalid two-factor code');
+      }
+
+      await record.reload();
+      return 'totp';
+    }
+
+    const hash = this.hashBackupCode(input);
+    const [updated] = await models.UserTwoFactor.update(
+      {
+        backup_code_hashes: models.sequelize.literal(`backup_code_hashes - ${models.sequelize.escape(hash)}`),
+        last_verified_at: now,
+        updated_at: now
+      },
+      { where: { id: record.id, backup_code_hashes: { [Op.contains]: [hash] } } }
+    );
+    if (!updated) {
+      throw new BadRequestError('Invalid two-factor code');
+    }
+
+    await record.reload();
+
+    ludlog.auth('Two-factor backup code used', { userId: record.user_id, remaining: record.backup_code_hashes.length });
+
+    return 'backup_code';
+  }
+
+  // Backup codes look like "3f9a1-c07be"
+  static generateBackupCodes() {
+    return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  static hashBackupCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+}
+
+export default TwoFactorService;
\ No newline at end of file
@@ -0,0 +1,243 @@
+import { Op } from 'sequelize';
+import moment from 'moment-timezone';
+import models from '../models/index.js';
+import { luderror, ludlog } from '../lib/ludlog.js';
+import { BadRequestError, NotFoundError } from '../middleware/errorHandler.js';
+import { parseUserAgent, getDeviceKey, maskIpAddress } from '../utils/sessionDevice.js';
+import { escapeHtml } from '../utils/emailContent.js';
+import EmailService from './EmailService.js';
+
+const DEVICE_TYPE_LABELS = {
+  desktop: 'מחשב',
+  mobile: 'טלפון נייד',
+  tablet: 'טאבלט',
+  unknown: 'מכשיר לא מזוהה'
+};
+
+/**
+ * UserSessionService - Self-service management of a user's sign-in sessions
+ *
+ * Lists the user's active sessions across portals with the device, approximate location and
+ * last use, and revokes one session or all but the current one. Refresh tokens carry the id
+ * of the session they were issued with (metadata.sessionId), so revoking a session also
+ * revokes its refresh tokens and the device is signed out once its access token expires.
+ *
+ * A sign-in from a device (browser + OS + device type) not seen in the user's earlier
+ * sessions sends a "new sign-in" email.
+ */
+class UserSessionService {
+  /**
+   * Device details stored with a new session
+   * @param {Object} metadata - Session metadata with userAgent
+   * @returns {Object} - { device, deviceKey }
+   */
+  static describeDevice(metadata = {}) {
+    const device = parseUserAgent(metadata.userAgent);
+    return { device, deviceKey: getDeviceKey(device) };
+  }
+
+  /**
+   * Active sessions of a user in all portals, most recently used first
+   * @param {string} userId - User ID
+   * @param {string|null} currentSessionId - Session of the request, flagged as is_current
+   * @returns {Promise<Object[]>} Session views
+   */
+  static async listSessions(userId, currentSessionId = null) {
+    const sessions = await models.UserSession.findUserActiveSessions(userId);
+    return sessions.map(session => this.toSessionView(session, currentSessionId));
+  }
+
+  /**
+   * Sign out one of the user's other sessions
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session to revoke
+   * @param {string|null} currentSessionId - Session of the request
+   * @returns {Promise<number>} Refresh tokens revoked with the session
+   */
+  static async revokeSession(userId, sessionId, currentSessionId = null) {
+    if (sessionId === currentSessionId) {
+      throw new BadRequestError('Use logout to end the current session');
+    }
+
+    const session = await models.UserSession.findOne({ where: { id: sessionId, user_id: userId } });
+    if (!session || !session.isActive()) {
+      throw new NotFoundError('Session');
+    }
+
+    await session.invalidate();
+    const revokedTokens = await this.revokeSessionRefreshTokens(userId, [sessionId]);
+
+    ludlog.auth('User revoked a session', { userId, sessionId, revokedTokens });
+
+    return revokedTokens;
+  }
+
+  /**
+   * Sign out every session but the current one ("log out other devices")
+   * @param {string} userId - User ID
+   * @param {Object} current - { sessionId, refreshTokenId } of the request
+   * @returns {Promise<Object>} { sessions, refreshTokens } revoked counts
+   * @throws {BadRequestError} When the request's session is not known - everything would be revoked
+   */
+  static async revokeOtherSessions(userId, { sessionId = null, refreshTokenId = null } = {}) {
+    if (!sessionId || !refreshTokenId) {
+      throw new BadRequestError('Current session could not be identified - sign in again');
+    }
+
+    const revokedSessions = await models.UserSession.invalidateUserSessions(userId, sessionId);
+
+    // Every refresh token except the current device's - including tokens issued before
+    // refresh tokens were linked to sessions
+    const [revokedTokens] = await models.RefreshToken.update(
+      { revoked_at: new Date(), updated_at: new Date() },
+      { where: { user_id: userId, revoked_at: null, id: { [Op.ne]: refreshTokenId } } }
+    );
+
+    ludlog.auth('User revoked other sessions', { userId, currentSessionId: sessionId, revokedSessions, revokedTokens });
+
+    return { sessions: revokedSessions, refreshTokens: revokedTokens };
+  }
+
+  /**
+   * Session of a request for display - the one its refresh token was issued with, otherwise
+   * the most recently used session on the portal. Revoking uses findRefreshTokenSession, never this guess.
+   * @param {string} userId - User ID
+   * @param {string} portal - Portal of the request
+   * @param {string|null} refreshTokenId - tokenId of the request's refresh token
+   * @returns {Promise<Object|null>} UserSession
+   */
+  static async resolveCurrentSession(userId, portal, refreshTokenId = null) {
+    const session = await this.findRefreshTokenSession(userId, refreshTokenId);
+    if (session) {
+      return session;
+    }
+
+    const sessions = await models.UserSession.findUserActiveSessionsByPortal(userId, portal);
+    return sessions[0] || null;
+  }
+
+  /**
+   * Active session a refresh token was issued with
+   * @param {string} userId - User ID
+   * @param {string|null} refreshTokenId - tokenId of the request's refresh token
+   * @returns {Promise<Object|null>} UserSession (null for unknown tokens and tokens issued
+   *   before refresh tokens were linked to sessions)
+   */
+  static async findRefreshTokenSession(userId, refreshTokenId) {
+    if (!refreshTokenId) {
+      return null;
+    }
+
+    const refreshToken = await models.RefreshToken.findOne({ where: { id: refreshTokenId, user_id: userId } });
+    const linkedSessionId = refreshToken?.metadata?.sessionId;
+    if (!linkedSessionId) {
+      return null;
+    }
+
+    const session = await models.UserSession.findActiveSession(linkedSessionId);
+    return session?.user_id === userId ? session : null;
+  }
+
+  /**
+   * Email the user when a new session comes from a device none of their earlier sessions used.
+   * The first session of an account is not reported.
+   * @param {string} userId - User ID
+   * @param {Object} session - { id, portal, metadata, created_at } of the new session
+   * @returns {Promise<boolean>} Whether an email was sent
+   */
+  static async notifyIfNewDevice(userId, session) {
+    try {
+      const { deviceKey, userAgent } = session.metadata || {};
+
+      const previousSessions = await models.UserSession.count({
+        where: { user_id: userId, id: { [Op.ne]: session.id } }
+      });
+      if (previousSessions === 0) {
+        return false;
+      }
+
+      // Sessions created before device keys were stored are matched by their User-Agent
+      const knownDevice = await models.UserSession.count({
+        where: {
+          user_id: userId,
+          id: { [Op.ne]: session.id },
+          [Op.or]: [
+            { metadata: { deviceKey } },
+            { metadata: { userAgent: userAgent || 'Unknown' } }
+          ]
+        }
+      });
+      if (knownDevice > 0) {
+        return false;
+      }
+
+      const user = await models.User.findByPk(userId, { attributes: ['id', 'email', 'full_name'] });
+      if (!user?.email) {
+        return false;
+      }
+
+      const view = this.toSessionView(session);
+      const deviceLabel = [view.device.browser, view.device.os].filter(Boolean).join(' ב-') ||
+        DEVICE_TYPE_LABELS[view.device.device_type];
+      const locationLabel = [view.location?.city, view.location?.country].filter(Boolean).join(', ') || 'לא ידוע';
+      const signedInAt = moment(view.created_at || new Date()).tz('Asia/Jerusalem').format('DD/MM/YYYY HH:mm');
+
+      await EmailService.sendEmail({
+        to: user.email,
+        subject: 'התחברות חדשה לחשבון - Ludora',
+        html: `<div dir="rtl">
+          <p>שלום${user.full_name ? ` ${escapeHtml(user.full_name)}` : ''},</p>
+          <p>זוהתה התחברות לחשבון שלך ממכשיר חדש:</p>
+          <ul>
+            <li>מכשיר: ${escapeHtml(deviceLabel)} (${escapeHtml(DEVICE_TYPE_LABELS[view.device.device_type])})</li>
+            <li>מיקום משוער: ${escapeHtml(locationLabel)}</li>
+            <li>זמן: ${escapeHtml(signedInAt)}</li>
+          </ul>
+          <p>אם זה היית את/ה, אין צורך לעשות דבר.</p>
+          <p>אם לא, <a href="${escapeHtml(process.env.FRONTEND_URL)}/account/sessions">נתקו את ההתחברות</a> והחליפו סיסמה.</p>
+          <p>תודה,<br>צוות Ludora</p>
+        </div>`,
+        relatedEntityId: session.id
+      });
+
+      return true;
+    } catch (error) {
+      luderror.auth('Failed to send new sign-in notification:', { userId, sessionId: session.id, error: error.message });
+      return false;
+    }
+  }
+
+  static async revokeSessionRefreshTokens(userId, sessionIds) {
+    const [revokedCount] = await models.RefreshToken.update(
+      { revoked_at: new Date(), updated_at: new Date() },
+      {
+        where: {
+          user_id: userId,
+          revoked_at: null,
+          [Op.or]: sessionIds.map(sessionId => ({ metadata: { sessionId } }))
+        }
+      }
+    );
+    return revokedCount;
+  }
+
+  static toSessionView(session, currentSessionId = null) {
+    const metadata = session.metadata || {};
+    const device = metadata.device || parseUserAgent(metadata.userAgent);
+    const ipAddress = maskIpAddress(metadata.ipAddress);
+
+    return {
+      id: session.id,
+      portal: session.portal,
+      device,
+      location: (metadata.location || ipAddress) ? { ...metadata.location, ip_address: ipAddress } : null,
+      login_method: metadata.loginMethod || null,
+      created_at: session.created_at,
+      last_used_at: session.last_accessed_at,
+      expires_at: session.expires_at,
+      is_current: session.id === currentSessionId
+    };
+  }
+}
+
+export default UserSessionService;
\ No newline at end of file
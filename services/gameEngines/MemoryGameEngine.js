@@ -0,0 +1,315 @@
+import { randomInt } from 'crypto';
+import GameContentService from '../GameContentService.js';
+import { getGameTypeConfig } from '../../config/gameTypeDefaults.js';
+import { BadRequestError, ConflictError, ForbiddenError } from '../../middleware/errorHandler.js';
+
+const GAME_TYPE = 'memory_game';
+const MIN_PAIRS = 2;
+
+export const MEMORY_CARD_STATUSES = {
+  HIDDEN: 'hidden',
+  REVEALED: 'revealed',
+  MATCHED: 'matched'
+};
+
+/**
+ * MemoryGameEngine - Server-authoritative rules of memory_game
+ *
+ * The board is dealt from the game's content pairs (EduContentUse use_type 'pair').
+ * current_state only shows the faces of revealed and matched cards; which cards form a pair
+ * lives in the session's engine_state and never reaches the clients.
+ *
+ * Turns: a participant flips two cards. A match scores a point and keeps the turn,
+ * a mismatch passes the turn (the two cards stay face up until the next flip).
+ * The game ends when every pair is matched.
+ *
+ * Per-participant statistics (pair attempts, time on turn, correctness per content pair) are kept
+ * in engine_state too, since they would give the pairs away.
+ */
+class MemoryGameEngine {
+  static getGameType() {
+    return GAME_TYPE;
+  }
+
+  /**
+   * Load the content pairs the board is dealt from
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Array>} Pairs: [{ id, contentItems: [a, b] }]
+   */
+  static async loadContent(gameId) {
+    const pairs = await GameContentService.getGameContents(gameId, { use_type: 'pair' });
+    return pairs.filter(pair => pair.contentItems?.length === 2);
+  }
+
+  /**
+   * Deal a shuffled board
+   * @param {Array} pairs - Content pairs (loadContent)
+   * @param {Array} participants - Session participants, in turn order
+   * @param {Object} settings - Lobby settings (pair_count)
+   * @returns {Object} { state, engineState }
+   */
+  static deal(pairs, participants, settings = {}) {
+    if (participants.length === 0) {
+      throw new BadRequestError('Cannot start a memory game without participants');
+    }
+    if (pairs.length < MIN_PAIRS) {
+      throw new BadRequestError(`Memory game needs at least ${MIN_PAIRS} content pairs`);
+    }
+
+    const { engine } = getGameTypeConfig(GAME_TYPE);
+    const requestedPairs = parseInt(settings.pair_count, 10) || engine.pairs_default;
+    const pairCount = Math.min(Math.max(requestedPairs, MIN_PAIRS), engine.pairs_max, pairs.length);
+
+    const dealtPairs = this.shuffle(pairs).slice(0, pairCount);
+    const deck = this.shuffle(dealtPairs.flatMap(pair =>
+      pair.contentItems.map(contentItem => ({ pair_id: pair.id, face: this.toCardFace(contentItem) }))
+    )).map((card, index) => ({ id: `card_${index + 1}`, ...card }));
+
+    const turnOrder = participants.map(p => p.id);
+
+    const state = {
+      engine: GAME_TYPE,
+      phase: 'playing',
+      pairs_total: pairCount,
+      board: deck.map(card => ({ id: card.id, status: MEMORY_CARD_STATUSES.HIDDEN, face: null, matched_by: null })),
+      turn_order: turnOrder,
+      current_turn: turnOrder[0],
+      flipped: [],
+      mismatched: [],
+      scores: Object.fromEntries(turnOrder.map(id => [id, 0])),
+      move_count: 0,
+      last_move: null,
+      winners: [],
+      dealt_at: new Date().toISOString(),
+      turn_started_at: new Date().toISOString(),
+      finished_at: null
+    };
+
+    const stats = Object.fromEntries(turnOrder.map(id => [id, { attempts: 0, matches: 0, time_ms: 0, items: {} }]));
+
+    return { state, engineState: { engine: GAME_TYPE, deck, stats } };
+  }
+
+  /**
+   * Apply a move of a participant
+   * @param {Object} state - Current public state
+   * @param {Object} engineState - Hidden engine state (deck)
+   * @param {string} participantId - Session participant making the move
+   * @param {Object} move - { type: 'flip', card_id }
+   * @param {Object} options
+   * @param {Array<string>} options.activeParticipantIds - Participants still in the session
+   * @returns {Object} { state, engineState, result }
+   */
+  static applyMove(state, engineState, participantId, move, { activeParticipantIds = state.turn_order } = {}) {
+    if (state.phase !== 'playing') {
+      throw new ConflictError('Game is already finished');
+    }
+    if (move?.type !== 'flip') {
+      throw new BadRequestError(`Unsupported move type: ${move?.type}`);
+    }
+
+    const next = structuredClone(state);
+    const nextEngineState = structuredClone(engineState);
+
+    // Participants who left the session lose their turn
+    if (!activeParticipantIds.includes(next.current_turn)) {
+      next.current_turn = this.getNextTurn(next, activeParticipantIds);
+    }
+
+    if (next.current_turn !== participantId) {
+      throw new ForbiddenError('Not your turn');
+    }
+
+    const cardIndex = next.board.findIndex(card => card.id === move.card_id);
+    if (cardIndex === -1) {
+      throw new BadRequestError('Card not found');
+    }
+
+    // Cards of the previous mismatch are turned back over on the next flip
+    for (const cardId of next.mismatched) {
+      const card = next.board.find(c => c.id === cardId);
+      Object.assign(card, { status: MEMORY_CARD_STATUSES.HIDDEN, face: null });
+    }
+    next.mismatched = [];
+
+    const card = next.board[cardIndex];
+    if (card.status !== MEMORY_CARD_STATUSES.HIDDEN) {
+      throw new BadRequestError('Card is already face up');
+    }
+
+    const dealtCard = engineState.deck.find(c => c.id === card.id);
+    Object.assign(card, { status: MEMORY_CARD_STATUSES.REVEALED, face: dealtCard.face });
+    next.flipped.push(card.id);
+    next.move_count += 1;
+
+    let result = 'flipped';
+
+    if (next.flipped.length === 2) {
+      const [first, second] = next.flipped.map(id => engineState.deck.find(c => c.id === id));
+      const isMatch = first.pair_id === second.pair_id;
+      this.recordAttempt(nextEngineState, participantId, [first.pair_id, second.pair_id], isMatch);
+
+      if (isMatch) {
+        result = 'match';
+        for (const id of next.flipped) {
+          Object.assign(next.board.find(c => c.id === id), { status: MEMORY_CARD_STATUSES.MATCHED, matched_by: participantId });
+        }
+        next.scores[participantId] = (next.scores[participantId] || 0) + 1;
+      } else {
+        result = 'mismatch';
+        next.mismatched = next.flipped;
+        this.recordTurnTime(next, nextEngineState, participantId);
+        next.current_turn = this.getNextTurn(next, activeParticipantIds);
+      }
+
+      next.flipped = [];
+    }
+
+    next.last_move = {
+      participant_id: participantId,
+      card_id: card.id,
+      result,
+      at: new Date().toISOString()
+    };
+
+    if (next.board.every(c => c.status === MEMORY_CARD_STATUSES.MATCHED)) {
+      this.recordTurnTime(next, nextEngineState, participantId);
+      const topScore = Math.max(...Object.values(next.scores));
+      Object.assign(next, {
+        phase: 'finished',
+        current_turn: null,
+        winners: Object.keys(next.scores).filter(id => next.scores[id] === topScore),
+        finished_at: new Date().toISOString()
+      });
+    }
+
+    return { state: next, engineState: nextEngineState, result };
+  }
+
+  // Count a two-card attempt, for the participant and for each content pair involved
+  static recordAttempt(engineState, participantId, pairIds, isMatch) {
+    if (!engineState.stats[participantId]) {
+      engineState.stats[participantId] = { attempts: 0, matches: 0, time_ms: 0, items: {} };
+    }
+
+    const stats = engineState.stats[participantId];
+    stats.attempts += 1;
+    if (isMatch) {
+      stats.matches += 1;
+    }
+
+    for (const pairId of new Set(pairIds)) {
+      const item = stats.items[pairId] || { attempts: 0, correct: false };
+      stats.items[pairId] = { attempts: item.attempts + 1, correct: item.correct || isMatch };
+    }
+  }
+
+  // Add the time of the turn that just ended to its participant
+  static recordTurnTime(state, engineState, participantId) {
+    const now = new Date();
+    const stats = engineState.stats[participantId];
+    if (stats && state.turn_started_at) {
+      stats.time_ms += now - new Date(state.turn_started_at);
+    }
+    state.turn_started_at = now.toISOString();
+  }
+
+  static isFinished(state) {
+    return state?.phase === 'finished';
+  }
+
+  /**
+   * Progress shown on classroom displays
+   * @param {Object} state - Public state
+   * @returns {Object} { completed, total, unit } - matched pairs out of the dealt pairs
+   */
+  static getProgress(state) {
+    return {
+      completed: state.board.filter(c => c.status === MEMORY_CARD_STATUSES.MATCHED).length / 2,
+      total: state.pairs_total,
+      unit: 'pairs'
+    };
+  }
+
+  /**
+   * Authoritative results of a (finished or stopped) game
+   * @param {Object} state - Public state
+   * @param {Object} engineState - Hidden engine state (per-participant statistics)
+   * @returns {Object} Scores, rankings, winners and per-participant results
+   */
+  static getResults(state, engineState = {}) {
+    const rankings = Object.entries(state.scores)
+      .sort(([, a], [, b]) => b - a)
+      .map(([participantId, score]) => ({ participant_id: participantId, score }));
+
+    // Equal scores share a rank
+    rankings.forEach((entry, index) => {
+      entry.rank = index > 0 && entry.score === rankings[index - 1].score ? rankings[index - 1].rank : index + 1;
+    });
+
+    return {
+      game_type: GAME_TYPE,
+      completed: this.isFinished(state),
+      scores: state.scores,
+      rankings,
+      winners: state.winners,
+      pairs_total: state.pairs_total,
+      pairs_matched: state.board.filter(c => c.status === MEMORY_CARD_STATUSES.MATCHED).length / 2,
+      move_count: state.move_count,
+      participants: rankings.map(({ participant_id: participantId, score, rank }) => {
+        const stats = engineState.stats?.[participantId] || { attempts: 0, matches: 0, time_ms: 0, items: {} };
+        return {
+          participant_id: participantId,
+          score,
+          max_score: state.pairs_total,
+          rank,
+          correct_count: stats.matches,
+          attempt_count: stats.attempts,
+          accuracy: stats.attempts > 0 ? Math.round((stats.matches / stats.attempts) * 10000) / 100 : null,
+          time_spent_seconds: Math.round(stats.time_ms / 1000),
+          items: Object.entries(stats.items).map(([contentId, item]) => ({
+            content_id: contentId,
+            is_correct: item.correct,
+            attempts: item.attempts
+          }))
+        };
+      })
+    };
+  }
+
+  static getNextTurn(state, activeParticipantIds) {
+    const { turn_order: turnOrder } = state;
+    const currentIndex = turnOrder.indexOf(state.current_turn);
+
+    for (let offset = 1; offset <= turnOrder.length; offset++) {
+      const candidate = turnOrder[(currentIndex + offset) % turnOrder.length];
+      if (activeParticipantIds.includes(candidate)) {
+        return candidate;
+      }
+    }
+
+    throw new ConflictError('No participants left in the game');
+  }
+
+  // What a face-up card shows
+  static toCardFace(contentItem) {
+    return {
+      content_id: contentItem.id,
+      element_type: contentItem.element_type,
+      content: contentItem.content,
+      file_url: contentItem.fileUrl || null,
+      items: contentItem.contentItems?.map(item => this.toCardFace(item)) || null
+    };
+  }
+
+  static shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = randomInt(i + 1);
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+}
+
+export default MemoryGameEngine;
\ No newline at end of file
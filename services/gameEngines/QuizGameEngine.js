@@ -0,0 +1,411 @@
+import { randomInt } from 'crypto';
+import models from '../../models/index.js';
+import GameContentService from '../GameContentService.js';
+import { resolveGameSettings } from '../../config/gameTypes.js';
+import { BadRequestError, ConflictError } from '../../middleware/errorHandler.js';
+
+const GAME_TYPE = 'quiz_game';
+const MIN_QUESTIONS = 3;
+const MIN_CHOICES = 2;
+
+export const QUIZ_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Relation types of question/answer content pairs (same vocabulary as GameContentRelation)
+const ANSWER_FIRST_RELATION = 'answer_question';
+
+/**
+ * QuizGameEngine - Server-authoritative rules of quiz_game
+ *
+ * The question bank is built from the game's content pairs (EduContentUse use_type 'pair'): the first
+ * item is the question and the second the answer, unless usage_metadata.relation_type is 'answer_question'.
+ * A pair may carry usage_metadata.difficulty (easy, medium, hard), usage_metadata.category and
+ * usage_metadata.distractors (wrong answers written for it).
+ *
+ * Every question is multiple choice: the answer plus distractors - the pair's own first, then answers of
+ * other questions in the bank. Which choice is correct lives in engine_state and is revealed only when
+ * the question closes.
+ *
+ * All participants answer the current question at the same time, one answer each, within
+ * seconds_per_question. The question closes when every active participant answered, or on an
+ * 'advance' move once its time is up (clients send it when their countdown ends). Answers after the
+ * deadline are not counted. A correct answer scores a point.
+ */
+class QuizGameEngine {
+  static getGameType() {
+    return GAME_TYPE;
+  }
+
+  /**
+   * Load the question bank and the game's settings
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object>} { questions, gameSettings }
+   */
+  static async loadContent(gameId) {
+    const game = await models.Game.findByPk(gameId, { attributes: ['id', 'game_settings'] });
+    const pairs = await GameContentService.getGameContents(gameId, { use_type: 'pair' });
+
+    return {
+      questions: this.buildQuestionBank(pairs),
+      gameSettings: game?.game_settings || {}
+    };
+  }
+
+  /**
+   * Questions of the game's content pairs
+   * @param {Array} pairs - Content pairs: [{ id, contentItems: [a, b], usage_metadata }]
+   * @returns {Array} [{ content_id, question, answer, distractors, difficulty, category }]
+   */
+  static buildQuestionBank(pairs) {
+    return pairs
+      .filter(pair => pair.contentItems?.length === 2)
+      .map(pair => {
+        const metadata = pair.usage_metadata || {};
+        const [first, second] = pair.contentItems;
+        const [question, answer] = metadata.relation_type === ANSWER_FIRST_RELATION ? [second, first] : [first, second];
+        const difficulty = metadata.difficulty || question.content_metadata?.difficulty;
+
+        return {
+          content_id: pair.id,
+          question: this.toFace(question),
+          answer: this.toFace(answer),
+          distractors: (Array.isArray(metadata.distractors) ? metadata.distractors : [])
+            .filter(text => typeof text === 'string' && text.trim())
+            .map(text => this.toTextFace(text.trim())),
+          difficulty: QUIZ_DIFFICULTIES.includes(difficulty) ? difficulty : null,
+          category: metadata.category || null
+        };
+      });
+  }
+
+  /**
+   * Deal the quiz: pick the questions and shuffle their choices
+   * @param {Object} content - { questions, gameSettings } (loadContent)
+   * @param {Array} participants - Session participants
+   * @param {Object} settings - Lobby settings (override the game's question_count, choices_per_question,
+   *                            seconds_per_question and difficulty_level)
+   * @returns {Object} { state, engineState }
+   */
+  static deal({ questions: bank, gameSettings = {} }, participants, settings = {}) {
+    if (participants.length === 0) {
+      throw new BadRequestError('Cannot start a quiz without participants');
+    }
+
+    const config = resolveGameSettings(GAME_TYPE, gameSettings, settings);
+
+    const candidates = config.difficulty_level === 'mixed'
+      ? bank
+      : bank.filter(question => question.difficulty === config.difficulty_level);
+
+    if (candidates.length < MIN_QUESTIONS) {
+      throw new BadRequestError(`Quiz needs at least ${MIN_QUESTIONS} questions (${config.difficulty_level} difficulty)`);
+    }
+
+    const questions = this.shuffle(candidates)
+      .slice(0, config.question_count)
+      .map((question, index) => {
+        const choices = this.shuffle([
+          { face: question.answer, correct: true },
+          ...this.pickDistractors(question, bank, config.choices_per_question - 1).map(face => ({ face, correct: false }))
+        ]).map((choice, choiceIndex) => ({ id: `choice_${choiceIndex + 1}`, ...choice }));
+
+        if (choices.length < MIN_CHOICES) {
+          throw new BadRequestError('Quiz questions need at least one distractor - add questions or distractors');
+        }
+
+        return {
+          id: `question_${index + 1}`,
+          content_id: question.content_id,
+          difficulty: question.difficulty,
+          prompt: question.question,
+          choices: choices.map(({ id, face }) => ({ id, face })),
+          correct_choice_id: choices.find(choice => choice.correct).id
+        };
+      });
+
+    const participantIds = participants.map(p => p.id);
+    const now = new Date();
+
+    const state = {
+      engine: GAME_TYPE,
+      phase: 'playing',
+      questions_total: questions.length,
+      question_index: 0,
+      seconds_per_question: config.seconds_per_question,
+      question: this.presentQuestion(questions[0], 0, config.seconds_per_question, now),
+      answered: [],
+      revealed: null,
+      participant_ids: participantIds,
+      scores: Object.fromEntries(participantIds.map(id => [id, 0])),
+      last_move: null,
+      winners: [],
+      dealt_at: now.toISOString(),
+      finished_at: null
+    };
+
+    return {
+      state,
+      engineState: {
+        engine: GAME_TYPE,
+        questions,
+        answers: {},
+        stats: Object.fromEntries(participantIds.map(id => [id, this.emptyStats()]))
+      }
+    };
+  }
+
+  /**
+   * Apply a move of a participant
+   * @param {Object} state - Current public state
+   * @param {Object} engineState - Hidden engine state (questions with their correct choices)
+   * @param {string} participantId - Session participant making the move
+   * @param {Object} move - { type: 'answer', choice_id } or { type: 'advance' }
+   * @param {Object} options
+   * @param {Array<string>} options.activeParticipantIds - Participants still in the session
+   * @returns {Object} { state, engineState, result }
+   */
+  static applyMove(state, engineState, participantId, move, { activeParticipantIds = state.participant_ids } = {}) {
+    if (state.phase !== 'playing') {
+      throw new ConflictError('Game is already finished');
+    }
+    if (!['answer', 'advance'].includes(move?.type)) {
+      throw new BadRequestError(`Unsupported move type: ${move?.type}`);
+    }
+
+    const next = structuredClone(state);
+    const nextEngineState = structuredClone(engineState);
+    const now = new Date();
+
+    // Participants who joined after the deal play from the current question on
+    if (!next.participant_ids.includes(participantId)) {
+      next.participant_ids.push(participantId);
+      next.scores[participantId] = 0;
+    }
+
+    const timeUp = now >= new Date(next.question.deadline_at);
+    const everyoneAnswered = () => activeParticipantIds.every(id => next.answered.includes(id));
+    let result;
+
+    if (move.type === 'advance') {
+      if (!timeUp && !everyoneAnswered()) {
+        throw new ConflictError('Question time is not up yet');
+      }
+      this.closeQuestion(next, nextEngineState, now);
+      result = 'advanced';
+    } else if (timeUp) {
+      // Late answers are not counted - the question closes instead
+      this.closeQuestion(next, nextEngineState, now);
+      result = 'time_up';
+    } else {
+      if (next.answered.includes(participantId)) {
+        throw new ConflictError('Already answered this question');
+      }
+      if (!next.question.choices.some(choice => choice.id === move.choice_id)) {
+        throw new BadRequestError('Choice not found');
+      }
+
+      nextEngineState.answers[participantId] = {
+        choice_id: move.choice_id,
+        time_ms: now - new Date(next.question.started_at)
+      };
+      next.answered.push(participantId);
+      result = 'answered';
+
+      if (everyoneAnswered()) {
+        this.closeQuestion(next, nextEngineState, now);
+      }
+    }
+
+    next.last_move = {
+      participant_id: participantId,
+      type: move.type,
+      result,
+      at: now.toISOString()
+    };
+
+    return { state: next, engineState: nextEngineState, result };
+  }
+
+  /**
+   * Score the current question, reveal its answer and present the next one (or finish the quiz)
+   * Participants who did not answer get it wrong, with the whole question time.
+   */
+  static closeQuestion(state, engineState, now) {
+    const question = engineState.questions[state.question_index];
+    const correctParticipants = [];
+
+    for (const participantId of state.participant_ids) {
+      const answer = engineState.answers[participantId];
+      const isCorrect = answer?.choice_id === question.correct_choice_id;
+
+      const stats = engineState.stats[participantId] || this.emptyStats();
+      stats.presented += 1;
+      stats.answered += answer ? 1 : 0;
+      stats.correct += isCorrect ? 1 : 0;
+      stats.time_ms += answer ? answer.time_ms : state.seconds_per_question * 1000;
+      stats.items[question.content_id] = { attempts: answer ? 1 : 0, correct: isCorrect };
+      engineState.stats[participantId] = stats;
+
+      if (isCorrect) {
+        state.scores[participantId] = (state.scores[participantId] || 0) + 1;
+        correctParticipants.push(participantId);
+      }
+    }
+
+    state.revealed = {
+      question_id: question.id,
+      correct_choice_id: question.correct_choice_id,
+      correct_participants: correctParticipants
+    };
+    state.answered = [];
+    engineState.answers = {};
+    state.question_index += 1;
+
+    if (state.question_index >= state.questions_total) {
+      const topScore = Math.max(...Object.values(state.scores));
+      Object.assign(state, {
+        phase: 'finished',
+        question: null,
+        winners: Object.keys(state.scores).filter(id => state.scores[id] === topScore),
+        finished_at: now.toISOString()
+      });
+      return;
+    }
+
+    state.question = this.presentQuestion(engineState.questions[state.question_index], state.question_index, state.seconds_per_question, now);
+  }
+
+  // The public view of a question - without its correct choice
+  static presentQuestion(question, index, secondsPerQuestion, now) {
+    return {
+      id: question.id,
+      number: index + 1,
+      difficulty: question.difficulty,
+      prompt: question.prompt,
+      choices: question.choices,
+      started_at: now.toISOString(),
+      deadline_at: new Date(now.getTime() + secondsPerQuestion * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Wrong answers for a question: its own distractors first, then other questions' answers
+   * Choices showing the same content as the answer (or as each other) are skipped.
+   */
+  static pickDistractors(question, bank, count) {
+    const faceKey = face => face.content_id || `${face.element_type}:${face.content}`;
+    const seen = new Set([faceKey(question.answer), String(question.answer.content)]);
+
+    const otherAnswers = this.shuffle(bank.filter(other => other.content_id !== question.content_id))
+      .map(other => other.answer);
+
+    const distractors = [];
+    for (const face of [...this.shuffle(question.distractors), ...otherAnswers]) {
+      if (distractors.length >= count) break;
+      if (seen.has(faceKey(face)) || seen.has(String(face.content))) continue;
+      seen.add(faceKey(face));
+      seen.add(String(face.content));
+      distractors.push(face);
+    }
+
+    return distractors;
+  }
+
+  static isFinished(state) {
+    return state?.phase === 'finished';
+  }
+
+  /**
+   * Progress shown on classroom displays
+   * @param {Object} state - Public state
+   * @returns {Object} { completed, total, unit } - closed questions out of the dealt questions
+   */
+  static getProgress(state) {
+    return {
+      completed: state.question_index,
+      total: state.questions_total,
+      unit: 'questions'
+    };
+  }
+
+  /**
+   * Authoritative results of a (finished or stopped) quiz
+   * @param {Object} state - Public state
+   * @param {Object} engineState - Hidden engine state (per-participant statistics)
+   * @returns {Object} Scores, rankings, winners and per-participant results
+   */
+  static getResults(state, engineState = {}) {
+    const rankings = Object.entries(state.scores)
+      .sort(([, a], [, b]) => b - a)
+      .map(([participantId, score]) => ({ participant_id: participantId, score }));
+
+    // Equal scores share a rank
+    rankings.forEach((entry, index) => {
+      entry.rank = index > 0 && entry.score === rankings[index - 1].score ? rankings[index - 1].rank : index + 1;
+    });
+
+    return {
+      game_type: GAME_TYPE,
+      completed: this.isFinished(state),
+      scores: state.scores,
+      rankings,
+      winners: state.winners,
+      questions_total: state.questions_total,
+      questions_played: state.question_index,
+      participants: rankings.map(({ participant_id: participantId, score, rank }) => {
+        const stats = engineState.stats?.[participantId] || this.emptyStats();
+        return {
+          participant_id: participantId,
+          score,
+          max_score: state.questions_total,
+          rank,
+          correct_count: stats.correct,
+          attempt_count: stats.presented,
+          accuracy: stats.presented > 0 ? Math.round((stats.correct / stats.presented) * 10000) / 100 : null,
+          time_spent_seconds: Math.round(stats.time_ms / 1000),
+          items: Object.entries(stats.items).map(([contentId, item]) => ({
+            content_id: contentId,
+            is_correct: item.correct,
+            attempts: item.attempts
+          }))
+        };
+      })
+    };
+  }
+
+  static emptyStats() {
+    return { presented: 0, answered: 0, correct: 0, time_ms: 0, items: {} };
+  }
+
+  // What a question or choice shows
+  static toFace(contentItem) {
+    return {
+      content_id: contentItem.id,
+      element_type: contentItem.element_type,
+      content: contentItem.content,
+      file_url: contentItem.fileUrl || null,
+      items: contentItem.contentItems?.map(item => this.toFace(item)) || null
+    };
+  }
+
+  // A distractor written as plain text on the pair
+  static toTextFace(text) {
+    return {
+      content_id: null,
+      element_type: 'data',
+      content: text,
+      file_url: null,
+      items: null
+    };
+  }
+
+  static shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = randomInt(i + 1);
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+}
+
+export default QuizGameEngine;
\ No newline at end of file
@@ -0,0 +1,37 @@
+import MemoryGameEngine from './MemoryGameEngine.js';
+import QuizGameEngine from './QuizGameEngine.js';
+
+/**
+ * Server-authoritative game engines by game_type
+ *
+ * Each engine declares:
+ * - getGameType()                                   - Game type it runs
+ * - loadContent(gameId)                             - Content the game is dealt from
+ * - deal(content, participants, settings)           - { state, engineState } for a starting session
+ * - applyMove(state, engineState, participantId, move, { activeParticipantIds })
+ *                                                   - { state, engineState, result }, throws on invalid moves
+ * - isFinished(state)                              - Game end detection
+ * - getProgress(state)                             - Optional { completed, total, unit } for classroom displays
+ * - getResults(state, engineState)                 - Authoritative results, incl. per-participant `participants`
+ *                                                     ({ participant_id, score, max_score, rank, correct_count,
+ *                                                     attempt_count, accuracy, time_spent_seconds, items })
+ *
+ * `state` is the session's current_state (sent to participants), `engineState` its hidden engine_state.
+ * Games without an engine keep the client-driven GameSessionService.updateGameState flow.
+ */
+const gameEngines = [
+  MemoryGameEngine,
+  QuizGameEngine
+];
+
+const enginesByType = Object.fromEntries(gameEngines.map(engine => [engine.getGameType(), engine]));
+
+/**
+ * @param {string} gameType - Game type (Game.game_type or current_state.engine)
+ * @returns {Object|null} Engine class or null when the game is client-driven
+ */
+export function getGameEngine(gameType) {
+  return enginesByType[gameType] || null;
+}
+
+export default gameEngines;
\ No newline at end of file
@@ -0,0 +1,21 @@
+import zoom from './zoom.js';
+
+/**
+ * Generic webhook providers served by POST /api/webhooks/generic/:provider
+ *
+ * Each provider module declares:
+ * - name                                  - URL segment (/generic/{name})
+ * - signature                             - { scheme: 'hmac' | 'token' | 'none', secretEnv, header, ... }
+ *                                           (see utils/webhookSignature.js)
+ * - getEventType(payload, headers)        - Event name used to pick a handler
+ * - getIdempotencyKey(payload, headers)   - Stable delivery key for dedupe (defaults to a body hash)
+ * - getChallengeResponse(payload, secret) - Optional endpoint-validation handshake
+ * - handlers                              - { [eventType]: async (payload, context) => result }, '*' as fallback
+ *
+ * Adding an integration only requires a new module here - the router stays untouched.
+ */
+const webhookProviders = [
+  zoom
+];
+
+export default webhookProviders;
\ No newline at end of file
@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import models from '../../models/index.js';
+import { ludlog } from '../../lib/ludlog.js';
+
+/**
+ * Zoom webhook provider - meeting lifecycle events for workshops
+ *
+ * Zoom signs `v0:{x-zm-request-timestamp}:{rawBody}` with the app's secret token
+ * and sends it as `x-zm-signature: v0={hex}`. Workshops are matched by the
+ * meeting id embedded in their Zoom meeting_link (https://zoom.us/j/{id}).
+ */
+
+// Find the workshop whose Zoom meeting link points at this meeting
+async function findWorkshopForMeeting(meeting = {}) {
+  if (!meeting.id) {
+    return null;
+  }
+
+  return models.Workshop.findOne({
+    where: {
+      meeting_platform: 'zoom',
+      meeting_link: { [Op.iLike]: `%/j/${meeting.id}%` }
+    }
+  });
+}
+
+// Shared handler for meeting lifecycle events - records which workshop the event belongs to
+function meetingEventHandler(action) {
+  return async (payload, { webhookLog }) => {
+    const meeting = payload.payload?.object || {};
+    const workshop = await findWorkshopForMeeting(meeting);
+
+    if (!workshop) {
+      webhookLog.addProcessLog(`No workshop found for Zoom meeting ${meeting.id}`);
+      return { action: 'ignored_unknown_meeting', meetingId: meeting.id || null };
+    }
+
+    ludlog.generic(`Zoom ${payload.event} for workshop`, {
+      workshopId: workshop.id,
+      meetingId: meeting.id,
+      meetingUuid: meeting.uuid
+    });
+
+    return {
+      action,
+      workshopId: workshop.id,
+      meetingId: meeting.id,
+      ...(meeting.share_url && { recordingShareUrl: meeting.share_url })
+    };
+  };
+}
+
+export default {
+  name: 'zoom',
+  description: 'Zoom meetings for live workshops',
+
+  signature: {
+    scheme: 'hmac',
+    secretEnv: 'ZOOM_WEBHOOK_SECRET_TOKEN',
+    header: 'x-zm-signature',
+    algorithm: 'sha256',
+    encoding: 'hex',
+    prefix: 'v0=',
+    timestampHeader: 'x-zm-request-timestamp',
+    toleranceSeconds: 300,
+    buildSignedPayload: ({ rawBody, timestamp }) => `v0:${timestamp}:${rawBody}`
+  },
+
+  getEventType(payload) {
+    return payload.event;
+  },
+
+  // Zoom retries with the same event_ts, so event + object + timestamp identifies a delivery
+  getIdempotencyKey(payload) {
+    const object = payload.payload?.object || {};
+    if (!payload.event || !payload.event_ts) {
+      return null;
+    }
+    return `${payload.event}:${object.uuid || object.id || 'none'}:${payload.event_ts}`;
+  },
+
+  // Zoom validates the endpoint URL by asking us to hash a plain token with the secret
+  getChallengeResponse(payload, secret) {
+    if (payload.event !== 'endpoint.url_validation' || !payload.payload?.plainToken) {
+      return null;
+    }
+
+    const { plainToken } = payload.payload;
+    return {
+      plainToken,
+      encryptedToken: crypto.createHmac('sha256', secret).update(plainToken).digest('hex')
+    };
+  },
+
+  handlers: {
+    'meeting.started': meetingEventHandler('workshop_meeting_started'),
+    'meeting.ended': meetingEventHandler('workshop_meeting_ended'),
+    'recording.completed': meetingEventHandler('workshop_recording_completed')
+  }
+};
\ No newline at end of file
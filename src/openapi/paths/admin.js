@@ -369,6 +369,510 @@ export default {
     }
   },
 
+  '/admin/creator-earnings/{creatorId}/statements/{period}': {
+    get: {
+      tags: ['Admin'],
+      summary: 'Monthly earnings statement of a creator',
+      description: `
+        **ADMIN ONLY**: Same statement creators see at /creator-earnings/statements/{period},
+        for any creator.
+      `,
+      security: [{ bearerAuth: [] }],
+      parameters: [
+        { name: 'creatorId', in: 'path', required: true, schema: { type: 'string' } },
+        { name: 'period', in: 'path', required: true, schema: { type: 'string', example: '2026-09' } }
+      ],
+      responses: {
+        200: { description: 'Monthly statement' },
+        400: { description: 'Invalid period format' },
+        401: { $ref: '#/components/responses/UnauthorizedError' },
+        403: { $ref: '#/components/responses/ForbiddenError' },
+        404: { description: 'Creator not found' }
+      }
+    }
+  },
+
+  '/admin/creator-earnings/accrue': {
+    post: {
+      tags: ['Admin'],
+      summary: 'Run creator earnings accrual now',
+      description: `
+        **ADMIN ONLY**: Runs the nightly CREATOR_EARNINGS_ACCRUAL work on demand.
+
+        - Records earnings for completed purchases updated in the last daysBack days
+        - Claws back purchases refunded at the provider (Stripe/PayPal) outside admin refunds
+        - With period: accrues that closed month's subscription usage earnings
+
+        Accrual is idempotent - entries that already exist are skipped.
+      `,
+      security: [{ bearerAuth: [] }],
+      requestBody: {
+        required: false,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                period: { type: 'string', example: '2026-09', description: 'Closed month for subscription earnings' },
+                daysBack: { type: 'integer', default: 7 }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: { description: 'Accrual results' },
+        400: { description: 'Invalid or open period' },
+        401: { $ref: '#/components/responses/UnauthorizedError' },
+        403: { $ref: '#/components/responses/ForbiddenError' }
+      }
+    }
+  },
+
+  '/admin/creator-earnings/payout-batches': {
+    post: {
+      tags: ['Admin'],
+      summary: 'Create a creator payout batch (CSV)',
+      description: `
+        **ADMIN ONLY**: Settles all pending creator entries up to throughPeriod (default: previous month).
+
+        - Each creator is paid their net pending balance (earnings minus clawbacks)
+        - Entries of paid creators are marked paid with the batch ID
+        - Creators with a non-positive balance or no signed creator agreement are skipped;
+          their entries stay pending for the next batch
+
+        Returns the payout CSV, or JSON with ?format=json.
+      `,
+      security: [{ bearerAuth: [] }],
+      parameters: [
+        { name: 'format', in: 'query', required: false, schema: { type: 'string', enum: ['csv', 'json'] } }
+      ],
+      requestBody: {
+        required: false,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                throughPeriod: { type: 'string', example: '2026-09' }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: {
+          description: 'Payout batch created',
+          content: {
+            'text/csv': {
+              schema: { type: 'string' }
+            }
+          }
+        },
+        400: { description: 'Invalid or open period' },
+        401: { $ref: '#/components/responses/UnauthorizedError' },
+        403: { $ref: '#/components/responses/ForbiddenError' }
+      }
+    }
+  },
+
+  '/admin/creator-earnings/payout-batches/{batchId}/csv': {
+    get: {
+      tags: ['Admin'],
+      summary: 'Download a payout batch CSV',
+      security: [{ bearerAuth: [] }],
+      parameters: [
+        { name: 'batchId', in: 'path', required: true, schema: { type: 'string' } }
+      ],
+      responses: {
+        200: {
+          description: 'Payout batch CSV',
+          content: {
+            'text/csv': {
+              schema: { type: 'string' }
+            }
+          }
+        },
+        401: { $ref: '#/components/responses/UnauthorizedError' },
+        403: { $ref: '#/components/responses/ForbiddenError' },
+        404: { description: 'Payout batch not found' }
+      }
+    }
+  },
+
+  '/admin/purchases/{purchaseId}/refund': {
+    post: {
+      tags: ['Admin'],
+      summary: 'Refund a purchase (full or partial)',
+      description: `
+        **ADMIN ONLY**: Refund a single PayPlus purchase through the PayPlus refund API.
+
+        Full refund (amount omitted or equal to the remaining refundable amount):
+        - Purchase marked refunded and access revoked
+        - Bundle purchases also refund and revoke their bundle items
+        - Coupon usage reversed once no other purchase in the order uses it
+        - Subscription claims linked to the purchase released
+
+        Partial refund:
+        - Purchase stays completed
+        - Access shortened only when accessExpiresAt is given
+
+        Every refund is recorded as a refund transaction linked to the original charge.
+        Bundle items cannot be refunded separately.
+        Gift purchases can only be refunded before their gift code is redeemed;
+        a full refund revokes the code.
+
+        Security: Requires admin authentication and authorization.
+      `,
+      security: [{ bearerAuth: [] }],
+      parameters: [
+        {
+          name: 'purchaseId',
+          in: 'path',
+          required: true,
+          schema: { type: 'string' },
+          description: 'Purchase ID to refund'
+        }
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                amount: {
+                  type: 'number',
+                  description: 'Amount to refund - omit for a full refund of the remaining amount',
+                  example: 49.9
+                },
+                reason: {
+                  type: 'string',
+                  description: 'Administrative reason for the refund (sent to PayPlus)',
+                  example: 'Customer purchased the wrong workshop'
+                },
+                accessExpiresAt: {
+                  type: 'string',
+                  format: 'date-time',
+                  description: 'Partial refunds only: shorten access to this date'
+                }
+              },
+              required: ['reason']
+            }
+          }
+        }
+      },
+      responses: {
+        200: {
+          description: 'Refund completed successfully',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean', example: true },
+                  message: { type: 'string', example: 'Purchase fully refunded and access revoked' },
+                  refund: {
+                    type: 'object',
+                    properties: {
+                      purchaseId: { type: 'string' },
+                      refundTransactionId: { type: 'string' },
+                      originalTransactionId: { type: 'string' },
+                      amount: { type: 'number' },
+                      refundType: { type: 'string', enum: ['full', 'partial'] },
+                      refundedAmount: { type: 'number' },
+                      refundableAmount: { type: 'number' },
+                      paymentStatus: { type: 'string' },
+                      access: { type: 'object', nullable: true },
+                      couponReversed: { type: 'boolean' },
+                      bundleItemsRefunded: { type: 'integer' },
+                      releasedClaimIds: { type: 'array', items: { type: 'string' } },
+                      revokedGiftCodeId: { type: 'string', nullable: true },
+                      payplusRefundUid: { type: 'string' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        400: { description: 'Purchase cannot be refunded or invalid amount' },
+        401: { $ref: '#/components/responses/UnauthorizedError' },
+        403: { $ref: '#/components/responses/ForbiddenError' },
+        404: { description: 'Purchase not found' },
+        409: { description: 'Another refund of this purchase is in progress' },
+        500: { description: 'PayPlus refund failed or refund could not be recorded' }
+      }
+    }
+  },
+
+  '/admin/gift-codes': {
+    get: {
+      tags: ['Admin'],
+      summary: 'Look up gift codes',
+      description: `
+        **ADMIN ONLY**: Find gift codes by code, gift purchase or email (matches the buyer's
+        or the recipient's email). Returns up to 100 codes, newest first, with buyer and redeemer.
+
+        Refund a gift through /admin/purchases/{purchaseId}/refund with the gift's purchase_id.
+      `,
+      security: [{ bearerAuth: [] }],
+      parameters: [
+        { name: 'code', in: 'query', schema: { type: 'string' }, description: 'Gift code' },
+        { name: 'purchaseId', in: 'query', schema: { type: 'string' }, description: 'Gift purchase ID' },
+        { name: 'email', in: 'query', schema: { type: 'string' }, description: 'Buyer or recipient email' }
+      ],
+      responses: {
+        200: {
+          description: 'Matching gift codes',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  giftCodes: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        id: { type: 'string' },
+                        code: { type: 'string', example: 'GIFT-7KQ2-M9XD' },
+                        purchase_id: { type: 'string' },
+                        status: { type: 'string', enum: ['active', 'redeemed', 'revoked', 'expired'] },
+                        gift_type: { type: 'string', enum: ['product', 'subscription'] },
+                        product_id: { type: 'string', nullable: true },
+                        subscription_plan_id: { type: 'string', nullable: true },
+                        amount: { type: 'number' },
+                        recipient_email: { type: 'string' },
+                        expires_at: { type: 'string', format: 'date-time' },
+                        emailed_at: { type: 'string', format: 'date-time', nullable: true },
+                        redeemed_at: { type: 'string', format: 'date-time', nullable: true },
+                        buyer: { type: 'object' },
+                        redeemedBy: { type: 'object', nullable: true }
+                      }
+                    }
+                  },
+                  count: { type: 'integer' }
+                }
+              }
+            }
+          }
+        },
+        400: { description: 'No search criteria given' },
+        401: { $ref: '#/components/responses/UnauthorizedError' },
+        403: { $ref: '#/components/responses/ForbiddenError' }
+      }
+    }
+  },
+
+  '/admin/gift-codes/{giftCodeId}/resend': {
+    post: {
+      tags: ['Admin'],
+      summary: 'Resend a gift code email',
+      description: `
+        **ADMIN ONLY**: Email an active gift code to its recipient again.
+        Pass recipientEmail to re-address the gift first (the previous address is kept in metadata).
+      `,
+      security: [{ bearerAuth: [] }],
+      parameters: [
+        { name: 'giftCodeId', in: 'path', required: true, schema: { type: 'string' } }
+      ],
+      requestBody: {
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                recipientEmail: { type: 'string', format: 'email' }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: { description: 'Gift code email sent' },
+        400: { description: 'Gift code is not active' },
+        401: { $ref: '#/components/responses/UnauthorizedError' },
+        403: { $ref: '#/components/responses/ForbiddenError' },
+        404: { description: 'Gift code not found' }
+      }
+    }
+  },
+
+  '/admin/school-licenses': {
+    post: {
+      tags: ['Admin'],
+      summary: 'Record a school license',
+      description: `
+        **ADMIN ONLY**: Record a seat-based school subscription sold offline.
+
+        - The plan must be an institution plan (plan_type institution); its price is per seat
+        - billingPrice defaults to the seat price x seats; endDate to one billing period
+        - The subscription's user_id is the billing contact (default: the school headmaster)
+        - The headmaster assigns teachers to the seats through /school-licenses/{schoolId}/seats
+        - payByInvoice: the billing contact is emailed a proforma and the license ends with the
+          invoice grace period until the transfer is recorded (/admin/invoice-payments)
+      `,
+      security: [{ bearerAuth: [] }],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['schoolId', 'subscriptionPlanId', 'seats'],
+              properties: {
+                schoolId: { type: 'string' },
+                subscriptionPlanId: { type: 'string' },
+                seats: { type: 'integer', minimum: 1 },
+                billingUserId: { type: 'string' },
+                billingPrice: { type: 'number' },
+                startDate: { type: 'string', format: 'date-time' },
+                endDate: { type: 'string', format: 'date-time' },
+                reference: { type: 'string', description: 'Contract or purchase order reference' },
+                payByInvoice: { type: 'boolean', default: false }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        201: { description: 'School subscription created' },
+        400: { description: 'Invalid seats, price or non-institution plan' },
+        401: { $ref: '#/components/responses/UnauthorizedError' },
+        403: { $ref: '#/components/responses/ForbiddenError' },
+        404: { description: 'School or plan not found' },
+        409: { description: 'School already has an active subscription' }
+      }
+    }
+  },
+
+  '/admin/school-licenses/{subscriptionId}': {
+    put: {
+      tags: ['Admin'],
+      summary: 'Update a school license',
+      description: `
+        **ADMIN ONLY**: Change the seat count or end date of a school subscription.
+        The seat count cannot drop below the number of assigned seats.
+      `,
+      security: [{ bearerAuth: [] }],
+      parameters: [
+        { name: 'subscriptionId', in: 'path', required: true, schema: { type: 'string' } }
+      ],
+      requestBody: {
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                seats: { type: 'integer', minimum: 1 },
+                endDate: { type: 'string', format: 'date-time', nullable: true }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: { description: 'School subscription updated' },
+        400: { description: 'Invalid seat count' },
+        401: { $ref: '#/components/responses/UnauthorizedError' },
+        403: { $ref: '#/components/responses/ForbiddenError' },
+        404: { description: 'School subscription not found' },
+        409: { description: 'More seats are assigned than the new count' }
+      }
+    }
+  },
+
+  '/admin/invoice-payments': {
+    get: {
+      tags: ['Admin'],
+      summary: 'List pending invoice payments',
+      description: `
+        **ADMIN ONLY**: Pay-by-invoice orders awaiting a bank transfer, oldest first.
+        overdue is true once the provisional access grace period has ended.
+      `,
+      security: [{ bearerAuth: [] }],
+      responses: {
+        200: {
+          description: 'Pending invoice payments',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean' },
+                  invoicePayments: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        transaction_id: { type: 'string' },
+                        user: { type: 'object' },
+                        amount: { type: 'number' },
+                        currency: { type: 'string' },
+                        subscription_id: { type: 'string', nullable: true },
+                        purchase_ids: { type: 'array', items: { type: 'string' } },
+                        purchase_order_number: { type: 'string', nullable: true },
+                        proforma_id: { type: 'string', nullable: true },
+                        proforma_number: { type: 'string', nullable: true, example: '300-000012' },
+                        provisional_access_until: { type: 'string', format: 'date-time' },
+                        overdue: { type: 'boolean' },
+                        created_at: { type: 'string', format: 'date-time' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        401: { $ref: '#/components/responses/UnauthorizedError' },
+        403: { $ref: '#/components/responses/ForbiddenError' }
+      }
+    }
+  },
+
+  '/admin/invoice-payments/{transactionId}/mark-paid': {
+    post: {
+      tags: ['Admin'],
+      summary: 'Mark an invoice payment as paid',
+      description: `
+        **ADMIN ONLY**: Record the bank transfer of a pay-by-invoice order.
+
+        - Purchases are completed; subscriptions get their full term back
+        - The tax invoice/receipt is issued and emailed like for card payments
+      `,
+      security: [{ bearerAuth: [] }],
+      parameters: [
+        { name: 'transactionId', in: 'path', required: true, schema: { type: 'string' } }
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['bankReference'],
+              properties: {
+                bankReference: { type: 'string', description: 'Bank transfer reference (אסמכתא)' },
+                paidAt: { type: 'string', format: 'date-time', description: 'Transfer date, defaults to now' },
+                notes: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: { description: 'Invoice payment settled - returns the transaction, subscription or completed purchases' },
+        400: { description: 'Missing bank reference or invalid date' },
+        401: { $ref: '#/components/responses/UnauthorizedError' },
+        403: { $ref: '#/components/responses/ForbiddenError' },
+        404: { description: 'Invoice payment not found' },
+        409: { description: 'Invoice payment already settled' }
+      }
+    }
+  },
+
   '/admin/subscriptions/{subscriptionId}/adjust-usage': {
     post: {
       tags: ['Admin'],
@@ -1181,5 +1685,179 @@ export default {
         403: { $ref: '#/components/responses/ForbiddenError' }
       }
     }
+  },
+
+  '/admin/achievements': {
+    get: {
+      tags: ['Admin'],
+      summary: 'List achievements',
+      description: `
+        **ADMIN ONLY**: Badge definitions, including deactivated ones.
+      `,
+      security: [{ bearerAuth: [] }],
+      responses: {
+        200: {
+          description: 'Achievement definitions',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  achievements: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        id: { type: 'string' },
+                        key: { type: 'string', example: 'memory_wins_10' },
+                        name: { type: 'string' },
+                        description: { type: 'string', nullable: true },
+                        icon_url: { type: 'string', nullable: true },
+                        rule: { type: 'object' },
+                        is_active: { type: 'boolean' }
+                      }
+                    }
+                  },
+                  count: { type: 'integer' }
+                }
+              }
+            }
+          }
+        },
+        401: { $ref: '#/components/responses/UnauthorizedError' },
+        403: { $ref: '#/components/responses/ForbiddenError' }
+      }
+    },
+    post: {
+      tags: ['Admin'],
+      summary: 'Create an achievement',
+      description: `
+        **ADMIN ONLY**: Define a badge awarded to players by rule.
+
+        - sessions_played / sessions_won: threshold completed sessions (won = rank 1, ties included)
+        - perfect_round: a completed session with 100% accuracy
+        - daily_streak: threshold consecutive days (Israel time) with a finished session
+        - score_reached: a score of at least threshold in one session, also checked on game state updates
+
+        Rules are evaluated when sessions finish; awards are made once per player and broadcast
+        to the session as achievement:unlocked.
+      `,
+      security: [{ bearerAuth: [] }],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['key', 'name', 'rule'],
+              properties: {
+                key: { type: 'string', pattern: '^[a-z0-9_]{2,100}$', example: 'memory_wins_10' },
+                name: { type: 'string', example: '10 memory games won' },
+                description: { type: 'string' },
+                icon_url: { type: 'string' },
+                rule: {
+                  type: 'object',
+                  required: ['type'],
+                  properties: {
+                    type: { type: 'string', enum: ['sessions_played', 'sessions_won', 'perfect_round', 'daily_streak', 'score_reached'] },
+                    threshold: { type: 'integer', minimum: 1, description: 'Required for every type but perfect_round' },
+                    game_type: { type: 'string', example: 'memory_game', description: 'Only count sessions of this game type' }
+                  }
+                },
+                is_active: { type: 'boolean', default: true }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        201: { description: 'Achievement created' },
+        400: { description: 'Invalid key, name or rule' },
+        401: { $ref: '#/components/responses/UnauthorizedError' },
+        403: { $ref: '#/components/responses/ForbiddenError' },
+        409: { description: 'An achievement with this key already exists' }
+      }
+    }
+  },
+
+  '/admin/achievements/{achievementId}': {
+    put: {
+      tags: ['Admin'],
+      summary: 'Update an achievement',
+      description: `
+        **ADMIN ONLY**: Change a badge's name, description, icon or rule, or deactivate it.
+        The key cannot change; awards already made are kept.
+      `,
+      security: [{ bearerAuth: [] }],
+      parameters: [
+        { name: 'achievementId', in: 'path', required: true, schema: { type: 'string' } }
+      ],
+      requestBody: {
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                description: { type: 'string', nullable: true },
+                icon_url: { type: 'string', nullable: true },
+                rule: {
+                  type: 'object',
+                  required: ['type'],
+                  properties: {
+                    type: { type: 'string', enum: ['sessions_played', 'sessions_won', 'perfect_round', 'daily_streak', 'score_reached'] },
+                    threshold: { type: 'integer', minimum: 1, description: 'Required for every type but perfect_round' },
+                    game_type: { type: 'string', example: 'memory_game', description: 'Only count sessions of this game type' }
+                  }
+                },
+                is_active: { type: 'boolean' }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: { description: 'Achievement updated' },
+        400: { description: 'Invalid name or rule' },
+        401: { $ref: '#/components/responses/UnauthorizedError' },
+        403: { $ref: '#/components/responses/ForbiddenError' },
+        404: { description: 'Achievement not found' }
+      }
+    }
+  },
+
+  '/admin/users/{userId}/two-factor/reset': {
+    post: {
+      tags: ['Admin'],
+      summary: 'Reset a user\'s two-factor authentication',
+      description: `
+        **ADMIN ONLY**: Removes the user's second factor (lost device) so they can enrol again.
+        Requires step-up verification of the acting admin (/auth/2fa/verify); admins cannot reset their own.
+      `,
+      security: [{ bearerAuth: [] }],
+      parameters: [
+        { name: 'userId', in: 'path', required: true, schema: { type: 'string' } }
+      ],
+      responses: {
+        200: {
+          description: 'Second factor removed',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean', example: true },
+                  reset: { type: 'boolean', description: 'False when the user had no second factor' }
+                }
+              }
+            }
+          }
+        },
+        400: { description: 'Cannot reset your own two-factor authentication' },
+        401: { $ref: '#/components/responses/UnauthorizedError' },
+        403: { description: 'Admin access and two-factor verification required' },
+        404: { description: 'User not found' }
+      }
+    }
   }
 };
\ No newline at end of file
@@ -1,6 +1,57 @@
 // OpenAPI documentation for authentication endpoints
 // Comprehensive authentication system with dual portal support, student consent management, and admin controls
 
+const sessionSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    portal: { type: 'string', enum: ['teacher', 'student', 'parent'] },
+    device: {
+      type: 'object',
+      properties: {
+        browser: { type: 'string', nullable: true, example: 'Chrome' },
+        os: { type: 'string', nullable: true, example: 'Windows' },
+        device_type: { type: 'string', enum: ['desktop', 'mobile', 'tablet', 'unknown'] }
+      }
+    },
+    location: {
+      type: 'object',
+      nullable: true,
+      properties: {
+        country: { type: 'string', example: 'IL' },
+        city: { type: 'string', nullable: true, example: 'Tel Aviv' },
+        ip_address: { type: 'string', nullable: true, example: '203.0.113.x' }
+      }
+    },
+    login_method: { type: 'string', nullable: true, example: 'firebase_google' },
+    created_at: { type: 'string', format: 'date-time' },
+    last_used_at: { type: 'string', format: 'date-time' },
+    expires_at: { type: 'string', format: 'date-time' },
+    is_current: { type: 'boolean' }
+  }
+};
+
+const twoFactorCodeBody = {
+  required: true,
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        required: ['code'],
+        properties: {
+          code: { type: 'string', description: '6-digit authenticator code or a backup code (xxxxx-xxxxx)', example: '123456' }
+        }
+      }
+    }
+  }
+};
+
+const twoFactorErrorResponses = {
+  400: { description: 'Invalid code, or two-factor authentication is not enabled / not being enrolled' },
+  401: { description: 'Authentication required' },
+  429: { description: 'Too many attempts' }
+};
+
 export default {
   '/auth/register': {
     post: {
@@ -669,116 +720,284 @@ export default {
     }
   },
 
-  '/auth/validate-admin-password': {
-    post: {
-      tags: ['Admin - Access Control'],
-      summary: 'Anonymous admin password validation',
+  '/auth/sessions': {
+    get: {
+      tags: ['Sessions'],
+      summary: 'List my active sessions',
       description: `
-        **ANONYMOUS ACCESS**: Validate admin password for maintenance mode bypass.
-        Used when student portal access is restricted to invite-only mode.
+        Active sessions of the current user in all portals, most recently used first, with the device
+        (parsed from the User-Agent), approximate location (country/city from the CDN, masked IP) and last use.
+        The session of the request is flagged with is_current.
+      `,
+      responses: {
+        200: {
+          description: 'Sessions',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  sessions: { type: 'array', items: sessionSchema },
+                  count: { type: 'integer' }
+                }
+              }
+            }
+          }
+        },
+        401: { description: 'Authentication required' }
+      }
+    }
+  },
 
-        **Security Features:**
-        - Timing-safe password comparison
-        - Rate limiting for brute force protection
-        - Cryptographically secure token generation
-        - Portal-aware audience validation
-        - Comprehensive audit logging
+  '/auth/sessions/revoke-others': {
+    post: {
+      tags: ['Sessions'],
+      summary: 'Sign out all other sessions',
+      description: `
+        Ends every session of the user except the current one and revokes their refresh tokens.
+        The other devices are signed out when their access token expires (at most 15 minutes).
+        The current session is identified by the portal's refresh token cookie - without it nothing is revoked.
+      `,
+      responses: {
+        200: {
+          description: 'Other sessions signed out',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean', example: true },
+                  message: { type: 'string', example: 'Other sessions signed out' },
+                  revokedSessions: { type: 'integer' }
+                }
+              }
+            }
+          }
+        },
+        400: { description: 'The current session could not be identified - sign in again' },
+        401: { description: 'Authentication required' }
+      }
+    }
+  },
 
-        **Token Generation:**
-        - 24-hour expiration
-        - Unique session ID and nonce
-        - JWT with portal-specific audience
-        - HttpOnly cookie for XSS protection
+  '/auth/sessions/{sessionId}': {
+    delete: {
+      tags: ['Sessions'],
+      summary: 'Sign out one of my other sessions',
+      description: 'Ends the session and revokes its refresh tokens. Use /auth/logout for the current session.',
+      parameters: [
+        { name: 'sessionId', in: 'path', required: true, schema: { type: 'string' } }
+      ],
+      responses: {
+        200: { description: 'Session signed out' },
+        400: { description: 'The session is the current session' },
+        401: { description: 'Authentication required' },
+        404: { description: 'Session not found or already ended' }
+      }
+    }
+  },
 
-        This endpoint enables emergency administrative access when normal authentication is unavailable.
-      `,
-      requestBody: {
-        required: true,
-        content: {
-          'application/json': {
-            schema: {
-              type: 'object',
-              properties: {
-                password: {
-                  type: 'string',
-                  minLength: 3,
-                  maxLength: 100,
-                  description: 'Administrative password'
+  '/auth/2fa/status': {
+    get: {
+      tags: ['Two-Factor Authentication'],
+      summary: 'Two-factor status of the current user',
+      responses: {
+        200: {
+          description: 'Enrolment and step-up state',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  eligible: { type: 'boolean', description: 'Admins and content creators can enrol' },
+                  required: { type: 'boolean', description: 'Admins must enrol before sensitive actions' },
+                  enabled: { type: 'boolean' },
+                  backup_codes_remaining: { type: 'integer' },
+                  enabled_at: { type: 'string', format: 'date-time', nullable: true },
+                  verified_until: { type: 'string', format: 'date-time', nullable: true, description: 'Step-up verification of the current session' }
                 }
-              },
-              required: ['password']
+              }
             }
           }
-        }
-      },
+        },
+        401: twoFactorErrorResponses[401]
+      }
+    }
+  },
+
+  '/auth/2fa/enroll': {
+    post: {
+      tags: ['Two-Factor Authentication'],
+      summary: 'Start enrolment',
+      description: `
+        Issues a new TOTP secret (restarting any unconfirmed enrolment). Show the QR code (or the secret
+        for manual entry) in the authenticator app, then confirm with the first code.
+      `,
       responses: {
         200: {
-          description: 'Admin access granted',
-          headers: {
-            'Set-Cookie': {
-              description: 'Anonymous admin token cookie',
+          description: 'Pending enrolment',
+          content: {
+            'application/json': {
               schema: {
-                type: 'string',
-                example: 'anonymous_admin_token=jwt_token; HttpOnly; Secure; Path=/'
+                type: 'object',
+                properties: {
+                  secret: { type: 'string', description: 'Base32 secret for manual entry' },
+                  otpauth_url: { type: 'string', example: 'otpauth://totp/Ludora%3Aadmin%40example.com?secret=...&issuer=Ludora' },
+                  qr_code: { type: 'string', description: 'PNG data URL of the otpauth URL' }
+                }
               }
             }
-          },
+          }
+        },
+        401: twoFactorErrorResponses[401],
+        403: { description: 'Only admins and content creators can enrol' },
+        409: { description: 'Two-factor authentication is already enabled' }
+      }
+    }
+  },
+
+  '/auth/2fa/enroll/confirm': {
+    post: {
+      tags: ['Two-Factor Authentication'],
+      summary: 'Confirm enrolment',
+      description: 'Enables the second factor and verifies the current session. The backup codes are returned only in this response.',
+      requestBody: twoFactorCodeBody,
+      responses: {
+        200: {
+          description: 'Two-factor authentication enabled',
           content: {
             'application/json': {
               schema: {
                 type: 'object',
                 properties: {
                   success: { type: 'boolean', example: true },
-                  message: { type: 'string', example: 'Admin access granted' },
-                  expiresAt: { type: 'string', format: 'date-time' },
-                  anonymousAdminToken: { type: 'string', description: 'JWT token for admin access' }
+                  message: { type: 'string' },
+                  backup_codes: { type: 'array', items: { type: 'string', example: '3f9a1-c07be' } },
+                  verified_until: { type: 'string', format: 'date-time', nullable: true }
                 }
               }
             }
           }
         },
-        400: {
-          description: 'Invalid password format',
+        ...twoFactorErrorResponses
+      }
+    }
+  },
+
+  '/auth/2fa/verify': {
+    post: {
+      tags: ['Two-Factor Authentication'],
+      summary: 'Step-up verification',
+      description: `
+        Verifies an authenticator code or a single-use backup code and marks the current session (the one the
+        refresh token cookie was issued with) as verified for 15 minutes. Answers 401 when that session cannot
+        be identified - sign in again. Sensitive admin actions (subscription changes and resets, manual charges, refunds,
+        payouts, school licenses, data subject requests) answer 403 with code TWO_FACTOR_REQUIRED until then,
+        or TWO_FACTOR_ENROLMENT_REQUIRED for admins without a second factor.
+      `,
+      requestBody: twoFactorCodeBody,
+      responses: {
+        200: {
+          description: 'Session verified',
           content: {
             'application/json': {
               schema: {
                 type: 'object',
                 properties: {
-                  success: { type: 'boolean', example: false },
-                  error: { type: 'string', example: 'Invalid password format' }
+                  success: { type: 'boolean', example: true },
+                  method: { type: 'string', enum: ['totp', 'backup_code'] },
+                  verified_until: { type: 'string', format: 'date-time', nullable: true },
+                  backup_codes_remaining: { type: 'integer' }
                 }
               }
             }
           }
         },
-        401: {
-          description: 'Invalid admin password',
+        ...twoFactorErrorResponses
+      }
+    }
+  },
+
+  '/auth/2fa/backup-codes': {
+    post: {
+      tags: ['Two-Factor Authentication'],
+      summary: 'Replace backup codes',
+      description: 'Requires a current code. All previous backup codes stop working.',
+      requestBody: twoFactorCodeBody,
+      responses: {
+        200: {
+          description: 'New backup codes',
           content: {
             'application/json': {
               schema: {
                 type: 'object',
                 properties: {
-                  success: { type: 'boolean', example: false },
-                  error: { type: 'string', example: 'Invalid admin password' }
+                  backup_codes: { type: 'array', items: { type: 'string' } }
                 }
               }
             }
           }
         },
-        500: {
-          description: 'Admin password not configured',
+        ...twoFactorErrorResponses
+      }
+    }
+  },
+
+  '/auth/2fa/disable': {
+    post: {
+      tags: ['Two-Factor Authentication'],
+      summary: 'Turn off two-factor authentication',
+      description: 'Content creators only - admins must stay enrolled (another admin can reset a lost device).',
+      requestBody: twoFactorCodeBody,
+      responses: {
+        200: { description: 'Two-factor authentication disabled' },
+        ...twoFactorErrorResponses,
+        403: { description: 'Admins cannot turn off two-factor authentication' }
+      }
+    }
+  },
+
+  '/auth/2fa/admin-access': {
+    post: {
+      tags: ['Admin - Access Control'],
+      summary: 'Admin access for maintenance mode bypass',
+      description: `
+        Used when student portal access is restricted to invite-only mode. Requires a signed-in admin and
+        a second-factor code; the session is verified as in /auth/2fa/verify.
+
+        **Token:**
+        - 24-hour JWT with portal-specific audience, bound to the verified session
+        - HttpOnly cookie for XSS protection
+      `,
+      requestBody: twoFactorCodeBody,
+      responses: {
+        200: {
+          description: 'Admin access granted',
+          headers: {
+            'Set-Cookie': {
+              description: 'Admin access token cookie',
+              schema: {
+                type: 'string',
+                example: 'admin_access_token=jwt_token; HttpOnly; Secure; Path=/'
+              }
+            }
+          },
           content: {
             'application/json': {
               schema: {
                 type: 'object',
                 properties: {
-                  success: { type: 'boolean', example: false },
-                  error: { type: 'string', example: 'Admin password not configured' }
+                  success: { type: 'boolean', example: true },
+                  message: { type: 'string', example: 'Admin access granted' },
+                  expiresAt: { type: 'string', format: 'date-time' },
+                  adminAccessToken: { type: 'string', description: 'JWT token for admin access' }
                 }
               }
             }
           }
-        }
+        },
+        ...twoFactorErrorResponses,
+        403: { description: 'Admin access required' }
       }
     }
   }
@@ -0,0 +1,119 @@
+// OpenAPI documentation for content creator earnings statements
+// Revenue share ledger built from purchases, subscription usage and refund clawbacks
+
+const statementSchema = {
+  type: 'object',
+  properties: {
+    creator: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        email: { type: 'string' },
+        full_name: { type: 'string' },
+        agreement_signed_at: { type: 'string', format: 'date-time', nullable: true }
+      }
+    },
+    period: { type: 'string', example: '2026-09' },
+    totals: {
+      type: 'object',
+      properties: {
+        purchase_earnings: { type: 'number' },
+        subscription_earnings: { type: 'number' },
+        clawbacks: { type: 'number', description: 'Negative - refunded earnings' },
+        net: { type: 'number' },
+        gross_revenue: { type: 'number' }
+      }
+    },
+    pending_balance: { type: 'number', description: 'Unpaid balance up to and including the period' },
+    entries: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          entry_type: { type: 'string', enum: ['earning', 'clawback'] },
+          source_type: { type: 'string', enum: ['purchase', 'subscription_claim'] },
+          product_id: { type: 'string' },
+          product_type: { type: 'string' },
+          product_title: { type: 'string', nullable: true },
+          gross_amount: { type: 'number' },
+          share_percent: { type: 'number' },
+          creator_amount: { type: 'number' },
+          status: { type: 'string', enum: ['pending', 'paid'] },
+          payout_batch_id: { type: 'string', nullable: true },
+          created_at: { type: 'string', format: 'date-time' }
+        }
+      }
+    }
+  }
+};
+
+export default {
+  '/creator-earnings/statements': {
+    get: {
+      tags: ['Content Creation'],
+      summary: 'List statement periods of the current creator',
+      description: `
+        Returns the months (YYYY-MM, most recent first) in which the authenticated creator
+        has earnings or clawback entries.
+      `,
+      security: [{ bearerAuth: [] }],
+      responses: {
+        200: {
+          description: 'Statement periods',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  periods: { type: 'array', items: { type: 'string' }, example: ['2026-09', '2026-08'] },
+                  count: { type: 'integer' }
+                }
+              }
+            }
+          }
+        },
+        401: { $ref: '#/components/responses/UnauthorizedError' }
+      }
+    }
+  },
+
+  '/creator-earnings/statements/{period}': {
+    get: {
+      tags: ['Content Creation'],
+      summary: 'Monthly earnings statement of the current creator',
+      description: `
+        **Creator Revenue Share**: Monthly statement of the authenticated creator.
+
+        - Purchase earnings: creator share of every completed purchase of their products
+        - Subscription earnings: share of subscription revenue, pro-rated by how much
+          subscribers used the creator's claimed products that month
+        - Clawbacks: negative entries for refunds, recorded in the month of the refund
+
+        The share percentage is the creator_revenue_share_percent setting at the time of each entry.
+      `,
+      security: [{ bearerAuth: [] }],
+      parameters: [
+        {
+          name: 'period',
+          in: 'path',
+          required: true,
+          schema: { type: 'string', pattern: '^\\d{4}-(0[1-9]|1[0-2])$' },
+          description: 'Statement month (YYYY-MM)'
+        }
+      ],
+      responses: {
+        200: {
+          description: 'Monthly statement',
+          content: {
+            'application/json': {
+              schema: statementSchema
+            }
+          }
+        },
+        400: { description: 'Invalid period format' },
+        401: { $ref: '#/components/responses/UnauthorizedError' }
+      }
+    }
+  }
+};
\ No newline at end of file
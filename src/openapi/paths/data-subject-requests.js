@@ -0,0 +1,223 @@
+// OpenAPI documentation for data subject requests
+// Privacy-law export and erasure of a user's or player's personal data (admin only)
+
+const requestSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    request_type: { type: 'string', enum: ['export', 'erasure'] },
+    subject_type: { type: 'string', enum: ['user', 'player'] },
+    subject_id: { type: 'string' },
+    requested_by: { type: 'string' },
+    requester_role: { type: 'string', enum: ['admin', 'parent'] },
+    reason: { type: 'string', nullable: true },
+    status: { type: 'string', enum: ['pending', 'processing', 'completed', 'failed', 'on_hold', 'cancelled'] },
+    job_id: { type: 'string', nullable: true },
+    legal_hold: { type: 'boolean' },
+    legal_hold_reason: { type: 'string', nullable: true },
+    legal_hold_set_by: { type: 'string', nullable: true },
+    legal_hold_set_at: { type: 'string', format: 'date-time', nullable: true },
+    export_expires_at: { type: 'string', format: 'date-time', nullable: true },
+    result: {
+      type: 'object',
+      nullable: true,
+      description: 'Export: record counts per section and files. Erasure: deleted, retained and anonymized counts per section, and stored files deleted'
+    },
+    error_message: { type: 'string', nullable: true },
+    audit_trail: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          at: { type: 'string', format: 'date-time' },
+          action: {
+            type: 'string',
+            enum: [
+              'requested', 'queued', 'started', 'completed', 'failed', 'blocked_by_legal_hold',
+              'legal_hold_set', 'legal_hold_released', 'retried', 'cancelled', 'downloaded', 'export_deleted'
+            ]
+          },
+          actor_id: { type: 'string', nullable: true, description: 'Null for the job' },
+          details: { type: 'object' }
+        }
+      }
+    },
+    started_at: { type: 'string', format: 'date-time', nullable: true },
+    completed_at: { type: 'string', format: 'date-time', nullable: true },
+    created_at: { type: 'string', format: 'date-time' }
+  }
+};
+
+const requestIdParameter = { name: 'requestId', in: 'path', required: true, schema: { type: 'string' } };
+
+const adminErrorResponses = {
+  401: { description: 'Authentication required' },
+  403: { description: 'Admin access required' },
+  404: { description: 'Data subject request not found' }
+};
+
+const requestResponse = {
+  description: 'Data subject request',
+  content: { 'application/json': { schema: requestSchema } }
+};
+
+export default {
+  '/data-subject-requests': {
+    post: {
+      tags: ['Data Subject Requests'],
+      summary: 'Request an export or erasure of personal data',
+      description: `
+        Queues a DATA_SUBJECT_REQUEST job. An export builds a ZIP with a JSON file per data section
+        (account, sessions, purchases, consents, logs...), invoice PDFs and uploaded files, kept for 7 days.
+        An erasure deletes the subject's records and stored files and anonymizes the user account;
+        financial records (purchases, transactions, invoices, earnings) are retained. Erasure is blocked
+        while any request of the subject has a legal hold.
+      `,
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['request_type', 'subject_type', 'subject_id'],
+              properties: {
+                request_type: { type: 'string', enum: ['export', 'erasure'] },
+                subject_type: { type: 'string', enum: ['user', 'player'] },
+                subject_id: { type: 'string' },
+                reason: { type: 'string', maxLength: 2000 }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        202: { ...requestResponse, description: 'Request created and queued' },
+        400: { description: 'Validation failed' },
+        401: adminErrorResponses[401],
+        403: adminErrorResponses[403],
+        404: { description: 'User or player not found' },
+        409: { description: 'An open request of this type already exists for the subject' }
+      }
+    },
+    get: {
+      tags: ['Data Subject Requests'],
+      summary: 'List data subject requests',
+      parameters: [
+        { name: 'status', in: 'query', schema: { type: 'string', enum: ['pending', 'processing', 'completed', 'failed', 'on_hold', 'cancelled'] } },
+        { name: 'request_type', in: 'query', schema: { type: 'string', enum: ['export', 'erasure'] } },
+        { name: 'subject_type', in: 'query', schema: { type: 'string', enum: ['user', 'player'] } },
+        { name: 'subject_id', in: 'query', schema: { type: 'string' } },
+        { name: 'requested_by', in: 'query', schema: { type: 'string' } },
+        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 } },
+        { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } }
+      ],
+      responses: {
+        200: {
+          description: 'Requests, newest first',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  requests: { type: 'array', items: requestSchema },
+                  total: { type: 'integer' }
+                }
+              }
+            }
+          }
+        },
+        400: { description: 'Invalid filters' },
+        401: adminErrorResponses[401],
+        403: adminErrorResponses[403]
+      }
+    }
+  },
+  '/data-subject-requests/{requestId}': {
+    get: {
+      tags: ['Data Subject Requests'],
+      summary: 'Get a data subject request with its audit trail',
+      parameters: [requestIdParameter],
+      responses: {
+        200: requestResponse,
+        ...adminErrorResponses
+      }
+    }
+  },
+  '/data-subject-requests/{requestId}/download': {
+    get: {
+      tags: ['Data Subject Requests'],
+      summary: 'Download an export archive',
+      description: 'Recorded in the audit trail. Archives are deleted 7 days after the export completes.',
+      parameters: [requestIdParameter],
+      responses: {
+        200: {
+          description: 'Export archive',
+          content: { 'application/zip': { schema: { type: 'string', format: 'binary' } } }
+        },
+        400: { description: 'Not a completed export' },
+        ...adminErrorResponses,
+        404: { description: 'Request not found or archive expired' }
+      }
+    }
+  },
+  '/data-subject-requests/{requestId}/retry': {
+    post: {
+      tags: ['Data Subject Requests'],
+      summary: 'Retry a failed request',
+      parameters: [requestIdParameter],
+      responses: {
+        200: requestResponse,
+        400: { description: 'Request has not failed' },
+        ...adminErrorResponses
+      }
+    }
+  },
+  '/data-subject-requests/{requestId}/cancel': {
+    post: {
+      tags: ['Data Subject Requests'],
+      summary: 'Cancel a pending, failed or on-hold request',
+      parameters: [requestIdParameter],
+      responses: {
+        200: requestResponse,
+        400: { description: 'Request already ran or was cancelled' },
+        ...adminErrorResponses
+      }
+    }
+  },
+  '/data-subject-requests/{requestId}/legal-hold': {
+    post: {
+      tags: ['Data Subject Requests'],
+      summary: 'Place a legal hold',
+      description: 'Blocks erasure of the request\'s subject until released. A pending or failed erasure is put on hold.',
+      parameters: [requestIdParameter],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['reason'],
+              properties: { reason: { type: 'string', minLength: 3, maxLength: 2000 } }
+            }
+          }
+        }
+      },
+      responses: {
+        200: requestResponse,
+        400: { description: 'Validation failed, or the request is completed or cancelled' },
+        ...adminErrorResponses
+      }
+    },
+    delete: {
+      tags: ['Data Subject Requests'],
+      summary: 'Release a legal hold',
+      description: 'When no other hold remains on the subject, its on-hold erasures are queued again.',
+      parameters: [requestIdParameter],
+      responses: {
+        200: requestResponse,
+        400: { description: 'Request has no legal hold' },
+        ...adminErrorResponses
+      }
+    }
+  }
+};
\ No newline at end of file
@@ -235,6 +235,28 @@ export default {
                       maximum: 50,
                       default: 10,
                       description: 'Maximum concurrent sessions in lobby'
+                    },
+                    team_mode: {
+                      type: 'boolean',
+                      description: 'Split every session into teams; participants are assigned automatically within each team\'s share of the session players'
+                    },
+                    team_count: {
+                      type: 'integer',
+                      minimum: 2,
+                      maximum: 8,
+                      default: 2,
+                      description: 'Number of teams (team ids team_1 ... team_{team_count})'
+                    },
+                    team_balance: {
+                      type: 'string',
+                      enum: ['count', 'performance'],
+                      default: 'count',
+                      description: 'Balance teams by member count, or also by past performance (average accuracy of recent results)'
+                    },
+                    team_names: {
+                      type: 'array',
+                      items: { type: 'string', maxLength: 30 },
+                      description: 'Display names of the teams, in team order'
                     }
                   }
                 }
@@ -730,6 +752,217 @@ export default {
     }
   },
 
+  '/game-lobbies/{lobbyId}/schedules': {
+    get: {
+      tags: ['Game Lobbies', 'Teacher Management'],
+      summary: 'List lobby schedules',
+      description: 'Automatic open/close schedules of a lobby, newest first. Only the lobby owner or host.',
+      security: [{ bearerAuth: [] }],
+      parameters: [
+        {
+          name: 'lobbyId',
+          in: 'path',
+          required: true,
+          schema: { type: 'string' },
+          description: 'Lobby identifier'
+        }
+      ],
+      responses: {
+        200: {
+          description: 'Lobby schedules',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  schedules: { type: 'array', items: { $ref: '#/components/schemas/LobbySchedule' } }
+                }
+              }
+            }
+          }
+        },
+        403: { description: 'Access denied - not the lobby owner or host' },
+        404: { description: 'Lobby not found' }
+      }
+    },
+    post: {
+      tags: ['Game Lobbies', 'Teacher Management'],
+      summary: 'Schedule lobby to open and close automatically',
+      description: `
+        **Scheduled Lobbies**: The lobby opens (activates until the closing time) and closes on its own.
+
+        **Recurrence:**
+        - \`once\`: a single \`opens_at\` / \`closes_at\` window
+        - \`weekly\`: a class timetable slot - \`weekday\` (0 = Sunday), \`start_time\` (HH:mm, Israel time) and \`duration_minutes\`
+
+        **Rules:**
+        - Lobbies stay open 5 minutes to 12 hours
+        - Slots opening or closing on Shabbat are rejected; an occurrence that would open on Shabbat is skipped
+        - Up to 20 active schedules per lobby
+
+        **Notifications:** When the lobby opens, the teacher's linked students (the lobby's classroom when
+        \`settings.classroom_id\` is set) receive a \`lobby:opened\` socket event.
+
+        **Access Control:** Only lobby owner or host
+      `,
+      security: [{ bearerAuth: [] }],
+      parameters: [
+        {
+          name: 'lobbyId',
+          in: 'path',
+          required: true,
+          schema: { type: 'string' },
+          description: 'Lobby identifier'
+        }
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                recurrence: { type: 'string', enum: ['once', 'weekly'], default: 'once' },
+                opens_at: { type: 'string', format: 'date-time', description: 'once only' },
+                closes_at: { type: 'string', format: 'date-time', description: 'once only' },
+                weekday: { type: 'integer', minimum: 0, maximum: 6, description: 'weekly only (0 = Sunday)' },
+                start_time: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', description: 'weekly only (Israel time)' },
+                duration_minutes: { type: 'integer', minimum: 5, maximum: 720, description: 'weekly only' }
+              },
+              example: {
+                recurrence: 'weekly',
+                weekday: 0,
+                start_time: '08:30',
+                duration_minutes: 45
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        201: {
+          description: 'Schedule created',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/LobbySchedule' }
+            }
+          }
+        },
+        400: { description: 'Invalid schedule (past, too short/long or on Shabbat)' },
+        403: { description: 'Access denied - not the lobby owner or host' },
+        404: { description: 'Lobby not found' },
+        409: { description: 'Too many active schedules for this lobby' },
+        503: { description: 'The opening job could not be queued - the schedule was not saved' }
+      }
+    }
+  },
+
+  '/game-lobbies/{lobbyId}/schedules/{scheduleId}': {
+    delete: {
+      tags: ['Game Lobbies', 'Teacher Management'],
+      summary: 'Cancel lobby schedule',
+      description: 'Cancels upcoming occurrences. A lobby the schedule already opened stays open until its expiration.',
+      security: [{ bearerAuth: [] }],
+      parameters: [
+        {
+          name: 'lobbyId',
+          in: 'path',
+          required: true,
+          schema: { type: 'string' },
+          description: 'Lobby identifier'
+        },
+        {
+          name: 'scheduleId',
+          in: 'path',
+          required: true,
+          schema: { type: 'string' },
+          description: 'Schedule identifier'
+        }
+      ],
+      responses: {
+        200: {
+          description: 'Schedule cancelled',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/LobbySchedule' }
+            }
+          }
+        },
+        403: { description: 'Access denied - not the lobby owner or host' },
+        404: { description: 'Lobby or schedule not found' },
+        409: { description: 'Schedule already completed or cancelled' }
+      }
+    }
+  },
+
+  '/game-lobbies/{lobbyId}/display-token': {
+    post: {
+      tags: ['Game Lobbies', 'Teacher Management'],
+      summary: 'Issue classroom display token (spectator / projector mode)',
+      description: `
+        **Classroom Display**: A short-lived, read-only token scoped to one lobby, for projecting live
+        progress and leaderboards on the classroom board while students play.
+
+        **Socket.IO:** Connect with \`auth: { displayToken }\` (no cookies needed). The display receives:
+        - \`display:snapshot\` on connect: lobby status and every session's progress and leaderboard
+        - \`display:update\` on every lobby or session change (\`data.lobby\` or \`data.session\`)
+
+        Displays only get display names, scores, ranks, team scores and aggregate progress - no other
+        participant data. They are disconnected when the token expires or the lobby is closed.
+
+        **Access Control:** Only lobby owner or host
+      `,
+      security: [{ bearerAuth: [] }],
+      parameters: [
+        {
+          name: 'lobbyId',
+          in: 'path',
+          required: true,
+          schema: { type: 'string' },
+          description: 'Lobby identifier'
+        }
+      ],
+      requestBody: {
+        required: false,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                ttl_minutes: {
+                  type: 'integer',
+                  minimum: 5,
+                  maximum: 720,
+                  default: 180,
+                  description: 'Token lifetime in minutes'
+                }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        201: {
+          description: 'Display token issued',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  display_token: { type: 'string' },
+                  lobby_id: { type: 'string', example: 'AB3DE7' },
+                  expires_at: { type: 'string', format: 'date-time' }
+                }
+              }
+            }
+          }
+        },
+        403: { description: 'Access denied - not the lobby owner or host' },
+        404: { description: 'Lobby not found' }
+      }
+    }
+  },
+
   '/game-lobbies/join-by-code': {
     post: {
       tags: ['Game Lobbies', 'Student Access'],
@@ -357,7 +357,8 @@ export default {
                         team_assignment: { type: 'string', nullable: true },
                         joined_at: { type: 'string', format: 'date-time' },
                         is_ready: { type: 'boolean' },
-                        is_online: { type: 'boolean' }
+                        is_online: { type: 'boolean', description: 'False once disconnected longer than the reconnect grace window' },
+                        last_seen_at: { type: 'string', format: 'date-time', nullable: true }
                       }
                     }
                   },
@@ -387,6 +388,10 @@ export default {
         - Validates user ID matching for authenticated users
 
         **Capacity Management:** Respects session's maximum player limits and prevents overfilling
+
+        **Rejoining:** A participant marked offline (disconnected longer than the reconnect grace window)
+        gets their own seat back - same participant id, score and turn order. Sockets resume through
+        the join-session event, which also answers with a full session:snapshot.
       `,
       requestBody: {
         required: true,
@@ -498,7 +503,7 @@ export default {
           }
         },
         409: {
-          description: 'Participant already in session',
+          description: 'Participant already in session (and online)',
           content: {
             'application/json': {
               schema: {
@@ -717,6 +722,117 @@ export default {
     }
   },
 
+  '/game-sessions/{sessionId}/participants/{participantId}/team': {
+    put: {
+      tags: ['Game Sessions', 'Teacher Management'],
+      summary: 'Move participant to a team (teacher override)',
+      description: `
+        **Team Mode**: Moves a participant of a team-mode lobby (settings.team_mode) to another team.
+
+        - Overrides may go over the team capacity
+        - Overridden participants keep their team when the teams are rebalanced
+        - The session room and lobby staff get a team:update socket event
+
+        **Access Control:** Only lobby owner, host, and system administrators can assign teams
+      `,
+      security: [{ bearerAuth: [] }],
+      parameters: [
+        { name: 'sessionId', in: 'path', required: true, schema: { type: 'string' }, description: 'Session identifier' },
+        { name: 'participantId', in: 'path', required: true, schema: { type: 'string' }, description: 'Participant identifier' }
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['team_assignment'],
+              properties: {
+                team_assignment: { type: 'string', description: 'Team id (team_1 ... team_{team_count})', example: 'team_2' }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: {
+          description: 'Participant team updated',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  message: { type: 'string', example: 'Participant team updated successfully' },
+                  session: { type: 'object' }
+                }
+              }
+            }
+          }
+        },
+        400: { description: 'Team mode is not enabled for the lobby, or unknown team' },
+        403: { description: 'Access denied (not lobby owner or host)' },
+        404: { description: 'Session or participant not found' },
+        409: { description: 'Session is finished' }
+      }
+    }
+  },
+
+  '/game-sessions/{sessionId}/teams/rebalance': {
+    post: {
+      tags: ['Game Sessions', 'Teacher Management'],
+      summary: 'Rebalance session teams',
+      description: `
+        **Team Mode**: Reassigns the participants of a team-mode session to balanced teams.
+
+        **Balancing (lobby settings.team_balance):**
+        - count: teams get an equal number of participants
+        - performance: equal numbers, with the strongest participants (average accuracy of their recent results) spread over the teams
+
+        Teacher overrides stay in place unless keep_overrides is false. The session room and lobby
+        staff get a team:update socket event.
+
+        **Access Control:** Only lobby owner, host, and system administrators can rebalance teams
+      `,
+      security: [{ bearerAuth: [] }],
+      parameters: [
+        { name: 'sessionId', in: 'path', required: true, schema: { type: 'string' }, description: 'Session identifier' }
+      ],
+      requestBody: {
+        required: false,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                keep_overrides: { type: 'boolean', default: true, description: 'Keep teams set by teacher overrides' }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: {
+          description: 'Teams rebalanced',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  message: { type: 'string', example: 'Teams rebalanced successfully' },
+                  session: { type: 'object' }
+                }
+              }
+            }
+          }
+        },
+        400: { description: 'Team mode is not enabled for the lobby' },
+        403: { description: 'Access denied (not lobby owner or host)' },
+        404: { description: 'Session not found' },
+        409: { description: 'Session is finished' }
+      }
+    }
+  },
+
   '/game-sessions/{sessionId}/state': {
     get: {
       tags: ['Game State Management'],
@@ -1093,6 +1209,41 @@ export default {
                 final_data: {
                   type: 'object',
                   properties: {
+                    results: {
+                      type: 'object',
+                      description: 'Per-participant results recorded for scoring history and gradebooks. Ignored for server-authoritative games (memory_game, quiz_game), whose results come from the game engine. In team mode the server adds results.teams - team totals ranked by score ({ team_id, name, member_ids, score, average_accuracy, rank }) - and broadcasts them as team:results.',
+                      properties: {
+                        participants: {
+                          type: 'array',
+                          items: {
+                            type: 'object',
+                            required: ['participant_id'],
+                            properties: {
+                              participant_id: { type: 'string' },
+                              score: { type: 'number' },
+                              max_score: { type: 'number' },
+                              correct_count: { type: 'integer' },
+                              attempt_count: { type: 'integer' },
+                              accuracy: { type: 'number', description: 'Percentage (0-100), derived from the counts when omitted' },
+                              time_spent_seconds: { type: 'integer' },
+                              rank: { type: 'integer' },
+                              completed: { type: 'boolean' },
+                              items: {
+                                type: 'array',
+                                items: {
+                                  type: 'object',
+                                  properties: {
+                                    content_id: { type: 'string' },
+                                    is_correct: { type: 'boolean' },
+                                    attempts: { type: 'integer' }
+                                  }
+                                }
+                              }
+                            }
+                          }
+                        }
+                      }
+                    },
                     final_scores: {
                       type: 'object',
                       additionalProperties: { type: 'number' },
@@ -0,0 +1,324 @@
+// OpenAPI documentation for homework mode
+// Games assigned to a classroom and played as solo attempts on the student's own time
+
+const assignmentSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    classroom_id: { type: 'string' },
+    game_id: { type: 'string' },
+    lobby_id: { type: 'string', description: 'Backing lobby holding the attempt sessions' },
+    title: { type: 'string' },
+    instructions: { type: 'string', nullable: true },
+    opens_at: { type: 'string', format: 'date-time' },
+    due_at: { type: 'string', format: 'date-time' },
+    late_until: { type: 'string', format: 'date-time', nullable: true, description: 'null = no late submissions' },
+    max_attempts: { type: 'integer', nullable: true, description: 'null = unlimited' },
+    score_policy: { type: 'string', enum: ['best', 'last', 'average'] },
+    status: { type: 'string', enum: ['active', 'cancelled'] },
+    accepting_attempts: { type: 'boolean' },
+    created_at: { type: 'string', format: 'date-time' }
+  }
+};
+
+const studentProgressSchema = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['not_started', 'in_progress', 'completed', 'late', 'missing'] },
+    score: { type: 'number', nullable: true, description: 'Attempt scores combined by the score policy' },
+    max_score: { type: 'number', nullable: true },
+    attempts_used: { type: 'integer' },
+    attempts_remaining: { type: 'integer', nullable: true, description: 'null = unlimited' },
+    submitted_at: { type: 'string', format: 'date-time', nullable: true, description: 'First finished attempt' },
+    late: { type: 'boolean' },
+    attempts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          session_id: { type: 'string' },
+          attempt_number: { type: 'integer' },
+          started_at: { type: 'string', format: 'date-time' },
+          finished_at: { type: 'string', format: 'date-time', nullable: true },
+          score: { type: 'number', nullable: true },
+          max_score: { type: 'number', nullable: true },
+          accuracy: { type: 'number', nullable: true },
+          completed: { type: 'boolean' },
+          late: { type: 'boolean' }
+        }
+      }
+    }
+  }
+};
+
+const assignmentIdParameter = { name: 'assignmentId', in: 'path', required: true, schema: { type: 'string' } };
+
+const studentErrorResponses = {
+  401: { description: 'Not authenticated as a student user or player' },
+  403: { description: 'Homework of a classroom the student is not an active member of' },
+  404: { description: 'Homework not found or cancelled' }
+};
+
+const teacherErrorResponses = {
+  401: { $ref: '#/components/responses/UnauthorizedError' },
+  403: { description: 'Not the teacher of the classroom' },
+  404: { description: 'Homework not found' }
+};
+
+export default {
+  '/homework': {
+    post: {
+      tags: ['Teacher Management'],
+      summary: 'Assign a game as homework',
+      description: `
+        **Homework Mode**: Assign a game to one of your classrooms. Every active student plays solo attempts
+        between \`opens_at\` (default: now) and \`due_at\`. Attempts finished after \`due_at\` are late and
+        can be started and submitted until \`late_until\` (no late work when omitted).
+
+        **Score policies:** \`best\` (default), \`last\` or \`average\` of the finished attempts.
+
+        **Access Control:** Teacher owning the classroom; games the teacher owns or Ludora games
+      `,
+      security: [{ bearerAuth: [] }],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['classroom_id', 'game_id', 'title', 'due_at'],
+              properties: {
+                classroom_id: { type: 'string' },
+                game_id: { type: 'string' },
+                title: { type: 'string', maxLength: 200 },
+                instructions: { type: 'string', maxLength: 2000 },
+                opens_at: { type: 'string', format: 'date-time' },
+                due_at: { type: 'string', format: 'date-time' },
+                late_until: { type: 'string', format: 'date-time', nullable: true },
+                max_attempts: { type: 'integer', minimum: 1, maximum: 20, nullable: true },
+                score_policy: { type: 'string', enum: ['best', 'last', 'average'], default: 'best' }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        201: { description: 'Homework assigned', content: { 'application/json': { schema: assignmentSchema } } },
+        400: { description: 'Validation failed or invalid window' },
+        409: { description: 'Too many active assignments in the classroom' },
+        ...teacherErrorResponses
+      }
+    },
+    get: {
+      tags: ['Teacher Management'],
+      summary: 'List classroom homework',
+      description: 'Homework assignments of a classroom, latest due date first.',
+      security: [{ bearerAuth: [] }],
+      parameters: [{ name: 'classroom_id', in: 'query', required: true, schema: { type: 'string' } }],
+      responses: {
+        200: {
+          description: 'Assignments',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  assignments: { type: 'array', items: assignmentSchema },
+                  count: { type: 'integer' }
+                }
+              }
+            }
+          }
+        },
+        ...teacherErrorResponses
+      }
+    }
+  },
+
+  '/homework/{assignmentId}': {
+    delete: {
+      tags: ['Teacher Management'],
+      summary: 'Cancel homework',
+      description: 'Cancels the assignment and closes its lobby. Recorded attempts and results are kept.',
+      security: [{ bearerAuth: [] }],
+      parameters: [assignmentIdParameter],
+      responses: {
+        200: { description: 'Cancelled assignment', content: { 'application/json': { schema: assignmentSchema } } },
+        409: { description: 'Homework is already cancelled' },
+        ...teacherErrorResponses
+      }
+    }
+  },
+
+  '/homework/{assignmentId}/progress': {
+    get: {
+      tags: ['Teacher Management'],
+      summary: 'Homework progress per student',
+      description: `
+        Completion status, policy score, attempts and late submissions of every active student of the classroom,
+        with counts per status.
+
+        **Statuses:** \`not_started\`, \`in_progress\`, \`completed\` (finished by the due date),
+        \`late\` (finished only after the due date), \`missing\` (past the due date without a finished attempt)
+      `,
+      security: [{ bearerAuth: [] }],
+      parameters: [assignmentIdParameter],
+      responses: {
+        200: {
+          description: 'Progress',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  assignment: assignmentSchema,
+                  summary: { type: 'object', description: 'students and a count per status' },
+                  students: {
+                    type: 'array',
+                    items: {
+                      allOf: [
+                        {
+                          type: 'object',
+                          properties: {
+                            student_id: { type: 'string' },
+                            membership_id: { type: 'string' },
+                            display_name: { type: 'string', nullable: true }
+                          }
+                        },
+                        studentProgressSchema
+                      ]
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        ...teacherErrorResponses
+      }
+    }
+  },
+
+  '/homework/mine': {
+    get: {
+      tags: ['Player Authentication'],
+      summary: 'My homework',
+      description: 'Open homework of the classrooms the student is an active member of, earliest due date first, with their progress.',
+      security: [{ cookieAuth: [] }],
+      responses: {
+        200: {
+          description: 'Assignments with progress',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  assignments: {
+                    type: 'array',
+                    items: { allOf: [assignmentSchema, { type: 'object', properties: { progress: studentProgressSchema } }] }
+                  },
+                  count: { type: 'integer' }
+                }
+              }
+            }
+          }
+        },
+        401: studentErrorResponses[401]
+      }
+    }
+  },
+
+  '/homework/{assignmentId}/attempts': {
+    post: {
+      tags: ['Player Authentication'],
+      summary: 'Start a homework attempt',
+      description: `
+        Starts a solo session for the student, or returns their unfinished attempt (\`resumed: true\`).
+        Server-authoritative games are dealt right away and finish the attempt when the game ends.
+      `,
+      security: [{ cookieAuth: [] }],
+      parameters: [assignmentIdParameter],
+      responses: {
+        200: { description: 'Unfinished attempt resumed' },
+        201: {
+          description: 'Attempt started',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  session: { type: 'object' },
+                  attempt_number: { type: 'integer' },
+                  resumed: { type: 'boolean' }
+                }
+              }
+            }
+          }
+        },
+        400: { description: 'Homework is not open yet' },
+        409: { description: 'Homework is closed or no attempts are left' },
+        ...studentErrorResponses
+      }
+    }
+  },
+
+  '/homework/{assignmentId}/attempts/{sessionId}/submit': {
+    post: {
+      tags: ['Player Authentication'],
+      summary: 'Submit a homework attempt',
+      description: 'Submits the result of an attempt of a client-driven game and returns the updated progress.',
+      security: [{ cookieAuth: [] }],
+      parameters: [assignmentIdParameter, { name: 'sessionId', in: 'path', required: true, schema: { type: 'string' } }],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['score'],
+              properties: {
+                score: { type: 'number', minimum: 0 },
+                max_score: { type: 'number', minimum: 0 },
+                correct_count: { type: 'integer', minimum: 0 },
+                attempt_count: { type: 'integer', minimum: 0 },
+                time_spent_seconds: { type: 'number', minimum: 0 },
+                completed: { type: 'boolean' },
+                items: {
+                  type: 'array',
+                  maxItems: 500,
+                  items: {
+                    type: 'object',
+                    properties: {
+                      content_id: { type: 'string' },
+                      is_correct: { type: 'boolean' },
+                      attempts: { type: 'integer', minimum: 1 }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: {
+          description: 'Attempt submitted',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  session: { type: 'object' },
+                  progress: studentProgressSchema
+                }
+              }
+            }
+          }
+        },
+        400: { description: 'Validation failed, or the game submits attempts automatically' },
+        409: { description: 'Attempt already submitted or homework closed' },
+        ...studentErrorResponses
+      }
+    }
+  }
+};
\ No newline at end of file
@@ -0,0 +1,312 @@
+// OpenAPI documentation for the parent portal
+// Parents sign in by magic link to their consent email and follow their consented children
+
+const childSchema = {
+  type: 'object',
+  properties: {
+    student_id: { type: 'string' },
+    full_name: { type: 'string', nullable: true },
+    email: { type: 'string', nullable: true },
+    is_active: { type: 'boolean' },
+    consent: {
+      type: 'object',
+      properties: {
+        parent_name: { type: 'string' },
+        consent_method: { type: 'string', enum: ['email', 'form', 'phone'] },
+        given_at: { type: 'string', format: 'date-time' }
+      }
+    }
+  }
+};
+
+const dataRequestSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    student_id: { type: 'string' },
+    type: { type: 'string', enum: ['export', 'deletion'] },
+    status: { type: 'string', enum: ['pending', 'processing', 'completed', 'failed', 'on_hold', 'cancelled'] },
+    requested_at: { type: 'string', format: 'date-time' },
+    completed_at: { type: 'string', format: 'date-time', nullable: true },
+    download_available: { type: 'boolean' },
+    download_expires_at: { type: 'string', format: 'date-time', nullable: true }
+  }
+};
+
+const studentIdParameter = { name: 'studentId', in: 'path', required: true, schema: { type: 'string' } };
+
+const parentErrorResponses = {
+  401: { description: 'Not signed in to the parent portal' },
+  403: { description: 'Signed-in user is not a parent' },
+  404: { description: 'Not a child with an active consent for the parent\'s email' }
+};
+
+export default {
+  '/parents/magic-link': {
+    post: {
+      tags: ['Parent Portal'],
+      summary: 'Email a parent sign-in link',
+      description: `
+        Sends a single-use sign-in link (valid for 15 minutes) to a parent email with an active parent consent.
+        The response is the same for unknown emails.
+      `,
+      security: [],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['email'],
+              properties: { email: { type: 'string', format: 'email' } }
+            }
+          }
+        }
+      },
+      responses: {
+        200: { description: 'Link sent if the email has an active consent' },
+        400: { description: 'Validation failed' },
+        429: { description: 'Too many requests' }
+      }
+    }
+  },
+  '/parents/magic-link/verify': {
+    post: {
+      tags: ['Parent Portal'],
+      summary: 'Sign in with a magic link',
+      description: `
+        Exchanges the link token for a parent portal session and sets the \`parent_access_token\` and
+        \`parent_refresh_token\` cookies. A parent account is created on first sign-in.
+      `,
+      security: [],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['token'],
+              properties: { token: { type: 'string' } }
+            }
+          }
+        }
+      },
+      responses: {
+        200: {
+          description: 'Signed in',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean' },
+                  sessionId: { type: 'string' },
+                  user: {
+                    type: 'object',
+                    properties: {
+                      id: { type: 'string' },
+                      email: { type: 'string' },
+                      full_name: { type: 'string' },
+                      role: { type: 'string' },
+                      user_type: { type: 'string', enum: ['parent'] }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        401: { description: 'Invalid, expired or already used link, no active consent, or the email belongs to a non-parent account' }
+      }
+    }
+  },
+  '/parents/logout': {
+    post: {
+      tags: ['Parent Portal'],
+      summary: 'Sign out of the parent portal',
+      responses: {
+        200: { description: 'Signed out, parent cookies cleared' },
+        401: { description: 'Not signed in to the parent portal' }
+      }
+    }
+  },
+  '/parents/me': {
+    get: {
+      tags: ['Parent Portal'],
+      summary: 'Signed-in parent',
+      responses: {
+        200: { description: 'Parent user' },
+        401: parentErrorResponses[401],
+        403: parentErrorResponses[403]
+      }
+    }
+  },
+  '/parents/children': {
+    get: {
+      tags: ['Parent Portal'],
+      summary: 'List my children',
+      description: 'Students whose parent consent is active for the signed-in parent\'s email.',
+      responses: {
+        200: {
+          description: 'Children',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  children: { type: 'array', items: childSchema },
+                  count: { type: 'integer' }
+                }
+              }
+            }
+          }
+        },
+        401: parentErrorResponses[401],
+        403: parentErrorResponses[403]
+      }
+    }
+  },
+  '/parents/children/{studentId}': {
+    get: {
+      tags: ['Parent Portal'],
+      summary: 'Child overview',
+      description: `
+        The child's active classrooms, game results and assigned homework with progress.
+        Game results default to the last 30 days; \`from\`/\`to\` (YYYY-MM-DD) span at most 366 days.
+      `,
+      parameters: [
+        studentIdParameter,
+        { name: 'from', in: 'query', schema: { type: 'string', format: 'date' } },
+        { name: 'to', in: 'query', schema: { type: 'string', format: 'date' } }
+      ],
+      responses: {
+        200: {
+          description: 'Child overview',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  child: childSchema,
+                  classrooms: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        id: { type: 'string' },
+                        name: { type: 'string', nullable: true },
+                        grade_level: { type: 'string', nullable: true },
+                        year: { type: 'string', nullable: true },
+                        teacher_name: { type: 'string', nullable: true },
+                        joined_at: { type: 'string', format: 'date-time' }
+                      }
+                    }
+                  },
+                  game_results: {
+                    type: 'object',
+                    description: 'Same shape as the player scoring history (range, summary, results)'
+                  },
+                  homework: {
+                    type: 'array',
+                    description: 'Open homework of the child\'s classrooms with the child\'s progress',
+                    items: { type: 'object' }
+                  }
+                }
+              }
+            }
+          }
+        },
+        400: { description: 'Invalid date range' },
+        ...parentErrorResponses
+      }
+    }
+  },
+  '/parents/children/{studentId}/revoke-consent': {
+    post: {
+      tags: ['Parent Portal'],
+      summary: 'Revoke parent consent',
+      description: 'Revokes the consent with reason `parent_request`, recording IP and user agent. The child leaves the parent portal.',
+      parameters: [studentIdParameter],
+      responses: {
+        200: { description: 'Consent revoked' },
+        ...parentErrorResponses
+      }
+    }
+  },
+  '/parents/children/{studentId}/data-requests': {
+    post: {
+      tags: ['Parent Portal'],
+      summary: 'Request export or deletion of a child\'s data',
+      description: `
+        Creates a data subject request for the child. An export is a ZIP of the child's data,
+        downloadable for 7 days; a deletion erases the child's personal data. The parent is emailed
+        when the request completes.
+      `,
+      parameters: [studentIdParameter],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['type'],
+              properties: {
+                type: { type: 'string', enum: ['export', 'deletion'] },
+                details: { type: 'string', maxLength: 2000 }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        202: {
+          description: 'Request received',
+          content: { 'application/json': { schema: dataRequestSchema } }
+        },
+        400: { description: 'Validation failed' },
+        409: { description: 'An open request of this type already exists for the child' },
+        ...parentErrorResponses
+      }
+    },
+    get: {
+      tags: ['Parent Portal'],
+      summary: 'List my data requests for a child',
+      parameters: [studentIdParameter],
+      responses: {
+        200: {
+          description: 'Data requests, newest first',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  requests: { type: 'array', items: dataRequestSchema },
+                  count: { type: 'integer' }
+                }
+              }
+            }
+          }
+        },
+        ...parentErrorResponses
+      }
+    }
+  },
+  '/parents/data-requests/{requestId}/download': {
+    get: {
+      tags: ['Parent Portal'],
+      summary: 'Download a child\'s data export',
+      description: 'ZIP archive of a completed export requested by the signed-in parent. The child\'s consent must still be active.',
+      parameters: [{ name: 'requestId', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: {
+        200: {
+          description: 'Export archive',
+          content: { 'application/zip': { schema: { type: 'string', format: 'binary' } } }
+        },
+        400: { description: 'Export is not ready' },
+        401: parentErrorResponses[401],
+        403: { description: 'Not a request of the signed-in parent' },
+        404: { description: 'Request not found, archive expired, or no active consent for the child' }
+      }
+    }
+  }
+};
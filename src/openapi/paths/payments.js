@@ -2,6 +2,56 @@
  * @swagger
  * components:
  *   schemas:
+ *     CartSummary:
+ *       type: object
+ *       properties:
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               purchasable_type:
+ *                 type: string
+ *               purchasable_id:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               is_bundle:
+ *                 type: boolean
+ *               original_price:
+ *                 type: number
+ *               discount_amount:
+ *                 type: number
+ *               payment_amount:
+ *                 type: number
+ *               coupon_code:
+ *                 type: string
+ *                 nullable: true
+ *         coupons:
+ *           type: array
+ *           items:
+ *             type: string
+ *         totals:
+ *           type: object
+ *           properties:
+ *             subtotal:
+ *               type: number
+ *             discount:
+ *               type: number
+ *             total:
+ *               type: number
+ *         item_count:
+ *           type: integer
+ *         currency:
+ *           type: string
+ *           example: ILS
+ *         droppedCoupons:
+ *           type: array
+ *           items:
+ *             type: string
+ *
  *     CreatePurchaseRequest:
  *       type: object
  *       required:
@@ -251,6 +301,14 @@
  *           type: string
  *           example: plan_premium_monthly
  *           description: ID of subscription plan to purchase
+ *         provider:
+ *           type: string
+ *           enum: [payplus, paypal, invoice]
+ *           default: payplus
+ *           description: Checkout provider (PayPal requires the plan to have a paypal_plan_id, invoice a school account)
+ *         purchaseOrderNumber:
+ *           type: string
+ *           description: Customer purchase order reference printed on the proforma (invoice provider)
  *
  *     TransactionStatusUpdateRequest:
  *       type: object
@@ -745,7 +803,8 @@
  *       - Payments
  *     summary: Create subscription payment
  *     description: |
- *       Create PayPlus payment page for subscription purchase.
+ *       Create a payment page for subscription purchase with the selected checkout provider
+ *       (PayPlus recurring payment page or PayPal subscription approval link).
  *       Uses dedicated SubscriptionPaymentService for proper subscription handling.
  *     security:
  *       - cookieAuth: []
@@ -780,7 +839,7 @@
  *                   type: string
  *                   example: txn_1734123456_abc123
  *       400:
- *         description: Missing subscription plan ID
+ *         description: Missing subscription plan ID, or provider unavailable for this plan
  *       409:
  *         description: Subscription conflict (user already has active/pending subscription)
  *         content:
@@ -797,6 +856,117 @@
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *
+ * /payments/createCheckout:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Create cart checkout with any provider
+ *     description: |
+ *       Provider-agnostic version of createPayplusPaymentPage. Same cart validation and
+ *       free checkout handling; the paid checkout is opened with the requested provider.
+ *
+ *       - **payplus** - PayPlus payment page (paymentUrl, pageRequestUid)
+ *       - **paypal** - PayPal order approval link (paymentUrl, orderId). The order is captured
+ *         when the buyer returns (POST /payments/paypal/capture-order) or by the
+ *         CHECKOUT.ORDER.APPROVED webhook, and completed by PAYMENT.CAPTURE.COMPLETED.
+ *       - **invoice** - Pay by invoice for school accounts. No paymentUrl: a proforma is emailed
+ *         (data.proformaId, data.proformaNumber), the purchases stay pending with provisional
+ *         access until data.provisionalAccessUntil, and an admin completes them when the bank
+ *         transfer arrives (POST /admin/invoice-payments/{transactionId}/mark-paid).
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/PayPlusPaymentPageRequest'
+ *               - type: object
+ *                 properties:
+ *                   provider:
+ *                     type: string
+ *                     enum: [payplus, paypal, invoice]
+ *                     default: payplus
+ *                   purchaseOrderNumber:
+ *                     type: string
+ *                     description: Purchase order reference printed on the proforma (invoice provider)
+ *     responses:
+ *       200:
+ *         description: Checkout created OR free checkout completed
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: PayPal order created
+ *               provider: paypal
+ *               paymentUrl: https://www.sandbox.paypal.com/checkoutnow?token=5O190127TN364715T
+ *               transactionId: txn_1734123456_abc123
+ *               orderId: 5O190127TN364715T
+ *               environment: staging
+ *       400:
+ *         description: Validation error, empty cart or unsupported/unconfigured provider
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *
+ * /payments/checkout-providers:
+ *   get:
+ *     tags:
+ *       - Payments
+ *     summary: List available checkout providers
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Providers configured in this environment
+ *         content:
+ *           application/json:
+ *             example:
+ *               providers: [payplus, paypal, invoice]
+ *               defaultProvider: payplus
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *
+ * /payments/paypal/capture-order:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Capture an approved PayPal order
+ *     description: |
+ *       Called by the payment result page after the buyer approves the order on PayPal.
+ *       Safe to repeat. Purchases are completed by the PAYMENT.CAPTURE.COMPLETED webhook,
+ *       so poll transaction-status for the final result.
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *                 example: 5O190127TN364715T
+ *     responses:
+ *       200:
+ *         description: Order captured (or transaction already completed)
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               transactionId: txn_1734123456_abc123
+ *               status: COMPLETED
+ *               captureId: 3C679366HH908993F
+ *       400:
+ *         description: Missing orderId
+ *       404:
+ *         description: No PayPal transaction for this order and user
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *
  * /payments/update-status:
  *   post:
  *     tags:
@@ -969,6 +1139,452 @@
  *         description: Transaction not found
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *
+ * /payments/cart:
+ *   get:
+ *     tags:
+ *       - Payments
+ *     summary: Get the shopping cart
+ *     description: |
+ *       Returns the user's cart purchases repriced from current product prices, with the
+ *       cart coupons re-applied. Coupons that no longer apply are removed and listed in droppedCoupons.
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Cart retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CartSummary'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *
+ * /payments/cart/items:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Add a product to the cart
+ *     description: Free products are added to the library immediately (completed true).
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [purchasableType, purchasableId]
+ *             properties:
+ *               purchasableType:
+ *                 type: string
+ *                 description: Product type (workshop, course, file, lesson_plan, tool, game)
+ *                 example: file
+ *               purchasableId:
+ *                 type: string
+ *                 description: Product ID or entity ID
+ *               additionalData:
+ *                 type: object
+ *     responses:
+ *       201:
+ *         description: Item added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 purchase:
+ *                   type: object
+ *                 completed:
+ *                   type: boolean
+ *                 cart:
+ *                   $ref: '#/components/schemas/CartSummary'
+ *       400:
+ *         description: Missing or unknown product type
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Item already in cart
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *
+ * /payments/cart/items/{id}:
+ *   delete:
+ *     tags:
+ *       - Payments
+ *     summary: Remove an item from the cart
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Cart purchase ID
+ *     responses:
+ *       200:
+ *         description: Item removed, remaining cart recalculated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CartSummary'
+ *       404:
+ *         description: Cart item not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *
+ * /payments/cart/coupons:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Apply a coupon to the cart
+ *     description: |
+ *       The coupon is validated together with the coupons already on the cart (stacking rules)
+ *       and the combined discount is spread across items in proportion to their price.
+ *       Coupon usage is counted when the order is paid.
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [couponCode]
+ *             properties:
+ *               couponCode:
+ *                 type: string
+ *                 example: WELCOME10
+ *     responses:
+ *       200:
+ *         description: Coupon applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CartSummary'
+ *       400:
+ *         description: Coupon invalid, not stackable or not applicable to this cart
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *
+ * /payments/cart/coupons/{code}:
+ *   delete:
+ *     tags:
+ *       - Payments
+ *     summary: Remove a coupon from the cart
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: code
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon removed, cart recalculated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CartSummary'
+ *       404:
+ *         description: Coupon is not applied to this cart
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *
+ * /payments/cart/checkout:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Check out the whole cart
+ *     description: |
+ *       Reprices the cart and opens one payment page for all items. Every cart purchase is
+ *       linked to the same pending Transaction and completed by the provider webhook.
+ *       Carts that are free after coupons are completed immediately.
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 enum: [payplus, paypal, invoice]
+ *                 default: payplus
+ *               purchaseOrderNumber:
+ *                 type: string
+ *               frontendOrigin:
+ *                 type: string
+ *                 default: cart
+ *     responses:
+ *       200:
+ *         description: Payment page created, or free checkout completed
+ *       400:
+ *         description: Empty cart or provider not available
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *
+ * /payments/cart/gifts:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Add a gift to the cart
+ *     description: |
+ *       Gift a product, or one billing period of a subscription plan, to someone else.
+ *       The gift is paid with the rest of the cart; once paid a gift code (GIFT-XXXX-XXXX)
+ *       is emailed to the recipient. The buyer does not get access to the gifted product.
+ *       Codes are valid for 5 years. Free products, free plans and bundles cannot be gifted.
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [recipientEmail]
+ *             properties:
+ *               productId:
+ *                 type: string
+ *                 description: Product to gift (or subscriptionPlanId)
+ *               subscriptionPlanId:
+ *                 type: string
+ *                 description: Subscription plan to gift (or productId)
+ *               recipientEmail:
+ *                 type: string
+ *                 format: email
+ *               recipientName:
+ *                 type: string
+ *               senderName:
+ *                 type: string
+ *                 description: Shown to the recipient (defaults to the buyer's name)
+ *               message:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Gift added to the cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 purchase:
+ *                   type: object
+ *                 cart:
+ *                   $ref: '#/components/schemas/CartSummary'
+ *       400:
+ *         description: Invalid gift details, or the item cannot be gifted
+ *       404:
+ *         description: Product or plan not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *
+ * /payments/gifts:
+ *   get:
+ *     tags:
+ *       - Payments
+ *     summary: List gifts bought by the current user
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Gift codes, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   code:
+ *                     type: string
+ *                     example: GIFT-7KQ2-M9XD
+ *                   status:
+ *                     type: string
+ *                     enum: [active, redeemed, revoked, expired]
+ *                   gift_type:
+ *                     type: string
+ *                     enum: [product, subscription]
+ *                   title:
+ *                     type: string
+ *                   amount:
+ *                     type: number
+ *                   recipient_email:
+ *                     type: string
+ *                   recipient_name:
+ *                     type: string
+ *                     nullable: true
+ *                   purchase_id:
+ *                     type: string
+ *                   expires_at:
+ *                     type: string
+ *                     format: date-time
+ *                   emailed_at:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                   redeemed_at:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                   created_at:
+ *                     type: string
+ *                     format: date-time
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *
+ * /payments/gifts/code/{code}:
+ *   get:
+ *     tags:
+ *       - Payments
+ *     summary: Look up a gift code before redeeming it
+ *     description: Rate limited to 20 attempts per 15 minutes.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: code
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Gift details (title, sender, message, status, expiry)
+ *       404:
+ *         description: Gift code not found
+ *       429:
+ *         description: Too many gift code attempts
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *
+ * /payments/gifts/redeem:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Redeem a gift code
+ *     description: |
+ *       Product gifts grant the current user access to the product (the product's access_days
+ *       apply from redemption). Subscription gifts create a non-renewing subscription for one
+ *       billing period and cannot be redeemed while the user has another subscription.
+ *       A code can be redeemed once. Rate limited to 20 attempts per 15 minutes.
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: GIFT-7KQ2-M9XD
+ *     responses:
+ *       200:
+ *         description: Gift redeemed - returns the access purchase or the subscription
+ *       400:
+ *         description: Gift code expired or revoked
+ *       404:
+ *         description: Gift code not found
+ *       409:
+ *         description: Code already redeemed, or the user already has the product/a subscription
+ *       429:
+ *         description: Too many gift code attempts
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *
+ * /payments/invoices:
+ *   get:
+ *     tags:
+ *       - Payments
+ *     summary: List the current user's tax invoices, credit notes and proformas
+ *     description: |
+ *       Israeli tax documents issued for the user's payments, newest first:
+ *       - tax_invoice_receipt (חשבונית מס/קבלה) for every paid transaction
+ *       - credit_note (חשבונית מס זיכוי) for every refund, with negative amounts
+ *       - proforma (חשבון עסקה) for pay-by-invoice orders - a payment request, not a tax document
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Invoices retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   document_type:
+ *                     type: string
+ *                     enum: [tax_invoice_receipt, credit_note, proforma]
+ *                   document_number:
+ *                     type: string
+ *                     example: 320-000123
+ *                   transaction_id:
+ *                     type: string
+ *                   original_invoice_id:
+ *                     type: string
+ *                     nullable: true
+ *                   net_amount:
+ *                     type: number
+ *                     example: 100.85
+ *                   vat_rate:
+ *                     type: number
+ *                     example: 0.18
+ *                   vat_amount:
+ *                     type: number
+ *                     example: 18.15
+ *                   total_amount:
+ *                     type: number
+ *                     example: 119
+ *                   currency:
+ *                     type: string
+ *                     example: ILS
+ *                   issued_at:
+ *                     type: string
+ *                     format: date-time
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *
+ * /payments/invoices/{id}:
+ *   get:
+ *     tags:
+ *       - Payments
+ *     summary: Download a tax invoice or credit note PDF
+ *     description: |
+ *       Returns the stored PDF, or renders it again from the invoice record.
+ *       Available to the invoice owner and to admins.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invoice ID
+ *     responses:
+ *       200:
+ *         description: Invoice PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Invoice not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  */
 
 export default {};
\ No newline at end of file
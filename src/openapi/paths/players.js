@@ -1397,6 +1397,101 @@ export default {
     }
   },
 
+  '/players/{playerId}/results': {
+    get: {
+      tags: ['Teacher Session Management'],
+      summary: 'Get student game results history (Teacher Admin)',
+      description: `
+        **Scoring History**: Results of every finished game session the student played in the teacher's lobbies.
+
+        **Per Result:** Score, accuracy, time spent, rank and per-content-item correctness.
+        Results of server-authoritative games (memory_game, quiz_game) come from the game engine, others from the game client.
+      `,
+      security: [{ bearerAuth: [] }],
+      parameters: [
+        {
+          name: 'playerId',
+          in: 'path',
+          required: true,
+          schema: { type: 'string' },
+          description: 'Student identifier',
+          example: 'player_abc123'
+        },
+        {
+          name: 'from',
+          in: 'query',
+          schema: { type: 'string', format: 'date' },
+          description: 'First day (YYYY-MM-DD), defaults to 30 days before `to`'
+        },
+        {
+          name: 'to',
+          in: 'query',
+          schema: { type: 'string', format: 'date' },
+          description: 'Last day (YYYY-MM-DD), defaults to today'
+        }
+      ],
+      responses: {
+        200: {
+          description: 'Student results retrieved successfully',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  message: { type: 'string' },
+                  player_id: { type: 'string' },
+                  summary: {
+                    type: 'object',
+                    properties: {
+                      sessions_played: { type: 'integer' },
+                      average_score: { type: 'number', nullable: true },
+                      average_accuracy: { type: 'number', nullable: true },
+                      total_time_seconds: { type: 'integer' },
+                      last_played_at: { type: 'string', format: 'date-time', nullable: true }
+                    }
+                  },
+                  results: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        session_id: { type: 'string' },
+                        game_type: { type: 'string', example: 'memory_game' },
+                        score: { type: 'number', nullable: true },
+                        max_score: { type: 'number', nullable: true },
+                        accuracy: { type: 'number', nullable: true, description: 'Percentage of correct attempts' },
+                        time_spent_seconds: { type: 'integer', nullable: true },
+                        rank: { type: 'integer', nullable: true },
+                        completed: { type: 'boolean' },
+                        source: { type: 'string', enum: ['engine', 'client', 'none'] },
+                        finished_at: { type: 'string', format: 'date-time' },
+                        items: {
+                          type: 'array',
+                          items: {
+                            type: 'object',
+                            properties: {
+                              content_id: { type: 'string' },
+                              is_correct: { type: 'boolean' },
+                              attempts: { type: 'integer' }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  },
+                  count: { type: 'integer' }
+                }
+              }
+            }
+          }
+        },
+        400: { description: 'Invalid date range' },
+        403: { description: 'Access denied (student not owned by teacher)' },
+        404: { description: 'Player not found' }
+      }
+    }
+  },
+
   '/players/{playerId}/logout': {
     post: {
       tags: ['Teacher Session Management'],
@@ -0,0 +1,224 @@
+// OpenAPI documentation for school (institutional) licensing
+// Seat-based school subscriptions managed by the school headmaster
+
+const seatTargetSchema = {
+  type: 'object',
+  description: 'Teacher to assign - by user id or email',
+  properties: {
+    userId: { type: 'string' },
+    email: { type: 'string', format: 'email' }
+  }
+};
+
+const seatSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    school_id: { type: 'string' },
+    subscription_id: { type: 'string' },
+    user_id: { type: 'string' },
+    status: { type: 'string', enum: ['active', 'released'] },
+    assigned_by: { type: 'string' },
+    assigned_at: { type: 'string', format: 'date-time' },
+    released_at: { type: 'string', format: 'date-time', nullable: true }
+  }
+};
+
+const schoolIdParameter = { name: 'schoolId', in: 'path', required: true, schema: { type: 'string' } };
+const seatIdParameter = { name: 'seatId', in: 'path', required: true, schema: { type: 'string' } };
+
+const errorResponses = {
+  401: { $ref: '#/components/responses/UnauthorizedError' },
+  403: { description: 'Not the school headmaster or an admin' }
+};
+
+export default {
+  '/school-licenses/{schoolId}': {
+    get: {
+      tags: ['Subscriptions'],
+      summary: 'School license overview',
+      description: `
+        **Headmaster or admin**: The school's active subscription, seat counts and current seat holders.
+        subscription is null when the school has no active license.
+      `,
+      security: [{ bearerAuth: [] }],
+      parameters: [schoolIdParameter],
+      responses: {
+        200: {
+          description: 'School license',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  schoolId: { type: 'string' },
+                  subscription: { type: 'object', nullable: true },
+                  seats: {
+                    type: 'object',
+                    nullable: true,
+                    properties: {
+                      total: { type: 'integer' },
+                      assigned: { type: 'integer' },
+                      available: { type: 'integer' }
+                    }
+                  },
+                  seatHolders: { type: 'array', items: { type: 'object' } }
+                }
+              }
+            }
+          }
+        },
+        ...errorResponses,
+        404: { description: 'School not found' }
+      }
+    }
+  },
+
+  '/school-licenses/{schoolId}/seats': {
+    post: {
+      tags: ['Subscriptions'],
+      summary: 'Assign a school seat',
+      description: `
+        **Headmaster or admin**: Assign a seat of the school subscription to a teacher.
+
+        - Seat holders are treated as subscribed and claim content from the school's pooled allowance
+        - Teachers without a school join the school; teachers of another school are rejected
+        - A teacher holds at most one seat
+      `,
+      security: [{ bearerAuth: [] }],
+      parameters: [schoolIdParameter],
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: seatTargetSchema } }
+      },
+      responses: {
+        201: {
+          description: 'Seat assigned',
+          content: { 'application/json': { schema: { type: 'object', properties: { seat: seatSchema } } } }
+        },
+        400: { description: 'User is not a teacher or belongs to another school' },
+        ...errorResponses,
+        404: { description: 'School, user or active school subscription not found' },
+        409: { description: 'No seats available or the user already holds a seat' }
+      }
+    }
+  },
+
+  '/school-licenses/{schoolId}/seats/{seatId}': {
+    put: {
+      tags: ['Subscriptions'],
+      summary: 'Reassign a school seat',
+      description: `
+        **Headmaster or admin**: Move a seat to another teacher. The current holder loses access
+        to the school subscription; content claimed on it stays in the school's pool.
+      `,
+      security: [{ bearerAuth: [] }],
+      parameters: [schoolIdParameter, seatIdParameter],
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: seatTargetSchema } }
+      },
+      responses: {
+        200: {
+          description: 'Seat reassigned',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  releasedSeat: seatSchema,
+                  seat: seatSchema
+                }
+              }
+            }
+          }
+        },
+        ...errorResponses,
+        404: { description: 'Seat or user not found' },
+        409: { description: 'Seat already released or the user already holds a seat' }
+      }
+    },
+    delete: {
+      tags: ['Subscriptions'],
+      summary: 'Release a school seat',
+      description: '**Headmaster or admin**: Unassign a seat - the teacher loses access to the school subscription.',
+      security: [{ bearerAuth: [] }],
+      parameters: [schoolIdParameter, seatIdParameter],
+      responses: {
+        200: {
+          description: 'Seat released',
+          content: { 'application/json': { schema: { type: 'object', properties: { seat: seatSchema } } } }
+        },
+        ...errorResponses,
+        404: { description: 'Seat not found' },
+        409: { description: 'Seat already released' }
+      }
+    }
+  },
+
+  '/school-licenses/{schoolId}/usage': {
+    get: {
+      tags: ['Subscriptions'],
+      summary: 'School usage report',
+      description: `
+        **Headmaster or admin**: Monthly usage of the school subscription.
+
+        - allowances: the pooled allowance per product type (plan monthly limit x seats)
+        - teachers: claims per product type of everyone who held a seat during the month
+      `,
+      security: [{ bearerAuth: [] }],
+      parameters: [
+        schoolIdParameter,
+        {
+          name: 'month',
+          in: 'query',
+          schema: { type: 'string', pattern: '^\\d{4}-(0[1-9]|1[0-2])$' },
+          description: 'Report month (YYYY-MM), defaults to the current month'
+        }
+      ],
+      responses: {
+        200: {
+          description: 'Usage report',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  schoolId: { type: 'string' },
+                  monthYear: { type: 'string', example: '2026-10' },
+                  subscription: { type: 'object' },
+                  seats: {
+                    type: 'object',
+                    properties: {
+                      total: { type: 'integer' },
+                      assigned: { type: 'integer' }
+                    }
+                  },
+                  allowances: { type: 'object', description: 'Per product type: allowed, used, remaining' },
+                  totalClaims: { type: 'integer' },
+                  teachers: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        user_id: { type: 'string' },
+                        email: { type: 'string', nullable: true },
+                        full_name: { type: 'string', nullable: true },
+                        seat_status: { type: 'string', enum: ['active', 'released'], nullable: true },
+                        claims: { type: 'object', example: { file: 3, game: 5 } },
+                        total_claims: { type: 'integer' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        400: { description: 'Invalid month format' },
+        ...errorResponses,
+        404: { description: 'School or active school subscription not found' }
+      }
+    }
+  }
+};
\ No newline at end of file
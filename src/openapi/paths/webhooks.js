@@ -323,11 +323,21 @@ export default {
       tags: ['Webhooks'],
       summary: 'Stripe webhook handler',
       description: `
-        Handles Stripe webhooks for payment processing integration.
-        Currently a placeholder implementation for future Stripe payment features.
+        Handles Stripe webhooks for international payment processing.
+        Maps Stripe events onto Purchase, Transaction and Subscription records
+        the same way the PayPlus handler does, and logs every delivery to WebhookLog.
+
+        Handled events:
+        - checkout.session.completed - completes the linked transaction and fulfils purchases/subscription
+        - payment_intent.succeeded - same as above (idempotent with checkout completion)
+        - payment_intent.payment_failed - marks the transaction (and subscription) as failed
+        - charge.refunded - records the refund like an admin refund (access, coupon and claim reversal, creator clawback, credit note)
+        - invoice.paid - activates pending subscriptions or records a renewal transaction
+        - customer.subscription.deleted - cancels the linked subscription
 
         Security:
-        - Stripe signature verification
+        - Stripe-Signature verification (HMAC-SHA256, 5 minute replay tolerance) using STRIPE_WEBHOOK_SECRET
+        - Duplicate event ids are acknowledged without reprocessing
         - Rate limiting protection
       `,
       requestBody: {
@@ -342,11 +352,12 @@ export default {
                 type: {
                   type: 'string',
                   enum: [
+                    'checkout.session.completed',
                     'payment_intent.succeeded',
                     'payment_intent.payment_failed',
-                    'invoice.payment_succeeded',
-                    'customer.subscription.created',
-                    'customer.subscription.updated'
+                    'charge.refunded',
+                    'invoice.paid',
+                    'customer.subscription.deleted'
                   ],
                   description: 'Stripe event type'
                 },
@@ -364,9 +375,9 @@ export default {
         {
           name: 'Stripe-Signature',
           in: 'header',
-          required: false,
+          required: true,
           schema: { type: 'string' },
-          description: 'Stripe webhook signature for verification'
+          description: 'Stripe webhook signature (t=timestamp,v1=signature)'
         }
       ],
       responses: {
@@ -377,8 +388,12 @@ export default {
               schema: {
                 type: 'object',
                 properties: {
-                  message: { type: 'string', example: 'Stripe webhook received' },
-                  type: { type: 'string', example: 'payment_intent.succeeded' }
+                  message: { type: 'string', example: 'Stripe webhook processed successfully' },
+                  type: { type: 'string', example: 'payment_intent.succeeded' },
+                  action: { type: 'string', example: 'completed' },
+                  transactionId: { type: 'string', nullable: true },
+                  subscriptionId: { type: 'string', nullable: true },
+                  webhookId: { type: 'string' }
                 }
               }
             }
@@ -406,11 +421,24 @@ export default {
       tags: ['Webhooks'],
       summary: 'PayPal webhook handler',
       description: `
-        Handles PayPal webhooks for payment processing integration.
-        Currently a placeholder implementation for future PayPal payment features.
+        Completes PayPal checkouts (Orders and Subscriptions) created through the checkout providers.
+
+        Handled events:
+        - CHECKOUT.ORDER.APPROVED - captures the approved order
+        - PAYMENT.CAPTURE.COMPLETED - completes the linked transaction and its purchases
+        - PAYMENT.CAPTURE.DENIED - marks the transaction as failed
+        - PAYMENT.CAPTURE.REFUNDED - records the refund like an admin refund (access, coupon and claim reversal, creator clawback, credit note)
+        - PAYMENT.SALE.COMPLETED - links the first subscription payment or records a renewal transaction
+        - BILLING.SUBSCRIPTION.ACTIVATED - activates the pending subscription
+        - BILLING.SUBSCRIPTION.CANCELLED - cancels, keeping access until the paid period ends
+        - BILLING.SUBSCRIPTION.EXPIRED - expires the subscription
+        - BILLING.SUBSCRIPTION.PAYMENT.FAILED / SUSPENDED - records the failure; fails the subscription once PayPal gives up
+
+        Settled transactions record payment_method 'paypal' and resolution_method 'webhook'.
 
         Security:
-        - PayPal signature verification
+        - Verified with PayPal's verify-webhook-signature API using PAYPAL_WEBHOOK_ID
+        - Duplicate event ids are acknowledged without reprocessing
         - Rate limiting protection
       `,
       requestBody: {
@@ -424,10 +452,16 @@ export default {
                 event_type: {
                   type: 'string',
                   enum: [
+                    'CHECKOUT.ORDER.APPROVED',
                     'PAYMENT.CAPTURE.COMPLETED',
                     'PAYMENT.CAPTURE.DENIED',
-                    'BILLING.SUBSCRIPTION.CREATED',
-                    'BILLING.SUBSCRIPTION.ACTIVATED'
+                    'PAYMENT.CAPTURE.REFUNDED',
+                    'PAYMENT.SALE.COMPLETED',
+                    'BILLING.SUBSCRIPTION.ACTIVATED',
+                    'BILLING.SUBSCRIPTION.CANCELLED',
+                    'BILLING.SUBSCRIPTION.SUSPENDED',
+                    'BILLING.SUBSCRIPTION.EXPIRED',
+                    'BILLING.SUBSCRIPTION.PAYMENT.FAILED'
                   ],
                   description: 'PayPal event type'
                 },
@@ -441,16 +475,27 @@ export default {
           }
         }
       },
+      parameters: [
+        { name: 'PAYPAL-TRANSMISSION-ID', in: 'header', required: true, schema: { type: 'string' } },
+        { name: 'PAYPAL-TRANSMISSION-TIME', in: 'header', required: true, schema: { type: 'string' } },
+        { name: 'PAYPAL-TRANSMISSION-SIG', in: 'header', required: true, schema: { type: 'string' } },
+        { name: 'PAYPAL-CERT-URL', in: 'header', required: true, schema: { type: 'string' } },
+        { name: 'PAYPAL-AUTH-ALGO', in: 'header', required: true, schema: { type: 'string' } }
+      ],
       responses: {
         200: {
-          description: 'PayPal webhook received successfully',
+          description: 'PayPal webhook processed (or duplicate acknowledged)',
           content: {
             'application/json': {
               schema: {
                 type: 'object',
                 properties: {
-                  message: { type: 'string', example: 'PayPal webhook received' },
-                  type: { type: 'string', example: 'PAYMENT.CAPTURE.COMPLETED' }
+                  message: { type: 'string', example: 'PayPal webhook processed successfully' },
+                  type: { type: 'string', example: 'PAYMENT.CAPTURE.COMPLETED' },
+                  action: { type: 'string', example: 'completed' },
+                  transactionId: { type: 'string', nullable: true },
+                  subscriptionId: { type: 'string', nullable: true },
+                  webhookId: { type: 'string' }
                 }
               }
             }
@@ -468,6 +513,9 @@ export default {
               }
             }
           }
+        },
+        500: {
+          description: 'Processing failed - PayPal will redeliver'
         }
       }
     }
@@ -478,11 +526,21 @@ export default {
       tags: ['Webhooks'],
       summary: 'Generic webhook handler',
       description: `
-        Flexible webhook endpoint for handling webhooks from various providers.
-        Useful for testing, development, and integrating with new webhook providers.
+        Pluggable webhook endpoint for integrations registered in services/webhookProviders.
+        Each provider module declares its signature scheme, idempotency key and event handlers,
+        so adding an integration does not touch the router.
+
+        Registered providers:
+        - zoom - meeting.started, meeting.ended, recording.completed for workshops
+          (answers endpoint.url_validation; signed with ZOOM_WEBHOOK_SECRET_TOKEN)
+
+        Processing:
+        - Every delivery is stored in WebhookLog (provider 'generic', integration = provider name)
+        - Deliveries with an already processed idempotency key are acknowledged without reprocessing
+        - Failed handlers are retried by the WEBHOOK_RETRY job (30s, 2m, 10m, 30m, 1h) and answered with 202
 
         Security:
-        - Configurable signature verification
+        - Signature verified with the provider's declared scheme (hmac, token; unsigned only in development)
         - Rate limiting protection
       `,
       parameters: [
@@ -492,10 +550,10 @@ export default {
           required: true,
           schema: {
             type: 'string',
-            pattern: '^[a-zA-Z0-9_-]+$'
+            pattern: '^[a-z0-9_-]+$'
           },
-          description: 'Provider name (alphanumeric, hyphens, underscores only)',
-          example: 'custom-provider'
+          description: 'Registered provider name',
+          example: 'zoom'
         }
       ],
       requestBody: {
@@ -511,50 +569,62 @@ export default {
       },
       responses: {
         200: {
-          description: 'Generic webhook received successfully',
+          description: 'Webhook processed, duplicate acknowledged, or endpoint validation answered',
           content: {
             'application/json': {
               schema: {
                 type: 'object',
                 properties: {
-                  message: { type: 'string', example: 'Generic webhook received' },
-                  provider: { type: 'string', example: 'custom-provider' },
+                  message: { type: 'string', example: 'Webhook processed successfully' },
+                  provider: { type: 'string', example: 'zoom' },
+                  type: { type: 'string', example: 'meeting.started' },
+                  action: { type: 'string', example: 'workshop_meeting_started' },
+                  duplicateOf: { type: 'string', nullable: true },
+                  webhookId: { type: 'string' },
                   timestamp: {
                     type: 'string',
                     format: 'date-time',
-                    example: '2025-12-11T10:30:00Z'
+                    example: '2026-10-18T10:30:00Z'
                   }
-                },
-                required: ['message', 'provider', 'timestamp']
+                }
               }
             }
           }
         },
-        401: {
-          description: 'Invalid webhook signature',
+        202: {
+          description: 'Handler failed - a retry has been scheduled',
           content: {
             'application/json': {
               schema: {
                 type: 'object',
                 properties: {
-                  error: { type: 'string', example: 'Invalid webhook signature' }
+                  message: { type: 'string', example: 'Webhook accepted - processing failed and will be retried' },
+                  retryScheduled: { type: 'boolean', example: true },
+                  webhookId: { type: 'string' }
                 }
               }
             }
           }
         },
-        400: {
-          description: 'Invalid provider name',
+        401: {
+          description: 'Invalid webhook signature',
           content: {
             'application/json': {
               schema: {
                 type: 'object',
                 properties: {
-                  error: { type: 'string', example: 'Invalid provider name format' }
+                  error: { type: 'string', example: 'Unauthorized' },
+                  message: { type: 'string', example: 'Invalid webhook signature' }
                 }
               }
             }
           }
+        },
+        404: {
+          description: 'Unknown webhook provider'
+        },
+        500: {
+          description: 'Processing failed and no retry could be scheduled - the provider should redeliver'
         }
       }
     }
@@ -154,6 +154,71 @@
  *               type: string
  *               example: "Mrs. Cohen"
  *
+ *     LobbySchedule:
+ *       type: object
+ *       description: Automatic open/close schedule of a lobby (one-time window or weekly class slot)
+ *       properties:
+ *         id:
+ *           type: string
+ *         lobby_id:
+ *           type: string
+ *           example: "AB3DE7"
+ *         recurrence:
+ *           type: string
+ *           enum: [once, weekly]
+ *         weekday:
+ *           type: integer
+ *           nullable: true
+ *           description: Weekly slot day (0 = Sunday)
+ *           example: 0
+ *         start_time:
+ *           type: string
+ *           nullable: true
+ *           description: Weekly slot start (HH:mm)
+ *           example: "08:30"
+ *         duration_minutes:
+ *           type: integer
+ *           example: 45
+ *         timezone:
+ *           type: string
+ *           example: "Asia/Jerusalem"
+ *         status:
+ *           type: string
+ *           enum: [scheduled, open, completed, cancelled]
+ *         next_open_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         next_close_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_opened_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_closed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_skipped:
+ *           type: object
+ *           nullable: true
+ *           description: Last occurrence that was skipped (reason shabbat or missed)
+ *           properties:
+ *             occurs_at:
+ *               type: string
+ *               format: date-time
+ *             reason:
+ *               type: string
+ *               enum: [shabbat, missed]
+ *             at:
+ *               type: string
+ *               format: date-time
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *
  *     SessionStateUpdate:
  *       type: object
  *       required: [update_type, data]
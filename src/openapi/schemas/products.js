@@ -126,7 +126,7 @@
  *           description: Unique game identifier
  *         game_type:
  *           type: string
- *           enum: [scatter_game, sharp_and_smooth, memory_game, ar_up_there]
+ *           enum: [scatter_game, sharp_and_smooth, memory_game, quiz_game, ar_up_there]
  *           nullable: true
  *           example: "memory_game"
  *           description: Type of game
@@ -0,0 +1,161 @@
+/**
+ * Achievement Engine Unit Tests
+ *
+ * Rule validation, evaluation on game events and idempotent awards.
+ */
+
+import { jest, describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+// Avoid database dependencies in unit tests
+const dbTransaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+const mockModels = {
+  sequelize: { transaction: jest.fn(async callback => callback(dbTransaction)) },
+  Achievement: { findAll: jest.fn() },
+  PlayerAchievement: { findAll: jest.fn(), findOrCreate: jest.fn() },
+  Player: { findByPk: jest.fn() },
+  GameSession: { findByPk: jest.fn() },
+  GameSessionResult: { findAll: jest.fn(), count: jest.fn() },
+  GameLobby: {},
+  Game: {}
+};
+
+const mockLobbySocketService = { broadcastAchievementUnlocked: jest.fn() };
+
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: mockModels
+}));
+
+jest.unstable_mockModule('../../../services/LobbySocketService.js', () => ({
+  default: mockLobbySocketService
+}));
+
+let AchievementService;
+
+beforeAll(async () => {
+  AchievementService = (await import('../../../services/AchievementService.js')).default;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const lobby = { id: 'lobby_1', owner_user_id: 'teacher_1', game: { game_type: 'memory_game' } };
+
+const memoryWins = {
+  id: 'ach_wins',
+  key: 'memory_wins_10',
+  name: '10 memory games won',
+  rule: { type: 'sessions_won', threshold: 10, game_type: 'memory_game' }
+};
+
+const mockPlayer = () => {
+  const player = { id: 'player_1', achievements: [], update: jest.fn() };
+  mockModels.Player.findByPk.mockResolvedValue(player);
+  return player;
+};
+
+describe('AchievementService', () => {
+  describe('validateRule', () => {
+    test('should normalize valid rules', () => {
+      expect(AchievementService.validateRule({ type: 'daily_streak', threshold: '5', extra: true }))
+        .toEqual({ type: 'daily_streak', threshold: 5 });
+    });
+
+    test('should reject unknown types, missing thresholds and unknown game types', () => {
+      expect(() => AchievementService.validateRule({ type: 'fastest' })).toThrow('rule.type must be one of');
+      expect(() => AchievementService.validateRule({ type: 'sessions_won' })).toThrow('rule.threshold must be a positive integer');
+      expect(() => AchievementService.validateRule({ type: 'perfect_round', game_type: 'chess' })).toThrow('rule.game_type must be one of');
+    });
+  });
+
+  describe('evaluateFinishedSession', () => {
+    beforeEach(() => {
+      mockModels.GameSession.findByPk.mockResolvedValue({ id: 'session_1', lobby });
+      mockModels.GameSessionResult.findAll.mockResolvedValue([
+        { player_id: 'player_1', participant_id: 'part_1', display_name: 'נועה', completed: true, rank: 1, accuracy: '100.00' }
+      ]);
+    });
+
+    test('should award met rules once and broadcast the unlocks', async () => {
+      mockModels.Achievement.findAll.mockResolvedValue([
+        memoryWins,
+        { id: 'ach_perfect', key: 'perfect', name: 'Perfect round', rule: { type: 'perfect_round' } }
+      ]);
+      mockModels.PlayerAchievement.findAll.mockResolvedValue([{ player_id: 'player_1', achievement_id: 'ach_perfect' }]);
+      mockModels.GameSessionResult.count.mockResolvedValue(10);
+      mockModels.PlayerAchievement.findOrCreate.mockResolvedValue([{ id: 'award_1', awarded_at: new Date() }, true]);
+      const player = mockPlayer();
+
+      const unlocks = await AchievementService.evaluateFinishedSession('session_1');
+
+      expect(unlocks).toHaveLength(1);
+      expect(unlocks[0]).toEqual(expect.objectContaining({
+        participant_id: 'part_1',
+        achievement: expect.objectContaining({ key: 'memory_wins_10' })
+      }));
+      expect(mockModels.GameSessionResult.count).toHaveBeenCalledWith(expect.objectContaining({
+        where: { player_id: 'player_1', completed: true, rank: 1 }
+      }));
+      expect(mockModels.PlayerAchievement.findOrCreate).toHaveBeenCalledTimes(1);
+      expect(player.update.mock.calls[0][0].achievements).toEqual([
+        expect.objectContaining({ id: 'ach_wins', key: 'memory_wins_10', session_id: 'session_1' })
+      ]);
+      expect(mockLobbySocketService.broadcastAchievementUnlocked).toHaveBeenCalledWith(
+        { id: 'session_1', lobby },
+        unlocks
+      );
+    });
+
+    test('should not award or broadcast an achievement awarded concurrently', async () => {
+      mockModels.Achievement.findAll.mockResolvedValue([memoryWins]);
+      mockModels.PlayerAchievement.findAll.mockResolvedValue([]);
+      mockModels.GameSessionResult.count.mockResolvedValue(12);
+      mockModels.PlayerAchievement.findOrCreate.mockResolvedValue([{ id: 'award_1' }, false]);
+      const player = mockPlayer();
+
+      const unlocks = await AchievementService.evaluateFinishedSession('session_1');
+
+      expect(unlocks).toEqual([]);
+      expect(player.update).not.toHaveBeenCalled();
+      expect(mockLobbySocketService.broadcastAchievementUnlocked).not.toHaveBeenCalled();
+    });
+
+    test('should skip rules of other game types and never throw', async () => {
+      mockModels.Achievement.findAll.mockResolvedValue([{ ...memoryWins, rule: { ...memoryWins.rule, game_type: 'scatter_game' } }]);
+      mockModels.PlayerAchievement.findAll.mockResolvedValue([]);
+
+      expect(await AchievementService.evaluateFinishedSession('session_1')).toEqual([]);
+      expect(mockModels.GameSessionResult.count).not.toHaveBeenCalled();
+
+      mockModels.Achievement.findAll.mockRejectedValue(new Error('connection lost'));
+      expect(await AchievementService.evaluateFinishedSession('session_1')).toEqual([]);
+    });
+  });
+
+  describe('evaluateStateUpdate', () => {
+    test('should award score rules from the state scores of player participants', async () => {
+      mockModels.Achievement.findAll.mockResolvedValue([
+        { id: 'ach_score', key: 'score_5', name: 'Five pairs', rule: { type: 'score_reached', threshold: 5 } }
+      ]);
+      mockModels.PlayerAchievement.findAll.mockResolvedValue([]);
+      mockModels.PlayerAchievement.findOrCreate.mockResolvedValue([{ id: 'award_1', awarded_at: new Date() }, true]);
+      mockPlayer();
+
+      const unlocks = await AchievementService.evaluateStateUpdate({
+        id: 'session_1',
+        lobby,
+        participants: [
+          { id: 'part_1', player_id: 'player_1', display_name: 'נועה' },
+          { id: 'part_2', user_id: 'user_1', display_name: 'Dan' }
+        ],
+        current_state: { scores: { part_1: 5, part_2: 7 } }
+      });
+
+      expect(unlocks).toHaveLength(1);
+      expect(unlocks[0]).toEqual(expect.objectContaining({ player_id: 'player_1' }));
+      expect(mockModels.PlayerAchievement.findOrCreate.mock.calls[0][0].defaults.metadata)
+        .toEqual({ event: 'state_updated', value: 5, participant_id: 'part_1' });
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,129 @@
+/**
+ * Cart Unit Tests
+ *
+ * Coupon discount allocation across cart items, the cart summary totals and
+ * repricing the cart on read without saving it.
+ */
+
+import { jest, describe, test, expect, beforeAll } from '@jest/globals';
+
+// Avoid database and payment dependencies in unit tests
+const mockModels = {
+  sequelize: { transaction: jest.fn() },
+  Purchase: { findAll: jest.fn() },
+  Product: { findByPk: jest.fn() },
+  Coupon: { findAll: jest.fn() }
+};
+
+const mockCouponValidationService = {
+  validateCouponStacking: jest.fn()
+};
+
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: mockModels
+}));
+
+jest.unstable_mockModule('../../../services/PaymentService.js', () => ({
+  default: { validatePurchaseCreation: jest.fn() }
+}));
+
+jest.unstable_mockModule('../../../services/CouponValidationService.js', () => ({
+  default: mockCouponValidationService
+}));
+
+let CartService;
+
+beforeAll(async () => {
+  CartService = (await import('../../../services/CartService.js')).default;
+});
+
+describe('Cart', () => {
+  describe('allocateDiscount', () => {
+    test('should spread the discount in proportion to item prices', () => {
+      expect(CartService.allocateDiscount([100, 50], 30)).toEqual([20, 10]);
+    });
+
+    test('should always add up to the discount in whole agorot', () => {
+      const shares = CartService.allocateDiscount([33.33, 33.33, 33.34], 10);
+      expect(Math.round(shares.reduce((sum, share) => sum + share, 0) * 100)).toBe(1000);
+      shares.forEach(share => expect(Math.round(share * 100)).toBe(share * 100));
+    });
+
+    test('should never discount an item below zero', () => {
+      const prices = [0.01, 99.99];
+      const shares = CartService.allocateDiscount(prices, 150);
+      expect(shares).toEqual([0.01, 99.99]);
+    });
+
+    test('should return no discount for free carts', () => {
+      expect(CartService.allocateDiscount([0, 0], 10)).toEqual([0, 0]);
+    });
+  });
+
+  describe('buildCartSummary', () => {
+    test('should total the cart and list cart coupons once', () => {
+      const purchases = [
+        { id: 'pur_1', purchasable_type: 'file', purchasable_id: 'prod_1', original_price: '100.00', discount_amount: '20.00', payment_amount: '80.00', coupon_code: 'SPRING', metadata: { product_title: 'דף עבודה', coupon_codes: ['SPRING', 'VIP'] } },
+        { id: 'pur_2', purchasable_type: 'game', purchasable_id: 'prod_2', original_price: '49.90', discount_amount: '9.98', payment_amount: '39.92', coupon_code: 'SPRING', metadata: { coupon_codes: ['SPRING', 'VIP'] } }
+      ];
+
+      const summary = CartService.buildCartSummary(purchases);
+
+      expect(summary.totals).toEqual({ subtotal: 149.9, discount: 29.98, total: 119.92 });
+      expect(summary.coupons).toEqual(['SPRING', 'VIP']);
+      expect(summary.item_count).toBe(2);
+      expect(summary.items[0]).toEqual(expect.objectContaining({ title: 'דף עבודה', payment_amount: 80 }));
+    });
+  });
+
+  describe('getCart', () => {
+    test('should reprice the cart without saving it', async () => {
+      const purchase = {
+        id: 'pur_1',
+        purchasable_type: 'file',
+        purchasable_id: 'prod_1',
+        original_price: '80.00',
+        discount_amount: '8.00',
+        payment_amount: '72.00',
+        coupon_code: 'SPRING',
+        metadata: { product_title: 'דף עבודה', coupon_codes: ['SPRING'] },
+        update: jest.fn()
+      };
+      mockModels.Purchase.findAll.mockResolvedValue([purchase]);
+      mockModels.Product.findByPk.mockResolvedValue({ id: 'prod_1', price: '100.00' });
+      mockCouponValidationService.validateCouponStacking.mockResolvedValue({
+        data: { applied_coupons: [{ code: 'SPRING' }], total_discount: 10 }
+      });
+      mockModels.Coupon.findAll.mockResolvedValue([{ id: 'coupon_1', code: 'SPRING' }]);
+
+      const cart = await CartService.getCart('user_1');
+
+      expect(cart.totals).toEqual({ subtotal: 100, discount: 10, total: 90 });
+      expect(cart.droppedCoupons).toEqual([]);
+      expect(purchase.update).not.toHaveBeenCalled();
+      expect(mockModels.sequelize.transaction).not.toHaveBeenCalled();
+    });
+
+    test('should report coupons that no longer apply', async () => {
+      mockModels.Purchase.findAll.mockResolvedValue([{
+        id: 'pur_1',
+        purchasable_type: 'file',
+        purchasable_id: 'prod_1',
+        original_price: '100.00',
+        discount_amount: '10.00',
+        payment_amount: '90.00',
+        coupon_code: 'EXPIRED',
+        metadata: { coupon_codes: ['EXPIRED'] },
+        update: jest.fn()
+      }]);
+      mockModels.Product.findByPk.mockResolvedValue({ id: 'prod_1', price: '100.00' });
+      mockCouponValidationService.validateCouponStacking.mockRejectedValue(new Error('Coupon expired'));
+
+      const cart = await CartService.getCart('user_1');
+
+      expect(cart.droppedCoupons).toEqual(['EXPIRED']);
+      expect(cart.coupons).toEqual([]);
+      expect(cart.totals.total).toBe(100);
+    });
+  });
+});
\ No newline at end of file
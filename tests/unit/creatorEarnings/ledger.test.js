@@ -0,0 +1,93 @@
+/**
+ * Creator Earnings Ledger Unit Tests
+ *
+ * Revenue split rounding, subscription revenue normalization and the payout CSV.
+ */
+
+import { jest, describe, test, expect, beforeAll } from '@jest/globals';
+
+// Avoid database and settings dependencies in unit tests
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: {}
+}));
+
+jest.unstable_mockModule('../../../services/SettingsService.js', () => ({
+  default: { getSettings: jest.fn() }
+}));
+
+let CreatorEarningsService;
+
+beforeAll(async () => {
+  CreatorEarningsService = (await import('../../../services/CreatorEarningsService.js')).default;
+});
+
+describe('Creator Earnings Ledger', () => {
+  describe('calculateSplit', () => {
+    test('should round the creator share down and give the remainder to the platform', () => {
+      expect(CreatorEarningsService.calculateSplit(49.9, 70)).toEqual({ creatorAmount: 34.93, platformAmount: 14.97 });
+      expect(CreatorEarningsService.calculateSplit(10.01, 50)).toEqual({ creatorAmount: 5, platformAmount: 5.01 });
+    });
+
+    test('should split negative clawback amounts symmetrically', () => {
+      expect(CreatorEarningsService.calculateSplit(-49.9, 70)).toEqual({ creatorAmount: -34.93, platformAmount: -14.97 });
+    });
+
+    test('should always add up to the gross amount', () => {
+      for (const gross of [0.01, 0.99, 19.9, 33.33, 149.9]) {
+        const { creatorAmount, platformAmount } = CreatorEarningsService.calculateSplit(gross, 65);
+        expect(Math.round((creatorAmount + platformAmount) * 100)).toBe(Math.round(gross * 100));
+      }
+    });
+  });
+
+  describe('isValidPeriod', () => {
+    test('should accept YYYY-MM and reject anything else', () => {
+      expect(CreatorEarningsService.isValidPeriod('2026-09')).toBe(true);
+      expect(CreatorEarningsService.isValidPeriod('2026-13')).toBe(false);
+      expect(CreatorEarningsService.isValidPeriod('2026-9')).toBe(false);
+      expect(CreatorEarningsService.isValidPeriod("2026-09'; --")).toBe(false);
+      expect(CreatorEarningsService.isValidPeriod(null)).toBe(false);
+    });
+  });
+
+  describe('getMonthlySubscriptionRevenue', () => {
+    test('should use monthly prices as-is and spread yearly prices over 12 months', () => {
+      expect(CreatorEarningsService.getMonthlySubscriptionRevenue({ billing_price: '39.90', billing_period: 'monthly' }, '2026-09')).toBe(39.9);
+      expect(CreatorEarningsService.getMonthlySubscriptionRevenue({ billing_price: '360.00', billing_period: 'yearly' }, '2026-09')).toBe(30);
+    });
+  });
+
+  describe('buildPayoutCsv', () => {
+    test('should render a header row and escape creator names', () => {
+      const csv = CreatorEarningsService.buildPayoutCsv([{
+        batch_id: 'payout_202609_abc123',
+        creator_user_id: 'user_1',
+        creator_name: 'כהן, דנה',
+        creator_email: 'dana@example.com',
+        through_period: '2026-09',
+        entries_count: 3,
+        earnings_amount: 100,
+        clawbacks_amount: -20,
+        payout_amount: 80,
+        currency: 'ILS'
+      }]);
+
+      const lines = csv.replace('\uFEFF', '').trim().split('\r\n');
+      expect(csv.startsWith('\uFEFF')).toBe(true);
+      expect(lines[0]).toBe('batch_id,creator_user_id,creator_name,creator_email,through_period,entries_count,earnings_amount,clawbacks_amount,payout_amount,currency');
+      expect(lines[1]).toBe('payout_202609_abc123,user_1,"כהן, דנה",dana@example.com,2026-09,3,100,-20,80,ILS');
+    });
+
+    test('should keep spreadsheet formulas in names from running', () => {
+      const csv = CreatorEarningsService.buildPayoutCsv([{
+        creator_name: '=HYPERLINK("http://evil.example","דנה")',
+        creator_email: '@dana',
+        clawbacks_amount: '-20.00',
+        payout_amount: -5
+      }]);
+
+      const cells = csv.replace('\uFEFF', '').trim().split('\r\n')[1];
+      expect(cells).toBe(',,"\'=HYPERLINK(""http://evil.example"",""דנה"")",\'@dana,,,,-20.00,-5,');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,291 @@
+/**
+ * Data Subject Request Unit Tests
+ *
+ * Export archives, erasure across models and storage, legal holds and the audit trail.
+ */
+
+import { jest, describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+import JSZip from 'jszip';
+
+// Avoid database, storage, job queue and email dependencies in unit tests
+const matchesWhere = (record, where = {}) => Object.entries(where).every(([field, value]) =>
+  Array.isArray(value) ? value.includes(record[field]) : record[field] === value);
+
+const withInstanceMethods = (record) => Object.assign(record, {
+  update: jest.fn(async fields => Object.assign(record, fields)),
+  reload: jest.fn(async () => record),
+  destroy: jest.fn(async () => {}),
+  toJSON: () => Object.fromEntries(Object.entries(record).filter(([, value]) => typeof value !== 'function'))
+});
+
+const mockRequests = new Map();
+const createModelMock = () => ({
+  findAll: jest.fn(async () => []),
+  findByPk: jest.fn(async () => null),
+  count: jest.fn(async () => 0),
+  destroy: jest.fn(async () => 0)
+});
+
+const mockTransaction = { commit: jest.fn(), rollback: jest.fn() };
+const mockModels = {
+  sequelize: { transaction: jest.fn(async () => mockTransaction) },
+  DataSubjectRequest: {
+    create: jest.fn(async data => {
+      const request = withInstanceMethods({ ...data });
+      mockRequests.set(request.id, request);
+      return request;
+    }),
+    findByPk: jest.fn(async id => mockRequests.get(id) || null),
+    findOne: jest.fn(async ({ where }) => [...mockRequests.values()].find(request => matchesWhere(request, where)) || null),
+    findAll: jest.fn(async ({ where }) => [...mockRequests.values()].filter(request => matchesWhere(request, where))),
+    count: jest.fn(async ({ where }) => [...mockRequests.values()].filter(request => matchesWhere(request, where)).length)
+  }
+};
+[
+  'User', 'Player', 'UserSession', 'RefreshToken', 'PaymentMethod', 'ParentConsent', 'StudentInvitation',
+  'ClassroomMembership', 'SchoolSeat', 'GameSessionResult', 'GameSessionResultItem', 'Logs', 'EmailLog',
+  'SupportMessage', 'Purchase', 'Subscription', 'SubscriptionHistory', 'SubscriptionPurchase', 'Transaction',
+  'Invoice', 'GiftCode', 'CreatorEarning', 'Classroom', 'PlayerAchievement', 'GameSession', 'Product', 'File'
+].forEach(model => {
+  mockModels[model] = createModelMock();
+});
+
+const mockStorage = new Map();
+const mockFileService = {
+  useS3: true,
+  uploadToS3WithTransaction: jest.fn(async ({ key, buffer }) => {
+    mockStorage.set(key, buffer);
+    return { success: true, key };
+  }),
+  downloadToBuffer: jest.fn(async key => mockStorage.get(key)),
+  getS3ObjectMetadata: jest.fn(async key => ({ success: true, data: { size: mockStorage.get(key)?.length || 0 } })),
+  deleteS3Object: jest.fn(async key => {
+    mockStorage.delete(key);
+    return { success: true, key };
+  })
+};
+const mockEmailService = { sendEmail: jest.fn() };
+const mockJobScheduler = { scheduleJob: jest.fn() };
+
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: mockModels
+}));
+
+jest.unstable_mockModule('../../../config/firebase.js', () => ({
+  admin: null
+}));
+
+jest.unstable_mockModule('../../../services/FileService.js', () => ({
+  default: mockFileService
+}));
+
+jest.unstable_mockModule('../../../services/EmailService.js', () => ({
+  default: mockEmailService
+}));
+
+jest.unstable_mockModule('../../../services/JobScheduler.js', () => ({
+  default: mockJobScheduler
+}));
+
+jest.unstable_mockModule('../../../services/InvoiceService.js', () => ({
+  default: { getInvoicePdf: jest.fn(async () => Buffer.from('%PDF-invoice')) }
+}));
+
+jest.unstable_mockModule('../../../services/EntityService.js', () => ({
+  default: { getModel: jest.fn(() => mockModels.File) }
+}));
+
+let DataSubjectRequestService;
+
+beforeAll(async () => {
+  DataSubjectRequestService = (await import('../../../services/DataSubjectRequestService.js')).default;
+});
+
+const admin = { id: 'user_admin1', role: 'admin' };
+
+const buildUser = () => withInstanceMethods({
+  id: 'user_student1',
+  email: 'dana@school.org',
+  full_name: 'Dana',
+  phone: '050-0000000',
+  is_active: true
+});
+
+const auditActions = request => request.audit_trail.map(entry => entry.action);
+
+let user;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockRequests.clear();
+  mockStorage.clear();
+  user = buildUser();
+  mockModels.User.findByPk.mockImplementation(async id => (id === user.id ? user : { id, email: 'admin@ludora.app' }));
+  mockJobScheduler.scheduleJob.mockResolvedValue(null);
+});
+
+describe('Data export', () => {
+  test('should build a ZIP of the subject\'s data without secrets and keep it for 7 days', async () => {
+    mockModels.RefreshToken.findAll.mockResolvedValue([
+      withInstanceMethods({ id: 'token_1', user_id: user.id, token_hash: 'secret-hash' })
+    ]);
+    mockModels.Invoice.findAll.mockResolvedValue([
+      withInstanceMethods({ id: 'invoice_1', user_id: user.id, document_type: 'tax_invoice_receipt', invoice_number: 7 })
+    ]);
+    mockModels.Invoice.findByPk.mockImplementation(async id => ({ id }));
+    mockModels.GameSession.findAll.mockResolvedValue([{
+      id: 'session_1',
+      participants: [
+        { id: 'p1', type: 'user', user_id: user.id, display_name: 'Dana' },
+        { id: 'p2', type: 'user', user_id: 'user_other', display_name: 'Noa' }
+      ]
+    }]);
+
+    const request = await DataSubjectRequestService.createRequest(
+      { request_type: 'export', subject_type: 'user', subject_id: user.id },
+      admin
+    );
+
+    expect(request.status).toBe('completed');
+    expect(auditActions(request)).toEqual(['requested', 'started', 'completed']);
+    expect(request.export_s3_key).toBe(`private/document/dsr/${request.id}/export.zip`);
+    expect(request.export_expires_at.getTime() - Date.now()).toBeGreaterThan(6.9 * 24 * 60 * 60 * 1000);
+
+    const zip = await JSZip.loadAsync(mockStorage.get(request.export_s3_key));
+    const tokens = JSON.parse(await zip.file('data/refresh_tokens.json').async('string'));
+    expect(tokens).toEqual([{ id: 'token_1', user_id: user.id }]);
+    expect(JSON.parse(await zip.file('data/user.json').async('string'))[0]).toMatchObject({ email: 'dana@school.org' });
+    expect(JSON.parse(await zip.file('data/game_sessions.json').async('string'))[0].participant.display_name).toBe('Dana');
+    expect(zip.file(/^files\/invoices\/.+\.pdf$/)).toHaveLength(1);
+    expect(JSON.parse(await zip.file('manifest.json').async('string')).sections).toMatchObject({ refresh_tokens: 1, invoices: 1 });
+
+    // The requesting admin is told the export is ready
+    expect(mockEmailService.sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'admin@ludora.app' }));
+
+    const archive = await DataSubjectRequestService.getExportArchive(request.id, admin);
+    expect(archive.filename).toBe(`ludora-data-user-${user.id}.zip`);
+    expect(auditActions(request).at(-1)).toBe('downloaded');
+
+    // Expired archives are deleted by the cleanup job
+    request.export_expires_at = new Date(Date.now() - 1000);
+    mockModels.DataSubjectRequest.findAll.mockResolvedValueOnce([request]);
+    expect(await DataSubjectRequestService.cleanupExpiredExports()).toEqual({ deleted: 1, failed: 0 });
+    expect(request.export_s3_key).toBeNull();
+    expect(mockStorage.size).toBe(0);
+  });
+
+  test('should only let parents download their own requests and reject duplicate open requests', async () => {
+    mockJobScheduler.scheduleJob.mockResolvedValue({ id: 'job_1' });
+
+    const request = await DataSubjectRequestService.createRequest(
+      { request_type: 'export', subject_type: 'user', subject_id: user.id },
+      { id: 'user_parent1', role: 'parent' }
+    );
+
+    expect(request).toMatchObject({ status: 'pending', job_id: 'job_1' });
+    expect(auditActions(request)).toEqual(['requested', 'queued']);
+    expect(mockJobScheduler.scheduleJob).toHaveBeenCalledWith('DATA_SUBJECT_REQUEST', { requestId: request.id }, expect.any(Object));
+
+    await expect(DataSubjectRequestService.createRequest(
+      { request_type: 'export', subject_type: 'user', subject_id: user.id },
+      admin
+    )).rejects.toThrow('open request');
+
+    await expect(DataSubjectRequestService.getExportArchive(request.id, { id: 'user_parent2', role: 'user' }))
+      .rejects.toThrow('Not your data request');
+    await expect(DataSubjectRequestService.getExportArchive(request.id, { id: 'user_parent1', role: 'user' }))
+      .rejects.toThrow('Export is not ready');
+  });
+});
+
+describe('Data erasure', () => {
+  test('should delete personal records and files, retain financial records and anonymize the user', async () => {
+    const participants = [
+      { id: 'p1', type: 'user', user_id: user.id, display_name: 'Dana' },
+      { id: 'p2', type: 'user', user_id: 'user_other', display_name: 'Noa' }
+    ];
+    const session = withInstanceMethods({ id: 'session_1', participants });
+    mockModels.GameSession.findAll.mockResolvedValue([session]);
+    mockModels.GameSessionResult.findAll.mockResolvedValue([{ id: 'result_1' }, { id: 'result_2' }]);
+    mockModels.GameSessionResultItem.destroy.mockResolvedValue(6);
+    mockModels.UserSession.destroy.mockResolvedValue(3);
+    mockModels.Purchase.count.mockImplementation(async ({ where }) => (where.buyer_user_id ? 2 : 0));
+
+    const draft = withInstanceMethods({ id: 'product_draft', product_type: 'file', entity_id: 'file_1', is_published: false });
+    const published = withInstanceMethods({ id: 'product_live', product_type: 'file', entity_id: 'file_2', is_published: true });
+    const draftFile = withInstanceMethods({ id: 'file_1', file_name: 'worksheet.pdf' });
+    mockModels.Product.findAll.mockResolvedValue([draft, published]);
+    mockModels.File.findByPk.mockResolvedValue(draftFile);
+    mockStorage.set('private/document/file/file_1/worksheet.pdf', Buffer.from('pdf'));
+
+    const request = await DataSubjectRequestService.createRequest(
+      { request_type: 'erasure', subject_type: 'user', subject_id: user.id, reason: 'Parent request' },
+      admin
+    );
+
+    expect(request.status).toBe('completed');
+    expect(request.result.deleted).toMatchObject({ sessions: 3, game_results: 0, game_result_items: 6, products_created: 1 });
+    expect(request.result.retained).toMatchObject({ purchases: 2, products_created: 1 });
+    expect(request.result.files).toEqual({ deleted: 1, failed: 0 });
+    expect(mockModels.GameSessionResultItem.destroy).toHaveBeenCalledWith(expect.objectContaining({
+      where: { result_id: ['result_1', 'result_2'] }
+    }));
+
+    expect(user).toMatchObject({ email: `erased-${user.id}@erased.ludora.app`, full_name: 'משתמש שנמחק', phone: null, is_active: false });
+    expect(session.participants).toEqual([
+      { id: 'p1', type: 'user', user_id: user.id, display_name: 'משתמש שנמחק' },
+      participants[1]
+    ]);
+
+    expect(draft.destroy).toHaveBeenCalled();
+    expect(draftFile.destroy).toHaveBeenCalled();
+    expect(published.destroy).not.toHaveBeenCalled();
+    expect(mockStorage.has('private/document/file/file_1/worksheet.pdf')).toBe(false);
+
+    // Files are deleted only after the database changes commit
+    expect(mockTransaction.commit.mock.invocationCallOrder[0])
+      .toBeLessThan(mockFileService.deleteS3Object.mock.invocationCallOrder[0]);
+  });
+
+  test('should record failures and roll back so an admin can retry', async () => {
+    mockModels.ParentConsent.destroy.mockRejectedValueOnce(new Error('deadlock detected'));
+
+    const request = await DataSubjectRequestService.createRequest(
+      { request_type: 'erasure', subject_type: 'user', subject_id: user.id },
+      admin
+    );
+
+    expect(request).toMatchObject({ status: 'failed', error_message: 'deadlock detected' });
+    expect(mockTransaction.rollback).toHaveBeenCalled();
+    expect(user.update).not.toHaveBeenCalled();
+
+    const retried = await DataSubjectRequestService.retryRequest(request.id, admin);
+    expect(retried.status).toBe('completed');
+    expect(auditActions(retried)).toEqual(['requested', 'started', 'failed', 'retried', 'started', 'completed']);
+  });
+
+  test('should hold erasure while a legal hold is set and run it once released', async () => {
+    mockJobScheduler.scheduleJob.mockResolvedValue({ id: 'job_1' });
+    const request = await DataSubjectRequestService.createRequest(
+      { request_type: 'erasure', subject_type: 'user', subject_id: user.id },
+      admin
+    );
+
+    await DataSubjectRequestService.setLegalHold(request.id, admin, 'Pending payment dispute');
+    expect(request).toMatchObject({ status: 'on_hold', legal_hold: true, legal_hold_set_by: admin.id });
+
+    // A job that was already queued does not erase
+    expect(await DataSubjectRequestService.processRequest(request.id)).toMatchObject({ status: 'on_hold' });
+    expect(user.update).not.toHaveBeenCalled();
+
+    mockJobScheduler.scheduleJob.mockResolvedValue(null);
+    await DataSubjectRequestService.releaseLegalHold(request.id, admin);
+
+    expect(request.status).toBe('completed');
+    expect(user.full_name).toBe('משתמש שנמחק');
+    expect(auditActions(request)).toEqual([
+      'requested', 'queued', 'legal_hold_set', 'blocked_by_legal_hold', 'legal_hold_released', 'started', 'completed'
+    ]);
+    expect(request.audit_trail[2]).toMatchObject({ actor_id: admin.id, details: { reason: 'Pending payment dispute' } });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,177 @@
+/**
+ * Memory Game Engine Unit Tests
+ *
+ * Dealing, move validation, scoring and automatic finish.
+ */
+
+import { jest, describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+// Avoid database dependencies in unit tests
+const dbTransaction = { LOCK: { UPDATE: 'UPDATE' }, commit: jest.fn(), rollback: jest.fn() };
+
+const mockModels = {
+  sequelize: { transaction: jest.fn(async () => dbTransaction) },
+  GameSession: { findByPk: jest.fn() }
+};
+
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: mockModels
+}));
+
+let MemoryGameEngine;
+let GameSessionService;
+
+beforeAll(async () => {
+  MemoryGameEngine = (await import('../../../services/gameEngines/MemoryGameEngine.js')).default;
+  GameSessionService = (await import('../../../services/GameSessionService.js')).default;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const pairs = ['cat', 'dog', 'sun'].map(word => ({
+  id: `use_${word}`,
+  contentItems: [
+    { id: `${word}_he`, element_type: 'data', content: `${word} (he)` },
+    { id: `${word}_en`, element_type: 'data', content: word }
+  ]
+}));
+
+const participants = [{ id: 'part_1' }, { id: 'part_2' }];
+
+// Card ids of both cards of a pair, looked up in the hidden deck
+const findPair = (engineState, pairId) =>
+  engineState.deck.filter(card => card.pair_id === pairId).map(card => card.id);
+
+const flip = (state, engineState, participantId, cardId, options) =>
+  MemoryGameEngine.applyMove(state, engineState, participantId, { type: 'flip', card_id: cardId }, options);
+
+describe('Memory Game Engine', () => {
+  describe('deal', () => {
+    test('should deal face-down cards without revealing the pairs', () => {
+      const { state, engineState } = MemoryGameEngine.deal(pairs, participants, { pair_count: 2 });
+
+      expect(state.board).toHaveLength(4);
+      expect(state.board.every(card => card.status === 'hidden' && card.face === null)).toBe(true);
+      expect(JSON.stringify(state)).not.toContain('use_');
+      expect(engineState.deck).toHaveLength(4);
+      expect(state.current_turn).toBe('part_1');
+      expect(state.scores).toEqual({ part_1: 0, part_2: 0 });
+    });
+
+    test('should require at least two content pairs', () => {
+      expect(() => MemoryGameEngine.deal(pairs.slice(0, 1), participants))
+        .toThrow('Memory game needs at least 2 content pairs');
+    });
+  });
+
+  describe('applyMove', () => {
+    test('should enforce turn order and pass the turn on a mismatch', () => {
+      const { state, engineState } = MemoryGameEngine.deal(pairs, participants, { pair_count: 2 });
+      const firstCard = engineState.deck[0].id;
+      const otherCard = engineState.deck.find(card => card.pair_id !== engineState.deck[0].pair_id).id;
+
+      expect(() => flip(state, engineState, 'part_2', firstCard)).toThrow('Not your turn');
+
+      const first = flip(state, engineState, 'part_1', firstCard);
+      expect(first.result).toBe('flipped');
+      expect(first.state.board.find(c => c.id === firstCard).face).toEqual(expect.objectContaining({ element_type: 'data' }));
+      expect(() => flip(first.state, engineState, 'part_1', firstCard)).toThrow('Card is already face up');
+
+      const second = flip(first.state, engineState, 'part_1', otherCard);
+      expect(second.result).toBe('mismatch');
+      expect(second.state.current_turn).toBe('part_2');
+      expect(second.state.scores.part_1).toBe(0);
+
+      // The mismatched cards are turned back over on the next flip
+      const third = flip(second.state, engineState, 'part_2', otherCard);
+      expect(third.state.board.find(c => c.id === firstCard).status).toBe('hidden');
+    });
+
+    test('should score matches and finish when every pair is matched', () => {
+      const dealt = MemoryGameEngine.deal(pairs, participants, { pair_count: 2 });
+      let { state } = dealt;
+      const { engineState } = dealt;
+
+      for (const pairId of [...new Set(engineState.deck.map(card => card.pair_id))]) {
+        for (const cardId of findPair(engineState, pairId)) {
+          ({ state } = flip(state, engineState, 'part_1', cardId));
+        }
+      }
+
+      expect(MemoryGameEngine.isFinished(state)).toBe(true);
+      expect(state.winners).toEqual(['part_1']);
+      expect(MemoryGameEngine.getResults(state)).toEqual(expect.objectContaining({
+        completed: true,
+        scores: { part_1: 2, part_2: 0 },
+        pairs_matched: 2,
+        rankings: [
+          { participant_id: 'part_1', score: 2, rank: 1 },
+          { participant_id: 'part_2', score: 0, rank: 2 }
+        ]
+      }));
+    });
+
+    test('should skip the turn of a participant who left', () => {
+      const { state, engineState } = MemoryGameEngine.deal(pairs, participants, { pair_count: 2 });
+
+      const { state: next } = flip(state, engineState, 'part_2', engineState.deck[0].id, { activeParticipantIds: ['part_2'] });
+      expect(next.current_turn).toBe('part_2');
+    });
+  });
+
+  describe('GameSessionService.applyMove', () => {
+    test('should finish the session with the engine results on the last match', async () => {
+      const { state, engineState } = MemoryGameEngine.deal(pairs, [{ id: 'part_1' }], { pair_count: 2 });
+      const [firstPairId, secondPairId] = [...new Set(engineState.deck.map(card => card.pair_id))];
+
+      // Everything but the last card is already matched
+      let current = state;
+      for (const cardId of findPair(engineState, firstPairId)) {
+        ({ state: current } = flip(current, engineState, 'part_1', cardId));
+      }
+      const [lastPairFirst, lastPairSecond] = findPair(engineState, secondPairId);
+      ({ state: current } = flip(current, engineState, 'part_1', lastPairFirst));
+
+      const session = {
+        id: 'session_1',
+        participants: [{ id: 'part_1', type: 'player', player_id: 'player_1' }],
+        current_state: current,
+        engine_state: engineState,
+        finished_at: null,
+        update: jest.fn()
+      };
+      mockModels.GameSession.findByPk.mockResolvedValue(session);
+      const finishSpy = jest.spyOn(GameSessionService, 'finishSession').mockResolvedValue({ id: 'session_1', status: 'closed' });
+
+      const { result } = await GameSessionService.applyMove(
+        'session_1',
+        { type: 'flip', card_id: lastPairSecond },
+        { userId: null, playerId: 'player_1' }
+      );
+
+      expect(result).toBe('match');
+      expect(mockModels.GameSession.findByPk).toHaveBeenCalledWith('session_1', expect.objectContaining({ lock: 'UPDATE' }));
+      expect(session.update.mock.calls[0][0].current_state.phase).toBe('finished');
+      expect(dbTransaction.commit).toHaveBeenCalled();
+      expect(finishSpy).toHaveBeenCalledWith('session_1', { reason: 'completed' }, null, null, { automatic: true });
+
+      finishSpy.mockRestore();
+    });
+
+    test('should reject moves from sockets that are not participants', async () => {
+      mockModels.GameSession.findByPk.mockResolvedValue({
+        id: 'session_1',
+        participants: [{ id: 'part_1', type: 'player', player_id: 'player_1' }],
+        current_state: { engine: 'memory_game', phase: 'playing' },
+        engine_state: { deck: [] },
+        finished_at: null
+      });
+
+      await expect(GameSessionService.applyMove('session_1', { type: 'flip', card_id: 'card_1' }, { userId: null, playerId: 'player_9' }))
+        .rejects.toThrow('Access denied: Not a session participant');
+      expect(dbTransaction.rollback).toHaveBeenCalled();
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,166 @@
+/**
+ * Quiz Game Engine Unit Tests
+ *
+ * Question bank, distractors, server-side answer checking, question timers and game settings rules.
+ */
+
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+
+// Avoid database dependencies in unit tests
+const mockModels = {
+  Game: { findByPk: jest.fn() }
+};
+const mockGameContentService = { getGameContents: jest.fn() };
+
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: mockModels
+}));
+
+jest.unstable_mockModule('../../../services/GameContentService.js', () => ({
+  default: mockGameContentService
+}));
+
+let QuizGameEngine;
+let GameDetailsService;
+let validateGameTypeData;
+
+beforeAll(async () => {
+  QuizGameEngine = (await import('../../../services/gameEngines/QuizGameEngine.js')).default;
+  GameDetailsService = (await import('../../../services/GameDetailsService.js')).default;
+  ({ validateGameTypeData } = await import('../../../config/gameTypes.js'));
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const capitals = [['France', 'Paris', 'easy'], ['Italy', 'Rome', 'easy'], ['Spain', 'Madrid', 'medium'], ['Peru', 'Lima', 'hard']];
+
+const pairs = capitals.map(([country, capital, difficulty]) => ({
+  id: `use_${country}`,
+  usage_metadata: { difficulty, category: 'capitals', ...(country === 'France' ? { distractors: ['Lyon', 'Paris'] } : {}) },
+  contentItems: [
+    { id: `q_${country}`, element_type: 'data', content: `Capital of ${country}?` },
+    { id: `a_${capital}`, element_type: 'data', content: capital }
+  ]
+}));
+
+const participants = [{ id: 'part_1' }, { id: 'part_2' }];
+
+const deal = (settings = {}) => QuizGameEngine.deal(
+  { questions: QuizGameEngine.buildQuestionBank(pairs), gameSettings: { question_count: 3, choices_per_question: 3 } },
+  participants,
+  settings
+);
+
+const answer = (state, engineState, participantId, choiceId) =>
+  QuizGameEngine.applyMove(state, engineState, participantId, { type: 'answer', choice_id: choiceId });
+
+describe('Quiz Game Engine', () => {
+  test('should deal multiple-choice questions without revealing the answers', () => {
+    const { state, engineState } = deal();
+
+    expect(state.questions_total).toBe(3);
+    expect(state.question.choices).toHaveLength(3);
+    expect(JSON.stringify(state)).not.toContain('correct_choice_id');
+
+    // Every question has its answer once and no duplicate choices
+    for (const question of engineState.questions) {
+      const contents = question.choices.map(choice => choice.face.content);
+      expect(new Set(contents).size).toBe(contents.length);
+      expect(question.choices.find(choice => choice.id === question.correct_choice_id).face.content)
+        .toBe(capitals.find(([country]) => question.prompt.content.includes(country))[1]);
+    }
+
+    // The pair's own distractors come first
+    const france = QuizGameEngine.buildQuestionBank(pairs).find(question => question.content_id === 'use_France');
+    expect(QuizGameEngine.pickDistractors(france, QuizGameEngine.buildQuestionBank(pairs), 1)[0].content).toBe('Lyon');
+  });
+
+  test('should filter questions by difficulty and require enough of them', () => {
+    expect(() => deal({ difficulty_level: 'hard' })).toThrow('Quiz needs at least 3 questions');
+  });
+
+  test('should check answers on the server and close the question once everyone answered', () => {
+    jest.useFakeTimers({ now: new Date('2026-10-18T08:00:00Z') });
+    const { state, engineState } = deal();
+    const { correct_choice_id: correctChoice, content_id: contentId } = engineState.questions[0];
+    const wrongChoice = state.question.choices.find(choice => choice.id !== correctChoice).id;
+
+    jest.setSystemTime(new Date('2026-10-18T08:00:04Z'));
+    const first = answer(state, engineState, 'part_1', correctChoice);
+    expect(first.result).toBe('answered');
+    expect(first.state.scores.part_1).toBe(0);
+    expect(first.state.revealed).toBeNull();
+    expect(() => answer(first.state, first.engineState, 'part_1', wrongChoice)).toThrow('Already answered');
+
+    const second = answer(first.state, first.engineState, 'part_2', wrongChoice);
+    expect(second.state).toMatchObject({
+      question_index: 1,
+      scores: { part_1: 1, part_2: 0 },
+      revealed: { correct_choice_id: correctChoice, correct_participants: ['part_1'] },
+      answered: []
+    });
+    expect(second.engineState.stats.part_1).toMatchObject({ presented: 1, correct: 1, time_ms: 4000 });
+    expect(second.engineState.stats.part_1.items[contentId]).toEqual({ attempts: 1, correct: true });
+  });
+
+  test('should enforce the question timer and finish with the engine results', () => {
+    jest.useFakeTimers({ now: new Date('2026-10-18T08:00:00Z') });
+    let { state, engineState } = deal({ seconds_per_question: 10 });
+
+    expect(() => QuizGameEngine.applyMove(state, engineState, 'part_1', { type: 'advance' }))
+      .toThrow('Question time is not up yet');
+
+    for (let index = 0; index < 3; index++) {
+      jest.advanceTimersByTime(10000);
+      // Answers after the deadline are not counted
+      ({ state, engineState } = answer(state, engineState, 'part_1', engineState.questions[index].correct_choice_id));
+      expect(state.last_move.result).toBe('time_up');
+    }
+
+    expect(QuizGameEngine.isFinished(state)).toBe(true);
+    expect(QuizGameEngine.getProgress(state)).toEqual({ completed: 3, total: 3, unit: 'questions' });
+
+    const results = QuizGameEngine.getResults(state, engineState);
+    expect(results.participants[0]).toMatchObject({ score: 0, max_score: 3, correct_count: 0, attempt_count: 3, accuracy: 0, time_spent_seconds: 30 });
+  });
+});
+
+describe('Quiz game settings and details', () => {
+  test('should validate quiz game_settings against the typed rules', () => {
+    expect(validateGameTypeData('quiz_game', { game_settings: { question_count: 10, difficulty_level: 'easy' } }))
+      .toEqual({ isValid: true, errors: [] });
+
+    expect(validateGameTypeData('quiz_game', { game_settings: { question_count: 100, difficulty_level: 'expert', seconds_per_question: '30' } }).errors)
+      .toEqual([
+        'game_settings.question_count must be an integer between 3 and 50',
+        'game_settings.seconds_per_question must be an integer between 5 and 300',
+        'game_settings.difficulty_level must be one of: mixed, easy, medium, hard'
+      ]);
+  });
+
+  test('should report question count and difficulty mix', async () => {
+    mockModels.Game.findByPk.mockResolvedValue({ id: 'game_1', game_settings: { question_count: 10, seconds_per_question: 20 } });
+    mockGameContentService.getGameContents.mockResolvedValue(pairs);
+
+    const details = await GameDetailsService.getGameDetails('game_1', 'quiz_game');
+
+    expect(details).toEqual({
+      game_type: 'quiz_game',
+      details: expect.objectContaining({
+        question_count: 4,
+        questions_per_quiz: 4,
+        difficulty_levels: ['easy', 'medium', 'hard'],
+        difficulty_mix: { easy: 2, medium: 1, hard: 1, unrated: 0 },
+        categories: ['capitals'],
+        seconds_per_question: 20,
+        estimated_duration_minutes: 2
+      })
+    });
+  });
+});
\ No newline at end of file
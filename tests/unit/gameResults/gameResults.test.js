@@ -0,0 +1,166 @@
+/**
+ * Game Results Unit Tests
+ *
+ * Recording session results, classroom linking, gradebook access and export.
+ */
+
+import { jest, describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+// Avoid database dependencies in unit tests
+const mockModels = {
+  GameSession: { findByPk: jest.fn() },
+  GameLobby: {},
+  Game: {},
+  Classroom: { findByPk: jest.fn() },
+  ClassroomMembership: { findAll: jest.fn() },
+  GameSessionResult: {
+    destroy: jest.fn(),
+    create: jest.fn(async data => data),
+    findAll: jest.fn()
+  },
+  GameSessionResultItem: { bulkCreate: jest.fn() }
+};
+
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: mockModels
+}));
+
+let GameResultsService;
+
+beforeAll(async () => {
+  GameResultsService = (await import('../../../services/GameResultsService.js')).default;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const finishedAt = new Date('2026-10-01T10:00:00.000Z');
+
+const buildSession = (overrides = {}) => ({
+  id: 'session_1',
+  lobby_id: 'lobby_1',
+  session_number: 1,
+  finished_at: finishedAt,
+  lobby: { game_id: 'game_1', owner_user_id: 'teacher_1', settings: { classroom_id: 'class_2' } },
+  participants: [
+    { id: 'part_1', type: 'player', player_id: 'player_1', display_name: 'נועה' },
+    { id: 'part_2', type: 'user', user_id: 'user_1', display_name: 'Dan' }
+  ],
+  current_state: {},
+  data: {},
+  ...overrides
+});
+
+describe('GameResultsService', () => {
+  describe('recordSessionResults', () => {
+    test('should record client-reported results linked to the lobby classroom', async () => {
+      mockModels.GameSession.findByPk.mockResolvedValue(buildSession({
+        data: {
+          results: {
+            participants: [{
+              participant_id: 'part_1',
+              score: 8,
+              max_score: 10,
+              correct_count: 4,
+              attempt_count: 5,
+              completed: true,
+              items: [{ content_id: 'word_1', is_correct: true }, { content_id: 'word_2', is_correct: 'yes' }]
+            }]
+          }
+        }
+      }));
+      mockModels.ClassroomMembership.findAll.mockResolvedValue([
+        { id: 'mem_1', classroom_id: 'class_1', student_user_id: 'player_1' },
+        { id: 'mem_2', classroom_id: 'class_2', student_user_id: 'player_1' }
+      ]);
+
+      const results = await GameResultsService.recordSessionResults('session_1');
+
+      expect(mockModels.GameSessionResult.destroy).toHaveBeenCalledWith(expect.objectContaining({ where: { session_id: 'session_1' } }));
+      expect(results).toHaveLength(2);
+      expect(results[0]).toEqual(expect.objectContaining({
+        participant_id: 'part_1',
+        player_id: 'player_1',
+        teacher_id: 'teacher_1',
+        classroom_membership_id: 'mem_2',
+        classroom_id: 'class_2',
+        score: 8,
+        accuracy: 80,
+        completed: true,
+        source: 'client'
+      }));
+      expect(results[1]).toEqual(expect.objectContaining({
+        user_id: 'user_1',
+        classroom_id: null,
+        score: null
+      }));
+
+      // Only well-formed items are kept
+      expect(mockModels.GameSessionResultItem.bulkCreate).toHaveBeenCalledTimes(1);
+      expect(mockModels.GameSessionResultItem.bulkCreate.mock.calls[0][0]).toEqual([
+        expect.objectContaining({ content_id: 'word_1', is_correct: true, attempts: 1 })
+      ]);
+    });
+
+    test('should record empty results when the game reported none', async () => {
+      mockModels.GameSession.findByPk.mockResolvedValue(buildSession({ participants: [{ id: 'part_1', type: 'guest' }] }));
+
+      const results = await GameResultsService.recordSessionResults('session_1');
+
+      expect(mockModels.ClassroomMembership.findAll).not.toHaveBeenCalled();
+      expect(results[0]).toEqual(expect.objectContaining({ source: 'none', score: null, classroom_id: null }));
+    });
+
+    test('should refuse sessions that are not finished', async () => {
+      mockModels.GameSession.findByPk.mockResolvedValue(buildSession({ finished_at: null }));
+
+      await expect(GameResultsService.recordSessionResults('session_1'))
+        .rejects.toThrow('Cannot record results: Session is not finished');
+    });
+  });
+
+  describe('gradebook', () => {
+    test('should only be readable by the classroom teacher', async () => {
+      mockModels.Classroom.findByPk.mockResolvedValue({ id: 'class_1', teacher_id: 'teacher_1' });
+
+      await expect(GameResultsService.getClassroomGradebook('class_1', 'teacher_2'))
+        .rejects.toThrow('Access denied: You do not own this classroom');
+    });
+
+    test('should reject date ranges over a year', () => {
+      expect(() => GameResultsService.parseDateRange({ from: '2025-01-01', to: '2026-10-01' }))
+        .toThrow('Date range must not exceed 366 days');
+    });
+
+    test('should summarize students and export the results as CSV', async () => {
+      mockModels.Classroom.findByPk.mockResolvedValue({ id: 'class_1', name: 'ג׳1', teacher_id: 'teacher_1' });
+      mockModels.ClassroomMembership.findAll.mockResolvedValue([
+        { id: 'mem_1', student_user_id: 'player_1', student_display_name: 'נועה' },
+        { id: 'mem_2', student_user_id: 'player_2', student_display_name: null }
+      ]);
+      mockModels.GameSessionResult.findAll.mockResolvedValue([
+        { id: 'r1', session_id: 's1', player_id: 'player_1', score: '6.00', accuracy: '60.00', time_spent_seconds: 30, finished_at: finishedAt, game: { game_type: 'memory_game' } },
+        { id: 'r2', session_id: 's2', player_id: 'player_1', score: '8.00', accuracy: '100.00', time_spent_seconds: 20, finished_at: finishedAt, game: { game_type: 'memory_game' } }
+      ]);
+
+      const gradebook = await GameResultsService.getClassroomGradebook('class_1', 'teacher_1', { from: '2026-09-01', to: '2026-10-18' });
+
+      expect(gradebook.students).toEqual([
+        expect.objectContaining({ student_id: 'player_1', sessions_played: 2, average_score: 7, average_accuracy: 80, total_time_seconds: 50 }),
+        expect.objectContaining({ student_id: 'player_2', sessions_played: 0, average_score: null })
+      ]);
+
+      const file = await GameResultsService.exportGradebook(gradebook, 'csv');
+      const lines = file.body.replace('\uFEFF', '').trim().split('\r\n');
+
+      expect(file.filename).toBe('gradebook-class_1-2026-09-01-2026-10-18.csv');
+      expect(lines).toHaveLength(3);
+      expect(file.body.startsWith('\uFEFF')).toBe(true);
+      expect(lines[0]).toMatch(/^finished_at,student_id,display_name,game_type/);
+      expect(lines[1]).toContain('player_1,נועה,memory_game,s1,6');
+
+      await expect(GameResultsService.exportGradebook(gradebook, 'pdf')).rejects.toThrow('format must be one of: csv, xlsx');
+    });
+  });
+});
\ No newline at end of file
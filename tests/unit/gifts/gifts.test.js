@@ -0,0 +1,196 @@
+/**
+ * Gift Code Unit Tests
+ *
+ * Gift validation, gift code issuing and the redeem/refund rules.
+ */
+
+import { jest, describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+// Avoid database, access control and email dependencies in unit tests
+const dbTransaction = { LOCK: { UPDATE: 'UPDATE' }, commit: jest.fn(), rollback: jest.fn() };
+
+const mockModels = {
+  sequelize: { transaction: jest.fn(async () => dbTransaction) },
+  Product: { findByPk: jest.fn() },
+  SubscriptionPlan: { findByPk: jest.fn() },
+  User: { findByPk: jest.fn(async () => ({ full_name: 'דנה כהן' })) },
+  GiftCode: { findOne: jest.fn(), count: jest.fn(async () => 0), create: jest.fn() }
+};
+
+const mockSubscriptionService = {
+  getUserActiveSubscription: jest.fn(),
+  createSubscription: jest.fn(),
+  activateSubscription: jest.fn()
+};
+
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: mockModels
+}));
+
+jest.unstable_mockModule('../../../services/AccessControlService.js', () => ({
+  default: { checkAccess: jest.fn(), grantAccess: jest.fn(), revokeAccess: jest.fn() }
+}));
+
+jest.unstable_mockModule('../../../services/SubscriptionService.js', () => ({
+  default: mockSubscriptionService
+}));
+
+jest.unstable_mockModule('../../../services/EmailService.js', () => ({
+  default: { sendEmail: jest.fn() }
+}));
+
+let GiftService;
+
+beforeAll(async () => {
+  GiftService = (await import('../../../services/GiftService.js')).default;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('Gifts', () => {
+  describe('resolveGift', () => {
+    test('should require exactly one of productId and subscriptionPlanId', async () => {
+      await expect(GiftService.resolveGift({ recipientEmail: 'a@b.co' }))
+        .rejects.toThrow('Either productId or subscriptionPlanId is required');
+      await expect(GiftService.resolveGift({ productId: 'p', subscriptionPlanId: 's', recipientEmail: 'a@b.co' }))
+        .rejects.toThrow('Either productId or subscriptionPlanId is required');
+    });
+
+    test('should reject free products', async () => {
+      mockModels.Product.findByPk.mockResolvedValue({ id: 'prod_1', price: '0', product_type: 'file' });
+
+      await expect(GiftService.resolveGift({ productId: 'prod_1', recipientEmail: 'dana@example.com' }))
+        .rejects.toThrow('Free products cannot be gifted');
+    });
+
+    test('should resolve a product gift with a normalized recipient', async () => {
+      mockModels.Product.findByPk.mockResolvedValue({ id: 'prod_1', price: '49.90', product_type: 'lesson_plan', title: 'מערך שיעור' });
+
+      const resolved = await GiftService.resolveGift({ productId: 'prod_1', recipientEmail: ' Dana@Example.com ' });
+
+      expect(resolved.purchasableId).toBe('prod_1');
+      expect(resolved.price).toBe(49.9);
+      expect(resolved.gift).toEqual(expect.objectContaining({
+        gift_type: 'product',
+        product_type: 'lesson_plan',
+        recipient_email: 'dana@example.com',
+        title: 'מערך שיעור'
+      }));
+    });
+  });
+
+  describe('issueGiftCode', () => {
+    test('should issue one code per gift purchase, valid for 5 years', async () => {
+      mockModels.GiftCode.findOne.mockResolvedValue(null);
+      mockModels.GiftCode.create.mockImplementation(async (data) => ({ ...data, update: jest.fn() }));
+
+      const purchase = {
+        id: 'pur_1',
+        purchasable_type: 'gift_code',
+        purchasable_id: 'prod_1',
+        buyer_user_id: 'user_1',
+        payment_amount: '49.90',
+        metadata: { gift: { gift_type: 'product', product_type: 'file', recipient_email: 'dana@example.com', title: 'דף עבודה' } }
+      };
+
+      const giftCode = await GiftService.issueGiftCode(purchase);
+
+      expect(giftCode.code).toMatch(/^GIFT-[A-Z0-9]{4}-[A-Z0-9]{4}$/);
+      expect(giftCode).toEqual(expect.objectContaining({
+        purchase_id: 'pur_1',
+        product_id: 'prod_1',
+        subscription_plan_id: null,
+        sender_name: 'דנה כהן',
+        status: 'active'
+      }));
+      expect(new Date(giftCode.expires_at).getFullYear() - new Date().getFullYear()).toBe(5);
+    });
+
+    test('should ignore purchases that are not gifts', async () => {
+      expect(await GiftService.issueGiftCode({ id: 'pur_2', purchasable_type: 'file' })).toBeNull();
+      expect(mockModels.GiftCode.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('redeemGiftCode', () => {
+    test('should not redeem a code twice', async () => {
+      mockModels.GiftCode.findOne.mockResolvedValue({
+        status: 'redeemed',
+        expires_at: new Date(Date.now() + 86400000)
+      });
+
+      await expect(GiftService.redeemGiftCode('user_2', 'gift-abcd-efgh')).rejects.toThrow('Gift code was already redeemed');
+      expect(mockModels.GiftCode.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { code: 'GIFT-ABCD-EFGH' },
+        lock: 'UPDATE'
+      }));
+      expect(dbTransaction.rollback).toHaveBeenCalled();
+    });
+
+    test('should create and activate the gifted subscription in the redeem transaction', async () => {
+      const giftCode = {
+        id: 'gift_1',
+        gift_type: 'subscription',
+        status: 'active',
+        subscription_plan_id: 'plan_1',
+        purchase_id: 'pur_1',
+        buyer_user_id: 'user_1',
+        expires_at: new Date(Date.now() + 86400000),
+        update: jest.fn()
+      };
+      const plan = { id: 'plan_1', is_active: true };
+      mockModels.GiftCode.findOne.mockResolvedValue(giftCode);
+      mockModels.SubscriptionPlan.findByPk.mockResolvedValue(plan);
+      mockSubscriptionService.getUserActiveSubscription.mockResolvedValue(null);
+      mockSubscriptionService.createSubscription.mockResolvedValue({ id: 'sub_1', status: 'pending' });
+      mockSubscriptionService.activateSubscription.mockResolvedValue({ id: 'sub_1', status: 'active' });
+
+      const result = await GiftService.redeemGiftCode('user_2', 'GIFT-ABCD-EFGH');
+
+      expect(mockSubscriptionService.createSubscription).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user_2',
+        subscriptionPlan: plan,
+        enableAutoRenewal: false,
+        transaction: dbTransaction
+      }));
+      expect(mockSubscriptionService.activateSubscription).toHaveBeenCalledWith('sub_1', { transaction: dbTransaction });
+      expect(giftCode.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'redeemed', redeemed_subscription_id: 'sub_1' }),
+        { transaction: dbTransaction }
+      );
+      expect(dbTransaction.commit).toHaveBeenCalled();
+      expect(result.subscription.status).toBe('active');
+    });
+
+    test('should roll back and keep the original error when the subscription cannot be created', async () => {
+      mockModels.GiftCode.findOne.mockResolvedValue({
+        id: 'gift_1',
+        gift_type: 'subscription',
+        status: 'active',
+        subscription_plan_id: 'plan_1',
+        expires_at: new Date(Date.now() + 86400000),
+        update: jest.fn()
+      });
+      mockModels.SubscriptionPlan.findByPk.mockResolvedValue({ id: 'plan_1', is_active: true });
+      mockSubscriptionService.getUserActiveSubscription.mockResolvedValue(null);
+      const error = new Error('Database unavailable');
+      mockSubscriptionService.createSubscription.mockRejectedValue(error);
+
+      await expect(GiftService.redeemGiftCode('user_2', 'GIFT-ABCD-EFGH')).rejects.toBe(error);
+      expect(dbTransaction.rollback).toHaveBeenCalled();
+      expect(dbTransaction.commit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assertRefundable', () => {
+    test('should block refunds once the gift code was redeemed', async () => {
+      mockModels.GiftCode.findOne.mockResolvedValue({ status: 'redeemed' });
+      await expect(GiftService.assertRefundable({ id: 'pur_1' })).rejects.toThrow('can no longer be refunded');
+
+      mockModels.GiftCode.findOne.mockResolvedValue({ status: 'active' });
+      await expect(GiftService.assertRefundable({ id: 'pur_1' })).resolves.toEqual({ status: 'active' });
+    });
+  });
+});
\ No newline at end of file
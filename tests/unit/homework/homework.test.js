@@ -0,0 +1,209 @@
+/**
+ * Homework Unit Tests
+ *
+ * Per-student completion and score policies, and the attempt window and limits of solo homework attempts.
+ */
+
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+
+// Avoid database and socket dependencies in unit tests
+const mockTransaction = {
+  commit: jest.fn(),
+  rollback: jest.fn(),
+  LOCK: { UPDATE: 'UPDATE' }
+};
+const mockModels = {
+  sequelize: { transaction: jest.fn() },
+  HomeworkAssignment: { findByPk: jest.fn() },
+  ClassroomMembership: { findOne: jest.fn(), findAll: jest.fn() },
+  GameSession: { findAll: jest.fn(), findOne: jest.fn(), findByPk: jest.fn(), create: jest.fn() },
+  GameSessionResult: { findAll: jest.fn() }
+};
+const mockGameSessionService = {
+  getNextSessionNumber: jest.fn(),
+  addParticipant: jest.fn(),
+  dealGame: jest.fn(),
+  getSessionDetails: jest.fn(),
+  finishSession: jest.fn()
+};
+
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: mockModels
+}));
+
+jest.unstable_mockModule('../../../services/GameLobbyService.js', () => ({
+  default: { createLobby: jest.fn(), closeLobby: jest.fn() }
+}));
+
+jest.unstable_mockModule('../../../services/GameSessionService.js', () => ({
+  default: mockGameSessionService
+}));
+
+jest.unstable_mockModule('../../../services/LobbySocketService.js', () => ({
+  default: { broadcastSessionStarted: jest.fn() }
+}));
+
+let HomeworkService;
+
+beforeAll(async () => {
+  HomeworkService = (await import('../../../services/HomeworkService.js')).default;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockModels.sequelize.transaction.mockResolvedValue(mockTransaction);
+  mockModels.ClassroomMembership.findOne.mockResolvedValue({ id: 'membership_1', status: 'active' });
+  mockModels.GameSession.findAll.mockResolvedValue([]);
+  mockModels.GameSessionResult.findAll.mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const student = { id: 'player_ABC123', type: 'player', display_name: 'Dana', teacher_id: 'teacher_1' };
+
+const buildAssignment = (extra = {}) => ({
+  id: 'homework_1',
+  classroom_id: 'classroom_1',
+  teacher_id: 'teacher_1',
+  lobby_id: 'AB3DE7',
+  title: 'Animals memory',
+  opens_at: new Date('2026-10-18T06:00:00Z'),
+  due_at: new Date('2026-10-20T18:00:00Z'),
+  late_until: null,
+  max_attempts: 2,
+  score_policy: 'best',
+  status: 'active',
+  lobby: { id: 'AB3DE7', game_id: 'game_1', settings: { max_players: 1 } },
+  ...extra
+});
+
+const attemptSession = (id, attemptNumber, finishedAt, studentId = 'player_ABC123') => ({
+  id,
+  lobby_id: 'AB3DE7',
+  session_number: attemptNumber,
+  started_at: new Date('2026-10-19T10:00:00Z'),
+  finished_at: finishedAt ? new Date(finishedAt) : null,
+  data: { homework: { assignment_id: 'homework_1', student_id: studentId, attempt_number: attemptNumber } }
+});
+
+describe('HomeworkService progress', () => {
+  const sessions = [
+    attemptSession('session_1', 1, '2026-10-19T10:10:00Z'),
+    attemptSession('session_2', 2, '2026-10-21T09:00:00Z'),
+    attemptSession('session_3', 1, '2026-10-21T10:00:00Z', 'student_user_1')
+  ];
+  const results = [
+    { session_id: 'session_1', player_id: 'player_ABC123', score: '60', max_score: '100', completed: true },
+    { session_id: 'session_2', player_id: 'player_ABC123', score: '90', max_score: '100', completed: true },
+    { session_id: 'session_3', user_id: 'student_user_1', score: '70', max_score: '100', completed: true }
+  ];
+  const now = new Date('2026-10-22T00:00:00Z');
+
+  test('should combine attempt scores by the score policy', () => {
+    expect(HomeworkService.summarizeStudent(buildAssignment({ score_policy: 'best' }), 'player_ABC123', sessions, results, now).score).toBe(90);
+    expect(HomeworkService.summarizeStudent(buildAssignment({ score_policy: 'last' }), 'player_ABC123', sessions, results, now).score).toBe(90);
+    expect(HomeworkService.summarizeStudent(buildAssignment({ score_policy: 'average' }), 'player_ABC123', sessions, results, now).score).toBe(75);
+  });
+
+  test('should report completion, late submissions and missing students', () => {
+    const assignment = buildAssignment({ late_until: new Date('2026-10-22T18:00:00Z') });
+
+    expect(HomeworkService.summarizeStudent(assignment, 'player_ABC123', sessions, results, now)).toMatchObject({
+      status: 'completed',
+      attempts_used: 2,
+      attempts_remaining: 0,
+      submitted_at: new Date('2026-10-19T10:10:00Z'),
+      late: false,
+      attempts: [{ attempt_number: 1, score: 60, late: false }, { attempt_number: 2, score: 90, late: true }]
+    });
+
+    expect(HomeworkService.summarizeStudent(assignment, 'student_user_1', sessions, results, now))
+      .toMatchObject({ status: 'late', score: 70, late: true });
+
+    expect(HomeworkService.summarizeStudent(assignment, 'player_XYZ789', sessions, results, now))
+      .toMatchObject({ status: 'missing', score: null, attempts_used: 0 });
+
+    expect(HomeworkService.summarizeStudent(assignment, 'player_XYZ789', sessions, results, new Date('2026-10-19T00:00:00Z')))
+      .toMatchObject({ status: 'not_started' });
+  });
+});
+
+describe('HomeworkService attempts', () => {
+  test('should start a solo attempt within the window', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T10:00:00Z') });
+    mockModels.HomeworkAssignment.findByPk.mockResolvedValue(buildAssignment());
+    mockGameSessionService.getNextSessionNumber.mockResolvedValue(4);
+    mockModels.GameSession.create.mockImplementation(async (data) => ({ id: 'session_4', ...data }));
+    const joinedSession = { id: 'session_4', update: jest.fn() };
+    mockModels.GameSession.findByPk.mockResolvedValue(joinedSession);
+    mockGameSessionService.dealGame.mockResolvedValue({ current_state: { engine: 'memory_game' } });
+    mockGameSessionService.getSessionDetails.mockResolvedValue({ id: 'session_4' });
+
+    const attempt = await HomeworkService.startAttempt('homework_1', student);
+
+    expect(attempt).toMatchObject({ attempt_number: 1, resumed: false, session: { id: 'session_4' } });
+    expect(mockModels.GameSession.create).toHaveBeenCalledWith(expect.objectContaining({
+      lobby_id: 'AB3DE7',
+      session_number: 4,
+      data: expect.objectContaining({ homework: { assignment_id: 'homework_1', student_id: 'player_ABC123', attempt_number: 1 } })
+    }), expect.any(Object));
+    expect(mockGameSessionService.addParticipant).toHaveBeenCalledWith('session_4', expect.objectContaining({
+      player_id: 'player_ABC123', user_id: null, display_name: 'Dana'
+    }), 'player_ABC123', mockTransaction);
+    expect(joinedSession.update).toHaveBeenCalledWith(expect.objectContaining({ current_state: { engine: 'memory_game' } }), expect.any(Object));
+    expect(mockTransaction.commit).toHaveBeenCalled();
+  });
+
+  test('should resume an unfinished attempt and enforce the attempt limit and window', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T10:00:00Z') });
+    mockModels.HomeworkAssignment.findByPk.mockResolvedValue(buildAssignment());
+    mockGameSessionService.getSessionDetails.mockResolvedValue({ id: 'session_2' });
+
+    mockModels.GameSession.findAll.mockResolvedValue([
+      attemptSession('session_1', 1, '2026-10-19T09:00:00Z'),
+      attemptSession('session_2', 2, null)
+    ]);
+    expect(await HomeworkService.startAttempt('homework_1', student))
+      .toMatchObject({ attempt_number: 2, resumed: true });
+
+    mockModels.GameSession.findAll.mockResolvedValue([
+      attemptSession('session_1', 1, '2026-10-19T09:00:00Z'),
+      attemptSession('session_2', 2, '2026-10-19T09:30:00Z')
+    ]);
+    await expect(HomeworkService.startAttempt('homework_1', student)).rejects.toThrow('No attempts left');
+
+    jest.setSystemTime(new Date('2026-10-20T18:00:01Z'));
+    await expect(HomeworkService.startAttempt('homework_1', student)).rejects.toThrow('closed');
+
+    mockModels.ClassroomMembership.findOne.mockResolvedValue(null);
+    await expect(HomeworkService.startAttempt('homework_1', student)).rejects.toThrow('Access denied');
+
+    expect(mockModels.GameSession.create).not.toHaveBeenCalled();
+    expect(mockTransaction.rollback).toHaveBeenCalledTimes(3);
+  });
+
+  test('should submit a client-driven attempt as the student', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T10:00:00Z') });
+    mockModels.HomeworkAssignment.findByPk.mockResolvedValue(buildAssignment());
+    mockModels.GameSession.findOne.mockResolvedValue({
+      ...attemptSession('session_1', 1, null),
+      current_state: null,
+      participants: [{ id: 'part_1', player_id: 'player_ABC123', display_name: 'Dana' }]
+    });
+    mockGameSessionService.finishSession.mockResolvedValue({ id: 'session_1' });
+
+    const submitted = await HomeworkService.submitAttempt('homework_1', 'session_1', student, { score: 80, completed: true });
+
+    expect(mockGameSessionService.finishSession).toHaveBeenCalledWith('session_1', {
+      reason: 'homework_submitted',
+      results: { participants: [{ score: 80, completed: true, participant_id: 'part_1' }] }
+    }, 'player_ABC123', mockTransaction, { submittedBy: 'player_ABC123' });
+    expect(submitted.session).toEqual({ id: 'session_1' });
+
+    // Another student's attempt is not found
+    await expect(HomeworkService.submitAttempt('homework_1', 'session_1', { ...student, id: 'player_XYZ789' }, { score: 1 }))
+      .rejects.toThrow('Attempt not found');
+  });
+});
\ No newline at end of file
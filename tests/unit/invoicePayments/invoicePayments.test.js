@@ -0,0 +1,134 @@
+/**
+ * Invoice Payment Unit Tests
+ *
+ * Pay by invoice: provisional subscriptions and settling the bank transfer.
+ */
+
+import { jest, describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+// Avoid database, payment and invoicing dependencies in unit tests
+const mockModels = {
+  Transaction: { findByPk: jest.fn(), update: jest.fn() },
+  Purchase: { findAll: jest.fn() },
+  Subscription: { findByPk: jest.fn() }
+};
+
+const mockPaymentService = {
+  createCheckoutTransaction: jest.fn(),
+  completePurchase: jest.fn()
+};
+
+const mockInvoiceService = {
+  issueProforma: jest.fn(async () => ({ id: 'inv_1', document_type: 'proforma', invoice_number: 1 })),
+  deliverInvoice: jest.fn(),
+  requestInvoice: jest.fn()
+};
+
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: mockModels
+}));
+
+jest.unstable_mockModule('../../../services/PaymentService.js', () => ({
+  default: mockPaymentService
+}));
+
+jest.unstable_mockModule('../../../services/InvoiceService.js', () => ({
+  default: mockInvoiceService
+}));
+
+let InvoicePaymentService;
+
+beforeAll(async () => {
+  InvoicePaymentService = (await import('../../../services/InvoicePaymentService.js')).default;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('Invoice Payments', () => {
+  describe('createSubscriptionInvoicePayment', () => {
+    test('should cap the subscription at the grace period and keep the full term for later', async () => {
+      mockPaymentService.createCheckoutTransaction.mockResolvedValue({ id: 'txn_1' });
+
+      const termEndDate = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+      const subscription = {
+        id: 'sub_1',
+        subscription_plan_id: 'plan_1',
+        start_date: new Date(),
+        end_date: termEndDate,
+        metadata: {},
+        update: jest.fn()
+      };
+
+      const { provisionalAccessUntil } = await InvoicePaymentService.createSubscriptionInvoicePayment({
+        subscription,
+        user: { id: 'user_1', email: 'school@example.com' },
+        amount: 1200,
+        purchaseOrderNumber: 'PO-77'
+      });
+
+      expect(mockPaymentService.createCheckoutTransaction).toHaveBeenCalledWith(expect.objectContaining({
+        provider: 'invoice',
+        amount: 1200,
+        purchaseItems: []
+      }));
+
+      const update = subscription.update.mock.calls[0][0];
+      expect(update.status).toBe('active');
+      expect(update.end_date).toEqual(provisionalAccessUntil);
+      expect(update.next_billing_date).toBeNull();
+      expect(update.metadata.payment_provider).toBe('invoice');
+      expect(update.metadata.invoice_payment).toEqual(expect.objectContaining({
+        status: 'awaiting_payment',
+        term_end_date: termEndDate.toISOString(),
+        purchase_order_number: 'PO-77'
+      }));
+      expect(mockInvoiceService.issueProforma).toHaveBeenCalledWith('txn_1', expect.objectContaining({ purchaseOrderNumber: 'PO-77' }));
+    });
+  });
+
+  describe('markPaid', () => {
+    test('should require the bank transfer reference', async () => {
+      await expect(InvoicePaymentService.markPaid('txn_1', {}, 'admin_1'))
+        .rejects.toThrow('bankReference is required');
+      expect(mockModels.Transaction.update).not.toHaveBeenCalled();
+    });
+
+    test('should only settle pending invoice transactions', async () => {
+      mockModels.Transaction.findByPk.mockResolvedValue({ id: 'txn_1', payment_method: 'payplus', payment_status: 'pending' });
+      await expect(InvoicePaymentService.markPaid('txn_1', { bankReference: '123' }, 'admin_1'))
+        .rejects.toThrow('Invoice payment not found');
+
+      mockModels.Transaction.findByPk.mockResolvedValue({ id: 'txn_1', payment_method: 'invoice', payment_status: 'completed' });
+      await expect(InvoicePaymentService.markPaid('txn_1', { bankReference: '123' }, 'admin_1'))
+        .rejects.toThrow('Invoice payment is already completed');
+    });
+
+    test('should complete the pending purchases of the order', async () => {
+      mockModels.Transaction.findByPk.mockResolvedValue({
+        id: 'txn_1',
+        payment_method: 'invoice',
+        payment_status: 'pending',
+        metadata: { invoice_payment: { status: 'awaiting_payment' } }
+      });
+      mockModels.Transaction.update.mockResolvedValue([1]);
+      mockModels.Purchase.findAll.mockResolvedValue([{ id: 'pur_1' }, { id: 'pur_2' }]);
+      mockPaymentService.completePurchase.mockImplementation(async (id) => ({ id, update: jest.fn() }));
+
+      const result = await InvoicePaymentService.markPaid('txn_1', { bankReference: 'TRF-9' }, 'admin_1');
+
+      const [transactionUpdate, updateOptions] = mockModels.Transaction.update.mock.calls[0];
+      expect(updateOptions.where).toEqual({ id: 'txn_1', payment_status: 'pending' });
+      expect(transactionUpdate).toEqual(expect.objectContaining({ payment_status: 'completed', resolution_method: 'manual' }));
+      expect(transactionUpdate.metadata.invoice_payment).toEqual(expect.objectContaining({
+        status: 'paid',
+        bank_reference: 'TRF-9',
+        marked_paid_by: 'admin_1'
+      }));
+      expect(mockPaymentService.completePurchase).toHaveBeenCalledTimes(2);
+      expect(mockPaymentService.completePurchase).toHaveBeenCalledWith('pur_1', { paymentMethod: 'invoice' });
+      expect(result.purchases).toHaveLength(2);
+    });
+  });
+});
\ No newline at end of file
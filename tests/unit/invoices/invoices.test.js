@@ -0,0 +1,142 @@
+/**
+ * Tax Invoice Unit Tests
+ *
+ * VAT breakdown rounding, document numbering and RTL text preparation for the PDF.
+ */
+
+import { jest, describe, test, expect, beforeAll } from '@jest/globals';
+
+// Avoid database, S3 and email dependencies in unit tests
+const sequenceRow = { last_number: 41, update: jest.fn() };
+const dbTransaction = { LOCK: { UPDATE: 'UPDATE' }, commit: jest.fn(), rollback: jest.fn() };
+
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: {
+    sequelize: { transaction: jest.fn(async () => dbTransaction) },
+    User: { findByPk: jest.fn(async () => ({ full_name: 'דנה כהן', email: 'dana@example.com' })) },
+    InvoiceSequence: { findByPk: jest.fn(async () => sequenceRow), create: jest.fn() },
+    Invoice: { create: jest.fn(async (data) => data), findOne: jest.fn() },
+    Transaction: { findByPk: jest.fn() },
+    Purchase: { findAll: jest.fn() }
+  }
+}));
+
+jest.unstable_mockModule('../../../services/FileService.js', () => ({
+  default: { useS3: false }
+}));
+
+jest.unstable_mockModule('../../../services/EmailService.js', () => ({
+  default: { sendEmail: jest.fn() }
+}));
+
+let InvoiceService;
+let models;
+let invoiceConstants;
+let invoicePdf;
+
+beforeAll(async () => {
+  InvoiceService = (await import('../../../services/InvoiceService.js')).default;
+  models = (await import('../../../models/index.js')).default;
+  invoiceConstants = await import('../../../constants/invoices.js');
+  invoicePdf = await import('../../../utils/invoicePdf.js');
+});
+
+describe('Tax Invoices', () => {
+  describe('calculateVatBreakdown', () => {
+    test('should extract VAT from a VAT-inclusive total', () => {
+      expect(invoiceConstants.calculateVatBreakdown(118, 0.18)).toEqual({
+        total: 118,
+        netAmount: 100,
+        vatAmount: 18,
+        vatRate: 0.18
+      });
+    });
+
+    test('should round VAT to the agora and always add up to the total', () => {
+      for (const total of [0.01, 9.9, 49.9, 119, 1234.56]) {
+        const { netAmount, vatAmount } = invoiceConstants.calculateVatBreakdown(total, 0.18);
+        expect(Math.round((netAmount + vatAmount) * 100)).toBe(Math.round(total * 100));
+      }
+    });
+
+    test('should split negative credit note totals symmetrically', () => {
+      expect(invoiceConstants.calculateVatBreakdown(-118, 0.18)).toEqual({
+        total: -118,
+        netAmount: -100,
+        vatAmount: -18,
+        vatRate: 0.18
+      });
+    });
+  });
+
+  describe('formatInvoiceNumber', () => {
+    test('should prefix the document type code and pad the number', () => {
+      expect(invoiceConstants.formatInvoiceNumber('tax_invoice_receipt', 123)).toBe('320-000123');
+      expect(invoiceConstants.formatInvoiceNumber('credit_note', 7)).toBe('330-000007');
+    });
+  });
+
+  describe('toVisualOrder', () => {
+    test('should reverse LTR runs inside Hebrew text only', () => {
+      expect(invoicePdf.toVisualOrder('חשבונית 320-000123')).toBe('חשבונית 321000-023');
+      expect(invoicePdf.toVisualOrder('משחק Math Games')).toBe('משחק semaG htaM');
+      expect(invoicePdf.toVisualOrder('320-000123')).toBe('320-000123');
+    });
+  });
+
+  describe('formatInvoiceAmount', () => {
+    test('should use two decimals and thousands separators', () => {
+      expect(invoicePdf.formatInvoiceAmount(1234.5)).toBe('1,234.50');
+      expect(invoicePdf.formatInvoiceAmount('-59')).toBe('-59.00');
+    });
+  });
+
+  describe('createInvoice', () => {
+    test('should allocate the next number under a row lock in the same transaction', async () => {
+      const invoice = await InvoiceService.createInvoice('tax_invoice_receipt', {
+        transaction: { id: 'txn_1', user_id: 'user_1', currency: 'ILS', payment_method: 'payplus' },
+        items: [{ description: 'משחק', quantity: 1, unit_price: 118, total: 118 }],
+        total: 118,
+        vatRate: 0.18
+      });
+
+      expect(sequenceRow.update).toHaveBeenCalledWith(
+        expect.objectContaining({ last_number: 42 }),
+        { transaction: dbTransaction }
+      );
+      expect(invoice).toEqual(expect.objectContaining({
+        invoice_number: 42,
+        transaction_id: 'txn_1',
+        net_amount: 100,
+        vat_amount: 18,
+        total_amount: 118,
+        customer_email: 'dana@example.com'
+      }));
+      expect(dbTransaction.commit).toHaveBeenCalled();
+      expect(dbTransaction.rollback).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('issueTaxInvoice', () => {
+    test('should postpone the invoice while only some purchases of the charge are completed', async () => {
+      models.Transaction.findByPk.mockResolvedValue({ id: 'txn_2', amount: '236.00', payment_status: 'pending' });
+      models.Purchase.findAll.mockResolvedValue([
+        { id: 'pur_1', payment_status: 'completed' },
+        { id: 'pur_2', payment_status: 'pending' }
+      ]);
+      const createInvoice = jest.spyOn(InvoiceService, 'createInvoice');
+
+      await expect(InvoiceService.issueTaxInvoice('txn_2')).rejects.toThrow('invoice postponed');
+      expect(createInvoice).not.toHaveBeenCalled();
+
+      createInvoice.mockRestore();
+    });
+
+    test('should skip a transaction none of whose purchases are completed', async () => {
+      models.Transaction.findByPk.mockResolvedValue({ id: 'txn_3', amount: '118.00', payment_status: 'pending' });
+      models.Purchase.findAll.mockResolvedValue([{ id: 'pur_3', payment_status: 'pending' }]);
+
+      await expect(InvoiceService.issueTaxInvoice('txn_3')).resolves.toBeNull();
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,112 @@
+/**
+ * Lobby Display Unit Tests
+ *
+ * Read-only display tokens and the aggregated session view classroom displays receive.
+ */
+
+import { jest, describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-display-secret-with-enough-length-1234';
+
+// Avoid database dependencies in unit tests
+const mockModels = {
+  GameLobby: { findByPk: jest.fn() },
+  GameSession: { findAll: jest.fn() }
+};
+
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: mockModels
+}));
+
+jest.unstable_mockModule('../../../services/GameLobbyService.js', () => ({
+  default: { getLobbyDetails: jest.fn() }
+}));
+
+let LobbyDisplayService;
+let LobbySocketService;
+
+beforeAll(async () => {
+  LobbyDisplayService = (await import('../../../services/LobbyDisplayService.js')).default;
+  LobbySocketService = (await import('../../../services/LobbySocketService.js')).default;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('LobbyDisplayService', () => {
+  test('should issue display tokens to the lobby owner or host only', async () => {
+    mockModels.GameLobby.findByPk.mockResolvedValue({ id: 'AB3DE7', owner_user_id: 'teacher_1', host_user_id: 'teacher_2' });
+
+    const issued = await LobbyDisplayService.issueDisplayToken('AB3DE7', 'teacher_2', { ttl_minutes: 60 });
+
+    const payload = jwt.decode(issued.display_token);
+    expect(payload).toMatchObject({ type: 'lobby_display', lobby_id: 'AB3DE7' });
+    expect(payload.id).toBeUndefined();
+    expect(payload.exp - payload.iat).toBe(3600);
+    expect(issued.expires_at).toEqual(new Date(payload.exp * 1000));
+
+    await expect(LobbyDisplayService.issueDisplayToken('AB3DE7', 'teacher_3'))
+      .rejects.toThrow('Access denied');
+  });
+
+  test('should accept display tokens of open lobbies only', async () => {
+    mockModels.GameLobby.findByPk.mockResolvedValue({ id: 'AB3DE7', owner_user_id: 'teacher_1', host_user_id: 'teacher_1' });
+    const { display_token: displayToken } = await LobbyDisplayService.issueDisplayToken('AB3DE7', 'teacher_1');
+
+    mockModels.GameLobby.findByPk.mockResolvedValue({ id: 'AB3DE7', closed_at: null });
+    expect(await LobbyDisplayService.verifyDisplayToken(displayToken)).toMatchObject({ lobbyId: 'AB3DE7' });
+
+    mockModels.GameLobby.findByPk.mockResolvedValue({ id: 'AB3DE7', closed_at: new Date() });
+    expect(await LobbyDisplayService.verifyDisplayToken(displayToken)).toBeNull();
+
+    // Other tokens signed with the same secret are not display tokens
+    const playerToken = jwt.sign({ id: 'player_ABC123', type: 'player', lobby_id: 'AB3DE7' }, process.env.JWT_SECRET);
+    expect(await LobbyDisplayService.verifyDisplayToken(playerToken)).toBeNull();
+    expect(await LobbyDisplayService.verifyDisplayToken('not-a-token')).toBeNull();
+  });
+});
+
+describe('LobbySocketService display view', () => {
+  test('should only expose display names, scores, ranks and aggregates', () => {
+    const view = LobbySocketService.toDisplaySessionView({
+      id: 'session_1',
+      lobby_id: 'AB3DE7',
+      session_number: 1,
+      status: 'open',
+      participants: [
+        { id: 'part_1', display_name: 'Dana', player_id: 'player_1', team_assignment: 'team_1', is_online: true },
+        { id: 'part_2', display_name: 'Noam', user_id: 'student_user_1', team_assignment: 'team_2', is_online: false },
+        { id: 'part_3', display_name: 'Yael', guest_token: 'guest_abcdefgh', team_assignment: 'team_2', is_online: true }
+      ],
+      current_state: {
+        engine: 'memory_game',
+        pairs_total: 2,
+        board: [{ status: 'matched' }, { status: 'matched' }, { status: 'hidden' }, { status: 'hidden' }],
+        scores: { part_1: 1, part_2: 1, part_3: 0 }
+      },
+      lobby: { settings: { team_mode: true } }
+    });
+
+    expect(view).toMatchObject({
+      participant_count: 3,
+      online_count: 2,
+      progress: { completed: 1, total: 2, unit: 'pairs' },
+      leaderboard: [
+        { display_name: 'Dana', score: 1, rank: 1 },
+        { display_name: 'Noam', score: 1, rank: 1 },
+        { display_name: 'Yael', score: 0, rank: 3 }
+      ],
+      teams: [
+        { team_id: 'team_1', name: 'קבוצה 1', score: 1 },
+        { team_id: 'team_2', name: 'קבוצה 2', score: 1 }
+      ]
+    });
+
+    const serialized = JSON.stringify(view);
+    ['player_1', 'student_user_1', 'guest_abcdefgh', 'part_1'].forEach(identifier => {
+      expect(serialized).not.toContain(identifier);
+    });
+  });
+});
\ No newline at end of file
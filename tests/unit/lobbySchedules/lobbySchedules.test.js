@@ -0,0 +1,198 @@
+/**
+ * Lobby Schedule Unit Tests
+ *
+ * Weekly occurrences in Israel time, Shabbat rules, and the open/close jobs of an occurrence.
+ */
+
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+
+// Avoid database, socket and Redis dependencies in unit tests
+const mockModels = {
+  GameLobby: { findByPk: jest.fn() },
+  LobbySchedule: { count: jest.fn(), create: jest.fn(), findByPk: jest.fn(), findOne: jest.fn(), findAll: jest.fn() },
+  ClassroomMembership: { findAll: jest.fn() },
+  Player: { findAll: jest.fn() }
+};
+const mockJobScheduler = { scheduleJob: jest.fn() };
+const mockGameLobbyService = { activateLobby: jest.fn(), closeLobby: jest.fn() };
+const mockLobbySocketService = { broadcastLobbyOpened: jest.fn() };
+
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: mockModels
+}));
+
+jest.unstable_mockModule('../../../services/JobScheduler.js', () => ({
+  default: mockJobScheduler
+}));
+
+jest.unstable_mockModule('../../../services/GameLobbyService.js', () => ({
+  default: mockGameLobbyService
+}));
+
+jest.unstable_mockModule('../../../services/LobbySocketService.js', () => ({
+  default: mockLobbySocketService
+}));
+
+let LobbyScheduleService;
+
+beforeAll(async () => {
+  LobbyScheduleService = (await import('../../../services/LobbyScheduleService.js')).default;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockJobScheduler.scheduleJob.mockResolvedValue({ id: 'job_1' });
+  mockModels.GameLobby.findByPk.mockResolvedValue({ id: 'AB3DE7', owner_user_id: 'teacher_1', host_user_id: 'teacher_1' });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const weeklySchedule = (extra = {}) => {
+  const schedule = {
+    id: 'schedule_1',
+    lobby_id: 'AB3DE7',
+    recurrence: 'weekly',
+    weekday: 0,
+    start_time: '08:30',
+    duration_minutes: 45,
+    status: 'scheduled',
+    next_open_at: new Date('2026-10-18T05:30:00.000Z'),
+    next_close_at: new Date('2026-10-18T06:15:00.000Z'),
+    metadata: {},
+    lobby: { id: 'AB3DE7', owner_user_id: 'teacher_1' },
+    ...extra
+  };
+  schedule.update = jest.fn(async (values) => Object.assign(schedule, values));
+  return schedule;
+};
+
+describe('LobbyScheduleService', () => {
+  test('should compute weekly occurrences in Israel time across the DST change', () => {
+    const slot = { weekday: 0, start_time: '08:30', duration_minutes: 45 };
+
+    // Sunday 07:00 Israel summer time - today's slot is still ahead
+    expect(LobbyScheduleService.getNextWeeklyOccurrence(slot, new Date('2026-10-18T04:00:00Z'))).toEqual({
+      opensAt: new Date('2026-10-18T05:30:00.000Z'),
+      closesAt: new Date('2026-10-18T06:15:00.000Z')
+    });
+
+    // Sunday 09:00 - next week's slot, after clocks went back to UTC+2
+    expect(LobbyScheduleService.getNextWeeklyOccurrence(slot, new Date('2026-10-18T06:00:00Z'))).toEqual({
+      opensAt: new Date('2026-10-25T06:30:00.000Z'),
+      closesAt: new Date('2026-10-25T07:15:00.000Z')
+    });
+  });
+
+  test('should create a schedule and queue its first opening', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-18T04:00:00Z') });
+    mockModels.LobbySchedule.count.mockResolvedValue(0);
+    mockModels.LobbySchedule.create.mockImplementation(async (data) => data);
+
+    const schedule = await LobbyScheduleService.createSchedule('AB3DE7', {
+      recurrence: 'weekly', weekday: 0, start_time: '08:30', duration_minutes: 45
+    }, 'teacher_1');
+
+    expect(schedule).toMatchObject({ status: 'scheduled', timezone: 'Asia/Jerusalem', next_open_at: new Date('2026-10-18T05:30:00.000Z') });
+    expect(mockJobScheduler.scheduleJob).toHaveBeenCalledWith('LOBBY_SCHEDULED_OPEN', {
+      scheduleId: schedule.id,
+      occursAt: '2026-10-18T05:30:00.000Z'
+    }, {
+      delay: 90 * 60 * 1000,
+      jobOptions: { jobId: `lobby_scheduled_open_${schedule.id}_${Date.parse('2026-10-18T05:30:00Z')}` }
+    });
+  });
+
+  test('should not keep a schedule whose opening job could not be queued', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-18T04:00:00Z') });
+    mockModels.LobbySchedule.count.mockResolvedValue(0);
+    const destroy = jest.fn();
+    mockModels.LobbySchedule.create.mockImplementation(async (data) => ({ ...data, destroy }));
+    mockJobScheduler.scheduleJob.mockResolvedValue(null);
+
+    await expect(LobbyScheduleService.createSchedule('AB3DE7', {
+      recurrence: 'weekly', weekday: 0, start_time: '08:30', duration_minutes: 45
+    }, 'teacher_1')).rejects.toThrow('Lobby scheduling is temporarily unavailable');
+
+    expect(destroy).toHaveBeenCalled();
+  });
+
+  test('should reject Shabbat slots and users who do not manage the lobby', async () => {
+    mockModels.LobbySchedule.count.mockResolvedValue(0);
+
+    await expect(LobbyScheduleService.createSchedule('AB3DE7', {
+      recurrence: 'weekly', weekday: 6, start_time: '10:00', duration_minutes: 45
+    }, 'teacher_1')).rejects.toThrow('Shabbat');
+
+    await expect(LobbyScheduleService.createSchedule('AB3DE7', {
+      recurrence: 'weekly', weekday: 0, start_time: '10:00', duration_minutes: 45
+    }, 'teacher_2')).rejects.toThrow('Access denied');
+
+    expect(mockModels.LobbySchedule.create).not.toHaveBeenCalled();
+  });
+
+  test('should open the lobby until the occurrence closes and notify linked students', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-18T05:30:05Z') });
+    const schedule = weeklySchedule();
+    mockModels.LobbySchedule.findByPk.mockResolvedValue(schedule);
+    mockGameLobbyService.activateLobby.mockResolvedValue({ id: 'AB3DE7', owner_user_id: 'teacher_1', settings: {} });
+    mockModels.ClassroomMembership.findAll.mockResolvedValue([{ student_user_id: 'student_1' }]);
+    mockModels.Player.findAll.mockResolvedValue([{ id: 'player_ABC123' }]);
+
+    // A job for another occurrence is stale
+    expect(await LobbyScheduleService.openScheduledLobby('schedule_1', '2026-10-11T05:30:00.000Z'))
+      .toMatchObject({ action: 'stale' });
+    expect(mockGameLobbyService.activateLobby).not.toHaveBeenCalled();
+
+    const result = await LobbyScheduleService.openScheduledLobby('schedule_1', '2026-10-18T05:30:00.000Z');
+
+    expect(result).toMatchObject({ action: 'opened', notified: 2 });
+    expect(mockGameLobbyService.activateLobby).toHaveBeenCalledWith(
+      'AB3DE7', { expires_at: new Date('2026-10-18T06:15:00.000Z') }, 'teacher_1'
+    );
+    expect(schedule.status).toBe('open');
+    expect(mockJobScheduler.scheduleJob).toHaveBeenCalledWith('LOBBY_SCHEDULED_CLOSE', expect.objectContaining({
+      occursAt: '2026-10-18T06:15:00.000Z'
+    }), expect.any(Object));
+    expect(mockLobbySocketService.broadcastLobbyOpened)
+      .toHaveBeenCalledWith(expect.objectContaining({ id: 'AB3DE7' }), ['student_1', 'player_ABC123']);
+  });
+
+  test('should close the lobby and queue the next weekly occurrence', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-18T06:15:02Z') });
+    const schedule = weeklySchedule({ status: 'open' });
+    mockModels.LobbySchedule.findByPk.mockResolvedValue(schedule);
+
+    const result = await LobbyScheduleService.closeScheduledLobby('schedule_1', '2026-10-18T06:15:00.000Z');
+
+    expect(result).toMatchObject({ action: 'closed' });
+    expect(mockGameLobbyService.closeLobby).toHaveBeenCalledWith('AB3DE7', 'teacher_1');
+    expect(schedule).toMatchObject({
+      status: 'scheduled',
+      next_open_at: new Date('2026-10-25T06:30:00.000Z'),
+      next_close_at: new Date('2026-10-25T07:15:00.000Z')
+    });
+    expect(mockJobScheduler.scheduleJob).toHaveBeenCalledWith('LOBBY_SCHEDULED_OPEN', expect.objectContaining({
+      occursAt: '2026-10-25T06:30:00.000Z'
+    }), expect.any(Object));
+  });
+
+  test('should skip an occurrence whose opening job runs on Shabbat', async () => {
+    // Windows reaching into Shabbat are rejected on creation - a job still never opens a lobby on Shabbat
+    jest.useFakeTimers({ now: new Date('2026-10-23T15:30:00Z') });
+    const schedule = weeklySchedule({
+      recurrence: 'once',
+      next_open_at: new Date('2026-10-23T12:00:00.000Z'),
+      next_close_at: new Date('2026-10-23T23:00:00.000Z')
+    });
+    mockModels.LobbySchedule.findByPk.mockResolvedValue(schedule);
+
+    const result = await LobbyScheduleService.openScheduledLobby('schedule_1', '2026-10-23T12:00:00.000Z');
+
+    expect(result).toMatchObject({ action: 'skipped_shabbat' });
+    expect(mockGameLobbyService.activateLobby).not.toHaveBeenCalled();
+    expect(schedule).toMatchObject({ status: 'completed', next_open_at: null });
+    expect(schedule.metadata.last_skipped).toMatchObject({ reason: 'shabbat' });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,143 @@
+/**
+ * Lobby Socket Unit Tests
+ *
+ * Authorized lobby/session room joins and per-audience event filtering.
+ */
+
+import { jest, describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+// Avoid database dependencies in unit tests
+const mockModels = {
+  GameLobby: { findByPk: jest.fn() },
+  GameSession: { findByPk: jest.fn(), findAll: jest.fn() }
+};
+
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: mockModels
+}));
+
+let LobbySocketService;
+
+beforeAll(async () => {
+  LobbySocketService = (await import('../../../services/LobbySocketService.js')).default;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const lobby = { id: 'lobby_1', owner_user_id: 'teacher_1', host_user_id: 'teacher_2' };
+
+const session = {
+  id: 'session_1',
+  lobby_id: 'lobby_1',
+  participants: [
+    { id: 'part_1', display_name: 'Dana', player_id: 'player_1', privacy_code: 'AB12', teacher_id: 'teacher_1' },
+    { id: 'part_2', display_name: 'Noam', user_id: 'student_user_1' }
+  ],
+  lobby
+};
+
+const createSocket = (identity = {}) => ({ id: 'socket_1', join: jest.fn(), ...identity });
+
+// Records every io.to(...).except(...).emit(...) chain
+const createIO = () => {
+  const emits = [];
+  const io = {
+    to: jest.fn((rooms) => {
+      const target = { rooms: [rooms].flat(), except: [] };
+      return {
+        emit: (event, payload) => emits.push({ ...target, event, payload }),
+        except: (excluded) => ({
+          emit: (event, payload) => emits.push({ ...target, except: [excluded].flat(), event, payload })
+        })
+      };
+    })
+  };
+  return { io, emits };
+};
+
+describe('Lobby Sockets', () => {
+  describe('joinSessionRoom', () => {
+    test('should let the lobby host join and follow the teacher dashboard', async () => {
+      mockModels.GameSession.findByPk.mockResolvedValue(session);
+      const socket = createSocket({ user: { id: 'teacher_2', type: 'jwt' } });
+
+      const result = await LobbySocketService.joinSessionRoom(socket, 'session_1');
+
+      expect(result).toEqual({ success: true, room: 'session:session_1' });
+      expect(socket.join).toHaveBeenCalledWith('session:session_1');
+      expect(socket.join).toHaveBeenCalledWith('teacher:teacher_2');
+    });
+
+    test('should let participant players and users join', async () => {
+      mockModels.GameSession.findByPk.mockResolvedValue(session);
+
+      const playerSocket = createSocket({ player: { player: { id: 'player_1' } } });
+      expect((await LobbySocketService.joinSessionRoom(playerSocket, 'session_1')).success).toBe(true);
+      expect(playerSocket.join).toHaveBeenCalledTimes(1);
+
+      const userSocket = createSocket({ user: { id: 'student_user_1', type: 'jwt' } });
+      expect((await LobbySocketService.joinSessionRoom(userSocket, 'session_1')).success).toBe(true);
+    });
+
+    test('should reject anonymous sockets and other players', async () => {
+      mockModels.GameSession.findByPk.mockResolvedValue(session);
+
+      const anonymous = createSocket();
+      expect(await LobbySocketService.joinSessionRoom(anonymous, 'session_1'))
+        .toEqual({ success: false, error: 'Authentication required' });
+
+      const stranger = createSocket({ player: { player: { id: 'player_9' } } });
+      expect(await LobbySocketService.joinSessionRoom(stranger, 'session_1'))
+        .toEqual({ success: false, error: 'Access denied: Not a session participant' });
+      expect(stranger.join).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('joinLobbyRoom', () => {
+    test('should admit participants of any session in the lobby', async () => {
+      mockModels.GameLobby.findByPk.mockResolvedValue(lobby);
+      mockModels.GameSession.findAll.mockResolvedValue([session]);
+
+      const socket = createSocket({ user: { id: 'player_1', type: 'player' } });
+      const result = await LobbySocketService.joinLobbyRoom(socket, 'lobby_1');
+
+      expect(result).toEqual({ success: true, room: 'lobby:lobby_1' });
+      expect(mockModels.GameSession.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { lobby_id: 'lobby_1' } }));
+    });
+  });
+
+  describe('broadcasts', () => {
+    test('should send full session data to staff and a filtered view to participants', () => {
+      const { io, emits } = createIO();
+      global.io = io;
+
+      LobbySocketService.broadcastGameStateUpdated({
+        ...session,
+        status: 'open',
+        current_state: { turn: 'part_1' },
+        data: { scores: { part_1: 3 } }
+      });
+
+      const staffRooms = ['teacher:teacher_1', 'teacher:teacher_2'];
+      const [staffEmit, participantEmit] = emits;
+
+      expect(staffEmit.rooms).toEqual(staffRooms);
+      expect(staffEmit.payload.data.participants[0].player_id).toBe('player_1');
+
+      expect(participantEmit.rooms).toEqual(['session:session_1']);
+      expect(participantEmit.except).toEqual(staffRooms);
+      expect(participantEmit.payload.type).toBe('game_state_updated');
+      expect(participantEmit.payload.data.current_state).toEqual({ turn: 'part_1' });
+      expect(participantEmit.payload.data.data).toBeUndefined();
+      expect(participantEmit.payload.data.participants).toEqual([
+        { id: 'part_1', display_name: 'Dana' },
+        { id: 'part_2', display_name: 'Noam' }
+      ]);
+      expect(io.to).not.toHaveBeenCalledWith('lobby-updates');
+
+      delete global.io;
+    });
+  });
+});
\ No newline at end of file
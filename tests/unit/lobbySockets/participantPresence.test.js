@@ -0,0 +1,151 @@
+/**
+ * Participant Presence Unit Tests
+ *
+ * Reconnect grace window, offline marking and session snapshots on resume.
+ */
+
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+
+// Avoid database dependencies in unit tests
+const mockModels = {
+  GameLobby: { findByPk: jest.fn() },
+  GameSession: { findByPk: jest.fn(), findAll: jest.fn() }
+};
+
+const mockGameSessionService = {
+  getSessionDetails: jest.fn(),
+  setParticipantOnlineStatus: jest.fn()
+};
+
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: mockModels
+}));
+
+jest.unstable_mockModule('../../../services/GameSessionService.js', () => ({
+  default: mockGameSessionService
+}));
+
+let ParticipantPresenceService;
+
+beforeAll(async () => {
+  ParticipantPresenceService = (await import('../../../services/ParticipantPresenceService.js')).default;
+});
+
+const GRACE_MS = 30000;
+
+const buildSession = (isOnline = true) => ({
+  id: 'session_1',
+  lobby_id: 'lobby_1',
+  finished_at: null,
+  lobby: { id: 'lobby_1', owner_user_id: 'teacher_1' },
+  participants: [{ id: 'part_1', display_name: 'Dana', player_id: 'player_1', is_online: isOnline }],
+  current_state: { engine: 'memory_game', scores: { part_1: 3 } }
+});
+
+const createSocket = (id) => ({ id, data: {}, emit: jest.fn(), user: { id: 'player_1', type: 'player' } });
+
+// Records every io.to(...).except(...).emit(...) chain
+const createIO = () => {
+  const emits = [];
+  const io = {
+    to: jest.fn((rooms) => {
+      const target = { rooms: [rooms].flat() };
+      return {
+        emit: (event, payload) => emits.push({ ...target, event, payload }),
+        except: () => ({ emit: (event, payload) => emits.push({ ...target, event, payload }) })
+      };
+    })
+  };
+  return { io, emits };
+};
+
+let presence;
+let playerService;
+let emits;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.useFakeTimers();
+  ({ io: global.io, emits } = createIO());
+  playerService = { setPlayerOnlineStatus: jest.fn().mockResolvedValue(true) };
+  presence = new ParticipantPresenceService(playerService, { graceMs: GRACE_MS });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  delete global.io;
+});
+
+const connectAndJoin = async (socketId) => {
+  const socket = createSocket(socketId);
+  await presence.handleConnection(socket);
+  await presence.joinSession(socket, 'session_1');
+  return socket;
+};
+
+describe('ParticipantPresenceService', () => {
+  test('should keep the seat silently when the player is back within the grace window', async () => {
+    mockGameSessionService.getSessionDetails.mockResolvedValue(buildSession());
+
+    const socket = await connectAndJoin('socket_1');
+    expect(playerService.setPlayerOnlineStatus).toHaveBeenCalledWith('player_1', true);
+
+    presence.handleDisconnect(socket);
+    await jest.advanceTimersByTimeAsync(GRACE_MS / 2);
+
+    const resumed = await connectAndJoin('socket_2');
+    await jest.advanceTimersByTimeAsync(GRACE_MS);
+
+    expect(mockGameSessionService.setParticipantOnlineStatus).not.toHaveBeenCalled();
+    expect(playerService.setPlayerOnlineStatus).toHaveBeenCalledTimes(1);
+    expect(emits).toEqual([]);
+
+    // The resumed socket gets the full state of its own seat
+    const [event, snapshot] = resumed.emit.mock.calls[0];
+    expect(event).toBe('session:snapshot');
+    expect(snapshot.data).toEqual(expect.objectContaining({
+      participant_id: 'part_1',
+      current_state: { engine: 'memory_game', scores: { part_1: 3 } }
+    }));
+    expect(snapshot.data.participants[0]).not.toHaveProperty('player_id');
+  });
+
+  test('should mark the participant offline after the grace window and back online on rejoin', async () => {
+    mockGameSessionService.getSessionDetails.mockResolvedValue(buildSession());
+    mockGameSessionService.setParticipantOnlineStatus.mockResolvedValue(buildSession(false));
+
+    const socket = await connectAndJoin('socket_1');
+    presence.handleDisconnect(socket);
+    await jest.advanceTimersByTimeAsync(GRACE_MS);
+
+    expect(mockGameSessionService.setParticipantOnlineStatus).toHaveBeenCalledWith('session_1', 'part_1', false);
+    expect(playerService.setPlayerOnlineStatus).toHaveBeenLastCalledWith('player_1', false);
+    expect(emits.find(e => e.event === 'participant:disconnected')).toEqual(expect.objectContaining({
+      rooms: ['teacher:teacher_1'],
+      payload: expect.objectContaining({
+        data: expect.objectContaining({ session_id: 'session_1', participant: expect.objectContaining({ id: 'part_1' }) })
+      })
+    }));
+
+    mockGameSessionService.getSessionDetails.mockResolvedValue(buildSession(false));
+    mockGameSessionService.setParticipantOnlineStatus.mockResolvedValue(buildSession(true));
+
+    await connectAndJoin('socket_2');
+
+    expect(mockGameSessionService.setParticipantOnlineStatus).toHaveBeenLastCalledWith('session_1', 'part_1', true);
+    expect(emits.find(e => e.event === 'participant:reconnected')).toBeDefined();
+  });
+
+  test('should keep the seat while another socket of the participant is connected', async () => {
+    mockGameSessionService.getSessionDetails.mockResolvedValue(buildSession());
+
+    const first = await connectAndJoin('socket_1');
+    await connectAndJoin('socket_2');
+
+    presence.handleDisconnect(first);
+    await jest.advanceTimersByTimeAsync(GRACE_MS);
+
+    expect(mockGameSessionService.setParticipantOnlineStatus).not.toHaveBeenCalled();
+    expect(playerService.setPlayerOnlineStatus).not.toHaveBeenCalledWith('player_1', false);
+  });
+});
\ No newline at end of file
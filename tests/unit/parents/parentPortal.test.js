@@ -0,0 +1,223 @@
+/**
+ * Parent Portal Unit Tests
+ *
+ * Magic-link sign-in to the parent portal, children by active consent, consent revocation and data requests.
+ */
+
+import { jest, describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-parent-secret-with-enough-length-1234';
+
+// Avoid database, Firebase and email dependencies in unit tests
+const mockModels = {
+  Sequelize: { Op: { and: Symbol('and') }, UniqueConstraintError: class UniqueConstraintError extends Error {} },
+  sequelize: { where: jest.fn(() => 'email_matches'), fn: jest.fn(() => 'lower_parent_email'), col: jest.fn() },
+  User: { findOne: jest.fn(), create: jest.fn() },
+  UserSession: { findOne: jest.fn(), createUserSession: jest.fn() },
+  RefreshToken: { create: jest.fn() },
+  ParentConsent: { findAll: jest.fn(), findOne: jest.fn() },
+  ClassroomMembership: { findAll: jest.fn() }
+};
+const mockEmailService = { sendEmail: jest.fn() };
+const mockDataSubjectRequestService = { createRequest: jest.fn(), listRequests: jest.fn() };
+const mockGameResultsService = { getStudentHistory: jest.fn() };
+const mockHomeworkService = { listStudentAssignments: jest.fn() };
+
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: mockModels
+}));
+
+jest.unstable_mockModule('../../../config/firebase.js', () => ({
+  admin: null
+}));
+
+jest.unstable_mockModule('../../../services/DataSubjectRequestService.js', () => ({
+  default: mockDataSubjectRequestService
+}));
+
+jest.unstable_mockModule('../../../services/EmailService.js', () => ({
+  default: mockEmailService
+}));
+
+jest.unstable_mockModule('../../../services/GameResultsService.js', () => ({
+  default: mockGameResultsService
+}));
+
+jest.unstable_mockModule('../../../services/HomeworkService.js', () => ({
+  default: mockHomeworkService
+}));
+
+let AuthService;
+let ParentPortalService;
+
+beforeAll(async () => {
+  AuthService = (await import('../../../services/AuthService.js')).default;
+  ParentPortalService = (await import('../../../services/ParentPortalService.js')).default;
+});
+
+const buildConsent = (extra = {}) => {
+  const consent = {
+    id: 'consent_1',
+    student_user_id: 'user_student1',
+    parent_name: 'Avi',
+    parent_email: 'parent@home.org',
+    consent_method: 'email',
+    revoked_at: null,
+    created_at: new Date('2026-10-01T08:00:00Z'),
+    Student: { id: 'user_student1', email: 'dana@school.org', full_name: 'Dana', is_active: true },
+    ...extra
+  };
+  consent.revokeConsent = jest.fn(async (revokedBy, reason) =>
+    Object.assign(consent, { revoked_at: new Date(), revoked_by: revokedBy, revocation_reason: reason }));
+  return consent;
+};
+
+const parent = { id: 'user_parent1', email: 'Parent@Home.org', user_type: 'parent' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockModels.ParentConsent.findAll.mockResolvedValue([buildConsent()]);
+  mockModels.ParentConsent.findOne.mockResolvedValue(buildConsent());
+  mockModels.UserSession.findOne.mockResolvedValue(null);
+  mockModels.User.findOne.mockResolvedValue(null);
+  mockModels.User.create.mockImplementation(async data => data);
+  mockEmailService.sendEmail.mockResolvedValue({ success: true });
+});
+
+describe('Parent magic-link sign-in', () => {
+  test('should email a single-use link and open a parent portal session', async () => {
+    expect(await ParentPortalService.requestMagicLink(' Parent@Home.org ')).toBe(true);
+
+    const [[email]] = mockEmailService.sendEmail.mock.calls;
+    expect(email.to).toBe('parent@home.org');
+    const token = decodeURIComponent(email.html.match(/sign-in\?token=([^"]+)"/)[1]);
+
+    const result = await AuthService.signInParentWithMagicLink(token, { userAgent: 'Safari', ipAddress: '10.0.0.1' });
+
+    expect(result.user).toMatchObject({ email: 'parent@home.org', full_name: 'Avi', user_type: 'parent' });
+    expect(result.accessToken).toEqual(expect.any(String));
+    const [[, userId, , metadata, portal]] = mockModels.UserSession.createUserSession.mock.calls;
+    expect(userId).toBe(result.user.id);
+    expect(portal).toBe('parent');
+    expect(metadata).toMatchObject({ loginMethod: 'magic_link', magicLinkId: expect.any(String), userAgent: 'Safari' });
+
+    // The link opened a session, so it cannot be used again
+    mockModels.UserSession.findOne.mockResolvedValue({ id: 'session_1' });
+    await expect(AuthService.signInParentWithMagicLink(token)).rejects.toThrow('already used');
+  });
+
+  test('should sign in an existing parent account without changing it', async () => {
+    const token = AuthService.createParentMagicLinkToken('parent@home.org');
+    const existingParent = { id: 'user_parent1', email: 'parent@home.org', role: 'user', user_type: 'parent', is_active: true, is_verified: false, update: jest.fn() };
+    mockModels.User.findOne.mockResolvedValue(existingParent);
+
+    const result = await AuthService.signInParentWithMagicLink(token);
+
+    expect(result.user.id).toBe('user_parent1');
+    expect(mockModels.User.create).not.toHaveBeenCalled();
+    expect(existingParent.update).not.toHaveBeenCalled();
+  });
+
+  test('should let only one of two concurrent sign-ins with the same link through', async () => {
+    const token = AuthService.createParentMagicLinkToken('parent@home.org');
+    // Both requests passed the used-link check - the unique magicLinkId index rejects the second session
+    mockModels.UserSession.createUserSession.mockRejectedValueOnce(new mockModels.Sequelize.UniqueConstraintError('duplicate key'));
+
+    await expect(AuthService.signInParentWithMagicLink(token)).rejects.toThrow('Sign-in link was already used');
+    expect(mockModels.RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  test('should stay silent for emails without an active consent', async () => {
+    mockModels.ParentConsent.findAll.mockResolvedValue([]);
+
+    expect(await ParentPortalService.requestMagicLink('stranger@home.org')).toBe(false);
+    expect(mockEmailService.sendEmail).not.toHaveBeenCalled();
+  });
+
+  test('should reject other tokens, revoked consents and non-parent accounts', async () => {
+    const token = AuthService.createParentMagicLinkToken('parent@home.org');
+
+    await expect(AuthService.signInParentWithMagicLink(AuthService.createJWTToken({ email: 'parent@home.org', type: 'password_reset' })))
+      .rejects.toThrow('Invalid sign-in link');
+
+    mockModels.User.findOne.mockResolvedValue({ id: 'user_teacher', email: 'parent@home.org', user_type: 'teacher', is_active: true });
+    await expect(AuthService.signInParentWithMagicLink(token)).rejects.toThrow('cannot use the parent portal');
+
+    // Admins have no user_type - they must not be turned into parents
+    const admin = { id: 'user_admin', email: 'parent@home.org', role: 'admin', user_type: null, is_active: true, update: jest.fn() };
+    mockModels.User.findOne.mockResolvedValue(admin);
+    await expect(AuthService.signInParentWithMagicLink(token)).rejects.toThrow('cannot use the parent portal');
+    expect(admin.update).not.toHaveBeenCalled();
+
+    mockModels.ParentConsent.findOne.mockResolvedValue(null);
+    await expect(AuthService.signInParentWithMagicLink(token)).rejects.toThrow('No active parent consent');
+
+    expect(mockModels.UserSession.createUserSession).not.toHaveBeenCalled();
+  });
+});
+
+describe('Parent portal children', () => {
+  test('should show a consented child\'s classrooms, game results and homework', async () => {
+    mockModels.ClassroomMembership.findAll.mockResolvedValue([
+      { classroom_id: 'classroom_1', joined_at: '2026-10-02T08:00:00Z', Classroom: { name: 'ה׳ 2', grade_level: '5', year: '2026', is_active: true, Teacher: { full_name: 'Ruth Levi' } } },
+      { classroom_id: 'classroom_old', Classroom: { name: 'ד׳ 1', is_active: false } }
+    ]);
+    mockGameResultsService.getStudentHistory.mockResolvedValue({ student_id: 'user_student1', summary: { sessions_played: 2 }, results: [] });
+    mockHomeworkService.listStudentAssignments.mockResolvedValue([{ id: 'homework_1' }]);
+
+    const overview = await ParentPortalService.getChildOverview(parent, 'user_student1', { from: '2026-10-01' });
+
+    expect(overview.child).toMatchObject({ student_id: 'user_student1', full_name: 'Dana', consent: { parent_name: 'Avi' } });
+    expect(overview.classrooms).toEqual([
+      { id: 'classroom_1', name: 'ה׳ 2', grade_level: '5', year: '2026', teacher_name: 'Ruth Levi', joined_at: '2026-10-02T08:00:00Z' }
+    ]);
+    expect(mockGameResultsService.getStudentHistory).toHaveBeenCalledWith('user_student1', { from: '2026-10-01' });
+    expect(mockHomeworkService.listStudentAssignments).toHaveBeenCalledWith(expect.objectContaining({ id: 'user_student1', type: 'user' }));
+    expect(overview.homework).toEqual([{ id: 'homework_1' }]);
+
+    // Consent lookup is by the child and the parent's email
+    expect(mockModels.ParentConsent.findOne.mock.calls[0][0].where).toMatchObject({ student_user_id: 'user_student1', revoked_at: null });
+    expect(mockModels.sequelize.where).toHaveBeenCalledWith('lower_parent_email', 'parent@home.org');
+  });
+
+  test('should hide students without an active consent for the parent', async () => {
+    mockModels.ParentConsent.findOne.mockResolvedValue(null);
+
+    await expect(ParentPortalService.getChildOverview(parent, 'user_other')).rejects.toThrow('Child not found');
+    await expect(ParentPortalService.revokeConsent(parent, 'user_other')).rejects.toThrow('Child not found');
+    expect(mockModels.ClassroomMembership.findAll).not.toHaveBeenCalled();
+  });
+
+  test('should revoke consent as a parent request with the audit trail', async () => {
+    const consent = buildConsent();
+    mockModels.ParentConsent.findOne.mockResolvedValue(consent);
+
+    const result = await ParentPortalService.revokeConsent(parent, 'user_student1', { ip: '10.0.0.1', userAgent: 'Safari' });
+
+    expect(consent.revokeConsent).toHaveBeenCalledWith('user_parent1', 'parent_request', { ip: '10.0.0.1', userAgent: 'Safari' });
+    expect(result.revocation).toMatchObject({ revoked_by: 'user_parent1', revocation_reason: 'parent_request', revoked_at: expect.any(Date) });
+  });
+
+  test('should turn data requests into data subject requests for the child', async () => {
+    mockDataSubjectRequestService.createRequest.mockImplementation(async data => ({
+      id: 'dsr_1',
+      ...data,
+      status: 'pending',
+      created_at: new Date('2026-10-18T08:00:00Z'),
+      completed_at: null
+    }));
+
+    const request = await ParentPortalService.requestDataAction(parent, 'user_student1', 'deletion', 'Please delete everything');
+
+    expect(mockDataSubjectRequestService.createRequest).toHaveBeenCalledWith(
+      { request_type: 'erasure', subject_type: 'user', subject_id: 'user_student1', reason: 'Please delete everything' },
+      { id: 'user_parent1', role: 'parent' }
+    );
+    expect(request).toMatchObject({ id: 'dsr_1', student_id: 'user_student1', type: 'deletion', status: 'pending', download_available: false });
+
+    // Only for consented children
+    mockModels.ParentConsent.findOne.mockResolvedValue(null);
+    await expect(ParentPortalService.requestDataAction(parent, 'user_other', 'export')).rejects.toThrow('Child not found');
+    expect(mockDataSubjectRequestService.createRequest).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * PayPal Amount Helpers Unit Tests
+ *
+ * PayPal exchanges money as decimal strings - orders use { value, currency_code },
+ * subscription sales use { total, currency }.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { toPayPalAmount, fromPayPalAmount } from '../../../constants/paypal.js';
+
+describe('PayPal Amount Helpers', () => {
+  describe('toPayPalAmount', () => {
+    test('should format decimals with exactly two digits', () => {
+      expect(toPayPalAmount(49.9)).toBe('49.90');
+      expect(toPayPalAmount('19.9')).toBe('19.90');
+      expect(toPayPalAmount(10)).toBe('10.00');
+    });
+
+    test('should round floating point sums to cents', () => {
+      expect(toPayPalAmount(0.1 + 0.2)).toBe('0.30');
+      expect(toPayPalAmount(19.995)).toBe('20.00');
+    });
+
+    test('should treat missing amounts as zero', () => {
+      expect(toPayPalAmount(null)).toBe('0.00');
+    });
+  });
+
+  describe('fromPayPalAmount', () => {
+    test('should parse order/capture money objects', () => {
+      expect(fromPayPalAmount({ value: '49.90', currency_code: 'ILS' })).toBe(49.9);
+    });
+
+    test('should parse subscription sale money objects', () => {
+      expect(fromPayPalAmount({ total: '29.00', currency: 'USD' })).toBe(29);
+    });
+
+    test('should return null when the amount is missing', () => {
+      expect(fromPayPalAmount(undefined)).toBeNull();
+      expect(fromPayPalAmount({})).toBeNull();
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,365 @@
+/**
+ * PayPal Webhook Unit Tests
+ *
+ * Mapping of PayPal webhook events onto Transaction, Purchase and Subscription records,
+ * and rejection of deliveries PayPal does not verify.
+ */
+
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+
+// Avoid database and fulfilment dependencies in unit tests
+const mockModels = {
+  Transaction: { findByPk: jest.fn(), findOne: jest.fn(), create: jest.fn() },
+  Purchase: { update: jest.fn() },
+  Subscription: { findOne: jest.fn(), findByPk: jest.fn() },
+  WebhookLog: { findOne: jest.fn() }
+};
+
+const mockPaymentService = {
+  completePurchase: jest.fn()
+};
+
+const mockSubscriptionService = {
+  activateSubscription: jest.fn()
+};
+
+const mockRefundService = {
+  recordProviderRefund: jest.fn()
+};
+
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: mockModels
+}));
+
+jest.unstable_mockModule('../../../services/PaymentService.js', () => ({
+  default: mockPaymentService
+}));
+
+jest.unstable_mockModule('../../../services/SubscriptionService.js', () => ({
+  default: mockSubscriptionService
+}));
+
+jest.unstable_mockModule('../../../services/RefundService.js', () => ({
+  default: mockRefundService
+}));
+
+let PaypalWebhookService;
+let PaypalService;
+
+beforeAll(async () => {
+  PaypalWebhookService = (await import('../../../services/PaypalWebhookService.js')).default;
+  PaypalService = (await import('../../../services/PaypalService.js')).default;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+function createWebhookLog() {
+  return { addProcessLog: jest.fn(), update: jest.fn() };
+}
+
+function createTransaction(overrides = {}) {
+  return {
+    id: 'txn_1',
+    amount: '49.90',
+    payment_status: 'pending',
+    metadata: { paypal_order_id: '5O190127TN364715T' },
+    purchases: [{ id: 'pur_1' }],
+    update: jest.fn(),
+    ...overrides
+  };
+}
+
+function createSubscription(overrides = {}) {
+  return {
+    id: 'sub_ludora_001',
+    user_id: 'user_1',
+    status: 'active',
+    transaction_id: 'txn_initial',
+    next_billing_date: new Date(Date.now() + 10 * 24 * 60 * 60 * 1000),
+    end_date: null,
+    metadata: { paypal_subscription_id: 'I-BW452GLLEP1G' },
+    isExpiring: jest.fn(() => false),
+    calculateNextBillingDate: jest.fn(() => new Date('2025-03-01T00:00:00Z')),
+    update: jest.fn(),
+    ...overrides
+  };
+}
+
+describe('PayPal Webhooks', () => {
+  describe('PAYMENT.CAPTURE.COMPLETED', () => {
+    const event = {
+      id: 'WH-CAPTURE-1',
+      event_type: 'PAYMENT.CAPTURE.COMPLETED',
+      resource: {
+        id: '3C679366HH908993F',
+        status: 'COMPLETED',
+        custom_id: 'txn_1',
+        amount: { currency_code: 'ILS', value: '49.90' },
+        supplementary_data: { related_ids: { order_id: '5O190127TN364715T' } }
+      }
+    };
+
+    test('should complete the transaction and its purchases', async () => {
+      const transaction = createTransaction();
+      mockModels.Transaction.findByPk.mockResolvedValue(transaction);
+
+      const result = await PaypalWebhookService.processEvent(event, createWebhookLog());
+
+      expect(mockModels.Transaction.findByPk).toHaveBeenCalledWith('txn_1', expect.anything());
+      expect(result).toEqual({ handled: true, action: 'completed', transactionId: 'txn_1' });
+
+      const update = transaction.update.mock.calls[0][0];
+      expect(update.payment_status).toBe('completed');
+      expect(update.payment_method).toBe('paypal');
+      expect(update.resolution_method).toBe('webhook');
+      expect(update.metadata).toEqual(expect.objectContaining({
+        paypal_order_id: '5O190127TN364715T',
+        paypal_capture_id: '3C679366HH908993F',
+        settledAmount: 49.9,
+        settledCurrency: 'ILS'
+      }));
+
+      expect(mockPaymentService.completePurchase).toHaveBeenCalledWith('pur_1', expect.objectContaining({ paymentMethod: 'paypal' }));
+    });
+
+    test('should find the transaction by order id when custom_id is unknown', async () => {
+      const transaction = createTransaction();
+      mockModels.Transaction.findByPk.mockResolvedValue(null);
+      mockModels.Transaction.findOne.mockResolvedValue(transaction);
+
+      await PaypalWebhookService.processEvent(event, createWebhookLog());
+
+      expect(mockModels.Transaction.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { 'metadata.paypal_order_id': '5O190127TN364715T' }
+      }));
+      expect(transaction.update).toHaveBeenCalled();
+    });
+
+    test('should not fulfil a transaction that was already completed', async () => {
+      mockModels.Transaction.findByPk.mockResolvedValue(createTransaction({ payment_status: 'completed' }));
+
+      const result = await PaypalWebhookService.processEvent(event, createWebhookLog());
+
+      expect(result.action).toBe('already_completed');
+      expect(mockPaymentService.completePurchase).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PAYMENT.CAPTURE.REFUNDED', () => {
+    const event = {
+      id: 'WH-REFUND-1',
+      event_type: 'PAYMENT.CAPTURE.REFUNDED',
+      resource: {
+        id: '1JU08902781691411',
+        status: 'COMPLETED',
+        amount: { currency_code: 'ILS', value: '20.00' },
+        seller_payable_breakdown: { total_refunded_amount: { currency_code: 'ILS', value: '20.00' } },
+        links: [
+          { rel: 'self', href: 'https://api-m.paypal.com/v2/payments/refunds/1JU08902781691411' },
+          { rel: 'up', href: 'https://api-m.paypal.com/v2/payments/captures/3C679366HH908993F' }
+        ]
+      }
+    };
+
+    test('should find the transaction by capture and record the refund through RefundService', async () => {
+      const transaction = createTransaction({ payment_status: 'completed' });
+      mockModels.Transaction.findOne.mockResolvedValue(transaction);
+      mockRefundService.recordProviderRefund.mockResolvedValue({
+        transactionId: 'txn_1',
+        amount: 20,
+        refunds: [{ purchaseId: 'pur_1', amount: 20, refundType: 'partial' }]
+      });
+
+      const result = await PaypalWebhookService.processEvent(event, createWebhookLog());
+
+      expect(mockModels.Transaction.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { 'metadata.paypal_capture_id': '3C679366HH908993F' }
+      }));
+      expect(mockRefundService.recordProviderRefund).toHaveBeenCalledWith(transaction, expect.objectContaining({
+        provider: 'paypal',
+        refundId: '1JU08902781691411',
+        refundedTotal: 20,
+        chargeAmount: 49.9,
+        isFullRefund: false
+      }));
+      expect(result).toEqual({ handled: true, action: 'partially_refunded', transactionId: 'txn_1' });
+    });
+  });
+
+  describe('PAYMENT.SALE.COMPLETED', () => {
+    const event = {
+      id: 'WH-SALE-2',
+      event_type: 'PAYMENT.SALE.COMPLETED',
+      resource: {
+        id: '80021663DE681814L',
+        billing_agreement_id: 'I-BW452GLLEP1G',
+        amount: { total: '19.90', currency: 'ILS' }
+      }
+    };
+
+    test('should record a renewal transaction for a sale after the initial payment', async () => {
+      const subscription = createSubscription();
+      mockModels.Subscription.findOne.mockResolvedValue(subscription);
+      mockModels.Transaction.findOne.mockResolvedValue(null);
+      mockModels.Transaction.findByPk.mockResolvedValue(createTransaction({
+        id: 'txn_initial',
+        payment_status: 'completed',
+        metadata: { paypal_sale_id: 'PREVIOUS-SALE' }
+      }));
+      mockModels.Transaction.create.mockImplementation(async (data) => data);
+
+      const result = await PaypalWebhookService.processEvent(event, createWebhookLog());
+
+      expect(result.action).toBe('subscription_renewed');
+
+      const renewal = mockModels.Transaction.create.mock.calls[0][0];
+      expect(renewal).toEqual(expect.objectContaining({
+        user_id: 'user_1',
+        payment_method: 'paypal',
+        payment_status: 'completed',
+        amount: 19.9,
+        currency: 'ILS'
+      }));
+      expect(renewal.metadata).toEqual(expect.objectContaining({
+        subscription_id: 'sub_ludora_001',
+        transaction_type: 'SUBSCRIPTION_RENEWAL',
+        paypal_sale_id: '80021663DE681814L'
+      }));
+      expect(subscription.update.mock.calls[0][0].metadata.lastRenewalTransactionId).toBe(renewal.id);
+    });
+
+    test('should not record the same sale twice', async () => {
+      mockModels.Subscription.findOne.mockResolvedValue(createSubscription());
+      mockModels.Transaction.findOne.mockResolvedValue({ id: 'txn_renewal_1' });
+
+      const result = await PaypalWebhookService.processEvent(event, createWebhookLog());
+
+      expect(result).toEqual(expect.objectContaining({ action: 'already_recorded', transactionId: 'txn_renewal_1' }));
+      expect(mockModels.Transaction.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('BILLING.SUBSCRIPTION events', () => {
+    test('should activate a pending subscription on ACTIVATED', async () => {
+      const subscription = createSubscription({ status: 'pending', transaction_id: null, metadata: {} });
+      mockModels.Subscription.findOne.mockResolvedValue(null);
+      mockModels.Subscription.findByPk.mockResolvedValue(subscription);
+      mockSubscriptionService.activateSubscription.mockResolvedValue({ ...subscription, status: 'active', billing_price: 0 });
+
+      const result = await PaypalWebhookService.processEvent({
+        id: 'WH-ACTIVATED-1',
+        event_type: 'BILLING.SUBSCRIPTION.ACTIVATED',
+        resource: { id: 'I-BW452GLLEP1G', custom_id: 'sub_ludora_001', subscriber: { payer_id: 'PAYER1' } }
+      }, createWebhookLog());
+
+      expect(mockModels.Subscription.findByPk).toHaveBeenCalledWith('sub_ludora_001');
+      expect(result).toEqual({ handled: true, action: 'subscription_activated', subscriptionId: 'sub_ludora_001' });
+      expect(mockSubscriptionService.activateSubscription).toHaveBeenCalledWith('sub_ludora_001', {
+        metadata: expect.objectContaining({
+          payment_provider: 'paypal',
+          paypal_subscription_id: 'I-BW452GLLEP1G',
+          paypal_payer_id: 'PAYER1'
+        })
+      });
+    });
+
+    test('should keep access until the paid period ends on CANCELLED', async () => {
+      const subscription = createSubscription();
+      mockModels.Subscription.findOne.mockResolvedValue(subscription);
+
+      const result = await PaypalWebhookService.processEvent({
+        id: 'WH-CANCELLED-1',
+        event_type: 'BILLING.SUBSCRIPTION.CANCELLED',
+        resource: { id: 'I-BW452GLLEP1G', status: 'CANCELLED' }
+      }, createWebhookLog());
+
+      expect(result.action).toBe('cancellation_scheduled');
+
+      const update = subscription.update.mock.calls[0][0];
+      expect(update.end_date).toEqual(subscription.next_billing_date);
+      expect(update.next_billing_date).toBeNull();
+      expect(update.status).toBeUndefined();
+    });
+
+    test('should fail when no subscription is linked to the PayPal subscription', async () => {
+      mockModels.Subscription.findOne.mockResolvedValue(null);
+
+      await expect(PaypalWebhookService.processEvent({
+        id: 'WH-EXPIRED-1',
+        event_type: 'BILLING.SUBSCRIPTION.EXPIRED',
+        resource: { id: 'I-UNKNOWN' }
+      }, createWebhookLog())).rejects.toThrow('No subscription found for PayPal subscription I-UNKNOWN');
+    });
+  });
+
+  test('should acknowledge unhandled event types without touching records', async () => {
+    const result = await PaypalWebhookService.processEvent({ id: 'WH-OTHER', event_type: 'CUSTOMER.DISPUTE.CREATED', resource: {} }, createWebhookLog());
+
+    expect(result).toEqual({ handled: false, action: 'ignored' });
+    expect(mockModels.Transaction.findByPk).not.toHaveBeenCalled();
+  });
+
+  describe('verifyWebhookSignature', () => {
+    const headers = {
+      'paypal-auth-algo': 'SHA256withRSA',
+      'paypal-cert-url': 'https://api.sandbox.paypal.com/v1/notifications/certs/CERT-360caa42',
+      'paypal-transmission-id': '69cd13f0-d67a-11e5-baa3-778b53f4ae55',
+      'paypal-transmission-sig': 'lmI95Jx3Y9nhR5SJWlHVIWpg4AgFk7n9bCHSRxbrd8A9zrhdu2rMyFrmz+Zjh3s3boXB07VXCXUZy/UFzUlnGJn0wDugt7FlSvdKeIJenLRemUxYCPVoEZzg9VFNqOa48gMkvF+XTpxBeUx/kWy6B5cp7GkT2+pOowfRK7OaynuxUoKW3JcMWw272VKjLTtTAShncla7tGF+55rxyt2KNZIIqxNMJ48RDZheGU5w1npu9dZHnPgTXB9iomeVRoD8O/jhRpnKsGrDschyNdkeh81BJJMH4Ctc6lnCCquoP/GzCzz33MMsNdid7vL/NIWaCsekQpW26FpWPi/tfj8nLA==',
+      'paypal-transmission-time': '2016-02-18T20:01:35Z'
+    };
+    const event = { id: 'WH-CAPTURE-1', event_type: 'PAYMENT.CAPTURE.COMPLETED' };
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+      process.env.PAYPAL_CLIENT_ID = 'test_client_id';
+      process.env.PAYPAL_CLIENT_SECRET = 'test_client_secret';
+      process.env.PAYPAL_WEBHOOK_ID = 'WH_TEST_ID';
+    });
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+      jest.restoreAllMocks();
+    });
+
+    test('should accept a delivery PayPal verifies', async () => {
+      const request = jest.spyOn(PaypalService, 'request').mockResolvedValue({ verification_status: 'SUCCESS' });
+
+      await expect(PaypalService.verifyWebhookSignature(headers, event)).resolves.toBe(true);
+      expect(request).toHaveBeenCalledWith('POST', '/v1/notifications/verify-webhook-signature', expect.objectContaining({
+        transmission_id: headers['paypal-transmission-id'],
+        webhook_id: 'WH_TEST_ID',
+        webhook_event: event
+      }));
+    });
+
+    test('should reject a delivery PayPal does not verify', async () => {
+      jest.spyOn(PaypalService, 'request').mockResolvedValue({ verification_status: 'FAILURE' });
+
+      await expect(PaypalService.verifyWebhookSignature(headers, event)).resolves.toBe(false);
+    });
+
+    test('should reject a delivery without the signature headers', async () => {
+      const request = jest.spyOn(PaypalService, 'request');
+      const { 'paypal-transmission-sig': _signature, ...unsignedHeaders } = headers;
+
+      await expect(PaypalService.verifyWebhookSignature(unsignedHeaders, event)).resolves.toBe(false);
+      expect(request).not.toHaveBeenCalled();
+    });
+
+    test('should reject every delivery when the webhook id is not configured', async () => {
+      delete process.env.PAYPAL_WEBHOOK_ID;
+      const request = jest.spyOn(PaypalService, 'request');
+
+      await expect(PaypalService.verifyWebhookSignature(headers, event)).resolves.toBe(false);
+      expect(request).not.toHaveBeenCalled();
+    });
+
+    test('should reject the delivery when the verification call fails', async () => {
+      jest.spyOn(PaypalService, 'request').mockRejectedValue(new Error('PayPal API unavailable'));
+
+      await expect(PaypalService.verifyWebhookSignature(headers, event)).resolves.toBe(false);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,461 @@
+/**
+ * Purchase Refund Unit Tests
+ *
+ * Full and partial admin refunds: the PayPlus refund call, the refund Transaction,
+ * access revocation and the reversal of coupon usage and subscription claims.
+ * Provider refunds reported by Stripe / PayPal webhooks go through the same recording.
+ */
+
+import { jest, describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+// Avoid database and payment provider dependencies in unit tests
+const mockDbTransaction = {
+  commit: jest.fn(),
+  rollback: jest.fn(),
+  LOCK: { UPDATE: 'UPDATE' }
+};
+
+const mockModels = {
+  sequelize: { transaction: jest.fn(async () => mockDbTransaction) },
+  Purchase: { findByPk: jest.fn(), count: jest.fn(), findAll: jest.fn() },
+  Transaction: { create: jest.fn(), findByPk: jest.fn() },
+  Coupon: { findByPk: jest.fn(), findOne: jest.fn() }
+};
+
+const mockPayplusService = {
+  refundTransaction: jest.fn()
+};
+
+const mockAccessControlService = {
+  revokeAccess: jest.fn()
+};
+
+const mockCouponValidationService = {
+  decrementUserUsage: jest.fn()
+};
+
+const mockSubscriptionAllowanceService = {
+  releaseClaimsForPurchase: jest.fn()
+};
+
+const mockBundlePurchaseService = {
+  isFromBundle: jest.fn(() => false),
+  isBundlePurchase: jest.fn(() => false)
+};
+
+const mockCreatorEarningsService = {
+  recordRefundClawback: jest.fn()
+};
+
+const mockInvoiceService = {
+  requestCreditNote: jest.fn()
+};
+
+const mockGiftService = {
+  isGiftPurchase: jest.fn(() => false),
+  assertRefundable: jest.fn(),
+  revokeForRefund: jest.fn()
+};
+
+jest.unstable_mockModule('../../../models/index.js', () => ({ default: mockModels }));
+jest.unstable_mockModule('../../../services/PayplusService.js', () => ({ default: mockPayplusService }));
+jest.unstable_mockModule('../../../services/AccessControlService.js', () => ({ default: mockAccessControlService }));
+jest.unstable_mockModule('../../../services/CouponValidationService.js', () => ({ default: mockCouponValidationService }));
+jest.unstable_mockModule('../../../services/SubscriptionAllowanceService.js', () => ({ default: mockSubscriptionAllowanceService }));
+jest.unstable_mockModule('../../../services/BundlePurchaseService.js', () => ({ default: mockBundlePurchaseService }));
+jest.unstable_mockModule('../../../services/CreatorEarningsService.js', () => ({ default: mockCreatorEarningsService }));
+jest.unstable_mockModule('../../../services/InvoiceService.js', () => ({ default: mockInvoiceService }));
+jest.unstable_mockModule('../../../services/GiftService.js', () => ({ default: mockGiftService }));
+
+let RefundService;
+
+beforeAll(async () => {
+  RefundService = (await import('../../../services/RefundService.js')).default;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  mockPayplusService.refundTransaction.mockResolvedValue({
+    refundTransactionUid: 'refund_uid_1',
+    environment: 'staging',
+    data: { status: 'approved' }
+  });
+  mockModels.Transaction.create.mockImplementation(async (data) => data);
+  mockModels.Purchase.count.mockResolvedValue(0);
+  mockSubscriptionAllowanceService.releaseClaimsForPurchase.mockResolvedValue({ releasedCount: 1, claimIds: ['claim_1'] });
+  mockAccessControlService.revokeAccess.mockResolvedValue({ revoked: true });
+  mockCreatorEarningsService.recordRefundClawback.mockResolvedValue(null);
+  mockCouponValidationService.decrementUserUsage.mockResolvedValue(true);
+});
+
+function createPurchase(overrides = {}) {
+  const originalTransaction = {
+    id: 'txn_1',
+    currency: 'ILS',
+    payment_method: 'payplus',
+    payment_status: 'completed',
+    metadata: { payplus_transaction_uid: 'payplus_uid_1' },
+    update: jest.fn()
+  };
+
+  const purchase = {
+    id: 'pur_1',
+    buyer_user_id: 'user_1',
+    purchasable_type: 'file',
+    purchasable_id: 'prod_1',
+    payment_amount: '100.00',
+    payment_status: 'completed',
+    payment_method: 'payplus',
+    transaction_id: 'txn_1',
+    coupon_code: null,
+    metadata: {},
+    transaction: originalTransaction,
+    ...overrides
+  };
+
+  // Like a model instance - update changes the record in place
+  purchase.update = jest.fn(async (changes) => Object.assign(purchase, changes));
+
+  mockModels.Purchase.findByPk.mockResolvedValue(purchase);
+  return purchase;
+}
+
+describe('Purchase Refunds', () => {
+  describe('full refund', () => {
+    test('should refund through PayPlus, record the refund and revoke access', async () => {
+      const purchase = createPurchase();
+
+      const result = await RefundService.refundPurchase('pur_1', { reason: 'Customer request', adminUserId: 'admin_1' });
+
+      expect(mockPayplusService.refundTransaction).toHaveBeenCalledWith({
+        transactionUid: 'payplus_uid_1',
+        amount: 100,
+        reason: 'Customer request'
+      });
+
+      const refundTransaction = mockModels.Transaction.create.mock.calls[0][0];
+      expect(refundTransaction).toEqual(expect.objectContaining({
+        user_id: 'user_1',
+        amount: 100,
+        payment_status: 'refunded'
+      }));
+      expect(refundTransaction.metadata).toEqual(expect.objectContaining({
+        transaction_type: 'refund',
+        original_transaction_id: 'txn_1',
+        purchase_id: 'pur_1',
+        refund_type: 'full'
+      }));
+
+      expect(purchase.payment_status).toBe('refunded');
+      expect(purchase.metadata.refunded_amount).toBe(100);
+      expect(purchase.transaction.update).toHaveBeenCalledWith(
+        expect.objectContaining({ payment_status: 'refunded' }),
+        { transaction: mockDbTransaction }
+      );
+
+      expect(mockAccessControlService.revokeAccess).toHaveBeenCalledWith('user_1', 'file', 'prod_1', {
+        purchaseId: 'pur_1',
+        reason: 'refunded',
+        transaction: mockDbTransaction
+      });
+
+      expect(mockDbTransaction.commit).toHaveBeenCalled();
+      expect(mockInvoiceService.requestCreditNote).toHaveBeenCalledWith(refundTransaction.id);
+      expect(result).toEqual(expect.objectContaining({ refundType: 'full', refundableAmount: 0 }));
+    });
+
+    test('should release the subscription claims of the purchase', async () => {
+      const purchase = createPurchase();
+
+      const result = await RefundService.refundPurchase('pur_1', { reason: 'Customer request', adminUserId: 'admin_1' });
+
+      expect(mockSubscriptionAllowanceService.releaseClaimsForPurchase).toHaveBeenCalledWith(purchase, {
+        transaction: mockDbTransaction,
+        reason: 'purchase_refunded'
+      });
+      expect(result.releasedClaimIds).toEqual(['claim_1']);
+    });
+
+    test('should give the coupon use back once no discounted purchase remains', async () => {
+      createPurchase({ coupon_code: 'SAVE10', metadata: { coupon_id: 'coupon_1' } });
+      mockModels.Coupon.findByPk.mockResolvedValue({ id: 'coupon_1' });
+
+      const result = await RefundService.refundPurchase('pur_1', { reason: 'Customer request', adminUserId: 'admin_1' });
+
+      expect(mockCouponValidationService.decrementUserUsage).toHaveBeenCalledWith('coupon_1', 'user_1', mockDbTransaction);
+      expect(result.couponReversed).toBe(true);
+    });
+
+    test('should keep the coupon use while other discounted purchases on the order are still paid', async () => {
+      createPurchase({ coupon_code: 'SAVE10', metadata: { coupon_id: 'coupon_1' } });
+      mockModels.Purchase.count.mockResolvedValue(1);
+
+      const result = await RefundService.refundPurchase('pur_1', { reason: 'Customer request', adminUserId: 'admin_1' });
+
+      expect(mockCouponValidationService.decrementUserUsage).not.toHaveBeenCalled();
+      expect(result.couponReversed).toBe(false);
+    });
+
+    test('should decrement every stacked cart coupon', async () => {
+      createPurchase({ coupon_code: 'SAVE10', metadata: { coupon_ids: ['coupon_1', 'coupon_2'] } });
+
+      await RefundService.refundPurchase('pur_1', { reason: 'Customer request', adminUserId: 'admin_1' });
+
+      expect(mockCouponValidationService.decrementUserUsage).toHaveBeenCalledTimes(2);
+      expect(mockCouponValidationService.decrementUserUsage).toHaveBeenCalledWith('coupon_2', 'user_1', mockDbTransaction);
+    });
+  });
+
+  describe('partial refund', () => {
+    test('should keep the purchase completed and shorten access to the given date', async () => {
+      const purchase = createPurchase();
+      mockModels.Purchase.count.mockResolvedValue(1);
+
+      const result = await RefundService.refundPurchase('pur_1', {
+        amount: 40,
+        reason: 'Partial service',
+        adminUserId: 'admin_1',
+        accessExpiresAt: '2026-12-31'
+      });
+
+      expect(mockPayplusService.refundTransaction).toHaveBeenCalledWith(expect.objectContaining({ amount: 40 }));
+      expect(purchase.payment_status).toBe('completed');
+      expect(purchase.metadata.refunded_amount).toBe(40);
+
+      expect(mockAccessControlService.revokeAccess).toHaveBeenCalledWith('user_1', 'file', 'prod_1', {
+        purchaseId: 'pur_1',
+        accessExpiresAt: '2026-12-31',
+        reason: 'partially_refunded',
+        transaction: mockDbTransaction
+      });
+
+      expect(mockCouponValidationService.decrementUserUsage).not.toHaveBeenCalled();
+      expect(mockSubscriptionAllowanceService.releaseClaimsForPurchase).not.toHaveBeenCalled();
+      expect(result).toEqual(expect.objectContaining({ refundType: 'partial', refundedAmount: 40, refundableAmount: 60 }));
+    });
+
+    test('should keep access when no end date is given', async () => {
+      createPurchase();
+      mockModels.Purchase.count.mockResolvedValue(1);
+
+      await RefundService.refundPurchase('pur_1', { amount: 40, reason: 'Goodwill', adminUserId: 'admin_1' });
+
+      expect(mockAccessControlService.revokeAccess).not.toHaveBeenCalled();
+    });
+
+    test('should treat refunding the rest of a partially refunded purchase as a full refund', async () => {
+      const purchase = createPurchase({ metadata: { refunded_amount: 40, refunds: [{ amount: 40 }] } });
+
+      const result = await RefundService.refundPurchase('pur_1', { reason: 'Customer request', adminUserId: 'admin_1' });
+
+      expect(mockPayplusService.refundTransaction).toHaveBeenCalledWith(expect.objectContaining({ amount: 60 }));
+      expect(purchase.payment_status).toBe('refunded');
+      expect(purchase.metadata.refunds).toHaveLength(2);
+      expect(result.refundType).toBe('full');
+    });
+  });
+
+  describe('validation', () => {
+    test('should reject a refund above the remaining refundable amount', async () => {
+      createPurchase({ metadata: { refunded_amount: 70 } });
+
+      await expect(RefundService.refundPurchase('pur_1', { amount: 40, reason: 'Too much', adminUserId: 'admin_1' }))
+        .rejects.toThrow('Refund amount 40 exceeds refundable amount 30');
+      expect(mockPayplusService.refundTransaction).not.toHaveBeenCalled();
+    });
+
+    test('should reject a refund of a purchase that was already refunded', async () => {
+      createPurchase({ payment_status: 'refunded' });
+
+      await expect(RefundService.refundPurchase('pur_1', { reason: 'Again', adminUserId: 'admin_1' }))
+        .rejects.toThrow('Purchase already refunded');
+      expect(mockPayplusService.refundTransaction).not.toHaveBeenCalled();
+    });
+
+    test('should require a reason', async () => {
+      await expect(RefundService.refundPurchase('pur_1', { adminUserId: 'admin_1' }))
+        .rejects.toThrow('Refund reason is required');
+    });
+
+    test('should roll back the records when recording a PayPlus refund fails', async () => {
+      createPurchase();
+      mockAccessControlService.revokeAccess.mockRejectedValue(new Error('Database unavailable'));
+
+      await expect(RefundService.refundPurchase('pur_1', { reason: 'Customer request', adminUserId: 'admin_1' }))
+        .rejects.toThrow('Database unavailable');
+      expect(mockDbTransaction.rollback).toHaveBeenCalled();
+      // Only the refund reservation was committed
+      expect(mockDbTransaction.commit).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep the in-progress marker when recording a PayPlus refund fails', async () => {
+      const purchase = createPurchase();
+      mockModels.Transaction.create.mockRejectedValue(new Error('Database unavailable'));
+
+      await expect(RefundService.refundPurchase('pur_1', { reason: 'Customer request', adminUserId: 'admin_1' }))
+        .rejects.toThrow('Database unavailable');
+      expect(purchase.metadata.refund_in_progress).toEqual(expect.objectContaining({ amount: 100, requested_by: 'admin_1' }));
+    });
+  });
+
+  describe('concurrent refunds', () => {
+    test('should lock the purchase and mark the refund in progress before calling PayPlus', async () => {
+      const purchase = createPurchase();
+      mockPayplusService.refundTransaction.mockImplementation(async () => {
+        expect(purchase.metadata.refund_in_progress).toEqual(expect.objectContaining({ amount: 100 }));
+        return { refundTransactionUid: 'refund_uid_1', environment: 'staging', data: {} };
+      });
+
+      await RefundService.refundPurchase('pur_1', { reason: 'Customer request', adminUserId: 'admin_1' });
+
+      expect(mockModels.Purchase.findByPk).toHaveBeenCalledWith('pur_1', {
+        transaction: mockDbTransaction,
+        lock: 'UPDATE'
+      });
+      expect(purchase.metadata.refund_in_progress).toBeUndefined();
+    });
+
+    test('should reject a refund while another refund of the purchase is in progress', async () => {
+      createPurchase({ metadata: { refund_in_progress: { amount: 100, requested_by: 'admin_2' } } });
+
+      await expect(RefundService.refundPurchase('pur_1', { reason: 'Customer request', adminUserId: 'admin_1' }))
+        .rejects.toThrow('A refund for this purchase is already in progress');
+      expect(mockPayplusService.refundTransaction).not.toHaveBeenCalled();
+      expect(mockDbTransaction.rollback).toHaveBeenCalled();
+    });
+
+    test('should clear the marker when PayPlus rejects the refund', async () => {
+      const purchase = createPurchase();
+      mockPayplusService.refundTransaction.mockRejectedValue(new Error('PayPlus refund failed'));
+
+      await expect(RefundService.refundPurchase('pur_1', { reason: 'Customer request', adminUserId: 'admin_1' }))
+        .rejects.toThrow('PayPlus refund failed');
+      expect(purchase.metadata.refund_in_progress).toBeUndefined();
+      expect(mockModels.Transaction.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('provider refunds', () => {
+    function createOrder(purchaseOverrides = [], transactionOverrides = {}) {
+      const originalTransaction = {
+        id: 'txn_1',
+        amount: '150.00',
+        currency: 'ILS',
+        payment_method: 'stripe',
+        payment_status: 'completed',
+        metadata: {},
+        ...transactionOverrides
+      };
+      originalTransaction.update = jest.fn(async (changes) => Object.assign(originalTransaction, changes));
+
+      const purchases = [
+        { id: 'pur_1', payment_amount: '100.00' },
+        { id: 'pur_2', payment_amount: '50.00' }
+      ].map((purchase, index) => {
+        const record = {
+          buyer_user_id: 'user_1',
+          purchasable_type: 'file',
+          purchasable_id: `prod_${index + 1}`,
+          payment_status: 'completed',
+          transaction_id: 'txn_1',
+          coupon_code: null,
+          metadata: {},
+          ...purchase,
+          ...purchaseOverrides[index]
+        };
+        record.update = jest.fn(async (changes) => Object.assign(record, changes));
+        return record;
+      });
+
+      mockModels.Transaction.findByPk.mockResolvedValue(originalTransaction);
+      mockModels.Purchase.findAll.mockResolvedValue(purchases);
+      return { originalTransaction, purchases };
+    }
+
+    const stripeRefund = {
+      provider: 'stripe',
+      environment: 'staging',
+      reason: 'Refunded through Stripe',
+      providerRefs: { stripe_charge_id: 'ch_1' }
+    };
+
+    test('should fully refund every purchase of the order under a lock', async () => {
+      const { originalTransaction, purchases } = createOrder();
+
+      const result = await RefundService.recordProviderRefund({ id: 'txn_1' }, {
+        ...stripeRefund,
+        refundedTotal: 40,
+        chargeAmount: 40,
+        isFullRefund: true
+      });
+
+      expect(mockModels.Transaction.findByPk).toHaveBeenCalledWith('txn_1', {
+        transaction: mockDbTransaction,
+        lock: 'UPDATE'
+      });
+      expect(result.amount).toBe(150);
+      expect(result.refunds.map(refund => refund.amount)).toEqual([100, 50]);
+      expect(purchases.every(purchase => purchase.payment_status === 'refunded')).toBe(true);
+      expect(mockAccessControlService.revokeAccess).toHaveBeenCalledTimes(2);
+      expect(mockCreatorEarningsService.recordRefundClawback).toHaveBeenCalledWith(purchases[1], 50, expect.anything());
+      expect(mockInvoiceService.requestCreditNote).toHaveBeenCalledTimes(2);
+
+      const refundTransaction = mockModels.Transaction.create.mock.calls[0][0];
+      expect(refundTransaction).toEqual(expect.objectContaining({ payment_method: 'stripe', resolution_method: 'webhook' }));
+      expect(originalTransaction.metadata).toEqual(expect.objectContaining({ stripe_charge_id: 'ch_1', refunded_amount: 150 }));
+      expect(originalTransaction.payment_status).toBe('refunded');
+    });
+
+    test('should spread a partial refund over the purchases by the share of the charge refunded', async () => {
+      const { purchases } = createOrder();
+      mockModels.Purchase.count.mockResolvedValue(2);
+
+      // A third of a USD charge is a third of the ILS order
+      const result = await RefundService.recordProviderRefund({ id: 'txn_1' }, {
+        ...stripeRefund,
+        refundedTotal: 13.3,
+        chargeAmount: 39.9,
+        isFullRefund: false
+      });
+
+      expect(result.amount).toBe(50);
+      expect(result.refunds.map(refund => [refund.purchaseId, refund.amount, refund.refundType])).toEqual([
+        ['pur_1', 33.33, 'partial'],
+        ['pur_2', 16.67, 'partial']
+      ]);
+      expect(purchases[0].payment_status).toBe('completed');
+      expect(mockAccessControlService.revokeAccess).not.toHaveBeenCalled();
+    });
+
+    test('should only record the part of the refunded total that is not recorded yet', async () => {
+      createOrder([{ metadata: { refunded_amount: 50 } }], { metadata: { refunded_amount: 50 } });
+      mockModels.Purchase.count.mockResolvedValue(1);
+
+      const result = await RefundService.recordProviderRefund({ id: 'txn_1' }, {
+        ...stripeRefund,
+        refundedTotal: 20,
+        chargeAmount: 40,
+        isFullRefund: false
+      });
+
+      expect(result.amount).toBe(25);
+      expect(result.refunds.map(refund => refund.amount)).toEqual([12.5, 12.5]);
+    });
+
+    test('should record nothing when the webhook repeats an already recorded refund', async () => {
+      createOrder([], { metadata: { refunded_amount: 75 } });
+
+      const result = await RefundService.recordProviderRefund({ id: 'txn_1' }, {
+        ...stripeRefund,
+        refundedTotal: 20,
+        chargeAmount: 40,
+        isFullRefund: false
+      });
+
+      expect(result).toEqual({ transactionId: 'txn_1', amount: 0, refunds: [] });
+      expect(mockModels.Transaction.create).not.toHaveBeenCalled();
+      expect(mockInvoiceService.requestCreditNote).not.toHaveBeenCalled();
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,121 @@
+/**
+ * School License Unit Tests
+ *
+ * Pooled seat allowances and seat assignment rules.
+ */
+
+import { jest, describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+// Avoid database dependencies in unit tests
+const dbTransaction = { LOCK: { UPDATE: 'UPDATE' }, commit: jest.fn(), rollback: jest.fn() };
+
+const mockModels = {
+  sequelize: {
+    transaction: jest.fn(async () => dbTransaction),
+    fn: jest.fn(),
+    col: jest.fn(),
+    where: jest.fn(),
+    literal: jest.fn()
+  },
+  Subscription: { findOne: jest.fn() },
+  SubscriptionPurchase: { findAll: jest.fn() },
+  SchoolSeat: { findOne: jest.fn(), count: jest.fn(), create: jest.fn() },
+  User: { findByPk: jest.fn(), findOne: jest.fn() }
+};
+
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: mockModels
+}));
+
+let SchoolLicenseService;
+let SubscriptionAllowanceService;
+
+beforeAll(async () => {
+  SchoolLicenseService = (await import('../../../services/SchoolLicenseService.js')).default;
+  SubscriptionAllowanceService = (await import('../../../services/SubscriptionAllowanceService.js')).default;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const benefits = {
+  files_access: { enabled: true, monthly_limit: 5 },
+  games_access: { enabled: true, unlimited: true }
+};
+
+describe('School Licenses', () => {
+  describe('calculateSubscriptionAllowances', () => {
+    test('should pool per-seat limits across the school', async () => {
+      mockModels.SubscriptionPurchase.findAll.mockResolvedValue([{ product_type: 'file', count: '12' }]);
+
+      const result = await SubscriptionAllowanceService.calculateSubscriptionAllowances(
+        { id: 'sub_school', school_id: 'school_1', seats: 4, metadata: {}, subscriptionPlan: { benefits } },
+        '2026-10'
+      );
+
+      expect(result.allowances.file).toEqual(expect.objectContaining({ allowed: 20, used: 12, remaining: 8 }));
+      expect(result.allowances.game.allowed).toBe('unlimited');
+    });
+
+    test('should keep personal subscription limits as they are', async () => {
+      mockModels.SubscriptionPurchase.findAll.mockResolvedValue([]);
+
+      const result = await SubscriptionAllowanceService.calculateSubscriptionAllowances(
+        { id: 'sub_personal', school_id: null, seats: null, metadata: {}, subscriptionPlan: { benefits } },
+        '2026-10'
+      );
+
+      expect(result.allowances.file.allowed).toBe(5);
+    });
+  });
+
+  describe('assignSeat', () => {
+    const subscription = { id: 'sub_school', school_id: 'school_1', seats: 2 };
+    const teacher = { id: 'user_1', is_active: true, user_type: 'teacher', school_id: 'school_1' };
+
+    test('should not assign more seats than the school bought', async () => {
+      mockModels.Subscription.findOne.mockResolvedValue(subscription);
+      mockModels.User.findByPk.mockResolvedValue(teacher);
+      mockModels.SchoolSeat.findOne.mockResolvedValue(null);
+      mockModels.SchoolSeat.count.mockResolvedValue(2);
+
+      await expect(SchoolLicenseService.assignSeat('school_1', { userId: 'user_1' }, 'headmaster_1'))
+        .rejects.toThrow('All 2 seats are assigned');
+      expect(mockModels.Subscription.findOne).toHaveBeenCalledWith(expect.objectContaining({ lock: 'UPDATE' }));
+      expect(mockModels.SchoolSeat.create).not.toHaveBeenCalled();
+      expect(dbTransaction.rollback).toHaveBeenCalled();
+    });
+
+    test('should only seat teachers of the school', async () => {
+      mockModels.Subscription.findOne.mockResolvedValue(subscription);
+
+      mockModels.User.findByPk.mockResolvedValue({ ...teacher, user_type: 'student' });
+      await expect(SchoolLicenseService.assignSeat('school_1', { userId: 'user_1' }, 'headmaster_1'))
+        .rejects.toThrow('School seats can only be assigned to teachers');
+
+      mockModels.User.findByPk.mockResolvedValue({ ...teacher, school_id: 'school_2' });
+      await expect(SchoolLicenseService.assignSeat('school_1', { userId: 'user_1' }, 'headmaster_1'))
+        .rejects.toThrow('User belongs to another school');
+    });
+
+    test('should create the seat when one is available', async () => {
+      mockModels.Subscription.findOne.mockResolvedValue(subscription);
+      mockModels.User.findByPk.mockResolvedValue(teacher);
+      mockModels.SchoolSeat.findOne.mockResolvedValue(null);
+      mockModels.SchoolSeat.count.mockResolvedValue(1);
+      mockModels.SchoolSeat.create.mockImplementation(async (data) => data);
+
+      const seat = await SchoolLicenseService.assignSeat('school_1', { userId: 'user_1' }, 'headmaster_1');
+
+      expect(seat).toEqual(expect.objectContaining({
+        school_id: 'school_1',
+        subscription_id: 'sub_school',
+        user_id: 'user_1',
+        status: 'active',
+        assigned_by: 'headmaster_1'
+      }));
+      expect(dbTransaction.commit).toHaveBeenCalled();
+    });
+  });
+});
\ No newline at end of file
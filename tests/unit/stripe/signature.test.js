@@ -0,0 +1,115 @@
+/**
+ * Stripe Signature Verification Unit Tests
+ *
+ * Verifies the Stripe-Signature scheme against recorded Stripe fixture payloads
+ * signed with a local signing secret (same flow as `stripe listen`).
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  parseStripeSignatureHeader,
+  verifyStripeSignature,
+  generateStripeSignatureHeader
+} from '../../../utils/stripeSignature.js';
+import { fromStripeAmount } from '../../../constants/stripe.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.join(__dirname, '../../fixtures/stripe');
+const TEST_SECRET = 'whsec_test_local_signing_secret';
+const NOW = 1735689600;
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8');
+}
+
+describe('Stripe Signature Verification', () => {
+  const fixtureNames = [
+    'checkout.session.completed',
+    'payment_intent.succeeded',
+    'payment_intent.payment_failed',
+    'charge.refunded',
+    'invoice.paid',
+    'customer.subscription.deleted'
+  ];
+
+  describe('verifyStripeSignature with recorded fixtures', () => {
+    test.each(fixtureNames)('should accept a locally signed %s payload', (name) => {
+      const rawBody = loadFixture(name);
+      const header = generateStripeSignatureHeader(rawBody, TEST_SECRET, NOW);
+
+      expect(verifyStripeSignature(Buffer.from(rawBody), header, { secret: TEST_SECRET, now: NOW })).toBe(true);
+      expect(JSON.parse(rawBody).type).toBe(name);
+    });
+
+    test('should reject a tampered payload', () => {
+      const rawBody = loadFixture('checkout.session.completed');
+      const header = generateStripeSignatureHeader(rawBody, TEST_SECRET, NOW);
+      const tampered = rawBody.replace('"amount_total": 4990', '"amount_total": 1');
+
+      expect(verifyStripeSignature(tampered, header, { secret: TEST_SECRET, now: NOW })).toBe(false);
+    });
+
+    test('should reject a payload signed with another secret', () => {
+      const rawBody = loadFixture('payment_intent.succeeded');
+      const header = generateStripeSignatureHeader(rawBody, 'whsec_someone_else', NOW);
+
+      expect(verifyStripeSignature(rawBody, header, { secret: TEST_SECRET, now: NOW })).toBe(false);
+    });
+
+    test('should reject deliveries outside the tolerance window', () => {
+      const rawBody = loadFixture('charge.refunded');
+      const header = generateStripeSignatureHeader(rawBody, TEST_SECRET, NOW - 301);
+
+      expect(verifyStripeSignature(rawBody, header, { secret: TEST_SECRET, now: NOW })).toBe(false);
+    });
+
+    test('should accept any matching v1 signature during secret rotation', () => {
+      const rawBody = loadFixture('invoice.paid');
+      const oldHeader = generateStripeSignatureHeader(rawBody, 'whsec_old_secret', NOW);
+      const newHeader = generateStripeSignatureHeader(rawBody, TEST_SECRET, NOW);
+      const combined = `${oldHeader},v1=${newHeader.split('v1=')[1]}`;
+
+      expect(verifyStripeSignature(rawBody, combined, { secret: TEST_SECRET, now: NOW })).toBe(true);
+    });
+
+    test('should reject when signature header or secret is missing', () => {
+      const rawBody = loadFixture('checkout.session.completed');
+      const header = generateStripeSignatureHeader(rawBody, TEST_SECRET, NOW);
+
+      expect(verifyStripeSignature(rawBody, undefined, { secret: TEST_SECRET, now: NOW })).toBe(false);
+      expect(verifyStripeSignature(rawBody, header, { secret: null, now: NOW })).toBe(false);
+    });
+  });
+
+  describe('parseStripeSignatureHeader', () => {
+    test('should extract timestamp and v1 signatures', () => {
+      const parsed = parseStripeSignatureHeader('t=1735689600,v1=abc,v0=legacy,v1=def');
+
+      expect(parsed).toEqual({ timestamp: 1735689600, signatures: ['abc', 'def'] });
+    });
+
+    test('should return null for malformed headers', () => {
+      expect(parseStripeSignatureHeader('')).toBeNull();
+      expect(parseStripeSignatureHeader('v1=abc')).toBeNull();
+      expect(parseStripeSignatureHeader('t=1735689600')).toBeNull();
+    });
+  });
+
+  describe('fromStripeAmount', () => {
+    test('should convert minor units to decimal amounts', () => {
+      expect(fromStripeAmount(4990, 'usd')).toBe(49.9);
+      expect(fromStripeAmount(1000, 'ILS')).toBe(10);
+    });
+
+    test('should keep zero-decimal currencies as-is', () => {
+      expect(fromStripeAmount(500, 'jpy')).toBe(500);
+    });
+
+    test('should pass through missing amounts', () => {
+      expect(fromStripeAmount(null, 'usd')).toBeNull();
+    });
+  });
+});
\ No newline at end of file
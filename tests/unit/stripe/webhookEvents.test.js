@@ -0,0 +1,289 @@
+/**
+ * Stripe Webhook Event Mapping Unit Tests
+ *
+ * Feeds the recorded Stripe fixture payloads through StripeWebhookService.processEvent and
+ * checks how they map onto Transaction, Purchase and Subscription records.
+ */
+
+import { jest, describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.join(__dirname, '../../fixtures/stripe');
+
+function loadEvent(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+// Avoid database and fulfilment dependencies in unit tests
+const mockModels = {
+  Transaction: { findByPk: jest.fn(), findOne: jest.fn(), create: jest.fn() },
+  Purchase: { update: jest.fn() },
+  Subscription: { findOne: jest.fn(), findByPk: jest.fn() },
+  WebhookLog: { findOne: jest.fn() }
+};
+
+const mockPaymentService = {
+  completePurchase: jest.fn()
+};
+
+const mockSubscriptionService = {
+  activateSubscription: jest.fn()
+};
+
+const mockRefundService = {
+  recordProviderRefund: jest.fn()
+};
+
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: mockModels
+}));
+
+jest.unstable_mockModule('../../../services/PaymentService.js', () => ({
+  default: mockPaymentService
+}));
+
+jest.unstable_mockModule('../../../services/SubscriptionService.js', () => ({
+  default: mockSubscriptionService
+}));
+
+jest.unstable_mockModule('../../../services/RefundService.js', () => ({
+  default: mockRefundService
+}));
+
+let StripeWebhookService;
+
+beforeAll(async () => {
+  StripeWebhookService = (await import('../../../services/StripeWebhookService.js')).default;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+function createWebhookLog() {
+  return { addProcessLog: jest.fn(), update: jest.fn() };
+}
+
+function createSubscription(overrides = {}) {
+  return {
+    id: 'sub_ludora_001',
+    user_id: 'user_1',
+    status: 'active',
+    billing_price: 19.9,
+    next_billing_date: new Date('2025-02-01T00:00:00Z'),
+    metadata: { stripe_subscription_id: 'sub_1QbTestSubscr0001' },
+    calculateNextBillingDate: jest.fn(() => new Date('2025-03-01T00:00:00Z')),
+    update: jest.fn(),
+    ...overrides
+  };
+}
+
+describe('Stripe Webhook Events', () => {
+  describe('checkout.session.completed', () => {
+    test('should complete the linked transaction and its purchases', async () => {
+      const event = loadEvent('checkout.session.completed');
+      const transaction = {
+        id: 'txn_1735689500000_abc123def',
+        amount: '49.90',
+        payment_status: 'pending',
+        metadata: {},
+        purchases: [{ id: 'pur_1' }, { id: 'pur_2' }],
+        update: jest.fn()
+      };
+      mockModels.Transaction.findByPk.mockResolvedValue(transaction);
+
+      const result = await StripeWebhookService.processEvent(event, createWebhookLog());
+
+      expect(mockModels.Transaction.findByPk).toHaveBeenCalledWith('txn_1735689500000_abc123def', expect.anything());
+      expect(result).toEqual({ handled: true, action: 'completed', transactionId: transaction.id });
+
+      const update = transaction.update.mock.calls[0][0];
+      expect(update.payment_status).toBe('completed');
+      expect(update.payment_method).toBe('stripe');
+      expect(update.metadata).toEqual(expect.objectContaining({
+        stripe_checkout_session_id: 'cs_test_a1B2c3D4e5F6g7H8',
+        stripe_payment_intent_id: 'pi_3QbTestIntent0001',
+        stripe_customer_id: 'cus_QbTestCustomer01',
+        settledAmount: 49.9,
+        settledCurrency: 'usd'
+      }));
+
+      expect(mockPaymentService.completePurchase).toHaveBeenCalledTimes(2);
+      expect(mockPaymentService.completePurchase).toHaveBeenCalledWith('pur_1', expect.objectContaining({ paymentMethod: 'stripe' }));
+      expect(mockModels.Purchase.update).toHaveBeenCalledWith(
+        expect.objectContaining({ resolution_method: 'webhook' }),
+        { where: { id: 'pur_2' } }
+      );
+    });
+
+    test('should not fulfil a transaction that was already completed', async () => {
+      const event = loadEvent('checkout.session.completed');
+      const transaction = {
+        id: 'txn_1735689500000_abc123def',
+        amount: '49.90',
+        payment_status: 'completed',
+        metadata: {},
+        purchases: [{ id: 'pur_1' }],
+        update: jest.fn()
+      };
+      mockModels.Transaction.findByPk.mockResolvedValue(transaction);
+
+      const result = await StripeWebhookService.processEvent(event, createWebhookLog());
+
+      expect(result.action).toBe('already_completed');
+      expect(mockPaymentService.completePurchase).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('charge.refunded', () => {
+    test('should record the refund through RefundService', async () => {
+      const event = loadEvent('charge.refunded');
+      const transaction = {
+        id: 'txn_1735689500000_abc123def',
+        amount: '49.90',
+        payment_status: 'completed',
+        metadata: {},
+        purchases: [{ id: 'pur_1' }]
+      };
+      mockModels.Transaction.findByPk.mockResolvedValue(transaction);
+      mockRefundService.recordProviderRefund.mockResolvedValue({
+        transactionId: transaction.id,
+        amount: 49.9,
+        refunds: [{ purchaseId: 'pur_1', amount: 49.9, refundType: 'full' }]
+      });
+
+      const result = await StripeWebhookService.processEvent(event, createWebhookLog());
+
+      expect(result).toEqual({ handled: true, action: 'refunded', transactionId: transaction.id });
+      expect(mockRefundService.recordProviderRefund).toHaveBeenCalledWith(transaction, expect.objectContaining({
+        provider: 'stripe',
+        refundedTotal: 49.9,
+        chargeAmount: 49.9,
+        isFullRefund: true,
+        providerRefs: {
+          stripe_charge_id: 'ch_3QbTestCharge0001',
+          stripe_last_event_id: 'evt_3QbTestRefund0001'
+        }
+      }));
+    });
+
+    test('should acknowledge a refund that was already recorded', async () => {
+      const event = loadEvent('charge.refunded');
+      mockModels.Transaction.findByPk.mockResolvedValue({ id: 'txn_1735689500000_abc123def', metadata: {}, purchases: [] });
+      mockRefundService.recordProviderRefund.mockResolvedValue({ transactionId: 'txn_1735689500000_abc123def', amount: 0, refunds: [] });
+
+      const result = await StripeWebhookService.processEvent(event, createWebhookLog());
+
+      expect(result.action).toBe('already_refunded');
+    });
+  });
+
+  describe('invoice.paid', () => {
+    test('should record a renewal transaction and move the next billing date', async () => {
+      const event = loadEvent('invoice.paid');
+      const subscription = createSubscription();
+      mockModels.Subscription.findOne.mockResolvedValue(subscription);
+      mockModels.Transaction.findOne.mockResolvedValue(null);
+      mockModels.Transaction.create.mockImplementation(async (data) => data);
+
+      const result = await StripeWebhookService.processEvent(event, createWebhookLog());
+
+      expect(mockModels.Subscription.findOne).toHaveBeenCalledWith({
+        where: { 'metadata.stripe_subscription_id': 'sub_1QbTestSubscr0001' }
+      });
+      expect(result.action).toBe('subscription_renewed');
+
+      const renewal = mockModels.Transaction.create.mock.calls[0][0];
+      expect(renewal).toEqual(expect.objectContaining({
+        user_id: 'user_1',
+        payment_method: 'stripe',
+        payment_status: 'completed',
+        amount: 19.9,
+        currency: 'USD'
+      }));
+      expect(renewal.metadata).toEqual(expect.objectContaining({
+        subscription_id: 'sub_ludora_001',
+        transaction_type: 'SUBSCRIPTION_RENEWAL',
+        stripe_invoice_id: 'in_1QbTestInvoice0001'
+      }));
+
+      const update = subscription.update.mock.calls[0][0];
+      expect(update.next_billing_date).toEqual(new Date(1740787200 * 1000));
+      expect(update.metadata.lastRenewalTransactionId).toBe(renewal.id);
+    });
+
+    test('should not record the same invoice twice', async () => {
+      const event = loadEvent('invoice.paid');
+      mockModels.Subscription.findOne.mockResolvedValue(createSubscription());
+      mockModels.Transaction.findOne.mockResolvedValue({ id: 'txn_renewal_1' });
+
+      const result = await StripeWebhookService.processEvent(event, createWebhookLog());
+
+      expect(result).toEqual(expect.objectContaining({ action: 'already_recorded', transactionId: 'txn_renewal_1' }));
+      expect(mockModels.Transaction.create).not.toHaveBeenCalled();
+    });
+
+    test('should activate a pending subscription found through the checkout metadata', async () => {
+      const event = loadEvent('invoice.paid');
+      const subscription = createSubscription({ status: 'pending', transaction_id: null, metadata: {} });
+      mockModels.Subscription.findOne.mockResolvedValue(null);
+      mockModels.Subscription.findByPk.mockResolvedValue(subscription);
+      mockSubscriptionService.activateSubscription.mockResolvedValue({ ...subscription, status: 'active', update: jest.fn() });
+
+      const result = await StripeWebhookService.processEvent(event, createWebhookLog());
+
+      expect(mockModels.Subscription.findByPk).toHaveBeenCalledWith('sub_ludora_001');
+      expect(result).toEqual({ handled: true, action: 'subscription_activated', subscriptionId: 'sub_ludora_001' });
+      expect(mockSubscriptionService.activateSubscription).toHaveBeenCalledWith('sub_ludora_001', {
+        metadata: expect.objectContaining({
+          payment_provider: 'stripe',
+          stripe_subscription_id: 'sub_1QbTestSubscr0001'
+        })
+      });
+      expect(mockModels.Transaction.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('customer.subscription.deleted', () => {
+    test('should cancel the linked subscription', async () => {
+      const event = loadEvent('customer.subscription.deleted');
+      const subscription = createSubscription();
+      mockModels.Subscription.findOne.mockResolvedValue(subscription);
+      const webhookLog = createWebhookLog();
+
+      const result = await StripeWebhookService.processEvent(event, webhookLog);
+
+      expect(result).toEqual({ handled: true, action: 'subscription_cancelled', subscriptionId: 'sub_ludora_001' });
+      expect(webhookLog.update).toHaveBeenCalledWith({ subscription_id: 'sub_ludora_001' });
+
+      const update = subscription.update.mock.calls[0][0];
+      expect(update.status).toBe('cancelled');
+      expect(update.cancelled_at).toEqual(new Date(1740787200 * 1000));
+      expect(update.next_billing_date).toBeNull();
+      expect(update.metadata.cancellationReason).toBe('cancellation_requested');
+    });
+
+    test('should leave an already cancelled subscription untouched', async () => {
+      const event = loadEvent('customer.subscription.deleted');
+      const subscription = createSubscription({ status: 'cancelled' });
+      mockModels.Subscription.findOne.mockResolvedValue(subscription);
+
+      const result = await StripeWebhookService.processEvent(event, createWebhookLog());
+
+      expect(result.action).toBe('already_cancelled');
+      expect(subscription.update).not.toHaveBeenCalled();
+    });
+
+    test('should fail when no subscription is linked to the Stripe subscription', async () => {
+      const event = loadEvent('customer.subscription.deleted');
+      mockModels.Subscription.findOne.mockResolvedValue(null);
+      mockModels.Subscription.findByPk.mockResolvedValue(null);
+
+      await expect(StripeWebhookService.processEvent(event, createWebhookLog()))
+        .rejects.toThrow('No subscription found for Stripe subscription sub_1QbTestSubscr0001');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,243 @@
+/**
+ * Student Invitation Unit Tests
+ *
+ * Bulk classroom invitations, student acceptance, parent consent links and conversion to memberships.
+ */
+
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+
+// Avoid database and email dependencies in unit tests
+const mockTransaction = {
+  commit: jest.fn(),
+  rollback: jest.fn(),
+  LOCK: { UPDATE: 'UPDATE' }
+};
+const mockModels = {
+  sequelize: { transaction: jest.fn(), where: jest.fn(), fn: jest.fn(), col: jest.fn() },
+  Classroom: { findByPk: jest.fn() },
+  User: { findAll: jest.fn(), findByPk: jest.fn(), update: jest.fn() },
+  StudentInvitation: { findAll: jest.fn(), findOne: jest.fn(), bulkCreate: jest.fn(), update: jest.fn() },
+  ClassroomMembership: { findAll: jest.fn(), findOne: jest.fn(), create: jest.fn() },
+  ParentConsent: { findAll: jest.fn(), findOne: jest.fn(), create: jest.fn() },
+  EmailTemplate: { findOne: jest.fn() }
+};
+const mockSettings = {};
+const mockEmailService = { sendEmail: jest.fn(), processEmailTemplate: jest.fn() };
+
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: mockModels
+}));
+
+jest.unstable_mockModule('../../../services/SettingsService.js', () => ({
+  default: { get: jest.fn(async key => mockSettings[key] ?? null) }
+}));
+
+jest.unstable_mockModule('../../../services/EmailService.js', () => ({
+  default: mockEmailService
+}));
+
+let StudentInvitationService;
+
+beforeAll(async () => {
+  StudentInvitationService = (await import('../../../services/StudentInvitationService.js')).default;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Object.assign(mockSettings, { student_invitation_expiry_days: 3, parent_consent_required: true });
+  mockModels.sequelize.transaction.mockResolvedValue(mockTransaction);
+  mockModels.Classroom.findByPk.mockResolvedValue({ id: 'classroom_1', name: 'ה׳ 2', teacher_id: 'teacher_1', is_active: true });
+  mockModels.User.findByPk.mockResolvedValue({ id: 'teacher_1', full_name: 'Ruth Levi' });
+  mockModels.User.findAll.mockResolvedValue([]);
+  mockModels.StudentInvitation.findAll.mockResolvedValue([]);
+  mockModels.ClassroomMembership.findAll.mockResolvedValue([]);
+  mockModels.ParentConsent.findAll.mockResolvedValue([]);
+  mockModels.ParentConsent.findOne.mockResolvedValue(null);
+  mockModels.EmailTemplate.findOne.mockResolvedValue(null);
+  mockEmailService.sendEmail.mockResolvedValue({ success: true });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const student = { id: 'user_student1', user_type: 'student', email: 'Dana@School.org' };
+
+const buildInvitation = (extra = {}) => {
+  const invitation = {
+    id: 'invitation_1',
+    classroom_id: 'classroom_1',
+    teacher_id: 'teacher_1',
+    student_user_id: null,
+    student_email: 'dana@school.org',
+    student_name: 'Dana',
+    parent_email: 'parent@home.org',
+    parent_name: null,
+    status: 'pending',
+    invitation_token: 'invite_token',
+    parent_consent_token: 'consent_token',
+    expires_at: '2026-10-21T08:00:00.000Z',
+    parent_consent_given_at: null,
+    student_accepted_at: null,
+    created_at: new Date('2026-10-18T08:00:00Z'),
+    ...extra
+  };
+  invitation.update = jest.fn(async changes => Object.assign(invitation, changes));
+  return invitation;
+};
+
+describe('StudentInvitationService invitations', () => {
+  test('should invite students, skip those that cannot be invited and email both links', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-18T08:00:00Z') });
+    mockModels.User.findAll.mockResolvedValue([
+      { id: 'user_member', email: 'Member@School.org', user_type: 'student' },
+      { id: 'user_teacher', email: 'teacher@school.org', user_type: 'teacher' }
+    ]);
+    mockModels.ClassroomMembership.findAll.mockResolvedValue([{ student_user_id: 'user_member' }]);
+    mockModels.StudentInvitation.bulkCreate.mockImplementation(async rows => rows);
+
+    const result = await StudentInvitationService.inviteStudents('classroom_1', 'teacher_1', [
+      { student_email: ' Dana@School.org ', student_name: 'Dana', parent_email: 'Parent@Home.org' },
+      { student_email: 'dana@school.org', parent_email: 'parent@home.org' },
+      { student_email: 'member@school.org', parent_email: 'parent2@home.org' },
+      { student_email: 'teacher@school.org' },
+      { student_email: 'noparent@school.org' }
+    ]);
+
+    expect(result.skipped).toEqual([
+      { student_email: 'dana@school.org', reason: 'duplicate' },
+      { student_email: 'member@school.org', reason: 'already_member' },
+      { student_email: 'teacher@school.org', reason: 'not_a_student' },
+      { student_email: 'noparent@school.org', reason: 'parent_email_required' }
+    ]);
+
+    const [[rows]] = mockModels.StudentInvitation.bulkCreate.mock.calls;
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({
+      student_email: 'dana@school.org',
+      parent_email: 'parent@home.org',
+      status: 'pending',
+      expires_at: '2026-10-21T08:00:00.000Z'
+    });
+    expect(rows[0].invitation_token).toMatch(/^[0-9a-f]{64}$/);
+    expect(rows[0].parent_consent_token).not.toBe(rows[0].invitation_token);
+
+    // The view never exposes the tokens
+    expect(result.invitations[0]).not.toHaveProperty('invitation_token');
+    expect(result.failed_emails).toEqual([]);
+    expect(mockEmailService.sendEmail.mock.calls.map(([email]) => email.to)).toEqual(['dana@school.org', 'parent@home.org']);
+    expect(mockEmailService.sendEmail.mock.calls[1][0].html).toContain('/parent-consent?token=');
+  });
+
+  test('should keep an invitation whose email failed', async () => {
+    mockSettings.parent_consent_required = false;
+    mockModels.StudentInvitation.bulkCreate.mockImplementation(async rows => rows);
+    mockEmailService.sendEmail.mockRejectedValue(new Error('SMTP down'));
+
+    const result = await StudentInvitationService.inviteStudents('classroom_1', 'teacher_1', [{ student_email: 'dana@school.org' }]);
+
+    expect(result.invitations).toHaveLength(1);
+    expect(result.failed_emails).toEqual([{ invitation_id: expect.any(String), recipient: 'student' }]);
+  });
+});
+
+describe('StudentInvitationService acceptance and consent', () => {
+  test('should wait for parent consent, then record it with the audit trail and create the membership', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T08:00:00Z') });
+    const invitation = buildInvitation();
+    mockModels.StudentInvitation.findOne.mockResolvedValue(invitation);
+
+    const accepted = await StudentInvitationService.acceptInvitation('invite_token', student);
+
+    expect(accepted).toMatchObject({ membership: null, needs_parent_consent: true, invitation: { status: 'awaiting_parent_consent' } });
+    expect(invitation.student_user_id).toBe('user_student1');
+    expect(mockModels.ClassroomMembership.create).not.toHaveBeenCalled();
+
+    mockModels.ClassroomMembership.findOne.mockResolvedValue(null);
+    mockModels.ClassroomMembership.create.mockImplementation(async data => data);
+
+    const consent = await StudentInvitationService.giveParentConsent('consent_token', { parent_name: 'Avi' }, {
+      ip: '10.0.0.1',
+      userAgent: 'Mozilla/5.0'
+    });
+
+    expect(consent).toEqual({ status: 'accepted', student_accepted: true, membership_created: true });
+    expect(mockModels.ParentConsent.create).toHaveBeenCalledWith(expect.objectContaining({
+      student_user_id: 'user_student1',
+      parent_name: 'Avi',
+      parent_email: 'parent@home.org',
+      consent_method: 'email',
+      ip_address: '10.0.0.1',
+      user_agent: 'Mozilla/5.0'
+    }), { transaction: mockTransaction });
+    expect(mockModels.ClassroomMembership.create).toHaveBeenCalledWith(expect.objectContaining({
+      classroom_id: 'classroom_1',
+      student_user_id: 'user_student1',
+      teacher_id: 'teacher_1',
+      status: 'active',
+      student_display_name: 'Dana'
+    }), { transaction: mockTransaction });
+    expect(mockModels.User.update).toHaveBeenCalledWith(
+      expect.objectContaining({ linked_teacher_id: 'teacher_1' }),
+      { where: { id: 'user_student1', linked_teacher_id: null }, transaction: mockTransaction }
+    );
+
+    // The consent link works once
+    await expect(StudentInvitationService.giveParentConsent('consent_token', { parent_name: 'Avi' })).rejects.toThrow('Invitation is accepted');
+  });
+
+  test('should record consent given before acceptance when the student accepts', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T08:00:00Z') });
+    const invitation = buildInvitation({
+      parent_name: 'Avi',
+      parent_consent_given_at: '2026-10-18T20:00:00.000Z',
+      parent_consent_ip: '10.0.0.2',
+      parent_consent_user_agent: 'Safari'
+    });
+    mockModels.StudentInvitation.findOne.mockResolvedValue(invitation);
+    mockModels.ClassroomMembership.findOne.mockResolvedValue(null);
+    mockModels.ClassroomMembership.create.mockImplementation(async data => data);
+
+    const accepted = await StudentInvitationService.acceptInvitation('invite_token', student);
+
+    expect(accepted).toMatchObject({ needs_parent_consent: false, invitation: { status: 'accepted' } });
+    expect(mockModels.ParentConsent.create).toHaveBeenCalledWith(expect.objectContaining({
+      ip_address: '10.0.0.2',
+      user_agent: 'Safari'
+    }), expect.any(Object));
+  });
+
+  test('should reject other students, expired invitations and non-students', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T08:00:00Z') });
+    mockModels.StudentInvitation.findOne.mockResolvedValue(buildInvitation());
+
+    await expect(StudentInvitationService.acceptInvitation('invite_token', { ...student, email: 'other@school.org' }))
+      .rejects.toThrow('different email address');
+
+    await expect(StudentInvitationService.acceptInvitation('invite_token', { ...student, user_type: 'teacher' }))
+      .rejects.toThrow('Only students');
+
+    jest.setSystemTime(new Date('2026-10-21T08:00:00Z'));
+    await expect(StudentInvitationService.acceptInvitation('invite_token', student)).rejects.toThrow('Invitation is expired');
+
+    expect(mockTransaction.rollback).toHaveBeenCalledTimes(2);
+    expect(mockModels.ClassroomMembership.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('StudentInvitationService jobs', () => {
+  test('should remind only the side that is still missing', async () => {
+    const invitation = buildInvitation({
+      status: 'awaiting_parent_consent',
+      student_accepted_at: '2026-10-18T09:00:00.000Z',
+      Classroom: { id: 'classroom_1', name: 'ה׳ 2' },
+      Teacher: { id: 'teacher_1', full_name: 'Ruth Levi' }
+    });
+    mockModels.StudentInvitation.findAll.mockResolvedValue([invitation]);
+
+    expect(await StudentInvitationService.sendReminders()).toEqual({ reminded: 1, failed: 0 });
+    expect(mockEmailService.sendEmail).toHaveBeenCalledTimes(1);
+    expect(mockEmailService.sendEmail.mock.calls[0][0]).toMatchObject({ to: 'parent@home.org', subject: expect.stringMatching(/^תזכורת: /) });
+    expect(invitation.reminder_sent_at).toBeInstanceOf(Date);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,116 @@
+/**
+ * Team Mode Unit Tests
+ *
+ * Team settings, balancing by count and by performance, team capacity and team results.
+ */
+
+import { jest, describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+// Avoid database dependencies in unit tests
+const mockModels = {
+  GameSessionResult: { findAll: jest.fn() }
+};
+
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: mockModels
+}));
+
+let TeamService;
+
+beforeAll(async () => {
+  TeamService = (await import('../../../services/TeamService.js')).default;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const participant = (id, extra = {}) => ({ id, display_name: id, team_assignment: null, ...extra });
+
+describe('TeamService', () => {
+  test('should build team settings only for team-mode lobbies', () => {
+    expect(TeamService.getTeamSettings({ max_players: 12 })).toBeNull();
+
+    expect(TeamService.getTeamSettings({ team_mode: true, team_count: 3, team_names: ['אדומים'] })).toEqual({
+      team_count: 3,
+      balance: 'count',
+      teams: [
+        { id: 'team_1', name: 'אדומים' },
+        { id: 'team_2', name: 'קבוצה 2' },
+        { id: 'team_3', name: 'קבוצה 3' }
+      ]
+    });
+
+    expect(TeamService.fitSessionSize(5, 2)).toBe(6);
+    expect(TeamService.getTeamCapacity(3, 8)).toBe(3);
+  });
+
+  test('should assign joining participants to the smallest team within capacity', () => {
+    const teamSettings = TeamService.getTeamSettings({ team_mode: true });
+    const members = [participant('p1', { team_assignment: 'team_1' }), participant('p2', { team_assignment: 'team_1' })];
+
+    expect(TeamService.assignTeam(teamSettings, members, 2)).toBe('team_2');
+    expect(() => TeamService.assignTeam(teamSettings, members, 2, 'team_1')).toThrow('Team is full');
+    expect(() => TeamService.assignTeam(teamSettings, members, 2, 'team_9')).toThrow('Unknown team');
+
+    const fullTeams = [...members, participant('p3', { team_assignment: 'team_2' }), participant('p4', { team_assignment: 'team_2' })];
+    expect(() => TeamService.assignTeam(teamSettings, fullTeams, 2)).toThrow('Session is full');
+  });
+
+  test('should spread strong participants when balancing by performance and keep teacher overrides', () => {
+    const teamSettings = TeamService.getTeamSettings({ team_mode: true, team_balance: 'performance' });
+
+    const balanced = TeamService.balanceTeams([
+      participant('strong_1', { performance_rating: 95 }),
+      participant('strong_2', { performance_rating: 90 }),
+      participant('weak_1', { performance_rating: 20 }),
+      participant('weak_2', { performance_rating: 30 }),
+      participant('locked', { team_assignment: 'team_2', team_locked: true, performance_rating: 50 })
+    ], teamSettings, 3);
+
+    const teamOf = Object.fromEntries(balanced.map(p => [p.id, p.team_assignment]));
+    expect(teamOf.locked).toBe('team_2');
+    expect(teamOf.strong_1).not.toBe(teamOf.strong_2);
+    expect(balanced.filter(p => p.team_assignment === 'team_1')).toHaveLength(3);
+    expect(balanced.filter(p => p.team_assignment === 'team_2')).toHaveLength(2);
+  });
+
+  test('should rate participants by the accuracy of their recent results', async () => {
+    mockModels.GameSessionResult.findAll.mockResolvedValue([{ accuracy: '80.00' }, { accuracy: '60.00' }]);
+
+    const fields = await TeamService.assignJoiningParticipant(
+      { participants: [participant('p1', { team_assignment: 'team_1', performance_rating: 90 })], data: { team_capacity: 2 } },
+      { team_mode: true, team_balance: 'performance', max_players: 4 },
+      { player_id: 'player_1' }
+    );
+
+    expect(fields).toEqual({ team_assignment: 'team_2', performance_rating: 70 });
+    expect(mockModels.GameSessionResult.findAll).toHaveBeenCalledWith(expect.objectContaining({ limit: 10 }));
+
+    // Guests have no history
+    expect(await TeamService.getPerformanceRating({ guest_token: 'guest_abcdefgh' })).toBe(50);
+  });
+
+  test('should aggregate and rank team results', () => {
+    const teamSettings = TeamService.getTeamSettings({ team_mode: true, team_count: 3 });
+    const participants = [
+      participant('p1', { team_assignment: 'team_1' }),
+      participant('p2', { team_assignment: 'team_2' }),
+      participant('p3', { team_assignment: 'team_2' }),
+      participant('p4', { team_assignment: 'team_3' })
+    ];
+
+    const teams = TeamService.aggregateTeamResults(participants, [
+      { participant_id: 'p1', score: 4, accuracy: 50 },
+      { participant_id: 'p2', score: 1, accuracy: 100 },
+      { participant_id: 'p3', score: 3, accuracy: 75 },
+      { participant_id: 'p4', score: 2, accuracy: null }
+    ], teamSettings);
+
+    expect(teams).toEqual([
+      { team_id: 'team_1', name: 'קבוצה 1', member_ids: ['p1'], score: 4, average_accuracy: 50, rank: 1 },
+      { team_id: 'team_2', name: 'קבוצה 2', member_ids: ['p2', 'p3'], score: 4, average_accuracy: 87.5, rank: 1 },
+      { team_id: 'team_3', name: 'קבוצה 3', member_ids: ['p4'], score: 2, average_accuracy: null, rank: 3 }
+    ]);
+  });
+});
\ No newline at end of file
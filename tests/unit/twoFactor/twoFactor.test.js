@@ -0,0 +1,272 @@
+/**
+ * Two-Factor Authentication Unit Tests
+ *
+ * TOTP codes, enrolment, backup codes, replay protection and step-up verification of sessions.
+ */
+
+import { jest, describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import { Op } from 'sequelize';
+
+// Avoid database dependencies in unit tests
+const withInstanceMethods = (record) => Object.assign(record, {
+  update: jest.fn(async fields => Object.assign(record, fields)),
+  reload: jest.fn(async () => record),
+  destroy: jest.fn(async () => {
+    mockTwoFactors.delete(record.user_id);
+  })
+});
+
+const mockTwoFactors = new Map();
+const mockSessions = [];
+const mockRefreshTokens = new Map();
+const mockModels = {
+  sequelize: {
+    literal: jest.fn(sql => ({ sql })),
+    escape: jest.fn(value => `'${value}'`)
+  },
+  UserTwoFactor: {
+    create: jest.fn(async data => {
+      const record = withInstanceMethods({ ...data });
+      mockTwoFactors.set(record.user_id, record);
+      return record;
+    }),
+    findOne: jest.fn(async ({ where }) => mockTwoFactors.get(where.user_id) || null),
+    // consumeCode's conditional updates: a TOTP step only moves forward, a backup code is removed once
+    update: jest.fn(async (fields, { where }) => {
+      const record = [...mockTwoFactors.values()].find(twoFactor => twoFactor.id === where.id);
+      const backupCodeHash = where.backup_code_hashes?.[Op.contains]?.[0];
+
+      if (backupCodeHash) {
+        if (!record?.backup_code_hashes.includes(backupCodeHash)) {
+          return [0];
+        }
+        Object.assign(record, {
+          ...fields,
+          backup_code_hashes: record.backup_code_hashes.filter(existing => existing !== backupCodeHash)
+        });
+        return [1];
+      }
+
+      if (!record || (record.last_used_step !== null && record.last_used_step >= fields.last_used_step)) {
+        return [0];
+      }
+      Object.assign(record, fields);
+      return [1];
+    }),
+    destroy: jest.fn(async ({ where }) => (mockTwoFactors.delete(where.user_id) ? 1 : 0))
+  },
+  UserSession: {
+    findActiveSession: jest.fn(async id => mockSessions.find(session => session.id === id) || null)
+  },
+  RefreshToken: {
+    findOne: jest.fn(async ({ where }) => {
+      const token = mockRefreshTokens.get(where.id);
+      return token?.user_id === where.user_id ? token : null;
+    })
+  },
+  User: {
+    findByPk: jest.fn(async id => ({ id }))
+  }
+};
+
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: mockModels
+}));
+
+jest.unstable_mockModule('../../../config/firebase.js', () => ({
+  admin: null
+}));
+
+let TwoFactorService;
+let requireTwoFactor;
+let totp;
+
+const admin = { id: 'admin_1', email: 'admin@example.com', role: 'admin', is_active: true };
+const creator = { id: 'creator_1', email: 'creator@example.com', role: 'user', content_creator_agreement_sign_date: new Date() };
+const teacher = { id: 'teacher_1', email: 'teacher@example.com', role: 'user' };
+
+// A session with the refresh token it was issued with (metadata.sessionId)
+const addSession = (userId, name = 'laptop') => {
+  const session = withInstanceMethods({ id: `session_${userId}_${name}`, user_id: userId, portal: 'teacher', metadata: { userAgent: 'jest' } });
+  mockSessions.push(session);
+  session.refreshTokenId = `refresh_${userId}_${name}`;
+  mockRefreshTokens.set(session.refreshTokenId, { id: session.refreshTokenId, user_id: userId, metadata: { sessionId: session.id } });
+  return session;
+};
+
+const enrol = async (user, session = null) => {
+  const { secret } = await TwoFactorService.startEnrolment(user);
+  const { backup_codes: backupCodes } = await TwoFactorService.confirmEnrolment(user, totp.generateTotp(secret), session?.refreshTokenId || null);
+  return { secret, backupCodes };
+};
+
+const callMiddleware = async (user, session = null) => {
+  const cookies = session
+    ? { teacher_refresh_token: jwt.sign({ id: user.id, tokenId: session.refreshTokenId, type: 'refresh' }, process.env.JWT_SECRET) }
+    : {};
+  const req = { user, cookies, get: () => undefined, portal: 'teacher' };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status: jest.fn(function(code) { this.statusCode = code; return this; }),
+    json: jest.fn(function(body) { this.body = body; return this; })
+  };
+  const next = jest.fn();
+  await requireTwoFactor(req, res, next);
+  return { res, next };
+};
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'test-jwt-secret';
+  process.env.ENCRYPTION_KEY = 'test-encryption-key';
+  totp = await import('../../../utils/totp.js');
+  TwoFactorService = (await import('../../../services/TwoFactorService.js')).default;
+  ({ requireTwoFactor } = await import('../../../middleware/auth.js'));
+});
+
+beforeEach(() => {
+  mockTwoFactors.clear();
+  mockSessions.length = 0;
+  mockRefreshTokens.clear();
+  jest.clearAllMocks();
+});
+
+describe('TOTP', () => {
+  test('matches the RFC 6238 SHA-1 test vectors', () => {
+    const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+    expect(totp.generateTotp(secret, totp.getTotpStep(59 * 1000))).toBe('287082');
+    expect(totp.generateTotp(secret, totp.getTotpStep(1111111109 * 1000))).toBe('081804');
+    expect(totp.verifyTotp(secret, '287082', { now: 59 * 1000 })).toBe(1);
+    expect(totp.verifyTotp(secret, '287082', { now: 200 * 1000 })).toBeNull();
+  });
+
+  test('stores secrets encrypted', () => {
+    const secret = totp.generateTotpSecret();
+    const stored = totp.encryptTotpSecret(secret);
+
+    expect(stored).not.toContain(secret);
+    expect(totp.decryptTotpSecret(stored)).toBe(secret);
+  });
+});
+
+describe('Enrolment', () => {
+  test('confirms with the first code, returns backup codes once and verifies the session', async () => {
+    const session = addSession(admin.id);
+
+    const enrolment = await TwoFactorService.startEnrolment(admin);
+    expect(enrolment.otpauth_url).toContain('otpauth://totp/Ludora%3Aadmin%40example.com');
+    expect(enrolment.qr_code).toMatch(/^data:image\/png;base64,/);
+    expect(mockTwoFactors.get(admin.id).secret_encrypted).not.toContain(enrolment.secret);
+
+    await expect(TwoFactorService.confirmEnrolment(admin, '000000', session.refreshTokenId)).rejects.toThrow('Invalid two-factor code');
+
+    const result = await TwoFactorService.confirmEnrolment(admin, totp.generateTotp(enrolment.secret), session.refreshTokenId);
+    expect(result.backup_codes).toHaveLength(10);
+    expect(result.backup_codes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    expect(mockTwoFactors.get(admin.id).backup_code_hashes).not.toContain(result.backup_codes[0]);
+    expect(session.metadata.twoFactorVerifiedAt).toBeDefined();
+
+    await expect(TwoFactorService.startEnrolment(admin)).rejects.toThrow('already enabled');
+  });
+
+  test('is limited to admins and content creators', async () => {
+    await expect(TwoFactorService.startEnrolment(teacher)).rejects.toThrow('admins and content creators');
+    await expect(TwoFactorService.startEnrolment(creator)).resolves.toHaveProperty('secret');
+  });
+});
+
+describe('Challenges', () => {
+  test('rejects a replayed code and accepts each backup code once', async () => {
+    const { secret, backupCodes } = await enrol(creator);
+    const session = addSession(creator.id);
+
+    // The confirmation code's time step is already used
+    await expect(TwoFactorService.verifyChallenge(creator, totp.generateTotp(secret), session.refreshTokenId)).rejects.toThrow('Invalid two-factor code');
+
+    const result = await TwoFactorService.verifyChallenge(creator, backupCodes[0].toUpperCase(), session.refreshTokenId);
+    expect(result.method).toBe('backup_code');
+    expect(result.backup_codes_remaining).toBe(9);
+    expect(result.session_id).toBe(session.id);
+
+    await expect(TwoFactorService.verifyChallenge(creator, backupCodes[0], session.refreshTokenId)).rejects.toThrow('Invalid two-factor code');
+  });
+
+  test('accepts a code once even when two requests read the record before either used it', async () => {
+    const { backupCodes } = await enrol(creator);
+    const record = mockTwoFactors.get(creator.id);
+    const staleRecord = { ...record, backup_code_hashes: [...record.backup_code_hashes], reload: jest.fn() };
+
+    await expect(TwoFactorService.consumeCode(record, backupCodes[0])).resolves.toBe('backup_code');
+    await expect(TwoFactorService.consumeCode(staleRecord, backupCodes[0])).rejects.toThrow('Invalid two-factor code');
+
+    const secret = totp.generateTotpSecret();
+    const totpRecord = { ...record, secret_encrypted: totp.encryptTotpSecret(secret), last_used_step: null };
+    mockTwoFactors.set(creator.id, withInstanceMethods(totpRecord));
+    const code = totp.generateTotp(secret);
+
+    await expect(TwoFactorService.consumeCode({ ...totpRecord, reload: jest.fn() }, code)).resolves.toBe('totp');
+    await expect(TwoFactorService.consumeCode({ ...totpRecord, last_used_step: null, reload: jest.fn() }, code)).rejects.toThrow('Invalid two-factor code');
+  });
+
+  test('needs the session of the request and keeps the code when it is unknown', async () => {
+    const { backupCodes } = await enrol(creator);
+
+    await expect(TwoFactorService.verifyChallenge(creator, backupCodes[0], null)).rejects.toThrow('Session expired');
+    await expect(TwoFactorService.verifyChallenge(creator, backupCodes[0], 'refresh_unknown')).rejects.toThrow('Session expired');
+    expect(mockTwoFactors.get(creator.id).backup_code_hashes).toHaveLength(10);
+  });
+
+  test('admins cannot disable, content creators can', async () => {
+    const { backupCodes: adminCodes } = await enrol(admin);
+    await expect(TwoFactorService.disable(admin, adminCodes[0])).rejects.toThrow('required for admin accounts');
+
+    const { backupCodes: creatorCodes } = await enrol(creator);
+    await TwoFactorService.disable(creator, creatorCodes[0]);
+    expect(mockTwoFactors.has(creator.id)).toBe(false);
+  });
+});
+
+describe('requireTwoFactor', () => {
+  test('asks admins without a second factor to enrol', async () => {
+    const { res, next } = await callMiddleware(admin);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+    expect(res.body.code).toBe('TWO_FACTOR_ENROLMENT_REQUIRED');
+  });
+
+  test('requires a recent verification on the current session', async () => {
+    const session = addSession(admin.id);
+    const { backupCodes } = await enrol(admin, session);
+
+    expect((await callMiddleware(admin, session)).next).toHaveBeenCalled();
+
+    // Verification expires after STEP_UP_VALIDITY_MINUTES
+    session.metadata = { ...session.metadata, twoFactorVerifiedAt: new Date(Date.now() - 16 * 60 * 1000).toISOString() };
+    const { res, next } = await callMiddleware(admin, session);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.body.code).toBe('TWO_FACTOR_REQUIRED');
+
+    await TwoFactorService.verifyChallenge(admin, backupCodes[1], session.refreshTokenId);
+    expect((await callMiddleware(admin, session)).next).toHaveBeenCalled();
+  });
+
+  test('does not let a verification on one session cover another', async () => {
+    const laptop = addSession(admin.id, 'laptop');
+    const phone = addSession(admin.id, 'phone');
+    await enrol(admin, laptop);
+
+    expect((await callMiddleware(admin, laptop)).next).toHaveBeenCalled();
+    expect((await callMiddleware(admin, phone)).res.body.code).toBe('TWO_FACTOR_REQUIRED');
+    expect((await callMiddleware(admin)).res.body.code).toBe('TWO_FACTOR_REQUIRED');
+  });
+
+  test('admin reset removes the second factor', async () => {
+    await enrol(admin);
+
+    await expect(TwoFactorService.adminReset(admin.id, 'admin_2')).resolves.toBe(true);
+    expect((await callMiddleware(admin)).res.body.code).toBe('TWO_FACTOR_ENROLMENT_REQUIRED');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,224 @@
+/**
+ * User Session Management Unit Tests
+ *
+ * Device parsing, listing and revoking my sessions, refresh tokens linked to sessions and
+ * "new sign-in" notifications.
+ */
+
+import { jest, describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+import { Op } from 'sequelize';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-session-secret-with-enough-length-1234';
+
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36';
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+
+// Avoid database and email dependencies in unit tests
+const buildSession = (fields) => Object.assign({
+  portal: 'teacher',
+  is_active: true,
+  invalidated_at: null,
+  created_at: new Date('2026-10-01T08:00:00Z'),
+  last_accessed_at: new Date('2026-10-18T08:00:00Z'),
+  expires_at: new Date(Date.now() + 60 * 60 * 1000),
+  metadata: {}
+}, fields, {
+  isActive() { return this.is_active && !this.invalidated_at; },
+  isInvalidated() { return this.invalidated_at !== null; },
+  invalidate: jest.fn(async function() { this.is_active = false; this.invalidated_at = new Date(); })
+});
+
+const mockModels = {
+  Sequelize: { Op: {} },
+  User: { findByPk: jest.fn() },
+  UserSession: {
+    findUserActiveSessions: jest.fn(),
+    findUserActiveSessionsByPortal: jest.fn(),
+    findActiveSession: jest.fn(),
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+    count: jest.fn(),
+    invalidateUserSessions: jest.fn()
+  },
+  RefreshToken: {
+    findOne: jest.fn(),
+    update: jest.fn(async () => [1])
+  }
+};
+const mockEmailService = { sendEmail: jest.fn() };
+
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: mockModels
+}));
+
+jest.unstable_mockModule('../../../config/firebase.js', () => ({
+  admin: null
+}));
+
+jest.unstable_mockModule('../../../services/EmailService.js', () => ({
+  default: mockEmailService
+}));
+
+let UserSessionService;
+let AuthService;
+let sessionDevice;
+
+beforeAll(async () => {
+  sessionDevice = await import('../../../utils/sessionDevice.js');
+  UserSessionService = (await import('../../../services/UserSessionService.js')).default;
+  AuthService = (await import('../../../services/AuthService.js')).default;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('Session devices', () => {
+  test('parses browser, OS and device type and masks the IP address', () => {
+    expect(sessionDevice.parseUserAgent(CHROME_WINDOWS)).toEqual({ browser: 'Chrome', os: 'Windows', device_type: 'desktop' });
+    expect(sessionDevice.parseUserAgent(SAFARI_IPHONE)).toEqual({ browser: 'Safari', os: 'iOS', device_type: 'mobile' });
+    expect(sessionDevice.parseUserAgent('Unknown')).toEqual({ browser: null, os: null, device_type: 'unknown' });
+    expect(sessionDevice.getDeviceKey(sessionDevice.parseUserAgent(CHROME_WINDOWS))).toBe('desktop:windows:chrome');
+
+    expect(sessionDevice.maskIpAddress('::ffff:203.0.113.42')).toBe('203.0.113.x');
+    expect(sessionDevice.maskIpAddress('2001:db8:85a3:8d3:1319:8a2e:370:7348')).toBe('2001:db8:85a3::x');
+    expect(sessionDevice.maskIpAddress('Unknown')).toBeNull();
+  });
+});
+
+describe('My sessions', () => {
+  test('lists sessions with device, approximate location and the current one flagged', async () => {
+    mockModels.UserSession.findUserActiveSessions.mockResolvedValue([
+      buildSession({ id: 'session_laptop', metadata: { userAgent: CHROME_WINDOWS, ipAddress: '203.0.113.42', location: { country: 'IL', city: 'Haifa' }, loginMethod: 'firebase_google' } }),
+      buildSession({ id: 'session_phone', portal: 'parent', metadata: { userAgent: SAFARI_IPHONE } })
+    ]);
+
+    const sessions = await UserSessionService.listSessions('user_1', 'session_phone');
+
+    expect(sessions[0]).toMatchObject({
+      id: 'session_laptop',
+      device: { browser: 'Chrome', os: 'Windows', device_type: 'desktop' },
+      location: { country: 'IL', city: 'Haifa', ip_address: '203.0.113.x' },
+      login_method: 'firebase_google',
+      is_current: false
+    });
+    expect(sessions[1]).toMatchObject({ id: 'session_phone', portal: 'parent', location: null, is_current: true });
+  });
+
+  test('revokes another session with its refresh tokens, but not the current one', async () => {
+    const session = buildSession({ id: 'session_old', user_id: 'user_1' });
+    mockModels.UserSession.findOne.mockResolvedValue(session);
+
+    await expect(UserSessionService.revokeSession('user_1', 'session_now', 'session_now')).rejects.toThrow('Use logout');
+
+    await UserSessionService.revokeSession('user_1', 'session_old', 'session_now');
+    expect(session.invalidate).toHaveBeenCalled();
+    expect(mockModels.RefreshToken.update.mock.calls[0][1].where.user_id).toBe('user_1');
+
+    await expect(UserSessionService.revokeSession('user_1', 'session_old', 'session_now')).rejects.toThrow('Session not found');
+  });
+
+  test('revoking other sessions keeps the current session and refresh token', async () => {
+    mockModels.UserSession.invalidateUserSessions.mockResolvedValue(3);
+
+    const revoked = await UserSessionService.revokeOtherSessions('user_1', { sessionId: 'session_now', refreshTokenId: 'token_now' });
+
+    expect(revoked.sessions).toBe(3);
+    expect(mockModels.UserSession.invalidateUserSessions).toHaveBeenCalledWith('user_1', 'session_now');
+    const { where } = mockModels.RefreshToken.update.mock.calls[0][1];
+    expect(where.user_id).toBe('user_1');
+    expect(where.id).toEqual({ [Op.ne]: 'token_now' });
+  });
+
+  test('refuses to revoke other sessions when the current session is unknown', async () => {
+    await expect(UserSessionService.revokeOtherSessions('user_1', { sessionId: null, refreshTokenId: null }))
+      .rejects.toThrow('Current session could not be identified');
+    await expect(UserSessionService.revokeOtherSessions('user_1', { sessionId: 'session_now', refreshTokenId: null }))
+      .rejects.toThrow('Current session could not be identified');
+
+    expect(mockModels.UserSession.invalidateUserSessions).not.toHaveBeenCalled();
+    expect(mockModels.RefreshToken.update).not.toHaveBeenCalled();
+  });
+
+  test('identifies the current session through the refresh token', async () => {
+    const linked = buildSession({ id: 'session_linked', user_id: 'user_1' });
+    mockModels.RefreshToken.findOne.mockResolvedValue({ id: 'token_1', metadata: { sessionId: 'session_linked' } });
+    mockModels.UserSession.findActiveSession.mockResolvedValue(linked);
+
+    await expect(UserSessionService.resolveCurrentSession('user_1', 'teacher', 'token_1')).resolves.toBe(linked);
+
+    mockModels.RefreshToken.findOne.mockResolvedValue({ id: 'token_legacy', metadata: {} });
+    mockModels.UserSession.findUserActiveSessionsByPortal.mockResolvedValue([buildSession({ id: 'session_recent' })]);
+    const fallback = await UserSessionService.resolveCurrentSession('user_1', 'teacher', 'token_legacy');
+    expect(fallback.id).toBe('session_recent');
+  });
+});
+
+describe('Refresh tokens', () => {
+  test('a refresh token of a signed-out session stops working', async () => {
+    const refreshToken = AuthService.createJWTToken({ id: 'user_1', tokenId: 'token_1', type: 'refresh' });
+    const tokenRecord = {
+      id: 'token_1',
+      metadata: { sessionId: 'session_old' },
+      User: { id: 'user_1', is_active: true },
+      isExpired: () => false,
+      updateLastUsed: jest.fn()
+    };
+    mockModels.RefreshToken.findOne.mockResolvedValue(tokenRecord);
+    mockModels.UserSession.findByPk.mockResolvedValue(buildSession({ id: 'session_old' }));
+
+    await expect(AuthService.verifyRefreshToken(refreshToken)).resolves.toMatchObject({ tokenId: 'token_1' });
+    expect(AuthService.getRefreshTokenId(refreshToken)).toBe('token_1');
+
+    mockModels.UserSession.findByPk.mockResolvedValue(buildSession({ id: 'session_old', is_active: false, invalidated_at: new Date() }));
+    await expect(AuthService.verifyRefreshToken(refreshToken)).rejects.toThrow('Invalid or expired refresh token');
+    expect(mockModels.RefreshToken.update).toHaveBeenCalled();
+  });
+});
+
+describe('New sign-in notifications', () => {
+  const newSession = {
+    id: 'session_new',
+    portal: 'teacher',
+    metadata: { userAgent: SAFARI_IPHONE, deviceKey: 'mobile:ios:safari', location: { country: 'IL', city: null } },
+    created_at: new Date('2026-10-18T09:30:00Z')
+  };
+
+  test('emails the user about a device none of their sessions used', async () => {
+    mockModels.UserSession.count.mockResolvedValueOnce(2).mockResolvedValueOnce(0);
+    mockModels.User.findByPk.mockResolvedValue({ id: 'user_1', email: 'teacher@example.com', full_name: 'Dana' });
+
+    await expect(UserSessionService.notifyIfNewDevice('user_1', newSession)).resolves.toBe(true);
+
+    const email = mockEmailService.sendEmail.mock.calls[0][0];
+    expect(email.to).toBe('teacher@example.com');
+    expect(email.html).toContain('Safari ב-iOS');
+    expect(email.html).toContain('IL');
+    expect(email.html).toContain('18/10/2026 12:30');
+  });
+
+  test('escapes the name and the Cloudflare location in the email', async () => {
+    mockModels.UserSession.count.mockResolvedValueOnce(2).mockResolvedValueOnce(0);
+    mockModels.User.findByPk.mockResolvedValue({ id: 'user_1', email: 'teacher@example.com', full_name: '<b>Dana</b>' });
+
+    await UserSessionService.notifyIfNewDevice('user_1', {
+      ...newSession,
+      metadata: { ...newSession.metadata, location: { country: 'IL', city: '<a href="https://evil.example">Tel Aviv</a>' } }
+    });
+
+    const { html } = mockEmailService.sendEmail.mock.calls[0][0];
+    expect(html).toContain('&lt;b&gt;Dana&lt;/b&gt;');
+    expect(html).toContain('&lt;a href=&quot;https://evil.example&quot;&gt;Tel Aviv&lt;/a&gt;, IL');
+    expect(html).not.toContain('evil.example">');
+  });
+
+  test('stays quiet for known devices and for the first session of an account', async () => {
+    mockModels.UserSession.count.mockResolvedValueOnce(2).mockResolvedValueOnce(1);
+    await expect(UserSessionService.notifyIfNewDevice('user_1', newSession)).resolves.toBe(false);
+
+    mockModels.UserSession.count.mockResolvedValueOnce(0);
+    await expect(UserSessionService.notifyIfNewDevice('user_1', newSession)).resolves.toBe(false);
+
+    expect(mockEmailService.sendEmail).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,105 @@
+/**
+ * Generic Webhook Signature Unit Tests
+ *
+ * Covers the schemes generic webhook providers declare instead of shipping
+ * their own verification code (hmac with optional timestamp, shared token).
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  verifyGenericWebhookSignature,
+  generateHmacSignature
+} from '../../../utils/webhookSignature.js';
+
+const TEST_SECRET = 'generic_test_secret';
+const NOW = 1735689600;
+const RAW_BODY = JSON.stringify({ event: 'meeting.started', event_ts: 1735689600000, payload: { object: { id: 123 } } });
+
+// Same shape as the Zoom provider declaration
+const timestampedScheme = {
+  scheme: 'hmac',
+  header: 'x-zm-signature',
+  prefix: 'v0=',
+  timestampHeader: 'x-zm-request-timestamp',
+  toleranceSeconds: 300,
+  buildSignedPayload: ({ rawBody, timestamp }) => `v0:${timestamp}:${rawBody}`
+};
+
+describe('Generic Webhook Signature Verification', () => {
+  describe('hmac scheme', () => {
+    test('should accept a body signed with the shared secret', () => {
+      const scheme = { scheme: 'hmac', header: 'x-signature', prefix: 'sha256=' };
+      const headers = { 'x-signature': generateHmacSignature(scheme, RAW_BODY, TEST_SECRET) };
+
+      expect(verifyGenericWebhookSignature(scheme, { headers, rawBody: Buffer.from(RAW_BODY), secret: TEST_SECRET })).toBe(true);
+    });
+
+    test('should reject a tampered body', () => {
+      const scheme = { scheme: 'hmac', header: 'x-signature' };
+      const headers = { 'x-signature': generateHmacSignature(scheme, RAW_BODY, TEST_SECRET) };
+
+      expect(verifyGenericWebhookSignature(scheme, { headers, rawBody: RAW_BODY.replace('123', '124'), secret: TEST_SECRET })).toBe(false);
+    });
+
+    test('should support base64 digests', () => {
+      const scheme = { scheme: 'hmac', header: 'x-signature', encoding: 'base64' };
+      const headers = { 'x-signature': generateHmacSignature(scheme, RAW_BODY, TEST_SECRET) };
+
+      expect(verifyGenericWebhookSignature(scheme, { headers, rawBody: RAW_BODY, secret: TEST_SECRET })).toBe(true);
+    });
+
+    test('should accept a fresh timestamped signature', () => {
+      const headers = {
+        'x-zm-signature': generateHmacSignature(timestampedScheme, RAW_BODY, TEST_SECRET, NOW),
+        'x-zm-request-timestamp': String(NOW)
+      };
+
+      expect(verifyGenericWebhookSignature(timestampedScheme, { headers, rawBody: RAW_BODY, secret: TEST_SECRET, now: NOW + 60 })).toBe(true);
+    });
+
+    test('should reject replayed timestamped signatures', () => {
+      const headers = {
+        'x-zm-signature': generateHmacSignature(timestampedScheme, RAW_BODY, TEST_SECRET, NOW),
+        'x-zm-request-timestamp': String(NOW)
+      };
+
+      expect(verifyGenericWebhookSignature(timestampedScheme, { headers, rawBody: RAW_BODY, secret: TEST_SECRET, now: NOW + 301 })).toBe(false);
+    });
+
+    test('should reject a signature made with another secret', () => {
+      const headers = {
+        'x-zm-signature': generateHmacSignature(timestampedScheme, RAW_BODY, 'other_secret', NOW),
+        'x-zm-request-timestamp': String(NOW)
+      };
+
+      expect(verifyGenericWebhookSignature(timestampedScheme, { headers, rawBody: RAW_BODY, secret: TEST_SECRET, now: NOW })).toBe(false);
+    });
+  });
+
+  describe('token scheme', () => {
+    const scheme = { scheme: 'token', header: 'x-webhook-token' };
+
+    test('should accept the shared token', () => {
+      expect(verifyGenericWebhookSignature(scheme, { headers: { 'x-webhook-token': TEST_SECRET }, rawBody: RAW_BODY, secret: TEST_SECRET })).toBe(true);
+    });
+
+    test('should reject a wrong or missing token', () => {
+      expect(verifyGenericWebhookSignature(scheme, { headers: { 'x-webhook-token': 'wrong' }, rawBody: RAW_BODY, secret: TEST_SECRET })).toBe(false);
+      expect(verifyGenericWebhookSignature(scheme, { headers: {}, rawBody: RAW_BODY, secret: TEST_SECRET })).toBe(false);
+    });
+  });
+
+  describe('configuration errors', () => {
+    test('should reject when no secret is configured', () => {
+      const scheme = { scheme: 'hmac', header: 'x-signature' };
+      const headers = { 'x-signature': generateHmacSignature(scheme, RAW_BODY, TEST_SECRET) };
+
+      expect(verifyGenericWebhookSignature(scheme, { headers, rawBody: RAW_BODY, secret: null })).toBe(false);
+    });
+
+    test('should never verify unsigned or unknown schemes', () => {
+      expect(verifyGenericWebhookSignature({ scheme: 'none' }, { headers: {}, rawBody: RAW_BODY, secret: TEST_SECRET })).toBe(false);
+      expect(verifyGenericWebhookSignature({ scheme: 'rsa' }, { headers: {}, rawBody: RAW_BODY, secret: TEST_SECRET })).toBe(false);
+    });
+  });
+});
\ No newline at end of file
@@ -134,10 +134,15 @@ export function logCookieConfig(action, config) {
 
 /**
  * Detect portal from request (host, origin, or referer headers)
+ * Routes that serve a single portal pin it with usePortal (middleware/auth.js), e.g. the parent portal.
  * @param {Object} req - Express request object
- * @returns {string} Portal type: 'teacher' or 'student'
+ * @returns {string} Portal type: 'teacher', 'student' or 'parent'
  */
 export function detectPortal(req) {
+  if (req.portal) {
+    return req.portal;
+  }
+
   // Check various headers to determine portal
   const host = req.get('host') || '';
   const origin = req.get('origin') || '';
@@ -166,7 +171,7 @@ export function detectPortal(req) {
 
 /**
  * Get portal-specific cookie names
- * @param {string} portal - Portal type ('teacher' or 'student')
+ * @param {string} portal - Portal type ('teacher', 'student' or 'parent')
  * @returns {Object} Object with access and refresh token cookie names
  */
 export function getPortalCookieNames(portal) {
@@ -178,7 +183,7 @@ export function getPortalCookieNames(portal) {
 
 /**
  * Create portal-specific access token cookie configuration (15 minutes)
- * @param {string} portal - Portal type ('teacher' or 'student')
+ * @param {string} portal - Portal type ('teacher', 'student' or 'parent')
  * @returns {Object} Access token cookie configuration
  */
 export function createPortalAccessTokenConfig(portal) {
@@ -189,7 +194,7 @@ export function createPortalAccessTokenConfig(portal) {
 
 /**
  * Create portal-specific refresh token cookie configuration (7 days)
- * @param {string} portal - Portal type ('teacher' or 'student')
+ * @param {string} portal - Portal type ('teacher', 'student' or 'parent')
  * @returns {Object} Refresh token cookie configuration
  */
 export function createPortalRefreshTokenConfig(portal) {
@@ -200,7 +205,7 @@ export function createPortalRefreshTokenConfig(portal) {
 
 /**
  * Create portal-specific cookie clear configuration (for logout)
- * @param {string} portal - Portal type ('teacher' or 'student')
+ * @param {string} portal - Portal type ('teacher', 'student' or 'parent')
  * @returns {Object} Cookie clear configuration
  */
 export function createPortalClearCookieConfig(portal) {
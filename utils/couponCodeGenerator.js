@@ -200,7 +200,7 @@ class CouponCodeGenerator {
 
   /**
    * Generate preset patterns for common use cases
-   * @param {string} type - Type of preset ('student', 'vip', 'holiday', 'general', 'referral')
+   * @param {string} type - Type of preset ('student', 'vip', 'holiday', 'general', 'referral', 'gift')
    * @param {string} suffix - Optional suffix to add
    * @returns {string} Generated pattern
    */
@@ -218,7 +218,8 @@ class CouponCodeGenerator {
       flashsale: `FLASH${month}${year}-XXX`,
       earlybird: `EARLY-XXXXX`,
       loyalty: `LOYAL${year}-XXXX`,
-      creator: `CREATOR-XXXXX`
+      creator: `CREATOR-XXXXX`,
+      gift: `GIFT-XXXX-XXXX` // Gift codes (GiftService) - not coupons, but the same pattern format
     };
 
     let pattern = presets[type.toLowerCase()] || `COUPON-XXXX`;
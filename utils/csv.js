@@ -0,0 +1,45 @@
+/**
+ * CSV Utilities
+ *
+ * Renders report rows as CSV for download. The output opens correctly in Excel: UTF-8 BOM so
+ * Hebrew text is shown, CRLF line endings, and text cells that Excel would run as a formula
+ * (starting with =, +, - or @) are prefixed with an apostrophe.
+ */
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const NUMERIC_TEXT = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Format one CSV cell
+ * @param {*} value - Cell value (Dates are written as ISO strings, null / undefined as empty)
+ * @returns {string} - Escaped cell
+ */
+export function formatCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Negative amounts are numbers, not formulas
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text) && !NUMERIC_TEXT.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV with a header row
+ * @param {string[]} columns - Column keys, also used as the header
+ * @param {Object[]} rows - Rows keyed by column
+ * @returns {string} - CSV content
+ */
+export function buildCsv(columns, rows) {
+  const lines = [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => formatCsvCell(row[column])).join(','))
+  ];
+
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
\ No newline at end of file
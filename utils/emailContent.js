@@ -0,0 +1,29 @@
+/**
+ * Email Content Utilities
+ *
+ * Helpers for building transactional emails: escaping user-provided values before they are
+ * placed in email HTML, and normalizing email addresses before they are stored or compared.
+ */
+
+/**
+ * Escape a value for use in email HTML (text and quoted attribute values)
+ * @param {*} value - Value to escape (null / undefined become an empty string)
+ * @returns {string} - Escaped string
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Normalize an email address for storage and comparison
+ * @param {string} email - Email address as entered
+ * @returns {string} - Trimmed, lower-cased email ('' when missing)
+ */
+export function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
\ No newline at end of file
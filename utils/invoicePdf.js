@@ -0,0 +1,217 @@
+/**
+ * Invoice PDF Renderer
+ *
+ * Renders Israeli tax documents (חשבונית מס/קבלה, חשבונית מס זיכוי) and pay-by-invoice
+ * proformas (חשבון עסקה) as Hebrew RTL A4 PDFs.
+ * The layout is expressed as a unified template ("elements" structure) and drawn onto a
+ * blank page by mergePdfTemplate, so fonts (/fonts NotoSansHebrew via AssetManager),
+ * FontSelector and the logo handling are the same as for branded files.
+ */
+
+import { PDFDocument } from 'pdf-lib';
+import { mergePdfTemplate } from './pdfTemplateMerge.js';
+import { INVOICE_DOCUMENT_TITLES, INVOICE_DOCUMENT_TYPES, formatInvoiceNumber } from '../constants/invoices.js';
+
+const A4_PORTRAIT = [595, 842];
+
+// Right edge of the RTL layout and the table columns (x in %)
+const RIGHT_COLUMN_X = 80;
+const TABLE_COLUMNS = {
+  description: 72,
+  quantity: 44,
+  unitPrice: 30,
+  total: 14
+};
+
+// Single-line text must stay below mergePdfTemplate's multi-line threshold (50 chars)
+const MAX_LINE_LENGTH = 45;
+const MAX_ITEM_ROWS = 20;
+
+const HEBREW_PATTERN = /[֐-׿]/;
+const LTR_RUN_PATTERN = /[A-Za-z0-9](?:[A-Za-z0-9@._:/+\-, ]*[A-Za-z0-9])?/g;
+
+/**
+ * Prepare mixed Hebrew/LTR text for pdf-lib
+ * The Hebrew font reverses the whole glyph run, so embedded LTR runs (numbers, dates,
+ * English titles, emails) are reversed up-front to come out readable - same approach
+ * as the email handling in variableSubstitution.js. Pure LTR text is left untouched.
+ * @param {string} text - Logical-order text
+ * @returns {string} Text ready for drawText
+ */
+export function toVisualOrder(text) {
+  const value = String(text ?? '');
+  if (!HEBREW_PATTERN.test(value)) {
+    return value;
+  }
+
+  return value.replace(LTR_RUN_PATTERN, (run) => run.split('').reverse().join(''));
+}
+
+/**
+ * Format an amount for the document (2 decimals, thousands separator)
+ * @param {number|string} amount - Amount in shekels
+ * @returns {string} Formatted amount
+ */
+export function formatInvoiceAmount(amount) {
+  const value = parseFloat(amount || 0);
+  const sign = value < 0 ? '-' : '';
+  const [whole, fraction] = Math.abs(value).toFixed(2).split('.');
+
+  return `${sign}${whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',')}.${fraction}`;
+}
+
+function truncate(text, maxLength = MAX_LINE_LENGTH) {
+  const value = String(text ?? '').replace(/\s+/g, ' ').trim();
+  return value.length > maxLength ? `${value.slice(0, maxLength - 3)}...` : value;
+}
+
+function formatIssueDate(date) {
+  const issued = new Date(date);
+  const day = String(issued.getDate()).padStart(2, '0');
+  const month = String(issued.getMonth() + 1).padStart(2, '0');
+
+  return `${day}/${month}/${issued.getFullYear()}`;
+}
+
+function textElement(content, x, y, style = {}) {
+  return {
+    content: toVisualOrder(truncate(content)),
+    position: { x, y },
+    style: { fontSize: 10, color: '#1f2937', ...style }
+  };
+}
+
+function lineElement(y, style = {}) {
+  return {
+    position: { x: 50, y },
+    style: { length: 480, thickness: 1, color: '#9ca3af', ...style }
+  };
+}
+
+/**
+ * Build the unified template elements for an invoice
+ * @param {Object} invoice - Invoice record (or plain object with the same fields)
+ * @param {Object} business - { name, id, address, bankDetails } of the issuing business
+ * @returns {Object} Template settings with "elements" structure
+ */
+export function buildInvoiceTemplate(invoice, business = {}) {
+  const texts = [];
+  const lines = [];
+  const boxes = [];
+
+  const documentTitle = INVOICE_DOCUMENT_TITLES[invoice.document_type] || INVOICE_DOCUMENT_TITLES[INVOICE_DOCUMENT_TYPES.TAX_INVOICE_RECEIPT];
+  const documentNumber = formatInvoiceNumber(invoice.document_type, invoice.invoice_number);
+  const isCreditNote = invoice.document_type === INVOICE_DOCUMENT_TYPES.CREDIT_NOTE;
+  const isProforma = invoice.document_type === INVOICE_DOCUMENT_TYPES.PROFORMA;
+
+  // Header - business details on the right, document title centered
+  texts.push(textElement(business.name || 'Ludora', RIGHT_COLUMN_X, 6, { fontSize: 16, bold: true }));
+  if (business.id) {
+    texts.push(textElement(`עוסק מורשה ${business.id}`, RIGHT_COLUMN_X, 9));
+  }
+  if (business.address) {
+    texts.push(textElement(business.address, RIGHT_COLUMN_X, 11.5));
+  }
+
+  texts.push(textElement(`${documentTitle} ${documentNumber}`, 50, 17, { fontSize: 18, bold: true }));
+  texts.push(textElement('מקור', 50, 20.5, { fontSize: 9, color: '#6b7280' }));
+  lines.push(lineElement(23, { thickness: 1.5, color: '#111827' }));
+
+  // Document and customer details
+  texts.push(textElement(`תאריך הפקה: ${formatIssueDate(invoice.issued_at)}`, RIGHT_COLUMN_X, 26.5));
+  texts.push(textElement(`לכבוד: ${invoice.customer_name || invoice.customer_email || 'לקוח'}`, RIGHT_COLUMN_X, 29.5));
+  if (invoice.customer_email && invoice.customer_name) {
+    texts.push(textElement(invoice.customer_email, RIGHT_COLUMN_X, 32));
+  }
+  if (isProforma) {
+    if (invoice.metadata?.purchase_order_number) {
+      texts.push(textElement(`הזמנת רכש: ${invoice.metadata.purchase_order_number}`, 25, 26.5));
+    }
+  } else if (invoice.payment_method) {
+    texts.push(textElement(`אמצעי תשלום: ${invoice.payment_method}`, 25, 26.5));
+  }
+  if (isCreditNote && invoice.metadata?.original_invoice_number) {
+    texts.push(textElement(`זיכוי עבור מסמך ${invoice.metadata.original_invoice_number}`, 25, 29.5));
+  }
+
+  // Items table
+  const tableTop = 37;
+  const rowHeight = 3;
+  boxes.push({
+    position: { x: 50, y: tableTop },
+    style: { width: 480, height: 20, color: '#e5e7eb', fillColor: '#f3f4f6', borderWidth: 1 }
+  });
+  texts.push(textElement('תיאור', TABLE_COLUMNS.description, tableTop, { bold: true }));
+  texts.push(textElement('כמות', TABLE_COLUMNS.quantity, tableTop, { bold: true }));
+  texts.push(textElement('מחיר יחידה (₪)', TABLE_COLUMNS.unitPrice, tableTop, { bold: true }));
+  texts.push(textElement('סה"כ (₪)', TABLE_COLUMNS.total, tableTop, { bold: true }));
+
+  const items = (invoice.items || []).slice(0, MAX_ITEM_ROWS);
+  items.forEach((item, index) => {
+    const rowY = tableTop + rowHeight * (index + 1);
+    texts.push(textElement(truncate(item.description, 38), TABLE_COLUMNS.description, rowY));
+    texts.push(textElement(String(item.quantity || 1), TABLE_COLUMNS.quantity, rowY));
+    texts.push(textElement(formatInvoiceAmount(item.unit_price), TABLE_COLUMNS.unitPrice, rowY));
+    texts.push(textElement(formatInvoiceAmount(item.total), TABLE_COLUMNS.total, rowY));
+  });
+
+  // Totals - VAT breakdown
+  const totalsTop = tableTop + rowHeight * (items.length + 1) + 3;
+  lines.push(lineElement(totalsTop - 1.5));
+
+  const vatPercent = Math.round(parseFloat(invoice.vat_rate) * 10000) / 100;
+  const totals = [
+    ['סכום לפני מע"מ (₪)', invoice.net_amount],
+    [`מע"מ ${vatPercent}% (₪)`, invoice.vat_amount],
+    [isCreditNote ? 'סה"כ זיכוי (₪)' : 'סה"כ לתשלום (₪)', invoice.total_amount]
+  ];
+  totals.forEach(([label, amount], index) => {
+    const rowY = totalsTop + rowHeight * index + 1;
+    const isGrandTotal = index === totals.length - 1;
+    texts.push(textElement(label, TABLE_COLUMNS.unitPrice, rowY, { bold: isGrandTotal }));
+    texts.push(textElement(formatInvoiceAmount(amount), TABLE_COLUMNS.total, rowY, { bold: isGrandTotal }));
+  });
+
+  const noteTop = totalsTop + rowHeight * 3 + 3;
+  if (isProforma) {
+    // Payment request - the tax invoice/receipt is issued once the bank transfer arrives
+    if (invoice.metadata?.payment_due_date) {
+      texts.push(textElement(`לתשלום עד ${formatIssueDate(invoice.metadata.payment_due_date)}`, RIGHT_COLUMN_X, noteTop, { bold: true }));
+    }
+    if (business.bankDetails) {
+      texts.push(textElement(`להעברה בנקאית: ${business.bankDetails}`, RIGHT_COLUMN_X, noteTop + rowHeight));
+    }
+    texts.push(textElement(`נא לציין את מספר המסמך ${documentNumber} באסמכתא`, RIGHT_COLUMN_X, noteTop + rowHeight * 2));
+    texts.push(textElement('מסמך זה אינו חשבונית מס', RIGHT_COLUMN_X, noteTop + rowHeight * 3, { color: '#6b7280' }));
+  } else if (!isCreditNote) {
+    texts.push(textElement(`התקבל תשלום מלא בסך ${formatInvoiceAmount(invoice.total_amount)} ₪`, RIGHT_COLUMN_X, noteTop));
+  }
+
+  // Footer
+  lines.push(lineElement(92));
+  texts.push(textElement('מסמך ממוחשב - הופק באמצעות Ludora', 50, 94.5, { fontSize: 8, color: '#6b7280' }));
+
+  return {
+    elements: {
+      box: boxes,
+      line: lines,
+      'free-text': texts,
+      logo: [{ position: { x: 15, y: 7 }, style: { size: 60 } }]
+    }
+  };
+}
+
+/**
+ * Render an invoice record as a PDF
+ * @param {Object} invoice - Invoice record
+ * @param {Object} business - { name, id, address } of the issuing business
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+export async function renderInvoicePdf(invoice, business = {}) {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle(formatInvoiceNumber(invoice.document_type, invoice.invoice_number));
+  pdfDoc.addPage(A4_PORTRAIT);
+  const blankPdf = Buffer.from(await pdfDoc.save());
+
+  return mergePdfTemplate(blankPdf, buildInvoiceTemplate(invoice, business), {});
+}
\ No newline at end of file
@@ -0,0 +1,102 @@
+/**
+ * Session Device Utility
+ *
+ * Describes the device behind a UserSession for the "my sessions" list and new sign-in
+ * notifications: browser / OS / device type from the User-Agent, approximate location from
+ * the Cloudflare geo headers, and a masked IP address.
+ */
+
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(e|A|iOS)?\// },
+  { name: 'Opera', pattern: /OPR\/|Opera/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\// },
+  { name: 'Firefox', pattern: /Firefox\/|FxiOS\// },
+  { name: 'Chrome', pattern: /Chrome\/|CriOS\// },
+  { name: 'Safari', pattern: /Version\/.*Safari\// }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'Windows', pattern: /Windows/ },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+// Cloudflare sends XX for unknown and T1 for Tor
+const UNKNOWN_COUNTRIES = ['XX', 'T1'];
+
+/**
+ * Browser, OS and device type from a User-Agent header
+ * @param {string} userAgent - User-Agent header
+ * @returns {Object} - { browser, os, device_type } (null / 'unknown' when not recognised)
+ */
+export function parseUserAgent(userAgent) {
+  if (!userAgent || userAgent === 'Unknown') {
+    return { browser: null, os: null, device_type: 'unknown' };
+  }
+
+  const browser = BROWSERS.find(({ pattern }) => pattern.test(userAgent))?.name || null;
+  const os = OPERATING_SYSTEMS.find(({ pattern }) => pattern.test(userAgent))?.name || null;
+
+  let deviceType = 'desktop';
+  if (/iPad|Tablet/i.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) {
+    deviceType = 'tablet';
+  } else if (/Mobile|iPhone|iPod/.test(userAgent)) {
+    deviceType = 'mobile';
+  }
+
+  return { browser, os, device_type: deviceType };
+}
+
+/**
+ * Stable key of a device - browser and OS updates keep the same key
+ * @param {Object} device - Result of parseUserAgent
+ * @returns {string} - e.g. "desktop:windows:chrome"
+ */
+export function getDeviceKey(device) {
+  return [device.device_type, device.os || 'unknown', device.browser || 'unknown']
+    .join(':')
+    .toLowerCase()
+    .replace(/\s+/g, '_');
+}
+
+/**
+ * Hide the host part of an IP address
+ * @param {string} ipAddress - IPv4 or IPv6 address
+ * @returns {string|null} - e.g. "203.0.113.x" or "2001:db8:85a3::x"
+ */
+export function maskIpAddress(ipAddress) {
+  if (!ipAddress || ipAddress === 'Unknown') {
+    return null;
+  }
+
+  const address = ipAddress.replace(/^::ffff:/, '');
+
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(address)) {
+    return `${address.split('.').slice(0, 3).join('.')}.x`;
+  }
+
+  if (address.includes(':')) {
+    return `${address.split(':').slice(0, 3).join(':')}::x`;
+  }
+
+  return null;
+}
+
+/**
+ * Approximate location of a request from the Cloudflare geo headers
+ * @param {Object} req - Express request
+ * @returns {Object|null} - { country, city } or null when unknown
+ */
+export function getRequestLocation(req) {
+  const country = req.get('CF-IPCountry');
+  const city = req.get('CF-IPCity');
+
+  if (!country || UNKNOWN_COUNTRIES.includes(country)) {
+    return null;
+  }
+
+  return { country, city: city || null };
+}
\ No newline at end of file
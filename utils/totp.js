@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+import {
+  TOTP_PERIOD_SECONDS,
+  TOTP_DIGITS,
+  TOTP_SECRET_BYTES,
+  TOTP_WINDOW
+} from '../constants/twoFactor.js';
+
+/**
+ * TOTP (RFC 6238) Utility
+ *
+ * Time-based one-time passwords as generated by authenticator apps (HMAC-SHA1,
+ * 6 digits, 30 second period), base32 secrets and otpauth:// enrolment URIs.
+ * Secrets are stored encrypted with ENCRYPTION_KEY (AES-256-GCM).
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as unpadded base32 (the format authenticator apps expect)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer} - Decoded bytes
+ */
+export function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new base32 TOTP secret
+ * @returns {string} - Base32 secret
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(TOTP_SECRET_BYTES));
+}
+
+/**
+ * Time step (counter) for a moment
+ * @param {number} [now] - Milliseconds since epoch
+ * @returns {number} - Step number
+ */
+export function getTotpStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string} - Zero-padded code
+ */
+export function generateTotp(secret, step = getTotpStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Check a code within the allowed clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - { now, window }
+ * @returns {number|null} - Matching time step (for replay protection), or null
+ */
+export function verifyTotp(secret, code, { now = Date.now(), window = TOTP_WINDOW } = {}) {
+  if (typeof code !== 'string' || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(code)) {
+    return null;
+  }
+
+  const currentStep = getTotpStep(now);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = Buffer.from(generateTotp(secret, currentStep + offset));
+    if (crypto.timingSafeEqual(expected, Buffer.from(code))) {
+      return currentStep + offset;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * otpauth:// URI for enrolment QR codes
+ * @param {Object} params - { secret, accountName, issuer }
+ * @returns {string} - Key URI
+ */
+export function buildOtpAuthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${query.toString()}`;
+}
+
+function getEncryptionKey() {
+  if (!process.env.ENCRYPTION_KEY) {
+    throw new Error('ENCRYPTION_KEY not configured');
+  }
+  return crypto.createHash('sha256').update(process.env.ENCRYPTION_KEY).digest();
+}
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} secret - Base32 secret
+ * @returns {string} - iv:tag:ciphertext (hex)
+ */
+export function encryptTotpSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+}
+
+/**
+ * Decrypt a stored secret
+ * @param {string} stored - Value from encryptTotpSecret
+ * @returns {string} - Base32 secret
+ */
+export function decryptTotpSecret(stored) {
+  const [iv, tag, encrypted] = String(stored).split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
\ No newline at end of file
@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+
+/**
+ * Generic Webhook Signature Verification Utility
+ *
+ * Signature schemes that generic webhook providers (services/webhookProviders)
+ * can declare instead of shipping their own verification code:
+ * - 'hmac'  - HMAC of the raw body (optionally timestamped) sent in a header
+ * - 'token' - Shared secret sent verbatim in a header
+ * - 'none'  - Unsigned (only accepted in development by GenericWebhookService)
+ */
+
+const SUPPORTED_SIGNATURE_SCHEMES = ['hmac', 'token', 'none'];
+
+/**
+ * Constant-time string comparison that tolerates different lengths
+ * @param {string} received - Value received from the sender
+ * @param {string} expected - Value we computed
+ * @returns {boolean} - True when both values are identical
+ */
+function safeCompare(received, expected) {
+  if (typeof received !== 'string' || typeof expected !== 'string') {
+    return false;
+  }
+
+  const receivedBuffer = Buffer.from(received);
+  const expectedBuffer = Buffer.from(expected);
+
+  if (receivedBuffer.length !== expectedBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+}
+
+/**
+ * Read a header from an Express-style (lower-cased) headers object
+ * @param {Object} headers - Request headers
+ * @param {string} name - Header name
+ * @returns {string|null} - Header value or null
+ */
+function getHeader(headers, name) {
+  if (!headers || !name) {
+    return null;
+  }
+  const value = headers[name.toLowerCase()];
+  return Array.isArray(value) ? value[0] : (value || null);
+}
+
+/**
+ * Verify an HMAC signature header
+ * @param {Object} scheme - Provider signature declaration
+ * @param {string} scheme.header - Header carrying the signature
+ * @param {string} [scheme.algorithm] - HMAC algorithm (default sha256)
+ * @param {string} [scheme.encoding] - Digest encoding, hex or base64 (default hex)
+ * @param {string} [scheme.prefix] - Prefix in front of the digest (e.g. 'sha256=' or 'v0=')
+ * @param {string} [scheme.timestampHeader] - Header carrying the signing timestamp (seconds)
+ * @param {number} [scheme.toleranceSeconds] - Maximum timestamp age when timestampHeader is set
+ * @param {Function} [scheme.buildSignedPayload] - ({ rawBody, timestamp, headers }) => string to sign
+ * @param {Object} request - { headers, rawBody, secret, now }
+ * @returns {boolean} - True when the signature matches
+ */
+function verifyHmacSignature(scheme, request) {
+  const {
+    header,
+    algorithm = 'sha256',
+    encoding = 'hex',
+    prefix = '',
+    timestampHeader = null,
+    toleranceSeconds = 300,
+    buildSignedPayload = null
+  } = scheme;
+  const { headers, rawBody, secret, now = Math.floor(Date.now() / 1000) } = request;
+
+  const signature = getHeader(headers, header);
+  if (!signature || rawBody === undefined || rawBody === null) {
+    return false;
+  }
+
+  let timestamp = null;
+  if (timestampHeader) {
+    timestamp = parseInt(getHeader(headers, timestampHeader), 10);
+    if (!timestamp || Number.isNaN(timestamp)) {
+      return false;
+    }
+
+    // Reject replays of old deliveries
+    if (toleranceSeconds > 0 && Math.abs(now - timestamp) > toleranceSeconds) {
+      return false;
+    }
+  }
+
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+  const signedPayload = buildSignedPayload
+    ? buildSignedPayload({ rawBody: body, timestamp, headers })
+    : body;
+
+  const expected = prefix + crypto
+    .createHmac(algorithm, secret)
+    .update(signedPayload)
+    .digest(encoding);
+
+  return safeCompare(signature.trim(), expected);
+}
+
+/**
+ * Verify a webhook delivery against a provider's declared signature scheme
+ * @param {Object} scheme - Provider signature declaration ({ scheme, header, ... })
+ * @param {Object} request
+ * @param {Object} request.headers - Request headers (lower-cased)
+ * @param {Buffer|string} request.rawBody - Raw request body exactly as received
+ * @param {string} request.secret - Shared secret for the provider
+ * @param {number} [request.now] - Current unix time in seconds (for testing)
+ * @returns {boolean} - True when the delivery is authentic
+ */
+function verifyGenericWebhookSignature(scheme, request) {
+  try {
+    if (!scheme || !SUPPORTED_SIGNATURE_SCHEMES.includes(scheme.scheme)) {
+      return false;
+    }
+
+    // Unsigned providers are never verified here - the caller decides whether to accept them
+    if (scheme.scheme === 'none') {
+      return false;
+    }
+
+    if (!request?.secret) {
+      return false;
+    }
+
+    if (scheme.scheme === 'token') {
+      return safeCompare(getHeader(request.headers, scheme.header), request.secret);
+    }
+
+    return verifyHmacSignature(scheme, request);
+
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Generate an HMAC signature header value for a payload (local testing and fixtures)
+ * @param {Object} scheme - Provider signature declaration
+ * @param {Buffer|string|Object} payload - Payload to sign
+ * @param {string} secret - Shared secret
+ * @param {number} [timestamp] - Unix time in seconds (used when the scheme is timestamped)
+ * @returns {string} - Header value
+ */
+function generateHmacSignature(scheme, payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const { algorithm = 'sha256', encoding = 'hex', prefix = '', buildSignedPayload = null } = scheme;
+  const body = Buffer.isBuffer(payload)
+    ? payload.toString('utf8')
+    : (typeof payload === 'string' ? payload : JSON.stringify(payload));
+
+  const signedPayload = buildSignedPayload
+    ? buildSignedPayload({ rawBody: body, timestamp, headers: {} })
+    : body;
+
+  return prefix + crypto.createHmac(algorithm, secret).update(signedPayload).digest(encoding);
+}
+
+export {
+  SUPPORTED_SIGNATURE_SCHEMES,
+  safeCompare,
+  verifyHmacSignature,
+  verifyGenericWebhookSignature,
+  generateHmacSignature
+};
\ No newline at end of file